@@ -0,0 +1,65 @@
+/**
+ * v1.6.24: Any-Position 符號（盤面任意位置計數的支付符號）
+ *
+ * 核心原則：
+ * - 所有 type === 'ANY_POSITION' 的符號各自獨立計數（依 symbols 順序），不再只取第一個
+ * - 每個符號可用 minCount 設定最低中獎數量（未設定時為 DEFAULT_ANY_POSITION_MIN_COUNT，v1.5.3 行為）
+ * - 各符號的賠率仍由 paytable.ANY_POSITION 的 count tiers 定義
+ * - Evaluator / Resolver / Validator 共用同一組判定，不以符號 ID（例如 "A1"）判斷
+ */
+
+const ANY_POSITION_SYMBOL_TYPE = 'ANY_POSITION';
+const DEFAULT_ANY_POSITION_MIN_COUNT = 3;
+
+/**
+ * 是否為 ANY_POSITION 符號
+ * @param {Object|undefined} symbol - symbols 陣列中的符號
+ */
+function isAnyPositionSymbol(symbol) {
+  return Boolean(symbol) && symbol.type === ANY_POSITION_SYMBOL_TYPE;
+}
+
+/**
+ * 取得所有 ANY_POSITION 符號（保持 symbols 順序）
+ * @param {Array|undefined} symbols - design.json 的 symbols 陣列
+ * @returns {Array<Object>}
+ */
+function getAnyPositionSymbols(symbols) {
+  return (symbols || []).filter(isAnyPositionSymbol);
+}
+
+/**
+ * 取得符號的最低中獎數量（未設定時為 DEFAULT_ANY_POSITION_MIN_COUNT）
+ * @param {Object} symbol - ANY_POSITION 符號
+ * @returns {number}
+ */
+function getAnyPositionMinCount(symbol) {
+  return symbol && symbol.minCount !== undefined ? symbol.minCount : DEFAULT_ANY_POSITION_MIN_COUNT;
+}
+
+/**
+ * 計算盤面上某符號的所有位置
+ * @param {Array<Array<string>>} grid - 盤面
+ * @param {string} symbolId - 符號 ID
+ * @returns {Array<[number, number]>} [[row, col], ...]
+ */
+function findSymbolPositions(grid, symbolId) {
+  const positions = [];
+  for (let row = 0; row < grid.length; row++) {
+    for (let col = 0; col < grid[row].length; col++) {
+      if (grid[row][col] === symbolId) {
+        positions.push([row, col]);
+      }
+    }
+  }
+  return positions;
+}
+
+module.exports = {
+  ANY_POSITION_SYMBOL_TYPE,
+  DEFAULT_ANY_POSITION_MIN_COUNT,
+  isAnyPositionSymbol,
+  getAnyPositionSymbols,
+  getAnyPositionMinCount,
+  findSymbolPositions
+};
@@ -0,0 +1,201 @@
+const { RNG } = require('./rng');
+const { simulate, SimulationResult } = require('./simulate');
+const { calculateTheory } = require('./theory');
+
+/**
+ * v1.6.15: Bet Levels（betConfig.betLevels）
+ *
+ *   "betConfig": {
+ *     "baseBet": 1,
+ *     "betLevels": [1, 2, 5, 10],
+ *     "betLevelWeights": [60, 25, 10, 5]
+ *   }
+ *
+ * - EACH：每個下注等級各跑 targetBaseSpins 次，使用相同 seed（outcome 序列相同 → RTP 差異只來自金額取整）
+ * - MIX：依 betLevelWeights 將 targetBaseSpins 分配到各等級（最大餘數法），各等級以推導的 seed 模擬後合併，
+ *   模擬玩家混合下注的整體 RTP（= 總贏分 / 總下注，以下注金額加權）
+ * - 取整效果：Math.round(payoutMultiplier * bet) 與不取整的差異（見 calculateTheory 的 options.exact）；
+ *   模擬的 Drift 與最大贏分取自實際派彩（SimulationResult.roundingWin / maxRoundWin，含 paytable 與倍數）
+ */
+
+const BET_LEVEL_MODES = ['EACH', 'MIX'];
+const BET_LEVEL_PATCH_VERSION = 'v1.6.15';  // DO NOT change without bumping（影響 MIX 模式各等級的 seed）
+
+/**
+ * 驗證並取得下注等級
+ * @param {Object} betConfig - config.betConfig
+ * @returns {Array<Object>} [{ bet, weight }]（未設定 betLevelWeights 時 weight 為 null）
+ */
+function getBetLevels(betConfig) {
+  const levels = betConfig.betLevels;
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error('betConfig.betLevels 必須為非空陣列');
+  }
+  levels.forEach((bet, index) => {
+    if (typeof bet !== 'number' || !Number.isFinite(bet) || bet <= 0) {
+      throw new Error(`betConfig.betLevels[${index}] 必須為正數`);
+    }
+    if (levels.indexOf(bet) !== index) {
+      throw new Error(`betConfig.betLevels 的下注等級 ${bet} 重複`);
+    }
+  });
+
+  const weights = betConfig.betLevelWeights;
+  if (weights === undefined) {
+    return levels.map(bet => ({ bet, weight: null }));
+  }
+  if (!Array.isArray(weights) || weights.length !== levels.length) {
+    throw new Error('betConfig.betLevelWeights 必須為與 betLevels 等長的陣列');
+  }
+  weights.forEach((weight, index) => {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`betConfig.betLevelWeights[${index}] 必須為 >= 0 的數字`);
+    }
+  });
+  if (weights.reduce((sum, weight) => sum + weight, 0) <= 0) {
+    throw new Error('betConfig.betLevelWeights 的總權重必須 > 0');
+  }
+  return levels.map((bet, index) => ({ bet, weight: weights[index] }));
+}
+
+/**
+ * 依權重分配 Base Spins（最大餘數法，餘數相同時分配給前面的等級）
+ * @param {number} targetBaseSpins - 總 Base Spin 次數
+ * @param {Array<Object>} levels - getBetLevels() 的結果（weight 不得為 null）
+ * @returns {Array<number>} 每個等級的 Base Spin 次數（可能為 0）
+ */
+function allocateSpins(targetBaseSpins, levels) {
+  const totalWeight = levels.reduce((sum, level) => sum + level.weight, 0);
+  const quotas = levels.map(level => targetBaseSpins * level.weight / totalWeight);
+  const spins = quotas.map(Math.floor);
+  let remaining = targetBaseSpins - spins.reduce((sum, count) => sum + count, 0);
+  quotas
+    .map((quota, index) => ({ index, fraction: quota - spins[index] }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(entry => {
+      if (remaining > 0) {
+        spins[entry.index]++;
+        remaining--;
+      }
+    });
+  return spins;
+}
+
+/**
+ * 推導 MIX 模式各等級的 seed
+ * @param {string|null} mathSeed - Math seed（null = legacy mode）
+ * @param {number} levelIndex - 下注等級索引
+ * @param {string} derivation - Sub-seed 推導版本（v1 | v2）
+ * @returns {string|null}
+ */
+function deriveBetLevelSeed(mathSeed, levelIndex, derivation) {
+  if (mathSeed === null) {
+    return null;
+  }
+  return String(RNG.deriveSubSeed('BET_LEVEL', {
+    mathSeed: mathSeed,
+    spinIndex: levelIndex,
+    outcomeId: 'BET_LEVEL',
+    patchVersion: BET_LEVEL_PATCH_VERSION,
+    derivation: derivation
+  }));
+}
+
+/**
+ * 下注等級的取整效果
+ * @param {Object} config - 設定檔物件
+ * @param {number} bet - 下注金額
+ * @param {SimulationResult|null} result - 該等級的模擬結果（null = 未模擬，模擬欄位為 null）
+ * @returns {Object} { theoryRtp, exactRtp, drift, roundedOutcomes: [{ state, outcomeId, exact, rounded }],
+ *                     simulatedDrift, roundedSpinCount, maxWin }
+ */
+function calculateRounding(config, bet, result = null) {
+  const theoryRtp = calculateTheory(config, bet).rtp;
+  const exactRtp = calculateTheory(config, bet, { exact: true }).rtp;
+
+  const roundedOutcomes = [];
+  Object.keys(config.outcomeTables).forEach(state => {
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      const exact = outcome.payoutMultiplier * bet;
+      const rounded = Math.round(exact);  // 與 simulate.js 一致（credit int）
+      if (rounded !== exact) {
+        roundedOutcomes.push({ state, outcomeId: outcome.id, exact, rounded });
+      }
+    });
+  });
+
+  // 模擬的取整 Drift（RTP 百分點）與最大 Round Win（credits）取自實際派彩
+  const played = result !== null && result.totalBaseBet > 0;
+  return {
+    theoryRtp,
+    exactRtp,
+    drift: theoryRtp - exactRtp,
+    roundedOutcomes,
+    simulatedDrift: played ? (result.roundingWin / result.totalBaseBet) * 100 : null,
+    roundedSpinCount: played ? result.roundedSpinCount : null,
+    maxWin: played ? (result.maxRoundWin !== null ? result.maxRoundWin.win : 0) : null
+  };
+}
+
+/**
+ * 以每個下注等級執行模擬
+ *
+ * @param {string} configPath - 設定檔路徑
+ * @param {Object} config - 設定檔物件（已套用 CLI 覆蓋）
+ * @param {string} mode - 'EACH' | 'MIX'
+ * @param {number} targetBaseSpins - EACH：每個等級的次數；MIX：總次數
+ * @param {number|string|null} customSeed - 自訂 seed（同 simulate）
+ * @returns {Object} { mode, levels: [{ bet, weight, spins, seed, result, rounding }], combined, combinedTheoryRtp }
+ */
+function simulateBetLevels(configPath, config, mode, targetBaseSpins, customSeed = null) {
+  if (!BET_LEVEL_MODES.includes(mode)) {
+    throw new Error(`不支援的 bet level 模式 "${mode}"（可用: ${BET_LEVEL_MODES.join(', ')}）`);
+  }
+  const levels = getBetLevels(config.betConfig);
+  if (mode === 'MIX' && levels[0].weight === null) {
+    throw new Error('MIX 模式需要 betConfig.betLevelWeights');
+  }
+
+  // 與 simulate() 相同的 seed 優先順序：customSeed > config.seed > legacy
+  const mathSeed = customSeed !== null ? String(customSeed) : (config.seed !== undefined && config.seed !== null ? String(config.seed) : null);
+  const derivation = (config.rngConfig && config.rngConfig.subSeedDerivation) || undefined;
+  const spinsPerLevel = mode === 'MIX'
+    ? allocateSpins(targetBaseSpins, levels)
+    : levels.map(() => targetBaseSpins);
+
+  const runs = levels.map((level, index) => {
+    const spins = spinsPerLevel[index];
+    const seed = mode === 'MIX' ? deriveBetLevelSeed(mathSeed, index, derivation) : mathSeed;
+    const result = spins > 0
+      ? simulate(configPath, spins, level.bet, true, false, config, seed, { quiet: true }).result
+      : null;
+    return {
+      bet: level.bet,
+      weight: level.weight,
+      spins: spins,
+      seed: seed,
+      result: result,
+      rounding: calculateRounding(config, level.bet, result)
+    };
+  });
+
+  let combined = null;
+  let combinedTheoryRtp = null;
+  if (mode === 'MIX') {
+    const played = runs.filter(run => run.result !== null);
+    combined = SimulationResult.merge(played.map(run => run.result));
+    // 理論 RTP 以下注金額加權（與 totalWin / totalBaseBet 一致）
+    const totalStake = played.reduce((sum, run) => sum + run.spins * run.bet, 0);
+    combinedTheoryRtp = played.reduce((sum, run) => sum + run.spins * run.bet * run.rounding.theoryRtp, 0) / totalStake;
+  }
+
+  return { mode, levels: runs, combined, combinedTheoryRtp };
+}
+
+module.exports = {
+  BET_LEVEL_MODES,
+  getBetLevels,
+  allocateSpins,
+  calculateRounding,
+  simulateBetLevels
+};
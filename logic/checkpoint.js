@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * v1.6.6: Simulation Checkpoint（長時間模擬的中斷續跑）
+ *
+ * 核心原則：
+ * - Checkpoint 只在 spin 與 spin 之間寫入，包含續跑所需的完整狀態：
+ *   Math RNG 狀態、FSM、計數器、累積值、Gap trackers、visualState、CSV 寫入位置
+ *   （v1.6.19: 含 Feature Round CSV 的寫入位置 roundsCsv）
+ * - Sub-RNG（PATTERN / VISUAL / ...）由 mathSeed + spinIndex 推導，不需保存
+ * - spinDetails / stateTransitions 只保存報表列出的前幾筆（stateTransitions 另記錄總數 stateTransitionCount），
+ *   檔案大小不隨 spin 次數或 Feature 觸發次數成長
+ * - 僅支援 seeded mode（legacy mode 使用 Math.random，無法保存狀態）
+ * - 寫入採「暫存檔 + rename」，中斷時不會留下半寫入的 checkpoint
+ */
+
+const CHECKPOINT_VERSION = 1;
+
+// 預設每 1,000,000 次 Base Spin 寫入一次
+const DEFAULT_CHECKPOINT_INTERVAL = 1000000;
+
+/**
+ * 設定檔指紋（續跑時驗證設定檔未被修改）
+ * @param {Object} config - 設定檔物件
+ * @returns {string} SHA-256 hex
+ */
+function configFingerprint(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex');
+}
+
+/**
+ * 寫入 checkpoint（原子性：先寫暫存檔再 rename）
+ * @param {string} checkpointPath - Checkpoint 檔案路徑
+ * @param {Object} checkpoint - Checkpoint 資料
+ */
+function saveCheckpoint(checkpointPath, checkpoint) {
+  const resolvedPath = path.resolve(checkpointPath);
+  const dirname = path.dirname(resolvedPath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+  const tmpPath = `${resolvedPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(checkpoint), 'utf8');
+  fs.renameSync(tmpPath, resolvedPath);
+}
+
+/**
+ * 讀取 checkpoint
+ * @param {string} checkpointPath - Checkpoint 檔案路徑
+ * @returns {Object} Checkpoint 資料
+ */
+function loadCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) {
+    throw new Error(`找不到 checkpoint: ${checkpointPath}`);
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Checkpoint 格式錯誤: ${checkpointPath} (${error.message})`);
+  }
+
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(
+      `不支援的 checkpoint 版本: ${checkpoint.version}（目前版本: ${CHECKPOINT_VERSION}）`
+    );
+  }
+  if (!checkpoint.run || !checkpoint.rngState || !checkpoint.counters) {
+    throw new Error(`Checkpoint 缺少必要欄位: ${checkpointPath}`);
+  }
+
+  return checkpoint;
+}
+
+/**
+ * 驗證 checkpoint 與目前模擬參數一致
+ * @param {Object} checkpoint - Checkpoint 資料
+ * @param {Object} run - 目前模擬參數（mathSeed, targetBaseSpins, baseBet, rngAlgorithm, subSeedDerivation, configFingerprint）
+ */
+function assertResumable(checkpoint, run) {
+  Object.keys(run).forEach(key => {
+    if (checkpoint.run[key] !== run[key]) {
+      throw new Error(
+        `Checkpoint 與目前模擬參數不一致: ${key}（checkpoint=${checkpoint.run[key]}, 目前=${run[key]}）`
+      );
+    }
+  });
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  DEFAULT_CHECKPOINT_INTERVAL,
+  configFingerprint,
+  saveCheckpoint,
+  loadCheckpoint,
+  assertResumable
+};
@@ -4,7 +4,15 @@ const path = require('path');
 const fs = require('fs');
 const { simulate } = require('./simulate');
 const { validateConfig, printValidationResult } = require('./validator');
-const { printReport } = require('./reporter');
+const { RNG_ENGINES } = require('./rngEngines');  // v1.6.2
+const { SUB_SEED_DERIVATIONS } = require('./rng');  // v1.6.3
+const { printReport, printTheoryReport, printBetLevelReport, printSessionReport } = require('./reporter');
+const { calculateTheory } = require('./theory');  // v1.6.0: 理論值計算
+const { CsvSink, createFeatureRoundSink } = require('./csvExporter');  // v1.6.4: CSV 匯出移至獨立模組；v1.6.5: 串流寫出；v1.6.19: Feature Round CSV
+const { runParallel } = require('./parallel');  // v1.6.4: 多 worker 模擬
+const { loadCheckpoint, DEFAULT_CHECKPOINT_INTERVAL } = require('./checkpoint');  // v1.6.6: 中斷續跑
+const { simulateBetLevels } = require('./betLevels');  // v1.6.15: 各下注等級模擬
+const { simulateSessions } = require('./session');  // v1.6.16: Player Session 模擬
 
 /**
  * Slot Math Simulator MVP v1.0 - CLI 工具
@@ -28,10 +36,22 @@ function parseArgs() {
     file: path.join(__dirname, 'design.json'),
     csv: {
       enabled: false,
-      path: null
+      path: null,
+      gzip: false  // v1.6.5: gzip 壓縮輸出
     },
     noVisual: false,  // v1.3: 支援 --no-visual 參數
-    seed: null  // Determinism: 支援 --seed 參數
+    seed: null,  // Determinism: 支援 --seed 參數
+    theory: false,  // v1.6.0: 支援 --theory 參數（只計算理論值，不執行模擬）
+    tolerance: null,  // v1.6.1: RTP 收斂容許誤差（百分點，null = 使用預設值）
+    rng: null,  // v1.6.2: RNG 演算法（null = 使用 rngConfig.algorithm 或 lcg-legacy）
+    subSeed: null,  // v1.6.3: Sub-seed 推導版本（null = 使用 rngConfig.subSeedDerivation 或 v1）
+    workers: null,  // v1.6.4: Worker 數量（null = 單執行緒）
+    checkpoint: null,  // v1.6.6: Checkpoint 檔案路徑（null = 不寫入）
+    checkpointInterval: DEFAULT_CHECKPOINT_INTERVAL,  // v1.6.6: 每 N 次 Base Spin 寫入一次
+    resume: null,  // v1.6.6: 從 checkpoint 續跑
+    betLevels: null,  // v1.6.15: 下注等級模式（null = 只使用 baseBet，'EACH' | 'MIX'）
+    sessions: null,  // v1.6.16: Player Session 模式（null = 不使用，0 = 使用 sessionConfig.sessions）
+    roundsCsv: null  // v1.6.19: Feature Round CSV 路徑（null = 不匯出）
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -48,8 +68,24 @@ Slot Math Simulator v1.1
   -n, --spins <number>    設定模擬 Base Spin 次數 (預設 10000)
   -f, --file <path>       指定 JSON 設定檔路徑 (預設 logic/design.json)
   --csv [filename]        匯出逐 Spin 詳細記錄到 CSV 檔案 (可選檔案名，預設 result.csv)
+  --gzip                  以 gzip 壓縮 CSV 輸出 (需搭配 --csv，v1.6.5)
   --seed <int>            設定 RNG seed 以確保可重現性 (非負整數，>= 0)
+  --rng <algo>            Seeded RNG 演算法: ${Object.keys(RNG_ENGINES).join(' | ')} (預設 lcg-legacy，v1.6.2)
+  --sub-seed <version>    Sub-seed 推導版本: ${SUB_SEED_DERIVATIONS.join(' | ')} (預設 v1，v1.6.3)
   --no-visual             關閉 Visual Constraint Layer (v1.3)
+  --theory                只計算理論 RTP/Variance，不執行模擬 (v1.6.0)
+  --tolerance <number>    RTP 收斂判定容許誤差，單位為百分點 (預設 0.5，v1.6.1)
+  --workers <number>      以多個 worker thread 平行模擬 (v1.6.4)
+  --checkpoint <path>     定期寫入 checkpoint，用於中斷後續跑 (需 --seed，v1.6.6)
+  --checkpoint-interval <number>
+                          每 N 次 Base Spin 寫入一次 checkpoint (預設 ${DEFAULT_CHECKPOINT_INTERVAL}，v1.6.6)
+  --resume <path>         從 checkpoint 續跑（沿用 checkpoint 記錄的設定檔與參數，v1.6.6）
+  --bet-levels [mode]     以 betConfig.betLevels 的每個下注等級模擬 (v1.6.15)
+                          each: 每個等級各跑 --spins 次（預設）；mix: 依 betLevelWeights 混合，共 --spins 次
+  --sessions [count]      Player Session 模式：依 sessionConfig 模擬多個獨立 session (v1.6.16)
+                          count 覆蓋 sessionConfig.sessions；--spins 不適用（使用 sessionConfig.maxSpins）
+  --rounds-csv <path>     匯出每個 Feature Round 的彙總記錄到 CSV 檔案 (v1.6.19)
+                          可搭配 --checkpoint（--resume 沿用 checkpoint 記錄的路徑）；不支援 --workers
   -h, --help              顯示幫助訊息
 
 範例:
@@ -58,6 +94,18 @@ Slot Math Simulator v1.1
   node cli.js --csv output/data.csv
   node cli.js -n 2000 --csv --seed 12345
   node cli.js --csv --seed 12345
+  node cli.js -n 100000 --seed 12345 --rng xoshiro256**
+  node cli.js -n 100000 --seed 12345 --rng xoshiro256** --sub-seed v2
+  node cli.js --theory -f logic/design.json
+  node cli.js -n 100000 --tolerance 1
+  node cli.js -n 1000000 --seed 12345 --workers 4 --csv
+  node cli.js -n 10000000 --seed 12345 --csv result.csv.gz --gzip
+  node cli.js -n 100000000 --seed 12345 --csv --checkpoint run.ckpt
+  node cli.js --resume run.ckpt
+  node cli.js -n 100000 --seed 12345 --bet-levels
+  node cli.js -n 100000 --seed 12345 --bet-levels mix
+  node cli.js --seed 12345 --sessions 5000
+  node cli.js -n 100000 --seed 12345 --rounds-csv rounds.csv
       `);
       process.exit(0);
     }
@@ -108,23 +156,284 @@ Slot Math Simulator v1.1
       }
       options.seed = seedInt;
       i++;
+    } else if (arg === '--gzip') {
+      // v1.6.5: CSV gzip 壓縮
+      options.csv.gzip = true;
     } else if (arg === '--no-visual') {
       // v1.3: 關閉 Visual Constraint Layer
       options.noVisual = true;
+    } else if (arg === '--theory') {
+      // v1.6.0: 理論值模式
+      options.theory = true;
+    } else if (arg === '--tolerance') {
+      // v1.6.1: RTP 收斂容許誤差
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --tolerance 參數需要一個數值');
+        process.exit(1);
+      }
+      const tolerance = parseFloat(args[i + 1]);
+      if (isNaN(tolerance) || tolerance <= 0) {
+        console.error('❌ 錯誤: --tolerance 必須為正數');
+        process.exit(1);
+      }
+      options.tolerance = tolerance;
+      i++;
+    } else if (arg === '--rng') {
+      // v1.6.2: RNG 演算法
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --rng 參數需要演算法名稱');
+        process.exit(1);
+      }
+      const algorithm = args[i + 1];
+      if (!RNG_ENGINES[algorithm]) {
+        console.error(`❌ 錯誤: 不支援的 RNG 演算法 "${algorithm}"（可用: ${Object.keys(RNG_ENGINES).join(', ')}）`);
+        process.exit(1);
+      }
+      options.rng = algorithm;
+      i++;
+    } else if (arg === '--sub-seed') {
+      // v1.6.3: Sub-seed 推導版本
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --sub-seed 參數需要版本名稱');
+        process.exit(1);
+      }
+      const derivation = args[i + 1];
+      if (!SUB_SEED_DERIVATIONS.includes(derivation)) {
+        console.error(`❌ 錯誤: 不支援的 sub-seed 推導版本 "${derivation}"（可用: ${SUB_SEED_DERIVATIONS.join(', ')}）`);
+        process.exit(1);
+      }
+      options.subSeed = derivation;
+      i++;
+    } else if (arg === '--workers') {
+      // v1.6.4: 平行模擬 worker 數量
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --workers 參數需要一個數值');
+        process.exit(1);
+      }
+      const workers = parseInt(args[i + 1], 10);
+      if (isNaN(workers) || workers <= 0 || String(workers) !== args[i + 1]) {
+        console.error('❌ 錯誤: --workers 必須為正整數');
+        process.exit(1);
+      }
+      options.workers = workers;
+      i++;
+    } else if (arg === '--checkpoint') {
+      // v1.6.6: Checkpoint 檔案路徑
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --checkpoint 參數需要一個路徑');
+        process.exit(1);
+      }
+      options.checkpoint = args[i + 1];
+      i++;
+    } else if (arg === '--checkpoint-interval') {
+      // v1.6.6: Checkpoint 間隔（Base Spins）
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --checkpoint-interval 參數需要一個數值');
+        process.exit(1);
+      }
+      const interval = parseInt(args[i + 1], 10);
+      if (isNaN(interval) || interval <= 0 || String(interval) !== args[i + 1]) {
+        console.error('❌ 錯誤: --checkpoint-interval 必須為正整數');
+        process.exit(1);
+      }
+      options.checkpointInterval = interval;
+      i++;
+    } else if (arg === '--resume') {
+      // v1.6.6: 從 checkpoint 續跑
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --resume 參數需要 checkpoint 路徑');
+        process.exit(1);
+      }
+      options.resume = args[i + 1];
+      i++;
+    } else if (arg === '--bet-levels') {
+      // v1.6.15: 下注等級模式（可選參數 each | mix）
+      options.betLevels = 'EACH';
+      if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        const mode = args[i + 1].toUpperCase();
+        if (mode !== 'EACH' && mode !== 'MIX') {
+          console.error(`❌ 錯誤: 不支援的 --bet-levels 模式 "${args[i + 1]}"（可用: each, mix）`);
+          process.exit(1);
+        }
+        options.betLevels = mode;
+        i++;
+      }
+    } else if (arg === '--sessions') {
+      // v1.6.16: Player Session 模式（可選參數 session 數量）
+      options.sessions = 0;
+      if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        const sessions = parseInt(args[i + 1], 10);
+        if (isNaN(sessions) || sessions <= 0 || String(sessions) !== args[i + 1]) {
+          console.error('❌ 錯誤: --sessions 必須為正整數');
+          process.exit(1);
+        }
+        options.sessions = sessions;
+        i++;
+      }
+    } else if (arg === '--rounds-csv') {
+      // v1.6.19: Feature Round CSV 路徑
+      if (i + 1 >= args.length) {
+        console.error('❌ 錯誤: --rounds-csv 參數需要一個路徑');
+        process.exit(1);
+      }
+      options.roundsCsv = args[i + 1];
+      i++;
     }
   }
 
+  // v1.6.5: --gzip 必須搭配 --csv
+  if (options.csv.gzip && !options.csv.enabled) {
+    console.error('❌ 錯誤: --gzip 需要搭配 --csv');
+    process.exit(1);
+  }
+
+  // v1.6.6: checkpoint 需要 seeded mode，且不支援 parallel 模式
+  if ((options.checkpoint !== null || options.resume !== null) && options.workers !== null) {
+    console.error('❌ 錯誤: --checkpoint / --resume 不支援 --workers');
+    process.exit(1);
+  }
+
+  // v1.6.15: --bet-levels 只輸出各等級的彙總報表
+  if (options.betLevels !== null &&
+      (options.csv.enabled || options.workers !== null || options.checkpoint !== null || options.resume !== null || options.theory)) {
+    console.error('❌ 錯誤: --bet-levels 不支援 --csv / --workers / --checkpoint / --resume / --theory');
+    process.exit(1);
+  }
+
+  // v1.6.16: --sessions 只輸出 session 彙總報表
+  if (options.sessions !== null &&
+      (options.csv.enabled || options.workers !== null || options.checkpoint !== null || options.resume !== null ||
+       options.theory || options.betLevels !== null)) {
+    console.error('❌ 錯誤: --sessions 不支援 --csv / --workers / --checkpoint / --resume / --theory / --bet-levels');
+    process.exit(1);
+  }
+
+  // v1.6.19: Feature Round CSV 只支援單執行緒模擬（checkpoint 記錄寫入位置，--resume 沿用 checkpoint 的路徑）
+  if (options.roundsCsv !== null &&
+      (options.workers !== null || options.resume !== null ||
+       options.theory || options.betLevels !== null || options.sessions !== null)) {
+    console.error('❌ 錯誤: --rounds-csv 不支援 --workers / --resume / --theory / --bet-levels / --sessions');
+    process.exit(1);
+  }
+
   return options;
 }
 
+/**
+ * v1.6.6: 從 checkpoint 續跑（設定檔、spin 次數、seed、CSV 設定皆沿用 checkpoint）
+ * @param {Object} options - CLI 參數
+ * @returns {Object} { simulationData, configPath, csv, roundsCsvPath }
+ */
+function resumeSimulation(options) {
+  const checkpoint = loadCheckpoint(options.resume);
+  const meta = checkpoint.meta;
+  if (!meta || !meta.cli) {
+    throw new Error(`Checkpoint 不是由 CLI 建立，無法以 --resume 續跑: ${options.resume}`);
+  }
+
+  console.log(`⏯️  從 checkpoint 續跑: ${path.resolve(options.resume)}`);
+  console.log(`   設定檔: ${meta.configPath}`);
+  console.log(`   進度: Base Spin ${checkpoint.counters.baseSpins} / ${meta.spins}`);
+  console.log('');
+
+  let csvSink = null;
+  if (meta.csv.enabled) {
+    csvSink = new CsvSink(meta.csv.path, { gzip: meta.csv.gzip, resume: checkpoint.csv });
+  }
+
+  // v1.6.19: Feature Round CSV 由 checkpoint 記錄的位置續寫
+  const roundsCsvPath = meta.roundsCsv ? meta.roundsCsv.path : null;
+  let featureRoundSink = null;
+  if (roundsCsvPath !== null) {
+    try {
+      featureRoundSink = createFeatureRoundSink(roundsCsvPath, { resume: checkpoint.roundsCsv });
+    } catch (error) {
+      if (csvSink) {
+        csvSink.close();
+      }
+      throw error;
+    }
+  }
+
+  let simulationData;
+  try {
+    simulationData = simulate(meta.configPath, meta.spins, null, true, meta.csv.enabled, meta.config, meta.seed, {
+      csvSink: csvSink,
+      featureRoundSink: featureRoundSink,
+      checkpoint: {
+        path: options.checkpoint !== null ? options.checkpoint : options.resume,
+        interval: meta.checkpointInterval,
+        meta: meta
+      },
+      resume: checkpoint
+    });
+  } finally {
+    if (csvSink) {
+      csvSink.close();
+    }
+    if (featureRoundSink) {
+      featureRoundSink.close();
+    }
+  }
+
+  return { simulationData: simulationData, configPath: meta.configPath, csv: meta.csv, roundsCsvPath: roundsCsvPath };
+}
+
+/**
+ * 輸出報表與 CSV 結果
+ * @param {Object} simulationData - simulate() / runParallel() 回傳的資料
+ * @param {string} configPath - 設定檔路徑
+ * @param {Object} csv - CSV 設定（enabled, path, gzip）
+ * @param {number|null} tolerance - RTP 收斂容許誤差
+ * @param {string|null} [roundsCsvPath=null] - v1.6.19: Feature Round CSV 路徑
+ */
+function printResults(simulationData, configPath, csv, tolerance, roundsCsvPath = null) {
+  // v1.6.1: 以指定的 tolerance 重新計算收斂判定
+  if (tolerance !== null) {
+    simulationData.result.calculateConfidenceMetrics(tolerance);
+  }
+
+  // 使用 reporter 輸出優化後的報表
+  printReport(
+    simulationData.result,
+    simulationData.config,
+    simulationData.spinDetails,
+    simulationData.stateTransitions,
+    simulationData.targetBaseSpins,
+    configPath
+  );
+
+  // v1.1: CSV 匯出
+  // v1.6.5: 模擬期間已串流寫入，此處僅輸出結果
+  if (csv.enabled) {
+    const resolvedPath = path.isAbsolute(csv.path) 
+      ? csv.path 
+      : path.resolve(process.cwd(), csv.path);
+    console.log(`✅ CSV 匯出成功: ${resolvedPath}${csv.gzip ? ' (gzip)' : ''}`);
+  }
+
+  // v1.6.19: Feature Round CSV
+  if (roundsCsvPath !== null) {
+    console.log(`✅ Feature Round CSV 匯出成功: ${path.resolve(process.cwd(), roundsCsvPath)}`);
+  }
+}
+
 /**
  * 主程式
+ * v1.6.4: 改為 async（--workers 模式需等待 worker 完成）
  */
-function main() {
+async function main() {
   try {
     // 解析參數
     const options = parseArgs();
 
+    // v1.6.6: --resume 沿用 checkpoint 記錄的設定檔與參數
+    if (options.resume !== null) {
+      const resumed = resumeSimulation(options);
+      printResults(resumed.simulationData, resumed.configPath, resumed.csv, options.tolerance, resumed.roundsCsvPath);
+      return;
+    }
+
     // 檢查檔案是否存在
     if (!fs.existsSync(options.file)) {
       console.error(`❌ 錯誤: 找不到設定檔: ${options.file}`);
@@ -153,6 +462,14 @@ function main() {
     const configData = fs.readFileSync(configPath, 'utf8');
     let config = JSON.parse(configData);  // 改為 let，因為可能需要修改
 
+    // v1.6.0: --theory 只計算理論值（不執行模擬）
+    if (options.theory) {
+      console.log('✅ 設定檔驗證通過');
+      console.log('');
+      printTheoryReport(calculateTheory(config), config, configPath);
+      return;
+    }
+
     // v1.3: 如果指定 --no-visual，覆蓋 visualConfig.enabled
     if (options.noVisual) {
       if (!config.visualConfig) {
@@ -172,42 +489,129 @@ function main() {
       console.log('');
     }
 
+    // v1.6.2: 如果指定 --rng，覆蓋 rngConfig.algorithm
+    if (options.rng !== null) {
+      config = JSON.parse(JSON.stringify(config));
+      config.rngConfig = Object.assign({}, config.rngConfig, { algorithm: options.rng });
+      console.log(`🎲 RNG 演算法: ${options.rng}`);
+      console.log('');
+    }
+
+    // v1.6.3: 如果指定 --sub-seed，覆蓋 rngConfig.subSeedDerivation
+    if (options.subSeed !== null) {
+      config = JSON.parse(JSON.stringify(config));
+      config.rngConfig = Object.assign({}, config.rngConfig, { subSeedDerivation: options.subSeed });
+      console.log(`🔑 Sub-seed 推導版本: ${options.subSeed}`);
+      console.log('');
+    }
+
     console.log('✅ 設定檔驗證通過');
     console.log('');
     console.log('🚀 開始模擬...');
     console.log('');
 
-    // v1.3: 如果修改了 config（如 --no-visual 或 --seed），傳遞修改後的 config
-    const overrideConfig = (options.noVisual || options.seed !== null) ? config : null;
+    // v1.6.15: --bet-levels 以每個下注等級分別模擬（不使用 customReporter 的單次報表）
+    if (options.betLevels !== null) {
+      const betLevelData = simulateBetLevels(configPath, config, options.betLevels, options.spins, options.seed);
+      printBetLevelReport(betLevelData, config, configPath);
+      return;
+    }
+
+    // v1.6.16: --sessions 模擬多個獨立的 player session
+    if (options.sessions !== null) {
+      const sessionData = simulateSessions(configPath, config, {
+        customSeed: options.seed,
+        sessions: options.sessions > 0 ? options.sessions : null
+      });
+      printSessionReport(sessionData, configPath);
+      return;
+    }
+
+    // v1.3: 如果修改了 config（如 --no-visual、--seed、--rng 或 --sub-seed），傳遞修改後的 config
+    const overrideConfig = (options.noVisual || options.seed !== null || options.rng !== null || options.subSeed !== null)
+      ? config
+      : null;
     
     // 執行模擬（不傳入 customBet，使用 JSON 中的 baseBet；不輸出，使用 reporter；啟用 CSV）
     // Determinism: 傳遞 seed 參數（如果指定）
-    const simulationData = simulate(configPath, options.spins, null, true, options.csv.enabled, overrideConfig, options.seed);
-
-    // 使用 reporter 輸出優化後的報表
-    printReport(
-      simulationData.result,
-      simulationData.config,
-      simulationData.spinDetails,
-      simulationData.stateTransitions,
-      simulationData.targetBaseSpins,
-      configPath
-    );
-
-    // v1.1: CSV 匯出
-    if (options.csv.enabled && simulationData.spinLog) {
+    // v1.6.4: --workers 使用 parallel 模式（CSV 由 shard 串接，直接寫入檔案）
+    // v1.6.5: CSV 一律以 CsvSink 逐 spin 串流寫出（不保留 spinLog）
+    let simulationData;
+    if (options.workers !== null) {
+      console.log(`🧵 Parallel 模式: ${options.workers} workers`);
+      console.log('');
+      simulationData = await runParallel(configPath, options.spins, options.workers, {
+        overrideConfig: overrideConfig,
+        customSeed: options.seed,
+        csvPath: options.csv.enabled ? options.csv.path : null,
+        gzip: options.csv.gzip
+      });
+    } else {
+      let csvSink = null;
+      if (options.csv.enabled) {
+        try {
+          csvSink = new CsvSink(options.csv.path, { gzip: options.csv.gzip });
+        } catch (error) {
+          console.error('❌ CSV 匯出失敗');
+          console.error(`   原因: ${error.message}`);
+          process.exit(1);
+        }
+      }
+
+      // v1.6.19: 每個 Feature Round 結束時寫出一列
+      let featureRoundSink = null;
+      if (options.roundsCsv !== null) {
+        try {
+          featureRoundSink = createFeatureRoundSink(options.roundsCsv);
+        } catch (error) {
+          if (csvSink) {
+            csvSink.close();
+          }
+          console.error('❌ Feature Round CSV 匯出失敗');
+          console.error(`   原因: ${error.message}`);
+          process.exit(1);
+        }
+      }
+
+      // v1.6.6: checkpoint 記錄續跑所需的 CLI 參數（路徑一律轉為絕對路徑）
+      const checkpoint = options.checkpoint !== null
+        ? {
+            path: options.checkpoint,
+            interval: options.checkpointInterval,
+            meta: {
+              cli: true,
+              configPath: configPath,
+              config: config,
+              spins: options.spins,
+              seed: options.seed,
+              checkpointInterval: options.checkpointInterval,
+              csv: {
+                enabled: options.csv.enabled,
+                path: options.csv.enabled ? path.resolve(options.csv.path) : null,
+                gzip: options.csv.gzip
+              },
+              roundsCsv: options.roundsCsv !== null ? { path: path.resolve(options.roundsCsv) } : null  // v1.6.19
+            }
+          }
+        : null;
+
       try {
-        exportCSV(simulationData.spinLog, options.csv.path);
-        const resolvedPath = path.isAbsolute(options.csv.path) 
-          ? options.csv.path 
-          : path.resolve(process.cwd(), options.csv.path);
-        console.log(`✅ CSV 匯出成功: ${resolvedPath}`);
-      } catch (error) {
-        console.error('❌ CSV 匯出失敗');
-        console.error(`   原因: ${error.message}`);
-        process.exit(1);
+        simulationData = simulate(configPath, options.spins, null, true, options.csv.enabled, overrideConfig, options.seed, {
+          csvSink: csvSink,
+          checkpoint: checkpoint,
+          featureRoundSink: featureRoundSink
+        });
+      } finally {
+        if (csvSink) {
+          csvSink.close();
+        }
+        if (featureRoundSink) {
+          featureRoundSink.close();
+        }
       }
     }
+
+    printResults(simulationData, configPath, options.csv, options.tolerance, options.roundsCsv);
   } catch (error) {
     console.error('❌ 執行時發生錯誤:');
     console.error(`   ${error.message}`);
@@ -219,133 +623,6 @@ function main() {
   }
 }
 
-/**
- * v1.1: 匯出 CSV
- * @param {Array} spinLog - Spin 記錄陣列
- * @param {string} csvPath - CSV 檔案路徑
- */
-function exportCSV(spinLog, csvPath) {
-  // 1. 解析路徑（支援相對/絕對）
-  const resolvedPath = path.isAbsolute(csvPath) 
-    ? csvPath 
-    : path.resolve(process.cwd(), csvPath);
-  
-  // 2. 自動建立目錄
-  const dirname = path.dirname(resolvedPath);
-  if (!fs.existsSync(dirname)) {
-    fs.mkdirSync(dirname, { recursive: true });
-  }
-  
-  // 3. 生成 CSV 內容
-  const csvContent = generateCSV(spinLog);
-  
-  // 4. 寫入檔案
-  fs.writeFileSync(resolvedPath, csvContent, 'utf8');
-}
-
-/**
- * v1.1: 生成 CSV 內容
- * @param {Array} spinLog - Spin 記錄陣列
- * @returns {string} CSV 內容
- */
-/**
- * v1.4.patch_tease_diag_fix: CSV 欄位 quoting（標準 CSV 格式）
- * 
- * 處理包含逗號、引號、換行的欄位
- */
-function csvEscape(field) {
-  if (field === null || field === undefined) {
-    return '';
-  }
-  
-  const str = String(field);
-  
-  // 如果包含逗號、引號或換行，需要 quoting
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    // 將內部引號轉義為雙引號
-    const escaped = str.replace(/"/g, '""');
-    return `"${escaped}"`;
-  }
-  
-  return str;
-}
-
-function generateCSV(spinLog) {
-  // v1.5.2: CSV Header（包含所有 telemetry 欄位 + shadow mode 欄位 + FSM/Scatter 欄位）
-  // v1.5.3: 新增 Any-Position 欄位
-  const header = 'globalSpinIndex,baseSpinIndex,state,outcomeId,type,winAmount,triggeredFeatureId,patternSource,winConditionType,generatedWinLine,anchorsCount,visualRequestedType,visualAppliedType,visualApplied,visualPaylinesChosen,visualAttemptsUsed,visualGuardFailReason,visualSeed,teaseEligible,teaseChanceUsed,teaseRoll,teaseBlockedBy,visualGuardFailDetail,visualAttemptReasons,expectedWinAmount,evaluatedWinAmount,evaluationMatch,evaluatedEventCount,evaluatedRuleTypes,eventsJson,stateBefore,stateAfter,freeRemainingAfter,scatterCount,scatterGuardApplied,scatterAttemptsUsed,scatterFallbackUsed,anyPosSymbolId,anyPosTargetCount,anyPosActualCount,anyPosGuardApplied,anyPosAttemptsUsed,anyPosFallbackUsed';
-  
-  // CSV Rows
-  const rows = spinLog.map(log => {
-    // v1.4.patch_tease_diag_fix: visualPaylinesChosen 轉為 pipe-joined string（避免逗號問題）
-    const visualPaylinesChosen = Array.isArray(log.visualPaylinesChosen) 
-      ? log.visualPaylinesChosen.join('|')
-      : (log.visualPaylinesChosen || '');
-    
-    // v1.4.patch_tease_diag_fix: visualAttemptReasons 已經是字串（在 finalization 中處理）
-    const visualAttemptReasons = typeof log.visualAttemptReasons === 'string'
-      ? log.visualAttemptReasons
-      : (Array.isArray(log.visualAttemptReasons) ? log.visualAttemptReasons.join(';') : '');
-    
-    const row = [
-      csvEscape(log.globalSpinIndex),
-      csvEscape(log.baseSpinIndex),
-      csvEscape(log.state),
-      csvEscape(log.outcomeId),
-      csvEscape(log.type),
-      csvEscape(log.winAmount),
-      csvEscape(log.triggeredFeatureId || ''),  // null 值輸出為空字串
-      csvEscape(log.patternSource || 'NONE'),  // v1.4
-      csvEscape(log.winConditionType || ''),    // v1.4
-      csvEscape(log.generatedWinLine !== null && log.generatedWinLine !== undefined ? log.generatedWinLine : ''),  // v1.4
-      csvEscape(log.anchorsCount || 0),  // v1.4
-      // Phase A3: Visual Telemetry
-      csvEscape(log.visualRequestedType || 'NONE'),
-      csvEscape(log.visualAppliedType || 'NONE'),
-      csvEscape(log.visualApplied ? 'true' : 'false'),
-      csvEscape(visualPaylinesChosen),  // v1.4.patch_tease_diag_fix: pipe-joined
-      csvEscape(log.visualAttemptsUsed || 0),
-      csvEscape(log.visualGuardFailReason || ''),  // v1.4.patch_tease_diag_fix: 已清理成功案例
-      csvEscape(log.visualSeed || ''),
-      // v1.4.patch: Tease Probability fields
-      csvEscape(log.teaseEligible ? 'true' : 'false'),
-      csvEscape(log.teaseChanceUsed !== null && log.teaseChanceUsed !== undefined ? log.teaseChanceUsed : ''),
-      csvEscape(log.teaseRoll !== null && log.teaseRoll !== undefined ? log.teaseRoll : ''),
-      csvEscape(log.teaseBlockedBy || 'NONE'),
-      // v1.4.patch: Guard Diagnostics fields（JSON 字串，需要 quoting）
-      csvEscape(log.visualGuardFailDetail || ''),  // v1.4.patch_tease_diag_fix: 已清理成功案例
-      csvEscape(visualAttemptReasons),  // v1.4.patch_tease_diag_fix: 已經是字串
-      // v1.5.0: Shadow Mode fields
-      csvEscape(log.expectedWinAmount !== undefined ? log.expectedWinAmount : ''),
-      csvEscape(log.evaluatedWinAmount !== undefined ? log.evaluatedWinAmount : ''),
-      csvEscape(log.evaluationMatch !== undefined ? (log.evaluationMatch ? 'true' : 'false') : ''),
-      csvEscape(log.evaluatedEventCount !== undefined ? log.evaluatedEventCount : 0),
-      csvEscape(log.evaluatedRuleTypes || ''),
-      csvEscape(log.eventsJson || ''),  // JSON 字串，需要 quoting
-      // v1.5.2: FSM State Telemetry
-      csvEscape(log.stateBefore || ''),
-      csvEscape(log.stateAfter || ''),
-      csvEscape(log.freeRemainingAfter !== undefined ? log.freeRemainingAfter : ''),
-      // v1.5.2: Scatter Telemetry
-      csvEscape(log.scatterCount !== undefined ? log.scatterCount : 0),
-      csvEscape(log.scatterGuardApplied !== undefined ? (log.scatterGuardApplied ? 'true' : 'false') : 'false'),
-      csvEscape(log.scatterAttemptsUsed !== undefined ? log.scatterAttemptsUsed : 0),
-      csvEscape(log.scatterFallbackUsed !== undefined ? (log.scatterFallbackUsed ? 'true' : 'false') : 'false'),
-      // v1.5.3: Any-Position Telemetry
-      csvEscape(log.anyPosSymbolId || ''),
-      csvEscape(log.anyPosTargetCount !== undefined && log.anyPosTargetCount !== '' ? log.anyPosTargetCount : ''),
-      csvEscape(log.anyPosActualCount !== undefined ? log.anyPosActualCount : 0),
-      csvEscape(log.anyPosGuardApplied !== undefined ? (log.anyPosGuardApplied ? 'true' : 'false') : 'false'),
-      csvEscape(log.anyPosAttemptsUsed !== undefined ? log.anyPosAttemptsUsed : 0),
-      csvEscape(log.anyPosFallbackUsed !== undefined ? (log.anyPosFallbackUsed ? 'true' : 'false') : 'false')
-    ];
-    
-    return row.join(',');
-  });
-  
-  return [header, ...rows].join('\n');
-}
-
 // 執行主程式
 main();
 
@@ -0,0 +1,116 @@
+const { canSubstitute } = require('./lineMatcher');
+
+/**
+ * v1.6.21: Cluster Matcher（Cluster pays 判定，支援 Wild 替代）
+ *
+ * 核心原則：
+ * - Evaluator / Resolver / Visual Layer 共用同一套 cluster 判定（與 lineMatcher.js / waysMatcher.js 相同原則）
+ * - cluster = 上下左右相鄰（orthogonal adjacency）的同符號格子所組成的連通區塊，斜向不相連
+ * - 可替代該符號的 WILD 也屬於該 cluster（同一個 WILD 可同時屬於不同符號的 cluster）
+ * - 大小 >= minClusterSize（gameRule.minClusterSize，預設 DEFAULT_MIN_CLUSTER_SIZE）才算中獎，
+ *   且 cluster 內必須有至少一格為該符號本身（只由 WILD 組成的區塊不支付）
+ * - 只有 CLUSTER_SYMBOL_TYPES 的符號以 cluster 支付（WILD 只替代、SCATTER / ANY_POSITION 不參與）
+ */
+
+const DEFAULT_MIN_CLUSTER_SIZE = 5;
+const CLUSTER_SYMBOL_TYPES = ['LOW', 'MID', 'HIGH'];
+
+// 上下左右四個方向
+const NEIGHBOR_OFFSETS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * 取得 gameRule 的最小 cluster 大小（未設定時為 DEFAULT_MIN_CLUSTER_SIZE）
+ */
+function getMinClusterSize(gameRule) {
+  return gameRule && gameRule.minClusterSize !== undefined ? gameRule.minClusterSize : DEFAULT_MIN_CLUSTER_SIZE;
+}
+
+/**
+ * 上下左右相鄰且在盤面內的位置
+ * @returns {Array<[number, number]>} [[row, col], ...]
+ */
+function getNeighbors(row, col, rows, cols) {
+  return NEIGHBOR_OFFSETS
+    .map(([dr, dc]) => [row + dr, col + dc])
+    .filter(([r, c]) => r >= 0 && r < rows && c >= 0 && c < cols);
+}
+
+/**
+ * 找出單一符號的所有連通區塊（不論大小）
+ * @param {Array<Array<string|null>>} grid - 盤面（rows x cols，null 視為不符合）
+ * @param {string} symbolId - 支付符號
+ * @param {Object} rules - buildWildRules() 的結果
+ * @returns {Array<Object>} { symbolId, size, wildCount, symbolCount, positions }（positions 依 row, col 排序）
+ */
+function matchClusters(grid, symbolId, rules) {
+  const rows = grid.length;
+  const cols = rows > 0 ? grid[0].length : 0;
+  const matches = (cell) => cell === symbolId || (cell !== null && canSubstitute(rules, cell, symbolId));
+  const visited = new Set();
+  const clusters = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (visited.has(`${row},${col}`) || !matches(grid[row][col])) {
+        continue;
+      }
+
+      // BFS
+      const positions = [];
+      const queue = [[row, col]];
+      visited.add(`${row},${col}`);
+      while (queue.length > 0) {
+        const [r, c] = queue.shift();
+        positions.push([r, c]);
+        getNeighbors(r, c, rows, cols).forEach(([nr, nc]) => {
+          const key = `${nr},${nc}`;
+          if (!visited.has(key) && matches(grid[nr][nc])) {
+            visited.add(key);
+            queue.push([nr, nc]);
+          }
+        });
+      }
+
+      positions.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      const symbolCount = positions.filter(([r, c]) => grid[r][c] === symbolId).length;
+      clusters.push({
+        symbolId,
+        size: positions.length,
+        wildCount: positions.length - symbolCount,
+        symbolCount,
+        positions
+      });
+    }
+  }
+
+  return clusters;
+}
+
+/**
+ * 找出盤面上所有中獎的 cluster（依 symbols 陣列順序，同一符號依第一格位置排序）
+ * @param {Array<Array<string|null>>} grid - 盤面
+ * @param {Array} symbols - design.json 的 symbols 陣列
+ * @param {Object} rules - buildWildRules() 的結果
+ * @param {number} minClusterSize - 最小 cluster 大小
+ * @returns {Array<Object>} matchClusters() 的結果（size >= minClusterSize 且含該符號本身）
+ */
+function findClusters(grid, symbols, rules, minClusterSize = DEFAULT_MIN_CLUSTER_SIZE) {
+  const clusters = [];
+  symbols
+    .filter(s => CLUSTER_SYMBOL_TYPES.includes(s.type))
+    .forEach(s => {
+      matchClusters(grid, s.id, rules)
+        .filter(cluster => cluster.size >= minClusterSize && cluster.symbolCount > 0)
+        .forEach(cluster => clusters.push(cluster));
+    });
+  return clusters;
+}
+
+module.exports = {
+  DEFAULT_MIN_CLUSTER_SIZE,
+  CLUSTER_SYMBOL_TYPES,
+  getMinClusterSize,
+  getNeighbors,
+  matchClusters,
+  findClusters
+};
@@ -0,0 +1,416 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * v1.6.4: CSV Exporter（自 cli.js 移出，供 CLI 與 parallel worker 共用）
+ *
+ * 格式：header + rows，以 '\n' 分隔，結尾不含換行（與 v1.5.3 相同）
+ * 注意：所有欄位（包含 JSON 欄位）皆不含換行字元，因此每一行即為一筆 spin 記錄
+ *
+ * v1.6.5: CsvSink 串流寫出（記憶體用量與 spin 次數無關），可選 gzip
+ * v1.6.19: Feature Round CSV（每次觸發的 Feature 一行，--rounds-csv）
+ */
+
+// v1.5.2: CSV Header（包含所有 telemetry 欄位 + shadow mode 欄位 + FSM/Scatter 欄位）
+// v1.5.3: 新增 Any-Position 欄位
+// v1.6.10: 新增 ruleSet 欄位（該 spin 使用的 gameRules）
+// v1.6.14: 新增 multiplier 欄位（Free Game 倍數，未套用時為 1）
+// v1.6.24: 新增 anyPosConditionsJson 欄位（所有 ANY_POSITION 條件；anyPosSymbolId / anyPosTargetCount 只記錄第一個條件）
+const CSV_HEADER = 'globalSpinIndex,baseSpinIndex,state,outcomeId,type,winAmount,triggeredFeatureId,patternSource,winConditionType,generatedWinLine,anchorsCount,visualRequestedType,visualAppliedType,visualApplied,visualPaylinesChosen,visualAttemptsUsed,visualGuardFailReason,visualSeed,teaseEligible,teaseChanceUsed,teaseRoll,teaseBlockedBy,visualGuardFailDetail,visualAttemptReasons,expectedWinAmount,evaluatedWinAmount,evaluationMatch,evaluatedEventCount,evaluatedRuleTypes,eventsJson,stateBefore,stateAfter,freeRemainingAfter,scatterCount,scatterGuardApplied,scatterAttemptsUsed,scatterFallbackUsed,anyPosSymbolId,anyPosTargetCount,anyPosActualCount,anyPosGuardApplied,anyPosAttemptsUsed,anyPosFallbackUsed,ruleSet,multiplier,anyPosConditionsJson';
+
+// v1.6.19: Feature Round CSV Header（outcomeCounts 為 "outcomeId:次數" 以 | 串接）
+const FEATURE_ROUND_CSV_HEADER = 'roundIndex,baseSpinIndex,triggerSpinIndex,triggerOutcomeId,spins,retriggers,totalWin,winMultiple,outcomeCounts';
+
+/**
+ * v1.4.patch_tease_diag_fix: CSV 欄位 quoting（標準 CSV 格式）
+ * 
+ * 處理包含逗號、引號、換行的欄位
+ */
+function csvEscape(field) {
+  if (field === null || field === undefined) {
+    return '';
+  }
+  
+  const str = String(field);
+  
+  // 如果包含逗號、引號或換行，需要 quoting
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    // 將內部引號轉義為雙引號
+    const escaped = str.replace(/"/g, '""');
+    return `"${escaped}"`;
+  }
+  
+  return str;
+}
+
+/**
+ * 將單筆 spin 記錄格式化為 CSV 行
+ * @param {Object} log - spinLog 記錄
+ * @returns {string} CSV 行（不含換行）
+ */
+function formatCsvRow(log) {
+  // v1.4.patch_tease_diag_fix: visualPaylinesChosen 轉為 pipe-joined string（避免逗號問題）
+  const visualPaylinesChosen = Array.isArray(log.visualPaylinesChosen) 
+    ? log.visualPaylinesChosen.join('|')
+    : (log.visualPaylinesChosen || '');
+  
+  // v1.4.patch_tease_diag_fix: visualAttemptReasons 已經是字串（在 finalization 中處理）
+  const visualAttemptReasons = typeof log.visualAttemptReasons === 'string'
+    ? log.visualAttemptReasons
+    : (Array.isArray(log.visualAttemptReasons) ? log.visualAttemptReasons.join(';') : '');
+  
+  const row = [
+    csvEscape(log.globalSpinIndex),
+    csvEscape(log.baseSpinIndex),
+    csvEscape(log.state),
+    csvEscape(log.outcomeId),
+    csvEscape(log.type),
+    csvEscape(log.winAmount),
+    csvEscape(log.triggeredFeatureId || ''),  // null 值輸出為空字串
+    csvEscape(log.patternSource || 'NONE'),  // v1.4
+    csvEscape(log.winConditionType || ''),    // v1.4
+    csvEscape(log.generatedWinLine !== null && log.generatedWinLine !== undefined ? log.generatedWinLine : ''),  // v1.4
+    csvEscape(log.anchorsCount || 0),  // v1.4
+    // Phase A3: Visual Telemetry
+    csvEscape(log.visualRequestedType || 'NONE'),
+    csvEscape(log.visualAppliedType || 'NONE'),
+    csvEscape(log.visualApplied ? 'true' : 'false'),
+    csvEscape(visualPaylinesChosen),  // v1.4.patch_tease_diag_fix: pipe-joined
+    csvEscape(log.visualAttemptsUsed || 0),
+    csvEscape(log.visualGuardFailReason || ''),  // v1.4.patch_tease_diag_fix: 已清理成功案例
+    csvEscape(log.visualSeed || ''),
+    // v1.4.patch: Tease Probability fields
+    csvEscape(log.teaseEligible ? 'true' : 'false'),
+    csvEscape(log.teaseChanceUsed !== null && log.teaseChanceUsed !== undefined ? log.teaseChanceUsed : ''),
+    csvEscape(log.teaseRoll !== null && log.teaseRoll !== undefined ? log.teaseRoll : ''),
+    csvEscape(log.teaseBlockedBy || 'NONE'),
+    // v1.4.patch: Guard Diagnostics fields（JSON 字串，需要 quoting）
+    csvEscape(log.visualGuardFailDetail || ''),  // v1.4.patch_tease_diag_fix: 已清理成功案例
+    csvEscape(visualAttemptReasons),  // v1.4.patch_tease_diag_fix: 已經是字串
+    // v1.5.0: Shadow Mode fields
+    csvEscape(log.expectedWinAmount !== undefined ? log.expectedWinAmount : ''),
+    csvEscape(log.evaluatedWinAmount !== undefined ? log.evaluatedWinAmount : ''),
+    csvEscape(log.evaluationMatch !== undefined ? (log.evaluationMatch ? 'true' : 'false') : ''),
+    csvEscape(log.evaluatedEventCount !== undefined ? log.evaluatedEventCount : 0),
+    csvEscape(log.evaluatedRuleTypes || ''),
+    csvEscape(log.eventsJson || ''),  // JSON 字串，需要 quoting
+    // v1.5.2: FSM State Telemetry
+    csvEscape(log.stateBefore || ''),
+    csvEscape(log.stateAfter || ''),
+    csvEscape(log.freeRemainingAfter !== undefined ? log.freeRemainingAfter : ''),
+    // v1.5.2: Scatter Telemetry
+    csvEscape(log.scatterCount !== undefined ? log.scatterCount : 0),
+    csvEscape(log.scatterGuardApplied !== undefined ? (log.scatterGuardApplied ? 'true' : 'false') : 'false'),
+    csvEscape(log.scatterAttemptsUsed !== undefined ? log.scatterAttemptsUsed : 0),
+    csvEscape(log.scatterFallbackUsed !== undefined ? (log.scatterFallbackUsed ? 'true' : 'false') : 'false'),
+    // v1.5.3: Any-Position Telemetry
+    csvEscape(log.anyPosSymbolId || ''),
+    csvEscape(log.anyPosTargetCount !== undefined && log.anyPosTargetCount !== '' ? log.anyPosTargetCount : ''),
+    csvEscape(log.anyPosActualCount !== undefined ? log.anyPosActualCount : 0),
+    csvEscape(log.anyPosGuardApplied !== undefined ? (log.anyPosGuardApplied ? 'true' : 'false') : 'false'),
+    csvEscape(log.anyPosAttemptsUsed !== undefined ? log.anyPosAttemptsUsed : 0),
+    csvEscape(log.anyPosFallbackUsed !== undefined ? (log.anyPosFallbackUsed ? 'true' : 'false') : 'false'),
+    // v1.6.10: Rule Set Telemetry
+    csvEscape(log.ruleSet || ''),
+    // v1.6.14: Free Game 倍數
+    csvEscape(log.multiplier !== undefined ? log.multiplier : 1),
+    // v1.6.24: 所有 ANY_POSITION 條件
+    csvEscape(log.anyPosConditionsJson || '')  // JSON 字串，需要 quoting
+  ];
+  
+  return row.join(',');
+}
+
+/**
+ * v1.6.19: 格式化一筆 Feature Round 記錄
+ * @param {Object} round - simulate() 寫入 featureRoundSink 的記錄
+ * @returns {string} CSV 行
+ */
+function formatFeatureRoundRow(round) {
+  const outcomeCounts = Object.keys(round.outcomeCounts)
+    .map(outcomeId => `${outcomeId}:${round.outcomeCounts[outcomeId]}`)
+    .join('|');
+  return [
+    round.roundIndex,
+    round.baseSpinIndex,
+    round.triggerSpinIndex,
+    round.triggerOutcomeId,
+    round.spins,
+    round.retriggers,
+    round.totalWin,
+    round.winMultiple,
+    outcomeCounts
+  ].map(csvEscape).join(',');
+}
+
+/**
+ * v1.1: 生成 CSV 內容
+ * @param {Array} spinLog - Spin 記錄陣列
+ * @returns {string} CSV 內容
+ */
+function generateCSV(spinLog) {
+  const rows = spinLog.map(formatCsvRow);
+  return [CSV_HEADER, ...rows].join('\n');
+}
+
+/**
+ * 解析 CSV 路徑（支援相對/絕對）並自動建立目錄
+ * @param {string} csvPath - CSV 檔案路徑
+ * @returns {string} 絕對路徑
+ */
+function prepareCsvPath(csvPath) {
+  const resolvedPath = path.isAbsolute(csvPath) 
+    ? csvPath 
+    : path.resolve(process.cwd(), csvPath);
+  
+  const dirname = path.dirname(resolvedPath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+  return resolvedPath;
+}
+
+// ============================================================================
+// v1.6.5: Streaming Sink
+// ============================================================================
+
+const DEFAULT_HIGH_WATER_MARK = 1 << 20;  // 1 MB
+
+/**
+ * 串流 CSV 寫出器
+ *
+ * - simulate() 為同步迴圈，因此以同步寫入實作 backpressure：
+ *   緩衝區達到 highWaterMark 時立即 fs.writeSync 寫出（阻塞直到寫入完成），記憶體上限固定
+ * - gzip：每次 flush 壓縮為一個 gzip member（RFC 1952 允許多個 member 串接，gunzip/zcat 皆可解壓）
+ * - 輸出格式與 generateCSV() 相同（結尾不含換行）
+ */
+class CsvSink {
+  /**
+   * @param {string} csvPath - 輸出檔案路徑
+   * @param {Object} [options]
+   * @param {boolean} [options.gzip=false] - 以 gzip 壓縮輸出
+   * @param {boolean} [options.header=true] - 是否寫入 header（parallel shard 不寫）
+   * @param {number} [options.highWaterMark=1MB] - 緩衝區上限（字元數）
+   * @param {Object} [options.resume] - v1.6.6: 從 getPosition() 的位置續寫（截斷其後的內容，不重寫 header）
+   * @param {string} [options.headerLine=CSV_HEADER] - v1.6.19: header 內容
+   * @param {Function} [options.formatRow=formatCsvRow] - v1.6.19: 將 write() 的記錄格式化為 CSV 行
+   */
+  constructor(csvPath, options = {}) {
+    this.path = prepareCsvPath(csvPath);
+    this.gzip = options.gzip === true;
+    this.formatRow = options.formatRow || formatCsvRow;
+    this.highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+    this.rowCount = 0;  // 已寫入的 spin 記錄數（不含 header）
+
+    this._chunks = [];
+    this._bufferedLength = 0;
+    this._lineCount = 0;
+    this._bytesWritten = 0;
+
+    if (options.resume) {
+      // v1.6.6: flush 邊界即為檔案（gzip 為 member）邊界，截斷後可直接續寫
+      if (!fs.existsSync(this.path)) {
+        throw new Error(`找不到要續寫的 CSV: ${this.path}`);
+      }
+      if (fs.statSync(this.path).size < options.resume.bytesWritten) {
+        throw new Error(`CSV 檔案比 checkpoint 記錄的位置短，無法續寫: ${this.path}`);
+      }
+      this._fd = fs.openSync(this.path, 'r+');
+      fs.ftruncateSync(this._fd, options.resume.bytesWritten);
+      this._bytesWritten = options.resume.bytesWritten;
+      this._lineCount = options.resume.lineCount;
+      this.rowCount = options.resume.rowCount;
+      return;
+    }
+
+    this._fd = fs.openSync(this.path, 'w');
+    if (options.header !== false) {
+      this.writeLine(options.headerLine || CSV_HEADER);
+    }
+  }
+
+  /**
+   * v1.6.6: 目前的寫入位置（必須先 flush；用於 checkpoint）
+   * @returns {Object} { bytesWritten, lineCount, rowCount }
+   */
+  getPosition() {
+    if (this._chunks.length > 0) {
+      throw new Error('CsvSink.getPosition() 前必須先 flush()');
+    }
+    return {
+      bytesWritten: this._bytesWritten,
+      lineCount: this._lineCount,
+      rowCount: this.rowCount
+    };
+  }
+
+  /**
+   * 寫入一筆 spin 記錄
+   * @param {Object} log - spinLog 記錄（v1.6.19: 或 formatRow 接受的記錄）
+   */
+  write(log) {
+    this.writeLine(this.formatRow(log));
+    this.rowCount++;
+  }
+
+  /**
+   * 寫入一行已格式化的 CSV（不含換行）
+   * @param {string} line - CSV 行
+   */
+  writeLine(line) {
+    if (this._fd === null) {
+      throw new Error(`CsvSink 已關閉: ${this.path}`);
+    }
+    const text = this._lineCount > 0 ? '\n' + line : line;
+    this._chunks.push(text);
+    this._bufferedLength += text.length;
+    this._lineCount++;
+    if (this._bufferedLength >= this.highWaterMark) {
+      this.flush();
+    }
+  }
+
+  /**
+   * 將緩衝區寫入檔案
+   */
+  flush() {
+    if (this._chunks.length === 0) {
+      return;
+    }
+    const data = Buffer.from(this._chunks.join(''), 'utf8');
+    this._writeBuffer(this.gzip ? zlib.gzipSync(data) : data);
+    this._chunks = [];
+    this._bufferedLength = 0;
+  }
+
+  /**
+   * 寫出剩餘資料並關閉檔案
+   */
+  close() {
+    if (this._fd === null) {
+      return;
+    }
+    this.flush();
+    if (this.gzip && this._bytesWritten === 0) {
+      // 空內容仍輸出合法的 gzip 檔
+      this._writeBuffer(zlib.gzipSync(Buffer.alloc(0)));
+    }
+    fs.closeSync(this._fd);
+    this._fd = null;
+  }
+
+  _writeBuffer(buffer) {
+    let offset = 0;
+    while (offset < buffer.length) {
+      offset += fs.writeSync(this._fd, buffer, offset, buffer.length - offset, this._bytesWritten + offset);
+    }
+    this._bytesWritten += buffer.length;
+  }
+}
+
+/**
+ * v1.6.19: 建立 Feature Round CSV 的 CsvSink（simulate() 的 options.featureRoundSink）
+ * @param {string} csvPath - CSV 檔案路徑
+ * @param {Object} [options] - CsvSink 選項（gzip）
+ * @returns {CsvSink}
+ */
+function createFeatureRoundSink(csvPath, options = {}) {
+  return new CsvSink(csvPath, Object.assign({}, options, {
+    headerLine: FEATURE_ROUND_CSV_HEADER,
+    formatRow: formatFeatureRoundRow
+  }));
+}
+
+/**
+ * v1.1: 匯出 CSV
+ * v1.6.5: 改以 CsvSink 寫出（不再組出完整字串）
+ * @param {Array} spinLog - Spin 記錄陣列
+ * @param {string} csvPath - CSV 檔案路徑
+ * @param {Object} [options] - CsvSink 選項（gzip）
+ */
+function exportCSV(spinLog, csvPath, options = {}) {
+  const sink = new CsvSink(csvPath, options);
+  try {
+    spinLog.forEach(log => sink.write(log));
+  } finally {
+    sink.close();
+  }
+}
+
+// ============================================================================
+// v1.6.4: Shard CSV（parallel 模式）
+// v1.6.5: Shard 由 worker 以 CsvSink（header: false）串流寫出
+// ============================================================================
+
+const SHARD_IO_CHUNK_BYTES = 1 << 20;  // 1 MB
+
+/**
+ * 將 CSV 行的前兩個欄位（globalSpinIndex, baseSpinIndex）加上 offset
+ */
+function _offsetIndices(line, globalSpinOffset, baseSpinOffset) {
+  const first = line.indexOf(',');
+  const second = line.indexOf(',', first + 1);
+  const globalSpinIndex = Number(line.slice(0, first)) + globalSpinOffset;
+  const baseSpinIndex = Number(line.slice(first + 1, second)) + baseSpinOffset;
+  return `${globalSpinIndex},${baseSpinIndex}${line.slice(second)}`;
+}
+
+/**
+ * 逐行讀取檔案（固定大小 chunk，不一次載入整個檔案）
+ */
+function _forEachLine(filePath, callback) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(SHARD_IO_CHUNK_BYTES);
+  const decoder = new StringDecoder('utf8');  // 處理跨 chunk 的多位元組字元
+  let carry = '';
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const text = carry + decoder.write(buffer.subarray(0, bytesRead));
+      const lines = text.split('\n');
+      carry = lines.pop();
+      lines.forEach(callback);
+    }
+    carry += decoder.end();
+    if (carry.length > 0) {
+      callback(carry);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * 依 spin 順序串接 shard CSV，並將索引轉換為全域索引
+ *
+ * @param {Array<Object>} shards - 依 shard 順序排列：[{ path, globalSpinOffset, baseSpinOffset }]
+ * @param {string} csvPath - 輸出 CSV 檔案路徑
+ * @param {Object} [options] - CsvSink 選項（v1.6.5: gzip）
+ */
+function concatCsvShards(shards, csvPath, options = {}) {
+  const sink = new CsvSink(csvPath, options);
+  try {
+    shards.forEach(shard => {
+      _forEachLine(shard.path, line => {
+        sink.writeLine(_offsetIndices(line, shard.globalSpinOffset, shard.baseSpinOffset));
+      });
+    });
+  } finally {
+    sink.close();
+  }
+}
+
+module.exports = {
+  CSV_HEADER,
+  csvEscape,
+  formatCsvRow,
+  generateCSV,
+  exportCSV,
+  CsvSink,
+  concatCsvShards,
+  FEATURE_ROUND_CSV_HEADER,  // v1.6.19
+  formatFeatureRoundRow,
+  createFeatureRoundSink
+};
@@ -0,0 +1,371 @@
+/**
+ * v1.6.11: FSM Engine（由 fsmConfig 驅動的有限狀態機）
+ *
+ * 核心原則：
+ * - 狀態、事件與轉換全部來自 fsmConfig，模擬迴圈不再硬編碼 BASE / FREE
+ * - initialState 為 Base 狀態（扣除 bet、計入 Base Spin）；其他狀態皆為 Feature 狀態，
+ *   必須有 spin 計數器：進入狀態時設定次數，每個 spin 結束後遞減，歸零時觸發該狀態的 endEvent
+ * - 事件來源：
+ *   - FEATURE Outcome 觸發 outcome.fsmEvent（未指定時為 TRIGGER_FREE）
+ *   - spin 計數器歸零時觸發 endEvent（預設為 `${state}_SPINS_END`，例如 FREE_SPINS_END）
+ * - Core Spec v1.0.2：觸發轉換的那一個 spin 不遞減新狀態的計數器
+ *
+ * 設定格式：
+ *   "fsmConfig": {
+ *     "initialState": "BASE",
+ *     "states": ["BASE", "FREE", "SUPER_FREE"],
+ *     "transitions": [
+ *       { "from": "BASE", "on": "TRIGGER_FREE", "to": "FREE" },
+ *       { "from": "FREE", "on": "TRIGGER_SUPER_FREE", "to": "SUPER_FREE" },
+ *       { "from": "FREE", "on": "FREE_SPINS_END", "to": "BASE" },
+ *       { "from": "SUPER_FREE", "on": "SUPER_FREE_SPINS_END", "to": "BASE" }
+ *     ],
+ *     "spinCounters": {
+ *       "SUPER_FREE": { "spins": 5 }
+ *     }
+ *   }
+ *   - spinCounters.FREE 未定義時沿用 featureConfig.freeSpinCount
+ *   - transition.spins 可覆寫進入目標狀態時的次數
+ *
+ * v1.6.12: Retrigger（featureConfig.retrigger）
+ * - FREE 中未指定 fsmEvent 的 FEATURE Outcome 觸發 TRIGGER_FREE 時不切換狀態，而是增加 retrigger.spins 次
+ * - maxTotalSpins：單一 Feature 的 spin 總數上限（含初始次數）；maxRetriggers：單一 Feature 的 retrigger 次數上限
+ * - 達到上限時 retrigger 仍會發生，但增加的次數被截斷（可能為 0）
+ *
+ *   "featureConfig": {
+ *     "freeSpinCount": 10,
+ *     "retrigger": { "spins": 5, "scatterCount": 3, "maxTotalSpins": 50, "maxRetriggers": 3 }
+ *   }
+ *
+ * v1.6.23: WIN_AND_FEATURE Outcome（Scatter 派彩 + 觸發）與 FEATURE 相同觸發事件
+ */
+
+// FEATURE Outcome 未指定 fsmEvent 時觸發的事件（scatterConfig.trigger 的 Free Game 觸發）
+const DEFAULT_FEATURE_EVENT = 'TRIGGER_FREE';
+
+// 未提供 fsmConfig 時的預設狀態機（v1.0 BASE <-> FREE）
+const DEFAULT_FSM_CONFIG = {
+  initialState: 'BASE',
+  states: ['BASE', 'FREE'],
+  transitions: [
+    { from: 'BASE', on: DEFAULT_FEATURE_EVENT, to: 'FREE' },
+    { from: 'FREE', on: 'FREE_SPINS_END', to: 'BASE' }
+  ]
+};
+
+/**
+ * 取得設定檔的 fsmConfig（不存在時使用預設狀態機）
+ * @param {Object} config - 設定檔物件
+ * @returns {Object} fsmConfig
+ */
+function getFsmConfig(config) {
+  return config.fsmConfig || DEFAULT_FSM_CONFIG;
+}
+
+// v1.6.23: 會觸發 FSM 事件的 Outcome 類型（WIN_AND_FEATURE 另外支付 Scatter 派彩）
+const FEATURE_OUTCOME_TYPES = ['FEATURE', 'WIN_AND_FEATURE'];
+
+/**
+ * v1.6.23: Outcome 是否觸發 FSM 事件（FEATURE / WIN_AND_FEATURE）
+ * @param {Object} outcome - Outcome 物件
+ * @returns {boolean}
+ */
+function isFeatureOutcome(outcome) {
+  return FEATURE_OUTCOME_TYPES.includes(outcome.type);
+}
+
+/**
+ * FEATURE Outcome 觸發的事件
+ * @param {Object} outcome - Outcome 物件
+ * @returns {string} 事件名稱
+ */
+function getOutcomeEvent(outcome) {
+  return outcome.fsmEvent || DEFAULT_FEATURE_EVENT;
+}
+
+// Retrigger 適用的狀態（featureConfig 描述的 Free Game）
+const RETRIGGER_STATE = 'FREE';
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * v1.6.12: 驗證並正規化 featureConfig.retrigger
+ * @param {Object|undefined} retrigger - featureConfig.retrigger
+ * @returns {Object|null} { spins, scatterCount, maxTotalSpins, maxRetriggers }（未設定時為 null）
+ */
+function normalizeRetrigger(retrigger) {
+  if (retrigger === undefined || retrigger === null) {
+    return null;
+  }
+  if (typeof retrigger !== 'object' || Array.isArray(retrigger)) {
+    throw new Error('featureConfig.retrigger 必須為物件');
+  }
+  if (!isPositiveInteger(retrigger.spins)) {
+    throw new Error('featureConfig.retrigger.spins 必須為正整數');
+  }
+  ['scatterCount', 'maxTotalSpins'].forEach(key => {
+    if (retrigger[key] !== undefined && !isPositiveInteger(retrigger[key])) {
+      throw new Error(`featureConfig.retrigger.${key} 必須為正整數`);
+    }
+  });
+  if (retrigger.maxRetriggers !== undefined &&
+      !(Number.isInteger(retrigger.maxRetriggers) && retrigger.maxRetriggers >= 0)) {
+    throw new Error('featureConfig.retrigger.maxRetriggers 必須為 >= 0 的整數');
+  }
+  return {
+    spins: retrigger.spins,
+    scatterCount: retrigger.scatterCount !== undefined ? retrigger.scatterCount : null,
+    maxTotalSpins: retrigger.maxTotalSpins !== undefined ? retrigger.maxTotalSpins : null,
+    maxRetriggers: retrigger.maxRetriggers !== undefined ? retrigger.maxRetriggers : null
+  };
+}
+
+/**
+ * FSM Engine
+ */
+class FsmEngine {
+  /**
+   * @param {Object} fsmConfig - design.json 的 fsmConfig（見 getFsmConfig）
+   * @param {Object} featureConfig - design.json 的 featureConfig（FREE 計數器的預設次數）
+   */
+  constructor(fsmConfig, featureConfig = {}) {
+    const states = fsmConfig.states;
+    if (!Array.isArray(states) || states.length === 0) {
+      throw new Error('fsmConfig.states 必須為非空陣列');
+    }
+    states.forEach(state => {
+      if (typeof state !== 'string' || state === '') {
+        throw new Error(`fsmConfig.states 包含無效的狀態: ${JSON.stringify(state)}`);
+      }
+    });
+    if (new Set(states).size !== states.length) {
+      throw new Error('fsmConfig.states 不得包含重複的狀態');
+    }
+    if (!states.includes(fsmConfig.initialState)) {
+      throw new Error(`fsmConfig.initialState ("${fsmConfig.initialState}") 不存在於 fsmConfig.states`);
+    }
+
+    this.states = states;
+    this.initialState = fsmConfig.initialState;
+
+    // 轉換表: { [from]: { [event]: transition } }
+    this.transitions = {};
+    states.forEach(state => {
+      this.transitions[state] = {};
+    });
+    (fsmConfig.transitions || []).forEach((transition, index) => {
+      const label = `fsmConfig.transitions[${index}]`;
+      if (!states.includes(transition.from) || !states.includes(transition.to)) {
+        throw new Error(`${label} 的 from / to 必須存在於 fsmConfig.states（${transition.from} -> ${transition.to}）`);
+      }
+      if (typeof transition.on !== 'string' || transition.on === '') {
+        throw new Error(`${label}.on 必須為非空字串`);
+      }
+      if (transition.spins !== undefined && !isPositiveInteger(transition.spins)) {
+        throw new Error(`${label}.spins 必須為正整數`);
+      }
+      if (this.transitions[transition.from][transition.on]) {
+        throw new Error(`${label} 重複定義 ${transition.from} 的事件 ${transition.on}`);
+      }
+      this.transitions[transition.from][transition.on] = transition;
+    });
+
+    // spin 計數器: { [state]: { spins, endEvent } }（initialState 沒有計數器）
+    const spinCounters = fsmConfig.spinCounters || {};
+    Object.keys(spinCounters).forEach(state => {
+      if (!states.includes(state)) {
+        throw new Error(`fsmConfig.spinCounters 包含不存在的狀態: ${state}`);
+      }
+      if (state === this.initialState) {
+        throw new Error(`fsmConfig.spinCounters 不可設定 initialState (${state})`);
+      }
+    });
+    this.spinCounters = {};
+    states.filter(state => state !== this.initialState).forEach(state => {
+      const counter = spinCounters[state] || {};
+      const spins = counter.spins !== undefined
+        ? counter.spins
+        : (state === 'FREE' ? featureConfig.freeSpinCount : undefined);
+      if (!isPositiveInteger(spins)) {
+        throw new Error(`Feature 狀態 ${state} 的 spin 次數必須為正整數（fsmConfig.spinCounters.${state}.spins）`);
+      }
+      const endEvent = counter.endEvent || `${state}_SPINS_END`;
+      if (!this.transitions[state][endEvent]) {
+        throw new Error(`Feature 狀態 ${state} 缺少 endEvent 的 transition: { from: "${state}", on: "${endEvent}" }`);
+      }
+      this.spinCounters[state] = { spins, endEvent };
+    });
+
+    // v1.6.12: Retrigger（僅 FREE，且 FREE 本身沒有 TRIGGER_FREE 的 transition）
+    this.retriggerConfig = normalizeRetrigger(featureConfig.retrigger);
+    if (this.retriggerConfig) {
+      if (!this.hasSpinCounter(RETRIGGER_STATE)) {
+        throw new Error(`featureConfig.retrigger 需要 Feature 狀態 ${RETRIGGER_STATE}`);
+      }
+      if (this.transitions[RETRIGGER_STATE][DEFAULT_FEATURE_EVENT]) {
+        throw new Error(`featureConfig.retrigger 不可與 ${RETRIGGER_STATE} 的 ${DEFAULT_FEATURE_EVENT} transition 同時使用`);
+      }
+      if (this.retriggerConfig.maxTotalSpins !== null && this.retriggerConfig.maxTotalSpins < this.spinCounters[RETRIGGER_STATE].spins) {
+        throw new Error(`featureConfig.retrigger.maxTotalSpins 不得小於 ${RETRIGGER_STATE} 的初始 spin 次數`);
+      }
+    }
+
+    this.currentState = this.initialState;
+    this.spinsRemaining = 0;
+    this.featureSpinsAwarded = 0;  // v1.6.12: 目前 Feature 已獲得的 spin 總數（含初始次數）
+    this.featureRetriggers = 0;    // v1.6.12: 目前 Feature 的 retrigger 次數
+  }
+
+  /**
+   * 是否為 Base 狀態（initialState）
+   */
+  isInitialState(state = this.currentState) {
+    return state === this.initialState;
+  }
+
+  /**
+   * 狀態是否有 spin 計數器（Feature 狀態）
+   */
+  hasSpinCounter(state = this.currentState) {
+    return this.spinCounters[state] !== undefined;
+  }
+
+  /**
+   * 目前狀態是否可處理事件
+   * @param {string} event - 事件名稱
+   * @param {string} state - 狀態（預設為目前狀態）
+   * @returns {boolean}
+   */
+  canFire(event, state = this.currentState) {
+    return this.transitions[state][event] !== undefined || this.isRetrigger(event, state);
+  }
+
+  /**
+   * v1.6.12: 事件是否為 retrigger（FREE 中的 TRIGGER_FREE）
+   * @param {string} event - 事件名稱
+   * @param {string} state - 狀態（預設為目前狀態）
+   * @returns {boolean}
+   */
+  isRetrigger(event, state = this.currentState) {
+    return this.retriggerConfig !== null &&
+      state === RETRIGGER_STATE &&
+      event === DEFAULT_FEATURE_EVENT &&
+      this.transitions[state][event] === undefined;
+  }
+
+  /**
+   * v1.6.12: 執行 retrigger：依上限截斷後增加剩餘次數（不切換狀態）
+   * @returns {Object} { spinsAwarded, capped, spinsRemaining }
+   */
+  retrigger() {
+    if (!this.isRetrigger(DEFAULT_FEATURE_EVENT)) {
+      throw new Error(`FSM: 狀態 ${this.currentState} 無法 retrigger`);
+    }
+    const { spins, maxTotalSpins, maxRetriggers } = this.retriggerConfig;
+    let spinsAwarded = spins;
+    if (maxRetriggers !== null && this.featureRetriggers >= maxRetriggers) {
+      spinsAwarded = 0;
+    }
+    if (maxTotalSpins !== null) {
+      spinsAwarded = Math.max(0, Math.min(spinsAwarded, maxTotalSpins - this.featureSpinsAwarded));
+    }
+
+    this.featureRetriggers++;
+    this.featureSpinsAwarded += spinsAwarded;
+    this.spinsRemaining += spinsAwarded;
+    return { spinsAwarded, capped: spinsAwarded < spins, spinsRemaining: this.spinsRemaining };
+  }
+
+  /**
+   * 觸發事件並切換狀態（進入 Feature 狀態時設定計數器）
+   * @param {string} event - 事件名稱
+   * @param {number|null} spins - v1.6.13: 覆寫進入 Feature 狀態的次數（scatterConfig.trigger.awards）
+   * @returns {Object} { from, to, event, spinsRemaining }
+   */
+  fire(event, spins = null) {
+    const from = this.currentState;
+    const transition = this.transitions[from][event];
+    if (!transition) {
+      throw new Error(`FSM: 狀態 ${from} 沒有事件 ${event} 的 transition`);
+    }
+
+    this.currentState = transition.to;
+    this.spinsRemaining = this.hasSpinCounter(transition.to)
+      ? (spins !== null ? spins : (transition.spins !== undefined ? transition.spins : this.spinCounters[transition.to].spins))
+      : 0;
+
+    // v1.6.12: 由 initialState 進入時開始新的 Feature
+    if (this.isInitialState(from)) {
+      this.featureSpinsAwarded = 0;
+      this.featureRetriggers = 0;
+    }
+    this.featureSpinsAwarded += this.spinsRemaining;
+
+    return { from, to: transition.to, event, spinsRemaining: this.spinsRemaining };
+  }
+
+  /**
+   * 結束一個 Feature spin：計數器遞減，歸零時觸發 endEvent
+   * @returns {Object|null} 觸發的轉換（未切換狀態時為 null）
+   */
+  completeSpin() {
+    if (!this.hasSpinCounter()) {
+      return null;
+    }
+    this.spinsRemaining--;
+    if (this.spinsRemaining > 0) {
+      return null;
+    }
+    return this.fire(this.spinCounters[this.currentState].endEvent);
+  }
+
+  /**
+   * v1.5.2 STRICT: 每個 spin 開始時檢查狀態與計數器一致
+   */
+  assertConsistent() {
+    if (this.hasSpinCounter() && this.spinsRemaining <= 0) {
+      throw new Error(`v1.5.2 STRICT: Invalid state: ${this.currentState} with spinsRemaining=${this.spinsRemaining}`);
+    }
+    if (!this.hasSpinCounter() && this.spinsRemaining > 0) {
+      throw new Error(`v1.5.2 STRICT: Invalid state: ${this.currentState} with spinsRemaining=${this.spinsRemaining}`);
+    }
+  }
+
+  /**
+   * 取得狀態（checkpoint 用）
+   */
+  getState() {
+    return {
+      currentState: this.currentState,
+      spinsRemaining: this.spinsRemaining,
+      featureSpinsAwarded: this.featureSpinsAwarded,  // v1.6.12
+      featureRetriggers: this.featureRetriggers        // v1.6.12
+    };
+  }
+
+  /**
+   * 還原狀態（checkpoint 用；相容 v1.6.6 的 freeSpinsRemaining 欄位）
+   */
+  setState(state) {
+    if (!this.states.includes(state.currentState)) {
+      throw new Error(`FSM: 無法還原不存在的狀態 ${state.currentState}`);
+    }
+    this.currentState = state.currentState;
+    this.spinsRemaining = state.spinsRemaining !== undefined ? state.spinsRemaining : state.freeSpinsRemaining;
+    this.featureSpinsAwarded = state.featureSpinsAwarded || 0;
+    this.featureRetriggers = state.featureRetriggers || 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_FEATURE_EVENT,
+  DEFAULT_FSM_CONFIG,
+  FEATURE_OUTCOME_TYPES,
+  RETRIGGER_STATE,
+  FsmEngine,
+  getFsmConfig,
+  getOutcomeEvent,
+  isFeatureOutcome
+};
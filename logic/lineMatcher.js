@@ -0,0 +1,176 @@
+/**
+ * v1.6.7: Line Matcher（LINE 連線判定，支援 Wild 替代）
+ *
+ * 核心原則：
+ * - Evaluator / Resolver / Visual Layer 共用同一套連線判定，防撞檢查與評估結果不會不一致
+ * - 沒有 WILD 符號時，行為與 v1.5.0 相同（從起點連續相同符號）
+ * - Wild 替代為 opt-in：WILD 符號必須設定 substitutes（符號 ID 陣列，或 "ALL" 代表所有 LOW / MID / HIGH 符號）；
+ *   未設定時 WILD 視為一般符號（v1.6.6 行為，既有設計的 seeded 結果不變）
+ * - WILD 不替代 SCATTER / ANY_POSITION / 其他 WILD
+ *
+ * v1.6.22: 支付方向（gameRules.<state>.payDirection）
+ * - LTR（預設）：從 payline 第一格（最左輪）開始；RTL：從最後一格（最右輪）開始
+ * - BOTH：兩個方向各自判定；整條線都中獎時只以 LTR 支付一次
+ */
+
+// WILD 可替代的符號類型（substitutes = "ALL" 時替代所有這些類型的符號）
+const DEFAULT_SUBSTITUTE_TYPES = ['LOW', 'MID', 'HIGH'];
+const ALL_SUBSTITUTES = 'ALL';
+
+// v1.6.22: 支付方向
+const PAY_DIRECTIONS = ['LTR', 'RTL', 'BOTH'];
+
+/**
+ * 建立 Wild 替代規則
+ * - 只有設定 substitutes 的 WILD 會替代（opt-in）；未設定的 WILD 不列入規則，連線判定視為一般符號
+ * @param {Array} symbols - design.json 的 symbols 陣列
+ * @returns {Object} { substitutes: Map<wildId, Set<symbolId>> }
+ */
+function buildWildRules(symbols) {
+  const symbolTypes = new Map(symbols.map(s => [s.id, s.type]));
+  const substitutes = new Map();
+
+  symbols.filter(s => s.type === 'WILD' && s.substitutes !== undefined).forEach(wild => {
+    if (wild.substitutes === ALL_SUBSTITUTES) {
+      const targets = symbols.filter(s => DEFAULT_SUBSTITUTE_TYPES.includes(s.type)).map(s => s.id);
+      substitutes.set(wild.id, new Set(targets));
+      return;
+    }
+
+    if (!Array.isArray(wild.substitutes)) {
+      throw new Error(`WILD 符號 "${wild.id}" 的 substitutes 必須為陣列或 "${ALL_SUBSTITUTES}"`);
+    }
+    wild.substitutes.forEach(symbolId => {
+      const type = symbolTypes.get(symbolId);
+      if (type === undefined) {
+        throw new Error(`WILD 符號 "${wild.id}" 的 substitutes 包含不存在的符號: ${symbolId}`);
+      }
+      if (!DEFAULT_SUBSTITUTE_TYPES.includes(type)) {
+        throw new Error(`WILD 符號 "${wild.id}" 不可替代 ${type} 符號: ${symbolId}`);
+      }
+    });
+    substitutes.set(wild.id, new Set(wild.substitutes));
+  });
+
+  return { substitutes };
+}
+
+/**
+ * 是否啟用 Wild 替代（至少一個 WILD 設定 substitutes）
+ * @param {Object} rules - buildWildRules() 的結果
+ */
+function hasWildSubstitution(rules) {
+  return rules.substitutes.size > 0;
+}
+
+/**
+ * 是否為 WILD 符號（僅限設定 substitutes 的 WILD）
+ */
+function isWild(rules, symbolId) {
+  return rules.substitutes.has(symbolId);
+}
+
+/**
+ * WILD 是否可替代指定符號
+ */
+function canSubstitute(rules, wildId, symbolId) {
+  const targets = rules.substitutes.get(wildId);
+  return targets !== undefined && targets.has(symbolId);
+}
+
+/**
+ * 計算 payline 從起點（Left-to-Right）的連線
+ *
+ * 規則：
+ * - 起點為一般符號：連續的相同符號，或可替代該符號的 WILD
+ * - 起點為 WILD（leading wilds）：支付符號為第一個非 WILD 符號（前導 WILD 必須都能替代它）
+ * - 整條線皆為 WILD，或前導 WILD 無法替代其後的符號：以起點 WILD 支付（wild-only line，只計前導 WILD）
+ *
+ * @param {Array<string>} lineSymbols - payline 上的符號 ID（依 payline 順序）
+ * @param {Object} rules - buildWildRules() 的結果
+ * @returns {Object} { symbolId, matchCount, wildCount }
+ */
+function matchLine(lineSymbols, rules) {
+  let leadingWilds = 0;
+  while (leadingWilds < lineSymbols.length && isWild(rules, lineSymbols[leadingWilds])) {
+    leadingWilds++;
+  }
+
+  const target = lineSymbols[leadingWilds];
+  const substitutable = target !== undefined &&
+    lineSymbols.slice(0, leadingWilds).every(wildId => canSubstitute(rules, wildId, target));
+
+  if (!substitutable) {
+    // wild-only line
+    return { symbolId: lineSymbols[0], matchCount: leadingWilds, wildCount: leadingWilds };
+  }
+
+  let matchCount = leadingWilds + 1;
+  let wildCount = leadingWilds;
+  for (let i = leadingWilds + 1; i < lineSymbols.length; i++) {
+    const symbolId = lineSymbols[i];
+    if (symbolId === target) {
+      matchCount++;
+    } else if (canSubstitute(rules, symbolId, target)) {
+      matchCount++;
+      wildCount++;
+    } else {
+      break;  // 中斷連續
+    }
+  }
+
+  return { symbolId: target, matchCount, wildCount };
+}
+
+/**
+ * v1.6.22: 支付方向對應的判定方向
+ * @param {string} [payDirection] - 'LTR' | 'RTL' | 'BOTH'（未設定時為 LTR）
+ * @returns {Array<string>} ['LTR'] | ['RTL'] | ['LTR', 'RTL']
+ */
+function getLineDirections(payDirection) {
+  return payDirection === 'BOTH' ? ['LTR', 'RTL'] : [payDirection || 'LTR'];
+}
+
+/**
+ * v1.6.22: 依判定方向排列 payline（RTL 時反轉，第一格為最右輪）
+ * @param {Array} payline - payline 座標（或符號）陣列
+ * @param {string} direction - 'LTR' | 'RTL'
+ * @returns {Array} 依判定順序排列的新陣列（LTR 時為原陣列）
+ */
+function orientLine(payline, direction) {
+  return direction === 'RTL' ? [...payline].reverse() : payline;
+}
+
+/**
+ * v1.6.22: 依支付方向計算 payline 的連線
+ *
+ * @param {Array<string>} lineSymbols - payline 上的符號 ID（依 payline 順序）
+ * @param {Object} rules - buildWildRules() 的結果
+ * @param {string} [payDirection] - 'LTR' | 'RTL' | 'BOTH'
+ * @returns {Array<Object>} 各方向的 { direction, symbolId, matchCount, wildCount }
+ *   （BOTH 且 LTR 已涵蓋整條線時不返回 RTL，避免重複支付）
+ */
+function matchPayline(lineSymbols, rules, payDirection) {
+  const runs = [];
+  getLineDirections(payDirection).forEach(direction => {
+    if (direction === 'RTL' && runs.length > 0 && runs[0].matchCount === lineSymbols.length) {
+      return;
+    }
+    runs.push(Object.assign({ direction }, matchLine(orientLine(lineSymbols, direction), rules)));
+  });
+  return runs;
+}
+
+module.exports = {
+  DEFAULT_SUBSTITUTE_TYPES,
+  ALL_SUBSTITUTES,
+  PAY_DIRECTIONS,
+  buildWildRules,
+  hasWildSubstitution,
+  isWild,
+  canSubstitute,
+  matchLine,
+  getLineDirections,
+  orientLine,
+  matchPayline
+};
@@ -0,0 +1,199 @@
+/**
+ * v1.6.14: Free Game Win Multiplier（featureConfig.multiplier）
+ *
+ * FREE spin 的贏分 = 該 spin 評估出的贏分 × 目前倍數（BASE 不受影響）：
+ *
+ *   "multiplier": { "mode": "FIXED", "value": 3 }
+ *   "multiplier": { "mode": "PROGRESSIVE", "start": 1, "step": 1, "max": 5, "on": "WIN" }
+ *   "multiplier": { "mode": "RANDOM", "values": [{ "value": 1, "weight": 60 }, { "value": 3, "weight": 10 }] }
+ *
+ * - FIXED：每個 FREE spin 固定倍數
+ * - PROGRESSIVE：每次 Feature 由 start 開始，每個 spin（on=SPIN）或每次中獎（on=WIN）後增加 step，最多到 max
+ *   （倍數在 spin 結束後才增加，當次 spin 使用增加前的倍數；retrigger 不重置）
+ * - RANDOM：每個 FREE spin 以 Math RNG 從 values 依權重抽出倍數
+ * - 所有倍數皆為正整數（贏分維持 credit int）
+ */
+
+// 套用倍數的狀態（featureConfig 描述的 Free Game）
+const MULTIPLIER_STATE = 'FREE';
+
+const MULTIPLIER_MODES = ['FIXED', 'PROGRESSIVE', 'RANDOM'];
+const PROGRESSIVE_TRIGGERS = ['SPIN', 'WIN'];
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * 驗證並正規化 featureConfig.multiplier
+ * @param {Object|undefined} multiplier - featureConfig.multiplier
+ * @returns {Object|null} 正規化後的設定（未設定時為 null）
+ */
+function normalizeMultiplier(multiplier) {
+  if (multiplier === undefined || multiplier === null) {
+    return null;
+  }
+  if (typeof multiplier !== 'object' || Array.isArray(multiplier)) {
+    throw new Error('featureConfig.multiplier 必須為物件');
+  }
+  if (!MULTIPLIER_MODES.includes(multiplier.mode)) {
+    throw new Error(`featureConfig.multiplier.mode 必須為 ${MULTIPLIER_MODES.join(' | ')}`);
+  }
+
+  if (multiplier.mode === 'FIXED') {
+    if (!isPositiveInteger(multiplier.value)) {
+      throw new Error('featureConfig.multiplier.value 必須為正整數');
+    }
+    return { mode: 'FIXED', value: multiplier.value };
+  }
+
+  if (multiplier.mode === 'PROGRESSIVE') {
+    const start = multiplier.start !== undefined ? multiplier.start : 1;
+    const step = multiplier.step !== undefined ? multiplier.step : 1;
+    const max = multiplier.max !== undefined ? multiplier.max : null;
+    const on = multiplier.on !== undefined ? multiplier.on : 'SPIN';
+    if (!isPositiveInteger(start) || !isPositiveInteger(step)) {
+      throw new Error('featureConfig.multiplier.start / step 必須為正整數');
+    }
+    if (max !== null && (!isPositiveInteger(max) || max < start)) {
+      throw new Error('featureConfig.multiplier.max 必須為 >= start 的正整數');
+    }
+    if (!PROGRESSIVE_TRIGGERS.includes(on)) {
+      throw new Error(`featureConfig.multiplier.on 必須為 ${PROGRESSIVE_TRIGGERS.join(' | ')}`);
+    }
+    return { mode: 'PROGRESSIVE', start, step, max, on };
+  }
+
+  if (!Array.isArray(multiplier.values) || multiplier.values.length === 0) {
+    throw new Error('featureConfig.multiplier.values 必須為非空陣列');
+  }
+  multiplier.values.forEach((entry, index) => {
+    if (!entry || !isPositiveInteger(entry.value)) {
+      throw new Error(`featureConfig.multiplier.values[${index}].value 必須為正整數`);
+    }
+    if (typeof entry.weight !== 'number' || entry.weight < 0) {
+      throw new Error(`featureConfig.multiplier.values[${index}].weight 必須為 >= 0 的數字`);
+    }
+  });
+  if (multiplier.values.reduce((sum, entry) => sum + entry.weight, 0) <= 0) {
+    throw new Error('featureConfig.multiplier.values 的總權重必須 > 0');
+  }
+  return {
+    mode: 'RANDOM',
+    values: multiplier.values.map(entry => ({ value: entry.value, weight: entry.weight }))
+  };
+}
+
+/**
+ * 倍數分布（FIXED / RANDOM 與 spin 無關，供理論值計算）
+ * @param {Object} config - normalizeMultiplier() 的結果
+ * @returns {Array<Object>|null} [{ value, probability }]（PROGRESSIVE 為 null）
+ */
+function getMultiplierDistribution(config) {
+  if (config === null) {
+    return [{ value: 1, probability: 1 }];
+  }
+  if (config.mode === 'FIXED') {
+    return [{ value: config.value, probability: 1 }];
+  }
+  if (config.mode === 'RANDOM') {
+    const totalWeight = config.values.reduce((sum, entry) => sum + entry.weight, 0);
+    return config.values.map(entry => ({ value: entry.value, probability: entry.weight / totalWeight }));
+  }
+  return null;
+}
+
+/**
+ * PROGRESSIVE 在第 level 次增加後的倍數
+ * @param {Object} config - PROGRESSIVE 設定
+ * @param {number} level - 已增加次數
+ * @returns {number}
+ */
+function progressiveValue(config, level) {
+  const value = config.start + config.step * level;
+  return config.max !== null ? Math.min(value, config.max) : value;
+}
+
+/**
+ * Free Game 倍數（每次 Feature 開始時 startFeature，每個 FREE spin 先 next 再 completeSpin）
+ */
+class FeatureMultiplier {
+  /**
+   * @param {Object|undefined} multiplierConfig - featureConfig.multiplier
+   */
+  constructor(multiplierConfig) {
+    this.config = normalizeMultiplier(multiplierConfig);
+    this.level = 0;  // PROGRESSIVE：目前 Feature 已增加的次數
+  }
+
+  /**
+   * 是否設定倍數
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config !== null;
+  }
+
+  /**
+   * 開始新的 Feature（PROGRESSIVE 歸回 start）
+   */
+  startFeature() {
+    this.level = 0;
+  }
+
+  /**
+   * 取得本次 FREE spin 的倍數
+   * @param {RNG} rng - Math RNG（RANDOM 模式使用）
+   * @returns {number}
+   */
+  next(rng) {
+    if (this.config === null) {
+      return 1;
+    }
+    if (this.config.mode === 'FIXED') {
+      return this.config.value;
+    }
+    if (this.config.mode === 'RANDOM') {
+      return rng.weightedSelect(this.config.values).value;
+    }
+    return progressiveValue(this.config, this.level);
+  }
+
+  /**
+   * 結束一個 FREE spin（PROGRESSIVE 依 on 增加倍數）
+   * @param {number} winAmount - 本次 spin 套用倍數前的贏分
+   */
+  completeSpin(winAmount) {
+    if (this.config === null || this.config.mode !== 'PROGRESSIVE') {
+      return;
+    }
+    if (this.config.on === 'SPIN' || winAmount > 0) {
+      this.level++;
+    }
+  }
+
+  /**
+   * Checkpoint 用狀態
+   * @returns {Object} { level }
+   */
+  getState() {
+    return { level: this.level };
+  }
+
+  /**
+   * 從 checkpoint 還原
+   * @param {Object|undefined} state - getState() 的結果（v1.6.14 以前的 checkpoint 沒有此欄位）
+   */
+  setState(state) {
+    this.level = state ? state.level : 0;
+  }
+}
+
+module.exports = {
+  MULTIPLIER_STATE,
+  MULTIPLIER_MODES,
+  normalizeMultiplier,
+  getMultiplierDistribution,
+  progressiveValue,
+  FeatureMultiplier
+};
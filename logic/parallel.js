@@ -0,0 +1,222 @@
+const path = require('path');
+const fs = require('fs');
+const { Worker } = require('worker_threads');
+const { RNG } = require('./rng');
+const { SimulationResult, MAX_WIN_FIELDS } = require('./simulate');
+const { concatCsvShards } = require('./csvExporter');
+
+/**
+ * v1.6.4: Parallel Simulation（worker_threads）
+ *
+ * 核心原則：
+ * - Base Spins 依 shard 切分（餘數分配給前面的 shard），每個 shard 由一個 worker 執行
+ * - Shard seed 由 mathSeed 經 RNG.deriveSubSeed('SHARD', ...) 推導 → 同一 seed + worker 數量結果完全相同
+ * - 部分結果一律依 shard 順序合併（與 worker 完成順序無關）
+ * - CSV：每個 worker 寫入 shard 檔，main thread 依 spin 順序串接並轉換為全域索引
+ * - 最大贏分紀錄：baseSpin / spinIndex 轉換為全域索引，shard 記錄重現所需的 shard seed 與 shard 內索引
+ *
+ * 注意：parallel 模式的 RNG 序列與單執行緒不同（每個 shard 使用獨立 seed），
+ * 因此 --workers N 的結果只與相同 N 的結果可比較。
+ */
+
+const SHARD_PATCH_VERSION = 'v1.6.4';  // DO NOT change without bumping（影響 shard seed）
+const WORKER_PATH = path.join(__dirname, 'parallelWorker.js');
+
+/**
+ * 將 Base Spins 切分為 shard（餘數分配給前面的 shard）
+ * @param {number} targetBaseSpins - 總 Base Spin 次數
+ * @param {number} workers - Worker 數量
+ * @returns {Array<number>} 每個 shard 的 Base Spin 次數（不含 0）
+ */
+function splitSpins(targetBaseSpins, workers) {
+  const shardCount = Math.min(workers, targetBaseSpins);
+  const size = Math.floor(targetBaseSpins / shardCount);
+  const remainder = targetBaseSpins % shardCount;
+  const shards = [];
+  for (let i = 0; i < shardCount; i++) {
+    shards.push(size + (i < remainder ? 1 : 0));
+  }
+  return shards;
+}
+
+/**
+ * 推導 shard seed
+ * @param {string|null} mathSeed - Math seed（null = legacy mode，各 shard 亦為 legacy）
+ * @param {number} shardIndex - Shard 索引
+ * @param {string} derivation - Sub-seed 推導版本（v1 | v2）
+ * @returns {string|null} Shard seed
+ */
+function deriveShardSeed(mathSeed, shardIndex, derivation) {
+  if (mathSeed === null) {
+    return null;
+  }
+  return String(RNG.deriveSubSeed('SHARD', {
+    mathSeed: mathSeed,
+    spinIndex: shardIndex,
+    outcomeId: 'SHARD',
+    patchVersion: SHARD_PATCH_VERSION,
+    derivation: derivation
+  }));
+}
+
+/**
+ * v1.6.18: 將 shard 的最大贏分紀錄轉換為全域索引
+ * 以 shard.seed 執行 shard.baseSpin + 1 次 Base Spin 即可重現（--seed 為原本的 Math seed，單執行緒無法重現）
+ * @param {Object} record - shard 的最大贏分紀錄（seed 為 shard seed）
+ * @param {number} shardIndex - Shard 索引
+ * @param {string|null} mathSeed - Math seed
+ * @param {number} baseSpinOffset - 此 shard 之前的 Base Spin 總數
+ * @param {number} globalSpinOffset - 此 shard 之前的 spin 總數（Base + Free）
+ * @returns {Object} 全域紀錄
+ */
+function toGlobalMaxWin(record, shardIndex, mathSeed, baseSpinOffset, globalSpinOffset) {
+  return Object.assign({}, record, {
+    baseSpin: record.baseSpin + baseSpinOffset,
+    spinIndex: record.spinIndex + globalSpinOffset,
+    seed: mathSeed,
+    shard: {
+      index: shardIndex,
+      seed: record.seed,
+      baseSpin: record.baseSpin,
+      spinIndex: record.spinIndex
+    }
+  });
+}
+
+/**
+ * 啟動一個 worker 執行 shard
+ * @returns {Promise<Object>} worker 回傳的部分結果
+ */
+function runShard(workerData) {
+  return new Promise((resolve, reject) => {
+    let message = null;
+    const worker = new Worker(WORKER_PATH, { workerData: workerData });
+    worker.on('message', data => {
+      message = data;
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => {
+      if (code !== 0 || message === null) {
+        reject(new Error(`Shard #${workerData.shardIndex} worker 異常結束 (exit code ${code})`));
+      } else {
+        resolve(message);
+      }
+    });
+  });
+}
+
+/**
+ * 執行 parallel 模擬
+ *
+ * @param {string} configPath - 設定檔路徑
+ * @param {number} targetBaseSpins - 目標 Base Game Spin 次數
+ * @param {number} workers - Worker 數量（正整數）
+ * @param {Object} options
+ * @param {Object|null} [options.overrideConfig=null] - 覆蓋的設定檔物件（同 simulate）
+ * @param {number|string|null} [options.customSeed=null] - 自訂 seed（同 simulate）
+ * @param {string|null} [options.csvPath=null] - CSV 輸出路徑（null = 不輸出）
+ * @param {boolean} [options.gzip=false] - v1.6.5: 以 gzip 壓縮 CSV（shard 暫存檔不壓縮）
+ * @returns {Promise<Object>} 與 simulate() 相同結構的資料（spinLog 為 null，CSV 已直接寫入檔案）
+ */
+async function runParallel(configPath, targetBaseSpins, workers, options = {}) {
+  if (!Number.isInteger(workers) || workers <= 0) {
+    throw new Error(`workers 必須為正整數: ${workers}`);
+  }
+
+  const overrideConfig = options.overrideConfig || null;
+  const customSeed = options.customSeed !== undefined ? options.customSeed : null;
+  const csvPath = options.csvPath || null;
+  const gzip = options.gzip === true;
+
+  const config = overrideConfig || JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const baseBet = config.betConfig.baseBet;
+
+  // 與 simulate() 相同的 seed 優先順序：customSeed > config.seed > legacy
+  const mathSeed = customSeed !== null ? String(customSeed) : (config.seed || null);
+  const derivation = (config.rngConfig && config.rngConfig.subSeedDerivation) || undefined;
+
+  const shardSpins = splitSpins(targetBaseSpins, workers);
+  const shards = shardSpins.map((spins, shardIndex) => ({
+    shardIndex: shardIndex,
+    configPath: configPath,
+    config: config,
+    targetBaseSpins: spins,
+    seed: deriveShardSeed(mathSeed, shardIndex, derivation),
+    csvPath: csvPath !== null ? `${csvPath}.shard${shardIndex}` : null
+  }));
+
+  if (mathSeed !== null) {
+    console.log(`🌱 Active Math Seed: ${mathSeed} (deterministic mode, ${shards.length} shards)`);
+  } else {
+    console.log(`🔀 Active Math Seed: (none) (legacy random mode, ${shards.length} shards)`);
+  }
+
+  try {
+    const outputs = await Promise.all(shards.map(runShard));
+
+    // 依 shard 順序合併
+    const partials = outputs.map(output => SimulationResult.fromJSON(output.result));
+    const result = SimulationResult.merge(partials);
+
+    // 最大贏分紀錄：merge 保留的是 shard 的紀錄，轉換為全域索引並標示 shard
+    MAX_WIN_FIELDS.forEach(field => {
+      let baseSpinOffset = 0;
+      let globalSpinOffset = 0;
+      partials.forEach((partial, shardIndex) => {
+        if (result[field] !== null && result[field] === partial[field]) {
+          result[field] = toGlobalMaxWin(partial[field], shardIndex, mathSeed, baseSpinOffset, globalSpinOffset);
+        }
+        baseSpinOffset += partial.baseGameSpins;
+        globalSpinOffset += partial.baseGameSpins + partial.freeGameSpins;
+      });
+    });
+
+    // 狀態切換記錄：baseSpin 轉換為全域索引
+    const stateTransitions = [];
+    let baseSpinOffset = 0;
+    outputs.forEach((output, shardIndex) => {
+      output.stateTransitions.forEach(transition => {
+        stateTransitions.push(Object.assign({}, transition, {
+          baseSpin: transition.baseSpin + baseSpinOffset
+        }));
+      });
+      baseSpinOffset += partials[shardIndex].baseGameSpins;
+    });
+
+    if (csvPath !== null) {
+      let globalSpinOffset = 0;
+      baseSpinOffset = 0;
+      concatCsvShards(shards.map((shard, shardIndex) => {
+        const entry = { path: shard.csvPath, globalSpinOffset, baseSpinOffset };
+        globalSpinOffset += partials[shardIndex].baseGameSpins + partials[shardIndex].freeGameSpins;
+        baseSpinOffset += partials[shardIndex].baseGameSpins;
+        return entry;
+      }), csvPath, { gzip: gzip });
+    }
+
+    return {
+      result: result,
+      config: config,
+      spinDetails: outputs[0].spinDetails,  // 前 N 次 Spin 一定來自 shard 0
+      stateTransitions: stateTransitions,
+      stateTransitionCount: stateTransitions.length,
+      targetBaseSpins: targetBaseSpins,
+      baseBet: baseBet,
+      spinLog: null
+    };
+  } finally {
+    // 清除暫存 shard 檔
+    shards.forEach(shard => {
+      if (shard.csvPath !== null && fs.existsSync(shard.csvPath)) {
+        fs.unlinkSync(shard.csvPath);
+      }
+    });
+  }
+}
+
+module.exports = {
+  runParallel,
+  splitSpins,
+  deriveShardSeed,
+  SHARD_PATCH_VERSION
+};
@@ -0,0 +1,40 @@
+/**
+ * v1.6.4: Parallel Simulation Worker
+ *
+ * 由 parallel.js 以 worker_threads 啟動，每個 worker 執行一個 shard：
+ * - 使用 main thread 推導的 shard seed 執行 simulate()（quiet 模式）
+ * - CSV 啟用時串流寫入 shard 檔（v1.6.5: CsvSink，僅 rows，索引為 shard 內的 local 值）
+ * - 回傳可序列化的部分結果（SimulationResult.toJSON()）
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { simulate } = require('./simulate');
+const { CsvSink } = require('./csvExporter');
+
+const csvSink = workerData.csvPath !== null
+  ? new CsvSink(workerData.csvPath, { header: false })
+  : null;
+
+let simulationData;
+try {
+  simulationData = simulate(
+    workerData.configPath,
+    workerData.targetBaseSpins,
+    null,
+    true,
+    csvSink !== null,
+    workerData.config,
+    workerData.seed,
+    { quiet: true, csvSink: csvSink }
+  );
+} finally {
+  if (csvSink) {
+    csvSink.close();
+  }
+}
+
+parentPort.postMessage({
+  result: simulationData.result.toJSON(),
+  spinDetails: simulationData.spinDetails,
+  stateTransitions: simulationData.stateTransitions
+});
@@ -1,4 +1,8 @@
 const { RNG } = require('./rng');
+const { buildWildRules, isWild, canSubstitute, getLineDirections, orientLine } = require('./lineMatcher');  // v1.6.7: Wild 替代（v1.6.22: 支付方向）
+const { isWaysRule, isClusterRule } = require('./winConditions');  // v1.6.20: Ways（v1.6.21: Cluster）
+const { MIN_WAYS_REELS, waysFactorizations } = require('./waysMatcher');  // v1.6.20: Ways
+const { getMinClusterSize, getNeighbors } = require('./clusterMatcher');  // v1.6.21: Cluster pays
 
 /**
  * Pattern Generator - v1.4
@@ -8,19 +12,31 @@ const { RNG } = require('./rng');
  * - 使用獨立的 Pattern RNG（不消耗 Math RNG）
  * - Deterministic（相同 context 產生相同結果）
  * - 不生成完整 grid（由 Resolver 處理）
+ * - v1.6.20: gameRule.winCondition = 'ways' 時不需要 paylines，以 WAYS 取代 LINE
+ * - v1.6.21: gameRule.winCondition = 'cluster' 時不需要 paylines，以 CLUSTER 取代 LINE
+ * - v1.6.22: LINE 依 payDirection 在 payline 的最左 / 最右端生成 anchors
  */
 class PatternGenerator {
   constructor(gameRule, symbols) {
-    this.gameRule = gameRule;
     this.symbols = symbols;
-    
+
+    // v1.6.20: ways 模式不使用 paylines（v1.6.21: cluster 模式同樣不使用）
+    this.waysMode = isWaysRule(gameRule);
+    this.clusterMode = isClusterRule(gameRule);
+    const noPaylines = this.waysMode || this.clusterMode;
+
     // 驗證 gameRule
-    if (!gameRule || !gameRule.grid || !gameRule.paylines) {
+    if (!gameRule || !gameRule.grid || (!noPaylines && !gameRule.paylines)) {
       throw new Error('gameRule 必須包含 grid 和 paylines');
     }
+    this.gameRule = noPaylines ? Object.assign({}, gameRule, { paylines: [] }) : gameRule;
+    this.minClusterSize = getMinClusterSize(gameRule);
     
     this.rows = gameRule.grid.rows;
     this.cols = gameRule.grid.cols;
+
+    // v1.6.7: Wild 替代規則（allowWild 時於 anchor run 內放置 WILD）
+    this.wildRules = buildWildRules(symbols);
   }
 
   /**
@@ -28,6 +44,8 @@ class PatternGenerator {
    * 
    * @param {Object} winCondition - winCondition 物件
    * @param {Object} context - 必須包含 { spinIndex, mathSeed, outcomeId }
+   *                           v1.6.7: allowWild（可選，LINE / WAYS / CLUSTER 的 anchors 可包含 WILD）
+   *                           v1.6.8: occupiedCells（可選，Set<"row,col">，複合條件中已被其他條件使用的位置）
    * @returns {Object} { anchors, generatedWinLine, winConditionType, patternSource }
    * 
    * Critical Rules:
@@ -52,11 +70,29 @@ class PatternGenerator {
     const derivedSeed = context.mathSeed !== null && context.mathSeed !== undefined
       ? this._derivePatternSeed(context)
       : null;
-    const localRng = new RNG(derivedSeed);
+    const localRng = new RNG(derivedSeed, context.rngOptions);  // v1.6.2: 沿用 Math RNG 演算法
+
+    // v1.6.20: LINE 只用於 payline 模式，WAYS 只用於 ways 模式（v1.6.21: CLUSTER 只用於 cluster 模式）
+    if (winCondition.type === 'LINE' && this.waysMode) {
+      throw new Error('ways 模式不支援 LINE winCondition（請改用 WAYS）');
+    }
+    if (winCondition.type === 'LINE' && this.clusterMode) {
+      throw new Error('cluster 模式不支援 LINE winCondition（請改用 CLUSTER）');
+    }
+    if (winCondition.type === 'WAYS' && !this.waysMode) {
+      throw new Error('WAYS winCondition 需要 gameRules.<state>.winCondition = "ways"');
+    }
+    if (winCondition.type === 'CLUSTER' && !this.clusterMode) {
+      throw new Error('CLUSTER winCondition 需要 gameRules.<state>.winCondition = "cluster"');
+    }
 
     // 根據 winCondition 類型生成 anchors
-    if (winCondition.type === 'LINE') {
-      return this._generateLineAnchors(winCondition, localRng);
+    if (winCondition.type === 'CLUSTER') {
+      return this._generateClusterAnchors(winCondition, localRng, context.allowWild === true, context.occupiedCells || null);
+    } else if (winCondition.type === 'WAYS') {
+      return this._generateWaysAnchors(winCondition, localRng, context.allowWild === true, context.occupiedCells || null);
+    } else if (winCondition.type === 'LINE') {
+      return this._generateLineAnchors(winCondition, localRng, context.allowWild === true, context.occupiedCells || null);
     } else if (winCondition.type === 'SCATTER') {
       return this._generateScatterAnchors(winCondition, localRng, context);
     } else if (winCondition.type === 'ANY_POSITION') {
@@ -83,7 +119,8 @@ class PatternGenerator {
       mathSeed: context.mathSeed,
       spinIndex: context.spinIndex,
       outcomeId: context.outcomeId,
-      patchVersion: 'v1.5.0'  // Pattern generator version
+      patchVersion: 'v1.5.0',  // Pattern generator version
+      derivation: context.rngOptions && context.rngOptions.subSeedDerivation  // v1.6.3
     });
   }
 
@@ -94,8 +131,12 @@ class PatternGenerator {
    * - 選擇一條 payline（如果 eligiblePaylines 為 ANY，則隨機選擇）
    * - 在該 payline 的前 matchCount 個位置生成 anchors
    * - 不生成超過 matchCount 的 anchors（避免延長中獎）
+   * - v1.6.7: allowWild 時，anchor run 內隨機放置 0 ~ matchCount-1 個 WILD
+   * - v1.6.8: 提供 occupiedCells 時，只選擇 payline 前 matchCount 格未被佔用的 payline
+   * - v1.6.22: payDirection（未設定時沿用 gameRule.payDirection，預設 LTR）
+   *   RTL 時 anchors 放在 payline 最後 matchCount 格；BOTH 時隨機選擇一側
    */
-  _generateLineAnchors(winCondition, localRng) {
+  _generateLineAnchors(winCondition, localRng, allowWild = false, occupiedCells = null) {
     // 驗證必要欄位
     if (!winCondition.symbolId || typeof winCondition.matchCount !== 'number') {
       throw new Error('LINE winCondition 必須包含 symbolId 和 matchCount');
@@ -103,21 +144,42 @@ class PatternGenerator {
 
     const symbolId = winCondition.symbolId;
     const matchCount = winCondition.matchCount;
-    const payDirection = winCondition.payDirection || 'LTR';  // 預設 Left-to-Right
+    const payDirection = winCondition.payDirection || this.gameRule.payDirection || 'LTR';  // 預設 Left-to-Right
     const eligiblePaylines = winCondition.eligiblePaylines || 'ANY';
 
+    // v1.6.22: 條件的方向必須是 gameRule 會判定的方向
+    const ruleDirections = getLineDirections(this.gameRule.payDirection);
+    if (!getLineDirections(payDirection).every(direction => ruleDirections.includes(direction))) {
+      throw new Error(`LINE payDirection ${payDirection} 需要 gameRules.<state>.payDirection 為 ${payDirection === 'BOTH' ? 'BOTH' : `${payDirection} 或 BOTH`}`);
+    }
+    // v1.6.22: BOTH 時隨機選擇一側（只有 BOTH 才消耗 Pattern RNG；整條線中獎一律以 LTR 判定）
+    let direction = payDirection;
+    if (payDirection === 'BOTH') {
+      direction = matchCount < this.cols ? getLineDirections(payDirection)[localRng.randomInt(2)] : 'LTR';
+    }
+
+    // v1.6.8: 複合條件時排除與已佔用位置重疊的 payline
+    const isAvailable = (paylineIndex) => {
+      const payline = this.gameRule.paylines[paylineIndex];
+      return !occupiedCells || !payline ||
+        orientLine(payline, direction).slice(0, matchCount).every(([row, col]) => !occupiedCells.has(`${row},${col}`));
+    };
+
     // 選擇 payline
     let selectedPaylineIndex;
-    if (eligiblePaylines === 'ANY') {
-      // 從所有 paylines 中隨機選擇
-      selectedPaylineIndex = localRng.randomInt(this.gameRule.paylines.length);
-    } else if (Array.isArray(eligiblePaylines)) {
-      // 從指定的 paylines 中選擇
-      if (eligiblePaylines.length === 0) {
+    if (eligiblePaylines === 'ANY' || Array.isArray(eligiblePaylines)) {
+      // 從所有 / 指定的 paylines 中隨機選擇
+      if (Array.isArray(eligiblePaylines) && eligiblePaylines.length === 0) {
         throw new Error('eligiblePaylines 陣列不能為空');
       }
-      const randomIndex = localRng.randomInt(eligiblePaylines.length);
-      selectedPaylineIndex = eligiblePaylines[randomIndex];
+      const candidates = (eligiblePaylines === 'ANY'
+        ? this.gameRule.paylines.map((payline, index) => index)
+        : eligiblePaylines
+      ).filter(isAvailable);
+      if (candidates.length === 0) {
+        throw new Error(`沒有可用的 payline（${symbolId} x${matchCount} 與其他中獎條件的位置重疊）`);
+      }
+      selectedPaylineIndex = candidates[localRng.randomInt(candidates.length)];
     } else {
       // 固定 payline
       selectedPaylineIndex = eligiblePaylines;
@@ -127,10 +189,13 @@ class PatternGenerator {
     if (selectedPaylineIndex < 0 || selectedPaylineIndex >= this.gameRule.paylines.length) {
       throw new Error(`無效的 payline index: ${selectedPaylineIndex}`);
     }
+    if (!isAvailable(selectedPaylineIndex)) {
+      throw new Error(`payline ${selectedPaylineIndex} 與其他中獎條件的位置重疊`);
+    }
 
-    const selectedPayline = this.gameRule.paylines[selectedPaylineIndex];
+    const selectedPayline = orientLine(this.gameRule.paylines[selectedPaylineIndex], direction);
 
-    // 生成 anchors（僅前 matchCount 個位置）
+    // 生成 anchors（僅前 matchCount 個位置，v1.6.22: RTL 時為最後 matchCount 個位置）
     const anchors = [];
     for (let i = 0; i < matchCount && i < selectedPayline.length; i++) {
       const [row, col] = selectedPayline[i];
@@ -141,14 +206,243 @@ class PatternGenerator {
       });
     }
 
+    if (allowWild && !isWild(this.wildRules, symbolId)) {
+      this._placeWildAnchors(anchors, symbolId, selectedPaylineIndex, localRng, direction);
+    }
+
     return {
       anchors: anchors,
       generatedWinLine: selectedPaylineIndex,
+      payDirection: direction,  // v1.6.22: 'LTR' | 'RTL'
       winConditionType: 'LINE',
       patternSource: 'GENERATED'
     };
   }
 
+  /**
+   * v1.6.7: 在 LINE anchor run 內放置 WILD
+   *
+   * 規則：
+   * - 只使用可替代 symbolId 的 WILD（依 substitutes）
+   * - 至少保留一個 symbolId，evaluator 判定的支付符號必為 symbolId（leading wilds 取第一個非 WILD 符號）
+   * - 其他 payline 的前 3 格最多包含 1 個 WILD（2 個 WILD 幾乎必定與填充符號形成連線）
+   *   v1.6.22: 依 gameRule.payDirection 判定的每一側（RTL 為最後 3 格）；
+   *   BOTH 時中獎線本身的另一側同樣適用
+   * - 使用 Pattern RNG（不消耗 Math RNG）
+   */
+  _placeWildAnchors(anchors, symbolId, winLineIndex, localRng, winDirection = 'LTR') {
+    const wildIds = this.symbols
+      .filter(s => canSubstitute(this.wildRules, s.id, symbolId))
+      .map(s => s.id);
+    if (wildIds.length === 0) {
+      throw new Error(`allowWild 需要可替代 ${symbolId} 的 WILD 符號`);
+    }
+
+    // 其他 payline 的前 3 格（key = "row,col"；v1.6.22: 每個判定方向各一組）
+    const directions = getLineDirections(this.gameRule.payDirection);
+    const leadingCells = [];
+    this.gameRule.paylines.forEach((payline, index) => directions.forEach(direction => {
+      if (index !== winLineIndex || direction !== winDirection) {
+        leadingCells.push(new Set(orientLine(payline, direction).slice(0, 3).map(([row, col]) => `${row},${col}`)));
+      }
+    }));
+    const wildCells = new Set();
+    const isSafe = (anchor) => {
+      const key = `${anchor.row},${anchor.col}`;
+      return leadingCells.every(cells => !cells.has(key) || ![...wildCells].some(cell => cells.has(cell)));
+    };
+
+    const wildCount = localRng.randomInt(anchors.length);  // 0 ~ matchCount-1
+    let candidates = anchors.map((anchor, index) => index);
+    for (let i = 0; i < wildCount; i++) {
+      candidates = candidates.filter(index => isSafe(anchors[index]));
+      if (candidates.length === 0) {
+        break;
+      }
+      const [index] = candidates.splice(localRng.randomInt(candidates.length), 1);
+      anchors[index].symbolId = localRng.selectFromArray(wildIds);
+      wildCells.add(`${anchors[index].row},${anchors[index].col}`);
+    }
+  }
+
+  /**
+   * v1.6.20: 生成 WAYS 類型的 anchors
+   *
+   * 規則：
+   * - 在前 matchCount 輪放置 symbolId，各輪數量的乘積 = ways（未定義時為 1）
+   * - 隨機選擇一種拆法（例如 ways = 4 → [1, 2, 2] / [2, 1, 2] / [4, 1, 1] ...，每輪最多 rows 個）
+   * - 每輪隨機選擇不重複的 row；第 matchCount 輪之後不放置（避免延長中獎，由 Resolver 保證）
+   * - allowWild 時，隨機將 0 ~ anchor 數-1 個 anchor 換成可替代的 WILD（至少保留一個 symbolId）；
+   *   前 3 輪中最多一輪放置 WILD（兩輪 WILD 時剩下一輪的任何符號都會形成 ways 中獎）
+   * - 提供 occupiedCells 時，只使用未被佔用的位置
+   */
+  _generateWaysAnchors(winCondition, localRng, allowWild = false, occupiedCells = null) {
+    // 驗證必要欄位
+    if (!winCondition.symbolId || typeof winCondition.matchCount !== 'number') {
+      throw new Error('WAYS winCondition 必須包含 symbolId 和 matchCount');
+    }
+
+    const symbolId = winCondition.symbolId;
+    const matchCount = winCondition.matchCount;
+    const ways = winCondition.ways !== undefined ? winCondition.ways : 1;
+    if (matchCount > this.cols) {
+      throw new Error(`WAYS matchCount (${matchCount}) 超過輪數 (${this.cols})`);
+    }
+
+    // 各輪可用的 row
+    const freeRows = [];
+    for (let col = 0; col < matchCount; col++) {
+      const rows = [];
+      for (let row = 0; row < this.rows; row++) {
+        if (!occupiedCells || !occupiedCells.has(`${row},${col}`)) {
+          rows.push(row);
+        }
+      }
+      freeRows.push(rows);
+    }
+
+    const factorizations = waysFactorizations(ways, freeRows.map(rows => rows.length));
+    if (factorizations.length === 0) {
+      throw new Error(`無法在前 ${matchCount} 輪組成 ${symbolId} 的 ${ways} ways`);
+    }
+    const counts = factorizations[localRng.randomInt(factorizations.length)];
+
+    const anchors = [];
+    counts.forEach((count, col) => {
+      const rows = [...freeRows[col]];
+      for (let i = 0; i < count; i++) {
+        const [row] = rows.splice(localRng.randomInt(rows.length), 1);
+        anchors.push({ row: row, col: col, symbolId: symbolId });
+      }
+    });
+
+    if (allowWild && !isWild(this.wildRules, symbolId)) {
+      const wildIds = this.symbols
+        .filter(s => canSubstitute(this.wildRules, s.id, symbolId))
+        .map(s => s.id);
+      if (wildIds.length === 0) {
+        throw new Error(`allowWild 需要可替代 ${symbolId} 的 WILD 符號`);
+      }
+      const wildCount = localRng.randomInt(anchors.length);  // 0 ~ anchor 數-1
+      let leadingWildCol = null;
+      let candidates = anchors.map((anchor, index) => index);
+      for (let i = 0; i < wildCount; i++) {
+        candidates = candidates.filter(index => {
+          const col = anchors[index].col;
+          return col >= MIN_WAYS_REELS || leadingWildCol === null || leadingWildCol === col;
+        });
+        if (candidates.length === 0) {
+          break;
+        }
+        const [index] = candidates.splice(localRng.randomInt(candidates.length), 1);
+        anchors[index].symbolId = localRng.selectFromArray(wildIds);
+        if (anchors[index].col < MIN_WAYS_REELS) {
+          leadingWildCol = anchors[index].col;
+        }
+      }
+    }
+
+    return {
+      anchors: anchors,
+      generatedWinLine: null,  // ways 沒有 winLine
+      winConditionType: 'WAYS',
+      patternSource: 'GENERATED'
+    };
+  }
+
+  /**
+   * v1.6.21: 生成 CLUSTER 類型的 anchors
+   *
+   * 規則：
+   * - 隨機選擇起點，再從相鄰（上下左右）的空位逐格長出剛好 clusterSize 格的連通區塊
+   * - 長到一半無路可走（被邊界或 occupiedCells 包圍）時換一個起點重試，最多 maxRetries 次
+   * - cluster 之外不放置（不得與 cluster 相鄰的同符號，由 Resolver 保證）
+   * - allowWild 時，隨機將 0 ~ floor((minClusterSize - 1) / 2) 個 anchor 換成可替代的 WILD（至少保留一個 symbolId）；
+   *   WILD 會與相鄰的任何符號相連，WILD 越多，周圍可用的填充符號越少（3 個 WILD 時兩個相同的鄰格即形成 cluster）
+   * - 提供 occupiedCells 時，只使用未被佔用的位置
+   */
+  _generateClusterAnchors(winCondition, localRng, allowWild = false, occupiedCells = null) {
+    // 驗證必要欄位
+    if (!winCondition.symbolId || typeof winCondition.clusterSize !== 'number') {
+      throw new Error('CLUSTER winCondition 必須包含 symbolId 和 clusterSize');
+    }
+
+    const symbolId = winCondition.symbolId;
+    const clusterSize = winCondition.clusterSize;
+    if (clusterSize < this.minClusterSize || clusterSize > this.rows * this.cols) {
+      throw new Error(`CLUSTER clusterSize (${clusterSize}) 必須介於 ${this.minClusterSize} ~ ${this.rows * this.cols}`);
+    }
+
+    const isFree = (row, col) => !occupiedCells || !occupiedCells.has(`${row},${col}`);
+    const freeCells = [];
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (isFree(row, col)) {
+          freeCells.push([row, col]);
+        }
+      }
+    }
+
+    const maxRetries = 10;
+    let cells = null;
+    for (let retry = 0; retry < maxRetries && freeCells.length >= clusterSize; retry++) {
+      const start = freeCells[localRng.randomInt(freeCells.length)];
+      const grown = [start];
+      const inCluster = new Set([`${start[0]},${start[1]}`]);
+      while (grown.length < clusterSize) {
+        // 相鄰空位（依 cluster 內的順序去重，維持 deterministic）
+        const frontier = [];
+        const seen = new Set();
+        grown.forEach(([row, col]) => {
+          getNeighbors(row, col, this.rows, this.cols).forEach(([r, c]) => {
+            const key = `${r},${c}`;
+            if (!inCluster.has(key) && !seen.has(key) && isFree(r, c)) {
+              seen.add(key);
+              frontier.push([r, c]);
+            }
+          });
+        });
+        if (frontier.length === 0) {
+          break;
+        }
+        const next = frontier[localRng.randomInt(frontier.length)];
+        grown.push(next);
+        inCluster.add(`${next[0]},${next[1]}`);
+      }
+      if (grown.length === clusterSize) {
+        cells = grown;
+        break;
+      }
+    }
+    if (!cells) {
+      throw new Error(`無法在盤面上組成 ${symbolId} 的 ${clusterSize} 格 cluster`);
+    }
+
+    const anchors = cells.map(([row, col]) => ({ row: row, col: col, symbolId: symbolId }));
+
+    if (allowWild && !isWild(this.wildRules, symbolId)) {
+      const wildIds = this.symbols
+        .filter(s => canSubstitute(this.wildRules, s.id, symbolId))
+        .map(s => s.id);
+      if (wildIds.length === 0) {
+        throw new Error(`allowWild 需要可替代 ${symbolId} 的 WILD 符號`);
+      }
+      const wildCount = localRng.randomInt(Math.min(anchors.length, Math.floor((this.minClusterSize - 1) / 2) + 1));
+      const candidates = anchors.map((anchor, index) => index);
+      for (let i = 0; i < wildCount; i++) {
+        const [index] = candidates.splice(localRng.randomInt(candidates.length), 1);
+        anchors[index].symbolId = localRng.selectFromArray(wildIds);
+      }
+    }
+
+    return {
+      anchors: anchors,
+      generatedWinLine: null,  // cluster 沒有 winLine
+      winConditionType: 'CLUSTER',
+      patternSource: 'GENERATED'
+    };
+  }
+
   /**
    * 生成 SCATTER 類型的 anchors
    * 
@@ -210,7 +504,8 @@ class PatternGenerator {
       // 如果檢查失敗，重新推導 seed（加入 retry 計數）
       // 使用簡單的 retry seed（基於原始 seed + retry）
       const retrySeed = derivedSeed + retry + 1000;  // 加上較大的偏移避免衝突
-      localRng = new RNG(retrySeed);
+      // 注意：第三個參數實際上是 generate() 的 context
+      localRng = new RNG(retrySeed, derivedSeed && derivedSeed.rngOptions);
     }
 
     // 如果重試失敗，仍然返回結果（但記錄警告）
@@ -1,6 +1,22 @@
+const { buildWildRules, orientLine, matchPayline } = require('./lineMatcher');  // v1.6.7: Wild 替代（v1.6.22: 支付方向）
+const { EVALUATION_MODES, isWaysRule, isClusterRule } = require('./winConditions');  // v1.6.8: 評估模式
+const { buildPaytable, getPayMultiplier } = require('./paytable');  // v1.6.9: Paytable
+const { findWaysRuns } = require('./waysMatcher');  // v1.6.20: Ways
+const { getMinClusterSize, findClusters } = require('./clusterMatcher');  // v1.6.21: Cluster pays
+const { getAnyPositionSymbols, getAnyPositionMinCount, findSymbolPositions } = require('./anyPosition');  // v1.6.24: 多個 ANY_POSITION 符號
+
 /**
  * v1.5.0: Pay Rule Evaluator
  * v1.5.3: 支援 ANY_POSITION rule
+ * v1.6.7: LINE rule 支援 Wild 替代（規則見 lineMatcher.js）
+ * v1.6.8: evaluationMode = MULTI 時返回所有中獎事件（每條中獎線 + ANY_POSITION）
+ * v1.6.9: 設定 paytable 時，依盤面查表計算每個事件的 winAmount
+ * v1.6.20: gameRule.winCondition = 'ways' 時以 WAYS 取代 LINE（忽略 paylines，規則見 waysMatcher.js）
+ * v1.6.21: gameRule.winCondition = 'cluster' 時以 CLUSTER 取代 LINE（忽略 paylines，規則見 clusterMatcher.js）
+ * v1.6.22: gameRule.payDirection = 'RTL' | 'BOTH' 時 LINE 由最右輪 / 兩側判定（規則見 lineMatcher.js）
+ * v1.6.23: paytable.SCATTER 設定 Scatter 派彩時，盤面 Scatter 數量達到賠率等級即產生 SCATTER 事件
+ *          （SINGLE / MULTI 皆附加在其他事件之後，與連線派彩相加）
+ * v1.6.24: 每個 ANY_POSITION 符號各自計數，門檻由 symbol.minCount 設定（預設 3）
  * 
  * 核心原則：
  * - Single Evaluation Point：由 simulate.js 統一呼叫
@@ -8,59 +24,121 @@
  * - 不修改 grid，只讀取並評估
  * - v1.5.0 僅支援 LINE rule（單事件）
  * - v1.5.3 新增 ANY_POSITION rule（單事件模式，與 LINE 互斥）
+ * - v1.6.8 evaluationMode：SINGLE（預設，v1.5.3 行為）| MULTI（多事件）
  */
+// v1.6.8: MULTI 模式下不以 LINE 支付的符號類型（SCATTER / ANY_POSITION 不是連線符號）
+const NON_LINE_SYMBOL_TYPES = ['SCATTER', 'ANY_POSITION'];
 
 /**
  * WinEvent 結構（v1.5.0 / v1.5.3）
  * 
  * @typedef {Object} WinEvent
  * @property {string} eventId - 事件 ID（唯一識別）
- * @property {string} ruleType - 規則類型（'LINE' | 'ANY_POSITION'）
+ * @property {string} ruleType - 規則類型（'LINE' | 'ANY_POSITION' | v1.6.20: 'WAYS' | v1.6.21: 'CLUSTER' | v1.6.23: 'SCATTER'）
  * @property {number} winAmount - 贏分（credit int）
  * @property {string} paidSymbolId - 支付符號 ID
  * @property {string} displaySymbolId - 顯示符號 ID（通常等於 paidSymbolId）
  * @property {Array<[number, number]>} positions - 中獎位置陣列 [[row, col], ...]
- * @property {number} [matchCount] - 連線數量（LINE）或符號數量（ANY_POSITION）
+ * @property {number} [matchCount] - 連線數量（LINE）、符號數量（ANY_POSITION / SCATTER）、連續輪數（WAYS）或 cluster 大小（CLUSTER）
  * @property {number} [paylineIndex] - Payline 索引（僅 LINE）
- * @property {Object} [metadata] - 額外元資料
+ * @property {number} [ways] - v1.6.20: 各輪符合格數的乘積（僅 WAYS）
+ * @property {Object} [metadata] - 額外元資料（v1.6.7: LINE 含 WILD 時記錄 wildCount；v1.6.22: RTL 連線記錄 payDirection）
+ *   v1.6.14: FREE spin 套用倍數時由 simulate.js 加入 multiplier 與 baseWinAmount（winAmount 為套用後）
  */
 
 class PayRuleEvaluator {
   /**
-   * @param {Object} gameRule - Game rule 配置（包含 paylines）
+   * @param {Object} gameRule - Game rule 配置（包含 paylines，v1.6.8: evaluationMode，v1.6.20: winCondition，
+   *                            v1.6.21: minClusterSize，v1.6.22: payDirection）
    * @param {Array} symbols - Symbols 陣列
+   * @param {Object|null} paytableConfig - v1.6.9: design.json 的 paytable（可選）
    */
-  constructor(gameRule, symbols) {
+  constructor(gameRule, symbols, paytableConfig = null) {
     this.gameRule = gameRule;
     this.symbols = symbols;
-    this.paylines = gameRule.paylines || [];
+    // v1.6.20: ways 模式不使用 paylines（v1.6.21: cluster 模式同樣不使用）
+    this.waysMode = isWaysRule(gameRule);
+    this.clusterMode = isClusterRule(gameRule);
+    this.minClusterSize = getMinClusterSize(gameRule);
+    this.paylines = this.waysMode || this.clusterMode ? [] : (gameRule.paylines || []);
+    this.payDirection = gameRule.payDirection || 'LTR';  // v1.6.22
     
     // 建立 symbol ID 到 symbol 的映射
     this.symbolMap = new Map();
     symbols.forEach(s => {
       this.symbolMap.set(s.id, s);
     });
+
+    // v1.6.7: Wild 替代規則（substitutes 設定錯誤時直接拋錯）
+    this.wildRules = buildWildRules(symbols);
+
+    // v1.6.8: 評估模式
+    this.evaluationMode = gameRule.evaluationMode || 'SINGLE';
+    if (!EVALUATION_MODES.includes(this.evaluationMode)) {
+      throw new Error(`不支援的 evaluationMode: ${this.evaluationMode}（可用: ${EVALUATION_MODES.join(', ')}）`);
+    }
+
+    // v1.6.9: Paytable（未設定時 winAmount 由 simulate.js 依 outcome 設定）
+    this.paytable = paytableConfig ? buildPaytable(paytableConfig, symbols) : null;
   }
 
   /**
    * 主要介面：評估 grid 並返回 WinEvent[]
    * 
    * @param {Array<Array<string>>} grid - 盤面（rows x cols）
-   * @param {Object} ruleContext - 規則上下文（可選）
-   * @returns {Array<WinEvent>} WinEvent 陣列（v1.5.0/v1.5.3 限制：0~1 個事件）
+   * @param {Object} ruleContext - 規則上下文（可選，v1.6.9: { bet } 供 paytable 計算 winAmount）
+   * @returns {Array<WinEvent>} WinEvent 陣列（SINGLE：0~1 個事件；MULTI：所有中獎事件；v1.6.23: 另加 SCATTER 事件）
    */
   evaluate(grid, ruleContext = {}) {
     if (!grid || grid.length === 0) {
       return [];
     }
 
+    // v1.6.8: MULTI 模式
+    // v1.6.23: Scatter 派彩獨立於評估模式，附加在最後
+    const events = (this.evaluationMode === 'MULTI' ? this._evaluateAll(grid) : this._evaluateSingle(grid))
+      .concat(this._evaluateScatterPay(grid));
+
+    // v1.6.9: Paytable 計算 winAmount
+    if (this.paytable) {
+      const bet = ruleContext.bet !== undefined ? ruleContext.bet : 1;
+      events.forEach(event => {
+        const multiplier = getPayMultiplier(this.paytable, event.ruleType, event.paidSymbolId, event.matchCount);
+        // v1.6.20: WAYS 的 paytable 倍數為每一 way 的賠率
+        const ways = event.ruleType === 'WAYS' ? event.ways : 1;
+        event.winAmount = Math.round(multiplier * ways * bet);  // credit int（與 simulate.js 一致）
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * v1.5.0 / v1.5.3: SINGLE 模式評估（最多 1 個事件，LINE 優先於 ANY_POSITION）
+   * v1.6.9: 設定 paytable 時，與 MULTI 相同略過 SCATTER / ANY_POSITION 的連線
+   *         （未設定 paytable 時保留 v1.5.3 行為，regression 結果不變）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @returns {Array<WinEvent>} WinEvent 陣列（0~1 個事件）
+   */
+  _evaluateSingle(grid) {
+
+    // v1.6.20: ways 模式以第一個 WAYS 事件取代 LINE（同樣優先於 ANY_POSITION）
+    // v1.6.21: cluster 模式以第一個 CLUSTER 事件取代 LINE
+    if (this.waysMode || this.clusterMode) {
+      const ruleEvents = this.waysMode ? this._evaluateWaysPay(grid) : this._evaluateClusterPay(grid);
+      return (ruleEvents.length > 0 ? ruleEvents : this._evaluateAnyPositionPay(grid)).slice(0, 1);
+    }
+
     // v1.5.0: 先評估 LINE rule
     const lineEvents = [];
     
     // 評估所有 paylines
     for (let paylineIndex = 0; paylineIndex < this.paylines.length; paylineIndex++) {
       const payline = this.paylines[paylineIndex];
-      const lineEvent = this._evaluateLinePay(grid, payline, paylineIndex);
+      // v1.6.22: BOTH 時同一條 payline 先 LTR 後 RTL
+      const lineEvent = this._evaluateLinePays(grid, payline, paylineIndex)
+        .find(event => !(this.paytable && this._isNonLineSymbol(event.paidSymbolId)));
       
       if (lineEvent) {
         lineEvents.push(lineEvent);
@@ -81,17 +159,55 @@ class PayRuleEvaluator {
     return anyPosEvents.slice(0, 1);
   }
 
+  /**
+   * v1.6.8: MULTI 模式評估（每條中獎線各一個事件 + ANY_POSITION 事件）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @returns {Array<WinEvent>} WinEvent 陣列（依 paylineIndex 排序，ANY_POSITION 在最後）
+   */
+  _evaluateAll(grid) {
+    // v1.6.20: ways 模式（每個中獎符號一個 WAYS 事件 + ANY_POSITION 事件）
+    if (this.waysMode) {
+      return this._evaluateWaysPay(grid).concat(this._evaluateAnyPositionPay(grid));
+    }
+    // v1.6.21: cluster 模式（每個中獎 cluster 一個 CLUSTER 事件 + ANY_POSITION 事件）
+    if (this.clusterMode) {
+      return this._evaluateClusterPay(grid).concat(this._evaluateAnyPositionPay(grid));
+    }
+
+    const events = [];
+
+    for (let paylineIndex = 0; paylineIndex < this.paylines.length; paylineIndex++) {
+      // v1.6.22: BOTH 時每條 payline 最多兩個事件（LTR、RTL）
+      this._evaluateLinePays(grid, this.paylines[paylineIndex], paylineIndex).forEach(lineEvent => {
+        if (!this._isNonLineSymbol(lineEvent.paidSymbolId)) {
+          events.push(lineEvent);
+        }
+      });
+    }
+
+    return events.concat(this._evaluateAnyPositionPay(grid));
+  }
+
+  /**
+   * v1.6.8: 是否為不以 LINE 支付的符號（SCATTER / ANY_POSITION）
+   */
+  _isNonLineSymbol(symbolId) {
+    return NON_LINE_SYMBOL_TYPES.includes(this.symbolMap.get(symbolId).type);
+  }
+
   /**
    * 評估 LINE pay（Left-to-Right）
+   * v1.6.22: 依 payDirection 判定（RTL 由最右輪開始；BOTH 兩側各自判定，整條線中獎時只返回 LTR）
    * 
    * @param {Array<Array<string>>} grid - 盤面
    * @param {Array<[number, number]>} payline - Payline 座標陣列
    * @param {number} paylineIndex - Payline 索引
-   * @returns {WinEvent|null} WinEvent 或 null
+   * @returns {Array<WinEvent>} WinEvent 陣列（LTR 在前；LTR / RTL 各 0~1 個）
    */
-  _evaluateLinePay(grid, payline, paylineIndex) {
+  _evaluateLinePays(grid, payline, paylineIndex) {
     if (!payline || payline.length === 0) {
-      return null;
+      return [];
     }
 
     // 讀取 payline 上的符號
@@ -104,30 +220,30 @@ class PayRuleEvaluator {
           position: [row, col]
         });
       } else {
-        return null; // 無效的 payline
+        return []; // 無效的 payline
       }
     }
 
-    if (symbolsOnLine.length === 0) {
-      return null;
-    }
-
-    // 計算連續相同符號的數量（從左到右）
-    const firstSymbol = symbolsOnLine[0].symbolId;
-    let matchCount = 1;
-    const positions = [[symbolsOnLine[0].position[0], symbolsOnLine[0].position[1]]];
+    // v1.6.7: 計算從起點連續的連線（含 Wild 替代；v1.6.22: 依 payDirection 決定起點）
+    const runs = matchPayline(symbolsOnLine.map(s => s.symbolId), this.wildRules, this.payDirection);
+    return runs
+      .map(run => this._createLineEvent(run, orientLine(symbolsOnLine, run.direction), paylineIndex))
+      .filter(event => event !== null);
+  }
 
-    for (let i = 1; i < symbolsOnLine.length; i++) {
-      const currentSymbol = symbolsOnLine[i].symbolId;
-      
-      // v1.5.0: 不支援 Wild 替代（明確禁止）
-      if (currentSymbol === firstSymbol) {
-        matchCount++;
-        positions.push([symbolsOnLine[i].position[0], symbolsOnLine[i].position[1]]);
-      } else {
-        break; // 中斷連續
-      }
-    }
+  /**
+   * 建立 LINE WinEvent（v1.6.22: 由 _evaluateLinePays 拆出，每個方向的連線各自建立）
+   *
+   * @param {Object} run - matchPayline() 的結果（{ direction, symbolId, matchCount, wildCount }）
+   * @param {Array<Object>} symbolsOnLine - 依判定方向排列的 { symbolId, position }
+   * @param {number} paylineIndex - Payline 索引
+   * @returns {WinEvent|null} WinEvent 或 null
+   */
+  _createLineEvent(run, symbolsOnLine, paylineIndex) {
+    const matchCount = run.matchCount;
+    const positions = symbolsOnLine
+      .slice(0, matchCount)
+      .map(s => [s.position[0], s.position[1]]);
 
     // 至少需要 3 個連續符號才算中獎
     if (matchCount < 3) {
@@ -135,80 +251,154 @@ class PayRuleEvaluator {
     }
 
     // 建立 WinEvent
-    const symbol = this.symbolMap.get(firstSymbol);
+    const paidSymbolId = run.symbolId;
+    const symbol = this.symbolMap.get(paidSymbolId);
     if (!symbol) {
       return null; // 無效的符號
     }
 
+    // v1.6.22: RTL 連線的 eventId / metadata 標記方向（LTR 維持原格式）
+    const rtl = run.direction === 'RTL';
+    const metadata = run.wildCount > 0 ? { wildCount: run.wildCount } : {};
+    if (rtl) {
+      metadata.payDirection = 'RTL';
+    }
+
     // v1.5.0: winAmount 必須由 caller 提供（根據 outcome.payoutMultiplier * bet）
     // 這裡只返回結構，不計算 winAmount
     // 注意：實際的 winAmount 應該在 simulate.js 中根據 outcome 計算
     // 但為了完整性，我們需要知道如何計算，所以這裡先返回 0，由 simulate.js 覆蓋
     
     return {
-      eventId: `LINE_${paylineIndex}_${firstSymbol}_${matchCount}`,
+      eventId: rtl ? `LINE_${paylineIndex}_RTL_${paidSymbolId}_${matchCount}` : `LINE_${paylineIndex}_${paidSymbolId}_${matchCount}`,
       ruleType: 'LINE',
-      winAmount: 0, // 將由 simulate.js 根據 outcome 計算
-      paidSymbolId: firstSymbol,
-      displaySymbolId: firstSymbol,
+      winAmount: 0, // 將由 simulate.js 根據 outcome 計算（v1.6.9: 設定 paytable 時由 evaluate() 查表）
+      paidSymbolId: paidSymbolId,
+      displaySymbolId: paidSymbolId,
       positions: positions,
       matchCount: matchCount,
       paylineIndex: paylineIndex,
-      metadata: {}
+      metadata: metadata
     };
   }
 
+  /**
+   * v1.6.20: 評估 WAYS pay（Left-to-Right，相鄰輪）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @returns {Array<WinEvent>} 每個中獎符號一個 WinEvent（依 symbols 順序）
+   */
+  _evaluateWaysPay(grid) {
+    return findWaysRuns(grid, this.symbols, this.wildRules).map(run => ({
+      eventId: `WAYS_${run.symbolId}_${run.matchCount}_${run.ways}`,
+      ruleType: 'WAYS',
+      winAmount: 0, // 將由 simulate.js 根據 outcome 計算（設定 paytable 時由 evaluate() 查表）
+      paidSymbolId: run.symbolId,
+      displaySymbolId: run.symbolId,
+      positions: run.positions,
+      matchCount: run.matchCount,
+      ways: run.ways,
+      metadata: run.wildCount > 0 ? { wildCount: run.wildCount } : {}
+    }));
+  }
+
+  /**
+   * v1.6.21: 評估 CLUSTER pay（上下左右相鄰，大小 >= minClusterSize）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @returns {Array<WinEvent>} 每個中獎 cluster 一個 WinEvent（依 symbols 順序，同一符號依第一格位置）
+   */
+  _evaluateClusterPay(grid) {
+    return findClusters(grid, this.symbols, this.wildRules, this.minClusterSize).map(cluster => {
+      const [row, col] = cluster.positions[0];
+      return {
+        eventId: `CLUSTER_${cluster.symbolId}_${cluster.size}_${row}_${col}`,
+        ruleType: 'CLUSTER',
+        winAmount: 0, // 將由 simulate.js 根據 outcome 計算（設定 paytable 時由 evaluate() 查表）
+        paidSymbolId: cluster.symbolId,
+        displaySymbolId: cluster.symbolId,
+        positions: cluster.positions,
+        matchCount: cluster.size,
+        metadata: cluster.wildCount > 0 ? { wildCount: cluster.wildCount } : {}
+      };
+    });
+  }
+
   /**
    * v1.5.3: 評估 ANY_POSITION pay
+   * v1.6.24: 評估所有 ANY_POSITION 符號，門檻由各符號的 minCount 設定（規則見 anyPosition.js）
    * 
    * 規則：
-   * - 計算 grid 上 A1 符號的數量
-   * - 如果 a1Count >= 3，產生 WinEvent
-   * - 返回所有 A1 符號的位置
+   * - 依 symbols 順序計算每個 ANY_POSITION 符號在 grid 上的數量
+   * - 數量 >= 該符號的 minCount（預設 3）時產生 WinEvent
+   * - 返回該符號的所有位置
    * 
    * 注意：
-   * - Evaluator 不應依賴 outcome，只負責檢測 grid 上的 A1 數量
-   * - winAmount 由 simulate.js 根據 outcome.payoutMultiplier * bet 設定
+   * - Evaluator 不應依賴 outcome，只負責檢測 grid 上的 ANY_POSITION 符號數量
+   * - winAmount 由 simulate.js 根據 outcome.payoutMultiplier * bet 設定（v1.6.9: 設定 paytable 時由 evaluate() 查表）
    * 
    * @param {Array<Array<string>>} grid - 盤面
-   * @returns {Array<WinEvent>} WinEvent 陣列（最多 1 個）
+   * @returns {Array<WinEvent>} 每個達到門檻的 ANY_POSITION 符號一個 WinEvent（依 symbols 順序）
    */
   _evaluateAnyPositionPay(grid) {
-    // 查找 ANY_POSITION 符號（A1）
-    const anyPositionSymbol = this.symbols.find(s => s.type === 'ANY_POSITION');
-    if (!anyPositionSymbol) {
-      return [];  // 如果沒有 ANY_POSITION 符號，返回空陣列
+    const events = [];
+    getAnyPositionSymbols(this.symbols).forEach(symbol => {
+      const positions = findSymbolPositions(grid, symbol.id);
+      if (positions.length >= getAnyPositionMinCount(symbol)) {
+        events.push({
+          eventId: `ANY_POS_${symbol.id}_${positions.length}`,
+          ruleType: 'ANY_POSITION',
+          winAmount: 0, // 將由 simulate.js 根據 outcome 計算（v1.6.9: 設定 paytable 時由 evaluate() 查表）
+          paidSymbolId: symbol.id,
+          displaySymbolId: symbol.id,
+          positions: positions,
+          matchCount: positions.length,
+          metadata: {}
+        });
+      }
+    });
+    return events;
+  }
+
+  /**
+   * v1.6.23: 評估 SCATTER pay（paytable.SCATTER 的符號，數量達到最低賠率等級）
+   *
+   * - 未設定 paytable 或 paytable.SCATTER 時不產生事件（Scatter 只觸發 Feature，v1.5.2 行為）
+   * - winAmount 由 evaluate() 查表（count tiers，與 ANY_POSITION 相同）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @returns {Array<WinEvent>} 每個中獎的 Scatter 符號一個 WinEvent（依 paytable 順序）
+   */
+  _evaluateScatterPay(grid) {
+    if (!this.paytable) {
+      return [];
     }
-    
-    const a1SymbolId = anyPositionSymbol.id;
-    
-    // 計算 A1 數量並收集位置
-    const a1Positions = [];
-    for (let row = 0; row < grid.length; row++) {
-      for (let col = 0; col < grid[row].length; col++) {
-        if (grid[row][col] === a1SymbolId) {
-          a1Positions.push([row, col]);
+
+    const events = [];
+    this.paytable.SCATTER.forEach((pays, scatterSymbolId) => {
+      const positions = [];
+      for (let row = 0; row < grid.length; row++) {
+        for (let col = 0; col < grid[row].length; col++) {
+          if (grid[row][col] === scatterSymbolId) {
+            positions.push([row, col]);
+          }
         }
       }
-    }
-    
-    const a1Count = a1Positions.length;
-    
-    // v1.5.3: 最小觸發門檻為 3（可配置，但目前固定為 3）
-    if (a1Count >= 3) {
-      return [{
-        eventId: `ANY_POS_${a1SymbolId}_${a1Count}`,
-        ruleType: 'ANY_POSITION',
-        winAmount: 0, // 將由 simulate.js 根據 outcome 計算
-        paidSymbolId: a1SymbolId,
-        displaySymbolId: a1SymbolId,
-        positions: a1Positions,
-        matchCount: a1Count,
-        metadata: {}
-      }];
-    }
-    
-    return [];
+
+      if (getPayMultiplier(this.paytable, 'SCATTER', scatterSymbolId, positions.length) > 0) {
+        events.push({
+          eventId: `SCATTER_${scatterSymbolId}_${positions.length}`,
+          ruleType: 'SCATTER',
+          winAmount: 0, // 由 evaluate() 查表
+          paidSymbolId: scatterSymbolId,
+          displaySymbolId: scatterSymbolId,
+          positions: positions,
+          matchCount: positions.length,
+          metadata: {}
+        });
+      }
+    });
+    return events;
   }
 }
 
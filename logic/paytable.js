@@ -0,0 +1,139 @@
+/**
+ * v1.6.9: Paytable（符號 × 數量 → 賠率倍數）
+ *
+ * 核心原則：
+ * - paytable 為可選設定；存在時 Evaluator 依盤面自行計算每個 WinEvent 的 winAmount，
+ *   validateStrict 才是真正的交叉驗證（盤面派彩 vs Outcome 宣告的 payoutMultiplier）
+ * - LINE：symbolId × matchCount 精確查表（未定義 → 0）
+ * - ANY_POSITION：count tiers，取 count ≤ 實際數量的最高 tier（未達最低 tier → 0）
+ * - 倍數以 bet 為單位，金額計算與 simulate.js 一致：Math.round(multiplier * bet)（credit int）
+ * - v1.6.20: WAYS：symbolId × matchCount 精確查表，倍數為每一 way 的賠率（總倍數 = 倍數 × ways）
+ * - v1.6.21: CLUSTER：與 ANY_POSITION 相同的 size tiers（取 size ≤ cluster 大小的最高 tier）
+ * - v1.6.23: SCATTER：與 ANY_POSITION 相同的 count tiers（Scatter 派彩，與 LINE / WAYS / CLUSTER 派彩相加）
+ *
+ * 設定格式：
+ *   "paytable": {
+ *     "LINE": { "H1": { "3": 5, "4": 20, "5": 100 } },
+ *     "ANY_POSITION": { "A1": { "5": 10 } },
+ *     "WAYS": { "H1": { "3": 0.5, "4": 2, "5": 10 } },
+ *     "CLUSTER": { "H1": { "5": 2, "8": 5, "12": 20 } },
+ *     "SCATTER": { "S": { "3": 2, "4": 10, "5": 50 } }
+ *   }
+ */
+
+const { getConditionWays } = require('./winConditions');  // v1.6.20: WAYS
+
+// paytable 支援的規則類型，以及各規則可用的符號類型
+const PAYTABLE_RULE_SYMBOL_TYPES = {
+  LINE: ['LOW', 'MID', 'HIGH', 'WILD'],
+  ANY_POSITION: ['ANY_POSITION'],
+  WAYS: ['LOW', 'MID', 'HIGH'],  // v1.6.20
+  CLUSTER: ['LOW', 'MID', 'HIGH'],  // v1.6.21
+  SCATTER: ['SCATTER']  // v1.6.23
+};
+
+/**
+ * 建立 paytable（驗證結構並轉為查表用的 Map）
+ * @param {Object} paytableConfig - design.json 的 paytable
+ * @param {Array} symbols - design.json 的 symbols 陣列
+ * @returns {Object} { LINE: Map<symbolId, Map<count, multiplier>>, ANY_POSITION: Map<...>, WAYS: Map<...>, CLUSTER: Map<...>, SCATTER: Map<...> }
+ */
+function buildPaytable(paytableConfig, symbols) {
+  if (typeof paytableConfig !== 'object' || paytableConfig === null || Array.isArray(paytableConfig)) {
+    throw new Error('paytable 必須為物件');
+  }
+
+  const symbolTypes = new Map(symbols.map(s => [s.id, s.type]));
+  const paytable = {};
+
+  Object.keys(paytableConfig).forEach(ruleType => {
+    if (!PAYTABLE_RULE_SYMBOL_TYPES[ruleType]) {
+      throw new Error(
+        `paytable 不支援的規則類型: ${ruleType}（可用: ${Object.keys(PAYTABLE_RULE_SYMBOL_TYPES).join(', ')}）`
+      );
+    }
+  });
+
+  Object.keys(PAYTABLE_RULE_SYMBOL_TYPES).forEach(ruleType => {
+    const entries = paytableConfig[ruleType] || {};
+    const table = new Map();
+
+    Object.keys(entries).forEach(symbolId => {
+      const type = symbolTypes.get(symbolId);
+      if (type === undefined) {
+        throw new Error(`paytable.${ruleType} 包含不存在的符號: ${symbolId}`);
+      }
+      if (!PAYTABLE_RULE_SYMBOL_TYPES[ruleType].includes(type)) {
+        throw new Error(`paytable.${ruleType} 不可包含 ${type} 符號: ${symbolId}`);
+      }
+
+      const pays = new Map();
+      Object.keys(entries[symbolId]).forEach(countKey => {
+        const count = Number(countKey);
+        const multiplier = entries[symbolId][countKey];
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error(`paytable.${ruleType}.${symbolId} 的數量必須為正整數: ${countKey}`);
+        }
+        if (typeof multiplier !== 'number' || !(multiplier >= 0)) {
+          throw new Error(`paytable.${ruleType}.${symbolId}.${countKey} 必須為 >= 0 的數字`);
+        }
+        pays.set(count, multiplier);
+      });
+      table.set(symbolId, pays);
+    });
+
+    paytable[ruleType] = table;
+  });
+
+  return paytable;
+}
+
+/**
+ * 查表取得賠率倍數
+ * @param {Object} paytable - buildPaytable() 的結果
+ * @param {string} ruleType - 'LINE' | 'ANY_POSITION' | 'WAYS' | 'CLUSTER' | 'SCATTER'
+ * @param {string} symbolId - 支付符號
+ * @param {number} count - LINE / WAYS: matchCount；ANY_POSITION / SCATTER: 盤面上的數量；CLUSTER: cluster 大小
+ * @returns {number} 賠率倍數（未定義時為 0；WAYS 為每一 way 的倍數）
+ */
+function getPayMultiplier(paytable, ruleType, symbolId, count) {
+  const pays = paytable[ruleType] && paytable[ruleType].get(symbolId);
+  if (!pays) {
+    return 0;
+  }
+  if (ruleType === 'LINE' || ruleType === 'WAYS') {
+    return pays.has(count) ? pays.get(count) : 0;
+  }
+
+  // ANY_POSITION / CLUSTER / SCATTER: count tiers
+  let tier = 0;
+  let multiplier = 0;
+  pays.forEach((value, tierCount) => {
+    if (tierCount <= count && tierCount >= tier) {
+      tier = tierCount;
+      multiplier = value;
+    }
+  });
+  return multiplier;
+}
+
+/**
+ * 中獎條件在 paytable 中的賠率倍數
+ * @param {Object} paytable - buildPaytable() 的結果
+ * @param {Object} condition - winCondition（LINE / ANY_POSITION / WAYS / CLUSTER）
+ * @returns {number} 賠率倍數（WAYS 已乘上 ways 數）
+ */
+function getConditionPayMultiplier(paytable, condition) {
+  const count = condition.type === 'ANY_POSITION'
+    ? condition.targetCount
+    : (condition.type === 'CLUSTER' ? condition.clusterSize : condition.matchCount);
+  const multiplier = getPayMultiplier(paytable, condition.type, condition.symbolId, count);
+  return condition.type === 'WAYS' ? multiplier * getConditionWays(condition) : multiplier;
+}
+
+module.exports = {
+  PAYTABLE_RULE_SYMBOL_TYPES,
+  buildPaytable,
+  getPayMultiplier,
+  getConditionPayMultiplier
+};
@@ -1,3 +1,8 @@
+const { calculateTheory, getUnmodeledStates } = require('./theory');  // v1.6.0: 理論值對照（v1.6.11: 未建模的 FSM 狀態）
+const { WIN_DISTRIBUTION_BUCKETS, classifyVolatility, histogramPercentile } = require('./stats');  // v1.6.17: 贏分分布與波動度分級
+
+const HISTOGRAM_WIDTH = 40;  // v1.6.17: 直方圖最長的長條（字元數）
+
 /**
  * v1.2: 格式化 Grid 顯示（支援 5x3 格式）
  * 
@@ -58,6 +63,8 @@ function printReport(result, config, spinDetails, stateTransitions, targetBaseSp
   console.log(`  模擬目標: ${targetBaseSpins.toLocaleString()} 次 Base Game Spins`);
   console.log(`  Base Bet: ${baseBet} (讀自 betConfig.baseBet)`);
   console.log(`  Free Spin 次數: ${freeSpinCount}`);
+  console.log(`  RNG: ${result.rngAlgorithm || 'legacy (Math.random，不可重現)'}`);  // v1.6.2
+  console.log(`  Sub-seed Derivation: ${result.subSeedDerivation}`);  // v1.6.3
   console.log('');
 
   // ========================================================================
@@ -77,45 +84,136 @@ function printReport(result, config, spinDetails, stateTransitions, targetBaseSp
   console.log(`  RTP: ${result.rtp.toFixed(2)}%`);
   console.log(`  Hit Rate: ${result.hitRate.toFixed(2)}% (僅計算 Base Game 中 Win > 0)`);
   
-  // 計算 Max Win
-  const maxBaseWin = result.baseGameWin > 0 
-    ? Math.max(...Object.values(result.baseOutcomeDistribution)
-        .filter(d => d.count > 0)
-        .map(d => {
-          const outcome = config.outcomeTables.BASE.outcomes.find(o => 
-            result.baseOutcomeDistribution[o.id] === d
-          );
-          return outcome ? outcome.payoutMultiplier * baseBet : 0;
-        }))
-    : 0;
-  const maxFeatureWin = result.featureWin > 0
-    ? Math.max(...Object.values(result.freeOutcomeDistribution)
-        .filter(d => d.count > 0)
-        .map(d => {
-          const outcome = config.outcomeTables.FREE.outcomes.find(o => 
-            result.freeOutcomeDistribution[o.id] === d
-          );
-          return outcome ? outcome.payoutMultiplier * baseBet : 0;
-        }))
-    : 0;
-  const maxWin = Math.max(maxBaseWin, maxFeatureWin);
-  console.log(`  Max Win: ${maxWin.toFixed(2)}`);
+  // v1.6.18: 模擬中實際的最大贏分（附重現所需的 seed 與 spin 索引）
+  printMaxWin('Max Win (單次 Spin)', result.maxSpinWin, baseBet,
+    record => `${record.state} ${record.outcomeId}，Spin #${record.spinIndex}`);
+  printMaxWin('Max Feature Win (單次 Free Game)', result.maxFeatureWin, baseBet,
+    record => `觸發於 Spin #${record.spinIndex}`);
+  printMaxWin('Max Round Win (Base + Feature)', result.maxRoundWin, baseBet,
+    record => `Spin #${record.spinIndex}`);
+  const maxWinCap = config.betConfig.maxWinCap;
+  if (typeof maxWinCap === 'number') {
+    const capRate = result.baseGameSpins > 0 ? (result.maxWinCapHitCount / result.baseGameSpins) * 100 : 0;
+    const clampedRtp = result.totalBaseBet > 0 ? (result.maxWinCapClampedWin / result.totalBaseBet) * 100 : 0;
+    console.log(`  Max Win Cap: ${maxWinCap}x Bet (= ${Math.round(maxWinCap * baseBet)})，達到上限 ${result.maxWinCapHitCount.toLocaleString()} 次 (${capRate.toFixed(4)}%)，截去贏分 ${result.maxWinCapClampedWin.toLocaleString()} (RTP ${clampedRtp.toFixed(2)}%)`);
+  }
 
   const triggerRate = result.triggerFrequency;
   console.log(`  Feature Trigger Rate: ${triggerRate.toFixed(2)}% (每 ${(100 / triggerRate).toFixed(1)} 次 Base Spin 觸發一次)`);
   console.log('');
 
+  // ========================================================================
+  // v1.6.0: 理論值對照（解析解 vs Monte Carlo）
+  // ========================================================================
+  const theory = calculateTheory(config, baseBet);
+  // v1.6.11: fsmConfig 含 BASE / FREE 以外的狀態時理論值不完整，略過所有理論值對照
+  const theoryComparable = theory.unmodeledStates.length === 0;
+  console.log('🧮 理論值對照 (Theory vs Simulation)');
+  console.log('─'.repeat(60));
+  if (theoryComparable) {
+    console.log(`  RTP: ${theory.rtp.toFixed(2)}% (模擬: ${result.rtp.toFixed(2)}%, 差異: ${(result.rtp - theory.rtp).toFixed(2)}%)`);
+    console.log(`  Hit Rate: ${theory.hitRate.toFixed(2)}% (模擬: ${result.hitRate.toFixed(2)}%)`);
+    console.log(`  Feature Trigger Rate: ${theory.triggerFrequency.toFixed(2)}% (模擬: ${triggerRate.toFixed(2)}%)`);
+    if (config.featureConfig.retrigger) {
+      // v1.6.12
+      console.log(`  Retrigger Rate: ${theory.retriggerFrequency.toFixed(2)}% (模擬: ${result.retriggerFrequency.toFixed(2)}%)`);
+    }
+    if (config.featureConfig.multiplier) {
+      // v1.6.14
+      console.log(`  Avg Free Game Multiplier: ${theory.averageMultiplier.toFixed(4)} (模擬: ${simulatedAverageMultiplier(result).toFixed(4)})`);
+    }
+    if (theory.hasScatterPays) {
+      // v1.6.23: Scatter 派彩（WIN_AND_FEATURE）的 RTP
+      const scatterRtp = result.totalBaseBet > 0
+        ? ((result.baseScatterWin + result.featureScatterWin) / result.totalBaseBet) * 100
+        : 0;
+      console.log(`  Scatter Pay RTP: ${(theory.baseScatterRtp + theory.featureScatterRtp).toFixed(2)}% (模擬: ${scatterRtp.toFixed(2)}%)`);
+    }
+    if (typeof config.betConfig.maxWinCap === 'number') {
+      // v1.6.18
+      console.log('  ⚠️  理論值未套用 betConfig.maxWinCap（達到上限的 Round 會使模擬 RTP 低於理論值）');
+    }
+  } else {
+    console.log(`  ⚠️  理論值未涵蓋 fsmConfig 狀態: ${theory.unmodeledStates.join(', ')}（只計算 BASE / FREE），略過理論值對照`);
+  }
+  console.log('');
+
+  // ========================================================================
+  // v1.6.1: 信賴區間與收斂判定
+  // ========================================================================
+  if (result.confidenceIntervals && result.convergence) {
+    const ci = result.confidenceIntervals;
+    const formatInterval = (interval) =>
+      `[${interval.lower.toFixed(2)}%, ${interval.upper.toFixed(2)}%] (±${interval.halfWidth.toFixed(2)}%)`;
+
+    console.log('📐 信賴區間 (Confidence Intervals)');
+    console.log('─'.repeat(60));
+    console.log(`  Round Win 標準差: ${(result.roundWinStats.stdDev / baseBet).toFixed(4)} x Bet (每次 Base Spin，含 Feature Win)`);
+    [
+      { label: 'RTP', key: 'rtp' },
+      { label: 'Hit Rate', key: 'hitRate' },
+      { label: 'Feature Trigger Rate', key: 'triggerFrequency' }
+    ].forEach(metric => {
+      console.log(`  ${metric.label}:`);
+      console.log(`    95% CI: ${formatInterval(ci[metric.key][95])}`);
+      console.log(`    99% CI: ${formatInterval(ci[metric.key][99])}`);
+    });
+    if (theoryComparable) {
+      const theoryInRange = theory.rtp >= ci.rtp[99].lower && theory.rtp <= ci.rtp[99].upper;
+      console.log(`  理論 RTP ${theory.rtp.toFixed(2)}% ${theoryInRange ? '落在' : '不在'} 99% CI 內`);
+    }
+    console.log('');
+
+    const convergence = result.convergence;
+    console.log('🎯 收斂判定 (RTP Convergence)');
+    console.log('─'.repeat(60));
+    console.log(`  目標容許誤差: ±${convergence.tolerance}% (95% 信賴水準)`);
+    console.log(`  目前 95% CI 半寬: ±${convergence.halfWidth.toFixed(2)}%`);
+    if (convergence.converged) {
+      console.log(`  ✅ 已收斂: ${result.baseGameSpins.toLocaleString()} 次 Base Spins 足以將 RTP 鎖定在 ±${convergence.tolerance}% 內`);
+    } else {
+      console.log(`  ⚠️  未收斂: 需要約 ${convergence.requiredSpins.toLocaleString()} 次 Base Spins（尚需 ${convergence.additionalSpins.toLocaleString()} 次）`);
+    }
+    console.log('');
+  }
+
+  // ========================================================================
+  // v1.6.17: 贏分分布（每次 Base Spin 的 Round Win，以 bet 倍數分組）與波動度
+  // ========================================================================
+  printWinDistribution(result, theoryComparable ? theory : null, baseBet);
+
   // ========================================================================
   // Spin Statistics
   // ========================================================================
   console.log('🎰 Spin 統計');
   console.log('─'.repeat(60));
   console.log(`  Base Game Spins: ${result.baseGameSpins.toLocaleString()} (必須等於 ${targetBaseSpins.toLocaleString()})`);
-  console.log(`  Free Game Spins: ${result.freeGameSpins.toLocaleString()} (必須等於 ${result.triggerCount} × ${freeSpinCount} = ${result.triggerCount * freeSpinCount})`);
+  // v1.6.13: 觸發等級（scatterConfig.trigger.awards）各自的初始次數
+  const hasTriggerAwards = Boolean(config.scatterConfig && config.scatterConfig.trigger && config.scatterConfig.trigger.awards);
+  if (hasTriggerAwards) {
+    const awardTiers = Object.keys(result.triggerAwardStats);
+    const spinsAwarded = awardTiers.reduce((sum, tier) => sum + result.triggerAwardStats[tier].spinsAwarded, 0);
+    const retriggerInfo = config.featureConfig.retrigger ? ` + ${result.retriggerSpins} (retrigger)` : '';
+    console.log(`  Free Game Spins: ${result.freeGameSpins.toLocaleString()} (必須等於 ${spinsAwarded} (各等級觸發 spins)${retriggerInfo} = ${spinsAwarded + result.retriggerSpins})`);
+  } else if (config.featureConfig.retrigger) {
+    // v1.6.12: retrigger 增加的 spin 需一併計入
+    const expectedFreeSpins = result.triggerCount * freeSpinCount + result.retriggerSpins;
+    console.log(`  Free Game Spins: ${result.freeGameSpins.toLocaleString()} (必須等於 ${result.triggerCount} × ${freeSpinCount} + ${result.retriggerSpins} (retrigger) = ${expectedFreeSpins})`);
+  } else {
+    console.log(`  Free Game Spins: ${result.freeGameSpins.toLocaleString()} (必須等於 ${result.triggerCount} × ${freeSpinCount} = ${result.triggerCount * freeSpinCount})`);
+  }
   console.log(`  Total Base Bet: ${result.totalBaseBet.toLocaleString()} (等於 ${result.baseGameSpins.toLocaleString()} × ${baseBet})`);
   console.log(`  Total Win: ${result.totalWin.toLocaleString()}`);
   console.log(`    - Base Game Win: ${result.baseGameWin.toLocaleString()}`);
+  if (theory.hasScatterPays) {
+    // v1.6.23: Scatter 派彩與其他派彩分開顯示
+    console.log(`      · Scatter Pay: ${result.baseScatterWin.toLocaleString()} / 其他: ${(result.baseGameWin - result.baseScatterWin).toLocaleString()}`);
+  }
   console.log(`    - Feature Win: ${result.featureWin.toLocaleString()}`);
+  if (theory.hasScatterPays) {
+    console.log(`      · Scatter Pay: ${result.featureScatterWin.toLocaleString()} / 其他: ${(result.featureWin - result.featureScatterWin).toLocaleString()}`);
+    console.log(`    - Scatter Pay Spins: ${result.scatterPayCount.toLocaleString()}`);
+  }
   console.log('');
 
   // ========================================================================
@@ -128,8 +226,107 @@ function printReport(result, config, spinDetails, stateTransitions, targetBaseSp
     ? result.featureWin / result.freeGameSpins 
     : 0;
   console.log(`  Avg Feature Win per Spin: ${avgFeatureWin.toFixed(2)}`);
+  // v1.6.12: Retrigger 統計
+  if (config.featureConfig.retrigger) {
+    console.log(`  Retrigger Count: ${result.retriggerCount.toLocaleString()} (每次 Free Spin ${result.retriggerFrequency.toFixed(2)}%)`);
+    console.log(`  Retrigger Spins: ${result.retriggerSpins.toLocaleString()}`);
+    console.log(`  Retrigger Capped: ${result.retriggerCappedCount.toLocaleString()} (受 maxTotalSpins / maxRetriggers 限制)`);
+  }
+  // v1.6.14: Free Game 倍數
+  if (config.featureConfig.multiplier) {
+    console.log(`  Avg Multiplier: ${simulatedAverageMultiplier(result).toFixed(4)} (${config.featureConfig.multiplier.mode})`);
+  }
   console.log('');
 
+  // v1.6.14: 各倍數的 Free Spin 次數與 Feature RTP 貢獻
+  const multiplierValues = Object.keys(result.multiplierStats)
+    .map(Number)
+    .sort((a, b) => a - b);
+  if (config.featureConfig.multiplier && multiplierValues.length > 0) {
+    console.log('✖️  倍數分布（Free Game）');
+    console.log('─'.repeat(60));
+    console.log('  ' + [
+      'Multiplier'.padStart(10),
+      'Spins'.padStart(10),
+      'Freq%'.padStart(9),
+      'Feature Win'.padStart(14),
+      'RTP%'.padStart(9)
+    ].join(' '));
+    multiplierValues.forEach(value => {
+      const stats = result.multiplierStats[value];
+      const freq = result.freeGameSpins > 0 ? (stats.spins / result.freeGameSpins) * 100 : 0;
+      const rtpShare = result.totalBaseBet > 0 ? (stats.featureWin / result.totalBaseBet) * 100 : 0;
+      console.log('  ' + [
+        `×${value}`.padStart(10),
+        stats.spins.toLocaleString().padStart(10),
+        freq.toFixed(2).padStart(9),
+        stats.featureWin.toLocaleString().padStart(14),
+        rtpShare.toFixed(2).padStart(9)
+      ].join(' '));
+    });
+    console.log('');
+  }
+
+  // v1.6.12: Feature 長度分布（每次 Feature 實際的 spin 數）
+  const featureLengths = Object.keys(result.featureLengthCounts)
+    .map(Number)
+    .sort((a, b) => a - b);
+  if ((config.featureConfig.retrigger || hasTriggerAwards) && featureLengths.length > 0) {
+    const featureCount = featureLengths.reduce((sum, len) => sum + result.featureLengthCounts[len], 0);
+    const totalLength = featureLengths.reduce((sum, len) => sum + len * result.featureLengthCounts[len], 0);
+    console.log('📏 Feature 長度分布');
+    console.log('─'.repeat(40));
+    console.log('  ' + ['Spins'.padStart(8), 'Count'.padStart(10), 'Freq%'.padStart(10)].join(' '));
+    featureLengths.forEach(len => {
+      const count = result.featureLengthCounts[len];
+      console.log('  ' + [
+        String(len).padStart(8),
+        count.toLocaleString().padStart(10),
+        (count / featureCount * 100).toFixed(2).padStart(10)
+      ].join(' '));
+    });
+    console.log(`  Avg Feature Length: ${(totalLength / featureCount).toFixed(2)} spins (${featureCount.toLocaleString()} 次完整 Feature)`);
+    console.log('');
+  }
+
+  // v1.6.19: Feature Round（每次觸發的完整 Free Game）贏分分布與 outcome 組成
+  printFeatureRoundStats(result, baseBet);
+
+  // v1.6.13: 各觸發等級的 Trigger Rate 與 Feature RTP（模擬 vs 理論）
+  if (hasTriggerAwards) {
+    console.log('🎯 觸發等級統計（依 Scatter 數量）');
+    console.log('─'.repeat(110));
+    console.log('  ' + [
+      'Scatter'.padStart(8),
+      'Feature ID'.padEnd(22),
+      'Spins'.padStart(6),
+      'Count'.padStart(8),
+      'Freq%'.padStart(9),
+      'Theory%'.padStart(9),
+      'Avg Len'.padStart(8),
+      'RTP%'.padStart(9),
+      'Theory RTP%'.padStart(12)
+    ].join(' '));
+    theory.triggerTiers.forEach(tier => {
+      const stats = result.triggerAwardStats[tier.scatterCount] || { triggerCount: 0, spinsAwarded: 0, freeGameSpins: 0, featureWin: 0 };
+      const freq = result.baseGameSpins > 0 ? (stats.triggerCount / result.baseGameSpins) * 100 : 0;
+      const avgLength = stats.triggerCount > 0 ? stats.freeGameSpins / stats.triggerCount : 0;
+      const tierRtp = result.totalBaseBet > 0 ? (stats.featureWin / result.totalBaseBet) * 100 : 0;
+      console.log('  ' + [
+        String(tier.scatterCount).padStart(8),
+        tier.featureId.padEnd(22),
+        String(tier.spins).padStart(6),
+        stats.triggerCount.toLocaleString().padStart(8),
+        freq.toFixed(4).padStart(9),
+        (theoryComparable ? tier.triggerFrequency.toFixed(4) : '-').padStart(9),  // v1.6.11
+        avgLength.toFixed(2).padStart(8),
+        tierRtp.toFixed(2).padStart(9),
+        (theoryComparable ? tier.featureRtp.toFixed(2) : '-').padStart(12)
+      ].join(' '));
+    });
+    console.log('');
+  }
+
   // ========================================================================
   // Distribution Tables
   // ========================================================================
@@ -258,7 +455,7 @@ function printReport(result, config, spinDetails, stateTransitions, targetBaseSp
         patternInfo = ' | Pattern: LEGACY';
       }
 
-      const stateLabel = detail.state === 'BASE' ? 'BASE' : 'FREE';
+      const stateLabel = detail.state;  // v1.6.11: fsmConfig 可定義 BASE / FREE 以外的狀態
       const baseSpinLabel = detail.baseSpin !== null 
         ? `[Base #${detail.baseSpin}]` 
         : '[Free]';
@@ -266,19 +463,22 @@ function printReport(result, config, spinDetails, stateTransitions, targetBaseSp
       const winInfo = detail.winAmount > 0 
         ? `Win: ${detail.winAmount}` 
         : 'Win: 0';
-      const freeSpinsInfo = detail.stateAfter === 'FREE' 
-        ? ` | Free Spins: ${detail.freeSpinsRemaining}` 
+      // v1.6.14: Free Game 倍數
+      const multiplierInfo = detail.multiplier > 1 ? ` (×${detail.multiplier})` : '';
+      // v1.6.11: 任何有 spin 計數器的 Feature 狀態皆顯示剩餘次數
+      const freeSpinsInfo = detail.freeSpinsRemaining > 0
+        ? ` | Free Spins: ${detail.freeSpinsRemaining}`
         : '';
       const transitionInfo = detail.stateChanged
-        ? (detail.state === 'BASE' && detail.stateAfter === 'FREE' 
-            ? ' >>> Enter Free Game' 
-            : ' <<< Back to Base')
+        ? (detail.stateAfter === 'FREE'
+            ? ' >>> Enter Free Game'
+            : (detail.freeSpinsRemaining > 0 ? ` >>> Enter ${detail.stateAfter}` : ' <<< Back to Base'))
         : '';
 
       // 輸出格式：Header → Grid → Info
       console.log(`  #${String(index + 1).padStart(2)} ${baseSpinLabel} [${stateLabel}]:`);
       console.log(`  ${gridDisplay.split('\n').join('\n  ')}`);
-      console.log(`  → ${outcomeInfo} - ${winInfo}${winLineInfo}${patternInfo}${freeSpinsInfo}${transitionInfo}`);
+      console.log(`  → ${outcomeInfo} - ${winInfo}${multiplierInfo}${winLineInfo}${patternInfo}${freeSpinsInfo}${transitionInfo}`);
       console.log('');
     });
     console.log('');
@@ -292,7 +492,400 @@ function printReport(result, config, spinDetails, stateTransitions, targetBaseSp
   console.log('╚════════════════════════════════════════════════════════════════╝');
 }
 
+/**
+ * v1.6.19: 印出 Feature Round 統計（以完整 Feature 為單位，贏分以 bet 倍數表示）
+ * @param {SimulationResult} result - 模擬結果
+ * @param {number} baseBet - 下注金額（觸發 Feature 的 Base Spin 下注）
+ */
+function printFeatureRoundStats(result, baseBet) {
+  const counts = result.featureRoundWinCounts;
+  const wins = Object.keys(counts).map(Number);
+  const rounds = wins.reduce((sum, win) => sum + counts[win], 0);
+  if (rounds === 0) {
+    return;
+  }
+  const totalWin = wins.reduce((sum, win) => sum + win * counts[win], 0);
+  const underBet = wins.filter(win => win < baseBet).reduce((sum, win) => sum + counts[win], 0);
+  const inBets = win => `${(win / baseBet).toFixed(2)}x`;
+
+  console.log('🎟️  Feature Round 統計（每次觸發的完整 Free Game）');
+  console.log('─'.repeat(60));
+  console.log(`  Rounds: ${rounds.toLocaleString()}`);
+  console.log(`  Avg Round Win: ${inBets(totalWin / rounds)} Bet`);
+  console.log(`  Median Round Win: ${inBets(histogramPercentile(counts, 50))} Bet`);
+  console.log('  Percentiles: ' + [5, 25, 75, 95, 99]
+    .map(p => `P${p} ${inBets(histogramPercentile(counts, p))}`)
+    .join(' / '));
+  console.log(`  Max Round Win: ${inBets(Math.max(...wins))} Bet`);
+  console.log(`  低於觸發下注 (< 1x Bet): ${(underBet / rounds * 100).toFixed(2)}% (${underBet.toLocaleString()} rounds)`);
+
+  // 每個 Round 的 outcome 組成（平均次數）
+  const outcomeIds = Object.keys(result.featureRoundOutcomeCounts);
+  const totalSpins = outcomeIds.reduce((sum, outcomeId) => sum + result.featureRoundOutcomeCounts[outcomeId], 0);
+  console.log('  ' + ['Outcome'.padEnd(20), 'Avg / Round'.padStart(12), 'Share%'.padStart(9)].join(' '));
+  outcomeIds.forEach(outcomeId => {
+    const count = result.featureRoundOutcomeCounts[outcomeId];
+    console.log('  ' + [
+      outcomeId.padEnd(20),
+      (count / rounds).toFixed(3).padStart(12),
+      (count / totalSpins * 100).toFixed(2).padStart(9)
+    ].join(' '));
+  });
+  console.log('');
+}
+
+/**
+ * v1.6.18: 印出最大贏分紀錄（以 --seed <seed> -n <baseSpin + 1> 重跑即可重現；
+ *          parallel 模式以 --seed <shard seed> -n <shard 內 baseSpin + 1> 重現）
+ * @param {string} label - 指標名稱
+ * @param {Object|null} record - SimulationResult 的最大贏分紀錄
+ * @param {number} baseBet - 下注金額
+ * @param {Function} describe - 紀錄的位置描述
+ */
+function printMaxWin(label, record, baseBet, describe) {
+  if (record === null) {
+    console.log(`  ${label}: 0`);
+    return;
+  }
+  let replay = record.seed !== null ? `seed ${record.seed}` : 'legacy mode，無法重現';
+  if (record.shard && record.shard.seed !== null) {
+    replay = `shard #${record.shard.index}，以 shard seed ${record.shard.seed} 重跑 shard 內 Base Spin #${record.shard.baseSpin}`;
+  }
+  console.log(`  ${label}: ${record.win.toLocaleString()} (${(record.win / baseBet).toFixed(2)}x Bet) @ Base Spin #${record.baseSpin}（${describe(record)}，${replay}）`);
+}
+
+/**
+ * v1.6.17: 印出贏分分布直方圖與波動度分級
+ * 長條長度與次數最多的區間成比例，次數 > 0 的區間至少顯示一格
+ * @param {SimulationResult} result - 模擬結果
+ * @param {Object|null} theory - calculateTheory() 的結果（v1.6.11: null 時不顯示理論值）
+ * @param {number} baseBet - 下注金額
+ */
+function printWinDistribution(result, theory, baseBet) {
+  const distribution = result.winDistribution;
+  const total = distribution.count;
+  if (total === 0) {
+    return;
+  }
+  const maxCount = Math.max(...distribution.counts);
+
+  console.log('📈 贏分分布 (Win Distribution，每次 Base Spin 含 Feature Win)');
+  console.log('─'.repeat(90));
+  console.log('  ' + [
+    'Win / Bet'.padEnd(10),
+    'Count'.padStart(12),
+    'Freq%'.padStart(9),
+    'RTP%'.padStart(8)
+  ].join(' '));
+  WIN_DISTRIBUTION_BUCKETS.forEach((bucket, index) => {
+    const count = distribution.counts[index];
+    const bar = count > 0 ? '█'.repeat(Math.max(1, Math.round(count / maxCount * HISTOGRAM_WIDTH))) : '';
+    const rtpShare = result.totalBaseBet > 0 ? (distribution.wins[index] / result.totalBaseBet) * 100 : 0;
+    console.log('  ' + [
+      bucket.label.padEnd(10),
+      count.toLocaleString().padStart(12),
+      (count / total * 100).toFixed(4).padStart(9),
+      rtpShare.toFixed(2).padStart(8)
+    ].join(' ') + (bar ? ' ' + bar : ''));
+  });
+
+  const volatilityIndex = baseBet > 0 ? result.roundWinStats.stdDev / baseBet : 0;
+  // v1.6.11: theory 為 null（理論值未涵蓋所有 FSM 狀態）時不顯示理論值
+  const theoryStdDev = theory ? ` (理論: ${theory.stdDev.toFixed(4)})` : '';
+  const theoryClass = theory ? ` (理論: ${classifyVolatility(theory.stdDev)})` : '';
+  console.log(`  Volatility Index (σ of Win / Bet): ${volatilityIndex.toFixed(4)}${theoryStdDev}`);
+  console.log(`  Volatility Class: ${classifyVolatility(volatilityIndex)}${theoryClass}`);
+  console.log('');
+}
+
+/**
+ * v1.6.14: 模擬的每個 Free Spin 平均倍數
+ * @param {Object} result - 模擬結果
+ * @returns {number}
+ */
+function simulatedAverageMultiplier(result) {
+  let spins = 0;
+  let weighted = 0;
+  Object.keys(result.multiplierStats).forEach(value => {
+    spins += result.multiplierStats[value].spins;
+    weighted += Number(value) * result.multiplierStats[value].spins;
+  });
+  return spins > 0 ? weighted / spins : 0;
+}
+
+/**
+ * v1.6.0: 輸出理論值報表（--theory 模式，不執行模擬）
+ * @param {Object} theory - calculateTheory() 的結果
+ * @param {Object} config - 設定檔物件
+ * @param {string} configPath - 設定檔路徑
+ */
+function printTheoryReport(theory, config, configPath) {
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║           Slot Math Simulator - 理論值報表 (Theory)           ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝');
+  console.log('');
+  console.log('📋 參數');
+  console.log('─'.repeat(60));
+  console.log(`  設定檔路徑: ${configPath}`);
+  console.log(`  Base Bet: ${theory.bet} (讀自 betConfig.baseBet)`);
+  console.log(`  Free Spin 次數: ${theory.freeSpinCount}`);
+  if (Math.abs(theory.expectedFeatureSpins - theory.freeSpinCount) > 1e-9) {  // v1.6.14: 動態規劃結果有浮點誤差
+    // v1.6.12: 含 retrigger 時的期望 Feature 長度（v1.6.13: 或觸發等級的加權平均）
+    const retriggerInfo = config.featureConfig.retrigger
+      ? ` (Retrigger 機率 ${theory.retriggerFrequency.toFixed(4)}% / Free Spin)`
+      : '';
+    console.log(`  期望 Feature 長度: ${theory.expectedFeatureSpins.toFixed(4)} spins${retriggerInfo}`);
+  }
+  if (config.featureConfig.multiplier) {
+    // v1.6.14
+    console.log(`  Free Game 倍數: ${config.featureConfig.multiplier.mode} (每個 Free Spin 平均 ×${theory.averageMultiplier.toFixed(4)})`);
+  }
+  console.log('  說明: 由 outcomeTables 權重直接計算，未執行模擬');
+  if (theory.unmodeledStates.length > 0) {
+    // v1.6.11: 理論模型只涵蓋 BASE / FREE
+    console.log(`  ⚠️  理論值未涵蓋 fsmConfig 狀態: ${theory.unmodeledStates.join(', ')}（只計算 BASE / FREE），以下指標不含這些狀態的贏分`);
+  }
+  console.log('');
+
+  console.log('📈 理論指標');
+  console.log('─'.repeat(60));
+  console.log(`  RTP: ${theory.rtp.toFixed(4)}%`);
+  console.log(`    - Base Game RTP: ${theory.baseRtp.toFixed(4)}%`);
+  console.log(`    - Feature RTP: ${theory.featureRtp.toFixed(4)}%`);
+  if (theory.hasScatterPays) {
+    // v1.6.23: Scatter 派彩（已包含在上方 Base / Feature RTP 中）
+    console.log(`    - Scatter Pay RTP: ${(theory.baseScatterRtp + theory.featureScatterRtp).toFixed(4)}% (Base ${theory.baseScatterRtp.toFixed(4)}% / Feature ${theory.featureScatterRtp.toFixed(4)}%)`);
+  }
+  console.log(`  Hit Rate: ${theory.hitRate.toFixed(4)}% (僅計算 Base Game 中 Win > 0)`);
+  const triggerInfo = theory.triggerFrequency > 0
+    ? ` (每 ${(100 / theory.triggerFrequency).toFixed(1)} 次 Base Spin 觸發一次)`
+    : '';
+  console.log(`  Feature Trigger Rate: ${theory.triggerFrequency.toFixed(4)}%${triggerInfo}`);
+  console.log(`  Expected Feature Win: ${theory.expectedFeatureWin.toFixed(4)}`);
+  console.log(`  Variance (per Base Spin, ×bet²): ${theory.variance.toFixed(4)}`);
+  console.log(`  Std Dev (per Base Spin, ×bet): ${theory.stdDev.toFixed(4)}`);
+  console.log('');
+
+  // v1.6.13: 各觸發等級
+  if (config.scatterConfig && config.scatterConfig.trigger && config.scatterConfig.trigger.awards) {
+    console.log('🎯 觸發等級理論值');
+    console.log('─'.repeat(80));
+    console.log('  ' + [
+      'Scatter'.padStart(8),
+      'Feature ID'.padEnd(22),
+      'Spins'.padStart(6),
+      'Trigger%'.padStart(10),
+      'E[Length]'.padStart(10),
+      'Feature RTP%'.padStart(13)
+    ].join(' | '));
+    theory.triggerTiers.forEach(tier => {
+      console.log('  ' + [
+        String(tier.scatterCount).padStart(8),
+        tier.featureId.padEnd(22),
+        String(tier.spins).padStart(6),
+        tier.triggerFrequency.toFixed(4).padStart(10),
+        tier.expectedFeatureSpins.toFixed(4).padStart(10),
+        tier.featureRtp.toFixed(4).padStart(13)
+      ].join(' | '));
+    });
+    console.log('');
+  }
+
+  const printTable = (title, rows) => {
+    console.log(title);
+    console.log('─'.repeat(80));
+    console.log('  ' + [
+      'Name'.padEnd(20),
+      'Type'.padEnd(10),
+      'Prob%'.padStart(10),
+      'Win'.padStart(10),
+      'RTP Contrib.%'.padStart(15)
+    ].join(' | '));
+    console.log('  ' + '─'.repeat(80));
+    rows.forEach(row => {
+      console.log('  ' + [
+        row.id.padEnd(20),
+        row.type.padEnd(10),
+        (row.probability * 100).toFixed(4).padStart(10),
+        String(row.winAmount).padStart(10),
+        row.rtpContribution.toFixed(4).padStart(15)
+      ].join(' | '));
+    });
+    console.log('');
+  };
+
+  printTable('📊 BASE Game Outcome 理論貢獻', theory.baseContributions);
+  printTable('📊 FREE Game Outcome 理論貢獻（已乘上 Trigger Rate × 期望 Free Spin 次數）', theory.freeContributions);
+}
+
+/**
+ * v1.6.15: 輸出各下注等級的報表（--bet-levels 模式）
+ * @param {Object} betLevelData - simulateBetLevels() 的結果
+ * @param {Object} config - 設定檔物件
+ * @param {string} configPath - 設定檔路徑
+ */
+function printBetLevelReport(betLevelData, config, configPath) {
+  const isMix = betLevelData.mode === 'MIX';
+
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║          Slot Math Simulator - 下注等級報表 (Bet Levels)      ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝');
+  console.log('');
+  console.log('📋 參數');
+  console.log('─'.repeat(60));
+  console.log(`  設定檔路徑: ${configPath}`);
+  console.log(`  模式: ${betLevelData.mode}${isMix ? ' (依 betConfig.betLevelWeights 混合下注)' : ' (每個下注等級使用相同 seed)'}`);
+  console.log(`  下注等級: ${betLevelData.levels.map(level => level.bet).join(', ')} (讀自 betConfig.betLevels)`);
+  console.log('  說明: Exact RTP 為派彩不取整的理論值，Drift = Theory RTP - Exact RTP（Math.round(payoutMultiplier × bet) 造成）');
+  const unmodeledStates = getUnmodeledStates(config);
+  if (unmodeledStates.length > 0) {
+    // v1.6.11: Theory / Exact RTP 只涵蓋 BASE / FREE（Drift 仍有效）
+    console.log(`  ⚠️  理論值未涵蓋 fsmConfig 狀態: ${unmodeledStates.join(', ')}，Theory% / Exact% 不可與 RTP% 比較`);
+  }
+  console.log('');
+
+  console.log('💰 各下注等級 RTP');
+  console.log('─'.repeat(120));
+  console.log('  ' + [
+    'Bet'.padStart(8),
+    ...(isMix ? ['Weight'.padStart(8)] : []),
+    'Spins'.padStart(10),
+    'RTP%'.padStart(9),
+    'Theory%'.padStart(9),
+    'Exact%'.padStart(9),
+    'Drift'.padStart(8),
+    'Hit Rate%'.padStart(10),
+    'Sim Drift'.padStart(10),
+    'Max Win'.padStart(11),
+    'Rounded'.padStart(8)
+  ].join(' '));
+  betLevelData.levels.forEach(level => {
+    const result = level.result;
+    console.log('  ' + [
+      String(level.bet).padStart(8),
+      ...(isMix ? [String(level.weight).padStart(8)] : []),
+      level.spins.toLocaleString().padStart(10),
+      (result ? result.rtp.toFixed(2) : '-').padStart(9),
+      level.rounding.theoryRtp.toFixed(2).padStart(9),
+      level.rounding.exactRtp.toFixed(2).padStart(9),
+      level.rounding.drift.toFixed(2).padStart(8),
+      (result ? result.hitRate.toFixed(2) : '-').padStart(10),
+      (result ? level.rounding.simulatedDrift.toFixed(2) : '-').padStart(10),
+      (result ? level.rounding.maxWin.toLocaleString() : '-').padStart(11),
+      (result ? level.rounding.roundedSpinCount.toLocaleString() : '-').padStart(8)
+    ].join(' '));
+  });
+  console.log('  Sim Drift: 模擬中派彩取整造成的 RTP 差異（實際派彩，含 paytable 與倍數）；Max Win: 模擬的最大 Round Win（credits）；Rounded: 派彩經取整的 spin 數');
+  console.log('');
+
+  if (isMix) {
+    const combined = betLevelData.combined;
+    console.log('🎲 混合下注整體結果');
+    console.log('─'.repeat(60));
+    console.log(`  Base Game Spins: ${combined.baseGameSpins.toLocaleString()}`);
+    console.log(`  Total Base Bet: ${combined.totalBaseBet.toLocaleString()}`);
+    console.log(`  Total Win: ${combined.totalWin.toLocaleString()}`);
+    console.log(`  RTP: ${combined.rtp.toFixed(2)}% (理論: ${betLevelData.combinedTheoryRtp.toFixed(2)}%，以下注金額加權)`);
+    console.log(`  Hit Rate: ${combined.hitRate.toFixed(2)}%`);
+    console.log(`  Feature Trigger Rate: ${combined.triggerFrequency.toFixed(2)}%`);
+    console.log('');
+  }
+
+  // 取整明細（只列出有取整的等級）
+  const roundedLevels = betLevelData.levels.filter(level => level.rounding.roundedOutcomes.length > 0);
+  if (roundedLevels.length > 0) {
+    console.log('🔢 派彩取整明細');
+    console.log('─'.repeat(80));
+    console.log('  ' + [
+      'Bet'.padStart(8),
+      'State'.padEnd(8),
+      'Outcome'.padEnd(22),
+      'Exact'.padStart(12),
+      'Rounded'.padStart(10),
+      'Diff'.padStart(10)
+    ].join(' '));
+    roundedLevels.forEach(level => {
+      level.rounding.roundedOutcomes.forEach(entry => {
+        console.log('  ' + [
+          String(level.bet).padStart(8),
+          entry.state.padEnd(8),
+          entry.outcomeId.padEnd(22),
+          String(Number(entry.exact.toFixed(6))).padStart(12),
+          String(entry.rounded).padStart(10),
+          (entry.rounded - entry.exact).toFixed(4).padStart(10)
+        ].join(' '));
+      });
+    });
+    console.log('');
+  } else {
+    console.log('✅ 所有下注等級的派彩皆為整數 credit，無取整誤差');
+    console.log('');
+  }
+}
+
+/**
+ * v1.6.16: 輸出 Player Session 報表（--sessions 模式）
+ * @param {Object} sessionData - simulateSessions() 的結果
+ * @param {string} configPath - 設定檔路徑
+ */
+function printSessionReport(sessionData, configPath) {
+  const sessionConfig = sessionData.sessionConfig;
+  const formatLimit = value => (value !== null ? value.toLocaleString() : '未設定');
+
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║         Slot Math Simulator - Player Session 報表             ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝');
+  console.log('');
+  console.log('📋 Session 參數');
+  console.log('─'.repeat(60));
+  console.log(`  設定檔路徑: ${configPath}`);
+  console.log(`  Sessions: ${sessionData.sessions.toLocaleString()}`);
+  console.log(`  Bet: ${sessionData.bet}`);
+  console.log(`  Starting Balance: ${sessionConfig.startingBalance.toLocaleString()}`);
+  console.log(`  Stop Loss: ${formatLimit(sessionConfig.stopLoss)} / Stop Win: ${formatLimit(sessionConfig.stopWin)}`);
+  console.log(`  Max Spins: ${sessionConfig.maxSpins.toLocaleString()} 次 Base Spin`);
+  console.log(`  Master Seed: ${sessionData.seed !== null ? sessionData.seed : '(none) legacy random mode'}（每個 session 使用推導的 seed）`);
+  console.log('');
+
+  console.log('🎯 Session 結果');
+  console.log('─'.repeat(60));
+  console.log(`  Bust Probability: ${sessionData.bustProbability.toFixed(2)}% (餘額不足一次 bet)`);
+  console.log(`  Feature Session Rate: ${sessionData.featureSessionRate.toFixed(2)}% (至少觸發一次 Feature)`);
+  console.log(`  Median Session Length: ${sessionData.medianLength.toLocaleString()} spins (平均 ${sessionData.averageLength.toFixed(2)})`);
+  console.log(`  Average Final Balance: ${sessionData.averageFinalBalance.toFixed(2)}`);
+  console.log(`  Session RTP: ${sessionData.rtp.toFixed(2)}%`);
+  console.log('');
+  console.log('  結束原因:');
+  Object.keys(sessionData.reasonCounts).forEach(reason => {
+    const count = sessionData.reasonCounts[reason];
+    console.log(`    ${reason.padEnd(10)} ${count.toLocaleString().padStart(8)} (${(count / sessionData.sessions * 100).toFixed(2)}%)`);
+  });
+  console.log('');
+
+  const percentileKeys = Object.keys(sessionData.finalBalancePercentiles).map(Number).sort((a, b) => a - b);
+  const header = label => '  ' + [label.padStart(10), ...percentileKeys.map(p => `P${p}`.padStart(10))].join(' ');
+  const row = (label, table) => '  ' + [label.padStart(10), ...percentileKeys.map(p => String(table[p]).padStart(10))].join(' ');
+
+  console.log('📈 餘額百分位（已結束的 session 以最終餘額計）');
+  console.log('─'.repeat(70));
+  console.log(header('Spin'));
+  sessionData.balancePercentiles.forEach(point => {
+    console.log(row(String(point.spin), point));
+  });
+  console.log(row('Final', sessionData.finalBalancePercentiles));
+  console.log('');
+
+  console.log('⏱️  Session 長度百分位（Base Spins）');
+  console.log('─'.repeat(70));
+  console.log(header(''));
+  console.log(row('Spins', sessionData.lengthPercentiles));
+  console.log('');
+}
+
 module.exports = {
-  printReport
+  printReport,
+  printTheoryReport,
+  printBetLevelReport,  // v1.6.15
+  printSessionReport  // v1.6.16
 };
 
@@ -1,6 +1,13 @@
 const { RNG } = require('./rng');  // v1.2.1: 從獨立模組導入 RNG（解決循環依賴）
 const { VisualConstraintEngine } = require('./visualConstraint');  // v1.3: Visual Constraint Layer
 const { PatternGenerator } = require('./patternGenerator');  // v1.4: Pattern Auto Generation
+const { buildWildRules, hasWildSubstitution, isWild, canSubstitute, getLineDirections, orientLine, matchPayline } = require('./lineMatcher');  // v1.6.7: Wild 替代（v1.6.22: 支付方向）
+const { findTriggerAward } = require('./triggerAwards');  // v1.6.13: Scatter 觸發等級
+const { isFeatureOutcome } = require('./fsm');  // v1.6.23: WIN_AND_FEATURE
+const { isWaysRule, isClusterRule, getConditionWays } = require('./winConditions');  // v1.6.20: Ways（v1.6.21: Cluster）
+const { matchWays, findWaysRuns } = require('./waysMatcher');  // v1.6.20: Ways
+const { getMinClusterSize, getNeighbors, matchClusters, findClusters } = require('./clusterMatcher');  // v1.6.21: Cluster pays
+const { isAnyPositionSymbol, getAnyPositionSymbols, findSymbolPositions } = require('./anyPosition');  // v1.6.24: 多個 ANY_POSITION 符號
 
 /**
  * Pattern Resolver - 將 Outcome 轉換為 Grid
@@ -12,10 +19,23 @@ const { PatternGenerator } = require('./patternGenerator');  // v1.4: Pattern Au
  * - 只做視覺映射，不計算賠率、不判斷中獎、不做數學運算
  * - matchCount 從起點連續（Left-to-Right）
  * - LOSS 防撞門檻 = 3（任一 payline 連續 ≥3 個相同符號視為非法）
+ * - v1.6.7: 防撞檢查包含 Wild 替代（與 evaluator 使用相同的 lineMatcher 規則）
  * - winLine 只有一條（v1.2 保證單線模式）
+ * - v1.6.20: ways 模式（gameRule.winCondition = 'ways'）不使用 paylines，
+ *   防撞檢查改為 ways 判定（waysMatcher.js），winLine 固定為 null
+ * - v1.6.21: cluster 模式（gameRule.winCondition = 'cluster'）同樣不使用 paylines，
+ *   防撞檢查改為 cluster 判定（clusterMatcher.js），winLine 固定為 null
+ * - v1.6.22: gameRule.payDirection = 'RTL' | 'BOTH' 時，防撞檢查包含每個判定方向（RTL 由最右輪開始）
  */
 class PatternResolver {
-  constructor(gameRule, symbols, rng, visualConfig = null) {
+  constructor(gameRule, symbols, rng, visualConfig = null, options = {}) {
+    // v1.6.20: ways 模式以空的 paylines 取代（payline 相關邏輯自然略過，v1.6.21: cluster 模式相同）
+    this.waysMode = isWaysRule(gameRule);
+    this.clusterMode = isClusterRule(gameRule);
+    if ((this.waysMode || this.clusterMode) && gameRule.grid) {
+      gameRule = Object.assign({}, gameRule, { paylines: [] });
+    }
+    this.minClusterSize = getMinClusterSize(gameRule);
     this.gameRule = gameRule;
     this.symbols = symbols;  // 引用自 design.json 的 symbols 陣列
     this.rng = rng;
@@ -59,6 +79,18 @@ class PatternResolver {
       'SCATTER': 0,  // v1.5.2: 禁止 base generator 生成 scatter
       'ANY_POSITION': 0  // v1.5.3: 禁止 base generator 生成 A1
     };
+
+    // v1.6.7: Wild 替代規則（填充的 WILD 會參與連線判定；僅設定 substitutes 的 WILD）
+    this.wildRules = buildWildRules(symbols);
+
+    // v1.6.7: 嚴格連線檢查（預期中獎線必須剛好是 symbolId × matchCount，重試上限 50 次）
+    // 只在需要精確 matchCount 的設計啟用（Wild 替代、paytable、MULTI、RTL / BOTH，或 gameRule.strictLineRuns: true）；
+    // 其餘設計維持 v1.6.6 的檢查與 10 次重試，既有設計的 seeded 結果不變
+    this.strictLineRuns = gameRule.strictLineRuns === true ||
+      hasWildSubstitution(this.wildRules) ||
+      Boolean(options.paytable) ||
+      gameRule.evaluationMode === 'MULTI' ||
+      getLineDirections(gameRule.payDirection).some(direction => direction !== 'LTR');
   }
 
   /**
@@ -85,9 +117,14 @@ class PatternResolver {
     let patternSource = 'NONE';
     let generatedInfo = null;
 
+    // v1.6.8: winConditions（複合條件）與 winCondition 同樣走 GENERATED
+    const winConditions = Array.isArray(outcome.winConditions)
+      ? outcome.winConditions
+      : (outcome.winCondition ? [outcome.winCondition] : null);
+
     if (outcome.type === 'WIN') {
       // WIN 類型：必須有 pattern 定義
-      if (outcome.winCondition) {
+      if (winConditions) {
         // 有 winCondition → GENERATED
         patternSource = 'GENERATED';
         
@@ -108,11 +145,7 @@ class PatternResolver {
 
         // 生成 anchors
         try {
-          generatedInfo = this.patternGenerator.generate(outcome.winCondition, {
-            spinIndex: context.spinIndex,
-            mathSeed: context.mathSeed || 'default',
-            outcomeId: context.outcomeId || outcome.id
-          });
+          generatedInfo = this._generateAnchors(outcome, winConditions, context);
         } catch (error) {
           throw new Error(`PatternGenerator 生成失敗 (${outcome.id}): ${error.message}`);
         }
@@ -173,7 +206,8 @@ class PatternResolver {
         context.scatterConfig,
         context.mathSeed,
         context.spinIndex,
-        context.outcomeId
+        context.outcomeId,
+        context.retriggerConfig || null  // v1.6.12
       );
       patternResult.grid = scatterResult.grid;
       patternResult.scatterTelemetry = scatterResult.telemetry;
@@ -193,7 +227,8 @@ class PatternResolver {
       outcome,
       context?.mathSeed,
       context?.spinIndex,
-      context?.outcomeId
+      context?.outcomeId,
+      generatedInfo ? generatedInfo.anchors : []  // v1.6.8: 複合條件的 LINE anchors 不得被 A1 覆寫
     );
     patternResult.grid = anyPositionResult.grid;
     patternResult.anyPositionTelemetry = anyPositionResult.telemetry;
@@ -212,7 +247,7 @@ class PatternResolver {
    * @returns {Object} { grid, winLine, ... }
    */
   _resolveFromAnchors(outcome, generatedInfo) {
-    const { anchors, generatedWinLine, winConditionType } = generatedInfo;
+    const { anchors, generatedWinLine, winConditionType, expectedRuns } = generatedInfo;
 
     // 初始化空 grid
     const grid = Array(this.rows).fill(null).map(() => Array(this.cols).fill(null));
@@ -222,6 +257,19 @@ class PatternResolver {
       grid[anchor.row][anchor.col] = anchor.symbolId;
     });
 
+    // v1.6.20: ways 模式使用逐格填充（expectedRuns 為 Map<symbolId, expectedWays>）
+    // v1.6.21: cluster 模式相同（expectedRuns 為 Map<symbolId, expectedCluster>）
+    if (this.waysMode || this.clusterMode) {
+      return {
+        grid: this._resolveCellGrid(grid, expectedRuns),
+        winLine: null,
+        patternSource: 'GENERATED',
+        winConditionType: winConditionType,
+        anchorsCount: anchors.length,
+        winLines: []
+      };
+    }
+
     // 填充剩餘位置
     for (let row = 0; row < this.rows; row++) {
       for (let col = 0; col < this.cols; col++) {
@@ -232,10 +280,13 @@ class PatternResolver {
     }
 
     // 驗證 grid 合法性
-    const expectedWinLine = winConditionType === 'LINE' ? generatedWinLine : null;
-    if (!this._validateGrid(grid, expectedWinLine)) {
+    // v1.6.7: 嚴格連線檢查時，LINE 的預期中獎線必須判定為 winCondition 的 symbolId × matchCount（不得被填充符號或 WILD 延長）
+    // v1.6.8: 複合條件時每條預期中獎線各自驗證（expectedRuns）
+    if (!this._validateGrid(grid, expectedRuns)) {
       // 如果驗證失敗，重試（最多 10 次）
-      for (let retry = 0; retry < 10; retry++) {
+      // v1.6.7: 嚴格連線檢查時預期中獎線不得被延長、交會的 payline 需避開 Wild 替代連線，重試上限提高為 50 次
+      const maxRetries = this.strictLineRuns ? 50 : 10;
+      for (let retry = 0; retry < maxRetries; retry++) {
         // 重新填充非 anchor 位置
         for (let row = 0; row < this.rows; row++) {
           for (let col = 0; col < this.cols; col++) {
@@ -246,7 +297,7 @@ class PatternResolver {
             }
           }
         }
-        if (this._validateGrid(grid, expectedWinLine)) {
+        if (this._validateGrid(grid, expectedRuns)) {
           break;
         }
       }
@@ -257,7 +308,140 @@ class PatternResolver {
       winLine: generatedWinLine,
       patternSource: 'GENERATED',
       winConditionType: winConditionType,
-      anchorsCount: anchors.length
+      anchorsCount: anchors.length,
+      winLines: [...expectedRuns.keys()]  // v1.6.8: 所有預期中獎線
+    };
+  }
+
+  /**
+   * v1.6.8: 依中獎條件生成 anchors（單一 winCondition 或複合 winConditions）
+   *
+   * 規則：
+   * - 單一條件：與 v1.4 相同（Pattern RNG 由 outcomeId 推導）
+   * - 複合條件：每個條件以 `${outcomeId}#${index}` 推導各自的 Pattern RNG，
+   *   LINE 條件依序選擇不與先前 anchors 重疊的 payline
+   * - 複合條件的 payline 組合無解時（先選的 payline 擋住後續條件），
+   *   以 `${outcomeId}#${index}@${attempt}` 重新推導，最多 maxAttempts 次
+   * - v1.6.20: WAYS 條件的 expectedRuns 以 symbolId 為 key（{ symbolId, matchCount, ways }），
+   *   anchors 本身必須剛好形成預期的 ways（複合條件的 WILD anchor 可能延長其他條件）
+   * - v1.6.21: CLUSTER 條件同樣以 symbolId 為 key（{ symbolId, clusterSize, cells }），
+   *   anchors 本身必須剛好形成預期大小的 cluster
+   *
+   * @param {Object} outcome - Outcome 物件
+   * @param {Array<Object>} winConditions - 中獎條件
+   * @param {Object} context - resolve() 的 context
+   * @returns {Object} { anchors, generatedWinLine, winConditionType, expectedRuns }
+   */
+  _generateAnchors(outcome, winConditions, context) {
+    if (winConditions.length === 1) {
+      return this._generateAnchorsAttempt(outcome, winConditions, context, 0);
+    }
+
+    const maxAttempts = 20;
+    let lastError = null;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      try {
+        return this._generateAnchorsAttempt(outcome, winConditions, context, attempt);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * v1.6.8: _generateAnchors 的單次嘗試
+   */
+  _generateAnchorsAttempt(outcome, winConditions, context, attempt) {
+    const composite = winConditions.length > 1;
+    const occupiedCells = new Set();
+    const expectedRuns = new Map();
+    const anchors = [];
+    let generatedWinLine = null;
+
+    winConditions.forEach((winCondition, index) => {
+      const allowWild = winCondition.allowWild !== undefined
+        ? winCondition.allowWild === true
+        : !!(outcome.winConfig && outcome.winConfig.allowWild);  // v1.6.7
+      const outcomeId = context.outcomeId || outcome.id;
+      const conditionId = attempt > 0 ? `${outcomeId}#${index}@${attempt}` : `${outcomeId}#${index}`;
+      const info = this.patternGenerator.generate(winCondition, {
+        spinIndex: context.spinIndex,
+        mathSeed: context.mathSeed || 'default',
+        outcomeId: composite ? conditionId : outcomeId,
+        rngOptions: this.rng.getOptions(),  // v1.6.2/v1.6.3: Sub-RNG 沿用 Math RNG 演算法與推導版本
+        allowWild: allowWild,
+        occupiedCells: composite ? occupiedCells : null
+      });
+
+      info.anchors.forEach(anchor => {
+        anchors.push(anchor);
+        occupiedCells.add(`${anchor.row},${anchor.col}`);
+      });
+      if (info.winConditionType === 'CLUSTER') {
+        if (expectedRuns.has(winCondition.symbolId)) {
+          throw new Error(`CLUSTER ${winCondition.symbolId} 已被其他中獎條件使用`);
+        }
+        expectedRuns.set(winCondition.symbolId, {
+          symbolId: winCondition.symbolId,
+          clusterSize: winCondition.clusterSize,
+          cells: new Set(info.anchors.map(anchor => `${anchor.row},${anchor.col}`))
+        });
+      } else if (info.winConditionType === 'WAYS') {
+        if (expectedRuns.has(winCondition.symbolId)) {
+          throw new Error(`WAYS ${winCondition.symbolId} 已被其他中獎條件使用`);
+        }
+        expectedRuns.set(winCondition.symbolId, {
+          symbolId: winCondition.symbolId,
+          matchCount: winCondition.matchCount,
+          ways: getConditionWays(winCondition)
+        });
+      } else if (info.winConditionType === 'LINE') {
+        if (expectedRuns.has(info.generatedWinLine)) {
+          throw new Error(`payline ${info.generatedWinLine} 已被其他中獎條件使用`);
+        }
+        expectedRuns.set(info.generatedWinLine, {
+          symbolId: winCondition.symbolId,
+          matchCount: winCondition.matchCount,
+          payDirection: info.payDirection  // v1.6.22
+        });
+        if (generatedWinLine === null) {
+          generatedWinLine = info.generatedWinLine;
+        }
+      }
+    });
+
+    if (this.waysMode) {
+      const anchorGrid = Array(this.rows).fill(null).map(() => Array(this.cols).fill(null));
+      anchors.forEach(anchor => {
+        anchorGrid[anchor.row][anchor.col] = anchor.symbolId;
+      });
+      expectedRuns.forEach(expected => {
+        const run = matchWays(anchorGrid, expected.symbolId, this.wildRules);
+        if (run.matchCount !== expected.matchCount || run.ways !== expected.ways) {
+          throw new Error(`WAYS ${expected.symbolId} 的 anchors 與其他中獎條件重疊`);
+        }
+      });
+    }
+    if (this.clusterMode) {
+      const anchorGrid = Array(this.rows).fill(null).map(() => Array(this.cols).fill(null));
+      anchors.forEach(anchor => {
+        anchorGrid[anchor.row][anchor.col] = anchor.symbolId;
+      });
+      expectedRuns.forEach(expected => {
+        const clusters = matchClusters(anchorGrid, expected.symbolId, this.wildRules).filter(c => c.symbolCount > 0);
+        if (clusters.length !== 1 || clusters[0].size !== expected.clusterSize) {
+          throw new Error(`CLUSTER ${expected.symbolId} 的 anchors 與其他中獎條件相連`);
+        }
+      });
+    }
+
+    return {
+      anchors: anchors,
+      generatedWinLine: generatedWinLine,
+      winConditionType: winConditions.map(c => c.type).join('+'),
+      expectedRuns: expectedRuns,
+      patternSource: 'GENERATED'
     };
   }
 
@@ -270,6 +454,18 @@ class PatternResolver {
    * 3. 後續位置可以是任意符號
    */
   _resolveWin(outcome) {
+    // v1.6.20: legacy pattern 以 payline 描述，ways 模式無法使用（v1.6.21: cluster 模式相同）
+    if (this.waysMode) {
+      throw new Error(`ways 模式不支援 legacy pattern: ${outcome.id}（請改用 WAYS winCondition）`);
+    }
+    if (this.clusterMode) {
+      throw new Error(`cluster 模式不支援 legacy pattern: ${outcome.id}（請改用 CLUSTER winCondition）`);
+    }
+    // v1.6.22: legacy pattern 的連線從 payline 起點開始，RTL 模式不會判定為中獎
+    if (this.gameRule.payDirection === 'RTL') {
+      throw new Error(`payDirection RTL 不支援 legacy pattern: ${outcome.id}（請改用 LINE winCondition）`);
+    }
+
     const { symbolId, matchCount } = outcome.winConfig;
     
     // 1. 從 paylines 中隨機選一條線
@@ -321,6 +517,15 @@ class PatternResolver {
    * - 必須檢查所有符號類型
    */
   _resolveLoss(outcome) {
+    // v1.6.20: ways 模式（不得形成任何 ways，v1.6.21: cluster 模式不得形成任何 cluster）
+    if (this.waysMode || this.clusterMode) {
+      const grid = Array(this.rows).fill(null).map(() => Array(this.cols).fill(null));
+      return {
+        grid: this._resolveCellGrid(grid, new Map()),
+        winLine: null
+      };
+    }
+
     const maxRetries = 10;
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -385,6 +590,9 @@ class PatternResolver {
    * 修復碰撞（強制修改衝突格子）
    */
   _fixCollisions(grid) {
+    // v1.6.7: 先移除形成連線的 WILD（改為 LOW/MID 符號）
+    this._fixWildCollisions(grid);
+
     for (const payline of this.gameRule.paylines) {
       let consecutiveCount = 1;
       let lastSymbol = null;
@@ -414,6 +622,169 @@ class PatternResolver {
     }
   }
 
+  /**
+   * v1.6.7: 修復 Wild 替代造成的連線
+   * 將形成 ≥3 連線的 payline 上、連線範圍內的 WILD 改為不同於支付符號的 LOW/MID 符號
+   * v1.6.22: 依 payDirection 檢查每個判定方向
+   */
+  _fixWildCollisions(grid) {
+    const directions = getLineDirections(this.gameRule.payDirection);
+    for (const payline of this.gameRule.paylines) {
+      directions.forEach(direction => {
+        const line = orientLine(payline, direction);
+        const [run] = matchPayline(line.map(([row, col]) => grid[row][col]), this.wildRules);
+        if (run.matchCount < 3 || run.wildCount === 0) {
+          return;
+        }
+        const lowMidSymbols = this.symbols.filter(s =>
+          (s.type === 'LOW' || s.type === 'MID') && s.id !== run.symbolId
+        );
+        for (let i = 0; i < run.matchCount && lowMidSymbols.length > 0; i++) {
+          const [row, col] = line[i];
+          if (isWild(this.wildRules, grid[row][col])) {
+            grid[row][col] = this.rng.selectFromArray(lowMidSymbols).id;
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * v1.6.20: ways 模式的盤面填充（重試上限 50 次，與 _resolveFromAnchors 相同）
+   * v1.6.21: cluster 模式共用（改由 _fillClusterGrid 逐格填充）
+   *
+   * @param {Array<Array<string|null>>} grid - 已放置 anchors 的盤面（null 為待填位置，會被修改）
+   * @param {Map<string, Object>} expectedRuns - 預期的 ways（symbolId → { symbolId, matchCount, ways }）
+   *                                             或 cluster（symbolId → { symbolId, clusterSize, cells }）
+   * @returns {Array<Array<string>>} 填充後的盤面
+   */
+  _resolveCellGrid(grid, expectedRuns) {
+    const emptyCells = [];
+    for (let col = 0; col < this.cols; col++) {
+      for (let row = 0; row < this.rows; row++) {
+        if (grid[row][col] === null) {
+          emptyCells.push([row, col]);
+        }
+      }
+    }
+
+    for (let retry = 0; retry < 50; retry++) {
+      emptyCells.forEach(([row, col]) => {
+        grid[row][col] = null;
+      });
+      const filled = this.clusterMode
+        ? this._fillClusterGrid(grid, emptyCells, expectedRuns)
+        : this._fillWaysGrid(grid, emptyCells, expectedRuns);
+      if (filled && this._validateGrid(grid, expectedRuns)) {
+        break;
+      }
+    }
+
+    return grid;
+  }
+
+  /**
+   * v1.6.20: 由左至右逐格填入填充符號
+   *
+   * 規則：
+   * - 預期 ways 的符號（及可替代它的 WILD）不得出現在前 matchCount + 1 輪的非 anchor 位置
+   *   （ways 數由 anchors 決定，第 matchCount + 1 輪中斷連線）
+   * - 每格最多抽 10 次，拒絕會形成其他 ways 中獎的符號（未填的位置視為不符合）
+   *
+   * @returns {boolean} 是否所有位置都成功填入
+   */
+  _fillWaysGrid(grid, emptyCells, expectedWays) {
+    const maxDraws = 10;
+
+    for (const [row, col] of emptyCells) {
+      const forbidden = new Set();
+      expectedWays.forEach(expected => {
+        if (col <= expected.matchCount) {
+          this.symbols
+            .filter(s => s.id === expected.symbolId || canSubstitute(this.wildRules, s.id, expected.symbolId))
+            .forEach(s => forbidden.add(s.id));
+        }
+      });
+
+      let placed = false;
+      for (let draw = 0; draw < maxDraws && !placed; draw++) {
+        const symbolId = this._getFillerSymbol(null, row, col);
+        if (forbidden.has(symbolId)) {
+          continue;
+        }
+        grid[row][col] = symbolId;
+        placed = findWaysRuns(grid, this.symbols, this.wildRules).every(run => expectedWays.has(run.symbolId));
+      }
+      if (!placed) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * v1.6.21: 逐格填入填充符號（cluster 模式）
+   *
+   * 規則：
+   * - 與預期 cluster 相鄰的非 anchor 位置不得為該符號（及可替代它的 WILD），cluster 大小由 anchors 決定
+   * - 每格最多抽 10 次，拒絕會形成其他 cluster 中獎的符號（未填的位置視為不符合）
+   * - 10 次都失敗時依 symbols 順序嘗試其餘的 LOW / MID / HIGH 符號（不消耗 RNG；
+   *   WILD anchors 相連時，相鄰位置可用的符號很少）
+   *
+   * @returns {boolean} 是否所有位置都成功填入
+   */
+  _fillClusterGrid(grid, emptyCells, expectedClusters) {
+    const maxDraws = 10;
+
+    for (const [row, col] of emptyCells) {
+      const neighbors = getNeighbors(row, col, this.rows, this.cols).map(([r, c]) => `${r},${c}`);
+      const forbidden = new Set();
+      expectedClusters.forEach(expected => {
+        if (neighbors.some(key => expected.cells.has(key))) {
+          this.symbols
+            .filter(s => s.id === expected.symbolId || canSubstitute(this.wildRules, s.id, expected.symbolId))
+            .forEach(s => forbidden.add(s.id));
+        }
+      });
+
+      let placed = false;
+      for (let draw = 0; draw < maxDraws && !placed; draw++) {
+        const symbolId = this._getFillerSymbol(null, row, col);
+        if (forbidden.has(symbolId)) {
+          continue;
+        }
+        grid[row][col] = symbolId;
+        placed = this._clustersWithinExpected(
+          findClusters(grid, this.symbols, this.wildRules, this.minClusterSize), expectedClusters
+        );
+      }
+      const fallbacks = this.symbols.filter(s => ['LOW', 'MID', 'HIGH'].includes(s.type) && !forbidden.has(s.id));
+      for (let i = 0; i < fallbacks.length && !placed; i++) {
+        grid[row][col] = fallbacks[i].id;
+        placed = this._clustersWithinExpected(
+          findClusters(grid, this.symbols, this.wildRules, this.minClusterSize), expectedClusters
+        );
+      }
+      if (!placed) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * v1.6.21: 每個 cluster 都是預期的符號與大小，且同一符號最多一個 cluster
+   */
+  _clustersWithinExpected(clusters, expectedClusters) {
+    const symbolIds = new Set(clusters.map(cluster => cluster.symbolId));
+    return symbolIds.size === clusters.length && clusters.every(cluster => {
+      const expected = expectedClusters.get(cluster.symbolId);
+      return expected !== undefined && cluster.size === expected.clusterSize;
+    });
+  }
+
   /**
    * 獲取填充符號（使用權重策略）
    * 背景填充權重：優先 LOW (50%), MID (30%)
@@ -431,7 +802,12 @@ class PatternResolver {
     // 30% 機率使用其他符號（根據權重）
     const weightedSymbols = [];
     this.symbols.forEach(symbol => {
-      const weight = this.fillerWeights[symbol.type] || 1;
+      // v1.6.7: 嚴格連線檢查時權重 0 必須生效（`|| 1` 讓 SCATTER / A1 仍會被填入，
+      // 之後由 scatter / any-position layer 以任意符號替換，繞過防撞檢查）
+      // 未啟用嚴格連線檢查的設計維持原本的 Math RNG 使用次數（同 seed 結果不變）
+      const weight = this.strictLineRuns && this.fillerWeights[symbol.type] !== undefined
+        ? this.fillerWeights[symbol.type]
+        : this.fillerWeights[symbol.type] || 1;
       for (let i = 0; i < weight; i++) {
         weightedSymbols.push(symbol);
       }
@@ -455,11 +831,60 @@ class PatternResolver {
    * 2. 若 expectedWinLine === null：
    *    - 所有 paylines 都不得形成 ≥3 個連續相同符號
    * 3. 不檢查 payout、RTP、權重（非 Resolver 責任）
+   * 4. v1.6.7: 嚴格連線檢查（this.strictLineRuns）時，從起點判定的連線包含 Wild 替代；
+   *    若提供 expectedRun，預期中獎線必須剛好是 expectedRun.symbolId × expectedRun.matchCount
+   * 5. v1.6.8: expectedWinLine 為 Map 時，Map 中的每條 payline 都是預期中獎線（value 為 expectedRun）
+   * 6. v1.6.20: ways 模式時 expectedWinLine 為 Map<symbolId, expectedWays>（或 null），
+   *    盤面上的 ways 必須剛好是預期的 symbolId × matchCount × ways
+   * 7. v1.6.21: cluster 模式時 expectedWinLine 為 Map<symbolId, expectedCluster>（或 null），
+   *    盤面上的 cluster 必須剛好是預期的 symbolId × clusterSize
+   * 8. v1.6.22: 依 gameRule.payDirection 檢查每個判定方向；預期中獎線只有 expectedRun.payDirection
+   *    （未設定時為 LTR）的連線可以中獎，另一側仍不得形成 ≥3 連線
    */
-  _validateGrid(grid, expectedWinLine) {
+  _validateGrid(grid, expectedWinLine, expectedRun = null) {
+    if (this.clusterMode) {
+      const expectedClusters = expectedWinLine instanceof Map ? expectedWinLine : new Map();
+      const clusters = findClusters(grid, this.symbols, this.wildRules, this.minClusterSize);
+      return clusters.length === expectedClusters.size && this._clustersWithinExpected(clusters, expectedClusters);
+    }
+
+    if (this.waysMode) {
+      const expectedWays = expectedWinLine instanceof Map ? expectedWinLine : new Map();
+      const runs = findWaysRuns(grid, this.symbols, this.wildRules);
+      return runs.length === expectedWays.size && runs.every(run => {
+        const expected = expectedWays.get(run.symbolId);
+        return expected !== undefined && run.matchCount === expected.matchCount && run.ways === expected.ways;
+      });
+    }
+
+    // v1.6.8: expectedWinLine 也可為 Map<paylineIndex, expectedRun>（複合條件有多條預期中獎線）
+    const expectedRuns = expectedWinLine instanceof Map
+      ? expectedWinLine
+      : new Map(expectedWinLine === null ? [] : [[expectedWinLine, expectedRun]]);
+
     // 檢查所有 paylines
     for (let paylineIndex = 0; paylineIndex < this.gameRule.paylines.length; paylineIndex++) {
       const payline = this.gameRule.paylines[paylineIndex];
+      const isExpectedWinLine = expectedRuns.has(paylineIndex);
+
+      // v1.6.7: Wild 替代連線（與 evaluator 相同規則，v1.6.22: 每個判定方向各一個）
+      const runs = this.strictLineRuns
+        ? matchPayline(payline.map(([row, col]) => grid[row][col]), this.wildRules, this.gameRule.payDirection)
+        : [];
+      const expected = isExpectedWinLine ? expectedRuns.get(paylineIndex) : null;
+      for (const run of runs) {
+        if (isExpectedWinLine && !expected) {
+          continue;  // legacy pattern（未提供 expectedRun）不檢查預期中獎線
+        }
+        if (expected && run.direction === (expected.payDirection || 'LTR')) {
+          if (run.symbolId !== expected.symbolId || run.matchCount !== expected.matchCount) {
+            return false;
+          }
+        } else if (run.matchCount >= 3) {
+          return false;
+        }
+      }
+
       let consecutiveCount = 1;
       let lastSymbol = null;
       
@@ -476,7 +901,7 @@ class PatternResolver {
         // 檢查是否形成 ≥3 個連續相同符號
         if (consecutiveCount >= 3) {
           // 如果是預期的中獎線，允許（這是合法的 WIN 盤面）
-          if (expectedWinLine === paylineIndex) {
+          if (isExpectedWinLine) {
             // 允許，這是預期的中獎線
           } else {
             // 非預期的中獎線，視為非法
@@ -496,6 +921,10 @@ class PatternResolver {
    * 
    * 規則：
    * - Trigger（BASE + outcome=FEATURE/FREE_GAME_TRIGGER）：scatterCount 必須「剛好 == minCount」
+   * - v1.6.13: 設定 trigger.awards 時：scatterCount 必須「剛好 ==」該 outcome 對應等級的 Scatter 數量
+   * - v1.6.12: Retrigger（FREE + 未指定 fsmEvent 的 FEATURE，trigger.states 包含 FREE）：
+   *   scatterCount 必須「剛好 == retrigger.scatterCount」（未設定時為 minCount）
+   * - v1.6.23: WIN_AND_FEATURE 與 FEATURE 相同（Scatter 派彩由 evaluator 依 paytable.SCATTER 計算）
    * - Non-trigger（任何非觸發 outcome）：scatterCount 必須「固定 == 0」
    * - 使用 seeded RNG 選位置覆寫
    * - 有限重試（例如 20 次）
@@ -508,32 +937,46 @@ class PatternResolver {
    * @param {string} mathSeed - Math seed（用於派生 scatter RNG）
    * @param {number} spinIndex - Spin 索引
    * @param {string} outcomeId - Outcome ID
+   * @param {Object|null} retriggerConfig - v1.6.12: featureConfig.retrigger（未設定時為 null）
    * @returns {Object} { grid, telemetry }
    */
-  _applyScatterLayer(grid, outcome, state, scatterConfig, mathSeed, spinIndex, outcomeId) {
+  _applyScatterLayer(grid, outcome, state, scatterConfig, mathSeed, spinIndex, outcomeId, retriggerConfig = null) {
     const scatterSymbolId = scatterConfig.scatterSymbolId;
     const minCount = scatterConfig.trigger.minCount;
     const triggerStates = scatterConfig.trigger.states || [];
-    const triggerFeatureId = scatterConfig.trigger.featureId;
     const maxRetries = 20;  // 固定重試次數
     
-    // 判斷是否為 trigger 情況
-    const isTrigger = state === 'BASE' 
-      && outcome.type === 'FEATURE' 
-      && outcome.id === triggerFeatureId
+    // 判斷是否為 trigger 情況（v1.6.13: 依 outcome 找出觸發等級）
+    // v1.6.23: WIN_AND_FEATURE 與 FEATURE 相同放置 Scatter
+    const triggerAward = state === 'BASE' && isFeatureOutcome(outcome)
+      ? findTriggerAward(scatterConfig.trigger, outcome.id)
+      : null;
+    const isBaseTrigger = triggerAward !== null
       && triggerStates.includes('BASE');
-    
+
+    // v1.6.12: FREE 中的 retrigger
+    const isRetrigger = retriggerConfig !== null
+      && state === 'FREE'
+      && isFeatureOutcome(outcome)
+      && !outcome.fsmEvent
+      && triggerStates.includes('FREE');
+    const isTrigger = isBaseTrigger || isRetrigger;
+
     // 目標 scatterCount
-    const targetCount = isTrigger ? minCount : 0;
+    const retriggerScatterCount = isRetrigger && retriggerConfig.scatterCount !== undefined
+      ? retriggerConfig.scatterCount
+      : minCount;
+    const targetCount = isBaseTrigger ? triggerAward.scatterCount : (isRetrigger ? retriggerScatterCount : 0);
     
     // 派生 scatter RNG（使用 mathSeed, spinIndex, outcomeId）
     const scatterSeed = RNG.deriveSubSeed('SCATTER', {
       mathSeed: mathSeed || 'default',
       spinIndex: spinIndex || 0,
       outcomeId: outcomeId || outcome.id,
-      patchVersion: 'v1.5.2'
+      patchVersion: 'v1.5.2',
+      derivation: this.rng.subSeedDerivation  // v1.6.3
     });
-    const scatterRng = new RNG(scatterSeed);
+    const scatterRng = new RNG(scatterSeed, this.rng.getOptions());
     
     // 計算當前 scatterCount
     const countScatter = (g) => {
@@ -549,7 +992,8 @@ class PatternResolver {
     };
     
     // 獲取所有非 scatter 符號（用於替換）
-    const nonScatterSymbols = this.symbols.filter(s => s.id !== scatterSymbolId);
+    // v1.6.7: 不以設定 substitutes 的 WILD 替換（替換發生在防撞檢查之後，WILD 會形成 Wild 替代連線）
+    const nonScatterSymbols = this.symbols.filter(s => s.id !== scatterSymbolId && !isWild(this.wildRules, s.id));
     
     let attemptsUsed = 0;
     let fallbackUsed = false;
@@ -720,72 +1164,114 @@ class PatternResolver {
 
   /**
    * v1.5.3: 套用 Any-Position Layer（獨立 layer，不重構 pipeline）
+   * v1.6.24: 依 symbols 順序處理每個 ANY_POSITION 符號（共用同一個 any-position RNG，
+   *          只有一個 ANY_POSITION 符號時 RNG 消耗與 v1.5.3 相同）
    * 
-   * 規則：
-   * - Trigger（outcome.winCondition.type === 'ANY_POSITION'）：a1Count 必須「剛好 == targetCount」
-   * - Non-trigger（任何非 ANY_POSITION outcome）：a1Count 必須「固定 == 0」（Anti-trigger guard）
+   * 規則（每個 ANY_POSITION 符號各自套用）：
+   * - Trigger（outcome.winCondition.type === 'ANY_POSITION'，v1.6.8: 或 winConditions 包含 ANY_POSITION，
+   *   且 symbolId 為該符號）：count 必須「剛好 == targetCount」
+   * - Non-trigger（outcome 沒有該符號的 ANY_POSITION 條件）：count 必須「固定 == 0」（Anti-trigger guard）
    * - 使用 seeded RNG 選位置覆寫
    * - 有限重試（例如 20 次）
-   * - STRICT 驗證：最終 a1Count 必須符合目標
+   * - STRICT 驗證：最終 count 必須符合目標
    * 
    * @param {Array<Array<string>>} grid - Base grid（已套用 scatter layer）
    * @param {Object} outcome - Outcome 物件
    * @param {string} mathSeed - Math seed（用於派生 any-position RNG）
    * @param {number} spinIndex - Spin 索引
    * @param {string} outcomeId - Outcome ID
-   * @returns {Object} { grid, telemetry }
+   * @param {Array<Object>} anchors - v1.6.8: Pattern anchors（放置 ANY_POSITION 符號時避開）
+   * @returns {Object} { grid, telemetry }（v1.6.24: telemetry 為所有 ANY_POSITION 符號的合計，telemetry.symbols 為各符號的數量）
    */
-  _applyAnyPositionLayer(grid, outcome, mathSeed, spinIndex, outcomeId) {
-    // 查找 ANY_POSITION 符號（A1）
-    const anyPositionSymbol = this.symbols.find(s => s.type === 'ANY_POSITION');
-    if (!anyPositionSymbol) {
+  _applyAnyPositionLayer(grid, outcome, mathSeed, spinIndex, outcomeId, anchors = []) {
+    const telemetry = {
+      count: 0,
+      guardApplied: false,
+      attemptsUsed: 0,
+      fallbackUsed: false,
+      symbols: {}
+    };
+
+    const anyPositionSymbols = getAnyPositionSymbols(this.symbols);
+    if (anyPositionSymbols.length === 0) {
       // 如果沒有 ANY_POSITION 符號，直接返回（不處理）
-      return {
-        grid: grid,
-        telemetry: {
-          count: 0,
-          guardApplied: false,
-          attemptsUsed: 0,
-          fallbackUsed: false
-        }
-      };
+      return { grid: grid, telemetry: telemetry };
     }
     
-    const a1SymbolId = anyPositionSymbol.id;
-    const maxRetries = 20;  // 固定重試次數
-    
-    // 判斷是否為 trigger 情況
-    const isTrigger = outcome.winCondition 
-      && outcome.winCondition.type === 'ANY_POSITION'
-      && outcome.winCondition.symbolId === a1SymbolId;
-    
-    // 目標 a1Count
-    const targetCount = isTrigger ? (outcome.winCondition.targetCount || 0) : 0;
+    // v1.6.8: 複合條件（winConditions）中的 ANY_POSITION 條件同樣視為 trigger
+    const winConditions = Array.isArray(outcome.winConditions)
+      ? outcome.winConditions
+      : (outcome.winCondition ? [outcome.winCondition] : []);
+    const anchorCells = new Set(anchors.map(a => `${a.row},${a.col}`));
     
     // 派生 any-position RNG（使用 mathSeed, spinIndex, outcomeId）
     const anyPositionSeed = RNG.deriveSubSeed('ANY_POSITION', {
       mathSeed: mathSeed || 'default',
       spinIndex: spinIndex || 0,
       outcomeId: outcomeId || outcome.id,
-      patchVersion: 'v1.5.3'
+      patchVersion: 'v1.5.3',
+      derivation: this.rng.subSeedDerivation  // v1.6.3
     });
-    const anyPositionRng = new RNG(anyPositionSeed);
+    const anyPositionRng = new RNG(anyPositionSeed, this.rng.getOptions());
     
-    // 計算當前 a1Count
-    const countA1 = (g) => {
-      let count = 0;
-      for (let row = 0; row < g.length; row++) {
-        for (let col = 0; col < g[row].length; col++) {
-          if (g[row][col] === a1SymbolId) {
-            count++;
-          }
-        }
-      }
-      return count;
-    };
+    // 獲取所有非 ANY_POSITION 符號（用於替換）
+    // v1.6.7: 不以設定 substitutes 的 WILD 替換（替換發生在防撞檢查之後，WILD 會形成 Wild 替代連線）
+    // v1.6.24: 不以其他 ANY_POSITION 符號替換（會改變其他符號的數量）
+    const replacementSymbols = this.symbols.filter(s => !isAnyPositionSymbol(s) && !isWild(this.wildRules, s.id));
+    
+    // 複製 grid（避免修改原始 grid）
+    let processedGrid = grid.map(row => [...row]);
     
-    // 獲取所有非 A1 符號（用於替換）
-    const nonA1Symbols = this.symbols.filter(s => s.id !== a1SymbolId);
+    anyPositionSymbols.forEach(symbol => {
+      const anyPositionCondition = winConditions.find(c =>
+        c.type === 'ANY_POSITION' && c.symbolId === symbol.id
+      );
+      const symbolResult = this._applyAnyPositionSymbol(processedGrid, symbol.id, anyPositionCondition, {
+        rng: anyPositionRng,
+        anchorCells: anchorCells,
+        replacementSymbols: replacementSymbols,
+        outcome: outcome,
+        mathSeed: mathSeed,
+        spinIndex: spinIndex
+      });
+      processedGrid = symbolResult.grid;
+      telemetry.symbols[symbol.id] = symbolResult.telemetry.count;
+      telemetry.count += symbolResult.telemetry.count;
+      telemetry.guardApplied = telemetry.guardApplied || symbolResult.telemetry.guardApplied;
+      telemetry.attemptsUsed += symbolResult.telemetry.attemptsUsed;
+      telemetry.fallbackUsed = telemetry.fallbackUsed || symbolResult.telemetry.fallbackUsed;
+    });
+    
+    return { grid: processedGrid, telemetry: telemetry };
+  }
+
+  /**
+   * v1.6.24: 對單一 ANY_POSITION 符號套用 trigger / anti-trigger 規則（v1.5.3 的 any-position 邏輯）
+   *
+   * - 放置時避開 anchors 與其他 ANY_POSITION 符號已佔用的位置（fallback 只避開其他 ANY_POSITION 符號）
+   *
+   * @param {Array<Array<string>>} grid - 盤面（不修改）
+   * @param {string} anyPosSymbolId - ANY_POSITION 符號 ID
+   * @param {Object|undefined} anyPositionCondition - outcome 中該符號的 ANY_POSITION 條件（無則為 non-trigger）
+   * @param {Object} context - { rng, anchorCells, replacementSymbols, outcome, mathSeed, spinIndex }
+   * @returns {Object} { grid, telemetry }
+   */
+  _applyAnyPositionSymbol(grid, anyPosSymbolId, anyPositionCondition, context) {
+    const { rng: anyPositionRng, anchorCells, replacementSymbols, outcome, mathSeed, spinIndex } = context;
+    const maxRetries = 20;  // 固定重試次數
+    
+    // 判斷是否為 trigger 情況
+    const isTrigger = !!anyPositionCondition;
+    
+    // 目標數量
+    const targetCount = isTrigger ? (anyPositionCondition.targetCount || 0) : 0;
+    
+    // 計算當前數量
+    const countSymbol = (g) => findSymbolPositions(g, anyPosSymbolId).length;
+    
+    // v1.6.24: 其他 ANY_POSITION 符號（不得被覆寫）
+    const isOtherAnyPosition = (cell) => cell !== anyPosSymbolId &&
+      this.symbols.some(s => s.id === cell && isAnyPositionSymbol(s));
     
     let attemptsUsed = 0;
     let fallbackUsed = false;
@@ -798,8 +1284,8 @@ class PatternResolver {
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       attemptsUsed = attempt + 1;
       
-      // 計算當前 a1Count
-      const currentCount = countA1(processedGrid);
+      // 計算當前數量
+      const currentCount = countSymbol(processedGrid);
       
       if (currentCount === targetCount) {
         // 已達成目標
@@ -807,24 +1293,25 @@ class PatternResolver {
         break;
       }
       
-      // 需要調整 a1Count
+      // 需要調整數量
       guardApplied = true;
       
       if (isTrigger && currentCount < targetCount) {
-        // Trigger 情況：需要增加 A1
+        // Trigger 情況：需要增加該符號
         const needed = targetCount - currentCount;
         const availablePositions = [];
         
-        // 收集所有非 A1 位置
+        // 收集所有非該符號位置（v1.6.8: 排除 anchors，v1.6.24: 排除其他 ANY_POSITION 符號）
         for (let row = 0; row < processedGrid.length; row++) {
           for (let col = 0; col < processedGrid[row].length; col++) {
-            if (processedGrid[row][col] !== a1SymbolId) {
+            const cell = processedGrid[row][col];
+            if (cell !== anyPosSymbolId && !anchorCells.has(`${row},${col}`) && !isOtherAnyPosition(cell)) {
               availablePositions.push([row, col]);
             }
           }
         }
         
-        // 隨機選擇位置放置 A1
+        // 隨機選擇位置放置
         if (availablePositions.length >= needed) {
           // 隨機選擇 N 個不重複的位置
           const selectedPositions = [];
@@ -836,39 +1323,30 @@ class PatternResolver {
             remainingPositions.splice(index, 1);
           }
           selectedPositions.forEach(([row, col]) => {
-            processedGrid[row][col] = a1SymbolId;
+            processedGrid[row][col] = anyPosSymbolId;
           });
         }
       } else if (!isTrigger && currentCount > 0) {
-        // Non-trigger 情況：需要清除所有 A1（Anti-trigger guard）
+        // Non-trigger 情況：需要清除所有該符號（Anti-trigger guard）
         for (let row = 0; row < processedGrid.length; row++) {
           for (let col = 0; col < processedGrid[row].length; col++) {
-            if (processedGrid[row][col] === a1SymbolId) {
-              // 替換為非 A1 符號
-              const replacement = anyPositionRng.selectFromArray(nonA1Symbols);
+            if (processedGrid[row][col] === anyPosSymbolId) {
+              // 替換為非 ANY_POSITION 符號
+              const replacement = anyPositionRng.selectFromArray(replacementSymbols);
               processedGrid[row][col] = replacement.id;
             }
           }
         }
       } else if (isTrigger && currentCount > targetCount) {
-        // Trigger 情況：A1 過多，需要減少
+        // Trigger 情況：數量過多，需要減少
         const excess = currentCount - targetCount;
-        const a1Positions = [];
-        
-        // 收集所有 A1 位置
-        for (let row = 0; row < processedGrid.length; row++) {
-          for (let col = 0; col < processedGrid[row].length; col++) {
-            if (processedGrid[row][col] === a1SymbolId) {
-              a1Positions.push([row, col]);
-            }
-          }
-        }
+        const symbolPositions = findSymbolPositions(processedGrid, anyPosSymbolId);
         
-        // 隨機選擇位置移除 A1
-        if (a1Positions.length >= excess) {
+        // 隨機選擇位置移除
+        if (symbolPositions.length >= excess) {
           // 隨機選擇 N 個不重複的位置
           const selectedPositions = [];
-          const remainingPositions = [...a1Positions];
+          const remainingPositions = [...symbolPositions];
           for (let i = 0; i < excess && remainingPositions.length > 0; i++) {
             const selected = anyPositionRng.selectFromArray(remainingPositions);
             selectedPositions.push(selected);
@@ -876,33 +1354,34 @@ class PatternResolver {
             remainingPositions.splice(index, 1);
           }
           selectedPositions.forEach(([row, col]) => {
-            const replacement = anyPositionRng.selectFromArray(nonA1Symbols);
+            const replacement = anyPositionRng.selectFromArray(replacementSymbols);
             processedGrid[row][col] = replacement.id;
           });
         }
       }
       
       // 檢查是否達成目標
-      const newCount = countA1(processedGrid);
+      const newCount = countSymbol(processedGrid);
       if (newCount === targetCount) {
         break;
       }
     }
     
     // STRICT 驗證
-    const finalCount = countA1(processedGrid);
+    const finalCount = countSymbol(processedGrid);
     if (finalCount !== targetCount) {
       // 如果重試失敗，使用 fallback
       fallbackUsed = true;
       
       // Fallback：強制達成目標（優先 Truth Source）
       if (isTrigger && finalCount < targetCount) {
-        // 強制放置 A1（即使可能影響其他邏輯）
+        // 強制放置（即使可能影響其他邏輯，v1.6.24: 仍不覆寫其他 ANY_POSITION 符號）
         const needed = targetCount - finalCount;
         const availablePositions = [];
         for (let row = 0; row < processedGrid.length; row++) {
           for (let col = 0; col < processedGrid[row].length; col++) {
-            if (processedGrid[row][col] !== a1SymbolId) {
+            const cell = processedGrid[row][col];
+            if (cell !== anyPosSymbolId && !isOtherAnyPosition(cell)) {
               availablePositions.push([row, col]);
             }
           }
@@ -918,15 +1397,15 @@ class PatternResolver {
             remainingPositions.splice(index, 1);
           }
           selectedPositions.forEach(([row, col]) => {
-            processedGrid[row][col] = a1SymbolId;
+            processedGrid[row][col] = anyPosSymbolId;
           });
         }
       } else if (!isTrigger && finalCount > 0) {
-        // 強制清除所有 A1
+        // 強制清除所有該符號
         for (let row = 0; row < processedGrid.length; row++) {
           for (let col = 0; col < processedGrid[row].length; col++) {
-            if (processedGrid[row][col] === a1SymbolId) {
-              const replacement = anyPositionRng.selectFromArray(nonA1Symbols);
+            if (processedGrid[row][col] === anyPosSymbolId) {
+              const replacement = anyPositionRng.selectFromArray(replacementSymbols);
               processedGrid[row][col] = replacement.id;
             }
           }
@@ -934,10 +1413,10 @@ class PatternResolver {
       }
       
       // 最終驗證（如果仍然失敗，throw）
-      const finalCountAfterFallback = countA1(processedGrid);
+      const finalCountAfterFallback = countSymbol(processedGrid);
       if (finalCountAfterFallback !== targetCount) {
         throw new Error(
-          `v1.5.3 STRICT: Any-Position count mismatch: expected=${targetCount}, actual=${finalCountAfterFallback}, ` +
+          `v1.5.3 STRICT: Any-Position count mismatch: symbol=${anyPosSymbolId}, expected=${targetCount}, actual=${finalCountAfterFallback}, ` +
           `outcome=${outcome.id}, seed=${mathSeed}, spin=${spinIndex}`
         );
       }
@@ -946,7 +1425,7 @@ class PatternResolver {
     return {
       grid: processedGrid,
       telemetry: {
-        count: countA1(processedGrid),
+        count: countSymbol(processedGrid),
         guardApplied: guardApplied,
         attemptsUsed: attemptsUsed,
         fallbackUsed: fallbackUsed
@@ -1,3 +1,13 @@
+const { createEngine, hashString64, DEFAULT_RNG_ALGORITHM } = require('./rngEngines');  // v1.6.2: 可插拔 PRNG
+
+/**
+ * v1.6.3: Sub-seed 推導版本
+ * - v1: 31-bit Java-style string hash（v1.5.0 以來的行為，既有 patchVersion 結果保持不變）
+ * - v2: 64-bit SplitMix64 mixing hash（降低大量 spin 下 sub-stream 碰撞機率）
+ */
+const SUB_SEED_DERIVATIONS = ['v1', 'v2'];
+const DEFAULT_SUB_SEED_DERIVATION = 'v1';
+
 /**
  * 集中化隨機數生成器（RNG）
  * v1.2.1: 獨立模組（解決循環依賴）
@@ -10,29 +20,60 @@
  * - Seeded mode (seed provided): 使用 Linear Congruential Generator (LCG)
  *   公式: seed = (a * seed + c) % m
  *   參數: a = 1664525, c = 1013904223, m = 2^32
+ *
+ * v1.6.2: Seeded mode 支援可插拔演算法（見 rngEngines.js）
+ * - lcg-legacy（預設）: 上述 LCG，既有 seeded CSV 保持 bitwise identical
+ * - xoshiro256** / pcg32 / chacha20
+ *
+ * v1.6.3: RNG 同時攜帶 subSeedDerivation，讓 Sub-RNG 沿用相同的推導版本
  */
 class RNG {
-  constructor(seed = null) {
+  /**
+   * @param {string|number|bigint|null} seed - null = legacy mode
+   * @param {Object} [options]
+   * @param {string} [options.algorithm='lcg-legacy'] - v1.6.2: Seeded mode 使用的演算法
+   * @param {string} [options.subSeedDerivation='v1'] - v1.6.3: Sub-seed 推導版本
+   */
+  constructor(seed = null, options = {}) {
+    // v1.6.2: 即使在 legacy mode 也先驗證演算法名稱（設定錯誤應立即失敗）
+    const algorithm = options.algorithm || DEFAULT_RNG_ALGORITHM;
+    this.algorithm = algorithm;
+
+    const subSeedDerivation = options.subSeedDerivation || DEFAULT_SUB_SEED_DERIVATION;
+    if (!SUB_SEED_DERIVATIONS.includes(subSeedDerivation)) {
+      throw new Error(
+        `不支援的 subSeedDerivation: "${subSeedDerivation}"（可用: ${SUB_SEED_DERIVATIONS.join(', ')}）`
+      );
+    }
+    this.subSeedDerivation = subSeedDerivation;
+
     // v1.5.0 Follow-up: Dual-Mode RNG
     if (seed === null || seed === undefined) {
       // Legacy mode: 使用 Math.random() 保持向後相容
+      createEngine(algorithm, 1);
       this._mode = 'legacy';
-      this._seed = null; // 不需要 seed
+      this._engine = null;
     } else {
-      // Seeded mode: 使用 LCG
+      // Seeded mode: 使用指定演算法
       this._mode = 'seeded';
-      // 將 seed 轉為整數（支援字串和數字）
-      const seedNum = typeof seed === 'string' ? this._hashString(seed) : Number(seed);
-      this._seed = Math.floor(Math.abs(seedNum)) % 2147483647;
-      if (this._seed === 0) this._seed = 1; // 避免 seed = 0
-      
-      // LCG 參數（Numerical Recipes 推薦值）
-      this._a = 1664525;
-      this._c = 1013904223;
-      this._m = 0x100000000; // 2^32
+      // 將 seed 轉為整數（支援字串、數字與 v1.6.3 的 64-bit BigInt）
+      if (typeof seed === 'bigint') {
+        this._engine = createEngine(algorithm, seed);
+      } else {
+        const seedNum = typeof seed === 'string' ? this._hashString(seed) : Number(seed);
+        this._engine = createEngine(algorithm, Math.floor(Math.abs(seedNum)));
+      }
     }
   }
 
+  /**
+   * v1.6.3: 建立 Sub-RNG 時使用的 options（沿用演算法與推導版本）
+   * @returns {Object} { algorithm, subSeedDerivation }
+   */
+  getOptions() {
+    return { algorithm: this.algorithm, subSeedDerivation: this.subSeedDerivation };
+  }
+
   /**
    * 將字串轉為數字 hash（用於 derived seeds）
    * @param {string} str - 輸入字串
@@ -60,7 +101,8 @@ class RNG {
    * @param {number} context.spinIndex - Spin index
    * @param {string} context.outcomeId - Outcome ID
    * @param {string} [context.patchVersion='v1.5.0'] - Patch version (default: 'v1.5.0')
-   * @returns {number} Numeric seed value (for RNG constructor)
+   * @param {string} [context.derivation='v1'] - v1.6.3: 'v1' (31-bit, legacy) | 'v2' (64-bit mixing)
+   * @returns {number|bigint} Seed value (for RNG constructor); v2 returns a 64-bit BigInt
    * 
    * @static
    */
@@ -76,6 +118,15 @@ class RNG {
 
     // DO NOT change format ordering without bumping patchVersion
     const seedString = `${kind}|${baseSeed}|${spin}|${outcome}|${patch}`;
+
+    // v1.6.3: v2 使用 64-bit mixing hash（同一字串格式，patchVersion 語意不變）
+    const derivation = context.derivation ?? DEFAULT_SUB_SEED_DERIVATION;
+    if (derivation === 'v2') {
+      return hashString64(seedString);
+    }
+    if (derivation !== 'v1') {
+      throw new Error(`不支援的 subSeedDerivation: "${derivation}"（可用: ${SUB_SEED_DERIVATIONS.join(', ')}）`);
+    }
     
     // Convert seed string to numeric hash (centralized hash logic)
     let hash = 0;
@@ -98,12 +149,34 @@ class RNG {
       // Legacy mode: 使用 Math.random() 保持向後相容
       return Math.random();
     } else {
-      // Seeded mode: 使用 LCG
-      // LCG: seed = (a * seed + c) % m
-      this._seed = (this._a * this._seed + this._c) % this._m;
-      // 轉為 [0, 1) 範圍
-      return this._seed / this._m;
+      // Seeded mode: 委派給 engine（lcg-legacy 為原始 LCG 運算）
+      return this._engine.nextDouble();
+    }
+  }
+
+  /**
+   * v1.6.2: 取得可序列化的 RNG 狀態（僅 seeded mode）
+   * @returns {Object} { algorithm, state }
+   */
+  getState() {
+    if (this._mode === 'legacy') {
+      throw new Error('Legacy mode (Math.random) 無法取得 RNG 狀態，請指定 seed');
+    }
+    return { algorithm: this.algorithm, state: this._engine.getState() };
+  }
+
+  /**
+   * v1.6.2: 還原 RNG 狀態（僅 seeded mode）
+   * @param {Object} snapshot - getState() 的回傳值
+   */
+  setState(snapshot) {
+    if (this._mode === 'legacy') {
+      throw new Error('Legacy mode (Math.random) 無法還原 RNG 狀態，請指定 seed');
+    }
+    if (snapshot.algorithm !== this.algorithm) {
+      throw new Error(`RNG 演算法不符: 目前=${this.algorithm}, 快照=${snapshot.algorithm}`);
     }
+    this._engine.setState(snapshot.state);
   }
 
   /**
@@ -166,5 +239,5 @@ class RNG {
   }
 }
 
-module.exports = { RNG };
+module.exports = { RNG, SUB_SEED_DERIVATIONS, DEFAULT_SUB_SEED_DERIVATION };
 
@@ -0,0 +1,353 @@
+/**
+ * v1.6.2: Seedable PRNG Engines
+ *
+ * 所有 engine 實作相同介面：
+ * - nextUint32(): 產生 32-bit 無號整數
+ * - nextDouble(): 產生 [0, 1) 浮點數
+ * - getState() / setState(state): 可序列化（JSON-safe）的完整內部狀態
+ *
+ * 演算法：
+ * - lcg-legacy:   Numerical Recipes LCG（period 2^32），v1.5.0 以來的 seeded 行為，保持 bitwise identical
+ * - xoshiro256**: period 2^256 - 1（Blackman & Vigna）
+ * - pcg32:        PCG-XSH-RR 64/32（O'Neill），period 2^64
+ * - chacha20:     RFC 7539 ChaCha20 block function 作為 CSPRNG（key 由 seed 展開，nonce = 0）
+ *
+ * 除 lcg-legacy 外，seed 一律透過 SplitMix64 展開為完整內部狀態。
+ * seed 可為 number 或 BigInt（v1.6.3: v2 sub-seed 為 64-bit BigInt）。
+ */
+
+const MASK64 = (1n << 64n) - 1n;
+const TWO_POW_32 = 0x100000000;
+const TWO_POW_53 = 9007199254740992;
+
+/**
+ * SplitMix64（用於將單一 seed 展開為多個 64-bit 值）
+ */
+class SplitMix64 {
+  constructor(seed) {
+    this.state = BigInt.asUintN(64, BigInt(seed));
+  }
+
+  next() {
+    this.state = (this.state + 0x9E3779B97F4A7C15n) & MASK64;
+    return _mix64(this.state);
+  }
+}
+
+/**
+ * SplitMix64 finalizer（64-bit avalanche mixing）
+ * @param {bigint} z - 64-bit 輸入
+ * @returns {bigint} 64-bit 輸出
+ */
+function _mix64(z) {
+  z = ((z ^ (z >> 30n)) * 0xBF58476D1CE4E5B9n) & MASK64;
+  z = ((z ^ (z >> 27n)) * 0x94D049BB133111EBn) & MASK64;
+  return z ^ (z >> 31n);
+}
+
+/**
+ * v1.6.3: 64-bit 字串 hash（用於 v2 sub-seed derivation）
+ *
+ * UTF-8 位元組以 8-byte little-endian 區塊吸收，每個區塊經 SplitMix64 finalizer 混合；
+ * 長度納入初始狀態，避免補零造成的前綴碰撞。
+ *
+ * @param {string} str - 輸入字串
+ * @returns {bigint} 非零 64-bit hash
+ */
+function hashString64(str) {
+  const bytes = Buffer.from(str, 'utf8');
+  let h = _mix64((0x9E3779B97F4A7C15n ^ BigInt(bytes.length)) & MASK64);
+
+  for (let offset = 0; offset < bytes.length; offset += 8) {
+    let chunk = 0n;
+    for (let i = 7; i >= 0; i--) {
+      const b = offset + i < bytes.length ? bytes[offset + i] : 0;
+      chunk = (chunk << 8n) | BigInt(b);
+    }
+    h = _mix64(((h ^ chunk) + 0x9E3779B97F4A7C15n) & MASK64);
+  }
+
+  return h === 0n ? 1n : h;
+}
+
+/**
+ * 以兩個 32-bit 整數組成 53-bit 精度的 [0, 1) 浮點數
+ */
+function _doubleFromUint32Pair(hi, lo) {
+  return ((hi >>> 5) * 67108864 + (lo >>> 6)) / TWO_POW_53;
+}
+
+// ============================================================================
+// lcg-legacy
+// ============================================================================
+
+/**
+ * v1.5.0 Seeded LCG（保留原始運算順序，確保既有 seeded CSV bitwise identical）
+ * 公式: seed = (a * seed + c) % m，a = 1664525, c = 1013904223, m = 2^32
+ */
+class LcgLegacyEngine {
+  constructor(seed) {
+    // v1.6.3: BigInt seed 先取模，避免轉為 Number 時遺失精度
+    this._seed = typeof seed === 'bigint'
+      ? Number((seed < 0n ? -seed : seed) % 2147483647n)
+      : Math.floor(Math.abs(Number(seed))) % 2147483647;
+    if (this._seed === 0) this._seed = 1; // 避免 seed = 0
+
+    // LCG 參數（Numerical Recipes 推薦值）
+    this._a = 1664525;
+    this._c = 1013904223;
+    this._m = TWO_POW_32;
+  }
+
+  nextUint32() {
+    this._seed = (this._a * this._seed + this._c) % this._m;
+    return this._seed;
+  }
+
+  nextDouble() {
+    return this.nextUint32() / this._m;
+  }
+
+  getState() {
+    return { seed: this._seed };
+  }
+
+  setState(state) {
+    this._seed = state.seed;
+  }
+}
+
+// ============================================================================
+// xoshiro256**
+// ============================================================================
+
+function _rotl64(x, k) {
+  return ((x << k) | (x >> (64n - k))) & MASK64;
+}
+
+class Xoshiro256StarStarEngine {
+  constructor(seed) {
+    const sm = new SplitMix64(seed);
+    this._s = [sm.next(), sm.next(), sm.next(), sm.next()];
+  }
+
+  /**
+   * 產生 64-bit 輸出（BigInt）
+   */
+  next64() {
+    const s = this._s;
+    const result = (_rotl64((s[1] * 5n) & MASK64, 7n) * 9n) & MASK64;
+    const t = (s[1] << 17n) & MASK64;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = _rotl64(s[3], 45n);
+
+    return result;
+  }
+
+  nextUint32() {
+    return Number(this.next64() >> 32n);
+  }
+
+  nextDouble() {
+    return Number(this.next64() >> 11n) / TWO_POW_53;
+  }
+
+  getState() {
+    return { s: this._s.map(v => v.toString(16)) };
+  }
+
+  setState(state) {
+    this._s = state.s.map(v => BigInt('0x' + v));
+  }
+}
+
+// ============================================================================
+// pcg32
+// ============================================================================
+
+const PCG_MULTIPLIER = 6364136223846793005n;
+
+class Pcg32Engine {
+  constructor(seed) {
+    const sm = new SplitMix64(seed);
+    this.seedWith(sm.next(), sm.next());
+  }
+
+  /**
+   * 標準 pcg32_srandom_r(initState, initSeq)
+   * @param {bigint} initState - 初始狀態
+   * @param {bigint} initSeq - 序列選擇（stream）
+   */
+  seedWith(initState, initSeq) {
+    this._state = 0n;
+    this._inc = ((BigInt(initSeq) << 1n) | 1n) & MASK64;
+    this.nextUint32();
+    this._state = (this._state + BigInt.asUintN(64, BigInt(initState))) & MASK64;
+    this.nextUint32();
+  }
+
+  nextUint32() {
+    const oldState = this._state;
+    this._state = (oldState * PCG_MULTIPLIER + this._inc) & MASK64;
+    const xorShifted = Number(((oldState >> 18n) ^ oldState) >> 27n & 0xFFFFFFFFn);
+    const rot = Number(oldState >> 59n);
+    return ((xorShifted >>> rot) | (xorShifted << ((-rot) & 31))) >>> 0;
+  }
+
+  nextDouble() {
+    const hi = this.nextUint32();
+    const lo = this.nextUint32();
+    return _doubleFromUint32Pair(hi, lo);
+  }
+
+  getState() {
+    return { state: this._state.toString(16), inc: this._inc.toString(16) };
+  }
+
+  setState(state) {
+    this._state = BigInt('0x' + state.state);
+    this._inc = BigInt('0x' + state.inc);
+  }
+}
+
+// ============================================================================
+// chacha20
+// ============================================================================
+
+// "expand 32-byte k"
+const CHACHA_CONSTANTS = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+function _quarterRound(x, a, b, c, d) {
+  x[a] = (x[a] + x[b]) | 0; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+  x[c] = (x[c] + x[d]) | 0; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+  x[a] = (x[a] + x[b]) | 0; x[d] ^= x[a]; x[d] = (x[d] << 8) | (x[d] >>> 24);
+  x[c] = (x[c] + x[d]) | 0; x[b] ^= x[c]; x[b] = (x[b] << 7) | (x[b] >>> 25);
+}
+
+class ChaCha20Engine {
+  constructor(seed) {
+    const sm = new SplitMix64(seed);
+    const key = [];
+    for (let i = 0; i < 4; i++) {
+      const v = sm.next();
+      key.push(Number(v & 0xFFFFFFFFn), Number(v >> 32n));
+    }
+    this.setState({ key: key, nonce: [0, 0, 0], counter: 0, index: 16 });
+  }
+
+  /**
+   * RFC 7539 2.3: ChaCha20 block function
+   * @returns {Uint32Array} 16 個 32-bit 輸出字
+   */
+  _block() {
+    const input = new Uint32Array(16);
+    input.set(CHACHA_CONSTANTS, 0);
+    input.set(this._key, 4);
+    input[12] = this._counter;
+    input.set(this._nonce, 13);
+
+    const x = new Int32Array(input);
+    for (let i = 0; i < 10; i++) {
+      _quarterRound(x, 0, 4, 8, 12);
+      _quarterRound(x, 1, 5, 9, 13);
+      _quarterRound(x, 2, 6, 10, 14);
+      _quarterRound(x, 3, 7, 11, 15);
+      _quarterRound(x, 0, 5, 10, 15);
+      _quarterRound(x, 1, 6, 11, 12);
+      _quarterRound(x, 2, 7, 8, 13);
+      _quarterRound(x, 3, 4, 9, 14);
+    }
+
+    const output = new Uint32Array(16);
+    for (let i = 0; i < 16; i++) {
+      output[i] = (x[i] + input[i]) >>> 0;
+    }
+    return output;
+  }
+
+  nextUint32() {
+    if (this._index >= 16) {
+      this._buffer = this._block();
+      this._counter = (this._counter + 1) >>> 0;
+      this._index = 0;
+    }
+    return this._buffer[this._index++];
+  }
+
+  nextDouble() {
+    const hi = this.nextUint32();
+    const lo = this.nextUint32();
+    return _doubleFromUint32Pair(hi, lo);
+  }
+
+  /**
+   * counter 為下一個要產生的 block；index 為目前 block 已消耗的字數
+   */
+  getState() {
+    return {
+      key: Array.from(this._key),
+      nonce: Array.from(this._nonce),
+      counter: this._index >= 16 ? this._counter : (this._counter - 1) >>> 0,
+      index: this._index
+    };
+  }
+
+  setState(state) {
+    this._key = Uint32Array.from(state.key);
+    this._nonce = Uint32Array.from(state.nonce);
+    this._counter = state.counter >>> 0;
+    this._index = 16;
+    this._buffer = null;
+    if (state.index < 16) {
+      // 重建目前 block 並跳過已消耗的字
+      this.nextUint32();
+      this._index = state.index;
+    }
+  }
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const RNG_ENGINES = {
+  'lcg-legacy': LcgLegacyEngine,
+  'xoshiro256**': Xoshiro256StarStarEngine,
+  'pcg32': Pcg32Engine,
+  'chacha20': ChaCha20Engine
+};
+
+const DEFAULT_RNG_ALGORITHM = 'lcg-legacy';
+
+/**
+ * 建立 PRNG engine
+ * @param {string} algorithm - 演算法名稱（見 RNG_ENGINES）
+ * @param {number} seed - 非負整數 seed
+ * @returns {Object} engine 實例
+ */
+function createEngine(algorithm, seed) {
+  const Engine = RNG_ENGINES[algorithm];
+  if (!Engine) {
+    throw new Error(
+      `不支援的 RNG 演算法: "${algorithm}"（可用: ${Object.keys(RNG_ENGINES).join(', ')}）`
+    );
+  }
+  return new Engine(seed);
+}
+
+module.exports = {
+  RNG_ENGINES,
+  DEFAULT_RNG_ALGORITHM,
+  createEngine,
+  hashString64,
+  SplitMix64,
+  LcgLegacyEngine,
+  Xoshiro256StarStarEngine,
+  Pcg32Engine,
+  ChaCha20Engine
+};
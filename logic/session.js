@@ -0,0 +1,262 @@
+const { RNG } = require('./rng');
+const { simulate } = require('./simulate');
+
+/**
+ * v1.6.16: Player Session Simulation（sessionConfig / --sessions）
+ *
+ *   "sessionConfig": {
+ *     "sessions": 1000,
+ *     "startingBalance": 100,
+ *     "stopLoss": 60,
+ *     "stopWin": 100,
+ *     "maxSpins": 200
+ *   }
+ *
+ * - 每個 session 由 startingBalance 開始，每個 Base Spin 扣除 bet、加上該 Round 的贏分（含其觸發的 Feature Win）
+ * - Round 結算後依序判定：STOP_WIN（淨贏 >= stopWin）→ BUST（餘額 < bet）→ STOP_LOSS（淨輸 >= stopLoss）→ MAX_SPINS
+ * - Feature 一律進行完畢（session 只在 Round 之間停止）
+ * - 每個 session 的 seed 由 master seed 經 RNG.deriveSubSeed('SESSION', ...) 推導（未指定 seed 時為 legacy mode）
+ */
+
+const SESSION_PATCH_VERSION = 'v1.6.16';  // DO NOT change without bumping（影響 session seed）
+const SESSION_END_REASONS = ['STOP_WIN', 'BUST', 'STOP_LOSS', 'MAX_SPINS'];
+const BALANCE_SAMPLE_POINTS = 10;  // 餘額百分位的取樣點數（每 maxSpins / 10 個 Base Spin）
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+const DEFAULT_SESSION_CONFIG = {
+  sessions: 1000,
+  startingBalance: 100,
+  stopLoss: null,
+  stopWin: null,
+  maxSpins: 200
+};
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * 驗證並正規化 sessionConfig（未設定的欄位使用預設值）
+ * @param {Object|undefined} sessionConfig - config.sessionConfig
+ * @param {number} bet - 每個 Base Spin 的下注金額
+ * @returns {Object} { sessions, startingBalance, stopLoss, stopWin, maxSpins }
+ */
+function normalizeSessionConfig(sessionConfig, bet) {
+  if (sessionConfig !== undefined && (typeof sessionConfig !== 'object' || sessionConfig === null || Array.isArray(sessionConfig))) {
+    throw new Error('sessionConfig 必須為物件');
+  }
+  const normalized = Object.assign({}, DEFAULT_SESSION_CONFIG, sessionConfig);
+
+  if (!Number.isInteger(normalized.sessions) || normalized.sessions <= 0) {
+    throw new Error('sessionConfig.sessions 必須為正整數');
+  }
+  if (!Number.isInteger(normalized.maxSpins) || normalized.maxSpins <= 0) {
+    throw new Error('sessionConfig.maxSpins 必須為正整數');
+  }
+  if (!isPositiveNumber(normalized.startingBalance)) {
+    throw new Error('sessionConfig.startingBalance 必須為正數');
+  }
+  if (normalized.startingBalance < bet) {
+    throw new Error(`sessionConfig.startingBalance (${normalized.startingBalance}) 不得小於 bet (${bet})`);
+  }
+  ['stopLoss', 'stopWin'].forEach(field => {
+    if (normalized[field] !== null && !isPositiveNumber(normalized[field])) {
+      throw new Error(`sessionConfig.${field} 必須為正數（或 null 表示不設定）`);
+    }
+  });
+  return normalized;
+}
+
+/**
+ * 推導 session seed
+ * @param {string|null} mathSeed - Master seed（null = legacy mode）
+ * @param {number} sessionIndex - Session 索引
+ * @param {string} derivation - Sub-seed 推導版本（v1 | v2）
+ * @returns {string|null}
+ */
+function deriveSessionSeed(mathSeed, sessionIndex, derivation) {
+  if (mathSeed === null) {
+    return null;
+  }
+  return String(RNG.deriveSubSeed('SESSION', {
+    mathSeed: mathSeed,
+    spinIndex: sessionIndex,
+    outcomeId: 'SESSION',
+    patchVersion: SESSION_PATCH_VERSION,
+    derivation: derivation
+  }));
+}
+
+/**
+ * 取樣點（第幾個 Base Spin 結束後的餘額）
+ * @param {number} maxSpins - Session 最大 Base Spin 次數
+ * @returns {Array<number>} 由小到大、不重複
+ */
+function getSamplePoints(maxSpins) {
+  const points = [];
+  for (let i = 1; i <= BALANCE_SAMPLE_POINTS; i++) {
+    const point = Math.round(maxSpins * i / BALANCE_SAMPLE_POINTS);
+    if (point > 0 && !points.includes(point)) {
+      points.push(point);
+    }
+  }
+  return points;
+}
+
+/**
+ * 執行一個 session
+ *
+ * @param {string} configPath - 設定檔路徑
+ * @param {Object} config - 設定檔物件
+ * @param {Object} sessionConfig - normalizeSessionConfig() 的結果
+ * @param {string|null} seed - Session seed
+ * @param {number} bet - 每個 Base Spin 的下注金額
+ * @param {Array<number>} samplePoints - 取樣點（getSamplePoints()）
+ * @returns {Object} { spins, finalBalance, reason, featureRounds, balances }（balances 對應 samplePoints，結束後沿用最終餘額）
+ */
+function runSession(configPath, config, sessionConfig, seed, bet, samplePoints) {
+  const startingBalance = sessionConfig.startingBalance;
+  let balance = startingBalance;
+  let spins = 0;
+  let reason = 'MAX_SPINS';
+  let featureRounds = 0;
+  let lastTriggerCount = 0;
+  const balances = [];
+
+  simulate(configPath, sessionConfig.maxSpins, bet, true, false, config, seed, {
+    quiet: true,
+    finishFeature: true,
+    onRoundSettled: (roundWin, result) => {
+      spins++;
+      balance += roundWin - bet;
+      if (result.triggerCount > lastTriggerCount) {
+        featureRounds++;
+        lastTriggerCount = result.triggerCount;
+      }
+      if (spins === samplePoints[balances.length]) {
+        balances.push(balance);
+      }
+
+      if (sessionConfig.stopWin !== null && balance - startingBalance >= sessionConfig.stopWin) {
+        reason = 'STOP_WIN';
+      } else if (balance < bet) {
+        reason = 'BUST';
+      } else if (sessionConfig.stopLoss !== null && startingBalance - balance >= sessionConfig.stopLoss) {
+        reason = 'STOP_LOSS';
+      } else {
+        return false;
+      }
+      return true;
+    }
+  });
+
+  while (balances.length < samplePoints.length) {
+    balances.push(balance);
+  }
+  return { spins, finalBalance: balance, reason, featureRounds, balances };
+}
+
+/**
+ * 百分位數（nearest-rank）
+ * @param {Array<number>} sorted - 已排序的樣本
+ * @param {number} percentile - 0 ~ 100
+ * @returns {number}
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  const rank = Math.max(1, Math.ceil(percentile / 100 * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * 計算百分位數表
+ * @param {Array<number>} values - 樣本
+ * @returns {Object} { 5: ..., 25: ..., 50: ..., 75: ..., 95: ... }
+ */
+function percentiles(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const table = {};
+  PERCENTILES.forEach(p => {
+    table[p] = percentileOf(sorted, p);
+  });
+  return table;
+}
+
+/**
+ * 模擬多個獨立的 player session
+ *
+ * @param {string} configPath - 設定檔路徑
+ * @param {Object} config - 設定檔物件（已套用 CLI 覆蓋）
+ * @param {Object} options
+ * @param {number|string|null} [options.customSeed=null] - Master seed（同 simulate）
+ * @param {number|null} [options.sessions=null] - 覆蓋 sessionConfig.sessions
+ * @param {number|null} [options.customBet=null] - 自訂下注金額（預設 betConfig.baseBet）
+ * @returns {Object} Session 統計（見 return）
+ */
+function simulateSessions(configPath, config, options = {}) {
+  const customSeed = options.customSeed !== undefined ? options.customSeed : null;
+  const bet = options.customBet !== undefined && options.customBet !== null ? options.customBet : config.betConfig.baseBet;
+  const sessionConfig = normalizeSessionConfig(
+    options.sessions ? Object.assign({}, config.sessionConfig, { sessions: options.sessions }) : config.sessionConfig,
+    bet
+  );
+
+  // 與 simulate() 相同的 seed 優先順序：customSeed > config.seed > legacy
+  const mathSeed = customSeed !== null ? String(customSeed) : (config.seed !== undefined && config.seed !== null ? String(config.seed) : null);
+  const derivation = (config.rngConfig && config.rngConfig.subSeedDerivation) || undefined;
+  const samplePoints = getSamplePoints(sessionConfig.maxSpins);
+
+  const sessions = [];
+  for (let i = 0; i < sessionConfig.sessions; i++) {
+    sessions.push(runSession(configPath, config, sessionConfig, deriveSessionSeed(mathSeed, i, derivation), bet, samplePoints));
+  }
+
+  const count = sessions.length;
+  const reasonCounts = {};
+  SESSION_END_REASONS.forEach(reason => {
+    reasonCounts[reason] = sessions.filter(session => session.reason === reason).length;
+  });
+  const totalSpins = sessions.reduce((sum, session) => sum + session.spins, 0);
+  const totalWagered = totalSpins * bet;
+  const totalReturned = sessions.reduce((sum, session) => sum + session.finalBalance - sessionConfig.startingBalance, 0) + totalWagered;
+  const lengthPercentiles = percentiles(sessions.map(session => session.spins));
+
+  return {
+    sessionConfig: sessionConfig,
+    bet: bet,
+    seed: mathSeed,
+    sessions: count,
+    reasonCounts: reasonCounts,
+    bustProbability: (reasonCounts.BUST / count) * 100,
+    featureSessionRate: (sessions.filter(session => session.featureRounds > 0).length / count) * 100,
+    lengthPercentiles: lengthPercentiles,
+    medianLength: lengthPercentiles[50],
+    averageLength: totalSpins / count,
+    finalBalancePercentiles: percentiles(sessions.map(session => session.finalBalance)),
+    averageFinalBalance: sessions.reduce((sum, session) => sum + session.finalBalance, 0) / count,
+    // 各取樣點的餘額百分位（已結束的 session 以最終餘額計）
+    balancePercentiles: samplePoints.map((spin, index) => Object.assign(
+      { spin: spin },
+      percentiles(sessions.map(session => session.balances[index]))
+    )),
+    rtp: totalWagered > 0 ? (totalReturned / totalWagered) * 100 : 0,
+    sessionResults: sessions.map(session => ({
+      spins: session.spins,
+      finalBalance: session.finalBalance,
+      reason: session.reason,
+      featureRounds: session.featureRounds
+    }))
+  };
+}
+
+module.exports = {
+  SESSION_END_REASONS,
+  DEFAULT_SESSION_CONFIG,
+  PERCENTILES,
+  normalizeSessionConfig,
+  deriveSessionSeed,
+  getSamplePoints,
+  simulateSessions
+};
@@ -3,6 +3,18 @@ const path = require('path');
 const { PatternResolver } = require('./resolver');
 const { RNG } = require('./rng');  // v1.2.1: 從獨立模組導入 RNG（解決循環依賴）
 const { PayRuleEvaluator } = require('./payRuleEvaluator');  // v1.5.0: Pay Rule Engine
+const { RunningStats, WinDistribution, DEFAULT_RTP_TOLERANCE, calculateConfidenceIntervals, assessConvergence } = require('./stats');  // v1.6.1
+const {
+  CHECKPOINT_VERSION,
+  DEFAULT_CHECKPOINT_INTERVAL,
+  configFingerprint,
+  saveCheckpoint,
+  assertResumable
+} = require('./checkpoint');  // v1.6.6
+const { getWinConditions, getConditionPayout, matchEventsToConditions } = require('./winConditions');  // v1.6.8
+const { FsmEngine, getFsmConfig, getOutcomeEvent, isFeatureOutcome } = require('./fsm');  // v1.6.11（v1.6.23: WIN_AND_FEATURE）
+const { getTriggerAwards, findTriggerAward } = require('./triggerAwards');  // v1.6.13
+const { FeatureMultiplier, MULTIPLIER_STATE } = require('./multiplier');  // v1.6.14
 
 // ============================================================================
 // Core Spec v1.0: State Constants
@@ -11,12 +23,20 @@ const { PayRuleEvaluator } = require('./payRuleEvaluator');  // v1.5.0: Pay Rule
 /**
  * 遊戲狀態常數定義（Finite State Machine）
  * v1.0 僅支援 BASE <-> FREE 狀態轉換
+ * v1.6.11: 模擬迴圈的狀態與轉換改由 FsmEngine（fsmConfig）決定，此常數僅作為預設狀態名稱
  */
 const STATE = {
   BASE: 'BASE',
   FREE: 'FREE'
 };
 
+/**
+ * 報表列出的前 N 次 Spin 詳細結果與狀態切換筆數
+ * v1.6.6: checkpoint 只保存這些筆數（stateTransitions 另記錄總數），檔案大小不隨 Feature 觸發次數成長
+ */
+const SPIN_DETAILS_LIMIT = 20;
+const REPORTED_STATE_TRANSITIONS = 10;
+
 // ============================================================================
 // Core Spec v1.0: Simulation Result Structure
 // ============================================================================
@@ -38,6 +58,11 @@ class SimulationResult {
     this.rtp = 0;                    // totalWin / totalBaseBet
     this.hitRate = 0;                // Count(Base Win > 0) / baseGameSpins (Feature Trigger 不計入)
 
+    // v1.6.23: Scatter 派彩（SCATTER WinEvent，已包含在 baseGameWin / featureWin 中）
+    this.baseScatterWin = 0;         // Base Game 的 Scatter 派彩
+    this.featureScatterWin = 0;      // Feature 狀態的 Scatter 派彩
+    this.scatterPayCount = 0;        // 有 Scatter 派彩的 spin 數
+
     // Distribution
     this.baseOutcomeDistribution = {};  // BASE 狀態的 Outcome 分布
     this.freeOutcomeDistribution = {};   // FREE 狀態的 Outcome 分布
@@ -45,6 +70,51 @@ class SimulationResult {
     // Additional Metrics
     this.triggerCount = 0;           // Free Game 觸發次數
     this.triggerFrequency = 0;       // triggerCount / baseGameSpins
+
+    // v1.6.12: Retrigger 與 Feature 長度
+    this.retriggerCount = 0;         // Free Game 中的 retrigger 次數
+    this.retriggerSpins = 0;         // retrigger 實際增加的 spin 次數（已套用上限）
+    this.retriggerCappedCount = 0;   // 因 maxTotalSpins / maxRetriggers 被截斷的 retrigger 次數
+    this.retriggerFrequency = 0;     // retriggerCount / freeGameSpins
+    this.featureLengthCounts = {};   // { 已完成 Feature 的 spin 數: 次數 }
+
+    // v1.6.19: Feature Round（每次觸發到回到 initialState，含 retrigger）
+    this.featureRoundWinCounts = {};      // { 已完成 Feature 的總贏分: 次數 }
+    this.featureRoundOutcomeCounts = {};  // { outcomeId: 已完成 Feature 中出現的次數 }
+
+    // v1.6.13: 依觸發等級（Scatter 數量）分開統計
+    // { scatterCount: { triggerCount, spinsAwarded, freeGameSpins, featureWin } }
+    this.triggerAwardStats = {};
+
+    // v1.6.14: Free Game 倍數統計 { multiplier: { spins, featureWin } }（featureWin 為套用倍數後）
+    this.multiplierStats = {};
+
+    // v1.6.18: 實際的最大贏分（尚無贏分時為 null）
+    // { win, baseSpin, spinIndex, seed }：以 seed 執行 baseSpin + 1 次 Base Spin 即可重現（spinIndex 為全域 spin 索引）
+    this.maxSpinWin = null;           // 單次 spin 的最大贏分（另含 state、outcomeId）
+    this.maxFeatureWin = null;        // 單次完整 Feature 的最大總贏分（baseSpin / spinIndex 為觸發的 Base Spin）
+    this.maxRoundWin = null;          // 單次 Base Spin 的最大 Round Win（Base Win + 其觸發的 Feature Win）
+    this.maxWinCapHitCount = 0;       // 達到 betConfig.maxWinCap 的 Round 數
+    this.maxWinCapClampedWin = 0;     // 因 maxWinCap 被截去的贏分
+
+    // v1.6.15: 派彩取整（Math.round(payoutMultiplier × bet)）的實際影響，已套用倍數、maxWinCap 截斷前
+    this.roundingWin = 0;             // Σ（實際派彩 - 不取整派彩）
+    this.roundedSpinCount = 0;        // 派彩經取整的 spin 數
+
+    // v1.6.1: Confidence Metrics
+    this.baseHitCount = 0;                   // Count(Base Win > 0)
+    this.roundWinStats = new RunningStats();  // 每次 Base Spin 的 Round Win（含其觸發的 Feature Win）
+    this.winDistribution = new WinDistribution();  // v1.6.17: Round Win 的 bet 倍數分布
+    this.confidenceIntervals = null;         // { rtp, hitRate, triggerFrequency } × { 95, 99 }
+    this.convergence = null;                 // RTP 收斂判定
+
+    // v1.6.2: RNG 資訊
+    this.rngAlgorithm = null;                // Seeded mode 使用的演算法（legacy mode 為 null）
+    this.subSeedDerivation = null;           // v1.6.3: Sub-seed 推導版本（v1 | v2）
+
+    // v1.6.4: Gap 合併資訊（parallel 模式需要跨 shard 銜接 gap）
+    // { outcomeId: { gapCounts: { gap: count }, firstOccurredBaseIndex, lastOccurredBaseIndex } }
+    this.gapSummaries = {};
   }
 
   /**
@@ -53,9 +123,186 @@ class SimulationResult {
   calculateDerivedMetrics() {
     this.totalWin = this.baseGameWin + this.featureWin;
     this.rtp = this.totalBaseBet > 0 ? (this.totalWin / this.totalBaseBet) * 100 : 0;
-    this.triggerFrequency = this.baseGameSpins > 0 
-      ? (this.triggerCount / this.baseGameSpins) * 100 
+    this.triggerFrequency = this.baseGameSpins > 0
+      ? (this.triggerCount / this.baseGameSpins) * 100
+      : 0;
+    this.retriggerFrequency = this.freeGameSpins > 0
+      ? (this.retriggerCount / this.freeGameSpins) * 100
+      : 0;
+  }
+
+  /**
+   * v1.6.1: 計算信賴區間與 RTP 收斂判定
+   * 必須在 hitRate 設定之後呼叫；可用不同 tolerance 重複呼叫
+   * @param {number} tolerance - RTP 容許誤差（百分點）
+   */
+  calculateConfidenceMetrics(tolerance = DEFAULT_RTP_TOLERANCE) {
+    const bet = this.baseGameSpins > 0 ? this.totalBaseBet / this.baseGameSpins : 0;
+    this.confidenceIntervals = calculateConfidenceIntervals(
+      this.roundWinStats,
+      bet,
+      this.baseGameSpins,
+      this.baseHitCount,
+      this.triggerCount
+    );
+    this.convergence = assessConvergence(this.roundWinStats, bet, tolerance);
+  }
+
+  /**
+   * v1.6.4: 序列化（worker → main thread）
+   */
+  toJSON() {
+    const data = Object.assign({}, this);
+    data.roundWinStats = this.roundWinStats.toJSON();
+    data.winDistribution = this.winDistribution.toJSON();  // v1.6.17
+    return data;
+  }
+
+  /**
+   * v1.6.4: 由 toJSON() 的輸出還原
+   * @param {Object} data - 序列化資料
+   * @returns {SimulationResult}
+   */
+  static fromJSON(data) {
+    const result = Object.assign(new SimulationResult(), data);
+    result.roundWinStats = RunningStats.fromJSON(data.roundWinStats);
+    result.winDistribution = WinDistribution.fromJSON(data.winDistribution);  // v1.6.17
+    return result;
+  }
+
+  /**
+   * v1.6.4: 合併多個 shard 的部分結果（必須依 shard 順序傳入）
+   *
+   * - 計數與贏分：加總
+   * - Round Win 變異數：RunningStats.merge（固定順序 → 結果可重現）
+   * - Gap：合併 gap 直方圖，並以「前一 shard 最後出現 → 本 shard 第一次出現」補上跨 shard 的 gap
+   *
+   * @param {Array<SimulationResult>} partials - 依 shard 順序排列的部分結果
+   * @returns {SimulationResult} 合併後結果（已計算衍生指標）
+   */
+  static merge(partials) {
+    if (!partials || partials.length === 0) {
+      throw new Error('SimulationResult.merge: partials 不得為空');
+    }
+
+    const merged = new SimulationResult();
+    merged.rngAlgorithm = partials[0].rngAlgorithm;
+    merged.subSeedDerivation = partials[0].subSeedDerivation;
+
+    const sumFields = [
+      'baseGameSpins', 'freeGameSpins', 'totalBaseBet', 'baseGameWin',
+      'featureWin', 'triggerCount', 'baseHitCount',
+      'retriggerCount', 'retriggerSpins', 'retriggerCappedCount',  // v1.6.12
+      'maxWinCapHitCount', 'maxWinCapClampedWin',  // v1.6.18
+      'baseScatterWin', 'featureScatterWin', 'scatterPayCount',  // v1.6.23
+      'roundingWin', 'roundedSpinCount'  // v1.6.15
+    ];
+    partials.forEach(partial => {
+      sumFields.forEach(field => {
+        merged[field] += partial[field];
+      });
+      merged.roundWinStats.merge(partial.roundWinStats);
+      merged.winDistribution.merge(partial.winDistribution);  // v1.6.17
+      // v1.6.18: 最大贏分取最大者（同分保留前面的 shard；紀錄保留該 shard 的 seed 與索引）
+      MAX_WIN_FIELDS.forEach(field => {
+        if (partial[field] !== null && isNewMaxWin(merged[field], partial[field].win)) {
+          merged[field] = partial[field];
+        }
+      });
+      // v1.6.12: Feature 長度直方圖加總
+      Object.keys(partial.featureLengthCounts).forEach(length => {
+        merged.featureLengthCounts[length] = (merged.featureLengthCounts[length] || 0) + partial.featureLengthCounts[length];
+      });
+      // v1.6.19: Feature Round 贏分直方圖與 outcome 次數加總
+      ['featureRoundWinCounts', 'featureRoundOutcomeCounts'].forEach(field => {
+        Object.keys(partial[field]).forEach(key => {
+          merged[field][key] = (merged[field][key] || 0) + partial[field][key];
+        });
+      });
+      // v1.6.13: 觸發等級統計加總
+      Object.keys(partial.triggerAwardStats).forEach(tier => {
+        const stats = merged.triggerAwardStats[tier] || createTriggerAwardStats();
+        Object.keys(stats).forEach(field => {
+          stats[field] += partial.triggerAwardStats[tier][field];
+        });
+        merged.triggerAwardStats[tier] = stats;
+      });
+      // v1.6.14: 倍數統計加總
+      Object.keys(partial.multiplierStats).forEach(multiplier => {
+        const stats = merged.multiplierStats[multiplier] || { spins: 0, featureWin: 0 };
+        stats.spins += partial.multiplierStats[multiplier].spins;
+        stats.featureWin += partial.multiplierStats[multiplier].featureWin;
+        merged.multiplierStats[multiplier] = stats;
+      });
+    });
+
+    // Outcome Distribution（計數加總）
+    ['baseOutcomeDistribution', 'freeOutcomeDistribution'].forEach(key => {
+      Object.keys(partials[0][key]).forEach(outcomeId => {
+        const count = partials.reduce((sum, partial) => sum + partial[key][outcomeId].count, 0);
+        merged[key][outcomeId] = { count: count, percentage: 0, avgGap: null, medianGap: null, maxGap: null };
+      });
+    });
+
+    // Gap 銜接
+    Object.keys(partials[0].gapSummaries).forEach(outcomeId => {
+      const gapCounts = {};
+      let firstOccurredBaseIndex = null;
+      let lastOccurredBaseIndex = null;
+      let baseSpinOffset = 0;
+
+      partials.forEach(partial => {
+        const summary = partial.gapSummaries[outcomeId];
+        Object.keys(summary.gapCounts).forEach(gap => {
+          gapCounts[gap] = (gapCounts[gap] || 0) + summary.gapCounts[gap];
+        });
+        if (summary.firstOccurredBaseIndex !== null) {
+          const first = summary.firstOccurredBaseIndex + baseSpinOffset;
+          if (lastOccurredBaseIndex !== null) {
+            const gap = first - lastOccurredBaseIndex;
+            gapCounts[gap] = (gapCounts[gap] || 0) + 1;
+          } else {
+            firstOccurredBaseIndex = first;
+          }
+          lastOccurredBaseIndex = summary.lastOccurredBaseIndex + baseSpinOffset;
+        }
+        baseSpinOffset += partial.baseGameSpins;
+      });
+
+      merged.gapSummaries[outcomeId] = { gapCounts, firstOccurredBaseIndex, lastOccurredBaseIndex };
+    });
+
+    merged.finalizeMetrics();
+    return merged;
+  }
+
+  /**
+   * v1.6.4: 由計數器計算所有衍生指標（RTP、Hit Rate、分布百分比、Gap、信賴區間）
+   */
+  finalizeMetrics() {
+    this.calculateDerivedMetrics();
+    this.hitRate = this.baseGameSpins > 0
+      ? (this.baseHitCount / this.baseGameSpins) * 100
       : 0;
+
+    Object.keys(this.baseOutcomeDistribution).forEach(outcomeId => {
+      const dist = this.baseOutcomeDistribution[outcomeId];
+      dist.percentage = this.baseGameSpins > 0 ? (dist.count / this.baseGameSpins) * 100 : 0;
+    });
+    Object.keys(this.freeOutcomeDistribution).forEach(outcomeId => {
+      const dist = this.freeOutcomeDistribution[outcomeId];
+      dist.percentage = this.freeGameSpins > 0 ? (dist.count / this.freeGameSpins) * 100 : 0;
+    });
+
+    Object.keys(this.gapSummaries).forEach(outcomeId => {
+      const metrics = calculateGapMetricsFromCounts(this.gapSummaries[outcomeId].gapCounts);
+      const dist = this.baseOutcomeDistribution[outcomeId];
+      dist.avgGap = metrics.avgGap;
+      dist.medianGap = metrics.medianGap;
+      dist.maxGap = metrics.maxGap;
+    });
+
+    this.calculateConfidenceMetrics();
   }
 }
 
@@ -72,23 +319,109 @@ class SimulationResult {
  * @param {number} bet - 下注金額（credit）
  * @param {Array} winEvents - WinEvent 陣列
  * @param {boolean} STRICT_MODE - 是否啟用嚴格模式
+ * @param {Array} unmatchedEvents - v1.6.8: MULTI 模式下無法對應到任何中獎條件的事件（非空即不一致）
  * @returns {Object} { expectedWinAmount, evaluatedWinAmount, evaluationMatch }
  */
-function validateStrict(outcome, bet, winEvents, STRICT_MODE = true) {
+function validateStrict(outcome, bet, winEvents, STRICT_MODE = true, unmatchedEvents = []) {
   const expectedWinAmount = Math.round(outcome.payoutMultiplier * bet); // credit int
   const evaluatedWinAmount = winEvents.reduce((sum, e) => sum + (e.winAmount || 0), 0);
-  const evaluationMatch = (expectedWinAmount === evaluatedWinAmount);
+  const evaluationMatch = (expectedWinAmount === evaluatedWinAmount) && unmatchedEvents.length === 0;
 
   if (STRICT_MODE && !evaluationMatch) {
     throw new Error(
       `Validation mismatch: expected=${expectedWinAmount}, evaluated=${evaluatedWinAmount}, ` +
-      `outcome=${outcome.id}, events=${JSON.stringify(winEvents)}`
+      `unmatched=${unmatchedEvents.length}, outcome=${outcome.id}, events=${JSON.stringify(winEvents)}`
     );
   }
 
   return { expectedWinAmount, evaluatedWinAmount, evaluationMatch };
 }
 
+/**
+ * v1.6.8: MULTI 模式設定 winAmount
+ *
+ * 每個 WinEvent 對應到 outcome 的一個中獎條件，winAmount = round(條件 payoutMultiplier × bet)；
+ * 非 WIN 類型的 outcome 沒有中獎條件，所有事件皆為 unmatched
+ *
+ * @param {Object} outcome - Outcome 物件
+ * @param {number} bet - 下注金額（credit）
+ * @param {Array} winEvents - WinEvent 陣列（winAmount 會被覆寫）
+ * @returns {Array} unmatchedEvents
+ */
+function assignWinAmounts(outcome, bet, winEvents) {
+  const conditions = outcome.type === 'WIN' ? getWinConditions(outcome) : [];
+  const { matches, unmatchedEvents } = matchEventsToConditions(conditions, winEvents);
+  matches.forEach(({ event, condition }) => {
+    event.winAmount = Math.round(getConditionPayout(outcome, condition) * bet); // credit int
+  });
+  return unmatchedEvents;
+}
+
+/**
+ * v1.6.18: maxWinCap 截斷後調整 WinEvent 的 winAmount，使事件總和等於實際派彩
+ *
+ * 截斷後的贏分依序分配：SCATTER 事件優先（與 Scatter 派彩統計一致），其餘依事件順序；
+ * 被截斷的事件記錄 metadata.capped 與截斷前的 metadata.uncappedWinAmount
+ *
+ * @param {Array} winEvents - WinEvent 陣列（winAmount 會被覆寫）
+ * @param {number} cappedWinAmount - 截斷後的本 spin 贏分
+ */
+function capWinEvents(winEvents, cappedWinAmount) {
+  let remaining = cappedWinAmount;
+  const ordered = winEvents.filter(event => event.ruleType === 'SCATTER')
+    .concat(winEvents.filter(event => event.ruleType !== 'SCATTER'));
+  ordered.forEach(event => {
+    const paid = Math.min(event.winAmount, remaining);
+    if (paid < event.winAmount) {
+      event.metadata = Object.assign({}, event.metadata, { capped: true, uncappedWinAmount: event.winAmount });
+      event.winAmount = paid;
+    }
+    remaining -= paid;
+  });
+}
+
+/**
+ * v1.6.10: 建立每個 FSM 狀態的 resolver / evaluator（由該狀態的 gameRules 建立）
+ *
+ * - gameRules[state] 存在：以該狀態的 grid / paylines / evaluationMode / paytable 建立獨立實例
+ * - gameRules[state] 不存在：沿用 BASE 的實例（v1.5.0 Route A 行為），ruleSet 記錄為 BASE
+ * - paytable：gameRules[state].paytable 優先，否則使用頂層 paytable
+ * - 所有 resolver 共用同一個 Math RNG（狀態切換不改變 RNG 消耗順序）
+ * - v1.6.11: 涵蓋 fsmConfig.states 的所有狀態（BASE 優先建立，供其他狀態 fallback）
+ * - v1.6.20: gameRules[state].winCondition = 'ways' 時 resolver / evaluator 以 ways 判定（不使用 paylines）
+ * - v1.6.21: gameRules[state].winCondition = 'cluster' 時以 cluster 判定（minClusterSize 由 gameRule 設定）
+ * - v1.6.22: gameRules[state].payDirection（LTR / RTL / BOTH）同時套用於 resolver / evaluator / visual layer
+ * - v1.6.23: paytable.SCATTER 設定 Scatter 派彩（evaluator 產生 SCATTER 事件，WIN_AND_FEATURE 同時派彩與觸發）
+ *
+ * @param {Object} config - 設定檔物件
+ * @param {RNG} rng - Math RNG
+ * @param {Array<string>} states - FSM 狀態列表
+ * @returns {Object} { [state]: { ruleSet, resolver, evaluator } }
+ */
+function buildStateEngines(config, rng, states) {
+  const visualConfig = config.visualConfig || { enabled: true, safeFiller: 'L1', maxRetries: 10 };
+  const engines = {};
+
+  [STATE.BASE].concat(states.filter(state => state !== STATE.BASE)).forEach(state => {
+    const gameRule = config.gameRules[state];
+    if (!gameRule) {
+      if (engines[STATE.BASE]) {
+        engines[state] = engines[STATE.BASE];
+      }
+      return;
+    }
+    const paytable = gameRule.paytable || config.paytable || null;
+    engines[state] = {
+      ruleSet: state,
+      // v1.3: 傳遞 visualConfig（v1.6.7: paytable 啟用 resolver 的嚴格連線檢查）
+      resolver: new PatternResolver(gameRule, config.symbols, rng, visualConfig, { paytable }),
+      evaluator: new PayRuleEvaluator(gameRule, config.symbols, paytable)  // v1.6.9
+    };
+  });
+
+  return engines;
+}
+
 /**
  * 格式化盤面顯示（ASCII 格式）
  * @param {Array} symbols - 符號陣列
@@ -115,23 +448,57 @@ function selectOutcome(rng, outcomeTable, state) {
 // v1.2: selectPattern 函式已移除，改用 PatternResolver
 
 /**
- * v1.1: 計算 Gap 統計指標
- * @param {Array<number>} gaps - Gap 數值陣列
+ * v1.6.13: 單一觸發等級的統計
+ */
+function createTriggerAwardStats() {
+  return { triggerCount: 0, spinsAwarded: 0, freeGameSpins: 0, featureWin: 0 };
+}
+
+// v1.6.18: SimulationResult 的最大贏分紀錄欄位
+const MAX_WIN_FIELDS = ['maxSpinWin', 'maxFeatureWin', 'maxRoundWin'];
+
+/**
+ * v1.6.18: 是否為新的最大贏分（贏分 > 0 且嚴格大於目前紀錄；同分保留最早出現者）
+ * @param {Object|null} current - 目前紀錄
+ * @param {number} win - 贏分
+ * @returns {boolean}
+ */
+function isNewMaxWin(current, win) {
+  return win > 0 && (current === null || win > current.win);
+}
+
+/**
+ * v1.1: 計算 Gap 統計指標（avg / median / max，median 於偶數筆時取中間兩筆平均）
+ * v1.6.4: 改由 gap 直方圖計算
+ * v1.6.6: Gap tracker 直接累積直方圖（記憶體與 spin 次數無關，可寫入 checkpoint）
+ * @param {Object} gapCounts - { gap: count }
  * @returns {Object} Gap 統計指標
  */
-function calculateGapMetrics(gaps) {
-  if (gaps.length === 0) {
+function calculateGapMetricsFromCounts(gapCounts) {
+  const entries = Object.keys(gapCounts)
+    .map(gap => [Number(gap), gapCounts[gap]])
+    .sort((a, b) => a[0] - b[0]);
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  if (total === 0) {
     return { avgGap: null, medianGap: null, maxGap: null };
   }
 
-  const avgGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
-  const maxGap = Math.max(...gaps);
+  const avgGap = entries.reduce((sum, [gap, count]) => sum + gap * count, 0) / total;
+  const maxGap = entries[entries.length - 1][0];
 
-  const sorted = [...gaps].sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  const medianGap = sorted.length % 2 === 0
-    ? (sorted[mid - 1] + sorted[mid]) / 2
-    : sorted[mid];
+  // 第 k 小的 gap（0-based）
+  const nth = (k) => {
+    let seen = 0;
+    for (const [gap, count] of entries) {
+      seen += count;
+      if (k < seen) return gap;
+    }
+    return maxGap;
+  };
+  const mid = Math.floor(total / 2);
+  const medianGap = total % 2 === 0
+    ? (nth(mid - 1) + nth(mid)) / 2
+    : nth(mid);
 
   return { avgGap, medianGap, maxGap };
 }
@@ -146,9 +513,23 @@ function calculateGapMetrics(gaps) {
  * @param {string} configPath - 設定檔路徑
  * @param {number} targetBaseSpins - 目標 Base Game Spin 次數（預設 10000）
  * @param {number} customBet - 自訂下注金額（可選，預設使用 betConfig.baseBet）
+ * @param {Object} options - v1.6.4: 其他選項（quiet: 不輸出啟動訊息，用於 parallel worker）
+ *                            v1.6.5: csvSink（CsvSink 實例，逐 spin 串流寫出 CSV；呼叫端負責 close）
+ *                            v1.6.6: checkpoint（{ path, interval, meta }，每 interval 次 Base Spin 寫入一次）
+ *                            v1.6.6: resume（loadCheckpoint() 讀取的 checkpoint，從該處續跑；
+ *                                    返回的 stateTransitions 只含 checkpoint 保存的前幾筆與續跑後的切換，總數見 stateTransitionCount）
+ *                            v1.6.16: onRoundSettled(roundWin, result)（每個 Round 結算時呼叫，返回 true 則停止模擬）
+ *                            v1.6.16: finishFeature（達到 targetBaseSpins 後仍完成最後一個 Feature）
+ *                            v1.6.19: featureRoundSink（createFeatureRoundSink() 建立的 CsvSink，每個完整 Feature 寫出一行；呼叫端負責 close；
+ *                                     checkpoint 記錄其寫入位置，續跑時以 createFeatureRoundSink(path, { resume }) 續寫）
  * @returns {SimulationResult} 模擬結果物件
  */
-function simulate(configPath, targetBaseSpins = 10000, customBet = null, customReporter = undefined, csvEnabled = false, overrideConfig = null, customSeed = null) {
+function simulate(configPath, targetBaseSpins = 10000, customBet = null, customReporter = undefined, csvEnabled = false, overrideConfig = null, customSeed = null, options = {}) {
+  const quiet = options.quiet === true;
+  const onRoundSettled = typeof options.onRoundSettled === 'function' ? options.onRoundSettled : null;  // v1.6.16
+  const finishFeature = options.finishFeature === true;  // v1.6.16
+  const featureRoundSink = options.featureRoundSink || null;  // v1.6.19
+
   // ========================================================================
   // 1. 讀取並驗證設定檔（Read-Only）
   // v1.3: 支援 overrideConfig（用於 --no-visual 等 CLI 參數）
@@ -167,8 +548,27 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   }
 
   // 驗證設定檔結構
-  if (!config.outcomeTables || !config.outcomeTables[STATE.BASE] || !config.outcomeTables[STATE.FREE]) {
-    console.error('設定檔格式錯誤：缺少 outcomeTables.BASE 或 outcomeTables.FREE');
+  // v1.6.11: 狀態機由 fsmConfig 建立，每個狀態都必須有自己的 outcome table
+  let fsm;
+  try {
+    fsm = new FsmEngine(getFsmConfig(config), config.featureConfig || {});
+  } catch (error) {
+    console.error('設定檔格式錯誤：', error.message);
+    process.exit(1);
+  }
+
+  // v1.6.14: Free Game 倍數（featureConfig.multiplier）
+  let featureMultiplier;
+  try {
+    featureMultiplier = new FeatureMultiplier((config.featureConfig || {}).multiplier);
+  } catch (error) {
+    console.error('設定檔格式錯誤：', error.message);
+    process.exit(1);
+  }
+
+  const missingTables = fsm.states.filter(state => !config.outcomeTables || !config.outcomeTables[state]);
+  if (missingTables.length > 0) {
+    console.error(`設定檔格式錯誤：缺少 ${missingTables.map(state => `outcomeTables.${state}`).join(' 或 ')}`);
     process.exit(1);
   }
 
@@ -182,6 +582,24 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     process.exit(1);
   }
 
+  // v1.6.18: 最大贏分上限（bet 倍數，可選）
+  const maxWinCap = config.betConfig.maxWinCap;
+  if (maxWinCap !== undefined && maxWinCap !== null &&
+      !(typeof maxWinCap === 'number' && Number.isFinite(maxWinCap) && maxWinCap > 0)) {
+    console.error('設定檔格式錯誤：', 'betConfig.maxWinCap 必須為正數');
+    process.exit(1);
+  }
+
+  // v1.6.13: Scatter 觸發等級（scatterConfig.trigger.awards）
+  if (config.scatterConfig && config.scatterConfig.trigger) {
+    try {
+      getTriggerAwards(config.scatterConfig.trigger);
+    } catch (error) {
+      console.error('設定檔格式錯誤：', error.message);
+      process.exit(1);
+    }
+  }
+
   // ========================================================================
   // 2. 初始化 RNG（集中化隨機數生成）
   // v1.4: 追蹤 mathSeed 用於 Pattern Generator
@@ -189,57 +607,58 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   // ========================================================================
   // v1.5.0 Follow-up: 優先使用 customSeed（來自 CLI），否則使用 config.seed，最後使用 null（legacy mode）
   const mathSeed = customSeed !== null ? String(customSeed) : (config.seed || null);
-  const rng = new RNG(mathSeed);  // Dual-mode: null = legacy, non-null = seeded
+  // v1.6.2: 演算法由 rngConfig.algorithm 指定（預設 lcg-legacy），所有 Sub-RNG 沿用相同演算法
+  // v1.6.3: Sub-seed 推導版本由 rngConfig.subSeedDerivation 指定（預設 v1）
+  const rngConfig = config.rngConfig || {};
+  const rng = new RNG(mathSeed, {
+    algorithm: rngConfig.algorithm,
+    subSeedDerivation: rngConfig.subSeedDerivation
+  });  // Dual-mode: null = legacy, non-null = seeded
   
   // v1.5.0 Follow-up: 記錄 active seed（僅在啟動時記錄一次）
-  if (mathSeed !== null) {
-    console.log(`🌱 Active Math Seed: ${mathSeed} (deterministic mode)`);
-  } else {
-    console.log(`🔀 Active Math Seed: (none) (legacy random mode)`);
+  // v1.6.4: quiet 模式（parallel worker）由 main thread 統一輸出
+  if (!quiet) {
+    if (mathSeed !== null) {
+      console.log(`🌱 Active Math Seed: ${mathSeed} (deterministic mode, rng=${rng.algorithm}, subSeed=${rng.subSeedDerivation})`);
+    } else {
+      console.log(`🔀 Active Math Seed: (none) (legacy random mode)`);
+    }
   }
 
   // ========================================================================
-  // v1.2: 初始化 Pattern Resolver (僅 BASE 狀態)
+  // v1.2: 初始化 Pattern Resolver
   // v1.3: 整合 Visual Constraint Layer
   // v1.5.0: 初始化 Pay Rule Evaluator
+  // v1.6.10: 每個 FSM 狀態各自的 resolver / evaluator / visual engine
   // ========================================================================
-  let baseResolver = null;
-  let baseEvaluator = null;
-  if (config.gameRules && config.gameRules.BASE) {
-    const visualConfig = config.visualConfig || { enabled: true, safeFiller: 'L1', maxRetries: 10 };
-    baseResolver = new PatternResolver(
-      config.gameRules.BASE,
-      config.symbols,
-      rng,
-      visualConfig  // v1.3: 傳遞 visualConfig
-    );
-    // v1.5.0: 初始化 Pay Rule Evaluator
-    baseEvaluator = new PayRuleEvaluator(
-      config.gameRules.BASE,
-      config.symbols
-    );
-  }
+  const stateEngines = config.gameRules && config.gameRules.BASE
+    ? buildStateEngines(config, rng, fsm.states)
+    : {};
 
   // ========================================================================
   // 3. 初始化狀態機
+  // v1.6.11: FsmEngine 已於設定檔驗證時建立（目前狀態 = initialState，spinsRemaining = 0）
   // ========================================================================
-  let currentState = STATE.BASE;
-  let freeSpinsRemaining = 0;
 
   // ========================================================================
   // 4. 初始化 Bet Reference（P3: Bet-centric）
   // ========================================================================
   // 確保使用 betConfig.baseBet 作為參考（Virtual Bet Reference）
   const baseBet = customBet !== null ? customBet : config.betConfig.baseBet;
+  // v1.6.18: 每個 Round（Base Win + 其觸發的 Feature Win）的贏分上限（credit int）
+  const maxWinAmount = typeof maxWinCap === 'number' ? Math.round(maxWinCap * baseBet) : null;
 
   // ========================================================================
   // 5. 初始化統計與結果物件
   // ========================================================================
   const result = new SimulationResult();
   result.baseGameSpins = targetBaseSpins;
+  result.rngAlgorithm = mathSeed !== null ? rng.algorithm : null;  // v1.6.2
+  result.subSeedDerivation = rng.subSeedDerivation;  // v1.6.3
 
   // 初始化 Outcome 計數器（v1.1: 加入 Gap 統計）
-  config.outcomeTables[STATE.BASE].outcomes.forEach(outcome => {
+  // v1.6.11: initialState 的 outcomes 計入 base 分布，所有 Feature 狀態的 outcomes 計入 free 分布
+  config.outcomeTables[fsm.initialState].outcomes.forEach(outcome => {
     result.baseOutcomeDistribution[outcome.id] = { 
       count: 0, 
       percentage: 0,
@@ -249,23 +668,26 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     };
   });
 
-  config.outcomeTables[STATE.FREE].outcomes.forEach(outcome => {
-    result.freeOutcomeDistribution[outcome.id] = { 
-      count: 0, 
-      percentage: 0,
-      avgGap: null,      // FREE 狀態永遠為 null
-      medianGap: null,   // FREE 狀態永遠為 null
-      maxGap: null       // FREE 狀態永遠為 null
-    };
+  fsm.states.filter(state => !fsm.isInitialState(state)).forEach(state => {
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      result.freeOutcomeDistribution[outcome.id] = {
+        count: 0,
+        percentage: 0,
+        avgGap: null,      // FREE 狀態永遠為 null
+        medianGap: null,   // FREE 狀態永遠為 null
+        maxGap: null       // FREE 狀態永遠為 null
+      };
+    });
   });
 
   // ========================================================================
   // v1.1: Gap Tracking (僅 BASE 狀態)
   // ========================================================================
   const gapTrackers = {};
-  config.outcomeTables[STATE.BASE].outcomes.forEach(outcome => {
+  config.outcomeTables[fsm.initialState].outcomes.forEach(outcome => {
     gapTrackers[outcome.id] = {
-      gaps: [],
+      gapCounts: {},  // v1.6.6: { gap: count }（取代逐筆 gaps 陣列）
+      firstOccurredBaseIndex: null,  // v1.6.4: 用於跨 shard 銜接 gap
       lastOccurredBaseIndex: null
     };
   });
@@ -273,7 +695,9 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   // ========================================================================
   // v1.1: Spin Logging (CSV Data Source)
   // ========================================================================
-  const spinLog = csvEnabled ? [] : null;
+  // v1.6.5: 提供 options.csvSink 時改為串流寫出，spinLog 為 null
+  const csvSink = options.csvSink || null;
+  const spinLog = csvEnabled && !csvSink ? [] : null;
   let globalSpinIndex = 0;
   let currentParentBaseSpin = null;  // 追蹤觸發 Free Game 的 Base Spin
 
@@ -286,17 +710,24 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   // 用於詳細輸出的資料
   const spinDetails = [];
   const stateTransitions = [];
+  // v1.6.6: 續跑時 checkpoint 未保存的狀態切換筆數（stateTransitions 只含前 REPORTED_STATE_TRANSITIONS 筆與續跑後的切換）
+  let omittedStateTransitions = 0;
   let baseHitCount = 0;  // 僅計算 Base Game 中 Win > 0 的次數
-
-  console.log('='.repeat(60));
-  console.log('Slot Game Core Spec v1.2 - 模擬開始 (Pattern Resolver Layer)');
-  console.log('='.repeat(60));
-  console.log(`模擬目標: ${targetBaseSpins} 次 Base Game Spins`);
-  console.log(`Base Bet: ${baseBet} (來自 betConfig.baseBet)`);
-  console.log(`Free Spin 次數: ${config.featureConfig.freeSpinCount}`);
-  console.log('說明: Free Game 為 Base Game 的延伸結果，不佔用模擬次數額度');
-  console.log('='.repeat(60));
-  console.log('');
+  let featureSpinsPlayed = 0;  // v1.6.12: 目前 Feature 已進行的 spin 數（回到 initialState 時計入 featureLengthCounts）
+  let currentTriggerTier = null;  // v1.6.13: 目前 Feature 的觸發等級（triggerAwardStats 的 key）
+  let pendingRoundWin = null;  // v1.6.1: 目前 Base Spin 的 Round Win（下一次 Base Spin 開始時結算）
+  let roundSpinIndex = null;  // v1.6.18: 目前 Round 的 Base Spin 全域索引
+  let roundCapped = false;  // v1.6.18: 目前 Round 是否已達 maxWinCap
+  let featureRoundWin = 0;  // v1.6.18: 目前 Feature 的累積贏分
+  let featureStartSpinIndex = null;  // v1.6.18: 觸發目前 Feature 的 spin 全域索引
+  let featureRoundOutcomes = {};  // v1.6.19: 目前 Feature 的 outcome 次數
+  let featureRoundRetriggers = 0;  // v1.6.19: 目前 Feature 的 retrigger 次數（featureRoundSink 使用）
+  let featureTriggerOutcomeId = null;  // v1.6.19: 觸發目前 Feature 的 outcome（featureRoundSink 使用）
+  let featureRoundIndex = 0;  // v1.6.19: 已完成的 Feature 數（featureRoundSink 使用）
+
+  if (!quiet) {
+    printSimulationBanner(config, targetBaseSpins, baseBet);
+  }
 
   // ========================================================================
   // 6. 模擬生命週期迴圈（The Loop）
@@ -305,60 +736,290 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   let baseSpins = 0;  // Base Game Spin 計數器
   let freeGameSpinsCount = 0;  // Free Game Spin 顯式計數器（必須等於 Triggers * freeSpinCount）
 
-  while (baseSpins < targetBaseSpins) {
+  // ========================================================================
+  // v1.6.6: Checkpoint / Resume
+  // ========================================================================
+  const checkpointOptions = options.checkpoint || null;
+  const resumeFrom = options.resume || null;
+  let checkpointRun = null;
+  if (checkpointOptions || resumeFrom) {
+    if (mathSeed === null) {
+      throw new Error('Checkpoint / resume 僅支援 seeded mode（legacy mode 無法保存 RNG 狀態）');
+    }
+    if (spinLog) {
+      throw new Error('Checkpoint / resume 的 CSV 必須使用 csvSink（記憶體中的 spinLog 無法續跑）');
+    }
+    checkpointRun = {
+      mathSeed: mathSeed,
+      targetBaseSpins: targetBaseSpins,
+      baseBet: baseBet,
+      rngAlgorithm: rng.algorithm,
+      subSeedDerivation: rng.subSeedDerivation,
+      configFingerprint: configFingerprint(config)
+    };
+  }
+  const checkpointInterval = checkpointOptions
+    ? (checkpointOptions.interval || DEFAULT_CHECKPOINT_INTERVAL)
+    : null;
+
+  if (resumeFrom) {
+    assertResumable(resumeFrom, checkpointRun);
+    const csvRowCount = csvSink ? csvSink.rowCount : null;
+    const checkpointCsvRowCount = resumeFrom.csv ? resumeFrom.csv.rowCount : null;
+    if (csvRowCount !== checkpointCsvRowCount) {
+      throw new Error(
+        `Checkpoint 的 CSV 位置與 csvSink 不一致（checkpoint=${checkpointCsvRowCount}, csvSink=${csvRowCount}）`
+      );
+    }
+    // v1.6.19: Feature Round CSV 同樣由 checkpoint 記錄的位置續寫
+    const roundsCsvRowCount = featureRoundSink ? featureRoundSink.rowCount : null;
+    const checkpointRoundsCsvRowCount = resumeFrom.roundsCsv ? resumeFrom.roundsCsv.rowCount : null;
+    if (roundsCsvRowCount !== checkpointRoundsCsvRowCount) {
+      throw new Error(
+        `Checkpoint 的 Feature Round CSV 位置與 featureRoundSink 不一致（checkpoint=${checkpointRoundsCsvRowCount}, featureRoundSink=${roundsCsvRowCount}）`
+      );
+    }
+
+    rng.setState(resumeFrom.rngState);
+    fsm.setState(resumeFrom.fsm);  // v1.6.11
+    featureMultiplier.setState(resumeFrom.featureMultiplier);  // v1.6.14
+
+    const counters = resumeFrom.counters;
+    baseSpins = counters.baseSpins;
+    freeGameSpinsCount = counters.freeGameSpinsCount;
+    globalSpinIndex = counters.globalSpinIndex;
+    currentParentBaseSpin = counters.currentParentBaseSpin;
+    baseHitCount = counters.baseHitCount;
+    pendingRoundWin = counters.pendingRoundWin;
+    featureSpinsPlayed = counters.featureSpinsPlayed || 0;  // v1.6.12
+    currentTriggerTier = counters.currentTriggerTier || null;  // v1.6.13
+    roundSpinIndex = counters.roundSpinIndex !== undefined ? counters.roundSpinIndex : null;  // v1.6.18
+    roundCapped = counters.roundCapped === true;
+    featureRoundWin = counters.featureRoundWin || 0;
+    featureStartSpinIndex = counters.featureStartSpinIndex !== undefined ? counters.featureStartSpinIndex : null;
+    featureRoundOutcomes = Object.assign({}, counters.featureRoundOutcomes);  // v1.6.19
+    featureRoundRetriggers = counters.featureRoundRetriggers || 0;
+    featureTriggerOutcomeId = counters.featureTriggerOutcomeId !== undefined ? counters.featureTriggerOutcomeId : null;
+    featureRoundIndex = counters.featureRoundIndex || 0;
+
+    const accumulators = resumeFrom.accumulators;
+    result.totalBaseBet = accumulators.totalBaseBet;
+    result.baseGameWin = accumulators.baseGameWin;
+    result.featureWin = accumulators.featureWin;
+    result.triggerCount = accumulators.triggerCount;
+    result.retriggerCount = accumulators.retriggerCount || 0;  // v1.6.12
+    result.retriggerSpins = accumulators.retriggerSpins || 0;
+    result.retriggerCappedCount = accumulators.retriggerCappedCount || 0;
+    result.featureLengthCounts = Object.assign({}, accumulators.featureLengthCounts);
+    result.featureRoundWinCounts = Object.assign({}, accumulators.featureRoundWinCounts);  // v1.6.19
+    result.featureRoundOutcomeCounts = Object.assign({}, accumulators.featureRoundOutcomeCounts);
+    result.triggerAwardStats = JSON.parse(JSON.stringify(accumulators.triggerAwardStats || {}));  // v1.6.13
+    result.multiplierStats = JSON.parse(JSON.stringify(accumulators.multiplierStats || {}));  // v1.6.14
+    result.roundWinStats = RunningStats.fromJSON(accumulators.roundWinStats);
+    if (accumulators.winDistribution) {
+      result.winDistribution = WinDistribution.fromJSON(accumulators.winDistribution);  // v1.6.17
+    }
+    MAX_WIN_FIELDS.forEach(field => {
+      result[field] = accumulators[field] || null;  // v1.6.18
+    });
+    result.maxWinCapHitCount = accumulators.maxWinCapHitCount || 0;
+    result.maxWinCapClampedWin = accumulators.maxWinCapClampedWin || 0;
+    result.baseScatterWin = accumulators.baseScatterWin || 0;  // v1.6.23
+    result.featureScatterWin = accumulators.featureScatterWin || 0;
+    result.scatterPayCount = accumulators.scatterPayCount || 0;
+    result.roundingWin = accumulators.roundingWin || 0;  // v1.6.15
+    result.roundedSpinCount = accumulators.roundedSpinCount || 0;
+    Object.keys(accumulators.baseOutcomeCounts).forEach(outcomeId => {
+      result.baseOutcomeDistribution[outcomeId].count = accumulators.baseOutcomeCounts[outcomeId];
+    });
+    Object.keys(accumulators.freeOutcomeCounts).forEach(outcomeId => {
+      result.freeOutcomeDistribution[outcomeId].count = accumulators.freeOutcomeCounts[outcomeId];
+    });
+
+    Object.assign(gapTrackers, resumeFrom.gapTrackers);
+    Object.assign(visualState, resumeFrom.visualState);
+    resumeFrom.spinDetails.forEach(detail => spinDetails.push(detail));
+    resumeFrom.stateTransitions.forEach(transition => stateTransitions.push(transition));
+    omittedStateTransitions = resumeFrom.stateTransitionCount !== undefined
+      ? resumeFrom.stateTransitionCount - resumeFrom.stateTransitions.length
+      : 0;
+
+    if (!quiet) {
+      console.log(`⏯️  從 checkpoint 續跑: Base Spin ${baseSpins} / ${targetBaseSpins}`);
+    }
+  }
+
+  /**
+   * v1.6.6: 寫入 checkpoint（CSV 先 flush，記錄可續寫的位置）
+   */
+  const writeCheckpoint = () => {
+    const outcomeCounts = distribution => {
+      const counts = {};
+      Object.keys(distribution).forEach(outcomeId => {
+        counts[outcomeId] = distribution[outcomeId].count;
+      });
+      return counts;
+    };
+
+    if (csvSink) {
+      csvSink.flush();
+    }
+    if (featureRoundSink) {
+      featureRoundSink.flush();  // v1.6.19
+    }
+    saveCheckpoint(checkpointOptions.path, {
+      version: CHECKPOINT_VERSION,
+      run: checkpointRun,
+      meta: checkpointOptions.meta || null,  // 呼叫端自訂資料（例如 CLI 參數）
+      rngState: rng.getState(),
+      fsm: fsm.getState(),  // v1.6.11: { currentState, spinsRemaining }
+      featureMultiplier: featureMultiplier.getState(),  // v1.6.14
+      counters: {
+        baseSpins: baseSpins,
+        freeGameSpinsCount: freeGameSpinsCount,
+        globalSpinIndex: globalSpinIndex,
+        currentParentBaseSpin: currentParentBaseSpin,
+        baseHitCount: baseHitCount,
+        pendingRoundWin: pendingRoundWin,
+        featureSpinsPlayed: featureSpinsPlayed,  // v1.6.12
+        currentTriggerTier: currentTriggerTier,  // v1.6.13
+        roundSpinIndex: roundSpinIndex,  // v1.6.18
+        roundCapped: roundCapped,
+        featureRoundWin: featureRoundWin,
+        featureStartSpinIndex: featureStartSpinIndex,
+        featureRoundOutcomes: featureRoundOutcomes,  // v1.6.19
+        featureRoundRetriggers: featureRoundRetriggers,
+        featureTriggerOutcomeId: featureTriggerOutcomeId,
+        featureRoundIndex: featureRoundIndex
+      },
+      accumulators: {
+        totalBaseBet: result.totalBaseBet,
+        baseGameWin: result.baseGameWin,
+        featureWin: result.featureWin,
+        triggerCount: result.triggerCount,
+        retriggerCount: result.retriggerCount,  // v1.6.12
+        retriggerSpins: result.retriggerSpins,
+        retriggerCappedCount: result.retriggerCappedCount,
+        featureLengthCounts: result.featureLengthCounts,
+        featureRoundWinCounts: result.featureRoundWinCounts,  // v1.6.19
+        featureRoundOutcomeCounts: result.featureRoundOutcomeCounts,
+        triggerAwardStats: result.triggerAwardStats,  // v1.6.13
+        multiplierStats: result.multiplierStats,  // v1.6.14
+        roundWinStats: result.roundWinStats.toJSON(),
+        winDistribution: result.winDistribution.toJSON(),  // v1.6.17
+        maxSpinWin: result.maxSpinWin,  // v1.6.18
+        maxFeatureWin: result.maxFeatureWin,
+        maxRoundWin: result.maxRoundWin,
+        maxWinCapHitCount: result.maxWinCapHitCount,
+        maxWinCapClampedWin: result.maxWinCapClampedWin,
+        baseScatterWin: result.baseScatterWin,  // v1.6.23
+        featureScatterWin: result.featureScatterWin,
+        scatterPayCount: result.scatterPayCount,
+        roundingWin: result.roundingWin,  // v1.6.15
+        roundedSpinCount: result.roundedSpinCount,
+        baseOutcomeCounts: outcomeCounts(result.baseOutcomeDistribution),
+        freeOutcomeCounts: outcomeCounts(result.freeOutcomeDistribution)
+      },
+      gapTrackers: gapTrackers,
+      visualState: visualState,
+      spinDetails: spinDetails,  // 最多 SPIN_DETAILS_LIMIT 筆
+      stateTransitions: stateTransitions.slice(0, REPORTED_STATE_TRANSITIONS),
+      stateTransitionCount: omittedStateTransitions + stateTransitions.length,
+      csv: csvSink ? csvSink.getPosition() : null,
+      roundsCsv: featureRoundSink ? featureRoundSink.getPosition() : null  // v1.6.19
+    });
+
+    if (!quiet) {
+      console.log(`💾 Checkpoint: Base Spin ${baseSpins} / ${targetBaseSpins} → ${checkpointOptions.path}`);
+    }
+  };
+
+  /**
+   * v1.6.1: 結算目前 Round（Base Win + 其觸發的 Feature Win）
+   * @returns {boolean} onRoundSettled 要求停止模擬時為 true（v1.6.16）
+   */
+  const settleRound = () => {
+    const roundWin = pendingRoundWin;
+    pendingRoundWin = null;
+    result.roundWinStats.push(roundWin);
+    result.winDistribution.push(roundWin, baseBet);  // v1.6.17
+    if (isNewMaxWin(result.maxRoundWin, roundWin)) {
+      result.maxRoundWin = { win: roundWin, baseSpin: baseSpins, spinIndex: roundSpinIndex, seed: mathSeed };  // v1.6.18
+    }
+    return onRoundSettled !== null && onRoundSettled(roundWin, result) === true;
+  };
+
+  // v1.6.16: finishFeature 時最後一個 Base Spin 觸發的 Feature 也要進行完畢
+  while (baseSpins < targetBaseSpins || (finishFeature && !fsm.isInitialState(fsm.currentState))) {
+    // v1.6.1: 結算上一個 Round（Base Win + 其觸發的 Feature Win）
+    // v1.6.16: 在下一個 Base Spin 開始前結算，onRoundSettled 可據此停止模擬
+    if (fsm.isInitialState(fsm.currentState) && pendingRoundWin !== null && settleRound()) {
+      break;
+    }
+
     globalSpinIndex++;
     
+    // 本次 spin 的狀態（v1.6.11: 由 FsmEngine 決定）
+    const currentState = fsm.currentState;
+
     // --------------------------------------------------------------------
     // v1.5.2: STRICT Guards（每 spin 開始）
+    // v1.6.11: Feature 狀態必須有剩餘次數；initialState 不得有剩餘次數
     // --------------------------------------------------------------------
-    // Guard 1: FREE 狀態必須有剩餘次數
-    if (currentState === STATE.FREE && freeSpinsRemaining <= 0) {
-      throw new Error(`v1.5.2 STRICT: Invalid state: FREE with freeSpinsRemaining=${freeSpinsRemaining}`);
-    }
-    
-    // Guard 2: BASE 狀態不得有剩餘次數
-    if (currentState === STATE.BASE && freeSpinsRemaining > 0) {
-      throw new Error(`v1.5.2 STRICT: Invalid state: BASE with freeSpinsRemaining=${freeSpinsRemaining}`);
-    }
-    
+    fsm.assertConsistent();
+
     // 記錄 spin 前的狀態（用於 telemetry）
     const stateBefore = currentState;
-    const freeRemainingBefore = freeSpinsRemaining;
-    
+    const freeRemainingBefore = fsm.spinsRemaining;
+
     // --------------------------------------------------------------------
     // 6.1 Bet Logic & Counter Updates (The "Check-In" Phase)
     // Core Spec v1.0.1: 必須在狀態切換邏輯發生「之前」進行計數
     // 確保最後一次 Spin 被正確記錄
     // --------------------------------------------------------------------
-    if (currentState === STATE.BASE) {
+    if (fsm.isInitialState(currentState)) {
+      pendingRoundWin = 0;
+      roundSpinIndex = globalSpinIndex;  // v1.6.18
+      roundCapped = false;
       baseSpins++;
       result.totalBaseBet += baseBet;
       currentParentBaseSpin = baseSpins;  // v1.1: 更新 Parent Base Spin
-    } else if (currentState === STATE.FREE) {
-      freeGameSpinsCount++;  // 顯式累加 Free Game Spins
+    } else {
+      freeGameSpinsCount++;  // 顯式累加 Free Game Spins（v1.6.11: 所有 Feature 狀態）
     }
     // Free Game 不扣除 Bet（No Deduction in Free）
 
     // --------------------------------------------------------------------
     // 6.2 Outcome Selection (P1: Outcome-based, via Centralized RNG)
     // v1.5.2: STRICT 檢查 FREE table 不得含 FEATURE
+    // v1.6.11: FEATURE Outcome 的事件必須在目前狀態有對應的 transition
+    // v1.6.23: WIN_AND_FEATURE 與 FEATURE 相同觸發事件（另外支付 Scatter 派彩）
     // --------------------------------------------------------------------
     const outcomeTable = config.outcomeTables[currentState];
     const outcome = selectOutcome(rng, outcomeTable, currentState);
-    
+    const featureEvent = isFeatureOutcome(outcome) ? getOutcomeEvent(outcome) : null;
+
     // v1.5.2: STRICT 檢查 FREE table 不得含 FEATURE（禁止 retrigger）
-    if (currentState === STATE.FREE && outcome.type === 'FEATURE') {
+    // v1.6.11: 由 fsmConfig.transitions 決定（FREE 沒有 TRIGGER_FREE 的 transition）
+    // v1.6.12: 設定 featureConfig.retrigger 時 FREE 的 TRIGGER_FREE 為 retrigger
+    if (featureEvent !== null && !fsm.canFire(featureEvent)) {
       throw new Error(
-        `v1.5.2 STRICT: outcomeTables.FREE 不得包含 FEATURE 類型的 Outcome "${outcome.id}"（禁止 retrigger）`
+        `v1.5.2 STRICT: outcomeTables.${currentState} 的 FEATURE Outcome "${outcome.id}" ` +
+        `在狀態 ${currentState} 沒有事件 ${featureEvent} 的 transition（禁止 retrigger）`
       );
     }
-    
+
     // v1.5.2: STRICT 檢查 trigger outcome 必須匹配 scatterConfig.trigger.featureId
-    if (currentState === STATE.BASE && outcome.type === 'FEATURE' && config.scatterConfig && config.scatterConfig.trigger) {
-      const triggerFeatureId = config.scatterConfig.trigger.featureId;
-      if (outcome.id !== triggerFeatureId) {
+    // v1.6.11: 僅檢查未指定 fsmEvent 的 FEATURE Outcome（Scatter 觸發的 Free Game）
+    // v1.6.13: 設定 trigger.awards 時必須匹配其中一個等級的 featureId
+    let triggerAward = null;
+    if (fsm.isInitialState(currentState) && featureEvent !== null && !outcome.fsmEvent &&
+        config.scatterConfig && config.scatterConfig.trigger) {
+      triggerAward = findTriggerAward(config.scatterConfig.trigger, outcome.id);
+      if (triggerAward === null) {
+        const triggerFeatureIds = getTriggerAwards(config.scatterConfig.trigger).map(award => award.featureId).join(', ');
         throw new Error(
-          `v1.5.2 STRICT: FEATURE 類型的 Outcome "${outcome.id}" 不匹配 scatterConfig.trigger.featureId (${triggerFeatureId})`
+          `v1.5.2 STRICT: FEATURE 類型的 Outcome "${outcome.id}" 不匹配 scatterConfig.trigger.featureId (${triggerFeatureIds})`
         );
       }
     }
@@ -368,15 +1029,15 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     // v1.3: 傳遞 context 給 Visual Constraint Layer
     // v1.4: 傳遞 context 給 Pattern Generator（包含 mathSeed）
     // v1.5.0: Resolver 只生成 grid，不評估中獎
-    // v1.5.0 Route A: Free Game 也使用 BASE resolver（fallback to BASE rules）
+    // v1.6.10: 使用目前狀態的 resolver（gameRules[state] 不存在時 fallback 到 BASE）
     // --------------------------------------------------------------------
     let patternResult;
     
-    // v1.5.0 Route A: 確定有效的 game rule（FREE 使用 BASE 作為 fallback）
-    const effectiveGameRule = config.gameRules[currentState] || config.gameRules.BASE;
+    const stateEngine = stateEngines[currentState] || null;
+    const resolver = stateEngine ? stateEngine.resolver : null;
+    const evaluator = stateEngine ? stateEngine.evaluator : null;
     
-    // v1.5.0 Route A: 所有狀態都使用 baseResolver（如果存在）
-    if (baseResolver && effectiveGameRule) {
+    if (resolver) {
       // v1.3/v1.4: 建立 context（包含 spinIndex, mathSeed, outcomeId）
       // v1.4.patch: 加入 visualState（caller-owned，用於 cooldown/rate limiting）
       // Phase C: visualSeed 由 visualConstraint.js 統一推導（不在此處設定）
@@ -385,10 +1046,12 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
         mathSeed: mathSeed,  // v1.4: 用於 Pattern Generator 和 Visual Seed 推導
         outcomeId: outcome.id,  // v1.4: 用於 Pattern Generator 和 Visual Seed 推導
         visualState: visualState,  // v1.4.patch: caller-owned state for visual layer
-        state: currentState,  // v1.5.0 Route A: 傳遞狀態資訊（雖然 resolver 使用 BASE rules）
-        scatterConfig: config.scatterConfig || null  // v1.5.2: 傳遞 scatterConfig 給 resolver
+        state: currentState,  // v1.5.0 Route A: 傳遞狀態資訊
+        rngOptions: rng.getOptions(),  // v1.6.2/v1.6.3: Sub-RNG 沿用 Math RNG 演算法與推導版本
+        scatterConfig: config.scatterConfig || null,  // v1.5.2: 傳遞 scatterConfig 給 resolver
+        retriggerConfig: config.featureConfig.retrigger || null  // v1.6.12: FREE retrigger 的 scatter 數量
       };
-      patternResult = baseResolver.resolve(outcome, context);
+      patternResult = resolver.resolve(outcome, context);
       
       // v1.5.0 Route A: 驗證 grid 必須有效（禁止 placeholder）
       if (!patternResult.grid || patternResult.grid.length === 0) {
@@ -407,12 +1070,17 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     // v1.5.0 Route A: 所有狀態都必須評估（包括 FREE）
     // --------------------------------------------------------------------
     let winEvents = [];
-    if (baseEvaluator && patternResult.grid && patternResult.grid.length > 0) {
-      winEvents = baseEvaluator.evaluate(patternResult.grid, {});
+    let unmatchedEvents = [];
+    if (evaluator && patternResult.grid && patternResult.grid.length > 0) {
+      winEvents = evaluator.evaluate(patternResult.grid, { bet: baseBet });
       
       // v1.5.0: 設定 winAmount（根據 outcome.payoutMultiplier * bet）
       // 注意：只有 WIN 類型的 outcome 才會有 winEvents
-      if (outcome.type === 'WIN' && winEvents.length > 0) {
+      // v1.6.8: MULTI 模式依中獎條件逐一設定
+      // v1.6.9: 設定 paytable 時 winAmount 已由 evaluator 依盤面計算，validateStrict 與 outcome 交叉驗證
+      if (!evaluator.paytable && evaluator.evaluationMode === 'MULTI') {
+        unmatchedEvents = assignWinAmounts(outcome, baseBet, winEvents);
+      } else if (!evaluator.paytable && outcome.type === 'WIN' && winEvents.length > 0) {
         const expectedWinAmount = Math.round(outcome.payoutMultiplier * baseBet); // credit int
         winEvents[0].winAmount = expectedWinAmount;
       }
@@ -427,25 +1095,67 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     // v1.5.0: Strict Validation
     // --------------------------------------------------------------------
     const STRICT_MODE = true;
-    const validationResult = validateStrict(outcome, baseBet, winEvents, STRICT_MODE);
+    const validationResult = validateStrict(outcome, baseBet, winEvents, STRICT_MODE, unmatchedEvents);
     
     // v1.5.0: 使用 evaluatedWinAmount（如果存在），否則使用 expectedWinAmount
     const evaluatedWinAmount = validationResult.evaluatedWinAmount;
-    const winAmount = evaluatedWinAmount !== undefined ? evaluatedWinAmount : validationResult.expectedWinAmount;
+    const baseWinAmount = evaluatedWinAmount !== undefined ? evaluatedWinAmount : validationResult.expectedWinAmount;
+
+    // v1.6.14: Free Game 倍數（套用在 STRICT 驗證之後；WinEvent 記錄倍數與套用前的贏分）
+    let spinMultiplier = 1;
+    if (featureMultiplier.isEnabled() && currentState === MULTIPLIER_STATE) {
+      spinMultiplier = featureMultiplier.next(rng);
+      winEvents.forEach(event => {
+        event.metadata = Object.assign({}, event.metadata, { multiplier: spinMultiplier, baseWinAmount: event.winAmount });
+        event.winAmount = event.winAmount * spinMultiplier;
+      });
+      featureMultiplier.completeSpin(baseWinAmount);
+    }
+    let winAmount = baseWinAmount * spinMultiplier;
+
+    // v1.6.15: 派彩取整的實際影響（STRICT 驗證保證 baseWinAmount = Math.round(payoutMultiplier × bet)，含 paytable 計算的派彩）
+    const exactBaseWinAmount = outcome.payoutMultiplier * baseBet;
+    if (baseWinAmount !== exactBaseWinAmount) {
+      result.roundingWin += (baseWinAmount - exactBaseWinAmount) * spinMultiplier;
+      result.roundedSpinCount++;
+    }
+
+    // v1.6.18: maxWinCap：Round 累積贏分不得超過上限，超出部分截去（已達上限後的 spin 贏分為 0）
+    // WinEvent 同步截斷（CSV 的 eventsJson 與 visual layer 的事件總和等於實際派彩）
+    if (maxWinAmount !== null && pendingRoundWin + winAmount > maxWinAmount) {
+      const cappedWinAmount = Math.max(0, maxWinAmount - pendingRoundWin);
+      result.maxWinCapClampedWin += winAmount - cappedWinAmount;
+      winAmount = cappedWinAmount;
+      capWinEvents(winEvents, cappedWinAmount);
+      if (!roundCapped) {
+        roundCapped = true;
+        result.maxWinCapHitCount++;
+      }
+    }
+
+    // v1.6.23: Scatter 派彩（SCATTER WinEvent，已套用倍數；maxWinCap 截斷時不超過本 spin 贏分）
+    const scatterWinAmount = Math.min(
+      winAmount,
+      winEvents.filter(event => event.ruleType === 'SCATTER').reduce((sum, event) => sum + event.winAmount, 0)
+    );
+    if (scatterWinAmount > 0) {
+      result.scatterPayCount++;
+    }
 
     // --------------------------------------------------------------------
     // v1.5.0: Visual Constraint（在 evaluator 之後，使用 winEvents）
     // v1.5.0 Route A: 所有狀態都必須應用 visual constraint（包括 FREE）
     // --------------------------------------------------------------------
-    if (baseResolver && baseResolver.visualEngine && patternResult.grid && patternResult.grid.length > 0) {
+    if (resolver.visualEngine && patternResult.grid && patternResult.grid.length > 0) {
       const context = {
         spinIndex: globalSpinIndex,
         mathSeed: mathSeed,
         outcomeId: outcome.id,
-        visualState: visualState
+        visualState: visualState,
+        rngOptions: rng.getOptions()  // v1.6.2/v1.6.3
       };
       
-      const visualResult = baseResolver.visualEngine.applyConstraints(
+      const visualResult = resolver.visualEngine.applyConstraints(
         patternResult.grid,
         outcome,
         winEvents,  // v1.5.0: 傳入 winEvents
@@ -460,47 +1170,72 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     // --------------------------------------------------------------------
     // 6.4 State Transition Logic (P2: FSM)
     // Core Spec v1.0.2: 修復 Off-by-one 錯誤
+    // v1.6.11: 轉換由 FsmEngine 依 fsmConfig.transitions 執行
     // --------------------------------------------------------------------
     let stateChanged = false;
     const previousState = currentState;  // 記錄 Spin 時的狀態（用於統計）
-    let justTriggered = false;  // 標記是否剛觸發 Free Game
-
-    // v1.5.2: Transition Rule: BASE -> FREE (當 Outcome Type 為 FEATURE 且匹配 scatterConfig.trigger.featureId 時觸發)
-    if (currentState === STATE.BASE && outcome.type === 'FEATURE') {
-      // v1.5.2: 檢查是否匹配 scatterConfig.trigger.featureId（已在 outcome 選擇時檢查，這裡再次確認）
-      const shouldTrigger = config.scatterConfig && config.scatterConfig.trigger
-        ? outcome.id === config.scatterConfig.trigger.featureId
-        : true;  // 如果沒有 scatterConfig，保持原有行為
-      
-      if (shouldTrigger) {
-        currentState = STATE.FREE;
-        freeSpinsRemaining = config.featureConfig.freeSpinCount;  // 設定為 10
-        result.triggerCount++;
-        stateChanged = true;
-        justTriggered = true;  // 標記剛觸發，當次迴圈不得再進行 decrement
-        stateTransitions.push({
-          baseSpin: baseSpins,
-          from: previousState,
-          to: currentState,
-          trigger: outcome.id,
-          freeSpinsRemaining: freeSpinsRemaining
-        });
+
+    // v1.6.12: Retrigger：增加剩餘次數（依上限截斷），本 spin 仍照常遞減
+    const isRetrigger = featureEvent !== null && fsm.isRetrigger(featureEvent);
+    if (isRetrigger) {
+      const retrigger = fsm.retrigger();
+      result.retriggerCount++;
+      featureRoundRetriggers++;  // v1.6.19
+      result.retriggerSpins += retrigger.spinsAwarded;
+      if (retrigger.capped) {
+        result.retriggerCappedCount++;
       }
+      stateTransitions.push({
+        baseSpin: baseSpins,
+        from: previousState,
+        to: previousState,
+        trigger: outcome.id,
+        retrigger: true,
+        spinsAwarded: retrigger.spinsAwarded,
+        freeSpinsRemaining: retrigger.spinsRemaining
+      });
     }
 
-    // Transition Rule: FREE -> BASE (當 freeSpinsRemaining 歸零時觸發)
-    // Core Spec v1.0.2: 只有在已經處於 FREE 狀態且不是剛觸發的情況下，才進行 decrement
-    if (currentState === STATE.FREE && !justTriggered) {
+    if (featureEvent !== null && !isRetrigger) {
+      // Transition Rule: FEATURE Outcome 觸發事件（例如 BASE --TRIGGER_FREE--> FREE），設定目標狀態的 spin 次數
+      // 剛觸發的 spin 不遞減計數器
+      // v1.6.13: 觸發等級的 spins 覆寫進入 Feature 的次數
+      const transition = fsm.fire(featureEvent, triggerAward !== null ? triggerAward.spins : null);
+      if (fsm.isInitialState(previousState)) {
+        result.triggerCount++;
+        featureMultiplier.startFeature();  // v1.6.14
+        featureRoundWin = 0;  // v1.6.18
+        featureStartSpinIndex = globalSpinIndex;
+        featureRoundOutcomes = {};  // v1.6.19
+        featureRoundRetriggers = 0;
+        featureTriggerOutcomeId = outcome.id;
+        currentTriggerTier = null;
+        if (triggerAward !== null) {
+          currentTriggerTier = String(triggerAward.scatterCount);
+          const tierStats = result.triggerAwardStats[currentTriggerTier] || createTriggerAwardStats();
+          tierStats.triggerCount++;
+          tierStats.spinsAwarded += transition.spinsRemaining;
+          result.triggerAwardStats[currentTriggerTier] = tierStats;
+        }
+      }
+      stateChanged = true;
+      stateTransitions.push({
+        baseSpin: baseSpins,
+        from: transition.from,
+        to: transition.to,
+        trigger: outcome.id,
+        freeSpinsRemaining: transition.spinsRemaining
+      });
+    } else {
+      // Transition Rule: Feature 狀態的 spin 計數器歸零時觸發 endEvent（例如 FREE --FREE_SPINS_END--> BASE）
       // Standard Free Spin Logic: 10 -> 9 ... 1 -> 0
-      freeSpinsRemaining--;
-      if (freeSpinsRemaining <= 0) {
-        currentState = STATE.BASE;
-        freeSpinsRemaining = 0;
+      const transition = fsm.completeSpin();
+      if (transition) {
         stateChanged = true;
         stateTransitions.push({
           baseSpin: baseSpins,
-          from: 'FREE',
-          to: STATE.BASE,
+          from: transition.from,
+          to: transition.to,
           reason: 'Free Spins Exhausted'
         });
       }
@@ -511,11 +1246,26 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     // v1.5.0: winAmount 已在上方由 validateStrict 計算（使用 evaluatedWinAmount）
     // --------------------------------------------------------------------
 
+    pendingRoundWin += winAmount;  // v1.6.1: Round Win 累積（BASE 與 FREE 皆計入）
+    if (isNewMaxWin(result.maxSpinWin, winAmount)) {
+      // v1.6.18: 單次 spin 的最大贏分
+      result.maxSpinWin = {
+        win: winAmount,
+        baseSpin: baseSpins,
+        spinIndex: globalSpinIndex,
+        seed: mathSeed,
+        state: previousState,
+        outcomeId: outcome.id
+      };
+    }
+
     // 根據 Spin 時的狀態（previousState）進行統計
-    if (previousState === STATE.BASE) {
+    if (fsm.isInitialState(previousState)) {
       result.baseGameWin += winAmount;
+      result.baseScatterWin += scatterWinAmount;  // v1.6.23
       // Hit Rate: 僅計算 Base Game 中 Win > 0 的次數（Feature Trigger 不計入）
-      if (outcome.type === 'WIN' && winAmount > 0) {
+      // v1.6.23: WIN_AND_FEATURE 有派彩，計入
+      if ((outcome.type === 'WIN' || outcome.type === 'WIN_AND_FEATURE') && winAmount > 0) {
         baseHitCount++;
       }
       result.baseOutcomeDistribution[outcome.id].count++;
@@ -525,22 +1275,70 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
       if (tracker) {
         if (tracker.lastOccurredBaseIndex === null) {
           // 第一次出現: 僅初始化
+          tracker.firstOccurredBaseIndex = baseSpins;
           tracker.lastOccurredBaseIndex = baseSpins;
         } else {
           // 第二次及之後: 記錄 Gap
           const gap = baseSpins - tracker.lastOccurredBaseIndex;
-          tracker.gaps.push(gap);
+          tracker.gapCounts[gap] = (tracker.gapCounts[gap] || 0) + 1;
           tracker.lastOccurredBaseIndex = baseSpins;
         }
       }
-    } else if (previousState === STATE.FREE) {
+    } else {
       result.featureWin += winAmount;
+      result.featureScatterWin += scatterWinAmount;  // v1.6.23
       result.freeOutcomeDistribution[outcome.id].count++;
+      // v1.6.13: Feature spin 歸入觸發它的等級
+      if (currentTriggerTier !== null) {
+        result.triggerAwardStats[currentTriggerTier].freeGameSpins++;
+        result.triggerAwardStats[currentTriggerTier].featureWin += winAmount;
+      }
+      // v1.6.14: 依套用的倍數統計
+      if (featureMultiplier.isEnabled() && previousState === MULTIPLIER_STATE) {
+        const multiplierStats = result.multiplierStats[spinMultiplier] || { spins: 0, featureWin: 0 };
+        multiplierStats.spins++;
+        multiplierStats.featureWin += winAmount;
+        result.multiplierStats[spinMultiplier] = multiplierStats;
+      }
+    }
+
+    // v1.6.12: Feature 長度（回到 initialState 時記錄一次完整 Feature 的 spin 數）
+    // v1.6.18: 完整 Feature 的總贏分（回到 initialState 時與最大紀錄比較）
+    // v1.6.19: Feature Round 統計（總贏分直方圖、outcome 次數、featureRoundSink）
+    if (!fsm.isInitialState(previousState)) {
+      featureSpinsPlayed++;
+      featureRoundWin += winAmount;
+      featureRoundOutcomes[outcome.id] = (featureRoundOutcomes[outcome.id] || 0) + 1;
+      if (fsm.isInitialState()) {
+        result.featureLengthCounts[featureSpinsPlayed] = (result.featureLengthCounts[featureSpinsPlayed] || 0) + 1;
+        if (isNewMaxWin(result.maxFeatureWin, featureRoundWin)) {
+          result.maxFeatureWin = { win: featureRoundWin, baseSpin: baseSpins, spinIndex: featureStartSpinIndex, seed: mathSeed };
+        }
+        result.featureRoundWinCounts[featureRoundWin] = (result.featureRoundWinCounts[featureRoundWin] || 0) + 1;
+        Object.keys(featureRoundOutcomes).forEach(outcomeId => {
+          result.featureRoundOutcomeCounts[outcomeId] = (result.featureRoundOutcomeCounts[outcomeId] || 0) + featureRoundOutcomes[outcomeId];
+        });
+        featureRoundIndex++;
+        if (featureRoundSink) {
+          featureRoundSink.write({
+            roundIndex: featureRoundIndex,
+            baseSpinIndex: baseSpins,
+            triggerSpinIndex: featureStartSpinIndex,
+            triggerOutcomeId: featureTriggerOutcomeId,
+            spins: featureSpinsPlayed,
+            retriggers: featureRoundRetriggers,
+            totalWin: featureRoundWin,
+            winMultiple: baseBet > 0 ? featureRoundWin / baseBet : 0,
+            outcomeCounts: featureRoundOutcomes
+          });
+        }
+        featureSpinsPlayed = 0;
+      }
     }
 
     // v1.5.2: 記錄 spin 後的狀態（用於 telemetry）
-    const stateAfter = currentState;
-    const freeRemainingAfter = freeSpinsRemaining;
+    const stateAfter = fsm.currentState;
+    const freeRemainingAfter = fsm.spinsRemaining;
     
     // v1.5.2: 從 scatter layer 獲取 telemetry
     const scatterTelemetry = patternResult.scatterTelemetry || {
@@ -559,7 +1357,8 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
       count: 0,
       guardApplied: false,
       attemptsUsed: 0,
-      fallbackUsed: false
+      fallbackUsed: false,
+      symbols: {}
     };
     const anyPosActualCount = anyPositionTelemetry.count;
     const anyPosGuardApplied = anyPositionTelemetry.guardApplied;
@@ -567,11 +1366,19 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     const anyPosFallbackUsed = anyPositionTelemetry.fallbackUsed;
     
     // v1.5.3: 從 outcome 獲取 any-position 目標資訊
-    const anyPosSymbolId = outcome.winCondition && outcome.winCondition.type === 'ANY_POSITION'
-      ? outcome.winCondition.symbolId
-      : '';
-    const anyPosTargetCount = outcome.winCondition && outcome.winCondition.type === 'ANY_POSITION'
-      ? outcome.winCondition.targetCount
+    // v1.6.8: 包含 winConditions 中的 ANY_POSITION 條件
+    // v1.6.24: anyPosSymbolId / anyPosTargetCount 只記錄第一個條件，所有條件記錄於 anyPosConditionsJson
+    const anyPosConditions = getWinConditions(outcome).filter(c => c.type === 'ANY_POSITION');
+    const anyPosCondition = anyPosConditions[0];
+    const anyPosSymbolId = anyPosCondition ? anyPosCondition.symbolId : '';
+    const anyPosTargetCount = anyPosCondition ? anyPosCondition.targetCount : '';
+    const anyPosSymbolCounts = anyPositionTelemetry.symbols || {};
+    const anyPosConditionsJson = anyPosConditions.length > 0
+      ? JSON.stringify(anyPosConditions.map(c => ({
+          symbolId: c.symbolId,
+          targetCount: c.targetCount,
+          actualCount: anyPosSymbolCounts[c.symbolId] !== undefined ? anyPosSymbolCounts[c.symbolId] : 0
+        })))
       : '';
     
     // v1.5.3: 更新 winConditionType（如果為 ANY_POSITION）
@@ -580,12 +1387,12 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
       : (patternResult.winConditionType || null);
     
     // v1.1: Spin Logging (CSV Data Source)
-    if (spinLog) {
-      const baseSpinIndex = previousState === STATE.BASE 
+    if (spinLog || csvSink) {
+      const baseSpinIndex = fsm.isInitialState(previousState)
         ? baseSpins 
         : currentParentBaseSpin;  // FREE 狀態使用觸發的 Base Spin
       
-      const triggeredFeatureId = outcome.type === 'FEATURE' 
+      const triggeredFeatureId = isFeatureOutcome(outcome)
         ? outcome.id 
         : '';
       
@@ -617,7 +1424,7 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
         ? JSON.stringify(winEvents)
         : '';
       
-      spinLog.push({
+      const logEntry = {
         globalSpinIndex: globalSpinIndex,
         baseSpinIndex: baseSpinIndex,
         state: previousState,
@@ -668,25 +1475,49 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
         anyPosActualCount: anyPosActualCount,
         anyPosGuardApplied: anyPosGuardApplied,
         anyPosAttemptsUsed: anyPosAttemptsUsed,
-        anyPosFallbackUsed: anyPosFallbackUsed
-      });
+        anyPosFallbackUsed: anyPosFallbackUsed,
+        // v1.6.10: Rule Set Telemetry
+        ruleSet: stateEngine.ruleSet,
+        // v1.6.14: Free Game 倍數（未套用時為 1）
+        multiplier: spinMultiplier,
+        // v1.6.24: 所有 ANY_POSITION 條件（JSON 字串）
+        anyPosConditionsJson: anyPosConditionsJson
+      };
+
+      // v1.6.5: 有 csvSink 時逐 spin 寫出（不保留在記憶體）
+      if (csvSink) {
+        csvSink.write(logEntry);
+      } else {
+        spinLog.push(logEntry);
+      }
     }
 
     // --------------------------------------------------------------------
     // 6.6 記錄詳細資訊（用於輸出）
     // --------------------------------------------------------------------
-    if (spinDetails.length < 20) {
+    if (spinDetails.length < SPIN_DETAILS_LIMIT) {
       spinDetails.push({
-        baseSpin: previousState === STATE.BASE ? baseSpins : null,
+        baseSpin: fsm.isInitialState(previousState) ? baseSpins : null,
         state: previousState,
         outcome: outcome,
         patternResult: patternResult,  // v1.2: 改用 patternResult (包含 grid 和 winLine)
         winAmount: winAmount,
-        stateAfter: currentState,
-        freeSpinsRemaining: freeSpinsRemaining,
+        multiplier: spinMultiplier,  // v1.6.14
+        stateAfter: stateAfter,
+        freeSpinsRemaining: freeRemainingAfter,
         stateChanged: stateChanged
       });
     }
+
+    // --------------------------------------------------------------------
+    // v1.6.6: 週期性 checkpoint（每 interval 次 Base Spin，於該 spin 結束後寫入）
+    // --------------------------------------------------------------------
+    if (checkpointInterval !== null &&
+        fsm.isInitialState(previousState) &&
+        baseSpins % checkpointInterval === 0 &&
+        baseSpins < targetBaseSpins) {
+      writeCheckpoint();
+    }
   }
 
   // ========================================================================
@@ -694,11 +1525,19 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   // ========================================================================
   // Core Spec v1.0.1: 使用顯式計數器設定 freeGameSpins
   result.freeGameSpins = freeGameSpinsCount;  // 必須等於 Triggers * freeSpinCount
+  result.baseGameSpins = baseSpins;  // v1.6.16: onRoundSettled 提前停止時少於 targetBaseSpins
   result.calculateDerivedMetrics();
   result.hitRate = result.baseGameSpins > 0 
     ? (baseHitCount / result.baseGameSpins) * 100 
     : 0;
 
+  // v1.6.1: 結算最後一個 Round 並計算信賴區間
+  if (pendingRoundWin !== null) {
+    settleRound();
+  }
+  result.baseHitCount = baseHitCount;
+  result.calculateConfidenceMetrics();
+
   // 計算 Outcome Distribution 的百分比
   Object.keys(result.baseOutcomeDistribution).forEach(outcomeId => {
     const count = result.baseOutcomeDistribution[outcomeId].count;
@@ -715,11 +1554,17 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   // v1.1: 計算 Gap 統計
   Object.keys(gapTrackers).forEach(outcomeId => {
     const tracker = gapTrackers[outcomeId];
-    const gaps = tracker.gaps;
-    const metrics = calculateGapMetrics(gaps);
+    const metrics = calculateGapMetricsFromCounts(tracker.gapCounts);
     result.baseOutcomeDistribution[outcomeId].avgGap = metrics.avgGap;
     result.baseOutcomeDistribution[outcomeId].medianGap = metrics.medianGap;
     result.baseOutcomeDistribution[outcomeId].maxGap = metrics.maxGap;
+
+    // v1.6.4: 保留 gap 直方圖（用於 SimulationResult.merge）
+    result.gapSummaries[outcomeId] = {
+      gapCounts: tracker.gapCounts,
+      firstOccurredBaseIndex: tracker.firstOccurredBaseIndex,
+      lastOccurredBaseIndex: tracker.lastOccurredBaseIndex
+    };
   });
 
   // ========================================================================
@@ -727,7 +1572,8 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
   // ========================================================================
   // 如果沒有提供 customReporter，使用內建輸出
   if (typeof customReporter === 'undefined') {
-    printSimulationResults(result, config, spinDetails, stateTransitions, targetBaseSpins, baseBet);
+    printSimulationResults(result, config, spinDetails, stateTransitions, targetBaseSpins, baseBet,
+      omittedStateTransitions + stateTransitions.length);
   }
 
   // 返回完整資料（包含詳細資訊）
@@ -736,6 +1582,7 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
     config: config,
     spinDetails: spinDetails,
     stateTransitions: stateTransitions,
+    stateTransitionCount: omittedStateTransitions + stateTransitions.length,  // v1.6.6: 含續跑前未保存的切換
     targetBaseSpins: targetBaseSpins,
     baseBet: baseBet,
     spinLog: spinLog  // v1.1: CSV 資料來源
@@ -746,10 +1593,26 @@ function simulate(configPath, targetBaseSpins = 10000, customBet = null, customR
 // Output Formatter
 // ============================================================================
 
+/**
+ * v1.6.4: 輸出模擬開始訊息（parallel 模式由 main thread 呼叫一次）
+ */
+function printSimulationBanner(config, targetBaseSpins, baseBet) {
+  console.log('='.repeat(60));
+  console.log('Slot Game Core Spec v1.2 - 模擬開始 (Pattern Resolver Layer)');
+  console.log('='.repeat(60));
+  console.log(`模擬目標: ${targetBaseSpins} 次 Base Game Spins`);
+  console.log(`Base Bet: ${baseBet} (來自 betConfig.baseBet)`);
+  console.log(`Free Spin 次數: ${config.featureConfig.freeSpinCount}`);
+  console.log('說明: Free Game 為 Base Game 的延伸結果，不佔用模擬次數額度');
+  console.log('='.repeat(60));
+  console.log('');
+}
+
 /**
  * 輸出模擬結果
  */
-function printSimulationResults(result, config, spinDetails, stateTransitions, targetBaseSpins, baseBet) {
+function printSimulationResults(result, config, spinDetails, stateTransitions, targetBaseSpins, baseBet,
+  stateTransitionCount = stateTransitions.length) {
   // v1.2: 此函式已被 reporter.js 取代，保留僅作為備用
   // 輸出前 20 次的詳細結果
   console.log('前 20 次模擬 Spin 詳細結果:');
@@ -786,7 +1649,7 @@ function printSimulationResults(result, config, spinDetails, stateTransitions, t
   if (stateTransitions.length > 0) {
     console.log('狀態切換摘要:');
     console.log('-'.repeat(60));
-    stateTransitions.slice(0, 10).forEach(transition => {
+    stateTransitions.slice(0, REPORTED_STATE_TRANSITIONS).forEach(transition => {
       if (transition.trigger) {
         console.log(
           `Base Spin #${transition.baseSpin}: ${transition.from} -> ${transition.to} ` +
@@ -798,8 +1661,8 @@ function printSimulationResults(result, config, spinDetails, stateTransitions, t
         );
       }
     });
-    if (stateTransitions.length > 10) {
-      console.log(`... 還有 ${stateTransitions.length - 10} 次狀態切換`);
+    if (stateTransitionCount > REPORTED_STATE_TRANSITIONS) {
+      console.log(`... 還有 ${stateTransitionCount - REPORTED_STATE_TRANSITIONS} 次狀態切換`);
     }
     console.log('');
   }
@@ -825,6 +1688,10 @@ function printSimulationResults(result, config, spinDetails, stateTransitions, t
   console.log(`Total Win: ${result.totalWin}`);
   console.log(`  - Base Game Win: ${result.baseGameWin}`);
   console.log(`  - Feature Win: ${result.featureWin}`);
+  if (result.scatterPayCount > 0) {
+    // v1.6.23: Scatter 派彩（已包含在上方贏分中）
+    console.log(`  - Scatter Pay: ${result.baseScatterWin + result.featureScatterWin} (Base ${result.baseScatterWin} / Feature ${result.featureScatterWin}, ${result.scatterPayCount} spins)`);
+  }
   console.log('');
   console.log(`RTP 計算公式: Total Win / Total Base Bet`);
   console.log(`RTP: ${result.rtp.toFixed(2)}%`);
@@ -885,7 +1752,9 @@ module.exports = {
   simulate,
   STATE,
   SimulationResult,
-  selectOutcome
+  selectOutcome,
+  printSimulationBanner,  // v1.6.4: parallel 模式使用
+  MAX_WIN_FIELDS  // v1.6.18: parallel 模式使用
   // v1.2: selectPattern 已移除，改用 PatternResolver
   // v1.2.1: RNG 已移至獨立模組 logic/rng.js
 };
@@ -0,0 +1,329 @@
+/**
+ * v1.6.1: Statistical Helpers（信賴區間與收斂判定）
+ *
+ * 核心原則：
+ * - 以一次 Base Spin 為抽樣單位（Feature Win 歸入觸發它的 Base Spin），與 RTP 定義一致
+ * - 使用 Welford 線上演算法累積變異數（O(1) 記憶體，不保留逐 spin 陣列）
+ * - 純計算模組，不消耗 RNG
+ */
+
+// 常態分布雙尾臨界值
+const Z_SCORES = {
+  95: 1.959963984540054,
+  99: 2.5758293035489004
+};
+
+// 預設 RTP 收斂容許誤差（百分點）
+const DEFAULT_RTP_TOLERANCE = 0.5;
+
+/**
+ * 線上統計累積器（Welford's algorithm）
+ */
+class RunningStats {
+  constructor() {
+    this.count = 0;
+    this.mean = 0;
+    this.m2 = 0;  // 與平均值差的平方和
+  }
+
+  /**
+   * 加入一個樣本
+   * @param {number} value - 樣本值
+   */
+  push(value) {
+    this.count++;
+    const delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (value - this.mean);
+  }
+
+  /**
+   * 樣本變異數（n - 1）
+   */
+  get variance() {
+    return this.count > 1 ? this.m2 / (this.count - 1) : 0;
+  }
+
+  get stdDev() {
+    return Math.sqrt(this.variance);
+  }
+
+  /**
+   * v1.6.4: 合併另一個累積器（Chan et al. parallel algorithm）
+   * 合併順序固定時結果可重現
+   * @param {RunningStats} other - 另一個累積器
+   */
+  merge(other) {
+    if (other.count === 0) {
+      return;
+    }
+    if (this.count === 0) {
+      this.count = other.count;
+      this.mean = other.mean;
+      this.m2 = other.m2;
+      return;
+    }
+    const count = this.count + other.count;
+    const delta = other.mean - this.mean;
+    this.mean += delta * other.count / count;
+    this.m2 += other.m2 + delta * delta * this.count * other.count / count;
+    this.count = count;
+  }
+
+  /**
+   * v1.6.4: 序列化（worker 之間傳遞）
+   */
+  toJSON() {
+    return { count: this.count, mean: this.mean, m2: this.m2 };
+  }
+
+  static fromJSON(data) {
+    const stats = new RunningStats();
+    stats.count = data.count;
+    stats.mean = data.mean;
+    stats.m2 = data.m2;
+    return stats;
+  }
+}
+
+/**
+ * v1.6.17: 贏分分布區間（以 bet 倍數表示，下限含、上限不含；第一個區間只含 0）
+ */
+const WIN_DISTRIBUTION_BUCKETS = [
+  { label: '0x', min: 0, max: 0 },
+  { label: '0-1x', min: 0, max: 1 },
+  { label: '1-2x', min: 1, max: 2 },
+  { label: '2-5x', min: 2, max: 5 },
+  { label: '5-10x', min: 5, max: 10 },
+  { label: '10-20x', min: 10, max: 20 },
+  { label: '20-50x', min: 20, max: 50 },
+  { label: '50-100x', min: 50, max: 100 },
+  { label: '100-250x', min: 100, max: 250 },
+  { label: '250-500x', min: 250, max: 500 },
+  { label: '500-1000x', min: 500, max: 1000 },
+  { label: '1000x+', min: 1000, max: Infinity }
+];
+
+/**
+ * v1.6.17: 波動度分級（Round Win 標準差，以 bet 倍數表示；σ < max 即屬該級）
+ */
+const VOLATILITY_CLASSES = [
+  { label: 'LOW', max: 5 },
+  { label: 'MEDIUM', max: 10 },
+  { label: 'HIGH', max: 20 },
+  { label: 'VERY_HIGH', max: Infinity }
+];
+
+/**
+ * v1.6.17: 贏分所屬的分布區間
+ * @param {number} winInBets - 贏分（bet 倍數）
+ * @returns {number} WIN_DISTRIBUTION_BUCKETS 的索引
+ */
+function winBucketIndex(winInBets) {
+  if (winInBets <= 0) {
+    return 0;
+  }
+  for (let i = 1; i < WIN_DISTRIBUTION_BUCKETS.length; i++) {
+    if (winInBets < WIN_DISTRIBUTION_BUCKETS[i].max) {
+      return i;
+    }
+  }
+  return WIN_DISTRIBUTION_BUCKETS.length - 1;
+}
+
+/**
+ * v1.6.17: 贏分分布累積器（每個區間的次數與贏分）
+ */
+class WinDistribution {
+  constructor() {
+    this.counts = WIN_DISTRIBUTION_BUCKETS.map(() => 0);
+    this.wins = WIN_DISTRIBUTION_BUCKETS.map(() => 0);
+  }
+
+  /**
+   * 加入一個樣本
+   * @param {number} win - 贏分
+   * @param {number} bet - 下注金額
+   */
+  push(win, bet) {
+    const index = winBucketIndex(bet > 0 ? win / bet : 0);
+    this.counts[index]++;
+    this.wins[index] += win;
+  }
+
+  get count() {
+    return this.counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * 合併另一個累積器
+   * @param {WinDistribution} other - 另一個累積器
+   */
+  merge(other) {
+    other.counts.forEach((count, index) => {
+      this.counts[index] += count;
+      this.wins[index] += other.wins[index];
+    });
+  }
+
+  toJSON() {
+    return { counts: this.counts.slice(), wins: this.wins.slice() };
+  }
+
+  static fromJSON(data) {
+    const distribution = new WinDistribution();
+    distribution.counts = data.counts.slice();
+    distribution.wins = data.wins.slice();
+    return distribution;
+  }
+}
+
+/**
+ * v1.6.17: 波動度分級
+ * @param {number} stdDevInBets - Round Win 標準差（bet 倍數）
+ * @returns {string} VOLATILITY_CLASSES 的 label
+ */
+function classifyVolatility(stdDevInBets) {
+  return VOLATILITY_CLASSES.find(volatilityClass => stdDevInBets < volatilityClass.max).label;
+}
+
+/**
+ * v1.6.19: 直方圖的百分位數（nearest-rank）
+ * @param {Object} counts - { value: count }
+ * @param {number} percentile - 0 ~ 100
+ * @returns {number} 無樣本時為 0
+ */
+function histogramPercentile(counts, percentile) {
+  const values = Object.keys(counts).map(Number).sort((a, b) => a - b);
+  const total = values.reduce((sum, value) => sum + counts[value], 0);
+  if (total === 0) {
+    return 0;
+  }
+  const rank = Math.max(1, Math.ceil(percentile / 100 * total));
+  let cumulative = 0;
+  for (const value of values) {
+    cumulative += counts[value];
+    if (cumulative >= rank) {
+      return value;
+    }
+  }
+  return values[values.length - 1];
+}
+
+/**
+ * 平均值的信賴區間
+ * @param {number} mean - 樣本平均
+ * @param {number} stdDev - 樣本標準差
+ * @param {number} n - 樣本數
+ * @param {number} level - 信賴水準（95 或 99）
+ * @returns {Object} { level, lower, upper, halfWidth }
+ */
+function meanInterval(mean, stdDev, n, level) {
+  const z = Z_SCORES[level];
+  if (z === undefined) {
+    throw new Error(`不支援的信賴水準: ${level}`);
+  }
+  const halfWidth = n > 0 ? z * stdDev / Math.sqrt(n) : 0;
+  return { level, lower: mean - halfWidth, upper: mean + halfWidth, halfWidth };
+}
+
+/**
+ * 比例的信賴區間（常態近似，下限截斷於 0、上限截斷於 1）
+ * @param {number} successes - 成功次數
+ * @param {number} n - 樣本數
+ * @param {number} level - 信賴水準（95 或 99）
+ * @returns {Object} { level, lower, upper, halfWidth }
+ */
+function proportionInterval(successes, n, level) {
+  const p = n > 0 ? successes / n : 0;
+  const stdDev = Math.sqrt(p * (1 - p));
+  const interval = meanInterval(p, stdDev, n, level);
+  interval.lower = Math.max(0, interval.lower);
+  interval.upper = Math.min(1, interval.upper);
+  return interval;
+}
+
+/**
+ * 將區間轉換為百分比
+ */
+function _toPercent(interval, scale) {
+  return {
+    level: interval.level,
+    lower: interval.lower * scale,
+    upper: interval.upper * scale,
+    halfWidth: interval.halfWidth * scale
+  };
+}
+
+/**
+ * 計算 RTP / Hit Rate / Trigger Frequency 的 95% 與 99% 信賴區間
+ *
+ * @param {RunningStats} roundWinStats - 每次 Base Spin 的 Round Win 統計
+ * @param {number} bet - 下注金額
+ * @param {number} baseGameSpins - Base Spin 次數
+ * @param {number} hitCount - Base Win > 0 的次數
+ * @param {number} triggerCount - Free Game 觸發次數
+ * @returns {Object} { rtp, hitRate, triggerFrequency }，每項為 { 95: interval, 99: interval }（百分比）
+ */
+function calculateConfidenceIntervals(roundWinStats, bet, baseGameSpins, hitCount, triggerCount) {
+  const rtpScale = bet > 0 ? 100 / bet : 0;
+  const intervals = { rtp: {}, hitRate: {}, triggerFrequency: {} };
+
+  Object.keys(Z_SCORES).forEach(level => {
+    const lv = Number(level);
+    intervals.rtp[lv] = _toPercent(
+      meanInterval(roundWinStats.mean, roundWinStats.stdDev, roundWinStats.count, lv),
+      rtpScale
+    );
+    intervals.hitRate[lv] = _toPercent(proportionInterval(hitCount, baseGameSpins, lv), 100);
+    intervals.triggerFrequency[lv] = _toPercent(proportionInterval(triggerCount, baseGameSpins, lv), 100);
+  });
+
+  return intervals;
+}
+
+/**
+ * RTP 收斂判定
+ *
+ * 判定標準：95% 信賴區間半寬 <= tolerance（百分點）
+ * 所需 Base Spins：n = (z95 * σ / (tolerance% * bet))²
+ *
+ * @param {RunningStats} roundWinStats - 每次 Base Spin 的 Round Win 統計
+ * @param {number} bet - 下注金額
+ * @param {number} tolerance - 容許誤差（RTP 百分點，例如 0.5 代表 ±0.5%）
+ * @returns {Object} { tolerance, halfWidth, converged, requiredSpins, additionalSpins }
+ */
+function assessConvergence(roundWinStats, bet, tolerance = DEFAULT_RTP_TOLERANCE) {
+  if (!(tolerance > 0)) {
+    throw new Error(`tolerance 必須為正數: ${tolerance}`);
+  }
+
+  const n = roundWinStats.count;
+  const stdDevInBets = bet > 0 ? roundWinStats.stdDev / bet : 0;
+  const halfWidth = n > 0 ? Z_SCORES[95] * stdDevInBets / Math.sqrt(n) * 100 : Infinity;
+  const requiredSpins = Math.ceil(Math.pow(Z_SCORES[95] * stdDevInBets / (tolerance / 100), 2));
+
+  return {
+    tolerance: tolerance,
+    halfWidth: halfWidth,
+    converged: n > 1 && halfWidth <= tolerance,
+    requiredSpins: requiredSpins,
+    additionalSpins: Math.max(0, requiredSpins - n)
+  };
+}
+
+module.exports = {
+  RunningStats,
+  WinDistribution,
+  WIN_DISTRIBUTION_BUCKETS,
+  VOLATILITY_CLASSES,
+  winBucketIndex,
+  classifyVolatility,
+  histogramPercentile,
+  Z_SCORES,
+  DEFAULT_RTP_TOLERANCE,
+  meanInterval,
+  proportionInterval,
+  calculateConfidenceIntervals,
+  assessConvergence
+};
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.0 Acceptance Test: Theoretical RTP Calculator
+ *
+ * 必驗項目：
+ * 1. 手算設定檔：RTP / Variance / Hit Rate / Trigger Frequency 與解析解完全一致
+ * 2. 每個 Outcome 的 RTP 貢獻加總 == 總 RTP
+ * 3. calculateTheory 不消耗 RNG、不修改 config（純函式）
+ * 4. Monte Carlo 結果落在理論值的 4σ 範圍內（design.json）
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { simulate } = require('../../simulate');
+const { calculateTheory } = require('../../theory');
+
+// 測試配置
+const TEST_SEED = 2024;
+const TEST_SPINS = 20000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+const EPSILON = 1e-9;
+
+/**
+ * 手算用的最小設定檔
+ *
+ * BASE: WIN(2x) 25%, FEATURE 25%, LOSS 50%
+ * FREE: WIN(4x) 50%, LOSS 50%，freeSpinCount = 2
+ *
+ * X 的分布（bet = 1）：
+ * - 2  (p = 0.25)
+ * - 0  (p = 0.5 + 0.25 * 0.25)
+ * - 4  (p = 0.25 * 0.5)
+ * - 8  (p = 0.25 * 0.25)
+ * E[X]  = 0.5 + 0.5 + 0.5 = 1.5
+ * E[X²] = 1 + 2 + 4 = 7
+ * Var   = 7 - 2.25 = 4.75
+ */
+function buildHandConfig() {
+  return {
+    betConfig: { baseBet: 1 },
+    featureConfig: { freeSpinCount: 2 },
+    outcomeTables: {
+      BASE: {
+        outcomes: [
+          { id: 'WIN', weight: 1, payoutMultiplier: 2, type: 'WIN' },
+          { id: 'TRIGGER', weight: 1, payoutMultiplier: 0, type: 'FEATURE' },
+          { id: 'LOSS', weight: 2, payoutMultiplier: 0, type: 'LOSS' }
+        ]
+      },
+      FREE: {
+        outcomes: [
+          { id: 'FREE_WIN', weight: 1, payoutMultiplier: 4, type: 'WIN' },
+          { id: 'FREE_LOSS', weight: 1, payoutMultiplier: 0, type: 'LOSS' }
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * 測試 1: 手算設定檔與解析解一致
+ */
+function test1_HandComputedConfig() {
+  console.log('📋 Test 1: 手算設定檔與解析解一致');
+
+  const theory = calculateTheory(buildHandConfig());
+  const checks = [
+    { name: 'rtp', actual: theory.rtp, expected: 150 },
+    { name: 'baseRtp', actual: theory.baseRtp, expected: 50 },
+    { name: 'featureRtp', actual: theory.featureRtp, expected: 100 },
+    { name: 'variance', actual: theory.variance, expected: 4.75 },
+    { name: 'hitRate', actual: theory.hitRate, expected: 25 },
+    { name: 'triggerFrequency', actual: theory.triggerFrequency, expected: 25 }
+  ];
+
+  const failed = checks.filter(c => Math.abs(c.actual - c.expected) > EPSILON);
+  if (failed.length > 0) {
+    failed.forEach(c => {
+      console.error(`❌ FAIL: ${c.name} expected=${c.expected}, actual=${c.actual}`);
+    });
+    return false;
+  }
+
+  console.log('✅ PASS: RTP=150%, Variance=4.75, HitRate=25%, TriggerRate=25%');
+  return true;
+}
+
+/**
+ * 測試 2: RTP 貢獻加總 == 總 RTP
+ */
+function test2_ContributionsSumToRtp() {
+  console.log('📋 Test 2: RTP 貢獻加總 == 總 RTP');
+
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  const theory = calculateTheory(config);
+  const sum = [...theory.baseContributions, ...theory.freeContributions]
+    .reduce((acc, row) => acc + row.rtpContribution, 0);
+
+  if (Math.abs(sum - theory.rtp) > 1e-6) {
+    console.error(`❌ FAIL: 貢獻加總 ${sum} != RTP ${theory.rtp}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: 貢獻加總 = ${sum.toFixed(4)}% = RTP`);
+  return true;
+}
+
+/**
+ * 測試 3: calculateTheory 不修改 config
+ */
+function test3_PureFunction() {
+  console.log('📋 Test 3: calculateTheory 不修改 config');
+
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  const before = JSON.stringify(config);
+  const theory1 = calculateTheory(config);
+  const theory2 = calculateTheory(config);
+
+  if (JSON.stringify(config) !== before) {
+    console.error('❌ FAIL: config 被修改');
+    return false;
+  }
+  if (JSON.stringify(theory1) !== JSON.stringify(theory2)) {
+    console.error('❌ FAIL: 兩次計算結果不一致');
+    return false;
+  }
+
+  console.log('✅ PASS: config 未被修改，結果可重現');
+  return true;
+}
+
+/**
+ * 測試 4: Monte Carlo 落在理論值 4σ 範圍內
+ */
+function test4_MonteCarloAgreement() {
+  console.log('📋 Test 4: Monte Carlo 落在理論值 4σ 範圍內');
+
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  const theory = calculateTheory(config);
+  const simulationData = simulate(CONFIG_PATH, TEST_SPINS, null, true, false, null, TEST_SEED);
+  const result = simulationData.result;
+
+  // RTP 標準誤差（百分比）
+  const rtpSe = (theory.stdDev / Math.sqrt(TEST_SPINS)) * 100;
+  const rtpDiff = Math.abs(result.rtp - theory.rtp);
+
+  // Hit Rate 標準誤差（二項分布，百分比）
+  const p = theory.hitRate / 100;
+  const hitSe = Math.sqrt(p * (1 - p) / TEST_SPINS) * 100;
+  const hitDiff = Math.abs(result.hitRate - theory.hitRate);
+
+  if (rtpDiff > 4 * rtpSe) {
+    console.error(`❌ FAIL: RTP 模擬=${result.rtp.toFixed(2)}%, 理論=${theory.rtp.toFixed(2)}%, 4σ=${(4 * rtpSe).toFixed(2)}%`);
+    return false;
+  }
+  if (hitDiff > 4 * hitSe) {
+    console.error(`❌ FAIL: Hit Rate 模擬=${result.hitRate.toFixed(2)}%, 理論=${theory.hitRate.toFixed(2)}%, 4σ=${(4 * hitSe).toFixed(2)}%`);
+    return false;
+  }
+
+  console.log(`✅ PASS: RTP 差異 ${rtpDiff.toFixed(2)}% (4σ=${(4 * rtpSe).toFixed(2)}%), Hit Rate 差異 ${hitDiff.toFixed(2)}% (4σ=${(4 * hitSe).toFixed(2)}%)`);
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.0 Acceptance Test: Theoretical RTP Calculator');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Hand Computed Config', fn: test1_HandComputedConfig },
+    { name: 'Test 2: Contributions Sum To RTP', fn: test2_ContributionsSumToRtp },
+    { name: 'Test 3: Pure Function', fn: test3_PureFunction },
+    { name: 'Test 4: Monte Carlo Agreement', fn: test4_MonteCarloAgreement }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_HandComputedConfig,
+  test2_ContributionsSumToRtp,
+  test3_PureFunction,
+  test4_MonteCarloAgreement
+};
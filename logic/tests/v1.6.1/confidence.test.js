@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.1 Acceptance Test: Confidence Intervals & Convergence
+ *
+ * 必驗項目：
+ * 1. RunningStats（Welford）與兩段式計算結果一致
+ * 2. roundWinStats：樣本數 == baseGameSpins，總和 == totalWin（Feature Win 歸入觸發的 Base Spin）
+ * 3. roundWinStats 與 spinLog 依 baseSpinIndex 分組重算的變異數一致
+ * 4. 收斂判定：requiredSpins 公式正確，放寬 tolerance 後判定為已收斂
+ */
+
+const path = require('path');
+const { simulate } = require('../../simulate');
+const { RunningStats, Z_SCORES, proportionInterval, assessConvergence } = require('../../stats');
+
+// 測試配置
+const TEST_SEED = 31415;
+const TEST_SPINS = 3000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+const EPSILON = 1e-6;
+
+/**
+ * 兩段式樣本變異數（對照用）
+ */
+function twoPassVariance(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const sq = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+  return { mean, variance: sq / (values.length - 1) };
+}
+
+/**
+ * 測試 1: RunningStats 與兩段式計算一致
+ */
+function test1_RunningStatsMatchesTwoPass() {
+  console.log('📋 Test 1: RunningStats 與兩段式計算一致');
+
+  const values = [0, 0, 2, 5, 0, 100, 0, 1, 15, 0, 0, 150];
+  const stats = new RunningStats();
+  values.forEach(v => stats.push(v));
+  const expected = twoPassVariance(values);
+
+  if (stats.count !== values.length ||
+      Math.abs(stats.mean - expected.mean) > EPSILON ||
+      Math.abs(stats.variance - expected.variance) > EPSILON) {
+    console.error(`❌ FAIL: mean=${stats.mean}/${expected.mean}, variance=${stats.variance}/${expected.variance}`);
+    return false;
+  }
+
+  // 比例區間：p = 0.5, n = 100 → 半寬 = z * 0.05
+  const interval = proportionInterval(50, 100, 95);
+  if (Math.abs(interval.halfWidth - Z_SCORES[95] * 0.05) > EPSILON) {
+    console.error(`❌ FAIL: proportionInterval halfWidth=${interval.halfWidth}`);
+    return false;
+  }
+
+  console.log('✅ PASS: mean / variance / 比例區間一致');
+  return true;
+}
+
+/**
+ * 測試 2 & 3 共用：執行一次模擬
+ */
+let cachedSimulation = null;
+function runSimulation() {
+  if (!cachedSimulation) {
+    cachedSimulation = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, null, TEST_SEED);
+  }
+  return cachedSimulation;
+}
+
+/**
+ * 測試 2: roundWinStats 總和與樣本數
+ */
+function test2_RoundWinTotals() {
+  console.log('📋 Test 2: roundWinStats 樣本數與總和');
+
+  const { result } = runSimulation();
+  const stats = result.roundWinStats;
+  const sum = stats.mean * stats.count;
+
+  if (stats.count !== result.baseGameSpins) {
+    console.error(`❌ FAIL: count=${stats.count}, baseGameSpins=${result.baseGameSpins}`);
+    return false;
+  }
+  if (Math.abs(sum - result.totalWin) > EPSILON * Math.max(1, result.totalWin)) {
+    console.error(`❌ FAIL: sum=${sum}, totalWin=${result.totalWin}`);
+    return false;
+  }
+
+  // RTP 95% CI 中心必須等於 RTP
+  const ci = result.confidenceIntervals.rtp[95];
+  const center = (ci.lower + ci.upper) / 2;
+  if (Math.abs(center - result.rtp) > EPSILON) {
+    console.error(`❌ FAIL: RTP CI center=${center}, rtp=${result.rtp}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: count=${stats.count}, sum=${sum.toFixed(0)}=totalWin, RTP 95% CI ±${ci.halfWidth.toFixed(2)}%`);
+  return true;
+}
+
+/**
+ * 測試 3: 與 spinLog 分組重算一致
+ */
+function test3_MatchesSpinLogGrouping() {
+  console.log('📋 Test 3: roundWinStats 與 spinLog 分組重算一致');
+
+  const { result, spinLog } = runSimulation();
+  const rounds = new Map();
+  spinLog.forEach(entry => {
+    rounds.set(entry.baseSpinIndex, (rounds.get(entry.baseSpinIndex) || 0) + entry.winAmount);
+  });
+  const expected = twoPassVariance([...rounds.values()]);
+
+  if (rounds.size !== result.roundWinStats.count ||
+      Math.abs(result.roundWinStats.variance - expected.variance) > EPSILON * Math.max(1, expected.variance)) {
+    console.error(`❌ FAIL: rounds=${rounds.size}, variance=${result.roundWinStats.variance}/${expected.variance}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ${rounds.size} rounds, variance=${expected.variance.toFixed(4)}`);
+  return true;
+}
+
+/**
+ * 測試 4: 收斂判定
+ */
+function test4_Convergence() {
+  console.log('📋 Test 4: 收斂判定');
+
+  const { result } = runSimulation();
+  const bet = result.totalBaseBet / result.baseGameSpins;
+  const tight = assessConvergence(result.roundWinStats, bet, 0.5);
+  const expectedRequired = Math.ceil(Math.pow(Z_SCORES[95] * (result.roundWinStats.stdDev / bet) / 0.005, 2));
+
+  if (tight.requiredSpins !== expectedRequired || tight.converged) {
+    console.error(`❌ FAIL: requiredSpins=${tight.requiredSpins}/${expectedRequired}, converged=${tight.converged}`);
+    return false;
+  }
+  if (tight.additionalSpins !== tight.requiredSpins - result.baseGameSpins) {
+    console.error(`❌ FAIL: additionalSpins=${tight.additionalSpins}`);
+    return false;
+  }
+
+  const loose = assessConvergence(result.roundWinStats, bet, tight.halfWidth + 0.01);
+  if (!loose.converged || loose.additionalSpins !== 0) {
+    console.error(`❌ FAIL: loose tolerance 應判定為已收斂`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ±0.5% 需要 ${tight.requiredSpins} spins；±${loose.tolerance.toFixed(2)}% 已收斂`);
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.1 Acceptance Test: Confidence Intervals & Convergence');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: RunningStats Matches Two-Pass', fn: test1_RunningStatsMatchesTwoPass },
+    { name: 'Test 2: Round Win Totals', fn: test2_RoundWinTotals },
+    { name: 'Test 3: Matches SpinLog Grouping', fn: test3_MatchesSpinLogGrouping },
+    { name: 'Test 4: Convergence', fn: test4_Convergence }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_RunningStatsMatchesTwoPass,
+  test2_RoundWinTotals,
+  test3_MatchesSpinLogGrouping,
+  test4_Convergence
+};
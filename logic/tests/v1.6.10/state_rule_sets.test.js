@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.10 Acceptance Test: Per-State Rule Sets（gameRules.FREE）
+ *
+ * 必驗項目：
+ * 1. 每個 spin 記錄 ruleSet；gameRules.FREE 與 BASE 相同時結果與 fallback（無 gameRules.FREE）一致
+ * 2. FREE 使用自己的 grid / paylines（4x5），中獎事件出現在 BASE 沒有的第 4 列
+ * 3. FREE 的 evaluationMode / paytable 獨立於 BASE，validateStrict 全數一致
+ * 4. Validator：FREE payline 超出 grid、FREE evaluationMode 不支援、FREE paytable 與 outcomes 不一致時回報錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * FREE 改為 4x5 grid：4 條橫線 + 1 條斜線，MULTI 模式，獨立 paytable（FREE outcomes 的賠率）
+ */
+function loadFreeRuleSetConfig() {
+  const config = loadConfig();
+  const rows = [0, 1, 2, 3];
+  const cols = [0, 1, 2, 3, 4];
+  config.gameRules.FREE = {
+    grid: { rows: 4, cols: 5 },
+    winCondition: 'payline',
+    paylines: rows.map(row => cols.map(col => [row, col]))
+      .concat([[[0, 0], [1, 1], [2, 2], [3, 3], [3, 4]]]),
+    evaluationMode: 'MULTI',
+    paytable: {
+      LINE: { H1: { 3: 15, 4: 50, 5: 150 }, L1: { 3: 5 } },
+      ANY_POSITION: { A1: { 5: 15 } }
+    }
+  };
+  config.paytable = {
+    LINE: { H1: { 3: 5, 4: 20, 5: 100 }, L1: { 3: 2 } },
+    ANY_POSITION: { A1: { 5: 10 } }
+  };
+  return config;
+}
+
+function runSimulation(config) {
+  return simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, { quiet: true });
+}
+
+/**
+ * 測試 1: ruleSet telemetry 與 fallback 一致性
+ */
+function test1_RuleSetTelemetry() {
+  console.log('📋 Test 1: ruleSet telemetry；相同的 gameRules.FREE 與 fallback 結果一致');
+
+  const ownLog = runSimulation(loadConfig()).spinLog;
+  const fallbackConfig = loadConfig();
+  delete fallbackConfig.gameRules.FREE;
+  const fallbackLog = runSimulation(fallbackConfig).spinLog;
+
+  if (ownLog.length !== fallbackLog.length) {
+    console.error(`❌ FAIL: spin 數不同（${ownLog.length} vs ${fallbackLog.length}）`);
+    return false;
+  }
+  for (let i = 0; i < ownLog.length; i++) {
+    const own = ownLog[i];
+    const fallback = fallbackLog[i];
+    if (own.ruleSet !== own.state || fallback.ruleSet !== 'BASE') {
+      console.error(`❌ FAIL: spin ${i} ruleSet 錯誤（state=${own.state}, own=${own.ruleSet}, fallback=${fallback.ruleSet}）`);
+      return false;
+    }
+    if (own.outcomeId !== fallback.outcomeId || own.eventsJson !== fallback.eventsJson) {
+      console.error(`❌ FAIL: spin ${i} 結果與 fallback 不同`);
+      return false;
+    }
+  }
+
+  const freeSpins = ownLog.filter(entry => entry.state === 'FREE').length;
+  if (freeSpins === 0) {
+    console.error('❌ FAIL: 沒有 FREE spin');
+    return false;
+  }
+
+  console.log(`✅ PASS: ${ownLog.length} spins 一致（${freeSpins} 次 FREE spin 使用 ruleSet=FREE）`);
+  return true;
+}
+
+/**
+ * 測試 2: FREE 使用自己的 grid / paylines
+ */
+function test2_FreeGridAndPaylines() {
+  console.log('📋 Test 2: FREE 使用自己的 4x5 grid 與 paylines');
+
+  const spinLog = runSimulation(loadFreeRuleSetConfig()).spinLog;
+  let bottomRowEvents = 0;
+
+  for (const entry of spinLog) {
+    const events = entry.eventsJson ? JSON.parse(entry.eventsJson) : [];
+    for (const event of events) {
+      const maxRow = Math.max(...event.positions.map(([row]) => row));
+      if (entry.state === 'BASE' && maxRow > 2) {
+        console.error(`❌ FAIL: BASE spin ${entry.globalSpinIndex} 出現第 4 列的事件`);
+        return false;
+      }
+      if (entry.state === 'FREE' && maxRow === 3) {
+        bottomRowEvents++;
+      }
+    }
+  }
+
+  if (bottomRowEvents === 0) {
+    console.error('❌ FAIL: FREE spin 沒有任何第 4 列的中獎事件');
+    return false;
+  }
+
+  console.log(`✅ PASS: FREE 共 ${bottomRowEvents} 個事件位於第 4 列`);
+  return true;
+}
+
+/**
+ * 測試 3: FREE 的 evaluationMode / paytable 獨立
+ */
+function test3_FreeEvaluatorSettings() {
+  console.log('📋 Test 3: FREE 的 evaluationMode / paytable 獨立於 BASE，validateStrict 全數一致');
+
+  const config = loadFreeRuleSetConfig();
+  const bet = config.betConfig.baseBet;
+  const spinLog = runSimulation(config).spinLog;
+
+  const mismatch = spinLog.find(entry => entry.evaluationMatch !== true);
+  if (mismatch) {
+    console.error(`❌ FAIL: spin ${mismatch.globalSpinIndex} (${mismatch.outcomeId}) 不一致: ${mismatch.eventsJson}`);
+    return false;
+  }
+
+  const freeMediumWin = spinLog.find(entry => entry.outcomeId === 'FREE_MEDIUM_WIN');
+  const baseMediumWin = spinLog.find(entry => entry.outcomeId === 'MEDIUM_WIN');
+  if (!freeMediumWin || !baseMediumWin ||
+      freeMediumWin.winAmount !== 15 * bet || baseMediumWin.winAmount !== 5 * bet) {
+    console.error('❌ FAIL: H1 x3 在 BASE / FREE 應分別依各自的 paytable 派彩 5 / 15 倍');
+    return false;
+  }
+
+  console.log('✅ PASS: BASE / FREE 各自依 paytable 派彩');
+  return true;
+}
+
+/**
+ * 測試 4: Validator
+ */
+function test4_ValidatorErrors() {
+  console.log('📋 Test 4: Validator 回報 gameRules.FREE 錯誤');
+
+  const cases = [
+    {
+      name: 'FREE payline 超出 grid',
+      mutate: config => { config.gameRules.FREE.paylines.push([[4, 0], [4, 1], [4, 2], [4, 3], [4, 4]]); },
+      expected: '超出 grid 範圍'
+    },
+    {
+      name: 'FREE evaluationMode 不支援',
+      mutate: config => { config.gameRules.FREE.evaluationMode = 'ALL'; },
+      expected: 'gameRules.FREE.evaluationMode'
+    },
+    {
+      name: 'FREE paytable 與 FREE outcomes 不一致',
+      mutate: config => { config.gameRules.FREE.paytable.LINE.H1['3'] = 5; },
+      expected: 'FREE 狀態中的 Outcome "FREE_MEDIUM_WIN"'
+    }
+  ];
+
+  const configPath = path.join(os.tmpdir(), `v1.6.10_${process.pid}_config.json`);
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadFreeRuleSetConfig()), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadFreeRuleSetConfig();
+      testCase.mutate(config);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.10 Acceptance Test: Per-State Rule Sets');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Rule Set Telemetry', fn: test1_RuleSetTelemetry },
+    { name: 'Test 2: Free Grid And Paylines', fn: test2_FreeGridAndPaylines },
+    { name: 'Test 3: Free Evaluator Settings', fn: test3_FreeEvaluatorSettings },
+    { name: 'Test 4: Validator Errors', fn: test4_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_RuleSetTelemetry,
+  test2_FreeGridAndPaylines,
+  test3_FreeEvaluatorSettings,
+  test4_ValidatorErrors
+};
@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.11 Acceptance Test: Data-Driven FSM Engine（fsmConfig.transitions）
+ *
+ * 必驗項目：
+ * 1. 預設狀態機（無 fsmConfig）與 design.json 的 fsmConfig 結果完全一致，Free Spins = Triggers × freeSpinCount
+ * 2. 新增 SUPER_FREE 狀態（FREE 中的 FEATURE Outcome 以 fsmEvent 觸發），不修改模擬迴圈即可執行
+ * 3. spinCounters / transition.spins 決定進入 Feature 狀態時的次數
+ * 4. FsmEngine：STRICT 狀態檢查、checkpoint 狀態還原（相容 v1.6.6 的 freeSpinsRemaining）
+ * 5. Validator：未知狀態、缺少 endEvent transition、缺少 outcome table、FEATURE 沒有 transition 時回報錯誤
+ * 6. 理論值只涵蓋 BASE / FREE：含 SUPER_FREE 時報表與 --theory 顯示警告，printReport 略過理論值對照
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { validateConfig } = require('../../validator');
+const { FsmEngine, DEFAULT_FSM_CONFIG } = require('../../fsm');
+const { calculateTheory } = require('../../theory');
+const { printReport, printTheoryReport } = require('../../reporter');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const SUPER_FREE_SPINS = 5;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * FREE 中以 SUPER_TRIGGER 進入 SUPER_FREE（5 spins），結束後回到 BASE
+ */
+function loadSuperFreeConfig() {
+  const config = loadConfig();
+  config.fsmConfig.states.push('SUPER_FREE');
+  config.fsmConfig.transitions.push(
+    { from: 'FREE', on: 'TRIGGER_SUPER_FREE', to: 'SUPER_FREE' },
+    { from: 'SUPER_FREE', on: 'SUPER_FREE_SPINS_END', to: 'BASE' }
+  );
+  config.fsmConfig.spinCounters = { SUPER_FREE: { spins: SUPER_FREE_SPINS } };
+  config.outcomeTables.SUPER_FREE = {
+    outcomes: config.outcomeTables.FREE.outcomes.map(outcome => ({ ...outcome, id: `SUPER_${outcome.id}` }))
+  };
+  config.outcomeTables.FREE.outcomes.push({
+    id: 'SUPER_TRIGGER',
+    weight: 25,
+    payoutMultiplier: 0,
+    type: 'FEATURE',
+    fsmEvent: 'TRIGGER_SUPER_FREE'
+  });
+  return config;
+}
+
+function runSimulation(config) {
+  return simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, { quiet: true });
+}
+
+/**
+ * 測試 1: 預設狀態機與 design.json 一致
+ */
+function test1_DefaultFsmUnchanged() {
+  console.log('📋 Test 1: 無 fsmConfig 時使用預設狀態機，結果與 design.json 一致');
+
+  const own = runSimulation(loadConfig());
+  const defaultConfig = loadConfig();
+  delete defaultConfig.fsmConfig;
+  const fallback = runSimulation(defaultConfig);
+
+  const serialize = log => log.map(entry =>
+    `${entry.state}|${entry.stateAfter}|${entry.freeRemainingAfter}|${entry.outcomeId}|${entry.winAmount}`
+  ).join('\n');
+  if (serialize(own.spinLog) !== serialize(fallback.spinLog)) {
+    console.error('❌ FAIL: 預設狀態機的結果與 design.json 的 fsmConfig 不同');
+    return false;
+  }
+
+  const freeSpinCount = loadConfig().featureConfig.freeSpinCount;
+  const { result } = own;
+  if (result.triggerCount === 0 || result.freeGameSpins !== result.triggerCount * freeSpinCount) {
+    console.error(`❌ FAIL: Free Spins (${result.freeGameSpins}) 不等於 ${result.triggerCount} × ${freeSpinCount}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ${own.spinLog.length} spins 一致，${result.triggerCount} 次觸發 × ${freeSpinCount} = ${result.freeGameSpins}`);
+  return true;
+}
+
+/**
+ * 測試 2: SUPER_FREE 狀態
+ */
+function test2_SuperFreeState() {
+  console.log('📋 Test 2: FREE 中的 SUPER_TRIGGER 進入 SUPER_FREE，5 spins 後回到 BASE');
+
+  const { spinLog, result, stateTransitions } = runSimulation(loadSuperFreeConfig());
+  let superFeatures = 0;
+
+  for (let i = 0; i < spinLog.length; i++) {
+    const entry = spinLog[i];
+    if (entry.outcomeId !== 'SUPER_TRIGGER') {
+      continue;
+    }
+    if (entry.state !== 'FREE' || entry.stateAfter !== 'SUPER_FREE' || entry.freeRemainingAfter !== SUPER_FREE_SPINS) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 觸發後狀態錯誤（${entry.state} -> ${entry.stateAfter}, remaining=${entry.freeRemainingAfter}）`);
+      return false;
+    }
+    const feature = spinLog.slice(i + 1, i + 1 + SUPER_FREE_SPINS);
+    if (feature.length < SUPER_FREE_SPINS) {
+      continue;  // 模擬在 Feature 中結束
+    }
+    const invalid = feature.find(spin => spin.state !== 'SUPER_FREE' || !spin.outcomeId.startsWith('SUPER_'));
+    if (invalid) {
+      console.error(`❌ FAIL: spin ${invalid.globalSpinIndex} 應為 SUPER_FREE（state=${invalid.state}, outcome=${invalid.outcomeId}）`);
+      return false;
+    }
+    if (feature[SUPER_FREE_SPINS - 1].stateAfter !== 'BASE') {
+      console.error(`❌ FAIL: SUPER_FREE 第 ${SUPER_FREE_SPINS} 次 spin 後未回到 BASE`);
+      return false;
+    }
+    superFeatures++;
+  }
+
+  if (superFeatures === 0) {
+    console.error('❌ FAIL: 沒有任何 SUPER_FREE Feature');
+    return false;
+  }
+  if (!stateTransitions.some(t => t.from === 'SUPER_FREE' && t.to === 'BASE')) {
+    console.error('❌ FAIL: stateTransitions 缺少 SUPER_FREE -> BASE');
+    return false;
+  }
+  if (result.freeOutcomeDistribution.SUPER_FREE_LOSS.count === 0) {
+    console.error('❌ FAIL: SUPER_FREE 的 outcomes 未計入 free 分布');
+    return false;
+  }
+
+  console.log(`✅ PASS: ${superFeatures} 次 SUPER_FREE Feature，每次 ${SUPER_FREE_SPINS} spins`);
+  return true;
+}
+
+/**
+ * 測試 3: spinCounters / transition.spins
+ */
+function test3_SpinCounters() {
+  console.log('📋 Test 3: spinCounters 與 transition.spins 決定 Feature 次數');
+
+  const cases = [
+    {
+      name: 'spinCounters.FREE.spins = 4',
+      spins: 4,
+      mutate: config => { config.fsmConfig.spinCounters = { FREE: { spins: 4 } }; }
+    },
+    {
+      name: 'transition.spins = 3（優先於 spinCounters）',
+      spins: 3,
+      mutate: config => {
+        config.fsmConfig.spinCounters = { FREE: { spins: 4 } };
+        config.fsmConfig.transitions[0].spins = 3;
+      }
+    }
+  ];
+
+  for (const testCase of cases) {
+    const config = loadConfig();
+    testCase.mutate(config);
+    const { result, stateTransitions } = runSimulation(config);
+    const triggers = stateTransitions.filter(t => t.trigger);
+    // 最後一個 Feature 可能在模擬結束時尚未完成
+    const completed = stateTransitions.filter(t => t.from === 'FREE' && t.to === 'BASE').length;
+    const expectedMin = completed * testCase.spins;
+    if (triggers.length === 0 || triggers.some(t => t.freeSpinsRemaining !== testCase.spins) ||
+        result.freeGameSpins < expectedMin || result.freeGameSpins > triggers.length * testCase.spins) {
+      console.error(`❌ FAIL: ${testCase.name}: Free Spins=${result.freeGameSpins}, triggers=${triggers.length}`);
+      return false;
+    }
+    console.log(`   ${testCase.name}: ${triggers.length} 次觸發，Free Spins=${result.freeGameSpins}`);
+  }
+
+  console.log('✅ PASS: Feature 次數依設定');
+  return true;
+}
+
+/**
+ * 測試 4: FsmEngine
+ */
+function test4_FsmEngine() {
+  console.log('📋 Test 4: FsmEngine 轉換、STRICT 檢查與狀態還原');
+
+  const fsm = new FsmEngine(DEFAULT_FSM_CONFIG, { freeSpinCount: 2 });
+  const trigger = fsm.fire('TRIGGER_FREE');
+  if (trigger.to !== 'FREE' || fsm.spinsRemaining !== 2 || fsm.completeSpin() !== null) {
+    console.error('❌ FAIL: TRIGGER_FREE 後應進入 FREE 並設定 2 spins');
+    return false;
+  }
+  const end = fsm.completeSpin();
+  if (!end || end.event !== 'FREE_SPINS_END' || fsm.currentState !== 'BASE' || fsm.spinsRemaining !== 0) {
+    console.error('❌ FAIL: 計數器歸零後應觸發 FREE_SPINS_END 回到 BASE');
+    return false;
+  }
+
+  fsm.setState({ currentState: 'FREE', freeSpinsRemaining: 0 });
+  let strictError = null;
+  try {
+    fsm.assertConsistent();
+  } catch (error) {
+    strictError = error.message;
+  }
+  if (!strictError || !strictError.includes('Invalid state: FREE')) {
+    console.error('❌ FAIL: FREE 且 spinsRemaining=0 應拋出 STRICT 錯誤');
+    return false;
+  }
+
+  fsm.setState({ currentState: 'FREE', freeSpinsRemaining: 7 });
+  const state = fsm.getState();
+  if (state.currentState !== 'FREE' || state.spinsRemaining !== 7) {
+    console.error('❌ FAIL: 無法還原 v1.6.6 checkpoint 的 freeSpinsRemaining');
+    return false;
+  }
+
+  console.log('✅ PASS: FsmEngine 行為正確');
+  return true;
+}
+
+/**
+ * 測試 5: Validator
+ */
+function test5_ValidatorErrors() {
+  console.log('📋 Test 5: Validator 回報 fsmConfig 錯誤');
+
+  const cases = [
+    {
+      name: 'transition 指向未知狀態',
+      mutate: config => { config.fsmConfig.transitions.push({ from: 'FREE', on: 'TRIGGER_BONUS', to: 'BONUS_PICK' }); },
+      expected: 'fsmConfig.transitions[4]'
+    },
+    {
+      name: 'Feature 狀態缺少 endEvent transition',
+      mutate: config => { config.fsmConfig.transitions = config.fsmConfig.transitions.filter(t => t.from !== 'SUPER_FREE'); },
+      expected: 'SUPER_FREE_SPINS_END'
+    },
+    {
+      name: '狀態缺少 outcome table',
+      mutate: config => { delete config.outcomeTables.SUPER_FREE; },
+      expected: 'SUPER_FREE 狀態缺少 outcomes'
+    },
+    {
+      name: 'FEATURE Outcome 沒有 transition',
+      mutate: config => { delete config.outcomeTables.FREE.outcomes.find(o => o.id === 'SUPER_TRIGGER').fsmEvent; },
+      expected: '禁止 retrigger'
+    }
+  ];
+
+  const configPath = path.join(os.tmpdir(), `v1.6.11_${process.pid}_config.json`);
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadSuperFreeConfig()), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadSuperFreeConfig();
+      testCase.mutate(config);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 收集 console.log 輸出
+ */
+function captureOutput(fn) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 測試 6: 理論值未涵蓋的 FSM 狀態
+ */
+function test6_TheoryUnmodeledStates() {
+  console.log('📋 Test 6: 含 SUPER_FREE 時理論值顯示警告，printReport 略過理論值對照');
+
+  if (calculateTheory(loadConfig()).unmodeledStates.length !== 0) {
+    console.error('❌ FAIL: design.json 不應有未建模的狀態');
+    return false;
+  }
+
+  const config = loadSuperFreeConfig();
+  const theory = calculateTheory(config);
+  if (theory.unmodeledStates.join(',') !== 'SUPER_FREE') {
+    console.error(`❌ FAIL: unmodeledStates = ${JSON.stringify(theory.unmodeledStates)}，預期 ["SUPER_FREE"]`);
+    return false;
+  }
+
+  const { result, spinDetails, stateTransitions } = runSimulation(config);
+  const report = captureOutput(() => printReport(result, config, spinDetails, stateTransitions, TEST_SPINS, CONFIG_PATH));
+  const theoryReport = captureOutput(() => printTheoryReport(theory, config, CONFIG_PATH));
+
+  if (!report.includes('理論值未涵蓋 fsmConfig 狀態: SUPER_FREE') || !theoryReport.includes('理論值未涵蓋 fsmConfig 狀態: SUPER_FREE')) {
+    console.error('❌ FAIL: 報表缺少未建模狀態的警告');
+    return false;
+  }
+  const comparisons = ['(模擬: ', '99% CI 內', '(理論: '].filter(text => report.includes(text));
+  if (comparisons.length > 0) {
+    console.error(`❌ FAIL: 報表仍包含理論值對照: ${comparisons.join(', ')}`);
+    return false;
+  }
+
+  console.log('✅ PASS: 未建模狀態顯示警告，略過理論值對照');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.11 Acceptance Test: Data-Driven FSM Engine');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Default FSM Unchanged', fn: test1_DefaultFsmUnchanged },
+    { name: 'Test 2: Super Free State', fn: test2_SuperFreeState },
+    { name: 'Test 3: Spin Counters', fn: test3_SpinCounters },
+    { name: 'Test 4: FSM Engine', fn: test4_FsmEngine },
+    { name: 'Test 5: Validator Errors', fn: test5_ValidatorErrors },
+    { name: 'Test 6: Theory Unmodeled States', fn: test6_TheoryUnmodeledStates }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_DefaultFsmUnchanged,
+  test2_SuperFreeState,
+  test3_SpinCounters,
+  test4_FsmEngine,
+  test5_ValidatorErrors,
+  test6_TheoryUnmodeledStates
+};
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.12 Acceptance Test: Free Spin Retrigger
+ *
+ * 必驗項目：
+ * 1. FREE 的 FEATURE Outcome 增加 retrigger.spins 次、不切換狀態；Scatter 數量等於 retrigger.scatterCount
+ * 2. maxTotalSpins / maxRetriggers 上限：Feature 長度不超過上限，Free Game Spins = Trigger × N + Retrigger Spins
+ *    （最後一次 Feature 可能在達到目標 Base Spins 時尚未結束，扣除未進行的次數）
+ * 3. 理論值：無上限的解析解與（上限極寬的）動態規劃一致；期望 Feature 長度與模擬相符
+ * 4. Checkpoint 續跑與不中斷執行一致（retrigger 計數、Feature 長度分布）
+ * 5. Validator：retrigger 設定錯誤、Scatter 設定不支援 FREE 時回報錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { calculateTheory } = require('../../theory');
+const { loadCheckpoint } = require('../../checkpoint');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 20000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function tmpPath(name) {
+  return path.join(os.tmpdir(), `v1.6.12_${process.pid}_${name}`);
+}
+
+/**
+ * FREE 加入 retrigger outcome（FEATURE，無派彩），Scatter 觸發狀態含 FREE
+ */
+function loadRetriggerConfig(retrigger) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.outcomeTables.FREE.outcomes.push({
+    id: 'FREE_RETRIGGER',
+    weight: 25,
+    payoutMultiplier: 0,
+    type: 'FEATURE'
+  });
+  config.featureConfig.retrigger = Object.assign({ spins: 5 }, retrigger);
+  config.scatterConfig.trigger.states = ['BASE', 'FREE'];
+  return config;
+}
+
+function runSimulation(config, spins, csvEnabled, extraOptions = {}) {
+  return simulate(CONFIG_PATH, spins, null, true, csvEnabled, config, TEST_SEED,
+    Object.assign({ quiet: true }, extraOptions));
+}
+
+/**
+ * 測試 1: Retrigger 增加次數與 Scatter 數量
+ */
+function test1_RetriggerAwardsAndScatter() {
+  console.log('📋 Test 1: Retrigger 增加 spins、不切換狀態，Scatter 數量等於 scatterCount');
+
+  const cases = [
+    { retrigger: { scatterCount: 4 }, expectedScatter: 4 },
+    { retrigger: {}, expectedScatter: 3 }  // 未設定 scatterCount 時沿用 trigger.minCount
+  ];
+
+  for (const c of cases) {
+    const simulationData = runSimulation(loadRetriggerConfig(c.retrigger), 3000, true);
+    const retriggers = simulationData.spinLog.filter(entry => entry.outcomeId === 'FREE_RETRIGGER');
+    if (retriggers.length === 0) {
+      console.error('❌ FAIL: 沒有任何 retrigger');
+      return false;
+    }
+
+    for (const entry of retriggers) {
+      const previous = simulationData.spinLog[simulationData.spinLog.indexOf(entry) - 1];
+      if (entry.state !== 'FREE' || entry.stateAfter !== 'FREE') {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} retrigger 不應切換狀態（${entry.state} → ${entry.stateAfter}）`);
+        return false;
+      }
+      if (entry.scatterCount !== c.expectedScatter) {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} Scatter 數量 ${entry.scatterCount}，應為 ${c.expectedScatter}`);
+        return false;
+      }
+      if (entry.freeRemainingAfter !== previous.freeRemainingAfter - 1 + 5) {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 剩餘次數 ${previous.freeRemainingAfter} → ${entry.freeRemainingAfter}，應增加 5 次`);
+        return false;
+      }
+    }
+
+    const transitions = simulationData.stateTransitions.filter(t => t.retrigger);
+    if (transitions.length !== retriggers.length || transitions.some(t => t.from !== 'FREE' || t.to !== 'FREE')) {
+      console.error('❌ FAIL: stateTransitions 的 retrigger 紀錄不正確');
+      return false;
+    }
+    console.log(`   scatterCount=${c.expectedScatter}: ${retriggers.length} 次 retrigger`);
+  }
+
+  console.log('✅ PASS: Retrigger 增加次數與 Scatter 數量正確');
+  return true;
+}
+
+/**
+ * 測試 2: 上限與 Free Game Spins 守恆
+ */
+function test2_CapsAndSpinAccounting() {
+  console.log('📋 Test 2: maxTotalSpins / maxRetriggers 上限，Free Game Spins = Trigger × N + Retrigger Spins');
+
+  const cases = [
+    { retrigger: { maxTotalSpins: 18 }, maxLength: 18 },
+    { retrigger: { maxRetriggers: 1 }, maxLength: 15 },
+    { retrigger: {}, maxLength: Infinity }
+  ];
+
+  for (const c of cases) {
+    const config = loadRetriggerConfig(c.retrigger);
+    const simulationData = runSimulation(config, TEST_SPINS, true);
+    const result = simulationData.result;
+    const freeSpinCount = config.featureConfig.freeSpinCount;
+
+    // 最後一次 Feature 未結束時：未進行的次數與已進行的次數
+    const last = simulationData.spinLog[simulationData.spinLog.length - 1];
+    const unfinished = last.stateAfter === 'FREE';
+    const unplayedSpins = unfinished ? last.freeRemainingAfter : 0;
+    if (result.freeGameSpins + unplayedSpins !== result.triggerCount * freeSpinCount + result.retriggerSpins) {
+      console.error(`❌ FAIL: ${JSON.stringify(c.retrigger)} Free Game Spins ${result.freeGameSpins} + ${unplayedSpins} (未進行) ≠ ${result.triggerCount} × ${freeSpinCount} + ${result.retriggerSpins}`);
+      return false;
+    }
+
+    const lengths = Object.keys(result.featureLengthCounts).map(Number);
+    const featureCount = lengths.reduce((sum, len) => sum + result.featureLengthCounts[len], 0);
+    const totalLength = lengths.reduce((sum, len) => sum + len * result.featureLengthCounts[len], 0);
+    const playedInUnfinished = simulationData.spinLog.length -
+      simulationData.spinLog.map(entry => entry.state).lastIndexOf('BASE') - 1;
+    if (featureCount !== result.triggerCount - (unfinished ? 1 : 0) ||
+        totalLength + playedInUnfinished !== result.freeGameSpins) {
+      console.error(`❌ FAIL: ${JSON.stringify(c.retrigger)} Feature 長度分布與 Trigger Count / Free Game Spins 不一致`);
+      return false;
+    }
+    if (Math.max(...lengths) > c.maxLength) {
+      console.error(`❌ FAIL: ${JSON.stringify(c.retrigger)} Feature 長度 ${Math.max(...lengths)} 超過上限 ${c.maxLength}`);
+      return false;
+    }
+    if (c.maxLength !== Infinity && result.retriggerCappedCount === 0) {
+      console.error(`❌ FAIL: ${JSON.stringify(c.retrigger)} 未發生任何受上限截斷的 retrigger`);
+      return false;
+    }
+    if (c.maxLength === Infinity && result.retriggerCappedCount !== 0) {
+      console.error('❌ FAIL: 無上限時不應有受截斷的 retrigger');
+      return false;
+    }
+
+    console.log(`   ${JSON.stringify(c.retrigger)}: ${result.triggerCount} features, ${result.retriggerCount} retriggers (capped ${result.retriggerCappedCount}), 最長 ${Math.max(...lengths)} spins`);
+  }
+
+  console.log('✅ PASS: 上限與 spin 守恆正確');
+  return true;
+}
+
+/**
+ * 測試 3: 理論值
+ */
+function test3_TheoryMatchesSimulation() {
+  console.log('📋 Test 3: Retrigger 理論值（解析解 vs 動態規劃 vs 模擬）');
+
+  const uncapped = calculateTheory(loadRetriggerConfig({}), 1);
+  // 上限極寬：動態規劃應收斂到無上限的解析解
+  const wideCap = calculateTheory(loadRetriggerConfig({ maxRetriggers: 80 }), 1);
+  if (Math.abs(uncapped.expectedFeatureSpins - wideCap.expectedFeatureSpins) > 1e-6 ||
+      Math.abs(uncapped.rtp - wideCap.rtp) > 1e-6 ||
+      Math.abs(uncapped.variance - wideCap.variance) > 1e-4) {
+    console.error(`❌ FAIL: 解析解與動態規劃不一致（E[N] ${uncapped.expectedFeatureSpins} vs ${wideCap.expectedFeatureSpins}, RTP ${uncapped.rtp} vs ${wideCap.rtp}）`);
+    return false;
+  }
+
+  const noRetrigger = calculateTheory(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')), 1);
+  if (noRetrigger.expectedFeatureSpins !== noRetrigger.freeSpinCount) {
+    console.error('❌ FAIL: 未設定 retrigger 時期望 Feature 長度應等於 freeSpinCount');
+    return false;
+  }
+
+  for (const retrigger of [{}, { maxTotalSpins: 18 }, { maxRetriggers: 1 }]) {
+    const config = loadRetriggerConfig(retrigger);
+    const theory = calculateTheory(config, config.betConfig.baseBet);
+    const result = runSimulation(config, TEST_SPINS, false).result;
+    const simulatedLength = result.freeGameSpins / result.triggerCount;
+    // 每次 Feature 的長度變異有限，20000 spins 約 400 次 Feature → 容許 10%
+    if (Math.abs(simulatedLength - theory.expectedFeatureSpins) / theory.expectedFeatureSpins > 0.1) {
+      console.error(`❌ FAIL: ${JSON.stringify(retrigger)} 期望 Feature 長度 ${theory.expectedFeatureSpins.toFixed(3)}，模擬 ${simulatedLength.toFixed(3)}`);
+      return false;
+    }
+    if (Math.abs(result.retriggerFrequency - theory.retriggerFrequency) > 1.5) {
+      console.error(`❌ FAIL: ${JSON.stringify(retrigger)} Retrigger Rate 理論 ${theory.retriggerFrequency.toFixed(2)}%，模擬 ${result.retriggerFrequency.toFixed(2)}%`);
+      return false;
+    }
+    console.log(`   ${JSON.stringify(retrigger)}: E[N] 理論 ${theory.expectedFeatureSpins.toFixed(3)}，模擬 ${simulatedLength.toFixed(3)}`);
+  }
+
+  console.log('✅ PASS: 理論值與模擬一致');
+  return true;
+}
+
+/**
+ * 測試 4: Checkpoint 續跑
+ */
+function test4_CheckpointResume() {
+  console.log('📋 Test 4: Checkpoint 續跑與不中斷執行一致');
+
+  const ckptPath = tmpPath('run.ckpt');
+  const spins = 5000;
+  try {
+    const config = loadRetriggerConfig({ maxTotalSpins: 18 });
+    const full = runSimulation(config, spins, false);
+    runSimulation(config, spins, false, { checkpoint: { path: ckptPath, interval: 2000 } });
+    const checkpoint = loadCheckpoint(ckptPath);
+    const resumed = runSimulation(config, spins, false, { resume: checkpoint });
+
+    // checkpoint 只保存前幾筆 stateTransitions，續跑結果為這幾筆 + 續跑後的切換
+    const expectedTransitions = full.stateTransitions.slice(0, checkpoint.stateTransitions.length)
+      .concat(full.stateTransitions.slice(checkpoint.stateTransitionCount));
+    if (JSON.stringify(full.result) !== JSON.stringify(resumed.result) ||
+        JSON.stringify(expectedTransitions) !== JSON.stringify(resumed.stateTransitions) ||
+        resumed.stateTransitionCount !== full.stateTransitions.length) {
+      console.error('❌ FAIL: 續跑結果不一致');
+      return false;
+    }
+    if (full.result.retriggerCount === 0) {
+      console.error('❌ FAIL: 沒有任何 retrigger');
+      return false;
+    }
+  } finally {
+    if (fs.existsSync(ckptPath)) fs.unlinkSync(ckptPath);
+  }
+
+  console.log('✅ PASS: 續跑結果一致');
+  return true;
+}
+
+/**
+ * 測試 5: Validator
+ */
+function test5_ValidatorErrors() {
+  console.log('📋 Test 5: Validator 回報 retrigger 設定錯誤');
+
+  const cases = [
+    {
+      name: 'retrigger.spins 非正整數',
+      mutate: config => { config.featureConfig.retrigger.spins = 0; },
+      expected: 'featureConfig.retrigger.spins'
+    },
+    {
+      name: 'maxTotalSpins 小於初始次數',
+      mutate: config => { config.featureConfig.retrigger.maxTotalSpins = 5; },
+      expected: 'maxTotalSpins 不得小於'
+    },
+    {
+      name: 'scatterCount 超過 placement.maxCount',
+      mutate: config => { config.featureConfig.retrigger.scatterCount = 6; },
+      expected: 'scatterCount'
+    },
+    {
+      name: 'Scatter 觸發狀態未包含 FREE',
+      mutate: config => { config.scatterConfig.trigger.states = ['BASE']; },
+      expected: 'scatterConfig.trigger.states'
+    },
+    {
+      name: '未設定 retrigger 時 FREE 出現 FEATURE Outcome',
+      mutate: config => { delete config.featureConfig.retrigger; },
+      expected: 'FREE_RETRIGGER'
+    }
+  ];
+
+  const configPath = tmpPath('config.json');
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadRetriggerConfig({ maxTotalSpins: 30, maxRetriggers: 3 })), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadRetriggerConfig({});
+      testCase.mutate(config);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.12 Acceptance Test: Free Spin Retrigger');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Retrigger Awards And Scatter', fn: test1_RetriggerAwardsAndScatter },
+    { name: 'Test 2: Caps And Spin Accounting', fn: test2_CapsAndSpinAccounting },
+    { name: 'Test 3: Theory Matches Simulation', fn: test3_TheoryMatchesSimulation },
+    { name: 'Test 4: Checkpoint Resume', fn: test4_CheckpointResume },
+    { name: 'Test 5: Validator Errors', fn: test5_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_RetriggerAwardsAndScatter,
+  test2_CapsAndSpinAccounting,
+  test3_TheoryMatchesSimulation,
+  test4_CheckpointResume,
+  test5_ValidatorErrors
+};
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.13 Acceptance Test: Scatter Trigger Awards（scatterConfig.trigger.awards）
+ *
+ * 必驗項目：
+ * 1. 觸發 spin 的 Scatter 數量等於該 outcome 的等級，進入 FREE 的次數等於該等級的 spins
+ * 2. triggerAwardStats 加總等於 Trigger Count / Free Game Spins / Feature Win；SimulationResult.merge 加總等級統計
+ * 3. 理論值：單一等級（spins = freeSpinCount）與未設定 awards 一致；各等級 Trigger Rate 與模擬相符
+ * 4. Validator：awards 格式、featureId、Scatter 數量錯誤時回報
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { calculateTheory } = require('../../theory');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 20000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+const TIER_SCATTER = {
+  FREE_GAME_TRIGGER: 3,
+  FREE_GAME_TRIGGER_4: 4,
+  FREE_GAME_TRIGGER_5: 5
+};
+const TIER_SPINS = {
+  FREE_GAME_TRIGGER: 8,
+  FREE_GAME_TRIGGER_4: 12,
+  FREE_GAME_TRIGGER_5: 20
+};
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * 3 / 4 / 5 個 Scatter 分別觸發 8 / 12 / 20 次 Free Spin（權重 6 / 3 / 1）
+ */
+function loadAwardsConfig() {
+  const config = loadConfig();
+  const outcomes = config.outcomeTables.BASE.outcomes;
+  outcomes.find(o => o.id === 'FREE_GAME_TRIGGER').weight = 6;
+  outcomes.push(
+    { id: 'FREE_GAME_TRIGGER_4', weight: 3, payoutMultiplier: 0, type: 'FEATURE' },
+    { id: 'FREE_GAME_TRIGGER_5', weight: 1, payoutMultiplier: 0, type: 'FEATURE' }
+  );
+  config.scatterConfig.trigger.awards = {};
+  Object.keys(TIER_SCATTER).forEach(featureId => {
+    config.scatterConfig.trigger.awards[TIER_SCATTER[featureId]] = { featureId, spins: TIER_SPINS[featureId] };
+  });
+  delete config.scatterConfig.trigger.featureId;
+  return config;
+}
+
+function runSimulation(config, spins, csvEnabled) {
+  return simulate(CONFIG_PATH, spins, null, true, csvEnabled, config, TEST_SEED, { quiet: true });
+}
+
+/**
+ * 測試 1: Scatter 數量與 Free Spin 次數
+ */
+function test1_ScatterCountAndSpinsPerTier() {
+  console.log('📋 Test 1: 觸發 spin 的 Scatter 數量與進入 FREE 的次數依等級決定');
+
+  const simulationData = runSimulation(loadAwardsConfig(), 5000, true);
+  const triggers = simulationData.spinLog.filter(entry => entry.state === 'BASE' && entry.type === 'FEATURE');
+  const seenTiers = new Set();
+
+  for (const entry of triggers) {
+    if (entry.scatterCount !== TIER_SCATTER[entry.outcomeId]) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${entry.outcomeId}) Scatter 數量 ${entry.scatterCount}，應為 ${TIER_SCATTER[entry.outcomeId]}`);
+      return false;
+    }
+    if (entry.stateAfter !== 'FREE' || entry.freeRemainingAfter !== TIER_SPINS[entry.outcomeId]) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${entry.outcomeId}) 進入 FREE 的次數 ${entry.freeRemainingAfter}，應為 ${TIER_SPINS[entry.outcomeId]}`);
+      return false;
+    }
+    seenTiers.add(entry.outcomeId);
+  }
+
+  if (seenTiers.size !== Object.keys(TIER_SCATTER).length) {
+    console.error(`❌ FAIL: 只出現 ${[...seenTiers].join(', ')}`);
+    return false;
+  }
+  const nonTrigger = simulationData.spinLog.find(entry => entry.type !== 'FEATURE' && entry.scatterCount !== 0);
+  if (nonTrigger) {
+    console.error(`❌ FAIL: 非觸發 spin ${nonTrigger.globalSpinIndex} 出現 ${nonTrigger.scatterCount} 個 Scatter`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ${triggers.length} 次觸發的 Scatter 數量與次數皆符合等級`);
+  return true;
+}
+
+/**
+ * 測試 2: 等級統計加總
+ */
+function test2_TierStatsAccounting() {
+  console.log('📋 Test 2: triggerAwardStats 加總與 merge');
+
+  const result = runSimulation(loadAwardsConfig(), TEST_SPINS, false).result;
+  const tiers = Object.keys(result.triggerAwardStats);
+  const sum = field => tiers.reduce((total, tier) => total + result.triggerAwardStats[tier][field], 0);
+
+  if (tiers.sort().join(',') !== '3,4,5') {
+    console.error(`❌ FAIL: 等級為 ${tiers.join(',')}，應為 3,4,5`);
+    return false;
+  }
+  if (sum('triggerCount') !== result.triggerCount ||
+      sum('freeGameSpins') !== result.freeGameSpins ||
+      sum('featureWin') !== result.featureWin) {
+    console.error('❌ FAIL: 等級統計加總與 Trigger Count / Free Game Spins / Feature Win 不一致');
+    return false;
+  }
+  for (const tier of tiers) {
+    const stats = result.triggerAwardStats[tier];
+    const featureId = Object.keys(TIER_SCATTER).find(id => String(TIER_SCATTER[id]) === tier);
+    if (stats.spinsAwarded !== stats.triggerCount * TIER_SPINS[featureId]) {
+      console.error(`❌ FAIL: 等級 ${tier} spinsAwarded ${stats.spinsAwarded} ≠ ${stats.triggerCount} × ${TIER_SPINS[featureId]}`);
+      return false;
+    }
+  }
+
+  // merge：等級統計逐欄加總
+  const merged = SimulationResult.merge([result, result]);
+  for (const tier of tiers) {
+    const stats = merged.triggerAwardStats[tier];
+    const expected = result.triggerAwardStats[tier];
+    if (Object.keys(expected).some(field => stats[field] !== expected[field] * 2)) {
+      console.error(`❌ FAIL: merge 後等級 ${tier} 統計不正確`);
+      return false;
+    }
+  }
+
+  // 未設定 awards：單一等級（minCount / freeSpinCount）
+  const defaultResult = runSimulation(loadConfig(), 3000, false).result;
+  const defaultStats = defaultResult.triggerAwardStats['3'];
+  if (Object.keys(defaultResult.triggerAwardStats).length !== 1 || !defaultStats ||
+      defaultStats.triggerCount !== defaultResult.triggerCount ||
+      defaultStats.spinsAwarded !== defaultResult.triggerCount * 10) {
+    console.error('❌ FAIL: 未設定 awards 時應只有 minCount 等級');
+    return false;
+  }
+
+  tiers.forEach(tier => {
+    const stats = result.triggerAwardStats[tier];
+    console.log(`   ${tier} scatters: ${stats.triggerCount} triggers, ${stats.freeGameSpins} spins, win ${stats.featureWin}`);
+  });
+  console.log('✅ PASS: 等級統計加總正確');
+  return true;
+}
+
+/**
+ * 測試 3: 理論值
+ */
+function test3_TheoryPerTier() {
+  console.log('📋 Test 3: 各等級理論值');
+
+  // 單一等級且 spins = freeSpinCount 時與未設定 awards 一致
+  const defaultTheory = calculateTheory(loadConfig());
+  const singleTierConfig = loadConfig();
+  singleTierConfig.scatterConfig.trigger.awards = { 3: { featureId: 'FREE_GAME_TRIGGER', spins: 10 } };
+  const singleTierTheory = calculateTheory(singleTierConfig);
+  if (Math.abs(defaultTheory.rtp - singleTierTheory.rtp) > 1e-9 ||
+      Math.abs(defaultTheory.variance - singleTierTheory.variance) > 1e-9) {
+    console.error('❌ FAIL: 單一等級的理論值與未設定 awards 不一致');
+    return false;
+  }
+
+  const config = loadAwardsConfig();
+  const theory = calculateTheory(config);
+  const tierRtp = theory.triggerTiers.reduce((sum, tier) => sum + tier.featureRtp, 0);
+  if (Math.abs(tierRtp - theory.featureRtp) > 1e-9) {
+    console.error(`❌ FAIL: 各等級 Feature RTP 加總 ${tierRtp} ≠ Feature RTP ${theory.featureRtp}`);
+    return false;
+  }
+  // 權重 6 / 3 / 1 → 期望 Feature 長度 (6×8 + 3×12 + 1×20) / 10
+  if (Math.abs(theory.expectedFeatureSpins - 10.4) > 1e-9) {
+    console.error(`❌ FAIL: 期望 Feature 長度 ${theory.expectedFeatureSpins}，應為 10.4`);
+    return false;
+  }
+
+  const result = runSimulation(config, TEST_SPINS, false).result;
+  for (const tier of theory.triggerTiers) {
+    const stats = result.triggerAwardStats[tier.scatterCount];
+    const simulated = (stats.triggerCount / result.baseGameSpins) * 100;
+    // 二項分布標準差：sqrt(p(1-p)/n)，容許 4 個標準差
+    const p = tier.triggerFrequency / 100;
+    const tolerance = 4 * Math.sqrt(p * (1 - p) / result.baseGameSpins) * 100;
+    if (Math.abs(simulated - tier.triggerFrequency) > tolerance) {
+      console.error(`❌ FAIL: ${tier.scatterCount} scatters Trigger Rate 理論 ${tier.triggerFrequency.toFixed(4)}%，模擬 ${simulated.toFixed(4)}%`);
+      return false;
+    }
+    console.log(`   ${tier.scatterCount} scatters: Trigger Rate 理論 ${tier.triggerFrequency.toFixed(4)}%，模擬 ${simulated.toFixed(4)}%`);
+  }
+
+  console.log('✅ PASS: 各等級理論值正確');
+  return true;
+}
+
+/**
+ * 測試 4: Validator
+ */
+function test4_ValidatorErrors() {
+  console.log('📋 Test 4: Validator 回報 trigger.awards 錯誤');
+
+  const cases = [
+    {
+      name: 'Scatter 數量小於 minCount',
+      mutate: config => { config.scatterConfig.trigger.awards['2'] = { featureId: 'FREE_GAME_TRIGGER_2', spins: 5 }; },
+      expected: '不得小於 minCount'
+    },
+    {
+      name: 'featureId 重複',
+      mutate: config => { config.scatterConfig.trigger.awards['5'].featureId = 'FREE_GAME_TRIGGER_4'; },
+      expected: '重複'
+    },
+    {
+      name: 'spins 非正整數',
+      mutate: config => { config.scatterConfig.trigger.awards['4'].spins = 0; },
+      expected: 'awards["4"].spins'
+    },
+    {
+      name: 'featureId 不是 BASE 的 FEATURE Outcome',
+      mutate: config => { config.scatterConfig.trigger.awards['5'].featureId = 'MEGA_WIN'; },
+      expected: '必須是 BASE 的 FEATURE Outcome'
+    },
+    {
+      name: 'Scatter 數量超過 placement.maxCount',
+      mutate: config => { config.scatterConfig.placement.maxCount = 4; },
+      expected: 'placement.maxCount (4)'
+    },
+    {
+      name: 'maxTotalSpins 小於等級的 spins',
+      mutate: config => {
+        config.outcomeTables.FREE.outcomes.push({ id: 'FREE_RETRIGGER', weight: 10, payoutMultiplier: 0, type: 'FEATURE' });
+        config.featureConfig.retrigger = { spins: 5, maxTotalSpins: 15 };
+        config.scatterConfig.trigger.states = ['BASE', 'FREE'];
+      },
+      expected: 'awards["5"].spins (20)'
+    }
+  ];
+
+  const configPath = path.join(os.tmpdir(), `v1.6.13_${process.pid}_config.json`);
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadAwardsConfig()), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadAwardsConfig();
+      testCase.mutate(config);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.13 Acceptance Test: Scatter Trigger Awards');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Scatter Count And Spins Per Tier', fn: test1_ScatterCountAndSpinsPerTier },
+    { name: 'Test 2: Tier Stats Accounting', fn: test2_TierStatsAccounting },
+    { name: 'Test 3: Theory Per Tier', fn: test3_TheoryPerTier },
+    { name: 'Test 4: Validator Errors', fn: test4_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_ScatterCountAndSpinsPerTier,
+  test2_TierStatsAccounting,
+  test3_TheoryPerTier,
+  test4_ValidatorErrors
+};
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.14 Acceptance Test: Free Game Win Multiplier（featureConfig.multiplier）
+ *
+ * 必驗項目：
+ * 1. FIXED：FREE spin 贏分 = 評估贏分 × value；WinEvent.metadata 與 spinLog 記錄倍數，BASE 倍數為 1
+ * 2. PROGRESSIVE：依 on=SPIN / WIN 逐步增加、不超過 max，每次 Feature 重新由 start 開始
+ * 3. RANDOM：倍數只出現 values 中的值；multiplierStats 加總等於 Free Game Spins / Feature Win；checkpoint 續跑一致
+ * 4. 理論值：FIXED ×k 的 Feature RTP 為 k 倍；PROGRESSIVE / RANDOM 與模擬相符
+ * 5. Validator：multiplier 格式錯誤時回報
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { calculateTheory } = require('../../theory');
+const { loadCheckpoint } = require('../../checkpoint');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 20000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+const RANDOM_VALUES = [
+  { value: 1, weight: 60 },
+  { value: 2, weight: 25 },
+  { value: 5, weight: 10 },
+  { value: 10, weight: 5 }
+];
+
+function tmpPath(name) {
+  return path.join(os.tmpdir(), `v1.6.14_${process.pid}_${name}`);
+}
+
+function loadMultiplierConfig(multiplier) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  if (multiplier) {
+    config.featureConfig.multiplier = multiplier;
+  }
+  return config;
+}
+
+function runSimulation(config, spins, csvEnabled, extraOptions = {}) {
+  return simulate(CONFIG_PATH, spins, null, true, csvEnabled, config, TEST_SEED,
+    Object.assign({ quiet: true }, extraOptions));
+}
+
+/**
+ * 檢查 spin 的贏分與 WinEvent 是否正確套用 spinLog 記錄的倍數
+ * @returns {string|null} 錯誤訊息
+ */
+function checkAppliedMultiplier(entry) {
+  if (entry.winAmount !== entry.expectedWinAmount * entry.multiplier) {
+    return `spin ${entry.globalSpinIndex} 贏分 ${entry.winAmount} ≠ ${entry.expectedWinAmount} × ${entry.multiplier}`;
+  }
+  const events = entry.eventsJson ? JSON.parse(entry.eventsJson) : [];
+  for (const event of events) {
+    if (entry.state !== 'FREE') {
+      if (event.metadata && event.metadata.multiplier !== undefined) {
+        return `BASE spin ${entry.globalSpinIndex} 的 WinEvent 不應記錄倍數`;
+      }
+      continue;
+    }
+    if (!event.metadata || event.metadata.multiplier !== entry.multiplier ||
+        event.winAmount !== event.metadata.baseWinAmount * entry.multiplier) {
+      return `spin ${entry.globalSpinIndex} 的 WinEvent 倍數資訊不正確: ${JSON.stringify(event)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 測試 1: FIXED 倍數
+ */
+function test1_FixedMultiplier() {
+  console.log('📋 Test 1: FIXED ×3 套用在 FREE spin，BASE 不受影響');
+
+  const simulationData = runSimulation(loadMultiplierConfig({ mode: 'FIXED', value: 3 }), 3000, true);
+  const freeSpins = simulationData.spinLog.filter(entry => entry.state === 'FREE');
+  if (freeSpins.length === 0) {
+    console.error('❌ FAIL: 沒有任何 Free Spin');
+    return false;
+  }
+
+  for (const entry of simulationData.spinLog) {
+    const expected = entry.state === 'FREE' ? 3 : 1;
+    if (entry.multiplier !== expected) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${entry.state}) 倍數 ${entry.multiplier}，應為 ${expected}`);
+      return false;
+    }
+    const error = checkAppliedMultiplier(entry);
+    if (error) {
+      console.error(`❌ FAIL: ${error}`);
+      return false;
+    }
+  }
+
+  const freeWins = freeSpins.filter(entry => entry.winAmount > 0).length;
+  console.log(`   ${freeSpins.length} Free Spins（${freeWins} 次中獎）皆為 ×3`);
+  console.log('✅ PASS: FIXED 倍數正確');
+  return true;
+}
+
+/**
+ * 測試 2: PROGRESSIVE 倍數
+ */
+function test2_ProgressiveMultiplier() {
+  console.log('📋 Test 2: PROGRESSIVE 依 SPIN / WIN 增加，不超過 max，每次 Feature 重置');
+
+  const cases = [
+    { start: 1, step: 1, max: 5, on: 'SPIN' },
+    { start: 2, step: 2, max: 9, on: 'WIN' },
+    { start: 1, step: 1, max: null, on: 'WIN' }
+  ];
+
+  for (const multiplier of cases) {
+    const configMultiplier = Object.assign({ mode: 'PROGRESSIVE' }, multiplier);
+    if (multiplier.max === null) delete configMultiplier.max;
+    const simulationData = runSimulation(loadMultiplierConfig(configMultiplier), 3000, true);
+
+    let level = 0;
+    let features = 0;
+    let maxSeen = 0;
+    for (const entry of simulationData.spinLog) {
+      if (entry.state === 'BASE') {
+        if (entry.stateAfter === 'FREE') {
+          level = 0;
+          features++;
+        }
+        continue;
+      }
+      const value = multiplier.start + multiplier.step * level;
+      const expected = multiplier.max !== null ? Math.min(value, multiplier.max) : value;
+      if (entry.multiplier !== expected) {
+        console.error(`❌ FAIL: ${JSON.stringify(multiplier)} spin ${entry.globalSpinIndex} 倍數 ${entry.multiplier}，應為 ${expected}`);
+        return false;
+      }
+      const error = checkAppliedMultiplier(entry);
+      if (error) {
+        console.error(`❌ FAIL: ${error}`);
+        return false;
+      }
+      maxSeen = Math.max(maxSeen, entry.multiplier);
+      if (multiplier.on === 'SPIN' || entry.expectedWinAmount > 0) {
+        level++;
+      }
+    }
+
+    if (features === 0) {
+      console.error('❌ FAIL: 沒有任何 Feature');
+      return false;
+    }
+    console.log(`   ${JSON.stringify(multiplier)}: ${features} 次 Feature，最高 ×${maxSeen}`);
+  }
+
+  console.log('✅ PASS: PROGRESSIVE 倍數正確');
+  return true;
+}
+
+/**
+ * 測試 3: RANDOM 倍數、統計加總與 checkpoint 續跑
+ */
+function test3_RandomMultiplierStats() {
+  console.log('📋 Test 3: RANDOM 倍數、multiplierStats 加總與 checkpoint 續跑');
+
+  const config = loadMultiplierConfig({ mode: 'RANDOM', values: RANDOM_VALUES });
+  const simulationData = runSimulation(config, 3000, true);
+  const allowed = new Set(RANDOM_VALUES.map(entry => entry.value));
+  for (const entry of simulationData.spinLog.filter(e => e.state === 'FREE')) {
+    if (!allowed.has(entry.multiplier)) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 倍數 ${entry.multiplier} 不在 values 中`);
+      return false;
+    }
+    const error = checkAppliedMultiplier(entry);
+    if (error) {
+      console.error(`❌ FAIL: ${error}`);
+      return false;
+    }
+  }
+
+  const result = runSimulation(config, TEST_SPINS, false).result;
+  const values = Object.keys(result.multiplierStats);
+  const sum = field => values.reduce((total, value) => total + result.multiplierStats[value][field], 0);
+  if (sum('spins') !== result.freeGameSpins || sum('featureWin') !== result.featureWin) {
+    console.error('❌ FAIL: multiplierStats 加總與 Free Game Spins / Feature Win 不一致');
+    return false;
+  }
+  const merged = SimulationResult.merge([result, result]);
+  if (values.some(value => merged.multiplierStats[value].spins !== result.multiplierStats[value].spins * 2)) {
+    console.error('❌ FAIL: merge 後 multiplierStats 不正確');
+    return false;
+  }
+
+  // 未設定倍數時不記錄
+  if (Object.keys(runSimulation(loadMultiplierConfig(null), 3000, false).result.multiplierStats).length !== 0) {
+    console.error('❌ FAIL: 未設定倍數時不應有 multiplierStats');
+    return false;
+  }
+
+  // checkpoint 續跑
+  const ckptPath = tmpPath('run.ckpt');
+  const progressive = loadMultiplierConfig({ mode: 'PROGRESSIVE', start: 1, step: 1, max: 4, on: 'WIN' });
+  try {
+    for (const resumeConfig of [config, progressive]) {
+      const full = runSimulation(resumeConfig, 5000, false);
+      runSimulation(resumeConfig, 5000, false, { checkpoint: { path: ckptPath, interval: 2000 } });
+      const resumed = runSimulation(resumeConfig, 5000, false, { resume: loadCheckpoint(ckptPath) });
+      if (JSON.stringify(full.result) !== JSON.stringify(resumed.result)) {
+        console.error(`❌ FAIL: ${resumeConfig.featureConfig.multiplier.mode} 續跑結果不一致`);
+        return false;
+      }
+    }
+  } finally {
+    if (fs.existsSync(ckptPath)) fs.unlinkSync(ckptPath);
+  }
+
+  values.forEach(value => {
+    const stats = result.multiplierStats[value];
+    console.log(`   ×${value}: ${stats.spins} spins, win ${stats.featureWin}`);
+  });
+  console.log('✅ PASS: RANDOM 倍數與統計正確');
+  return true;
+}
+
+/**
+ * 測試 4: 理論值
+ */
+function test4_Theory() {
+  console.log('📋 Test 4: 倍數的理論值');
+
+  // FIXED ×3：Feature RTP 為 3 倍；與 start = max = 3 的 PROGRESSIVE、單一值的 RANDOM 一致
+  const defaultTheory = calculateTheory(loadMultiplierConfig(null));
+  const fixedTheory = calculateTheory(loadMultiplierConfig({ mode: 'FIXED', value: 3 }));
+  if (Math.abs(fixedTheory.featureRtp - defaultTheory.featureRtp * 3) > 1e-9 ||
+      Math.abs(fixedTheory.baseRtp - defaultTheory.baseRtp) > 1e-9 ||
+      fixedTheory.averageMultiplier !== 3) {
+    console.error(`❌ FAIL: FIXED ×3 Feature RTP ${fixedTheory.featureRtp}，應為 ${defaultTheory.featureRtp * 3}`);
+    return false;
+  }
+  const equivalents = [
+    { mode: 'PROGRESSIVE', start: 3, step: 1, max: 3 },
+    { mode: 'RANDOM', values: [{ value: 3, weight: 1 }] }
+  ];
+  for (const multiplier of equivalents) {
+    const theory = calculateTheory(loadMultiplierConfig(multiplier));
+    if (Math.abs(theory.rtp - fixedTheory.rtp) > 1e-9 || Math.abs(theory.variance - fixedTheory.variance) > 1e-6) {
+      console.error(`❌ FAIL: ${multiplier.mode} 與 FIXED ×3 的理論值不一致`);
+      return false;
+    }
+  }
+
+  // 與模擬比對（Feature RTP 容許 4 個標準誤）
+  const simulated = [
+    { mode: 'PROGRESSIVE', start: 1, step: 1, max: 5, on: 'WIN' },
+    { mode: 'RANDOM', values: RANDOM_VALUES }
+  ];
+  for (const multiplier of simulated) {
+    const config = loadMultiplierConfig(multiplier);
+    const theory = calculateTheory(config);
+    const result = runSimulation(config, TEST_SPINS, false).result;
+    const featureRtp = (result.featureWin / result.totalBaseBet) * 100;
+    const tolerance = 4 * theory.stdDev / Math.sqrt(result.baseGameSpins) * 100;
+    if (Math.abs(featureRtp - theory.featureRtp) > tolerance) {
+      console.error(`❌ FAIL: ${multiplier.mode} Feature RTP 理論 ${theory.featureRtp.toFixed(2)}%，模擬 ${featureRtp.toFixed(2)}%`);
+      return false;
+    }
+    console.log(`   ${multiplier.mode}: Feature RTP 理論 ${theory.featureRtp.toFixed(2)}%，模擬 ${featureRtp.toFixed(2)}%，平均倍數 ${theory.averageMultiplier.toFixed(4)}`);
+  }
+
+  console.log('✅ PASS: 理論值正確');
+  return true;
+}
+
+/**
+ * 測試 5: Validator
+ */
+function test5_ValidatorErrors() {
+  console.log('📋 Test 5: Validator 回報 multiplier 錯誤');
+
+  const cases = [
+    { name: 'mode 不合法', multiplier: { mode: 'DOUBLE' }, expected: 'multiplier.mode' },
+    { name: 'FIXED value 非正整數', multiplier: { mode: 'FIXED', value: 1.5 }, expected: 'multiplier.value' },
+    { name: 'PROGRESSIVE max 小於 start', multiplier: { mode: 'PROGRESSIVE', start: 3, max: 2 }, expected: 'multiplier.max' },
+    { name: 'PROGRESSIVE on 不合法', multiplier: { mode: 'PROGRESSIVE', on: 'SCATTER' }, expected: 'multiplier.on' },
+    { name: 'RANDOM values 為空', multiplier: { mode: 'RANDOM', values: [] }, expected: 'multiplier.values' },
+    { name: 'RANDOM 總權重為 0', multiplier: { mode: 'RANDOM', values: [{ value: 2, weight: 0 }] }, expected: '總權重' },
+    {
+      name: 'PROGRESSIVE 搭配無上限 retrigger',
+      multiplier: { mode: 'PROGRESSIVE' },
+      mutate: config => {
+        config.outcomeTables.FREE.outcomes.push({ id: 'FREE_RETRIGGER', weight: 10, payoutMultiplier: 0, type: 'FEATURE' });
+        config.featureConfig.retrigger = { spins: 5 };
+        config.scatterConfig.trigger.states = ['BASE', 'FREE'];
+      },
+      expected: 'maxTotalSpins 或 maxRetriggers'
+    }
+  ];
+
+  const configPath = tmpPath('config.json');
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadMultiplierConfig({ mode: 'RANDOM', values: RANDOM_VALUES })), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadMultiplierConfig(testCase.multiplier);
+      if (testCase.mutate) testCase.mutate(config);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.14 Acceptance Test: Free Game Win Multiplier');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Fixed Multiplier', fn: test1_FixedMultiplier },
+    { name: 'Test 2: Progressive Multiplier', fn: test2_ProgressiveMultiplier },
+    { name: 'Test 3: Random Multiplier Stats', fn: test3_RandomMultiplierStats },
+    { name: 'Test 4: Theory', fn: test4_Theory },
+    { name: 'Test 5: Validator Errors', fn: test5_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_FixedMultiplier,
+  test2_ProgressiveMultiplier,
+  test3_RandomMultiplierStats,
+  test4_Theory,
+  test5_ValidatorErrors
+};
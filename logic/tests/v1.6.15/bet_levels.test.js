@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.15 Acceptance Test: Bet Levels（betConfig.betLevels / --bet-levels）
+ *
+ * 必驗項目：
+ * 1. getBetLevels 驗證、allocateSpins 依權重分配（總和不變、最大餘數法）
+ * 2. EACH：每個等級使用相同 seed → outcome 序列相同，Total Base Bet = spins × bet
+ * 3. 取整：模擬贏分等於 Σ count × Math.round(payoutMultiplier × bet)；Drift = Theory RTP - Exact RTP；
+ *    模擬的 Sim Drift / Max Win 取自實際派彩（roundingWin / maxRoundWin）
+ * 4. MIX：各等級 spins 依權重分配，整體結果為各等級合併，理論 RTP 以下注金額加權；同 seed 結果可重現
+ * 5. Validator：betLevels / betLevelWeights 格式錯誤時回報
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { getBetLevels, allocateSpins, calculateRounding, simulateBetLevels } = require('../../betLevels');
+const { calculateTheory } = require('../../theory');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 5000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+/**
+ * 含小數下注等級（0.1 / 0.25 會產生取整）
+ */
+function loadBetLevelConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.betConfig.betLevels = [0.1, 0.25, 1, 2];
+  config.betConfig.betLevelWeights = [50, 30, 15, 5];
+  return config;
+}
+
+/**
+ * 依 outcome 分布重算贏分（無 paytable / 倍數時與模擬一致）
+ */
+function expectedTotalWin(config, result, bet) {
+  let total = 0;
+  [['BASE', 'baseOutcomeDistribution'], ['FREE', 'freeOutcomeDistribution']].forEach(([state, key]) => {
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      total += result[key][outcome.id].count * Math.round(outcome.payoutMultiplier * bet);
+    });
+  });
+  return total;
+}
+
+/**
+ * 依 outcome 分布計算不取整的贏分
+ */
+function expectedExactWin(config, result, bet) {
+  let total = 0;
+  [['BASE', 'baseOutcomeDistribution'], ['FREE', 'freeOutcomeDistribution']].forEach(([state, key]) => {
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      total += result[key][outcome.id].count * outcome.payoutMultiplier * bet;
+    });
+  });
+  return total;
+}
+
+/**
+ * 測試 1: getBetLevels 與 allocateSpins
+ */
+function test1_LevelsAndAllocation() {
+  console.log('📋 Test 1: 下注等級解析與 spins 分配');
+
+  const levels = getBetLevels(loadBetLevelConfig().betConfig);
+  if (levels.map(level => `${level.bet}:${level.weight}`).join(',') !== '0.1:50,0.25:30,1:15,2:5') {
+    console.error(`❌ FAIL: 下注等級解析錯誤: ${JSON.stringify(levels)}`);
+    return false;
+  }
+  if (getBetLevels({ betLevels: [1, 2] }).some(level => level.weight !== null)) {
+    console.error('❌ FAIL: 未設定 betLevelWeights 時 weight 應為 null');
+    return false;
+  }
+
+  const cases = [
+    { spins: 1000, weights: [50, 30, 15, 5], expected: [500, 300, 150, 50] },
+    { spins: 10, weights: [1, 1, 1], expected: [4, 3, 3] },          // 餘數相同 → 前面的等級
+    { spins: 7, weights: [1, 2, 4], expected: [1, 2, 4] },
+    { spins: 5, weights: [0, 3, 1], expected: [0, 4, 1] }            // 3.75 / 1.25 → 最大餘數給第二個等級
+  ];
+  for (const c of cases) {
+    const spins = allocateSpins(c.spins, c.weights.map(weight => ({ bet: 1, weight })));
+    if (spins.join(',') !== c.expected.join(',')) {
+      console.error(`❌ FAIL: allocateSpins(${c.spins}, [${c.weights}]) = [${spins}]，應為 [${c.expected}]`);
+      return false;
+    }
+    console.log(`   ${c.spins} spins × [${c.weights}] → [${spins}]`);
+  }
+
+  console.log('✅ PASS: 下注等級與分配正確');
+  return true;
+}
+
+/**
+ * 測試 2: EACH 模式
+ */
+function test2_EachModeSharesSeed() {
+  console.log('📋 Test 2: EACH 模式各等級使用相同 seed');
+
+  const config = loadBetLevelConfig();
+  const data = simulateBetLevels(CONFIG_PATH, config, 'EACH', TEST_SPINS, TEST_SEED);
+  if (data.levels.length !== 4 || data.combined !== null) {
+    console.error('❌ FAIL: EACH 模式應有 4 個等級且沒有合併結果');
+    return false;
+  }
+
+  const reference = data.levels[0].result;
+  for (const level of data.levels) {
+    const result = level.result;
+    if (level.spins !== TEST_SPINS || result.baseGameSpins !== TEST_SPINS) {
+      console.error(`❌ FAIL: bet ${level.bet} Base Spins ${result.baseGameSpins}，應為 ${TEST_SPINS}`);
+      return false;
+    }
+    if (Math.abs(result.totalBaseBet - TEST_SPINS * level.bet) > 1e-6) {
+      console.error(`❌ FAIL: bet ${level.bet} Total Base Bet ${result.totalBaseBet} ≠ ${TEST_SPINS} × ${level.bet}`);
+      return false;
+    }
+    const sameOutcomes = Object.keys(reference.baseOutcomeDistribution).every(id =>
+      result.baseOutcomeDistribution[id].count === reference.baseOutcomeDistribution[id].count);
+    if (!sameOutcomes || result.freeGameSpins !== reference.freeGameSpins) {
+      console.error(`❌ FAIL: bet ${level.bet} 的 outcome 序列與其他等級不同`);
+      return false;
+    }
+    console.log(`   bet ${level.bet}: RTP ${result.rtp.toFixed(2)}%`);
+  }
+
+  // 整數下注等級（payoutMultiplier 皆為整數）沒有取整 → RTP 完全相同
+  if (data.levels[2].result.rtp !== data.levels[3].result.rtp) {
+    console.error('❌ FAIL: bet 1 與 bet 2 的 RTP 應相同');
+    return false;
+  }
+
+  console.log('✅ PASS: EACH 模式正確');
+  return true;
+}
+
+/**
+ * 測試 3: 取整效果
+ */
+function test3_RoundingEffects() {
+  console.log('📋 Test 3: 派彩取整與 RTP Drift');
+
+  const config = loadBetLevelConfig();
+  const data = simulateBetLevels(CONFIG_PATH, config, 'EACH', TEST_SPINS, TEST_SEED);
+  for (const level of data.levels) {
+    const expected = expectedTotalWin(config, level.result, level.bet);
+    if (level.result.totalWin !== expected) {
+      console.error(`❌ FAIL: bet ${level.bet} 模擬贏分 ${level.result.totalWin}，依取整派彩應為 ${expected}`);
+      return false;
+    }
+  }
+
+  const rounding = calculateRounding(config, 0.25);
+  const theory = calculateTheory(config, 0.25);
+  const exact = calculateTheory(config, 0.25, { exact: true });
+  if (rounding.theoryRtp !== theory.rtp || rounding.exactRtp !== exact.rtp ||
+      Math.abs(rounding.drift - (theory.rtp - exact.rtp)) > 1e-12) {
+    console.error('❌ FAIL: calculateRounding 與 calculateTheory 不一致');
+    return false;
+  }
+  // 不取整的 RTP 與下注金額無關
+  if (Math.abs(exact.rtp - calculateTheory(config, 1).rtp) > 1e-9) {
+    console.error(`❌ FAIL: Exact RTP ${exact.rtp} 應等於 bet 1 的 RTP`);
+    return false;
+  }
+  const smallWin = rounding.roundedOutcomes.find(entry => entry.state === 'BASE' && entry.outcomeId === 'SMALL_WIN');
+  if (!smallWin || smallWin.exact !== 0.5 || smallWin.rounded !== 1) {
+    console.error(`❌ FAIL: SMALL_WIN 在 bet 0.25 的取整應為 0.5 → 1: ${JSON.stringify(smallWin)}`);
+    return false;
+  }
+  if (calculateRounding(config, 2).roundedOutcomes.length !== 0 || calculateRounding(config, 2).drift !== 0) {
+    console.error('❌ FAIL: bet 2 不應有取整');
+    return false;
+  }
+
+  // 模擬的取整與最大贏分取自實際派彩
+  const level = data.levels.find(entry => entry.bet === 0.25);
+  const expectedRoundingWin = expectedTotalWin(config, level.result, 0.25) - expectedExactWin(config, level.result, 0.25);
+  if (Math.abs(level.result.roundingWin - expectedRoundingWin) > 1e-6 || level.result.roundedSpinCount === 0) {
+    console.error(`❌ FAIL: bet 0.25 roundingWin ${level.result.roundingWin}，應為 ${expectedRoundingWin}`);
+    return false;
+  }
+  const simulatedDrift = (level.result.roundingWin / level.result.totalBaseBet) * 100;
+  if (Math.abs(level.rounding.simulatedDrift - simulatedDrift) > 1e-12 ||
+      level.rounding.roundedSpinCount !== level.result.roundedSpinCount ||
+      level.rounding.maxWin !== level.result.maxRoundWin.win) {
+    console.error(`❌ FAIL: bet 0.25 模擬取整 ${JSON.stringify(level.rounding)} 與模擬結果不一致`);
+    return false;
+  }
+  const levelTwo = data.levels.find(entry => entry.bet === 2);
+  if (levelTwo.result.roundingWin !== 0 || levelTwo.result.roundedSpinCount !== 0) {
+    console.error('❌ FAIL: bet 2 的模擬不應有取整');
+    return false;
+  }
+
+  console.log(`   bet 0.25: Theory ${rounding.theoryRtp.toFixed(4)}%，Exact ${rounding.exactRtp.toFixed(4)}%，Drift ${rounding.drift.toFixed(4)}，${rounding.roundedOutcomes.length} 個 outcome 取整`);
+  console.log(`   bet 0.25 模擬: Sim Drift ${level.rounding.simulatedDrift.toFixed(4)}，${level.rounding.roundedSpinCount} 個 spin 取整，Max Win ${level.rounding.maxWin}`);
+  console.log('✅ PASS: 取整效果正確');
+  return true;
+}
+
+/**
+ * 測試 4: MIX 模式
+ */
+function test4_MixMode() {
+  console.log('📋 Test 4: MIX 模式依權重混合下注');
+
+  const config = loadBetLevelConfig();
+  const data = simulateBetLevels(CONFIG_PATH, config, 'MIX', TEST_SPINS, TEST_SEED);
+  const spins = data.levels.map(level => level.spins);
+  if (spins.join(',') !== '2500,1500,750,250') {
+    console.error(`❌ FAIL: 各等級 spins [${spins}]，應為 [2500,1500,750,250]`);
+    return false;
+  }
+  if (new Set(data.levels.map(level => level.seed)).size !== data.levels.length) {
+    console.error('❌ FAIL: MIX 模式各等級應使用不同的 seed');
+    return false;
+  }
+
+  const combined = data.combined;
+  const totalBaseBet = data.levels.reduce((sum, level) => sum + level.result.totalBaseBet, 0);
+  const totalWin = data.levels.reduce((sum, level) => sum + level.result.totalWin, 0);
+  if (combined.baseGameSpins !== TEST_SPINS ||
+      Math.abs(combined.totalBaseBet - totalBaseBet) > 1e-6 ||
+      combined.totalWin !== totalWin ||
+      Math.abs(combined.rtp - (totalWin / totalBaseBet) * 100) > 1e-9) {
+    console.error('❌ FAIL: 合併結果與各等級加總不一致');
+    return false;
+  }
+
+  const stake = data.levels.reduce((sum, level) => sum + level.spins * level.bet, 0);
+  const theoryRtp = data.levels.reduce((sum, level) => sum + level.spins * level.bet * level.rounding.theoryRtp, 0) / stake;
+  if (Math.abs(data.combinedTheoryRtp - theoryRtp) > 1e-9) {
+    console.error(`❌ FAIL: 混合理論 RTP ${data.combinedTheoryRtp}，應為 ${theoryRtp}`);
+    return false;
+  }
+
+  const again = simulateBetLevels(CONFIG_PATH, config, 'MIX', TEST_SPINS, TEST_SEED);
+  if (JSON.stringify(again.combined) !== JSON.stringify(combined)) {
+    console.error('❌ FAIL: 相同 seed 的 MIX 結果不一致');
+    return false;
+  }
+
+  // 未設定 betLevelWeights 時不能使用 MIX
+  const noWeights = loadBetLevelConfig();
+  delete noWeights.betConfig.betLevelWeights;
+  try {
+    simulateBetLevels(CONFIG_PATH, noWeights, 'MIX', 100, TEST_SEED);
+    console.error('❌ FAIL: 未設定 betLevelWeights 時應拋出錯誤');
+    return false;
+  } catch (error) {
+    console.log(`   未設定權重: ${error.message}`);
+  }
+
+  console.log(`   整體 RTP ${combined.rtp.toFixed(2)}%（理論 ${data.combinedTheoryRtp.toFixed(2)}%）`);
+  console.log('✅ PASS: MIX 模式正確');
+  return true;
+}
+
+/**
+ * 測試 5: Validator
+ */
+function test5_ValidatorErrors() {
+  console.log('📋 Test 5: Validator 回報 betLevels 錯誤');
+
+  const cases = [
+    { name: 'betLevels 為空', mutate: betConfig => { betConfig.betLevels = []; }, expected: 'betLevels 必須為非空陣列' },
+    { name: 'betLevels 非正數', mutate: betConfig => { betConfig.betLevels[1] = 0; }, expected: 'betLevels[1]' },
+    { name: 'betLevels 重複', mutate: betConfig => { betConfig.betLevels[3] = 1; }, expected: '重複' },
+    { name: 'betLevelWeights 長度不符', mutate: betConfig => { betConfig.betLevelWeights.pop(); }, expected: '等長' },
+    { name: 'betLevelWeights 負數', mutate: betConfig => { betConfig.betLevelWeights[0] = -1; }, expected: 'betLevelWeights[0]' },
+    { name: 'betLevelWeights 總和為 0', mutate: betConfig => { betConfig.betLevelWeights = [0, 0, 0, 0]; }, expected: '總權重' }
+  ];
+
+  const configPath = path.join(os.tmpdir(), `v1.6.15_${process.pid}_config.json`);
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadBetLevelConfig()), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadBetLevelConfig();
+      testCase.mutate(config.betConfig);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.15 Acceptance Test: Bet Levels');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Levels And Allocation', fn: test1_LevelsAndAllocation },
+    { name: 'Test 2: Each Mode Shares Seed', fn: test2_EachModeSharesSeed },
+    { name: 'Test 3: Rounding Effects', fn: test3_RoundingEffects },
+    { name: 'Test 4: Mix Mode', fn: test4_MixMode },
+    { name: 'Test 5: Validator Errors', fn: test5_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_LevelsAndAllocation,
+  test2_EachModeSharesSeed,
+  test3_RoundingEffects,
+  test4_MixMode,
+  test5_ValidatorErrors
+};
@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.16 Acceptance Test: Player Session Simulation（sessionConfig / --sessions）
+ *
+ * 必驗項目：
+ * 1. simulate() 的 onRoundSettled / finishFeature：Round 贏分加總等於 Total Win，可在 Round 之間停止
+ * 2. 每個 session 的餘額與結束原因符合 stopLoss / stopWin / maxSpins / bust 規則，且可用推導的 seed 重現
+ * 3. Session seed 由 master seed 推導：同 seed 結果相同，不同 session 使用不同 seed
+ * 4. 彙總統計：Bust Probability、Feature Session Rate、百分位
+ * 5. Validator：sessionConfig 格式錯誤時回報
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { simulateSessions, deriveSessionSeed, getSamplePoints } = require('../../session');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SESSIONS = 200;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadSessionConfig(sessionConfig) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.sessionConfig = Object.assign({
+    sessions: TEST_SESSIONS,
+    startingBalance: 100,
+    stopLoss: 60,
+    stopWin: 80,
+    maxSpins: 150
+  }, sessionConfig);
+  return config;
+}
+
+/**
+ * 測試 1: onRoundSettled / finishFeature
+ */
+function test1_RoundHooks() {
+  console.log('📋 Test 1: simulate() 的 Round 結算 callback 與 finishFeature');
+
+  const config = loadSessionConfig();
+  let rounds = 0;
+  let roundWinTotal = 0;
+  const full = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+    quiet: true,
+    finishFeature: true,
+    onRoundSettled: roundWin => {
+      rounds++;
+      roundWinTotal += roundWin;
+      return false;
+    }
+  }).result;
+  if (rounds !== 3000 || roundWinTotal !== full.totalWin) {
+    console.error(`❌ FAIL: ${rounds} 個 Round、贏分 ${roundWinTotal}，應為 3000 個、${full.totalWin}`);
+    return false;
+  }
+  // finishFeature：最後一個 Feature 完整進行
+  if (full.freeGameSpins !== full.triggerCount * config.featureConfig.freeSpinCount) {
+    console.error(`❌ FAIL: finishFeature 時 Free Game Spins ${full.freeGameSpins} ≠ ${full.triggerCount} × ${config.featureConfig.freeSpinCount}`);
+    return false;
+  }
+
+  // 返回 true 時停止：只進行到該 Round
+  let settled = 0;
+  const stopped = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+    quiet: true,
+    onRoundSettled: () => ++settled >= 50
+  }).result;
+  if (stopped.baseGameSpins !== 50 || stopped.roundWinStats.count !== 50) {
+    console.error(`❌ FAIL: 第 50 個 Round 停止後 Base Spins ${stopped.baseGameSpins}，應為 50`);
+    return false;
+  }
+
+  // 未使用 callback 時結果不變
+  const plain = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true }).result;
+  const hooked = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true, onRoundSettled: () => false }).result;
+  if (JSON.stringify(plain) !== JSON.stringify(hooked)) {
+    console.error('❌ FAIL: onRoundSettled 不應改變模擬結果');
+    return false;
+  }
+
+  console.log(`   ${rounds} 個 Round，Total Win ${full.totalWin}；第 50 個 Round 停止`);
+  console.log('✅ PASS: Round callback 正確');
+  return true;
+}
+
+/**
+ * 測試 2: Session 規則與重現
+ */
+function test2_SessionRules() {
+  console.log('📋 Test 2: Session 餘額與結束原因');
+
+  const config = loadSessionConfig();
+  const data = simulateSessions(CONFIG_PATH, config, { customSeed: TEST_SEED });
+  const { startingBalance, stopLoss, stopWin, maxSpins } = data.sessionConfig;
+
+  for (const [index, session] of data.sessionResults.entries()) {
+    const net = session.finalBalance - startingBalance;
+    const valid = {
+      STOP_WIN: net >= stopWin,
+      BUST: session.finalBalance < data.bet,
+      STOP_LOSS: -net >= stopLoss && net < stopWin,
+      MAX_SPINS: session.spins === maxSpins && net < stopWin && -net < stopLoss
+    }[session.reason];
+    if (!valid || session.spins > maxSpins || session.spins <= 0) {
+      console.error(`❌ FAIL: session ${index} (${session.reason}) spins ${session.spins}，淨值 ${net}`);
+      return false;
+    }
+  }
+
+  // 以推導的 seed 重跑相同 spin 數，淨值必須一致
+  for (const index of [0, 1, 2, TEST_SESSIONS - 1]) {
+    const session = data.sessionResults[index];
+    const seed = deriveSessionSeed(String(TEST_SEED), index, undefined);
+    const replay = simulate(CONFIG_PATH, session.spins, null, true, false, config, seed, { quiet: true, finishFeature: true }).result;
+    if (replay.totalWin - replay.totalBaseBet !== session.finalBalance - startingBalance) {
+      console.error(`❌ FAIL: session ${index} 重跑淨值 ${replay.totalWin - replay.totalBaseBet}，應為 ${session.finalBalance - startingBalance}`);
+      return false;
+    }
+  }
+
+  const reasons = Object.keys(data.reasonCounts).filter(reason => data.reasonCounts[reason] > 0);
+  console.log(`   結束原因: ${reasons.map(reason => `${reason}=${data.reasonCounts[reason]}`).join(', ')}`);
+  if (!['STOP_WIN', 'STOP_LOSS', 'MAX_SPINS'].every(reason => data.reasonCounts[reason] > 0)) {
+    console.error('❌ FAIL: STOP_WIN / STOP_LOSS / MAX_SPINS 應皆有出現');
+    return false;
+  }
+
+  // 未設定 stopLoss：小額本金會 bust
+  const bustData = simulateSessions(CONFIG_PATH, loadSessionConfig({ startingBalance: 10, stopLoss: null, stopWin: null, maxSpins: 300 }), {
+    customSeed: TEST_SEED,
+    sessions: 100
+  });
+  const busted = bustData.sessionResults.filter(session => session.reason === 'BUST');
+  if (busted.length === 0 || busted.some(session => session.finalBalance >= bustData.bet) ||
+      Math.abs(bustData.bustProbability - busted.length) > 1e-9) {
+    console.error(`❌ FAIL: Bust 統計不正確（${busted.length} / 100，Bust Probability ${bustData.bustProbability}%）`);
+    return false;
+  }
+  console.log(`   本金 10、無停損: Bust Probability ${bustData.bustProbability.toFixed(2)}%`);
+
+  console.log('✅ PASS: Session 規則正確');
+  return true;
+}
+
+/**
+ * 測試 3: Session seed
+ */
+function test3_SessionSeeds() {
+  console.log('📋 Test 3: Session seed 由 master seed 推導');
+
+  const config = loadSessionConfig({ sessions: 50 });
+  const first = simulateSessions(CONFIG_PATH, config, { customSeed: TEST_SEED });
+  const second = simulateSessions(CONFIG_PATH, config, { customSeed: TEST_SEED });
+  if (JSON.stringify(first) !== JSON.stringify(second)) {
+    console.error('❌ FAIL: 相同 master seed 的結果不一致');
+    return false;
+  }
+
+  const seeds = new Set();
+  for (let i = 0; i < 1000; i++) {
+    seeds.add(deriveSessionSeed(String(TEST_SEED), i, undefined));
+  }
+  if (seeds.size !== 1000) {
+    console.error(`❌ FAIL: 1000 個 session 只推導出 ${seeds.size} 個不同的 seed`);
+    return false;
+  }
+
+  const other = simulateSessions(CONFIG_PATH, config, { customSeed: TEST_SEED + 1 });
+  if (JSON.stringify(other.sessionResults) === JSON.stringify(first.sessionResults)) {
+    console.error('❌ FAIL: 不同 master seed 的結果不應相同');
+    return false;
+  }
+  if (deriveSessionSeed(null, 0, undefined) !== null) {
+    console.error('❌ FAIL: legacy mode 的 session seed 應為 null');
+    return false;
+  }
+
+  console.log('✅ PASS: Session seed 正確');
+  return true;
+}
+
+/**
+ * 測試 4: 彙總統計
+ */
+function test4_Aggregates() {
+  console.log('📋 Test 4: 彙總統計與百分位');
+
+  const config = loadSessionConfig();
+  const data = simulateSessions(CONFIG_PATH, config, { customSeed: TEST_SEED });
+  const results = data.sessionResults;
+
+  const featureRate = results.filter(session => session.featureRounds > 0).length / results.length * 100;
+  const lengths = results.map(session => session.spins).sort((a, b) => a - b);
+  if (Math.abs(data.featureSessionRate - featureRate) > 1e-9 ||
+      data.medianLength !== lengths[Math.ceil(lengths.length / 2) - 1] ||
+      Object.values(data.reasonCounts).reduce((sum, count) => sum + count, 0) !== TEST_SESSIONS) {
+    console.error('❌ FAIL: Feature Session Rate / Median Length / 結束原因加總不正確');
+    return false;
+  }
+
+  const points = getSamplePoints(data.sessionConfig.maxSpins);
+  if (data.balancePercentiles.map(point => point.spin).join(',') !== points.join(',') ||
+      points[points.length - 1] !== data.sessionConfig.maxSpins) {
+    console.error(`❌ FAIL: 取樣點 ${data.balancePercentiles.map(point => point.spin)} 不正確`);
+    return false;
+  }
+  const tables = data.balancePercentiles.concat([data.finalBalancePercentiles, data.lengthPercentiles]);
+  for (const table of tables) {
+    if (!(table[5] <= table[25] && table[25] <= table[50] && table[50] <= table[75] && table[75] <= table[95])) {
+      console.error(`❌ FAIL: 百分位不遞增: ${JSON.stringify(table)}`);
+      return false;
+    }
+  }
+  // 最後一個取樣點（maxSpins）的餘額即為最終餘額
+  const last = data.balancePercentiles[data.balancePercentiles.length - 1];
+  if ([5, 25, 50, 75, 95].some(p => last[p] !== data.finalBalancePercentiles[p])) {
+    console.error('❌ FAIL: maxSpins 取樣點的百分位應等於最終餘額百分位');
+    return false;
+  }
+
+  const wagered = results.reduce((sum, session) => sum + session.spins, 0) * data.bet;
+  const returned = results.reduce((sum, session) => sum + session.finalBalance - data.sessionConfig.startingBalance, 0) + wagered;
+  if (Math.abs(data.rtp - returned / wagered * 100) > 1e-9) {
+    console.error(`❌ FAIL: Session RTP ${data.rtp} 不正確`);
+    return false;
+  }
+
+  console.log(`   Feature Session Rate ${data.featureSessionRate.toFixed(2)}%，Median Length ${data.medianLength}，RTP ${data.rtp.toFixed(2)}%`);
+  console.log('✅ PASS: 彙總統計正確');
+  return true;
+}
+
+/**
+ * 測試 5: Validator
+ */
+function test5_ValidatorErrors() {
+  console.log('📋 Test 5: Validator 回報 sessionConfig 錯誤');
+
+  const cases = [
+    { name: 'sessions 非正整數', sessionConfig: { sessions: 0 }, expected: 'sessionConfig.sessions' },
+    { name: 'maxSpins 非正整數', sessionConfig: { maxSpins: 1.5 }, expected: 'sessionConfig.maxSpins' },
+    { name: 'startingBalance 小於 bet', sessionConfig: { startingBalance: 0.5 }, expected: '不得小於 bet' },
+    { name: 'stopLoss 非正數', sessionConfig: { stopLoss: -10 }, expected: 'sessionConfig.stopLoss' },
+    { name: 'stopWin 非數字', sessionConfig: { stopWin: '100' }, expected: 'sessionConfig.stopWin' }
+  ];
+
+  const configPath = path.join(os.tmpdir(), `v1.6.16_${process.pid}_config.json`);
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadSessionConfig({ stopLoss: null })), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      fs.writeFileSync(configPath, JSON.stringify(loadSessionConfig(testCase.sessionConfig)), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.16 Acceptance Test: Player Session Simulation');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SESSIONS} sessions, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Round Hooks', fn: test1_RoundHooks },
+    { name: 'Test 2: Session Rules', fn: test2_SessionRules },
+    { name: 'Test 3: Session Seeds', fn: test3_SessionSeeds },
+    { name: 'Test 4: Aggregates', fn: test4_Aggregates },
+    { name: 'Test 5: Validator Errors', fn: test5_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_RoundHooks,
+  test2_SessionRules,
+  test3_SessionSeeds,
+  test4_Aggregates,
+  test5_ValidatorErrors
+};
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.17 Acceptance Test: Win Distribution Histogram & Volatility Index
+ *
+ * 必驗項目：
+ * 1. 區間邊界：0x 只含 0，其餘區間下限含、上限不含，1000x 以上歸入最後一個區間
+ * 2. 每次 Base Spin 的 Round Win（含 Feature Win）各自歸入一個區間，次數與贏分加總一致
+ * 3. 分布可序列化、合併，並可由 checkpoint 續跑
+ * 4. Volatility Index = Round Win 標準差 / bet，分級符合 VOLATILITY_CLASSES
+ * 5. 報表輸出直方圖與波動度分級
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { printReport } = require('../../reporter');
+const { loadCheckpoint } = require('../../checkpoint');
+const {
+  WinDistribution,
+  WIN_DISTRIBUTION_BUCKETS,
+  winBucketIndex,
+  classifyVolatility
+} = require('../../stats');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 20000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * 測試 1: 區間邊界
+ */
+function test1_BucketBoundaries() {
+  console.log('📋 Test 1: 區間邊界');
+
+  const cases = [
+    [0, '0x'], [0.5, '0-1x'], [1, '1-2x'], [1.99, '1-2x'], [2, '2-5x'],
+    [49.5, '20-50x'], [50, '50-100x'], [999.99, '500-1000x'], [1000, '1000x+'], [25000, '1000x+']
+  ];
+  for (const [winInBets, label] of cases) {
+    const actual = WIN_DISTRIBUTION_BUCKETS[winBucketIndex(winInBets)].label;
+    if (actual !== label) {
+      console.error(`❌ FAIL: ${winInBets}x 歸入 ${actual}，應為 ${label}`);
+      return false;
+    }
+  }
+
+  // 以 bet 倍數分組：bet = 2 時贏分 3 為 1.5x
+  const distribution = new WinDistribution();
+  distribution.push(3, 2);
+  distribution.push(0, 2);
+  if (distribution.counts[winBucketIndex(1.5)] !== 1 || distribution.counts[0] !== 1 || distribution.count !== 2) {
+    console.error(`❌ FAIL: 依 bet 倍數分組錯誤: ${JSON.stringify(distribution.counts)}`);
+    return false;
+  }
+
+  console.log('✅ PASS: 區間邊界正確');
+  return true;
+}
+
+/**
+ * 測試 2: 模擬的分布
+ */
+function test2_SimulatedDistribution() {
+  console.log('📋 Test 2: 每次 Base Spin 的 Round Win 歸入對應區間');
+
+  const config = loadConfig();
+  const bet = config.betConfig.baseBet;
+  const expected = WIN_DISTRIBUTION_BUCKETS.map(() => 0);
+  const result = simulate(CONFIG_PATH, TEST_SPINS, null, true, false, config, TEST_SEED, {
+    quiet: true,
+    onRoundSettled: roundWin => {
+      expected[winBucketIndex(roundWin / bet)]++;
+      return false;
+    }
+  }).result;
+  const distribution = result.winDistribution;
+
+  if (distribution.counts.join(',') !== expected.join(',')) {
+    console.error(`❌ FAIL: 區間次數 ${distribution.counts}，應為 ${expected}`);
+    return false;
+  }
+  if (distribution.count !== result.baseGameSpins) {
+    console.error(`❌ FAIL: 區間次數加總 ${distribution.count} ≠ Base Spins ${result.baseGameSpins}`);
+    return false;
+  }
+  const totalWin = distribution.wins.reduce((sum, win) => sum + win, 0);
+  if (totalWin !== result.totalWin) {
+    console.error(`❌ FAIL: 區間贏分加總 ${totalWin} ≠ Total Win ${result.totalWin}`);
+    return false;
+  }
+
+  console.log(`   ${WIN_DISTRIBUTION_BUCKETS.map((bucket, i) => `${bucket.label}=${distribution.counts[i]}`).join(', ')}`);
+  console.log('✅ PASS: 模擬的分布正確');
+  return true;
+}
+
+/**
+ * 測試 3: 序列化、合併與 checkpoint 續跑
+ */
+function test3_MergeAndResume() {
+  console.log('📋 Test 3: 序列化、合併與 checkpoint 續跑');
+
+  const config = loadConfig();
+  const first = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true }).result;
+  const second = simulate(CONFIG_PATH, 2000, null, true, false, config, TEST_SEED + 1, { quiet: true }).result;
+
+  const restored = SimulationResult.fromJSON(JSON.parse(JSON.stringify(first.toJSON())));
+  if (!(restored.winDistribution instanceof WinDistribution) ||
+      JSON.stringify(restored.winDistribution) !== JSON.stringify(first.winDistribution)) {
+    console.error('❌ FAIL: toJSON / fromJSON 後分布不一致');
+    return false;
+  }
+
+  const merged = SimulationResult.merge([first, second]).winDistribution;
+  const countsOk = merged.counts.every((count, i) => count === first.winDistribution.counts[i] + second.winDistribution.counts[i]);
+  const winsOk = merged.wins.every((win, i) => win === first.winDistribution.wins[i] + second.winDistribution.wins[i]);
+  if (!countsOk || !winsOk || merged.count !== 5000) {
+    console.error(`❌ FAIL: 合併後分布 ${merged.counts} 不等於各部分加總`);
+    return false;
+  }
+
+  const ckptPath = path.join(os.tmpdir(), `v1.6.17_${process.pid}_run.ckpt`);
+  try {
+    simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true, checkpoint: { path: ckptPath, interval: 1700 } });
+    const resumed = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+      quiet: true,
+      resume: loadCheckpoint(ckptPath)
+    }).result;
+    if (JSON.stringify(resumed.winDistribution) !== JSON.stringify(first.winDistribution)) {
+      console.error('❌ FAIL: checkpoint 續跑後分布與不中斷執行不一致');
+      return false;
+    }
+  } finally {
+    if (fs.existsSync(ckptPath)) fs.unlinkSync(ckptPath);
+  }
+
+  console.log('✅ PASS: 序列化、合併與續跑正確');
+  return true;
+}
+
+/**
+ * 測試 4: Volatility Index 與分級
+ */
+function test4_VolatilityClass() {
+  console.log('📋 Test 4: Volatility Index 與分級');
+
+  const cases = [[0, 'LOW'], [4.99, 'LOW'], [5, 'MEDIUM'], [9.99, 'MEDIUM'], [10, 'HIGH'], [20, 'VERY_HIGH'], [150, 'VERY_HIGH']];
+  for (const [stdDev, label] of cases) {
+    if (classifyVolatility(stdDev) !== label) {
+      console.error(`❌ FAIL: σ=${stdDev} 分級為 ${classifyVolatility(stdDev)}，應為 ${label}`);
+      return false;
+    }
+  }
+
+  // 下注金額不影響以 bet 倍數表示的波動度
+  const config = loadConfig();
+  const bet1 = simulate(CONFIG_PATH, 5000, 1, true, false, config, TEST_SEED, { quiet: true }).result;
+  const bet10 = simulate(CONFIG_PATH, 5000, 10, true, false, config, TEST_SEED, { quiet: true }).result;
+  const index1 = bet1.roundWinStats.stdDev / 1;
+  const index10 = bet10.roundWinStats.stdDev / 10;
+  if (Math.abs(index1 - index10) > 1e-9 || bet1.winDistribution.counts.join(',') !== bet10.winDistribution.counts.join(',')) {
+    console.error(`❌ FAIL: bet 1 與 bet 10 的波動度不同（${index1} vs ${index10}）`);
+    return false;
+  }
+
+  console.log(`   Volatility Index ${index1.toFixed(4)} → ${classifyVolatility(index1)}`);
+  console.log('✅ PASS: Volatility 分級正確');
+  return true;
+}
+
+/**
+ * 測試 5: 報表輸出
+ */
+function test5_ReportOutput() {
+  console.log('📋 Test 5: 報表輸出直方圖與波動度分級');
+
+  const config = loadConfig();
+  const simulationData = simulate(CONFIG_PATH, 5000, null, true, false, config, TEST_SEED, { quiet: true });
+  const result = simulationData.result;
+
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    printReport(result, config, simulationData.spinDetails, simulationData.stateTransitions, 5000, CONFIG_PATH);
+  } finally {
+    console.log = originalLog;
+  }
+
+  const output = lines.join('\n');
+  const volatilityIndex = result.roundWinStats.stdDev / config.betConfig.baseBet;
+  const required = [
+    '📈 贏分分布',
+    `Volatility Index (σ of Win / Bet): ${volatilityIndex.toFixed(4)}`,
+    `Volatility Class: ${classifyVolatility(volatilityIndex)}`
+  ];
+  for (const text of required) {
+    if (!output.includes(text)) {
+      console.error(`❌ FAIL: 報表缺少「${text}」`);
+      return false;
+    }
+  }
+  for (const [index, bucket] of WIN_DISTRIBUTION_BUCKETS.entries()) {
+    const row = lines.find(line => line.trim().startsWith(`${bucket.label} `));
+    const hasBar = row !== undefined && row.includes('█');
+    if (row === undefined || hasBar !== (result.winDistribution.counts[index] > 0)) {
+      console.error(`❌ FAIL: 區間 ${bucket.label} 的直方圖列不正確: ${row}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: 報表輸出正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.17 Acceptance Test: Win Distribution Histogram & Volatility Index');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Bucket Boundaries', fn: test1_BucketBoundaries },
+    { name: 'Test 2: Simulated Distribution', fn: test2_SimulatedDistribution },
+    { name: 'Test 3: Merge And Resume', fn: test3_MergeAndResume },
+    { name: 'Test 4: Volatility Class', fn: test4_VolatilityClass },
+    { name: 'Test 5: Report Output', fn: test5_ReportOutput }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_BucketBoundaries,
+  test2_SimulatedDistribution,
+  test3_MergeAndResume,
+  test4_VolatilityClass,
+  test5_ReportOutput
+};
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.18 Acceptance Test: Max Win Tracking & Max Win Cap
+ *
+ * 必驗項目：
+ * 1. maxSpinWin / maxFeatureWin / maxRoundWin 等於逐 spin 記錄計算的最大值（同分取最早出現者）
+ * 2. 以紀錄的 seed 執行 baseSpin + 1 次 Base Spin 可重現相同紀錄
+ * 3. betConfig.maxWinCap：每個 Round 的贏分 = min(未設上限的贏分, 上限)，達到上限次數與截去贏分正確；
+ *    截斷的 spin 的 WinEvent 總和等於實際派彩（metadata.capped）
+ * 4. 合併時取最大者並保留該 shard 的 seed；checkpoint 續跑結果一致
+ * 5. Validator 與報表
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { printReport } = require('../../reporter');
+const { loadCheckpoint } = require('../../checkpoint');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 20000;
+const TEST_CAP = 50;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadConfig(maxWinCap) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  if (maxWinCap !== undefined) {
+    config.betConfig.maxWinCap = maxWinCap;
+  }
+  return config;
+}
+
+/**
+ * 執行模擬並收集每個 Round 的贏分
+ */
+function runWithRounds(config, spins, seed, options = {}) {
+  const roundWins = [];
+  const simulationData = simulate(CONFIG_PATH, spins, null, true, options.csv === true, config, seed, {
+    quiet: true,
+    finishFeature: true,
+    onRoundSettled: roundWin => {
+      roundWins.push(roundWin);
+      return false;
+    }
+  });
+  return { simulationData, result: simulationData.result, roundWins };
+}
+
+/**
+ * 測試 1: 最大贏分等於逐 spin 記錄計算的值
+ */
+function test1_MatchesSpinLog() {
+  console.log('📋 Test 1: 最大贏分等於逐 spin 記錄計算的值');
+
+  const { simulationData, result, roundWins } = runWithRounds(loadConfig(), TEST_SPINS, TEST_SEED, { csv: true });
+  const spinLog = simulationData.spinLog;
+
+  let maxSpin = null;
+  const featureWins = {};
+  spinLog.forEach(entry => {
+    if (entry.winAmount > 0 && (maxSpin === null || entry.winAmount > maxSpin.winAmount)) {
+      maxSpin = entry;
+    }
+    if (entry.state !== 'BASE') {
+      featureWins[entry.baseSpinIndex] = (featureWins[entry.baseSpinIndex] || 0) + entry.winAmount;
+    }
+  });
+  const maxRound = Math.max(...roundWins);
+  const maxFeature = Math.max(...Object.values(featureWins));
+  const maxFeatureBaseSpin = Number(Object.keys(featureWins).find(baseSpin => featureWins[baseSpin] === maxFeature));
+  const triggerEntry = spinLog.find(entry => entry.state === 'BASE' && entry.baseSpinIndex === maxFeatureBaseSpin);
+
+  const checks = [
+    ['maxSpinWin', result.maxSpinWin, { win: maxSpin.winAmount, spinIndex: maxSpin.globalSpinIndex, baseSpin: maxSpin.baseSpinIndex, state: maxSpin.state, outcomeId: maxSpin.outcomeId }],
+    ['maxFeatureWin', result.maxFeatureWin, { win: maxFeature, baseSpin: maxFeatureBaseSpin, spinIndex: triggerEntry.globalSpinIndex }],
+    ['maxRoundWin', result.maxRoundWin, { win: maxRound, baseSpin: roundWins.indexOf(maxRound) + 1 }]
+  ];
+  for (const [field, record, expected] of checks) {
+    const mismatch = Object.keys(expected).filter(key => record[key] !== expected[key]);
+    if (mismatch.length > 0 || record.seed !== String(TEST_SEED)) {
+      console.error(`❌ FAIL: ${field} ${JSON.stringify(record)}，應為 ${JSON.stringify(expected)}`);
+      return false;
+    }
+    console.log(`   ${field}: ${record.win} @ Base Spin #${record.baseSpin} (Spin #${record.spinIndex})`);
+  }
+
+  console.log('✅ PASS: 最大贏分正確');
+  return true;
+}
+
+/**
+ * 測試 2: 以紀錄的 seed 重現
+ */
+function test2_Replay() {
+  console.log('📋 Test 2: 以紀錄的 seed 執行 baseSpin + 1 次可重現');
+
+  const config = loadConfig();
+  const full = simulate(CONFIG_PATH, TEST_SPINS, null, true, false, config, TEST_SEED, { quiet: true }).result;
+  for (const field of ['maxSpinWin', 'maxFeatureWin', 'maxRoundWin']) {
+    const record = full[field];
+    const replay = simulate(CONFIG_PATH, record.baseSpin + 1, null, true, false, config, record.seed, { quiet: true }).result;
+    if (JSON.stringify(replay[field]) !== JSON.stringify(record)) {
+      console.error(`❌ FAIL: ${field} 重現結果 ${JSON.stringify(replay[field])}，應為 ${JSON.stringify(record)}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: 紀錄可重現');
+  return true;
+}
+
+/**
+ * 測試 3: maxWinCap
+ */
+function test3_MaxWinCap() {
+  console.log(`📋 Test 3: maxWinCap = ${TEST_CAP}x`);
+
+  const uncapped = runWithRounds(loadConfig(), TEST_SPINS, TEST_SEED);
+  const capped = runWithRounds(loadConfig(TEST_CAP), TEST_SPINS, TEST_SEED, { csv: true });
+  const capAmount = TEST_CAP * capped.simulationData.baseBet;
+
+  if (capped.roundWins.length !== uncapped.roundWins.length) {
+    console.error('❌ FAIL: Round 數不一致');
+    return false;
+  }
+  const mismatch = capped.roundWins.findIndex((win, i) => win !== Math.min(uncapped.roundWins[i], capAmount));
+  if (mismatch !== -1) {
+    console.error(`❌ FAIL: Round ${mismatch + 1} 贏分 ${capped.roundWins[mismatch]}，應為 min(${uncapped.roundWins[mismatch]}, ${capAmount})`);
+    return false;
+  }
+
+  const expectedHits = uncapped.roundWins.filter(win => win > capAmount).length;
+  const result = capped.result;
+  if (expectedHits === 0 || result.maxWinCapHitCount !== expectedHits) {
+    console.error(`❌ FAIL: 達到上限 ${result.maxWinCapHitCount} 次，應為 ${expectedHits} 次（且 > 0）`);
+    return false;
+  }
+  if (result.maxWinCapClampedWin !== uncapped.result.totalWin - result.totalWin) {
+    console.error(`❌ FAIL: 截去贏分 ${result.maxWinCapClampedWin} ≠ ${uncapped.result.totalWin} - ${result.totalWin}`);
+    return false;
+  }
+  if (result.maxRoundWin.win !== capAmount || result.maxSpinWin.win > capAmount || result.maxFeatureWin.win > capAmount) {
+    console.error(`❌ FAIL: 最大贏分超過上限 ${capAmount}`);
+    return false;
+  }
+  if (uncapped.result.maxWinCapHitCount !== 0 || uncapped.result.maxWinCapClampedWin !== 0) {
+    console.error('❌ FAIL: 未設定上限時不應有截去的贏分');
+    return false;
+  }
+
+  let cappedEvents = 0;
+  for (const entry of capped.simulationData.spinLog) {
+    const events = entry.eventsJson ? JSON.parse(entry.eventsJson) : [];
+    const eventTotal = events.reduce((sum, event) => sum + event.winAmount, 0);
+    if (eventTotal !== entry.winAmount) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 事件總和 ${eventTotal} ≠ 派彩 ${entry.winAmount}`);
+      return false;
+    }
+    cappedEvents += events.filter(event => event.metadata && event.metadata.capped === true).length;
+  }
+  if (cappedEvents === 0) {
+    console.error('❌ FAIL: 沒有任何標記 metadata.capped 的事件');
+    return false;
+  }
+
+  console.log(`   達到上限 ${expectedHits} 次（${cappedEvents} 個事件截斷），截去贏分 ${result.maxWinCapClampedWin}，RTP ${uncapped.result.rtp.toFixed(2)}% → ${result.rtp.toFixed(2)}%`);
+  console.log('✅ PASS: maxWinCap 正確');
+  return true;
+}
+
+/**
+ * 測試 4: 合併與 checkpoint 續跑
+ */
+function test4_MergeAndResume() {
+  console.log('📋 Test 4: 合併與 checkpoint 續跑');
+
+  const config = loadConfig(TEST_CAP);
+  const partials = [TEST_SEED, TEST_SEED + 1, TEST_SEED + 2].map(seed =>
+    simulate(CONFIG_PATH, 3000, null, true, false, config, seed, { quiet: true }).result
+  );
+  const merged = SimulationResult.merge(partials);
+  for (const field of ['maxSpinWin', 'maxFeatureWin', 'maxRoundWin']) {
+    const best = partials.map(partial => partial[field])
+      .filter(record => record !== null)
+      .reduce((max, record) => (max === null || record.win > max.win ? record : max), null);
+    if (JSON.stringify(merged[field]) !== JSON.stringify(best)) {
+      console.error(`❌ FAIL: 合併後 ${field} ${JSON.stringify(merged[field])}，應為 ${JSON.stringify(best)}`);
+      return false;
+    }
+  }
+  const hitSum = partials.reduce((sum, partial) => sum + partial.maxWinCapHitCount, 0);
+  const clampedSum = partials.reduce((sum, partial) => sum + partial.maxWinCapClampedWin, 0);
+  if (merged.maxWinCapHitCount !== hitSum || merged.maxWinCapClampedWin !== clampedSum) {
+    console.error('❌ FAIL: 合併後 maxWinCap 統計不等於各部分加總');
+    return false;
+  }
+
+  const ckptPath = path.join(os.tmpdir(), `v1.6.18_${process.pid}_run.ckpt`);
+  try {
+    simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true, checkpoint: { path: ckptPath, interval: 1700 } });
+    const resumed = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+      quiet: true,
+      resume: loadCheckpoint(ckptPath)
+    }).result;
+    if (JSON.stringify(resumed) !== JSON.stringify(partials[0])) {
+      console.error('❌ FAIL: checkpoint 續跑結果與不中斷執行不一致');
+      return false;
+    }
+  } finally {
+    if (fs.existsSync(ckptPath)) fs.unlinkSync(ckptPath);
+  }
+
+  console.log('✅ PASS: 合併與續跑正確');
+  return true;
+}
+
+/**
+ * 測試 5: Validator 與報表
+ */
+function test5_ValidatorAndReport() {
+  console.log('📋 Test 5: Validator 與報表');
+
+  const configPath = path.join(os.tmpdir(), `v1.6.18_${process.pid}_config.json`);
+  try {
+    for (const invalid of [0, -5, '5000']) {
+      fs.writeFileSync(configPath, JSON.stringify(loadConfig(invalid)), 'utf8');
+      const validation = validateConfig(configPath);
+      if (!validation.errors.some(message => message.includes('betConfig.maxWinCap'))) {
+        console.error(`❌ FAIL: maxWinCap = ${JSON.stringify(invalid)} 未回報錯誤`);
+        return false;
+      }
+    }
+    fs.writeFileSync(configPath, JSON.stringify(loadConfig(TEST_CAP)), 'utf8');
+    if (validateConfig(configPath).hasErrors()) {
+      console.error('❌ FAIL: 合法的 maxWinCap 被回報錯誤');
+      return false;
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  const config = loadConfig(TEST_CAP);
+  const simulationData = simulate(CONFIG_PATH, 5000, null, true, false, config, TEST_SEED, { quiet: true });
+  const result = simulationData.result;
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    printReport(result, config, simulationData.spinDetails, simulationData.stateTransitions, 5000, CONFIG_PATH);
+  } finally {
+    console.log = originalLog;
+  }
+
+  const output = lines.join('\n');
+  const required = [
+    `Max Round Win (Base + Feature): ${result.maxRoundWin.win.toLocaleString()}`,
+    `@ Base Spin #${result.maxRoundWin.baseSpin}`,
+    `seed ${TEST_SEED}`,
+    `Max Win Cap: ${TEST_CAP}x Bet`,
+    `達到上限 ${result.maxWinCapHitCount.toLocaleString()} 次`
+  ];
+  for (const text of required) {
+    if (!output.includes(text)) {
+      console.error(`❌ FAIL: 報表缺少「${text}」`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: Validator 與報表正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.18 Acceptance Test: Max Win Tracking & Max Win Cap');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}, maxWinCap=${TEST_CAP}x`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Matches Spin Log', fn: test1_MatchesSpinLog },
+    { name: 'Test 2: Replay', fn: test2_Replay },
+    { name: 'Test 3: Max Win Cap', fn: test3_MaxWinCap },
+    { name: 'Test 4: Merge And Resume', fn: test4_MergeAndResume },
+    { name: 'Test 5: Validator And Report', fn: test5_ValidatorAndReport }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_MatchesSpinLog,
+  test2_Replay,
+  test3_MaxWinCap,
+  test4_MergeAndResume,
+  test5_ValidatorAndReport
+};
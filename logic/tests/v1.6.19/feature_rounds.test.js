@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.19 Acceptance Test: Feature Round Statistics
+ *
+ * 必驗項目：
+ * 1. histogramPercentile() 以 nearest-rank 計算直方圖的百分位
+ * 2. 每個完整 Feature 的總贏分直方圖與 outcome 次數等於逐 spin 記錄計算的值
+ * 3. featureRoundSink 每個完整 Feature 寫出一列，內容與逐 spin 記錄一致
+ * 4. 統計可序列化、合併，並可由 checkpoint 續跑（featureRoundSink 續寫後與不中斷執行相同）
+ * 5. 報表輸出 Feature Round 統計
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { printReport } = require('../../reporter');
+const { loadCheckpoint } = require('../../checkpoint');
+const { histogramPercentile } = require('../../stats');
+const { createFeatureRoundSink, FEATURE_ROUND_CSV_HEADER } = require('../../csvExporter');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 20000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * 以逐 spin 記錄計算每個 Feature Round（觸發的 Base Spin → 總贏分、spin 數、outcome 次數）
+ * 一個 Base Spin 最多觸發一個 Feature，因此以 baseSpinIndex 分組
+ */
+function roundsFromSpinLog(spinLog) {
+  const rounds = new Map();
+  spinLog.forEach(entry => {
+    if (entry.state === 'BASE') {
+      return;
+    }
+    if (!rounds.has(entry.baseSpinIndex)) {
+      const trigger = spinLog.find(e => e.state === 'BASE' && e.baseSpinIndex === entry.baseSpinIndex);
+      rounds.set(entry.baseSpinIndex, {
+        baseSpinIndex: entry.baseSpinIndex,
+        triggerSpinIndex: trigger.globalSpinIndex,
+        triggerOutcomeId: trigger.outcomeId,
+        spins: 0,
+        totalWin: 0,
+        outcomeCounts: {}
+      });
+    }
+    const round = rounds.get(entry.baseSpinIndex);
+    round.spins++;
+    round.totalWin += entry.winAmount;
+    round.outcomeCounts[entry.outcomeId] = (round.outcomeCounts[entry.outcomeId] || 0) + 1;
+  });
+  return Array.from(rounds.values());
+}
+
+/**
+ * 測試 1: histogramPercentile
+ */
+function test1_HistogramPercentile() {
+  console.log('📋 Test 1: histogramPercentile 以 nearest-rank 計算');
+
+  // 樣本: 0 ×4, 10 ×3, 50 ×2, 200 ×1
+  const counts = { 200: 1, 0: 4, 50: 2, 10: 3 };
+  const cases = [[0, 0], [5, 0], [40, 0], [41, 10], [50, 10], [70, 10], [71, 50], [90, 50], [91, 200], [100, 200]];
+  for (const [percentile, expected] of cases) {
+    const actual = histogramPercentile(counts, percentile);
+    if (actual !== expected) {
+      console.error(`❌ FAIL: P${percentile} = ${actual}，應為 ${expected}`);
+      return false;
+    }
+  }
+  if (histogramPercentile({}, 50) !== 0) {
+    console.error('❌ FAIL: 無樣本時應為 0');
+    return false;
+  }
+
+  console.log('✅ PASS: 百分位正確');
+  return true;
+}
+
+/**
+ * 測試 2: 統計等於逐 spin 記錄計算的值
+ */
+function test2_MatchesSpinLog() {
+  console.log('📋 Test 2: 總贏分直方圖與 outcome 次數等於逐 spin 記錄計算的值');
+
+  const simulationData = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, loadConfig(), TEST_SEED, {
+    quiet: true,
+    finishFeature: true
+  });
+  const result = simulationData.result;
+  const rounds = roundsFromSpinLog(simulationData.spinLog);
+
+  const expectedWins = {};
+  const expectedOutcomes = {};
+  rounds.forEach(round => {
+    expectedWins[round.totalWin] = (expectedWins[round.totalWin] || 0) + 1;
+    Object.keys(round.outcomeCounts).forEach(outcomeId => {
+      expectedOutcomes[outcomeId] = (expectedOutcomes[outcomeId] || 0) + round.outcomeCounts[outcomeId];
+    });
+  });
+
+  if (rounds.length === 0) {
+    console.error('❌ FAIL: 模擬中沒有觸發 Feature');
+    return false;
+  }
+  if (JSON.stringify(result.featureRoundWinCounts) !== JSON.stringify(expectedWins)) {
+    console.error(`❌ FAIL: featureRoundWinCounts ${JSON.stringify(result.featureRoundWinCounts)}，應為 ${JSON.stringify(expectedWins)}`);
+    return false;
+  }
+  const outcomeIds = Object.keys(expectedOutcomes);
+  if (Object.keys(result.featureRoundOutcomeCounts).length !== outcomeIds.length ||
+      outcomeIds.some(outcomeId => result.featureRoundOutcomeCounts[outcomeId] !== expectedOutcomes[outcomeId])) {
+    console.error(`❌ FAIL: featureRoundOutcomeCounts ${JSON.stringify(result.featureRoundOutcomeCounts)}，應為 ${JSON.stringify(expectedOutcomes)}`);
+    return false;
+  }
+
+  // 完成的 Feature 數與 Feature 長度分布一致；贏分加總等於 Feature Win（finishFeature 保證最後一個 Feature 完成）
+  const roundCount = Object.values(result.featureRoundWinCounts).reduce((sum, count) => sum + count, 0);
+  const lengthCount = Object.values(result.featureLengthCounts).reduce((sum, count) => sum + count, 0);
+  const totalWin = Object.keys(result.featureRoundWinCounts).reduce((sum, win) => sum + Number(win) * result.featureRoundWinCounts[win], 0);
+  if (roundCount !== lengthCount || Math.abs(totalWin - result.featureWin) > 1e-9) {
+    console.error(`❌ FAIL: Rounds ${roundCount}（Feature 長度分布 ${lengthCount}），贏分加總 ${totalWin}（Feature Win ${result.featureWin}）`);
+    return false;
+  }
+
+  console.log(`   Rounds: ${roundCount}, Feature Win: ${result.featureWin}`);
+  console.log('✅ PASS: 統計正確');
+  return true;
+}
+
+/**
+ * 測試 3: featureRoundSink 的 CSV
+ */
+function test3_RoundsCsv() {
+  console.log('📋 Test 3: featureRoundSink 每個完整 Feature 寫出一列');
+
+  const config = loadConfig();
+  const bet = config.betConfig.baseBet;
+  const csvPath = path.join(os.tmpdir(), `v1.6.19_${process.pid}_rounds.csv`);
+  try {
+    const sink = createFeatureRoundSink(csvPath);
+    let simulationData;
+    try {
+      simulationData = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, {
+        quiet: true,
+        finishFeature: true,
+        featureRoundSink: sink
+      });
+    } finally {
+      sink.close();
+    }
+    const rounds = roundsFromSpinLog(simulationData.spinLog);
+
+    const lines = fs.readFileSync(csvPath, 'utf8').split('\n').filter(line => line !== '');
+    if (lines[0] !== FEATURE_ROUND_CSV_HEADER || lines.length - 1 !== rounds.length) {
+      console.error(`❌ FAIL: CSV 共 ${lines.length - 1} 列（header: ${lines[0]}），應為 ${rounds.length} 列`);
+      return false;
+    }
+
+    for (let i = 0; i < rounds.length; i++) {
+      const round = rounds[i];
+      const expected = [
+        i + 1,
+        round.baseSpinIndex,
+        round.triggerSpinIndex,
+        round.triggerOutcomeId,
+        round.spins,
+        0,  // design.json 沒有 retrigger
+        round.totalWin,
+        round.totalWin / bet,
+        Object.keys(round.outcomeCounts).map(outcomeId => `${outcomeId}:${round.outcomeCounts[outcomeId]}`).join('|')
+      ].join(',');
+      if (lines[i + 1] !== expected) {
+        console.error(`❌ FAIL: 第 ${i + 1} 列 ${lines[i + 1]}，應為 ${expected}`);
+        return false;
+      }
+    }
+    console.log(`   ${rounds.length} rounds, 第 1 列: ${lines[1]}`);
+  } finally {
+    if (fs.existsSync(csvPath)) fs.unlinkSync(csvPath);
+  }
+
+  console.log('✅ PASS: CSV 正確');
+  return true;
+}
+
+/**
+ * 測試 4: 序列化、合併與 checkpoint 續跑
+ */
+function test4_MergeAndResume() {
+  console.log('📋 Test 4: 序列化、合併與 checkpoint 續跑');
+
+  const config = loadConfig();
+  const first = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true }).result;
+  const second = simulate(CONFIG_PATH, 2000, null, true, false, config, TEST_SEED + 1, { quiet: true }).result;
+
+  const restored = SimulationResult.fromJSON(JSON.parse(JSON.stringify(first.toJSON())));
+  for (const field of ['featureRoundWinCounts', 'featureRoundOutcomeCounts']) {
+    if (JSON.stringify(restored[field]) !== JSON.stringify(first[field])) {
+      console.error(`❌ FAIL: toJSON / fromJSON 後 ${field} 不一致`);
+      return false;
+    }
+    const merged = SimulationResult.merge([first, second])[field];
+    const keys = new Set(Object.keys(first[field]).concat(Object.keys(second[field])));
+    for (const key of keys) {
+      if (merged[key] !== (first[field][key] || 0) + (second[field][key] || 0)) {
+        console.error(`❌ FAIL: 合併後 ${field}[${key}] = ${merged[key]}，不等於各部分加總`);
+        return false;
+      }
+    }
+  }
+
+  // 中斷點落在 Feature 進行中時，續跑後 outcome 次數仍需完整
+  const ckptPath = path.join(os.tmpdir(), `v1.6.19_${process.pid}_run.ckpt`);
+  const fullCsvPath = path.join(os.tmpdir(), `v1.6.19_${process.pid}_full_rounds.csv`);
+  const resumedCsvPath = path.join(os.tmpdir(), `v1.6.19_${process.pid}_resumed_rounds.csv`);
+  try {
+    simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true, checkpoint: { path: ckptPath, interval: 23 } });
+    const resumed = simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+      quiet: true,
+      resume: loadCheckpoint(ckptPath)
+    }).result;
+    for (const field of ['featureRoundWinCounts', 'featureRoundOutcomeCounts']) {
+      if (JSON.stringify(resumed[field]) !== JSON.stringify(first[field])) {
+        console.error(`❌ FAIL: checkpoint 續跑後 ${field} 與不中斷執行不一致`);
+        return false;
+      }
+    }
+
+    // featureRoundSink: checkpoint 記錄每輪計數與寫入位置，續跑後 CSV 與不中斷執行相同
+    const fullSink = createFeatureRoundSink(fullCsvPath);
+    try {
+      simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, { quiet: true, featureRoundSink: fullSink });
+    } finally {
+      fullSink.close();
+    }
+    const interruptedSink = createFeatureRoundSink(resumedCsvPath);
+    try {
+      simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+        quiet: true,
+        checkpoint: { path: ckptPath, interval: 23 },
+        featureRoundSink: interruptedSink
+      });
+    } finally {
+      interruptedSink.close();
+    }
+    const checkpoint = loadCheckpoint(ckptPath);
+    const resumedSink = createFeatureRoundSink(resumedCsvPath, { resume: checkpoint.roundsCsv });
+    try {
+      simulate(CONFIG_PATH, 3000, null, true, false, config, TEST_SEED, {
+        quiet: true,
+        resume: checkpoint,
+        featureRoundSink: resumedSink
+      });
+    } finally {
+      resumedSink.close();
+    }
+    const fullCsv = fs.readFileSync(fullCsvPath, 'utf8');
+    if (fs.readFileSync(resumedCsvPath, 'utf8') !== fullCsv) {
+      console.error('❌ FAIL: checkpoint 續跑後 Feature Round CSV 與不中斷執行不一致');
+      return false;
+    }
+    console.log(`   續跑 Feature Round CSV: ${fullCsv.split('\n').filter(line => line !== '').length - 1} 列，與不中斷執行相同`);
+  } finally {
+    for (const filePath of [ckptPath, fullCsvPath, resumedCsvPath]) {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }
+  }
+
+  console.log('✅ PASS: 序列化、合併與續跑正確');
+  return true;
+}
+
+/**
+ * 測試 5: 報表輸出
+ */
+function test5_ReportOutput() {
+  console.log('📋 Test 5: 報表輸出 Feature Round 統計');
+
+  const config = loadConfig();
+  const simulationData = simulate(CONFIG_PATH, 5000, null, true, false, config, TEST_SEED, { quiet: true });
+  const result = simulationData.result;
+  const bet = config.betConfig.baseBet;
+
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    printReport(result, config, simulationData.spinDetails, simulationData.stateTransitions, 5000, CONFIG_PATH);
+  } finally {
+    console.log = originalLog;
+  }
+
+  const output = lines.join('\n');
+  const rounds = Object.values(result.featureRoundWinCounts).reduce((sum, count) => sum + count, 0);
+  const required = [
+    'Feature Round 統計',
+    `Rounds: ${rounds.toLocaleString()}`,
+    `Median Round Win: ${(histogramPercentile(result.featureRoundWinCounts, 50) / bet).toFixed(2)}x Bet`,
+    'P95',
+    '< 1x Bet'
+  ];
+  for (const text of required) {
+    if (!output.includes(text)) {
+      console.error(`❌ FAIL: 報表缺少「${text}」`);
+      return false;
+    }
+  }
+  for (const outcomeId of Object.keys(result.featureRoundOutcomeCounts)) {
+    if (!lines.some(line => line.trim().startsWith(outcomeId))) {
+      console.error(`❌ FAIL: outcome 組成缺少 ${outcomeId}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: 報表輸出正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.19 Acceptance Test: Feature Round Statistics');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Histogram Percentile', fn: test1_HistogramPercentile },
+    { name: 'Test 2: Matches Spin Log', fn: test2_MatchesSpinLog },
+    { name: 'Test 3: Rounds CSV', fn: test3_RoundsCsv },
+    { name: 'Test 4: Merge And Resume', fn: test4_MergeAndResume },
+    { name: 'Test 5: Report Output', fn: test5_ReportOutput }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_HistogramPercentile,
+  test2_MatchesSpinLog,
+  test3_RoundsCsv,
+  test4_MergeAndResume,
+  test5_ReportOutput
+};
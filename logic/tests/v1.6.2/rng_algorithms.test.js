@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.2 Acceptance Test: Pluggable PRNG Algorithms
+ *
+ * 必驗項目：
+ * 1. 各演算法通過官方參考向量（xoshiro256** / PCG32 / ChaCha20 RFC 7539）
+ * 2. lcg-legacy 與 v1.5.0 LCG 公式 bitwise identical
+ * 3. getState / setState 可完整還原序列（所有演算法）
+ * 4. 每個演算法在相同 seed 下模擬結果可重現，且不同演算法產生不同序列
+ * 5. 不支援的演算法名稱立即拋錯
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { simulate } = require('../../simulate');
+const { RNG } = require('../../rng');
+const {
+  RNG_ENGINES,
+  Xoshiro256StarStarEngine,
+  Pcg32Engine,
+  ChaCha20Engine
+} = require('../../rngEngines');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 500;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+/**
+ * 測試 1: 官方參考向量
+ */
+function test1_ReferenceVectors() {
+  console.log('📋 Test 1: 官方參考向量');
+
+  // xoshiro256**: state = [1, 2, 3, 4]
+  const xoshiro = new Xoshiro256StarStarEngine(0);
+  xoshiro.setState({ s: ['1', '2', '3', '4'] });
+  const xoshiroOut = [0, 1, 2, 3].map(() => xoshiro.next64().toString());
+  const xoshiroExpected = ['11520', '0', '1509978240', '1215971899390074240'];
+
+  // PCG32: pcg32_srandom_r(42, 54)
+  const pcg = new Pcg32Engine(0);
+  pcg.seedWith(42n, 54n);
+  const pcgOut = [0, 1, 2, 3, 4, 5].map(() => pcg.nextUint32());
+  const pcgExpected = [0xa15c02b7, 0x7b47f409, 0xba1d3330, 0x83d2f293, 0xbfa4784b, 0xcbed606e];
+
+  // ChaCha20: RFC 7539 2.3.2（key = 00..1f, nonce = 00 00 00 09 00 00 00 4a 00 00 00 00, counter = 1）
+  const chacha = new ChaCha20Engine(0);
+  chacha.setState({
+    key: [0x03020100, 0x07060504, 0x0b0a0908, 0x0f0e0d0c, 0x13121110, 0x17161514, 0x1b1a1918, 0x1f1e1d1c],
+    nonce: [0x09000000, 0x4a000000, 0x00000000],
+    counter: 1,
+    index: 16
+  });
+  const chachaOut = [0, 1, 2, 3].map(() => chacha.nextUint32());
+  const chachaExpected = [0xe4e7f110, 0x15593bd1, 0x1fdd0f50, 0xc47120a3];
+
+  const checks = [
+    { name: 'xoshiro256**', actual: xoshiroOut, expected: xoshiroExpected },
+    { name: 'pcg32', actual: pcgOut, expected: pcgExpected },
+    { name: 'chacha20', actual: chachaOut, expected: chachaExpected }
+  ];
+  const failed = checks.filter(c => JSON.stringify(c.actual) !== JSON.stringify(c.expected));
+  if (failed.length > 0) {
+    failed.forEach(c => {
+      console.error(`❌ FAIL: ${c.name} expected=${JSON.stringify(c.expected)}, actual=${JSON.stringify(c.actual)}`);
+    });
+    return false;
+  }
+
+  console.log('✅ PASS: xoshiro256** / pcg32 / chacha20 參考向量一致');
+  return true;
+}
+
+/**
+ * 測試 2: lcg-legacy 與 v1.5.0 LCG 公式一致
+ */
+function test2_LcgLegacyBitwise() {
+  console.log('📋 Test 2: lcg-legacy 與 v1.5.0 LCG 公式 bitwise identical');
+
+  const seeds = ['12345', '0', 7, 2147483647, 4294967295];
+  for (const seed of seeds) {
+    const rng = new RNG(seed);
+    const explicit = new RNG(seed, { algorithm: 'lcg-legacy' });
+
+    // v1.5.0 原始實作
+    const seedNum = typeof seed === 'string' ? rng._hashString(seed) : Number(seed);
+    let state = Math.floor(Math.abs(seedNum)) % 2147483647;
+    if (state === 0) state = 1;
+
+    for (let i = 0; i < 1000; i++) {
+      state = (1664525 * state + 1013904223) % 0x100000000;
+      const expected = state / 0x100000000;
+      const a = rng.random();
+      const b = explicit.random();
+      if (a !== expected || b !== expected) {
+        console.error(`❌ FAIL: seed=${seed}, i=${i}, expected=${expected}, default=${a}, explicit=${b}`);
+        return false;
+      }
+    }
+  }
+
+  console.log(`✅ PASS: ${seeds.length} 個 seed × 1000 次輸出完全一致`);
+  return true;
+}
+
+/**
+ * 測試 3: getState / setState 還原序列
+ */
+function test3_StateRoundTrip() {
+  console.log('📋 Test 3: getState / setState 還原序列');
+
+  for (const algorithm of Object.keys(RNG_ENGINES)) {
+    const rng = new RNG(TEST_SEED, { algorithm });
+    for (let i = 0; i < 37; i++) rng.random();
+
+    // 經過 JSON 序列化（checkpoint 用途）
+    const snapshot = JSON.parse(JSON.stringify(rng.getState()));
+    const expected = Array.from({ length: 50 }, () => rng.random());
+
+    const restored = new RNG(999, { algorithm });
+    restored.setState(snapshot);
+    const actual = Array.from({ length: 50 }, () => restored.random());
+
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      console.error(`❌ FAIL: ${algorithm} 還原後序列不一致`);
+      return false;
+    }
+    const outOfRange = actual.find(v => v < 0 || v >= 1);
+    if (outOfRange !== undefined) {
+      console.error(`❌ FAIL: ${algorithm} 產生超出 [0, 1) 的值: ${outOfRange}`);
+      return false;
+    }
+  }
+
+  console.log(`✅ PASS: ${Object.keys(RNG_ENGINES).join(', ')} 皆可完整還原`);
+  return true;
+}
+
+/**
+ * 測試 4: 模擬可重現且演算法間相互獨立
+ */
+function test4_SimulationDeterminism() {
+  console.log('📋 Test 4: 各演算法模擬可重現');
+
+  const baseConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  const fingerprints = {};
+
+  for (const algorithm of Object.keys(RNG_ENGINES)) {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    config.rngConfig = { algorithm };
+
+    const runA = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED);
+    const runB = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED);
+    const fingerprintA = JSON.stringify(runA.spinLog);
+    const fingerprintB = JSON.stringify(runB.spinLog);
+
+    if (fingerprintA !== fingerprintB) {
+      console.error(`❌ FAIL: ${algorithm} 相同 seed 兩次模擬結果不一致`);
+      return false;
+    }
+    if (runA.result.rngAlgorithm !== algorithm) {
+      console.error(`❌ FAIL: result.rngAlgorithm=${runA.result.rngAlgorithm}, expected=${algorithm}`);
+      return false;
+    }
+    fingerprints[algorithm] = fingerprintA;
+  }
+
+  const unique = new Set(Object.values(fingerprints));
+  if (unique.size !== Object.keys(fingerprints).length) {
+    console.error('❌ FAIL: 不同演算法產生相同的 spinLog');
+    return false;
+  }
+
+  console.log(`✅ PASS: ${unique.size} 個演算法各自可重現且互不相同`);
+  return true;
+}
+
+/**
+ * 測試 5: 不支援的演算法立即拋錯
+ */
+function test5_UnknownAlgorithm() {
+  console.log('📋 Test 5: 不支援的演算法立即拋錯');
+
+  for (const seed of [null, TEST_SEED]) {
+    try {
+      new RNG(seed, { algorithm: 'mt19937' });
+      console.error(`❌ FAIL: seed=${seed} 未拋錯`);
+      return false;
+    } catch (error) {
+      if (!error.message.includes('mt19937')) {
+        console.error(`❌ FAIL: 錯誤訊息未包含演算法名稱: ${error.message}`);
+        return false;
+      }
+    }
+  }
+
+  console.log('✅ PASS: legacy 與 seeded mode 皆拋錯');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.2 Acceptance Test: Pluggable PRNG Algorithms');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Reference Vectors', fn: test1_ReferenceVectors },
+    { name: 'Test 2: LCG Legacy Bitwise', fn: test2_LcgLegacyBitwise },
+    { name: 'Test 3: State Round Trip', fn: test3_StateRoundTrip },
+    { name: 'Test 4: Simulation Determinism', fn: test4_SimulationDeterminism },
+    { name: 'Test 5: Unknown Algorithm', fn: test5_UnknownAlgorithm }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_ReferenceVectors,
+  test2_LcgLegacyBitwise,
+  test3_StateRoundTrip,
+  test4_SimulationDeterminism,
+  test5_UnknownAlgorithm
+};
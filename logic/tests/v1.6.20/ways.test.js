@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.20 Acceptance Test: Ways-to-win Evaluation & WAYS Pattern Generation
+ *
+ * 必驗項目：
+ * 1. waysMatcher：由最左輪連續計算，ways = 各輪符合格數的乘積（含 Wild 替代，3x5 最多 243 ways）
+ * 2. Evaluator（ways 模式，經由 simulate）：WAYS 事件的 matchCount / ways 與 paytable 派彩（每 way 賠率 × ways × bet）
+ * 3. PatternGenerator：WAYS anchors 只在前 matchCount 輪，各輪數量乘積 = ways，且 deterministic
+ * 4. 模擬（STRICT）：ways 設定下盤面的 ways 與 Outcome 宣告一致（SINGLE / MULTI + paytable / allowWild）
+ * 5. VisualConstraintEngine 的 ways Accidental Win 檢查與 validator 錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { validateConfig } = require('../../validator');
+const { PatternGenerator } = require('../../patternGenerator');
+const { VisualConstraintEngine } = require('../../visualConstraint');
+const { buildWildRules } = require('../../lineMatcher');
+const { matchWays, findWaysRuns, waysFactorizations } = require('../../waysMatcher');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 5000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+// WAYS 設定：每 way 的賠率（BASE / FREE 共用）
+const WAYS_PAYTABLE = { H1: { 3: 1, 4: 2, 5: 4 }, L1: { 3: 0.5 } };
+const WAYS_BY_MATCH_COUNT = { 3: 2, 4: 6, 5: 12 };
+
+/**
+ * 載入 design.json 並啟用 Wild 替代（v1.6.7: WILD 需設定 substitutes，"ALL" 替代所有 LOW / MID / HIGH）
+ */
+function loadConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.symbols = config.symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes: 'ALL' } : s));
+  return config;
+}
+
+/**
+ * 將 design.json 轉為 ways 設定（LINE → WAYS，payoutMultiplier = 每 way 賠率 × ways）
+ */
+function loadWaysConfig(options = {}) {
+  const config = loadConfig();
+  ['BASE', 'FREE'].forEach(state => {
+    const gameRule = config.gameRules[state];
+    gameRule.winCondition = 'ways';
+    delete gameRule.paylines;
+    if (options.evaluationMode) {
+      gameRule.evaluationMode = options.evaluationMode;
+    }
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      if (!outcome.winCondition || outcome.winCondition.type !== 'LINE') {
+        return;
+      }
+      const { symbolId, matchCount } = outcome.winCondition;
+      const ways = WAYS_BY_MATCH_COUNT[matchCount];
+      outcome.winCondition = { type: 'WAYS', symbolId, matchCount, ways, allowWild: options.allowWild === true };
+      outcome.payoutMultiplier = WAYS_PAYTABLE[symbolId][matchCount] * ways;
+      delete outcome.winConfig;
+    });
+  });
+  if (options.paytable) {
+    config.paytable = { WAYS: WAYS_PAYTABLE, ANY_POSITION: { A1: { 5: 10 } } };
+    config.outcomeTables.FREE.outcomes.find(o => o.id === 'FREE_ANY_POS_A1_5').payoutMultiplier = 10;
+  }
+  return config;
+}
+
+/**
+ * 執行函式並忽略 console.warn（Visual fallback 訊息）
+ */
+function withoutWarnings(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 測試 1: waysMatcher
+ */
+function test1_WaysMatcher() {
+  console.log('📋 Test 1: waysMatcher 計算 ways');
+
+  const config = loadConfig();
+  const rules = buildWildRules(config.symbols);
+
+  const grid = [
+    ['H1', 'W', 'H1', 'L1', 'H1'],
+    ['L1', 'H1', 'M1', 'L2', 'L2'],
+    ['H1', 'M2', 'H1', 'M1', 'M2']
+  ];
+  const run = matchWays(grid, 'H1', rules);
+  if (run.matchCount !== 3 || run.ways !== 2 * 2 * 2 || run.wildCount !== 1 || run.positions.length !== 6) {
+    console.error(`❌ FAIL: H1 ways 錯誤: ${JSON.stringify(run)}`);
+    return false;
+  }
+
+  // 第 2 輪中斷 → 不中獎
+  const runs = findWaysRuns(grid, config.symbols, rules);
+  if (runs.length !== 1 || runs[0].symbolId !== 'H1') {
+    console.error(`❌ FAIL: findWaysRuns 應只有 H1: ${JSON.stringify(runs.map(r => r.symbolId))}`);
+    return false;
+  }
+
+  // 全部為 H1 → 3^5 = 243 ways
+  const full = Array(3).fill(null).map(() => Array(5).fill('H1'));
+  if (matchWays(full, 'H1', rules).ways !== 243) {
+    console.error('❌ FAIL: 3x5 全部 H1 應為 243 ways');
+    return false;
+  }
+
+  // 只由 WILD 組成的組合不支付
+  const wildOnly = [
+    ['W', 'W', 'W', 'L1', 'L2'],
+    ['M1', 'L2', 'M2', 'L2', 'L1'],
+    ['L2', 'M1', 'L1', 'M2', 'M1']
+  ];
+  const wildRuns = findWaysRuns(wildOnly, config.symbols, rules).map(r => r.symbolId);
+  if (wildRuns.includes('H1') || wildRuns.includes('W')) {
+    console.error(`❌ FAIL: 只由 WILD 組成的 ways 不應支付: ${wildRuns}`);
+    return false;
+  }
+
+  const factorizations = waysFactorizations(4, [3, 3, 3]).map(f => f.join('x'));
+  if (factorizations.join(',') !== '1x2x2,2x1x2,2x2x1' || waysFactorizations(5, [3, 3, 3]).length !== 0) {
+    console.error(`❌ FAIL: waysFactorizations 錯誤: ${factorizations}`);
+    return false;
+  }
+
+  console.log('✅ PASS: waysMatcher 計算正確');
+  return true;
+}
+
+/**
+ * 測試 2: Evaluator（ways 模式）
+ */
+function test2_Evaluator() {
+  console.log('📋 Test 2: Evaluator ways 模式的事件與 paytable 派彩');
+
+  const config = loadWaysConfig({ evaluationMode: 'MULTI', paytable: true });
+  const bet = 10;
+  const outcomes = new Map();
+  ['BASE', 'FREE'].forEach(state => config.outcomeTables[state].outcomes.forEach(o => outcomes.set(o.id, o)));
+  const { spinLog } = withoutWarnings(() =>
+    simulate(CONFIG_PATH, 3000, bet, true, true, config, TEST_SEED, { quiet: true })
+  );
+
+  let waysSpins = 0;
+  for (const log of spinLog) {
+    const outcome = outcomes.get(log.outcomeId);
+    const events = log.eventsJson ? JSON.parse(log.eventsJson) : [];
+    const condition = outcome.winCondition;
+    if (condition && condition.type === 'WAYS') {
+      const event = events[0];
+      const expectedWin = Math.round(WAYS_PAYTABLE[condition.symbolId][condition.matchCount] * condition.ways * bet);
+      if (events.length !== 1 || event.ruleType !== 'WAYS' || event.paidSymbolId !== condition.symbolId ||
+          event.matchCount !== condition.matchCount || event.ways !== condition.ways ||
+          event.eventId !== `WAYS_${condition.symbolId}_${condition.matchCount}_${condition.ways}` ||
+          event.positions.length < condition.matchCount || event.winAmount !== expectedWin) {
+        console.error(`❌ FAIL: ${log.outcomeId} 的事件錯誤: ${log.eventsJson}`);
+        return false;
+      }
+      waysSpins++;
+    } else if (events.some(event => event.ruleType === 'WAYS' || event.ruleType === 'LINE')) {
+      console.error(`❌ FAIL: ${log.outcomeId} 不應有 WAYS / LINE 事件: ${log.eventsJson}`);
+      return false;
+    }
+  }
+  if (waysSpins === 0) {
+    console.error('❌ FAIL: 沒有 WAYS outcome 可檢查');
+    return false;
+  }
+
+  console.log(`   檢查 ${waysSpins} 個 WAYS spin`);
+  console.log('✅ PASS: ways 模式事件與 paytable 派彩正確');
+  return true;
+}
+
+/**
+ * 測試 3: PatternGenerator（WAYS）
+ */
+function test3_PatternGenerator() {
+  console.log('📋 Test 3: PatternGenerator WAYS anchors');
+
+  const config = loadWaysConfig();
+  const generator = new PatternGenerator(config.gameRules.BASE, config.symbols);
+
+  for (let spinIndex = 0; spinIndex < 200; spinIndex++) {
+    const ways = [1, 2, 4, 12, 243][spinIndex % 5];
+    const matchCount = ways === 243 ? 5 : 3 + (spinIndex % 3);
+    const condition = { type: 'WAYS', symbolId: 'H1', matchCount, ways };
+    const context = { spinIndex, mathSeed: TEST_SEED, outcomeId: 'WAYS_TEST' };
+    const info = generator.generate(condition, context);
+
+    const perReel = Array(5).fill(0);
+    info.anchors.forEach(anchor => perReel[anchor.col]++);
+    const product = perReel.slice(0, matchCount).reduce((acc, count) => acc * count, 1);
+    if (info.winConditionType !== 'WAYS' || info.generatedWinLine !== null ||
+        product !== ways || perReel.slice(matchCount).some(count => count > 0)) {
+      console.error(`❌ FAIL: WAYS anchors 錯誤（ways=${ways}, matchCount=${matchCount}）: ${JSON.stringify(info.anchors)}`);
+      return false;
+    }
+    if (JSON.stringify(generator.generate(condition, context)) !== JSON.stringify(info)) {
+      console.error('❌ FAIL: 相同 context 產生不同 anchors');
+      return false;
+    }
+  }
+
+  const errors = [];
+  try {
+    generator.generate({ type: 'WAYS', symbolId: 'H1', matchCount: 3, ways: 5 }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' });
+  } catch (error) {
+    errors.push(error.message);
+  }
+  try {
+    generator.generate({ type: 'LINE', symbolId: 'H1', matchCount: 3 }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' });
+  } catch (error) {
+    errors.push(error.message);
+  }
+  try {
+    new PatternGenerator(loadConfig().gameRules.BASE, config.symbols)
+      .generate({ type: 'WAYS', symbolId: 'H1', matchCount: 3 }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' });
+  } catch (error) {
+    errors.push(error.message);
+  }
+  if (errors.length !== 3) {
+    console.error(`❌ FAIL: 無法組成的 ways / 模式不符應拋錯: ${errors}`);
+    return false;
+  }
+
+  console.log('✅ PASS: WAYS anchors 正確');
+  return true;
+}
+
+/**
+ * 測試 4: ways 設定的模擬（STRICT）
+ */
+function test4_Simulation() {
+  console.log('📋 Test 4: ways 設定的模擬通過 STRICT 驗證');
+
+  const variants = [
+    { name: 'SINGLE', options: {} },
+    { name: 'MULTI + paytable', options: { evaluationMode: 'MULTI', paytable: true } },
+    { name: 'SINGLE + paytable + allowWild', options: { paytable: true, allowWild: true } }
+  ];
+
+  for (const variant of variants) {
+    const config = loadWaysConfig(variant.options);
+    const simulationData = withoutWarnings(() =>
+      simulate(CONFIG_PATH, TEST_SPINS, null, true, false, config, TEST_SEED, { quiet: true })
+    );
+    const result = simulationData.result;
+    if (result.baseGameSpins !== TEST_SPINS || !(result.totalWin > 0)) {
+      console.error(`❌ FAIL: ${variant.name} 模擬未完成`);
+      return false;
+    }
+    console.log(`   ${variant.name}: RTP ${result.rtp.toFixed(2)}%`);
+  }
+
+  // 逐一檢查最終盤面（Visual Layer 之後）：ways 與 Outcome 宣告一致
+  const config = loadWaysConfig({ allowWild: true });
+  const rules = buildWildRules(config.symbols);
+  const finalGrids = [];
+  const originalApply = VisualConstraintEngine.prototype.applyConstraints;
+  VisualConstraintEngine.prototype.applyConstraints = function (grid, outcome, ...rest) {
+    const visualResult = originalApply.call(this, grid, outcome, ...rest);
+    finalGrids.push({ outcome, grid: visualResult.grid });
+    return visualResult;
+  };
+  try {
+    withoutWarnings(() => simulate(CONFIG_PATH, 2000, null, true, false, config, TEST_SEED + 1, { quiet: true }));
+  } finally {
+    VisualConstraintEngine.prototype.applyConstraints = originalApply;
+  }
+
+  let checked = 0;
+  for (const { outcome, grid } of finalGrids) {
+    const runs = findWaysRuns(grid, config.symbols, rules);
+    const condition = outcome.winCondition && outcome.winCondition.type === 'WAYS' ? outcome.winCondition : null;
+    const ok = condition
+      ? runs.length === 1 && runs[0].symbolId === condition.symbolId &&
+        runs[0].matchCount === condition.matchCount && runs[0].ways === condition.ways
+      : runs.length === 0;
+    if (!ok) {
+      console.error(`❌ FAIL: ${outcome.id} 的盤面 ways 不符: ${JSON.stringify(runs)}`);
+      return false;
+    }
+    checked++;
+  }
+  if (checked === 0) {
+    console.error('❌ FAIL: 沒有盤面可檢查');
+    return false;
+  }
+
+  console.log(`   檢查 ${checked} 個盤面`);
+  console.log('✅ PASS: ways 設定的模擬正確');
+  return true;
+}
+
+/**
+ * 測試 5: Visual Accidental Win 檢查與 validator
+ */
+function test5_VisualAndValidator() {
+  console.log('📋 Test 5: Visual ways 安全檢查與 validator');
+
+  const config = loadWaysConfig();
+  const engine = new VisualConstraintEngine(config.gameRules.BASE, config.symbols, config.visualConfig);
+  const grid = [
+    ['H1', 'H1', 'H1', 'L1', 'M2'],
+    ['L1', 'M1', 'L2', 'M1', 'L2'],
+    ['M2', 'L2', 'M1', 'L2', 'M1']
+  ];
+  const event = { ruleType: 'WAYS', paidSymbolId: 'H1', matchCount: 3, ways: 1, positions: [[0, 0], [0, 1], [0, 2]] };
+
+  const loss = engine._validateSafety(grid, { type: 'LOSS' }, null, null);
+  const win = engine._validateSafety(grid, { type: 'WIN' }, null, [event]);
+  const extended = engine._validateSafety(grid, { type: 'WIN' }, null, [Object.assign({}, event, { ways: 2 })]);
+  if (loss.isSafe || loss.reason !== 'ACCIDENTAL_WIN_WAYS_H1' || !win.isSafe ||
+      extended.isSafe || extended.reason !== 'ANTI_EXTEND_VIOLATION') {
+    console.error(`❌ FAIL: Visual 安全檢查錯誤: ${JSON.stringify([loss.reason, win.reason, extended.reason])}`);
+    return false;
+  }
+
+  // validator：ways 設定通過；錯誤設定回報錯誤
+  const validate = (cfg) => {
+    const tempPath = path.join(os.tmpdir(), `v1.6.20_${process.pid}_config.json`);
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(cfg));
+      return validateConfig(tempPath);
+    } finally {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+  };
+
+  const valid = validate(loadWaysConfig({ paytable: true }));
+  if (valid.hasErrors()) {
+    console.error(`❌ FAIL: ways 設定不應有錯誤: ${valid.errors.join(' / ')}`);
+    return false;
+  }
+
+  const cases = [
+    ['winCondition 不支援', cfg => { cfg.gameRules.BASE.winCondition = 'megaways'; }, 'winCondition ("megaways") 不支援'],
+    ['ways 無法組成', cfg => { cfg.outcomeTables.BASE.outcomes[0].winCondition.ways = 7; }, '無法由前 5 輪'],
+    ['matchCount < 3', cfg => { cfg.outcomeTables.BASE.outcomes[3].winCondition.matchCount = 2; }, '必須為 3 ~ 5 的整數'],
+    ['WILD 不得作為 WAYS 符號', cfg => { cfg.outcomeTables.BASE.outcomes[0].winCondition.symbolId = 'W'; }, '必須為 LOW / MID / HIGH 符號'],
+    ['ways 模式使用 LINE', cfg => {
+      cfg.outcomeTables.BASE.outcomes[0].winCondition = { type: 'LINE', symbolId: 'H1', matchCount: 5 };
+    }, '請改用 WAYS'],
+    ['payline 模式使用 WAYS', cfg => {
+      cfg.gameRules.FREE.winCondition = 'payline';
+      cfg.gameRules.FREE.paylines = loadConfig().gameRules.FREE.paylines;
+    }, '使用 WAYS，但 gameRules.FREE.winCondition 不是 ways']
+  ];
+  for (const [name, mutate, message] of cases) {
+    const cfg = loadWaysConfig();
+    mutate(cfg);
+    const invalid = validate(cfg);
+    if (!invalid.errors.some(error => error.includes(message))) {
+      console.error(`❌ FAIL: ${name} 應回報「${message}」: ${invalid.errors.join(' / ')}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: Visual 與 validator 檢查正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.20 Acceptance Test: Ways-to-win Evaluation & WAYS Pattern Generation');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Ways Matcher', fn: test1_WaysMatcher },
+    { name: 'Test 2: Evaluator', fn: test2_Evaluator },
+    { name: 'Test 3: Pattern Generator', fn: test3_PatternGenerator },
+    { name: 'Test 4: Simulation', fn: test4_Simulation },
+    { name: 'Test 5: Visual And Validator', fn: test5_VisualAndValidator }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_WaysMatcher,
+  test2_Evaluator,
+  test3_PatternGenerator,
+  test4_Simulation,
+  test5_VisualAndValidator
+};
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.21 Acceptance Test: Cluster Pays Evaluation & CLUSTER Pattern Generation
+ *
+ * 必驗項目：
+ * 1. clusterMatcher：上下左右相鄰的連通區塊（斜向不相連，含 Wild 替代），大小 >= minClusterSize 才中獎
+ * 2. Evaluator（cluster 模式，經由 simulate）：CLUSTER 事件的大小與 paytable 派彩（size tiers × bet）
+ * 3. PatternGenerator：CLUSTER anchors 為剛好 clusterSize 格的連通區塊，且 deterministic
+ * 4. 模擬（STRICT）：cluster 設定下盤面只有 Outcome 宣告的 cluster（SINGLE / MULTI + paytable / allowWild）
+ * 5. VisualConstraintEngine 的 cluster Accidental Win 檢查與 validator 錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { validateConfig } = require('../../validator');
+const { PatternGenerator } = require('../../patternGenerator');
+const { VisualConstraintEngine } = require('../../visualConstraint');
+const { buildWildRules } = require('../../lineMatcher');
+const { matchClusters, findClusters } = require('../../clusterMatcher');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 5000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+// CLUSTER 設定：LINE matchCount → clusterSize，paytable 以 size tiers 定義（BASE / FREE 共用）
+const CLUSTER_SIZE_BY_MATCH_COUNT = { 3: 5, 4: 7, 5: 10 };
+const CLUSTER_PAYTABLE = { H1: { 5: 5, 7: 20, 10: 100 }, L1: { 5: 2 } };
+
+/**
+ * 載入 design.json 並啟用 Wild 替代（v1.6.7: WILD 需設定 substitutes，"ALL" 替代所有 LOW / MID / HIGH）
+ */
+function loadConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.symbols = config.symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes: 'ALL' } : s));
+  return config;
+}
+
+/**
+ * 將 design.json 轉為 cluster 設定（LINE → CLUSTER）
+ */
+function loadClusterConfig(options = {}) {
+  const config = loadConfig();
+  ['BASE', 'FREE'].forEach(state => {
+    const gameRule = config.gameRules[state];
+    gameRule.winCondition = 'cluster';
+    delete gameRule.paylines;
+    if (options.evaluationMode) {
+      gameRule.evaluationMode = options.evaluationMode;
+    }
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      if (!outcome.winCondition || outcome.winCondition.type !== 'LINE') {
+        return;
+      }
+      const { symbolId, matchCount } = outcome.winCondition;
+      const clusterSize = CLUSTER_SIZE_BY_MATCH_COUNT[matchCount];
+      outcome.winCondition = { type: 'CLUSTER', symbolId, clusterSize, allowWild: options.allowWild === true };
+      if (options.paytable) {
+        outcome.payoutMultiplier = CLUSTER_PAYTABLE[symbolId][clusterSize];
+      }
+      delete outcome.winConfig;
+    });
+  });
+  if (options.paytable) {
+    config.paytable = { CLUSTER: CLUSTER_PAYTABLE, ANY_POSITION: { A1: { 5: 10 } } };
+    config.outcomeTables.FREE.outcomes.find(o => o.id === 'FREE_ANY_POS_A1_5').payoutMultiplier = 10;
+  }
+  return config;
+}
+
+/**
+ * 執行函式並忽略 console.warn（Visual fallback 訊息）
+ */
+function withoutWarnings(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 位置是否形成單一連通區塊（上下左右相鄰）
+ */
+function isConnected(positions) {
+  const keys = new Set(positions.map(([row, col]) => `${row},${col}`));
+  const visited = new Set([`${positions[0][0]},${positions[0][1]}`]);
+  const queue = [positions[0]];
+  while (queue.length > 0) {
+    const [row, col] = queue.shift();
+    [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]].forEach(([r, c]) => {
+      const key = `${r},${c}`;
+      if (keys.has(key) && !visited.has(key)) {
+        visited.add(key);
+        queue.push([r, c]);
+      }
+    });
+  }
+  return visited.size === keys.size;
+}
+
+/**
+ * 測試 1: clusterMatcher
+ */
+function test1_ClusterMatcher() {
+  console.log('📋 Test 1: clusterMatcher 找出連通區塊');
+
+  const config = loadConfig();
+  const rules = buildWildRules(config.symbols);
+
+  const grid = [
+    ['H1', 'H1', 'L1', 'M1', 'L2'],
+    ['L2', 'W', 'H1', 'M2', 'L1'],
+    ['M1', 'H1', 'L2', 'M1', 'H1']
+  ];
+  // (0,0)-(0,1)-(1,1)W-(2,1) 與 (1,2) 經由 W 相連；(2,4) 為獨立的 1 格
+  const clusters = matchClusters(grid, 'H1', rules);
+  const main = clusters.find(cluster => cluster.size === 5);
+  if (clusters.length !== 2 || !main || main.wildCount !== 1 || main.symbolCount !== 4 ||
+      JSON.stringify(main.positions) !== JSON.stringify([[0, 0], [0, 1], [1, 1], [1, 2], [2, 1]])) {
+    console.error(`❌ FAIL: H1 cluster 錯誤: ${JSON.stringify(clusters)}`);
+    return false;
+  }
+
+  const found = findClusters(grid, config.symbols, rules);
+  if (found.length !== 1 || found[0].symbolId !== 'H1' || findClusters(grid, config.symbols, rules, 6).length !== 0) {
+    console.error(`❌ FAIL: findClusters 應只有 5 格的 H1: ${JSON.stringify(found.map(c => `${c.symbolId}x${c.size}`))}`);
+    return false;
+  }
+
+  // 斜向不相連
+  const diagonal = [
+    ['H1', 'L1', 'H1', 'L1', 'H1'],
+    ['L2', 'H1', 'L2', 'H1', 'L2'],
+    ['M1', 'M2', 'M1', 'M2', 'M1']
+  ];
+  if (matchClusters(diagonal, 'H1', rules).some(cluster => cluster.size > 1)) {
+    console.error('❌ FAIL: 斜向相鄰不應相連');
+    return false;
+  }
+
+  // 只由 WILD 組成的區塊不支付
+  const wildOnly = [
+    ['W', 'W', 'W', 'W', 'W'],
+    ['L1', 'M1', 'L2', 'M2', 'L1'],
+    ['M2', 'L2', 'M1', 'L1', 'M2']
+  ];
+  if (findClusters(wildOnly, config.symbols, rules).some(cluster => cluster.symbolId === 'H1')) {
+    console.error('❌ FAIL: 只由 WILD 組成的 cluster 不應支付');
+    return false;
+  }
+
+  console.log('✅ PASS: clusterMatcher 計算正確');
+  return true;
+}
+
+/**
+ * 測試 2: Evaluator（cluster 模式）
+ */
+function test2_Evaluator() {
+  console.log('📋 Test 2: Evaluator cluster 模式的事件與 paytable 派彩');
+
+  const config = loadClusterConfig({ evaluationMode: 'MULTI', paytable: true });
+  const bet = 10;
+  const outcomes = new Map();
+  ['BASE', 'FREE'].forEach(state => config.outcomeTables[state].outcomes.forEach(o => outcomes.set(o.id, o)));
+  const { spinLog } = withoutWarnings(() =>
+    simulate(CONFIG_PATH, 3000, bet, true, true, config, TEST_SEED, { quiet: true })
+  );
+
+  let clusterSpins = 0;
+  for (const log of spinLog) {
+    const outcome = outcomes.get(log.outcomeId);
+    const events = log.eventsJson ? JSON.parse(log.eventsJson) : [];
+    const condition = outcome.winCondition;
+    if (condition && condition.type === 'CLUSTER') {
+      const event = events[0];
+      const expectedWin = Math.round(CLUSTER_PAYTABLE[condition.symbolId][condition.clusterSize] * bet);
+      if (events.length !== 1 || event.ruleType !== 'CLUSTER' || event.paidSymbolId !== condition.symbolId ||
+          event.matchCount !== condition.clusterSize || event.positions.length !== condition.clusterSize ||
+          !event.eventId.startsWith(`CLUSTER_${condition.symbolId}_${condition.clusterSize}_`) ||
+          !isConnected(event.positions) || event.winAmount !== expectedWin) {
+        console.error(`❌ FAIL: ${log.outcomeId} 的事件錯誤: ${log.eventsJson}`);
+        return false;
+      }
+      clusterSpins++;
+    } else if (events.some(event => event.ruleType === 'CLUSTER' || event.ruleType === 'LINE')) {
+      console.error(`❌ FAIL: ${log.outcomeId} 不應有 CLUSTER / LINE 事件: ${log.eventsJson}`);
+      return false;
+    }
+  }
+  if (clusterSpins === 0) {
+    console.error('❌ FAIL: 沒有 CLUSTER outcome 可檢查');
+    return false;
+  }
+
+  console.log(`   檢查 ${clusterSpins} 個 CLUSTER spin`);
+  console.log('✅ PASS: cluster 模式事件與 paytable 派彩正確');
+  return true;
+}
+
+/**
+ * 測試 3: PatternGenerator（CLUSTER）
+ */
+function test3_PatternGenerator() {
+  console.log('📋 Test 3: PatternGenerator CLUSTER anchors');
+
+  const config = loadClusterConfig();
+  const generator = new PatternGenerator(config.gameRules.BASE, config.symbols);
+
+  for (let spinIndex = 0; spinIndex < 200; spinIndex++) {
+    const clusterSize = [5, 7, 10, 15][spinIndex % 4];
+    const condition = { type: 'CLUSTER', symbolId: 'H1', clusterSize };
+    const context = { spinIndex, mathSeed: TEST_SEED, outcomeId: 'CLUSTER_TEST' };
+    const info = generator.generate(condition, context);
+
+    const positions = info.anchors.map(anchor => [anchor.row, anchor.col]);
+    const unique = new Set(positions.map(([row, col]) => `${row},${col}`));
+    if (info.winConditionType !== 'CLUSTER' || info.generatedWinLine !== null ||
+        unique.size !== clusterSize || !isConnected(positions) || info.anchors.some(anchor => anchor.symbolId !== 'H1')) {
+      console.error(`❌ FAIL: CLUSTER anchors 錯誤（clusterSize=${clusterSize}）: ${JSON.stringify(info.anchors)}`);
+      return false;
+    }
+    if (JSON.stringify(generator.generate(condition, context)) !== JSON.stringify(info)) {
+      console.error('❌ FAIL: 相同 context 產生不同 anchors');
+      return false;
+    }
+  }
+
+  // occupiedCells：只使用未被佔用的位置
+  const occupiedCells = new Set(['0,2', '1,2', '2,2']);
+  const blocked = generator.generate(
+    { type: 'CLUSTER', symbolId: 'H1', clusterSize: 6 },
+    { spinIndex: 0, mathSeed: TEST_SEED, outcomeId: 'X', occupiedCells }
+  );
+  if (blocked.anchors.some(anchor => occupiedCells.has(`${anchor.row},${anchor.col}`))) {
+    console.error(`❌ FAIL: anchors 使用了已佔用的位置: ${JSON.stringify(blocked.anchors)}`);
+    return false;
+  }
+
+  const errors = [];
+  const attempts = [
+    () => generator.generate({ type: 'CLUSTER', symbolId: 'H1', clusterSize: 4 }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' }),
+    () => generator.generate(
+      { type: 'CLUSTER', symbolId: 'H1', clusterSize: 7 },
+      { spinIndex: 0, mathSeed: 1, outcomeId: 'X', occupiedCells }
+    ),
+    () => generator.generate({ type: 'LINE', symbolId: 'H1', matchCount: 3 }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' }),
+    () => new PatternGenerator(loadConfig().gameRules.BASE, config.symbols)
+      .generate({ type: 'CLUSTER', symbolId: 'H1', clusterSize: 5 }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' })
+  ];
+  attempts.forEach(attempt => {
+    try {
+      attempt();
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+  if (errors.length !== attempts.length) {
+    console.error(`❌ FAIL: 小於 minClusterSize / 無法組成的 cluster / 模式不符應拋錯: ${errors}`);
+    return false;
+  }
+
+  console.log('✅ PASS: CLUSTER anchors 正確');
+  return true;
+}
+
+/**
+ * 測試 4: cluster 設定的模擬（STRICT）
+ */
+function test4_Simulation() {
+  console.log('📋 Test 4: cluster 設定的模擬通過 STRICT 驗證');
+
+  const variants = [
+    { name: 'SINGLE', options: {} },
+    { name: 'MULTI + paytable', options: { evaluationMode: 'MULTI', paytable: true } },
+    { name: 'SINGLE + paytable + allowWild', options: { paytable: true, allowWild: true } }
+  ];
+
+  for (const variant of variants) {
+    const config = loadClusterConfig(variant.options);
+    const simulationData = withoutWarnings(() =>
+      simulate(CONFIG_PATH, TEST_SPINS, null, true, false, config, TEST_SEED, { quiet: true })
+    );
+    const result = simulationData.result;
+    if (result.baseGameSpins !== TEST_SPINS || !(result.totalWin > 0)) {
+      console.error(`❌ FAIL: ${variant.name} 模擬未完成`);
+      return false;
+    }
+    console.log(`   ${variant.name}: RTP ${result.rtp.toFixed(2)}%`);
+  }
+
+  // 逐一檢查最終盤面（Visual Layer 之後）：cluster 與 Outcome 宣告一致
+  const config = loadClusterConfig({ allowWild: true });
+  const rules = buildWildRules(config.symbols);
+  const finalGrids = [];
+  const originalApply = VisualConstraintEngine.prototype.applyConstraints;
+  VisualConstraintEngine.prototype.applyConstraints = function (grid, outcome, ...rest) {
+    const visualResult = originalApply.call(this, grid, outcome, ...rest);
+    finalGrids.push({ outcome, grid: visualResult.grid });
+    return visualResult;
+  };
+  try {
+    withoutWarnings(() => simulate(CONFIG_PATH, 2000, null, true, false, config, TEST_SEED + 1, { quiet: true }));
+  } finally {
+    VisualConstraintEngine.prototype.applyConstraints = originalApply;
+  }
+
+  let checked = 0;
+  for (const { outcome, grid } of finalGrids) {
+    const clusters = findClusters(grid, config.symbols, rules);
+    const condition = outcome.winCondition && outcome.winCondition.type === 'CLUSTER' ? outcome.winCondition : null;
+    const ok = condition
+      ? clusters.length === 1 && clusters[0].symbolId === condition.symbolId && clusters[0].size === condition.clusterSize
+      : clusters.length === 0;
+    if (!ok) {
+      console.error(`❌ FAIL: ${outcome.id} 的盤面 cluster 不符: ${JSON.stringify(clusters)}`);
+      return false;
+    }
+    checked++;
+  }
+  if (checked === 0) {
+    console.error('❌ FAIL: 沒有盤面可檢查');
+    return false;
+  }
+
+  console.log(`   檢查 ${checked} 個盤面`);
+  console.log('✅ PASS: cluster 設定的模擬正確');
+  return true;
+}
+
+/**
+ * 測試 5: Visual Accidental Win 檢查與 validator
+ */
+function test5_VisualAndValidator() {
+  console.log('📋 Test 5: Visual cluster 安全檢查與 validator');
+
+  const config = loadClusterConfig();
+  const engine = new VisualConstraintEngine(config.gameRules.BASE, config.symbols, config.visualConfig);
+  const grid = [
+    ['H1', 'H1', 'H1', 'L1', 'M2'],
+    ['H1', 'H1', 'L2', 'M1', 'L2'],
+    ['M2', 'L2', 'M1', 'L2', 'M1']
+  ];
+  const positions = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1]];
+  const event = { ruleType: 'CLUSTER', paidSymbolId: 'H1', matchCount: 5, positions };
+
+  const loss = engine._validateSafety(grid, { type: 'LOSS' }, null, null);
+  const win = engine._validateSafety(grid, { type: 'WIN' }, null, [event]);
+  const extendedGrid = grid.map(row => [...row]);
+  extendedGrid[2][0] = 'H1';
+  const extended = engine._validateSafety(extendedGrid, { type: 'WIN' }, null, [event]);
+  if (loss.isSafe || loss.reason !== 'ACCIDENTAL_WIN_CLUSTER_H1' || !win.isSafe ||
+      extended.isSafe || extended.reason !== 'ANTI_EXTEND_VIOLATION' || extended.detail.afterSize !== 6) {
+    console.error(`❌ FAIL: Visual 安全檢查錯誤: ${JSON.stringify([loss.reason, win.reason, extended.reason])}`);
+    return false;
+  }
+
+  // validator：cluster 設定通過；錯誤設定回報錯誤
+  const validate = (cfg) => {
+    const tempPath = path.join(os.tmpdir(), `v1.6.21_${process.pid}_config.json`);
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(cfg));
+      return validateConfig(tempPath);
+    } finally {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+  };
+
+  const valid = validate(loadClusterConfig({ paytable: true }));
+  if (valid.hasErrors()) {
+    console.error(`❌ FAIL: cluster 設定不應有錯誤: ${valid.errors.join(' / ')}`);
+    return false;
+  }
+
+  const cases = [
+    ['minClusterSize 超出範圍', cfg => { cfg.gameRules.BASE.minClusterSize = 1; }, 'minClusterSize (1) 必須為 2 ~ 15 的整數'],
+    ['clusterSize 小於 minClusterSize', cfg => { cfg.gameRules.BASE.minClusterSize = 6; }, 'clusterSize (5) 必須為 6 ~ 15 的整數'],
+    ['clusterSize 超過盤面', cfg => { cfg.outcomeTables.BASE.outcomes[0].winCondition.clusterSize = 16; }, 'clusterSize (16) 必須為 5 ~ 15 的整數'],
+    ['WILD 不得作為 CLUSTER 符號', cfg => { cfg.outcomeTables.BASE.outcomes[0].winCondition.symbolId = 'W'; }, '必須為 LOW / MID / HIGH 符號'],
+    ['cluster 模式使用 LINE', cfg => {
+      cfg.outcomeTables.BASE.outcomes[0].winCondition = { type: 'LINE', symbolId: 'H1', matchCount: 5 };
+    }, '請改用 CLUSTER'],
+    ['payline 模式使用 CLUSTER', cfg => {
+      cfg.gameRules.FREE.winCondition = 'payline';
+      cfg.gameRules.FREE.paylines = loadConfig().gameRules.FREE.paylines;
+    }, '使用 CLUSTER，但 gameRules.FREE.winCondition 不是 cluster'],
+    ['同一符號兩個 CLUSTER', cfg => {
+      const outcome = cfg.outcomeTables.BASE.outcomes[0];
+      outcome.winConditions = [
+        { type: 'CLUSTER', symbolId: 'H1', clusterSize: 5, payoutMultiplier: 50 },
+        { type: 'CLUSTER', symbolId: 'H1', clusterSize: 5, payoutMultiplier: 50 }
+      ];
+      delete outcome.winCondition;
+    }, '同一符號最多只能有一個 CLUSTER 條件']
+  ];
+  for (const [name, mutate, message] of cases) {
+    const cfg = loadClusterConfig();
+    mutate(cfg);
+    const invalid = validate(cfg);
+    if (!invalid.errors.some(error => error.includes(message))) {
+      console.error(`❌ FAIL: ${name} 應回報「${message}」: ${invalid.errors.join(' / ')}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: Visual 與 validator 檢查正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.21 Acceptance Test: Cluster Pays Evaluation & CLUSTER Pattern Generation');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Cluster Matcher', fn: test1_ClusterMatcher },
+    { name: 'Test 2: Evaluator', fn: test2_Evaluator },
+    { name: 'Test 3: Pattern Generator', fn: test3_PatternGenerator },
+    { name: 'Test 4: Simulation', fn: test4_Simulation },
+    { name: 'Test 5: Visual And Validator', fn: test5_VisualAndValidator }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_ClusterMatcher,
+  test2_Evaluator,
+  test3_PatternGenerator,
+  test4_Simulation,
+  test5_VisualAndValidator
+};
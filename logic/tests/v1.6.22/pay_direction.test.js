@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.22 Acceptance Test: Right-to-Left & Both-Ways Line Pays
+ *
+ * 必驗項目：
+ * 1. lineMatcher：RTL 由 payline 最後一格開始判定，BOTH 兩側各自判定（整條線只支付一次）
+ * 2. Evaluator（RTL / BOTH，經由 simulate）：RTL 事件的 eventId / positions / metadata.payDirection
+ * 3. PatternGenerator：RTL anchors 在 payline 最右端，BOTH 隨機選擇一側，且 deterministic
+ * 4. 模擬（STRICT）：RTL / BOTH 設定下盤面只有 Outcome 宣告的連線（SINGLE / MULTI + allowWild）
+ * 5. VisualConstraintEngine 另一側的 Accidental Win / RTL Anti-Extend 檢查與 validator 錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { validateConfig } = require('../../validator');
+const { PatternGenerator } = require('../../patternGenerator');
+const { VisualConstraintEngine } = require('../../visualConstraint');
+const { buildWildRules, orientLine, matchPayline } = require('../../lineMatcher');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 5000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+/**
+ * 載入 design.json 並啟用 Wild 替代（v1.6.7: WILD 需設定 substitutes，"ALL" 替代所有 LOW / MID / HIGH）
+ */
+function loadConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.symbols = config.symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes: 'ALL' } : s));
+  return config;
+}
+
+/**
+ * 將 design.json 轉為指定支付方向的設定
+ * - conditionDirection 未指定時移除 LINE 條件的 payDirection（沿用 gameRule）
+ * - BOTH 模式的整條線條件（matchCount = 5）只能以 LTR 支付，維持 LTR
+ */
+function loadDirectionConfig(payDirection, options = {}) {
+  const config = loadConfig();
+  ['BASE', 'FREE'].forEach(state => {
+    const gameRule = config.gameRules[state];
+    gameRule.payDirection = payDirection;
+    if (options.evaluationMode) {
+      gameRule.evaluationMode = options.evaluationMode;
+    }
+    config.outcomeTables[state].outcomes.forEach(outcome => {
+      if (!outcome.winCondition || outcome.winCondition.type !== 'LINE') {
+        return;
+      }
+      const condition = outcome.winCondition;
+      if (options.conditionDirection) {
+        const fullLine = condition.matchCount === gameRule.grid.cols;
+        condition.payDirection = payDirection === 'BOTH' && fullLine ? 'LTR' : options.conditionDirection;
+      } else {
+        delete condition.payDirection;
+      }
+      condition.allowWild = options.allowWild === true;
+      outcome.winConfig.allowWild = options.allowWild === true;
+    });
+  });
+  return config;
+}
+
+/**
+ * 執行函式並忽略 console.warn（Visual fallback 訊息）
+ */
+function withoutWarnings(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 盤面上所有 ≥3 的連線（每條 payline、每個判定方向；SCATTER / ANY_POSITION 不以 LINE 支付，不列入）
+ */
+function findLineRuns(grid, gameRule, symbols, rules) {
+  const nonLineSymbols = new Set(symbols.filter(s => s.type === 'SCATTER' || s.type === 'ANY_POSITION').map(s => s.id));
+  const runs = [];
+  gameRule.paylines.forEach((payline, paylineIndex) => {
+    matchPayline(payline.map(([row, col]) => grid[row][col]), rules, gameRule.payDirection)
+      .filter(run => run.matchCount >= 3 && !nonLineSymbols.has(run.symbolId))
+      .forEach(run => runs.push(Object.assign({ paylineIndex }, run)));
+  });
+  return runs;
+}
+
+/**
+ * 測試 1: lineMatcher
+ */
+function test1_LineMatcher() {
+  console.log('📋 Test 1: lineMatcher 依支付方向判定');
+
+  const rules = buildWildRules(loadConfig().symbols);
+  const cases = [
+    // [line, payDirection, 預期 [direction, symbolId, matchCount]]
+    [['L1', 'M1', 'H1', 'H1', 'H1'], 'LTR', [['LTR', 'L1', 1]]],
+    [['L1', 'M1', 'H1', 'H1', 'H1'], 'RTL', [['RTL', 'H1', 3]]],
+    [['L1', 'M1', 'H1', 'W', 'H1'], 'RTL', [['RTL', 'H1', 3]]],
+    [['H1', 'H1', 'H1', 'M1', 'L2'], 'BOTH', [['LTR', 'H1', 3], ['RTL', 'L2', 1]]],
+    [['H1', 'H1', 'L1', 'M2', 'M2'], 'BOTH', [['LTR', 'H1', 2], ['RTL', 'M2', 2]]],
+    [['H1', 'H1', 'H1', 'H1', 'H1'], 'BOTH', [['LTR', 'H1', 5]]],  // 整條線只支付一次
+    [['W', 'H1', 'H1', 'H1', 'W'], 'BOTH', [['LTR', 'H1', 5]]]
+  ];
+  for (const [line, payDirection, expected] of cases) {
+    const actual = matchPayline(line, rules, payDirection).map(run => [run.direction, run.symbolId, run.matchCount]);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      console.error(`❌ FAIL: ${line.join(' ')} (${payDirection}) → ${JSON.stringify(actual)}，預期 ${JSON.stringify(expected)}`);
+      return false;
+    }
+  }
+
+  const payline = [[0, 0], [0, 1], [0, 2]];
+  if (JSON.stringify(orientLine(payline, 'RTL')) !== JSON.stringify([[0, 2], [0, 1], [0, 0]]) ||
+      orientLine(payline, 'LTR') !== payline || payline[0][1] !== 0) {
+    console.error('❌ FAIL: orientLine 應返回反轉的新陣列（不修改原 payline）');
+    return false;
+  }
+
+  console.log('✅ PASS: lineMatcher 支付方向正確');
+  return true;
+}
+
+/**
+ * 測試 2: Evaluator（RTL / BOTH）
+ */
+function test2_Evaluator() {
+  console.log('📋 Test 2: Evaluator RTL / BOTH 事件');
+
+  const variants = [
+    { name: 'RTL', config: loadDirectionConfig('RTL', { evaluationMode: 'MULTI' }) },
+    { name: 'BOTH', config: loadDirectionConfig('BOTH', { evaluationMode: 'MULTI' }) }
+  ];
+  for (const variant of variants) {
+    const outcomes = new Map();
+    ['BASE', 'FREE'].forEach(state => variant.config.outcomeTables[state].outcomes.forEach(o => outcomes.set(o.id, o)));
+    const { spinLog } = withoutWarnings(() =>
+      simulate(CONFIG_PATH, 3000, null, true, true, variant.config, TEST_SEED, { quiet: true })
+    );
+
+    const directions = { LTR: 0, RTL: 0 };
+    for (const log of spinLog) {
+      const condition = outcomes.get(log.outcomeId).winCondition;
+      const events = log.eventsJson ? JSON.parse(log.eventsJson) : [];
+      const lineEvents = events.filter(event => event.ruleType === 'LINE');
+      if (!condition || condition.type !== 'LINE') {
+        if (lineEvents.length > 0) {
+          console.error(`❌ FAIL: ${variant.name} ${log.outcomeId} 不應有 LINE 事件: ${log.eventsJson}`);
+          return false;
+        }
+        continue;
+      }
+
+      const event = lineEvents[0];
+      const direction = (event && event.metadata.payDirection) || 'LTR';
+      const payline = variant.config.gameRules.BASE.paylines[event ? event.paylineIndex : 0];
+      const expectedPositions = orientLine(payline, direction).slice(0, condition.matchCount);
+      const expectedEventId = direction === 'RTL'
+        ? `LINE_${event && event.paylineIndex}_RTL_${condition.symbolId}_${condition.matchCount}`
+        : `LINE_${event && event.paylineIndex}_${condition.symbolId}_${condition.matchCount}`;
+      if (lineEvents.length !== 1 || event.paidSymbolId !== condition.symbolId ||
+          event.matchCount !== condition.matchCount || event.eventId !== expectedEventId ||
+          JSON.stringify(event.positions) !== JSON.stringify(expectedPositions) ||
+          (variant.name === 'RTL' && direction !== 'RTL') ||
+          (variant.name === 'BOTH' && condition.matchCount === payline.length && direction !== 'LTR')) {
+        console.error(`❌ FAIL: ${variant.name} ${log.outcomeId} 的事件錯誤: ${log.eventsJson}`);
+        return false;
+      }
+      directions[direction]++;
+    }
+    if (directions.RTL === 0 || (variant.name === 'BOTH' && directions.LTR === 0)) {
+      console.error(`❌ FAIL: ${variant.name} 的事件方向分布不合理: ${JSON.stringify(directions)}`);
+      return false;
+    }
+    console.log(`   ${variant.name}: LTR ${directions.LTR} / RTL ${directions.RTL} 個 LINE spin`);
+  }
+
+  console.log('✅ PASS: RTL / BOTH 事件正確');
+  return true;
+}
+
+/**
+ * 測試 3: PatternGenerator（RTL / BOTH）
+ */
+function test3_PatternGenerator() {
+  console.log('📋 Test 3: PatternGenerator RTL / BOTH anchors');
+
+  const rtlRule = loadDirectionConfig('RTL').gameRules.BASE;
+  const bothRule = loadDirectionConfig('BOTH').gameRules.BASE;
+  const symbols = loadConfig().symbols;
+  const rtlGenerator = new PatternGenerator(rtlRule, symbols);
+  const bothGenerator = new PatternGenerator(bothRule, symbols);
+
+  const sides = { LTR: 0, RTL: 0 };
+  for (let spinIndex = 0; spinIndex < 200; spinIndex++) {
+    const matchCount = 3 + (spinIndex % 2);
+    const context = { spinIndex, mathSeed: TEST_SEED, outcomeId: 'DIRECTION_TEST' };
+
+    const rtl = rtlGenerator.generate({ type: 'LINE', symbolId: 'H1', matchCount }, context);
+    const rtlCells = orientLine(rtlRule.paylines[rtl.generatedWinLine], 'RTL').slice(0, matchCount);
+    if (rtl.payDirection !== 'RTL' || JSON.stringify(rtl.anchors.map(a => [a.row, a.col])) !== JSON.stringify(rtlCells)) {
+      console.error(`❌ FAIL: RTL anchors 應在 payline 最右端: ${JSON.stringify(rtl)}`);
+      return false;
+    }
+
+    const both = bothGenerator.generate({ type: 'LINE', symbolId: 'H1', matchCount }, context);
+    const bothCells = orientLine(bothRule.paylines[both.generatedWinLine], both.payDirection).slice(0, matchCount);
+    if (JSON.stringify(both.anchors.map(a => [a.row, a.col])) !== JSON.stringify(bothCells)) {
+      console.error(`❌ FAIL: BOTH anchors 與 payDirection 不符: ${JSON.stringify(both)}`);
+      return false;
+    }
+    if (JSON.stringify(bothGenerator.generate({ type: 'LINE', symbolId: 'H1', matchCount }, context)) !== JSON.stringify(both)) {
+      console.error('❌ FAIL: 相同 context 產生不同 anchors');
+      return false;
+    }
+    sides[both.payDirection]++;
+
+    // 整條線在 BOTH 模式一律以 LTR 判定
+    const full = bothGenerator.generate({ type: 'LINE', symbolId: 'H1', matchCount: 5 }, context);
+    if (full.payDirection !== 'LTR') {
+      console.error(`❌ FAIL: BOTH 的整條線應以 LTR 生成: ${JSON.stringify(full)}`);
+      return false;
+    }
+  }
+  if (sides.LTR === 0 || sides.RTL === 0) {
+    console.error(`❌ FAIL: BOTH 應隨機選擇兩側: ${JSON.stringify(sides)}`);
+    return false;
+  }
+
+  // 條件方向必須是 gameRule 會判定的方向
+  const errors = [];
+  const attempts = [
+    () => new PatternGenerator(loadConfig().gameRules.BASE, symbols)
+      .generate({ type: 'LINE', symbolId: 'H1', matchCount: 3, payDirection: 'RTL' }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' }),
+    () => rtlGenerator.generate({ type: 'LINE', symbolId: 'H1', matchCount: 3, payDirection: 'LTR' }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' }),
+    () => rtlGenerator.generate({ type: 'LINE', symbolId: 'H1', matchCount: 3, payDirection: 'BOTH' }, { spinIndex: 0, mathSeed: 1, outcomeId: 'X' })
+  ];
+  attempts.forEach(attempt => {
+    try {
+      attempt();
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+  if (errors.length !== attempts.length) {
+    console.error(`❌ FAIL: 條件方向與 gameRule 不符應拋錯: ${errors}`);
+    return false;
+  }
+
+  console.log(`   BOTH: LTR ${sides.LTR} / RTL ${sides.RTL}`);
+  console.log('✅ PASS: RTL / BOTH anchors 正確');
+  return true;
+}
+
+/**
+ * 測試 4: RTL / BOTH 設定的模擬（STRICT）
+ */
+function test4_Simulation() {
+  console.log('📋 Test 4: RTL / BOTH 設定的模擬通過 STRICT 驗證');
+
+  const variants = [
+    { name: 'RTL SINGLE', payDirection: 'RTL', options: {} },
+    { name: 'BOTH SINGLE', payDirection: 'BOTH', options: {} },
+    { name: 'BOTH MULTI + RTL 條件 + allowWild', payDirection: 'BOTH', options: { evaluationMode: 'MULTI', conditionDirection: 'RTL', allowWild: true } }
+  ];
+
+  for (const variant of variants) {
+    const config = loadDirectionConfig(variant.payDirection, variant.options);
+    const simulationData = withoutWarnings(() =>
+      simulate(CONFIG_PATH, TEST_SPINS, null, true, false, config, TEST_SEED, { quiet: true })
+    );
+    const result = simulationData.result;
+    if (result.baseGameSpins !== TEST_SPINS || !(result.totalWin > 0)) {
+      console.error(`❌ FAIL: ${variant.name} 模擬未完成`);
+      return false;
+    }
+    console.log(`   ${variant.name}: RTP ${result.rtp.toFixed(2)}%`);
+  }
+
+  // 逐一檢查最終盤面（Visual Layer 之後）：連線與 Outcome 宣告一致（含另一側）
+  const config = loadDirectionConfig('BOTH', { allowWild: true });
+  const gameRule = config.gameRules.BASE;
+  const rules = buildWildRules(config.symbols);
+  const finalGrids = [];
+  const originalApply = VisualConstraintEngine.prototype.applyConstraints;
+  VisualConstraintEngine.prototype.applyConstraints = function (grid, outcome, ...rest) {
+    const visualResult = originalApply.call(this, grid, outcome, ...rest);
+    finalGrids.push({ outcome, grid: visualResult.grid });
+    return visualResult;
+  };
+  try {
+    withoutWarnings(() => simulate(CONFIG_PATH, 2000, null, true, false, config, TEST_SEED + 1, { quiet: true }));
+  } finally {
+    VisualConstraintEngine.prototype.applyConstraints = originalApply;
+  }
+
+  let checked = 0;
+  for (const { outcome, grid } of finalGrids) {
+    const runs = findLineRuns(grid, gameRule, config.symbols, rules);
+    const condition = outcome.winCondition && outcome.winCondition.type === 'LINE' ? outcome.winCondition : null;
+    const ok = condition
+      ? runs.length === 1 && runs[0].symbolId === condition.symbolId && runs[0].matchCount === condition.matchCount
+      : runs.length === 0;
+    if (!ok) {
+      console.error(`❌ FAIL: ${outcome.id} 的盤面連線不符: ${JSON.stringify(runs)}`);
+      return false;
+    }
+    checked++;
+  }
+  if (checked === 0) {
+    console.error('❌ FAIL: 沒有盤面可檢查');
+    return false;
+  }
+
+  console.log(`   檢查 ${checked} 個盤面`);
+  console.log('✅ PASS: RTL / BOTH 設定的模擬正確');
+  return true;
+}
+
+/**
+ * 測試 5: Visual Accidental Win / Anti-Extend 檢查與 validator
+ */
+function test5_VisualAndValidator() {
+  console.log('📋 Test 5: Visual 另一側的安全檢查與 validator');
+
+  const config = loadDirectionConfig('BOTH');
+  const engine = new VisualConstraintEngine(config.gameRules.BASE, config.symbols, config.visualConfig);
+  const ltrEvent = { ruleType: 'LINE', paidSymbolId: 'H1', matchCount: 3, paylineIndex: 1, positions: [[1, 0], [1, 1], [1, 2]], metadata: {} };
+  const rtlEvent = {
+    ruleType: 'LINE', paidSymbolId: 'H1', matchCount: 3, paylineIndex: 1,
+    positions: [[1, 4], [1, 3], [1, 2]], metadata: { payDirection: 'RTL' }
+  };
+  // 以第 1 列（payline 1）為中獎線，其他列不形成連線
+  const withRow = (row1, row0 = ['L1', 'M2', 'L2', 'M1', 'L2']) => [row0, row1, ['L2', 'M1', 'M2', 'L1', 'M2']];
+
+  const expected = engine._validateSafety(withRow(['M1', 'M2', 'H1', 'H1', 'H1']), { type: 'WIN' }, 1, [rtlEvent]);
+  // 中獎線的另一側（LTR）形成 M1 M1 W 連線
+  const reverse = engine._validateSafety(withRow(['M1', 'M1', 'W', 'H1', 'H1']), { type: 'WIN' }, 1, [rtlEvent]);
+  // RTL 事件被延長（最右 3 格之後的 [1, 1] 為 H1）
+  const extended = engine._validateSafety(withRow(['M1', 'H1', 'H1', 'H1', 'H1']), { type: 'WIN' }, 1, [rtlEvent]);
+  // LOSS：payline 0 的 RTL 連線（M1 W M1）
+  const loss = engine._validateSafety(
+    withRow(['M1', 'M2', 'L1', 'H1', 'L2'], ['L1', 'M2', 'M1', 'W', 'M1']), { type: 'LOSS' }, null, null
+  );
+  // LTR 事件的另一側（M1 M1 W）：BOTH 時為 Accidental Win，LTR 設定下不判定
+  const bothSides = withRow(['H1', 'H1', 'W', 'M1', 'M1']);
+  const ltrOnBoth = engine._validateSafety(bothSides, { type: 'WIN' }, 1, [ltrEvent]);
+  const ltrEngine = new VisualConstraintEngine(loadConfig().gameRules.BASE, config.symbols, config.visualConfig);
+  const ltrOnLtr = ltrEngine._validateNoAccidentalWin(bothSides, 1);
+
+  if (!expected.isSafe ||
+      reverse.isSafe || reverse.reason !== 'ACCIDENTAL_WIN_PAYLINE_1' || reverse.detail.symbol !== 'M1' ||
+      extended.isSafe || extended.reason !== 'ANTI_EXTEND_VIOLATION' || extended.detail.afterMatchCount !== 4 ||
+      loss.isSafe || loss.reason !== 'ACCIDENTAL_WIN_PAYLINE_0' || loss.detail.payDirection !== 'RTL' ||
+      ltrOnBoth.isSafe || !ltrOnLtr.isSafe) {
+    console.error(`❌ FAIL: Visual 安全檢查錯誤: ${JSON.stringify([expected, reverse, extended, loss, ltrOnBoth, ltrOnLtr].map(r => r.reason))}`);
+    return false;
+  }
+
+  // validator：RTL / BOTH 設定通過；錯誤設定回報錯誤
+  const validate = (cfg) => {
+    const tempPath = path.join(os.tmpdir(), `v1.6.22_${process.pid}_config.json`);
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(cfg));
+      return validateConfig(tempPath);
+    } finally {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+  };
+
+  for (const cfg of [loadDirectionConfig('RTL'), loadDirectionConfig('BOTH', { conditionDirection: 'RTL' })]) {
+    const valid = validate(cfg);
+    if (valid.hasErrors()) {
+      console.error(`❌ FAIL: RTL / BOTH 設定不應有錯誤: ${valid.errors.join(' / ')}`);
+      return false;
+    }
+  }
+
+  const mediumWin = cfg => cfg.outcomeTables.BASE.outcomes.find(o => o.id === 'MEDIUM_WIN');
+  const cases = [
+    ['不支援的 payDirection', 'RTL', cfg => { cfg.gameRules.BASE.payDirection = 'UP'; }, 'gameRules.BASE.payDirection ("UP") 不支援'],
+    ['LTR 模式使用 RTL 條件', 'LTR', cfg => { mediumWin(cfg).winCondition.payDirection = 'RTL'; }, '的 payDirection 為 RTL，但 gameRules.BASE.payDirection 為 LTR'],
+    ['RTL 模式使用 BOTH 條件', 'RTL', cfg => { mediumWin(cfg).winCondition.payDirection = 'BOTH'; }, '的 payDirection 為 BOTH，但 gameRules.BASE.payDirection 為 RTL'],
+    ['不支援的條件方向', 'BOTH', cfg => { mediumWin(cfg).winCondition.payDirection = 'DOWN'; }, 'payDirection ("DOWN") 不支援'],
+    ['BOTH 模式的整條線使用 RTL', 'BOTH', cfg => {
+      cfg.outcomeTables.BASE.outcomes.find(o => o.id === 'MEGA_WIN').winCondition.payDirection = 'RTL';
+    }, 'BOTH 模式下以 LTR 支付'],
+    ['RTL 模式使用 legacy pattern', 'RTL', cfg => {
+      const outcome = mediumWin(cfg);
+      outcome.pattern = { symbolId: 'H1', matchCount: 3 };
+      delete outcome.winCondition;
+    }, 'payDirection 為 RTL（請改用 LINE winCondition）']
+  ];
+  for (const [name, payDirection, mutate, message] of cases) {
+    const cfg = loadDirectionConfig(payDirection);
+    mutate(cfg);
+    const invalid = validate(cfg);
+    if (!invalid.errors.some(error => error.includes(message))) {
+      console.error(`❌ FAIL: ${name} 應回報「${message}」: ${invalid.errors.join(' / ')}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: Visual 與 validator 檢查正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.22 Acceptance Test: Right-to-Left & Both-Ways Line Pays');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Line Matcher', fn: test1_LineMatcher },
+    { name: 'Test 2: Evaluator', fn: test2_Evaluator },
+    { name: 'Test 3: Pattern Generator', fn: test3_PatternGenerator },
+    { name: 'Test 4: Simulation', fn: test4_Simulation },
+    { name: 'Test 5: Visual And Validator', fn: test5_VisualAndValidator }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_LineMatcher,
+  test2_Evaluator,
+  test3_PatternGenerator,
+  test4_Simulation,
+  test5_VisualAndValidator
+};
@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.23 Acceptance Test: Scatter Pays（WIN_AND_FEATURE）
+ *
+ * 必驗項目：
+ * 1. paytable.SCATTER：count tiers 查表，僅接受 SCATTER 符號
+ * 2. Evaluator（經由 simulate）：WIN_AND_FEATURE spin 產生 SCATTER 事件並觸發 Free Game；其他 spin 沒有 SCATTER 事件
+ * 3. SimulationResult：baseScatterWin / featureScatterWin / scatterPayCount 與 spinLog 一致，merge 加總；Hit Rate 計入 WIN_AND_FEATURE
+ * 4. 理論值：Scatter Pay RTP；WIN_AND_FEATURE retrigger 的解析解與動態規劃一致
+ * 5. Validator：paytable.SCATTER 與 FEATURE / WIN_AND_FEATURE 的 payoutMultiplier 一致；STRICT 模式拋錯
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { buildPaytable, getPayMultiplier } = require('../../paytable');
+const { calculateTheory } = require('../../theory');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 5000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+// 與 design.json 的 BASE outcomes 一致的 paytable，另加 Scatter 派彩
+const PAYTABLE = {
+  LINE: {
+    H1: { 3: 5, 4: 20, 5: 100 },
+    H2: { 3: 3 },
+    M1: { 3: 2 },
+    L1: { 3: 2 },
+    L2: { 3: 1 }
+  },
+  ANY_POSITION: {
+    A1: { 5: 10 }
+  },
+  SCATTER: {
+    S: { 3: 2, 4: 10, 5: 50 }
+  }
+};
+
+// FREE outcomes 的賠率改為與 paytable 一致
+const FREE_PAYOUTS = {
+  FREE_MEGA_WIN: 100,
+  FREE_BIG_WIN: 20,
+  FREE_MEDIUM_WIN: 5,
+  FREE_SMALL_WIN: 2,
+  FREE_ANY_POS_A1_5: 10
+};
+
+/**
+ * design.json + paytable（含 SCATTER），FREE_GAME_TRIGGER 改為 WIN_AND_FEATURE（3 個 Scatter 支付 2 倍）
+ * - retrigger：FREE 加入 4 個 Scatter 的 retrigger outcome（WIN_AND_FEATURE，支付 10 倍）
+ */
+function loadScatterPayConfig(retrigger = null) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.outcomeTables.FREE.outcomes.forEach(outcome => {
+    if (FREE_PAYOUTS[outcome.id] !== undefined) {
+      outcome.payoutMultiplier = FREE_PAYOUTS[outcome.id];
+    }
+  });
+  config.paytable = JSON.parse(JSON.stringify(PAYTABLE));
+  const trigger = config.outcomeTables.BASE.outcomes.find(o => o.id === 'FREE_GAME_TRIGGER');
+  trigger.type = 'WIN_AND_FEATURE';
+  trigger.payoutMultiplier = 2;
+  if (retrigger) {
+    config.outcomeTables.FREE.outcomes.push({
+      id: 'FREE_RETRIGGER',
+      weight: 25,
+      payoutMultiplier: 10,
+      type: 'WIN_AND_FEATURE'
+    });
+    config.featureConfig.retrigger = Object.assign({ spins: 5, scatterCount: 4 }, retrigger);
+    config.scatterConfig.trigger.states = ['BASE', 'FREE'];
+  }
+  return config;
+}
+
+function runSimulation(config, spins, csvEnabled) {
+  return simulate(CONFIG_PATH, spins, null, true, csvEnabled, config, TEST_SEED, { quiet: true });
+}
+
+function scatterEvents(entry) {
+  return entry.eventsJson ? JSON.parse(entry.eventsJson).filter(event => event.ruleType === 'SCATTER') : [];
+}
+
+/**
+ * 執行函式並忽略 console.warn（Visual fallback 訊息）
+ */
+function withoutWarnings(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 測試 1: paytable.SCATTER 查表
+ */
+function test1_Paytable() {
+  console.log('📋 Test 1: paytable.SCATTER count tiers 查表，僅接受 SCATTER 符號');
+
+  const config = loadScatterPayConfig();
+  const paytable = buildPaytable(config.paytable, config.symbols);
+  const cases = [[2, 0], [3, 2], [4, 10], [5, 50], [7, 50]];
+  for (const [count, expected] of cases) {
+    const actual = getPayMultiplier(paytable, 'SCATTER', 'S', count);
+    if (actual !== expected) {
+      console.error(`❌ FAIL: SCATTER S x${count} 應為 ${expected}，實際 ${actual}`);
+      return false;
+    }
+  }
+
+  const invalidPaytables = [
+    { SCATTER: { H1: { 3: 2 } } },  // 非 SCATTER 符號
+    { LINE: { S: { 3: 2 } } },  // SCATTER 不以 LINE 支付
+    { SCATTER: { S: { 0: 2 } } }
+  ];
+  for (const invalid of invalidPaytables) {
+    try {
+      buildPaytable(invalid, config.symbols);
+      console.error(`❌ FAIL: ${JSON.stringify(invalid)} 應拋出錯誤`);
+      return false;
+    } catch (error) {
+      // 預期拋錯
+    }
+  }
+
+  console.log('✅ PASS: SCATTER 查表與設定檢查正確');
+  return true;
+}
+
+/**
+ * 測試 2: SCATTER 事件與觸發
+ */
+function test2_ScatterEvents() {
+  console.log('📋 Test 2: WIN_AND_FEATURE spin 同時派彩與觸發 Free Game');
+
+  const config = loadScatterPayConfig();
+  const bet = config.betConfig.baseBet;
+  const simulationData = withoutWarnings(() => runSimulation(config, TEST_SPINS, true));
+  let triggers = 0;
+
+  for (const entry of simulationData.spinLog) {
+    const events = scatterEvents(entry);
+    if (entry.type !== 'WIN_AND_FEATURE') {
+      if (events.length > 0) {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${entry.outcomeId}) 不應有 SCATTER 事件`);
+        return false;
+      }
+      continue;
+    }
+    triggers++;
+    const event = events[0];
+    if (events.length !== 1 || event.eventId !== 'SCATTER_S_3' || event.matchCount !== entry.scatterCount ||
+        event.positions.length !== 3 || event.winAmount !== Math.round(2 * bet) || entry.winAmount !== event.winAmount) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 的 SCATTER 事件不正確: ${entry.eventsJson}`);
+      return false;
+    }
+    if (entry.stateAfter !== 'FREE' || entry.triggeredFeatureId !== 'FREE_GAME_TRIGGER') {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 應觸發 Free Game（stateAfter=${entry.stateAfter}）`);
+      return false;
+    }
+  }
+
+  if (triggers === 0 || triggers !== simulationData.result.triggerCount) {
+    console.error(`❌ FAIL: WIN_AND_FEATURE 次數 ${triggers} 應等於 Trigger Count ${simulationData.result.triggerCount}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ${triggers} 次 WIN_AND_FEATURE，每次支付 SCATTER_S_3 並進入 FREE`);
+  return true;
+}
+
+/**
+ * 測試 3: SimulationResult 的 Scatter 派彩統計
+ */
+function test3_ResultSplit() {
+  console.log('📋 Test 3: baseScatterWin / featureScatterWin / scatterPayCount 與 spinLog 一致');
+
+  const simulationData = withoutWarnings(() => runSimulation(loadScatterPayConfig({}), TEST_SPINS, true));
+  const result = simulationData.result;
+  const sum = (entries, fn) => entries.reduce((total, entry) => total + fn(entry), 0);
+  const scatterWin = entry => sum(scatterEvents(entry), event => event.winAmount);
+  const baseEntries = simulationData.spinLog.filter(entry => entry.state === 'BASE');
+  const freeEntries = simulationData.spinLog.filter(entry => entry.state !== 'BASE');
+  const expected = {
+    baseScatterWin: sum(baseEntries, scatterWin),
+    featureScatterWin: sum(freeEntries, scatterWin),
+    scatterPayCount: simulationData.spinLog.filter(entry => scatterWin(entry) > 0).length
+  };
+
+  for (const field of Object.keys(expected)) {
+    if (result[field] !== expected[field]) {
+      console.error(`❌ FAIL: ${field} = ${result[field]}，spinLog 加總為 ${expected[field]}`);
+      return false;
+    }
+  }
+  if (result.featureScatterWin === 0 || result.retriggerCount === 0) {
+    console.error('❌ FAIL: 應有 FREE 中的 WIN_AND_FEATURE retrigger 派彩');
+    return false;
+  }
+
+  const hits = baseEntries.filter(entry => ['WIN', 'WIN_AND_FEATURE'].includes(entry.type) && entry.winAmount > 0).length;
+  if (result.baseHitCount !== hits) {
+    console.error(`❌ FAIL: baseHitCount ${result.baseHitCount} 應計入 WIN_AND_FEATURE（${hits}）`);
+    return false;
+  }
+
+  const merged = SimulationResult.merge([result, result]);
+  if (merged.baseScatterWin !== 2 * result.baseScatterWin || merged.scatterPayCount !== 2 * result.scatterPayCount) {
+    console.error('❌ FAIL: SimulationResult.merge 未加總 Scatter 派彩統計');
+    return false;
+  }
+
+  console.log(`✅ PASS: Base ${result.baseScatterWin} / Feature ${result.featureScatterWin}，${result.scatterPayCount} spins`);
+  return true;
+}
+
+/**
+ * 測試 4: 理論值
+ */
+function test4_Theory() {
+  console.log('📋 Test 4: Scatter Pay RTP 與 WIN_AND_FEATURE retrigger 的理論值');
+
+  const config = loadScatterPayConfig();
+  const bet = config.betConfig.baseBet;
+  const theory = calculateTheory(config, bet);
+  const baseOutcomes = config.outcomeTables.BASE.outcomes;
+  const totalWeight = baseOutcomes.reduce((sum, outcome) => sum + outcome.weight, 0);
+  const trigger = baseOutcomes.find(o => o.id === 'FREE_GAME_TRIGGER');
+  const expectedRtp = (trigger.weight / totalWeight) * Math.round(2 * bet) / bet * 100;
+  if (!theory.hasScatterPays || Math.abs(theory.baseScatterRtp - expectedRtp) > 1e-9 || theory.featureScatterRtp !== 0) {
+    console.error(`❌ FAIL: Base Scatter Pay RTP ${theory.baseScatterRtp}，應為 ${expectedRtp}`);
+    return false;
+  }
+
+  const legacy = calculateTheory(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')), bet);
+  if (legacy.hasScatterPays || legacy.baseScatterRtp !== 0) {
+    console.error('❌ FAIL: 未設定 WIN_AND_FEATURE 時不應有 Scatter Pay RTP');
+    return false;
+  }
+
+  // retrigger 有派彩：無上限的解析解應與上限極寬的動態規劃一致
+  const uncapped = calculateTheory(loadScatterPayConfig({}), 1);
+  const wideCap = calculateTheory(loadScatterPayConfig({ maxRetriggers: 80 }), 1);
+  if (Math.abs(uncapped.rtp - wideCap.rtp) > 1e-6 ||
+      Math.abs(uncapped.variance - wideCap.variance) > 1e-4 ||
+      Math.abs(uncapped.featureScatterRtp - wideCap.featureScatterRtp) > 1e-6) {
+    console.error(`❌ FAIL: 解析解與動態規劃不一致（RTP ${uncapped.rtp} vs ${wideCap.rtp}, Var ${uncapped.variance} vs ${wideCap.variance}）`);
+    return false;
+  }
+
+  console.log(`✅ PASS: Base Scatter Pay RTP ${theory.baseScatterRtp.toFixed(4)}%，retrigger Var ${uncapped.variance.toFixed(4)}`);
+  return true;
+}
+
+/**
+ * 測試 5: Validator 與 STRICT
+ */
+function test5_ValidatorAndStrict() {
+  console.log('📋 Test 5: Validator 檢查 Scatter 派彩與 STRICT 模式');
+
+  const validate = (cfg) => {
+    const tempPath = path.join(os.tmpdir(), `v1.6.23_${process.pid}_config.json`);
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(cfg));
+      return validateConfig(tempPath);
+    } finally {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+  };
+
+  for (const cfg of [loadScatterPayConfig(), loadScatterPayConfig({})]) {
+    const valid = validate(cfg);
+    if (valid.hasErrors()) {
+      console.error(`❌ FAIL: Scatter 派彩設定不應有錯誤: ${valid.errors.join(' / ')}`);
+      return false;
+    }
+  }
+
+  const trigger = cfg => cfg.outcomeTables.BASE.outcomes.find(o => o.id === 'FREE_GAME_TRIGGER');
+  const cases = [
+    ['FEATURE 有 Scatter 派彩', cfg => {
+      trigger(cfg).type = 'FEATURE';
+      trigger(cfg).payoutMultiplier = 0;
+    }, 'Scatter 派彩請使用 WIN_AND_FEATURE 類型'],
+    ['WIN_AND_FEATURE 賠率不一致', cfg => { trigger(cfg).payoutMultiplier = 3; }, 'SCATTER S x3 在 paytable 中為 2，與宣告的 payoutMultiplier (3) 不一致'],
+    ['WIN_AND_FEATURE 無派彩', cfg => { trigger(cfg).payoutMultiplier = 0; }, '的 payoutMultiplier 必須 > 0'],
+    ['WIN_AND_FEATURE 沒有 paytable', cfg => { delete cfg.paytable; }, '需要 paytable.SCATTER'],
+    ['WIN_AND_FEATURE 不放置 Scatter', cfg => {
+      cfg.outcomeTables.BASE.outcomes.push({ id: 'SCATTER_BONUS', weight: 1, payoutMultiplier: 2, type: 'WIN_AND_FEATURE' });
+    }, '"SCATTER_BONUS" 不會放置 Scatter'],
+    ['WIN_AND_FEATURE 指定 fsmEvent', cfg => { trigger(cfg).fsmEvent = 'TRIGGER_FREE'; }, '的 fsmEvent 僅適用於 FEATURE 類型']
+  ];
+  for (const [name, mutate, message] of cases) {
+    const cfg = loadScatterPayConfig();
+    mutate(cfg);
+    const invalid = validate(cfg);
+    if (!invalid.errors.some(error => error.includes(message))) {
+      console.error(`❌ FAIL: ${name} 應回報「${message}」: ${invalid.errors.join(' / ')}`);
+      return false;
+    }
+  }
+
+  // STRICT：FEATURE outcome 的盤面有 Scatter 派彩 → Validation mismatch
+  const featureConfig = loadScatterPayConfig();
+  trigger(featureConfig).type = 'FEATURE';
+  trigger(featureConfig).payoutMultiplier = 0;
+  try {
+    withoutWarnings(() => runSimulation(featureConfig, 1000, false));
+    console.error('❌ FAIL: FEATURE 有 Scatter 派彩時 simulate 應拋錯');
+    return false;
+  } catch (error) {
+    if (!error.message.includes('Validation mismatch')) {
+      console.error(`❌ FAIL: 錯誤訊息不正確: ${error.message}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: Validator 與 STRICT 檢查正確');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.23 Acceptance Test: Scatter Pays (WIN_AND_FEATURE)');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Paytable', fn: test1_Paytable },
+    { name: 'Test 2: Scatter Events', fn: test2_ScatterEvents },
+    { name: 'Test 3: Result Split', fn: test3_ResultSplit },
+    { name: 'Test 4: Theory', fn: test4_Theory },
+    { name: 'Test 5: Validator And Strict', fn: test5_ValidatorAndStrict }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_Paytable,
+  test2_ScatterEvents,
+  test3_ResultSplit,
+  test4_Theory,
+  test5_ValidatorAndStrict
+};
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.24 Acceptance Test: 可設定門檻的多個 ANY_POSITION 符號
+ *
+ * 必驗項目：
+ * 1. anyPosition.js：依 symbols 順序取得所有 ANY_POSITION 符號，minCount 預設 3
+ * 2. 兩個 ANY_POSITION 符號（SINGLE，經由 simulate）：各自的 outcome 只產生該符號的事件，其他 spin 盤面沒有任何 ANY_POSITION 事件
+ * 3. minCount：低於預設 3 的門檻可中獎；門檻高於 targetCount 時 STRICT 模式拋錯
+ * 4. MULTI：同一 outcome 的兩個 ANY_POSITION 條件各產生一個事件，paytable 依各符號的 count tiers 查表；
+ *    anyPosConditionsJson 記錄每個條件的目標與實際數量
+ * 5. Validator：依符號類型（而非 "A1"）檢查 LINE / ANY_POSITION 條件與 minCount
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { getAnyPositionSymbols, getAnyPositionMinCount, DEFAULT_ANY_POSITION_MIN_COUNT } = require('../../anyPosition');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+// 與 design.json 的 outcomes 一致的 paytable，A2 另有自己的 count tiers
+// （設定 paytable 時 SINGLE 模式不以 LINE 支付 ANY_POSITION 符號）
+const PAYTABLE = {
+  LINE: {
+    H1: { 3: 5, 4: 20, 5: 100 },
+    H2: { 3: 3 },
+    M1: { 3: 2 },
+    L1: { 3: 2 },
+    L2: { 3: 1 }
+  },
+  ANY_POSITION: {
+    A1: { 5: 10 },
+    A2: { 4: 3, 6: 8 }
+  }
+};
+
+// FREE outcomes 的賠率改為與 paytable 一致
+const FREE_PAYOUTS = {
+  FREE_MEGA_WIN: 100,
+  FREE_BIG_WIN: 20,
+  FREE_MEDIUM_WIN: 5,
+  FREE_SMALL_WIN: 2,
+  FREE_ANY_POS_A1_5: 10
+};
+
+/**
+ * design.json + paytable + 第二個 ANY_POSITION 符號 A2（minCount 4）與其 BASE outcome（A2 x4，支付 3 倍）
+ */
+function loadTwoSymbolConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.outcomeTables.FREE.outcomes.forEach(outcome => {
+    if (FREE_PAYOUTS[outcome.id] !== undefined) {
+      outcome.payoutMultiplier = FREE_PAYOUTS[outcome.id];
+    }
+  });
+  config.paytable = JSON.parse(JSON.stringify(PAYTABLE));
+  config.symbols.push({ id: 'A2', name: 'AnyPos2', type: 'ANY_POSITION', minCount: 4 });
+  config.outcomeTables.BASE.outcomes.push({
+    id: 'ANY_POS_A2_4',
+    weight: 40,
+    payoutMultiplier: 3,
+    type: 'WIN',
+    winCondition: { type: 'ANY_POSITION', symbolId: 'A2', targetCount: 4 }
+  });
+  return config;
+}
+
+function runSimulation(config) {
+  return simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, { quiet: true });
+}
+
+function anyPositionEvents(entry) {
+  return entry.eventsJson ? JSON.parse(entry.eventsJson).filter(event => event.ruleType === 'ANY_POSITION') : [];
+}
+
+/**
+ * 檢查 outcome 的每個 spin 都恰好產生預期的 ANY_POSITION 事件（symbolId × matchCount）
+ */
+function checkAnyPositionSpins(spinLog, outcomeId, expectedEvents) {
+  const entries = spinLog.filter(entry => entry.outcomeId === outcomeId);
+  if (entries.length === 0) {
+    console.error(`❌ FAIL: 沒有 ${outcomeId} 的 spin`);
+    return false;
+  }
+  for (const entry of entries) {
+    const events = anyPositionEvents(entry);
+    const matched = events.length === expectedEvents.length && expectedEvents.every(expected =>
+      events.some(event =>
+        event.paidSymbolId === expected.symbolId &&
+        event.matchCount === expected.matchCount &&
+        event.positions.length === expected.matchCount &&
+        (expected.winAmount === undefined || event.winAmount === expected.winAmount)
+      )
+    );
+    if (!matched) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${outcomeId}) 判定為 ${entry.eventsJson}`);
+      return false;
+    }
+  }
+  console.log(`   ${outcomeId}: ${entries.length} 次`);
+  return true;
+}
+
+/**
+ * 執行函式並忽略 console.warn（Visual fallback 訊息）
+ */
+function withoutWarnings(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 測試 1: ANY_POSITION 符號與 minCount
+ */
+function test1_Symbols() {
+  console.log('📋 Test 1: 取得所有 ANY_POSITION 符號，minCount 預設 3');
+
+  const config = loadTwoSymbolConfig();
+  const ids = getAnyPositionSymbols(config.symbols).map(s => s.id);
+  if (ids.join(',') !== 'A1,A2') {
+    console.error(`❌ FAIL: ANY_POSITION 符號應為 A1,A2，實際 ${ids.join(',')}`);
+    return false;
+  }
+  const a1 = config.symbols.find(s => s.id === 'A1');
+  const a2 = config.symbols.find(s => s.id === 'A2');
+  if (DEFAULT_ANY_POSITION_MIN_COUNT !== 3 || getAnyPositionMinCount(a1) !== 3 || getAnyPositionMinCount(a2) !== 4) {
+    console.error(`❌ FAIL: minCount 應為 A1=3、A2=4，實際 A1=${getAnyPositionMinCount(a1)}、A2=${getAnyPositionMinCount(a2)}`);
+    return false;
+  }
+
+  console.log('✅ PASS: 依 symbols 順序取得 ANY_POSITION 符號，minCount 正確');
+  return true;
+}
+
+/**
+ * 測試 2: 兩個 ANY_POSITION 符號（SINGLE）
+ */
+function test2_TwoSymbols() {
+  console.log('📋 Test 2: 兩個 ANY_POSITION 符號各自觸發，互不干擾');
+
+  const { spinLog } = withoutWarnings(() => runSimulation(loadTwoSymbolConfig()));
+  if (!checkAnyPositionSpins(spinLog, 'ANY_POS_A1_5', [{ symbolId: 'A1', matchCount: 5, winAmount: 10 }]) ||
+      !checkAnyPositionSpins(spinLog, 'ANY_POS_A2_4', [{ symbolId: 'A2', matchCount: 4, winAmount: 3 }])) {
+    return false;
+  }
+  const leaked = spinLog.find(entry =>
+    !['ANY_POS_A1_5', 'ANY_POS_A2_4', 'FREE_ANY_POS_A1_5'].includes(entry.outcomeId) && anyPositionEvents(entry).length > 0
+  );
+  if (leaked) {
+    console.error(`❌ FAIL: spin ${leaked.globalSpinIndex} (${leaked.outcomeId}) 不應有 ANY_POSITION 事件: ${leaked.eventsJson}`);
+    return false;
+  }
+  const mismatch = spinLog.find(entry => entry.evaluationMatch === false);
+  if (mismatch) {
+    console.error(`❌ FAIL: spin ${mismatch.globalSpinIndex} (${mismatch.outcomeId}) evaluationMatch = false`);
+    return false;
+  }
+
+  console.log('✅ PASS: A1 / A2 各自產生事件，anti-trigger guard 清除未觸發的符號');
+  return true;
+}
+
+/**
+ * 測試 3: minCount 門檻
+ */
+function test3_MinCount() {
+  console.log('📋 Test 3: minCount 低於 3 時可中獎，高於 targetCount 時 STRICT 拋錯');
+
+  const lowConfig = loadTwoSymbolConfig();
+  lowConfig.symbols.find(s => s.id === 'A2').minCount = 2;
+  lowConfig.paytable.ANY_POSITION.A2 = { 2: 3 };
+  const lowOutcome = lowConfig.outcomeTables.BASE.outcomes.find(o => o.id === 'ANY_POS_A2_4');
+  lowOutcome.id = 'ANY_POS_A2_2';
+  lowOutcome.winCondition.targetCount = 2;
+  const { spinLog } = withoutWarnings(() => runSimulation(lowConfig));
+  if (!checkAnyPositionSpins(spinLog, 'ANY_POS_A2_2', [{ symbolId: 'A2', matchCount: 2, winAmount: 3 }])) {
+    return false;
+  }
+
+  const highConfig = loadTwoSymbolConfig();
+  highConfig.symbols.find(s => s.id === 'A1').minCount = 6;
+  try {
+    withoutWarnings(() => runSimulation(highConfig));
+    console.error('❌ FAIL: A1 minCount 6 的 ANY_POS_A1_5 應在 STRICT 模式拋錯');
+    return false;
+  } catch (error) {
+    if (!error.message.includes('Validation mismatch')) {
+      console.error(`❌ FAIL: 錯誤訊息不正確: ${error.message}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: minCount 決定 Evaluator 的中獎門檻');
+  return true;
+}
+
+/**
+ * 測試 4: MULTI 模式的兩個 ANY_POSITION 條件
+ */
+function test4_MultiConditions() {
+  console.log('📋 Test 4: MULTI 模式同一 outcome 的 A1 + A2 條件');
+
+  const config = loadTwoSymbolConfig();
+  config.gameRules.BASE.evaluationMode = 'MULTI';
+  config.outcomeTables.BASE.outcomes.push({
+    id: 'ANY_POS_A1_A2',
+    weight: 40,
+    payoutMultiplier: 18,
+    type: 'WIN',
+    winConditions: [
+      { type: 'ANY_POSITION', symbolId: 'A1', targetCount: 5, payoutMultiplier: 10 },
+      { type: 'ANY_POSITION', symbolId: 'A2', targetCount: 6, payoutMultiplier: 8 }
+    ]
+  });
+  const { spinLog } = withoutWarnings(() => runSimulation(config));
+  if (!checkAnyPositionSpins(spinLog, 'ANY_POS_A1_A2', [
+    { symbolId: 'A1', matchCount: 5, winAmount: 10 },
+    { symbolId: 'A2', matchCount: 6, winAmount: 8 }
+  ])) {
+    return false;
+  }
+  const entry = spinLog.find(e => e.outcomeId === 'ANY_POS_A1_A2');
+  if (entry.anyPosActualCount !== 11) {
+    console.error(`❌ FAIL: anyPosActualCount 應為兩個符號合計 11，實際 ${entry.anyPosActualCount}`);
+    return false;
+  }
+  const expectedConditions = [
+    { symbolId: 'A1', targetCount: 5, actualCount: 5 },
+    { symbolId: 'A2', targetCount: 6, actualCount: 6 }
+  ];
+  if (entry.anyPosConditionsJson !== JSON.stringify(expectedConditions)) {
+    console.error(`❌ FAIL: anyPosConditionsJson 應記錄兩個條件，實際 ${entry.anyPosConditionsJson}`);
+    return false;
+  }
+
+  console.log('✅ PASS: 兩個 ANY_POSITION 條件各自放置、派彩並寫入 anyPosConditionsJson');
+  return true;
+}
+
+/**
+ * 測試 5: Validator 依符號類型檢查
+ */
+function test5_Validator() {
+  console.log('📋 Test 5: Validator 依符號類型檢查 ANY_POSITION 規則');
+
+  const validate = (cfg) => {
+    const tempPath = path.join(os.tmpdir(), `v1.6.24_${process.pid}_config.json`);
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(cfg));
+      return validateConfig(tempPath);
+    } finally {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+  };
+  const findOutcome = (config, id) => config.outcomeTables.BASE.outcomes.find(o => o.id === id);
+
+  const valid = validate(loadTwoSymbolConfig());
+  if (valid.hasErrors()) {
+    console.error(`❌ FAIL: 兩個 ANY_POSITION 符號的設定應通過驗證: ${valid.errors.join('; ')}`);
+    return false;
+  }
+
+  const cases = [
+    {
+      name: 'LINE 使用 A2',
+      mutate: config => { findOutcome(config, 'ANY_POS_A2_4').winCondition = { type: 'LINE', symbolId: 'A2', matchCount: 3 }; },
+      expected: '不得使用 ANY_POSITION 符號 A2'
+    },
+    {
+      name: 'winConfig 使用 A2',
+      mutate: config => {
+        const outcome = findOutcome(config, 'ANY_POS_A2_4');
+        delete outcome.winCondition;
+        outcome.winConfig = { symbolId: 'A2', matchCount: 3 };
+      },
+      expected: 'winConfig 不得使用 ANY_POSITION 符號 A2'
+    },
+    {
+      name: 'ANY_POSITION 使用非 ANY_POSITION 符號',
+      mutate: config => { findOutcome(config, 'ANY_POS_A2_4').winCondition.symbolId = 'H1'; },
+      expected: '必須為 ANY_POSITION 符號'
+    },
+    {
+      name: 'targetCount 低於 minCount',
+      mutate: config => { findOutcome(config, 'ANY_POS_A2_4').winCondition.targetCount = 3; },
+      expected: '低於 A2 的 minCount (4)'
+    },
+    {
+      name: 'minCount 非正整數',
+      mutate: config => { config.symbols.find(s => s.id === 'A2').minCount = 0; },
+      expected: 'minCount (0) 必須為正整數'
+    },
+    {
+      name: '非 ANY_POSITION 符號設定 minCount',
+      mutate: config => { config.symbols.find(s => s.id === 'H1').minCount = 3; },
+      expected: '不可設定 minCount'
+    },
+    {
+      name: '同一符號兩個 ANY_POSITION 條件',
+      mutate: config => {
+        config.gameRules.BASE.evaluationMode = 'MULTI';
+        const outcome = findOutcome(config, 'ANY_POS_A2_4');
+        delete outcome.winCondition;
+        outcome.winConditions = [
+          { type: 'ANY_POSITION', symbolId: 'A2', targetCount: 4, payoutMultiplier: 1 },
+          { type: 'ANY_POSITION', symbolId: 'A2', targetCount: 5, payoutMultiplier: 2 }
+        ];
+      },
+      expected: '同一符號最多只能有一個 ANY_POSITION 條件'
+    }
+  ];
+  for (const testCase of cases) {
+    const config = loadTwoSymbolConfig();
+    testCase.mutate(config);
+    const result = validate(config);
+    if (!result.errors.some(e => e.includes(testCase.expected))) {
+      console.error(`❌ FAIL: ${testCase.name} 應回報包含「${testCase.expected}」的錯誤，實際: ${result.errors.join('; ')}`);
+      return false;
+    }
+  }
+
+  const paytableConfig = loadTwoSymbolConfig();
+  paytableConfig.paytable.ANY_POSITION.A2 = { 3: 1, 4: 3, 6: 8 };
+  const paytableResult = validate(paytableConfig);
+  if (!paytableResult.warnings.some(w => w.includes('paytable.ANY_POSITION.A2 的 tier 3 低於 minCount (4)'))) {
+    console.error(`❌ FAIL: 低於 minCount 的 tier 應回報警告，實際: ${paytableResult.warnings.join('; ')}`);
+    return false;
+  }
+
+  console.log('✅ PASS: Validator 不再以 "A1" 判斷，改依符號類型與 minCount');
+  return true;
+}
+
+/**
+ * 主測試函數
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.24 Acceptance Test: Configurable ANY_POSITION Symbols');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Symbols', fn: test1_Symbols },
+    { name: 'Test 2: Two Symbols', fn: test2_TwoSymbols },
+    { name: 'Test 3: Min Count', fn: test3_MinCount },
+    { name: 'Test 4: Multi Conditions', fn: test4_MultiConditions },
+    { name: 'Test 5: Validator', fn: test5_Validator }
+  ];
+
+  const results = [];
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_Symbols,
+  test2_TwoSymbols,
+  test3_MinCount,
+  test4_MultiConditions,
+  test5_Validator
+};
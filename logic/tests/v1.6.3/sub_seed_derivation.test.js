@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.3 Acceptance Test: Versioned Sub-Seed Derivation
+ *
+ * 必驗項目：
+ * 1. v1（預設）與 v1.5.0 的 31-bit string hash 完全一致
+ * 2. v2 回傳 64-bit BigInt，且每個欄位都影響結果
+ * 3. 大量 spin 下 v2 無 sub-seed 碰撞，且不受 31-bit string hash 的結構性碰撞影響
+ * 4. 模擬結果記錄推導版本；預設與明確指定 v1 的 spinLog 完全一致
+ * 5. 不支援的推導版本立即拋錯
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { simulate } = require('../../simulate');
+const { RNG } = require('../../rng');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 500;
+const COLLISION_SPINS = 50000;
+const SUB_SEED_KINDS = ['PATTERN', 'VISUAL', 'SCATTER', 'ANY_POSITION'];
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+/**
+ * v1.5.0 原始推導（對照用）
+ */
+function legacyDerive(kind, context) {
+  const baseSeed = context.mathSeed !== null && context.mathSeed !== undefined ? String(context.mathSeed) : 'LEGACY';
+  const seedString = `${kind}|${baseSeed}|${context.spinIndex ?? 0}|${context.outcomeId ?? 'UNKNOWN'}|${context.patchVersion ?? 'v1.5.0'}`;
+  let value = 0;
+  for (let i = 0; i < seedString.length; i++) {
+    value = ((value << 5) - value) + seedString.charCodeAt(i);
+    value = value & value;
+  }
+  return Math.abs(value) || 1;
+}
+
+/**
+ * 測試 1: v1 與 v1.5.0 推導一致
+ */
+function test1_V1MatchesLegacy() {
+  console.log('📋 Test 1: v1 與 v1.5.0 推導一致');
+
+  const contexts = [
+    { mathSeed: '12345', spinIndex: 1, outcomeId: 'LOSS', patchVersion: 'v1.5.0' },
+    { mathSeed: '0', spinIndex: 99999, outcomeId: 'MEGA_WIN', patchVersion: 'v1.4.patch' },
+    { mathSeed: null, spinIndex: 7, outcomeId: 'FREE_GAME_TRIGGER', patchVersion: 'v1.5.2' },
+    { mathSeed: 'default', spinIndex: 0, outcomeId: 'ANY_POS_A1_5', patchVersion: 'v1.5.3' }
+  ];
+
+  for (const kind of SUB_SEED_KINDS) {
+    for (const context of contexts) {
+      const expected = legacyDerive(kind, context);
+      const byDefault = RNG.deriveSubSeed(kind, context);
+      const explicit = RNG.deriveSubSeed(kind, Object.assign({ derivation: 'v1' }, context));
+      if (byDefault !== expected || explicit !== expected) {
+        console.error(`❌ FAIL: ${kind} ${JSON.stringify(context)} expected=${expected}, default=${byDefault}, explicit=${explicit}`);
+        return false;
+      }
+    }
+  }
+
+  console.log(`✅ PASS: ${SUB_SEED_KINDS.length * contexts.length} 組 context 完全一致`);
+  return true;
+}
+
+/**
+ * 測試 2: v2 為 64-bit 且每個欄位都影響結果
+ */
+function test2_V2SensitiveToEveryField() {
+  console.log('📋 Test 2: v2 為 64-bit 且每個欄位都影響結果');
+
+  const base = { mathSeed: '12345', spinIndex: 10, outcomeId: 'SMALL_WIN', patchVersion: 'v1.5.0', derivation: 'v2' };
+  const seed = RNG.deriveSubSeed('PATTERN', base);
+
+  if (typeof seed !== 'bigint' || seed <= 0n || seed >= (1n << 64n)) {
+    console.error(`❌ FAIL: v2 seed 不是 64-bit BigInt: ${seed}`);
+    return false;
+  }
+  if (RNG.deriveSubSeed('PATTERN', Object.assign({}, base)) !== seed) {
+    console.error('❌ FAIL: v2 相同 context 結果不一致');
+    return false;
+  }
+
+  const variants = [
+    ['kind', RNG.deriveSubSeed('VISUAL', base)],
+    ['mathSeed', RNG.deriveSubSeed('PATTERN', Object.assign({}, base, { mathSeed: '12346' }))],
+    ['spinIndex', RNG.deriveSubSeed('PATTERN', Object.assign({}, base, { spinIndex: 11 }))],
+    ['outcomeId', RNG.deriveSubSeed('PATTERN', Object.assign({}, base, { outcomeId: 'SMALL_WIM' }))],
+    ['patchVersion', RNG.deriveSubSeed('PATTERN', Object.assign({}, base, { patchVersion: 'v1.5.1' }))]
+  ];
+  const unchanged = variants.filter(([, value]) => value === seed);
+  if (unchanged.length > 0) {
+    console.error(`❌ FAIL: 以下欄位變更未影響 seed: ${unchanged.map(([name]) => name).join(', ')}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: seed=${seed.toString(16)}，${variants.length} 個欄位皆影響結果`);
+  return true;
+}
+
+/**
+ * 測試 3: 大量 spin 下的碰撞
+ */
+function test3_CollisionResistance() {
+  console.log(`📋 Test 3: ${COLLISION_SPINS} spins × ${SUB_SEED_KINDS.length} 種 sub-stream 碰撞檢查`);
+
+  const countCollisions = (derivation) => {
+    const seen = new Set();
+    let collisions = 0;
+    for (let spinIndex = 1; spinIndex <= COLLISION_SPINS; spinIndex++) {
+      for (const kind of SUB_SEED_KINDS) {
+        const seed = RNG.deriveSubSeed(kind, {
+          mathSeed: String(TEST_SEED),
+          spinIndex: spinIndex,
+          outcomeId: 'LOSS',
+          patchVersion: 'v1.5.0',
+          derivation: derivation
+        });
+        const key = String(seed);
+        if (seen.has(key)) {
+          collisions++;
+        }
+        seen.add(key);
+      }
+    }
+    return collisions;
+  };
+
+  const v1Collisions = countCollisions('v1');
+  const v2Collisions = countCollisions('v2');
+
+  if (v2Collisions !== 0) {
+    console.error(`❌ FAIL: v2 發生 ${v2Collisions} 次碰撞`);
+    return false;
+  }
+
+  // 31-bit string hash 的結構性碰撞："Aa" 與 "BB" 的 hash 相同
+  const structural = (derivation) => ['Aa', 'BB'].map(outcomeId => String(RNG.deriveSubSeed('PATTERN', {
+    mathSeed: String(TEST_SEED), spinIndex: 1, outcomeId: outcomeId, patchVersion: 'v1.5.0', derivation: derivation
+  })));
+  const v1Pair = structural('v1');
+  const v2Pair = structural('v2');
+  if (v1Pair[0] !== v1Pair[1]) {
+    console.error('❌ FAIL: 預期 v1 對 "Aa"/"BB" 產生結構性碰撞（對照組失效）');
+    return false;
+  }
+  if (v2Pair[0] === v2Pair[1]) {
+    console.error('❌ FAIL: v2 對 "Aa"/"BB" 發生碰撞');
+    return false;
+  }
+
+  console.log(`✅ PASS: 大量 spin 碰撞 v1=${v1Collisions}, v2=0；"Aa"/"BB" 結構性碰撞僅發生於 v1`);
+  return true;
+}
+
+/**
+ * 測試 4: 模擬記錄推導版本且預設可重現舊結果
+ */
+function test4_SimulationRecordsDerivation() {
+  console.log('📋 Test 4: 模擬記錄推導版本且預設可重現舊結果');
+
+  const baseConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  const run = (subSeedDerivation) => {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    if (subSeedDerivation) {
+      config.rngConfig = { subSeedDerivation };
+    }
+    return simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED);
+  };
+
+  const byDefault = run(null);
+  const v1 = run('v1');
+  const v2a = run('v2');
+  const v2b = run('v2');
+
+  if (byDefault.result.subSeedDerivation !== 'v1' || v2a.result.subSeedDerivation !== 'v2') {
+    console.error(`❌ FAIL: subSeedDerivation 記錄錯誤: default=${byDefault.result.subSeedDerivation}, v2=${v2a.result.subSeedDerivation}`);
+    return false;
+  }
+  if (JSON.stringify(byDefault.spinLog) !== JSON.stringify(v1.spinLog)) {
+    console.error('❌ FAIL: 預設與明確指定 v1 的 spinLog 不一致');
+    return false;
+  }
+  if (JSON.stringify(v2a.spinLog) !== JSON.stringify(v2b.spinLog)) {
+    console.error('❌ FAIL: v2 相同 seed 兩次模擬結果不一致');
+    return false;
+  }
+  const v1Seeds = v1.spinLog.map(e => e.visualSeed).join(',');
+  const v2Seeds = v2a.spinLog.map(e => e.visualSeed).join(',');
+  if (v1Seeds === v2Seeds) {
+    console.error('❌ FAIL: v2 的 visualSeed 與 v1 相同');
+    return false;
+  }
+
+  console.log('✅ PASS: 預設 = v1（可重現），v2 可重現且 sub-seed 不同');
+  return true;
+}
+
+/**
+ * 測試 5: 不支援的推導版本立即拋錯
+ */
+function test5_UnknownDerivation() {
+  console.log('📋 Test 5: 不支援的推導版本立即拋錯');
+
+  const attempts = [
+    () => new RNG(TEST_SEED, { subSeedDerivation: 'v3' }),
+    () => RNG.deriveSubSeed('PATTERN', { mathSeed: '1', spinIndex: 1, outcomeId: 'LOSS', derivation: 'v3' })
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      attempt();
+      console.error('❌ FAIL: 未拋錯');
+      return false;
+    } catch (error) {
+      if (!error.message.includes('v3')) {
+        console.error(`❌ FAIL: 錯誤訊息未包含版本名稱: ${error.message}`);
+        return false;
+      }
+    }
+  }
+
+  console.log('✅ PASS: RNG 建構與 deriveSubSeed 皆拋錯');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.3 Acceptance Test: Versioned Sub-Seed Derivation');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: V1 Matches Legacy', fn: test1_V1MatchesLegacy },
+    { name: 'Test 2: V2 Sensitive To Every Field', fn: test2_V2SensitiveToEveryField },
+    { name: 'Test 3: Collision Resistance', fn: test3_CollisionResistance },
+    { name: 'Test 4: Simulation Records Derivation', fn: test4_SimulationRecordsDerivation },
+    { name: 'Test 5: Unknown Derivation', fn: test5_UnknownDerivation }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_V1MatchesLegacy,
+  test2_V2SensitiveToEveryField,
+  test3_CollisionResistance,
+  test4_SimulationRecordsDerivation,
+  test5_UnknownDerivation
+};
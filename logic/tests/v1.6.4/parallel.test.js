@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.4 Acceptance Test: Parallel Simulation & Deterministic Merge
+ *
+ * 必驗項目：
+ * 1. RunningStats.merge 與逐筆 push 的結果一致
+ * 2. 單一 partial 經 toJSON/fromJSON/merge 後與原始結果一致（Gap 由直方圖重算）
+ * 3. 同一 seed + worker 數量：合併結果與 CSV 完全相同
+ * 4. 合併計數 == 各 shard 計數加總；CSV 的 globalSpinIndex 連續、Gap 跨 shard 銜接正確；
+ *    最大贏分紀錄為全域索引並標示 shard seed 與 shard 內索引
+ * 5. splitSpins 餘數分配給前面的 shard；workers 非正整數立即拋錯
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate, SimulationResult } = require('../../simulate');
+const { RunningStats } = require('../../stats');
+const { runParallel, splitSpins, deriveShardSeed } = require('../../parallel');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const TEST_WORKERS = 3;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+const EPSILON = 1e-9;
+
+function tmpCsvPath(name) {
+  return path.join(os.tmpdir(), `v1.6.4_${process.pid}_${name}.csv`);
+}
+
+/**
+ * 讀取 CSV rows（欄位不含換行，且前 6 欄不含 quoting）
+ */
+function readCsvRows(csvPath) {
+  const lines = fs.readFileSync(csvPath, 'utf8').split('\n').slice(1);
+  return lines.map(line => {
+    const fields = line.split(',', 6);
+    return {
+      globalSpinIndex: Number(fields[0]),
+      baseSpinIndex: Number(fields[1]),
+      state: fields[2],
+      outcomeId: fields[3],
+      winAmount: Number(fields[5])
+    };
+  });
+}
+
+/**
+ * 測試 1: RunningStats.merge 與逐筆 push 一致
+ */
+function test1_RunningStatsMerge() {
+  console.log('📋 Test 1: RunningStats.merge 與逐筆 push 一致');
+
+  const values = [];
+  for (let i = 0; i < 1000; i++) {
+    values.push((i * 7919) % 113 === 0 ? 500 : (i % 5) * 3);
+  }
+
+  const sequential = new RunningStats();
+  values.forEach(v => sequential.push(v));
+
+  const merged = new RunningStats();
+  [[0, 1], [1, 400], [400, 400], [400, 1000]].forEach(([start, end]) => {
+    const part = new RunningStats();
+    values.slice(start, end).forEach(v => part.push(v));
+    merged.merge(RunningStats.fromJSON(JSON.parse(JSON.stringify(part))));
+  });
+
+  if (merged.count !== sequential.count ||
+      Math.abs(merged.mean - sequential.mean) > EPSILON ||
+      Math.abs(merged.variance - sequential.variance) > 1e-6) {
+    console.error(`❌ FAIL: merged=(${merged.count}, ${merged.mean}, ${merged.variance}), sequential=(${sequential.count}, ${sequential.mean}, ${sequential.variance})`);
+    return false;
+  }
+
+  console.log(`✅ PASS: count=${merged.count}, mean=${merged.mean.toFixed(6)}, variance=${merged.variance.toFixed(6)}`);
+  return true;
+}
+
+/**
+ * 測試 2: 單一 partial 合併後與原始結果一致
+ */
+function test2_SinglePartialRoundTrip() {
+  console.log('📋 Test 2: 單一 partial 經 toJSON/fromJSON/merge 後與原始結果一致');
+
+  const original = simulate(CONFIG_PATH, TEST_SPINS, null, true, false, null, TEST_SEED, { quiet: true }).result;
+  const merged = SimulationResult.merge([
+    SimulationResult.fromJSON(JSON.parse(JSON.stringify(original)))
+  ]);
+
+  const fields = ['baseGameSpins', 'freeGameSpins', 'totalWin', 'rtp', 'hitRate', 'triggerFrequency'];
+  for (const field of fields) {
+    if (Math.abs(merged[field] - original[field]) > EPSILON) {
+      console.error(`❌ FAIL: ${field} merged=${merged[field]}, original=${original[field]}`);
+      return false;
+    }
+  }
+
+  for (const outcomeId of Object.keys(original.baseOutcomeDistribution)) {
+    const a = original.baseOutcomeDistribution[outcomeId];
+    const b = merged.baseOutcomeDistribution[outcomeId];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      console.error(`❌ FAIL: ${outcomeId} original=${JSON.stringify(a)}, merged=${JSON.stringify(b)}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: 計數、RTP、Outcome 分布與 Gap 指標完全一致');
+  return true;
+}
+
+/**
+ * 測試 3: 同一 seed + worker 數量，結果與 CSV 完全相同
+ */
+async function test3_Deterministic() {
+  console.log('📋 Test 3: 同一 seed + worker 數量，結果與 CSV 完全相同');
+
+  const csvA = tmpCsvPath('a');
+  const csvB = tmpCsvPath('b');
+  try {
+    const runA = await runParallel(CONFIG_PATH, TEST_SPINS, TEST_WORKERS, { customSeed: TEST_SEED, csvPath: csvA });
+    const runB = await runParallel(CONFIG_PATH, TEST_SPINS, TEST_WORKERS, { customSeed: TEST_SEED, csvPath: csvB });
+
+    if (JSON.stringify(runA.result) !== JSON.stringify(runB.result)) {
+      console.error('❌ FAIL: 合併結果不一致');
+      return false;
+    }
+    if (fs.readFileSync(csvA, 'utf8') !== fs.readFileSync(csvB, 'utf8')) {
+      console.error('❌ FAIL: CSV 不一致');
+      return false;
+    }
+    const leftover = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(path.basename(csvA) + '.shard'));
+    if (leftover.length > 0) {
+      console.error(`❌ FAIL: 暫存 shard 檔未清除: ${leftover.join(', ')}`);
+      return false;
+    }
+
+    console.log(`✅ PASS: RTP=${runA.result.rtp.toFixed(4)}%，CSV 相同，shard 檔已清除`);
+    return true;
+  } finally {
+    [csvA, csvB].forEach(p => fs.existsSync(p) && fs.unlinkSync(p));
+  }
+}
+
+/**
+ * 測試 4: 合併計數 == shard 加總；CSV 索引連續、Gap 跨 shard 銜接正確
+ */
+async function test4_MergeMatchesShards() {
+  console.log('📋 Test 4: 合併計數 == shard 加總；CSV 索引連續、Gap 銜接正確');
+
+  const csvPath = tmpCsvPath('merge');
+  try {
+    const parallelData = await runParallel(CONFIG_PATH, TEST_SPINS, TEST_WORKERS, { customSeed: TEST_SEED, csvPath: csvPath });
+    const merged = parallelData.result;
+
+    // 以相同 shard seed 在 main thread 重跑每個 shard
+    const shards = splitSpins(TEST_SPINS, TEST_WORKERS).map((spins, shardIndex) =>
+      simulate(CONFIG_PATH, spins, null, true, false, null,
+        deriveShardSeed(String(TEST_SEED), shardIndex), { quiet: true }).result
+    );
+    const sumFields = ['baseGameSpins', 'freeGameSpins', 'baseGameWin', 'featureWin', 'triggerCount', 'baseHitCount'];
+    for (const field of sumFields) {
+      const sum = shards.reduce((acc, shard) => acc + shard[field], 0);
+      if (merged[field] !== sum) {
+        console.error(`❌ FAIL: ${field} merged=${merged[field]}, shard sum=${sum}`);
+        return false;
+      }
+    }
+
+    // CSV：globalSpinIndex 連續、贏分加總一致
+    const rows = readCsvRows(csvPath);
+    const brokenIndex = rows.findIndex((row, i) => row.globalSpinIndex !== i + 1);
+    if (brokenIndex !== -1 || rows.length !== merged.baseGameSpins + merged.freeGameSpins) {
+      console.error(`❌ FAIL: globalSpinIndex 不連續 (row ${brokenIndex}) 或筆數不符 (${rows.length})`);
+      return false;
+    }
+    const csvTotalWin = rows.reduce((acc, row) => acc + row.winAmount, 0);
+    if (csvTotalWin !== merged.totalWin) {
+      console.error(`❌ FAIL: CSV 贏分加總 ${csvTotalWin} != totalWin ${merged.totalWin}`);
+      return false;
+    }
+
+    // Gap：由全域 baseSpinIndex 重算，必須與合併結果一致
+    const lastIndex = {};
+    const gaps = {};
+    rows.filter(row => row.state === 'BASE').forEach(row => {
+      if (lastIndex[row.outcomeId] !== undefined) {
+        (gaps[row.outcomeId] = gaps[row.outcomeId] || []).push(row.baseSpinIndex - lastIndex[row.outcomeId]);
+      }
+      lastIndex[row.outcomeId] = row.baseSpinIndex;
+    });
+    for (const outcomeId of Object.keys(merged.baseOutcomeDistribution)) {
+      const expected = gaps[outcomeId] || [];
+      const dist = merged.baseOutcomeDistribution[outcomeId];
+      const expectedMax = expected.length > 0 ? Math.max(...expected) : null;
+      const expectedAvg = expected.length > 0 ? expected.reduce((a, b) => a + b, 0) / expected.length : null;
+      if (dist.maxGap !== expectedMax ||
+          (expectedAvg === null ? dist.avgGap !== null : Math.abs(dist.avgGap - expectedAvg) > EPSILON)) {
+        console.error(`❌ FAIL: ${outcomeId} gap merged=(${dist.avgGap}, ${dist.maxGap}), csv=(${expectedAvg}, ${expectedMax})`);
+        return false;
+      }
+    }
+
+    // 最大贏分紀錄：全域索引對應 CSV 的同一列，shard 記錄該 shard 的 seed 與 shard 內索引
+    const record = merged.maxSpinWin;
+    const row = rows.find(r => r.globalSpinIndex === record.spinIndex);
+    const shardRecord = shards[record.shard.index].maxSpinWin;
+    if (!row || row.winAmount !== record.win || row.baseSpinIndex !== record.baseSpin ||
+        record.seed !== String(TEST_SEED) ||
+        record.shard.seed !== shardRecord.seed || record.shard.baseSpin !== shardRecord.baseSpin ||
+        record.shard.spinIndex !== shardRecord.spinIndex) {
+      console.error(`❌ FAIL: maxSpinWin ${JSON.stringify(record)} 與 CSV / shard 紀錄不一致`);
+      return false;
+    }
+
+    console.log(`   maxSpinWin: ${record.win} @ Spin #${record.spinIndex}（shard #${record.shard.index} Spin #${record.shard.spinIndex}）`);
+    console.log(`✅ PASS: ${rows.length} rows，索引連續，計數、Gap 與最大贏分紀錄一致`);
+    return true;
+  } finally {
+    if (fs.existsSync(csvPath)) fs.unlinkSync(csvPath);
+  }
+}
+
+/**
+ * 測試 5: splitSpins 與參數驗證
+ */
+async function test5_SplitAndValidation() {
+  console.log('📋 Test 5: splitSpins 餘數分配與參數驗證');
+
+  const split = splitSpins(10, 4);
+  if (JSON.stringify(split) !== JSON.stringify([3, 3, 2, 2])) {
+    console.error(`❌ FAIL: splitSpins(10, 4) = ${JSON.stringify(split)}`);
+    return false;
+  }
+  if (splitSpins(2, 8).length !== 2) {
+    console.error('❌ FAIL: shard 數量應不超過 Base Spin 次數');
+    return false;
+  }
+
+  try {
+    await runParallel(CONFIG_PATH, TEST_SPINS, 0, { customSeed: TEST_SEED });
+    console.error('❌ FAIL: workers = 0 應拋出錯誤');
+    return false;
+  } catch (error) {
+    console.log(`✅ PASS: splitSpins(10, 4) = [3,3,2,2]，workers = 0 拋錯: ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * 主測試函式
+ */
+async function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.4 Acceptance Test: Parallel Simulation & Deterministic Merge');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, ${TEST_WORKERS} workers, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: RunningStats Merge', fn: test1_RunningStatsMerge },
+    { name: 'Test 2: Single Partial Round Trip', fn: test2_SinglePartialRoundTrip },
+    { name: 'Test 3: Deterministic', fn: test3_Deterministic },
+    { name: 'Test 4: Merge Matches Shards', fn: test4_MergeMatchesShards },
+    { name: 'Test 5: Split And Validation', fn: test5_SplitAndValidation }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = await test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_RunningStatsMerge,
+  test2_SinglePartialRoundTrip,
+  test3_Deterministic,
+  test4_MergeMatchesShards,
+  test5_SplitAndValidation
+};
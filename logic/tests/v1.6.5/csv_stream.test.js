@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.5 Acceptance Test: Streaming CSV Sink
+ *
+ * 必驗項目：
+ * 1. CsvSink 串流輸出與 generateCSV(spinLog) bitwise identical（小緩衝區強制多次 flush）
+ * 2. gzip 輸出（多個 gzip member）解壓後與未壓縮輸出相同
+ * 3. 提供 csvSink 時 simulate() 不保留 spinLog，且寫入筆數 == 總 spin 數
+ * 4. 緩衝區達到 highWaterMark 即寫入檔案（記憶體上限固定）
+ * 5. 關閉後寫入立即拋錯；空內容的 gzip 檔仍可解壓
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { simulate } = require('../../simulate');
+const { CsvSink, CSV_HEADER, generateCSV } = require('../../csvExporter');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 2000;
+const SMALL_HIGH_WATER_MARK = 4096;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function tmpPath(name) {
+  return path.join(os.tmpdir(), `v1.6.5_${process.pid}_${name}`);
+}
+
+function cleanup(paths) {
+  paths.forEach(p => {
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+  });
+}
+
+/**
+ * 以 CsvSink 串流執行模擬
+ */
+function runWithSink(csvPath, sinkOptions) {
+  const sink = new CsvSink(csvPath, sinkOptions);
+  try {
+    const simulationData = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, null, TEST_SEED, { quiet: true, csvSink: sink });
+    return { simulationData, sink };
+  } finally {
+    sink.close();
+  }
+}
+
+/**
+ * 測試 1: 串流輸出與 generateCSV 完全一致
+ */
+function test1_StreamMatchesBuffered() {
+  console.log('📋 Test 1: CsvSink 串流輸出與 generateCSV(spinLog) bitwise identical');
+
+  const csvPath = tmpPath('stream.csv');
+  try {
+    const buffered = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, null, TEST_SEED, { quiet: true });
+    const expected = generateCSV(buffered.spinLog);
+    runWithSink(csvPath, { highWaterMark: SMALL_HIGH_WATER_MARK });
+    const actual = fs.readFileSync(csvPath, 'utf8');
+
+    if (actual !== expected) {
+      console.error(`❌ FAIL: 串流輸出不一致 (stream=${actual.length} chars, buffered=${expected.length} chars)`);
+      return false;
+    }
+
+    console.log(`✅ PASS: ${expected.length} chars 完全一致`);
+    return true;
+  } finally {
+    cleanup([csvPath]);
+  }
+}
+
+/**
+ * 測試 2: gzip 輸出解壓後與未壓縮輸出相同
+ */
+function test2_GzipRoundTrip() {
+  console.log('📋 Test 2: gzip 輸出解壓後與未壓縮輸出相同');
+
+  const plainPath = tmpPath('plain.csv');
+  const gzipPath = tmpPath('gzip.csv.gz');
+  try {
+    runWithSink(plainPath, {});
+    runWithSink(gzipPath, { gzip: true, highWaterMark: SMALL_HIGH_WATER_MARK });
+
+    const plain = fs.readFileSync(plainPath);
+    const compressed = fs.readFileSync(gzipPath);
+    const unzipped = zlib.gunzipSync(compressed);
+
+    if (!unzipped.equals(plain)) {
+      console.error('❌ FAIL: 解壓後內容不一致');
+      return false;
+    }
+    if (compressed.length >= plain.length) {
+      console.error(`❌ FAIL: gzip 未壓縮 (${compressed.length} >= ${plain.length} bytes)`);
+      return false;
+    }
+
+    console.log(`✅ PASS: ${plain.length} bytes → ${compressed.length} bytes，解壓後一致`);
+    return true;
+  } finally {
+    cleanup([plainPath, gzipPath]);
+  }
+}
+
+/**
+ * 測試 3: 提供 csvSink 時不保留 spinLog
+ */
+function test3_NoSpinLogRetained() {
+  console.log('📋 Test 3: 提供 csvSink 時 simulate() 不保留 spinLog');
+
+  const csvPath = tmpPath('rows.csv');
+  try {
+    const { simulationData, sink } = runWithSink(csvPath, {});
+    const result = simulationData.result;
+    const totalSpins = result.baseGameSpins + result.freeGameSpins;
+
+    if (simulationData.spinLog !== null) {
+      console.error('❌ FAIL: spinLog 應為 null');
+      return false;
+    }
+    if (sink.rowCount !== totalSpins) {
+      console.error(`❌ FAIL: 寫入筆數 ${sink.rowCount} != 總 spin 數 ${totalSpins}`);
+      return false;
+    }
+    const lines = fs.readFileSync(csvPath, 'utf8').split('\n');
+    if (lines[0] !== CSV_HEADER || lines.length !== totalSpins + 1) {
+      console.error(`❌ FAIL: CSV 行數 ${lines.length} != ${totalSpins + 1}（含 header）`);
+      return false;
+    }
+
+    console.log(`✅ PASS: spinLog = null，寫入 ${sink.rowCount} 筆`);
+    return true;
+  } finally {
+    cleanup([csvPath]);
+  }
+}
+
+/**
+ * 測試 4: 緩衝區達到 highWaterMark 即寫入檔案
+ */
+function test4_FlushAtHighWaterMark() {
+  console.log('📋 Test 4: 緩衝區達到 highWaterMark 即寫入檔案');
+
+  const csvPath = tmpPath('hwm.csv');
+  const sink = new CsvSink(csvPath, { header: false, highWaterMark: 100 });
+  try {
+    sink.writeLine('x'.repeat(60));
+    const sizeBeforeLimit = fs.statSync(csvPath).size;
+    sink.writeLine('y'.repeat(60));
+    const sizeAfterLimit = fs.statSync(csvPath).size;
+
+    if (sizeBeforeLimit !== 0 || sizeAfterLimit !== 121) {
+      console.error(`❌ FAIL: 寫入時機錯誤 (before=${sizeBeforeLimit}, after=${sizeAfterLimit})`);
+      return false;
+    }
+
+    console.log('✅ PASS: 未達上限前不寫入，達到上限後立即寫入');
+    return true;
+  } finally {
+    sink.close();
+    cleanup([csvPath]);
+  }
+}
+
+/**
+ * 測試 5: 關閉後寫入拋錯；空 gzip 檔可解壓
+ */
+function test5_CloseAndEmptyGzip() {
+  console.log('📋 Test 5: 關閉後寫入拋錯；空內容的 gzip 檔仍可解壓');
+
+  const gzipPath = tmpPath('empty.csv.gz');
+  try {
+    const sink = new CsvSink(gzipPath, { gzip: true, header: false });
+    sink.close();
+    sink.close();  // 重複關閉不拋錯
+
+    if (zlib.gunzipSync(fs.readFileSync(gzipPath)).length !== 0) {
+      console.error('❌ FAIL: 空 gzip 檔解壓後應為空');
+      return false;
+    }
+
+    try {
+      sink.writeLine('after close');
+      console.error('❌ FAIL: 關閉後寫入應拋出錯誤');
+      return false;
+    } catch (error) {
+      console.log(`✅ PASS: 空 gzip 檔可解壓，關閉後寫入拋錯: ${error.message}`);
+      return true;
+    }
+  } finally {
+    cleanup([gzipPath]);
+  }
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.5 Acceptance Test: Streaming CSV Sink');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Stream Matches Buffered', fn: test1_StreamMatchesBuffered },
+    { name: 'Test 2: Gzip Round Trip', fn: test2_GzipRoundTrip },
+    { name: 'Test 3: No SpinLog Retained', fn: test3_NoSpinLogRetained },
+    { name: 'Test 4: Flush At High Water Mark', fn: test4_FlushAtHighWaterMark },
+    { name: 'Test 5: Close And Empty Gzip', fn: test5_CloseAndEmptyGzip }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_StreamMatchesBuffered,
+  test2_GzipRoundTrip,
+  test3_NoSpinLogRetained,
+  test4_FlushAtHighWaterMark,
+  test5_CloseAndEmptyGzip
+};
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.6 Acceptance Test: Checkpoint & Resume
+ *
+ * 必驗項目：
+ * 1. 續跑結果與不中斷執行完全一致（SimulationResult、spinDetails、CSV）
+ *    - checkpoint 只保存前 10 筆 stateTransitions 與總數；續跑結果為這 10 筆 + 續跑後的切換
+ *    - 涵蓋 lcg-legacy / xoshiro256** / chacha20
+ *    - 涵蓋 checkpoint 落在 Free Game 進行中（FSM 為 FREE）
+ * 2. gzip CSV 續跑：checkpoint 之後的殘留內容被截斷，解壓後與不中斷執行相同
+ * 3. 參數不一致（seed / 設定檔）、legacy mode、spinLog 模式立即拋錯
+ * 4. Gap 直方圖與逐筆 gap 重算的 avg / median / max 一致
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { simulate } = require('../../simulate');
+const { CsvSink } = require('../../csvExporter');
+const { loadCheckpoint } = require('../../checkpoint');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 1500;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+const ALGORITHMS = ['lcg-legacy', 'xoshiro256**', 'chacha20'];
+
+function tmpPath(name) {
+  return path.join(os.tmpdir(), `v1.6.6_${process.pid}_${name}`);
+}
+
+function cleanup(paths) {
+  paths.forEach(p => {
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+  });
+}
+
+function loadConfig(algorithm) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.rngConfig = Object.assign({}, config.rngConfig, { algorithm: algorithm });
+  return config;
+}
+
+/**
+ * 執行模擬（CSV 以 CsvSink 串流寫出）
+ */
+function run(config, spins, csvPath, extraOptions = {}, sinkOptions = {}) {
+  const sink = new CsvSink(csvPath, sinkOptions);
+  try {
+    return simulate(CONFIG_PATH, spins, null, true, true, config, TEST_SEED,
+      Object.assign({ quiet: true, csvSink: sink }, extraOptions));
+  } finally {
+    sink.close();
+  }
+}
+
+/**
+ * 以 checkpoint 執行一次（模擬中斷），再從 checkpoint 續跑
+ */
+function runInterruptedAndResume(config, spins, interval, csvPath, ckptPath, sinkOptions = {}) {
+  run(config, spins, csvPath, { checkpoint: { path: ckptPath, interval: interval } }, sinkOptions);
+  // 模擬中斷：checkpoint 之後寫入的殘留內容
+  fs.appendFileSync(csvPath, 'partial,row,after,checkpoint');
+
+  const checkpoint = loadCheckpoint(ckptPath);
+  const sink = new CsvSink(csvPath, Object.assign({}, sinkOptions, { resume: checkpoint.csv }));
+  try {
+    const simulationData = simulate(CONFIG_PATH, spins, null, true, true, config, TEST_SEED,
+      { quiet: true, csvSink: sink, resume: checkpoint });
+    return { simulationData, checkpoint };
+  } finally {
+    sink.close();
+  }
+}
+
+/**
+ * 續跑結果的 stateTransitions：checkpoint 保存的前幾筆 + 續跑後的切換
+ */
+function resumedTransitions(full, checkpoint) {
+  return full.stateTransitions.slice(0, checkpoint.stateTransitions.length)
+    .concat(full.stateTransitions.slice(checkpoint.stateTransitionCount));
+}
+
+function sameRun(full, resumed, checkpoint) {
+  return JSON.stringify(full.result) === JSON.stringify(resumed.result) &&
+    JSON.stringify(full.spinDetails) === JSON.stringify(resumed.spinDetails) &&
+    JSON.stringify(resumedTransitions(full, checkpoint)) === JSON.stringify(resumed.stateTransitions) &&
+    resumed.stateTransitionCount === full.stateTransitions.length;
+}
+
+/**
+ * 測試 1: 續跑結果與不中斷執行完全一致
+ */
+function test1_ResumeMatchesUninterrupted() {
+  console.log('📋 Test 1: 續跑結果與不中斷執行完全一致（含 FREE 狀態 checkpoint）');
+
+  const fullCsv = tmpPath('full.csv');
+  const resumedCsv = tmpPath('resumed.csv');
+  const ckptPath = tmpPath('run.ckpt');
+  try {
+    for (const algorithm of ALGORITHMS) {
+      const config = loadConfig(algorithm);
+      const full = run(config, TEST_SPINS, fullCsv);
+
+      // 一般 checkpoint 位置 + 落在 Free Game 觸發當下的位置
+      const trigger = full.stateTransitions.find(t => t.to === 'FREE');
+      const cases = [{ spins: TEST_SPINS, interval: 700 }];
+      if (trigger) {
+        cases.push({ spins: trigger.baseSpin + 1, interval: trigger.baseSpin });
+      }
+
+      for (const c of cases) {
+        const expected = c.spins === TEST_SPINS ? full : run(config, c.spins, fullCsv);
+        const { simulationData, checkpoint } = runInterruptedAndResume(config, c.spins, c.interval, resumedCsv, ckptPath);
+
+        if (!sameRun(expected, simulationData, checkpoint)) {
+          console.error(`❌ FAIL: ${algorithm} interval=${c.interval} 續跑結果不一致`);
+          return false;
+        }
+        if (fs.readFileSync(fullCsv, 'utf8') !== fs.readFileSync(resumedCsv, 'utf8')) {
+          console.error(`❌ FAIL: ${algorithm} interval=${c.interval} CSV 不一致`);
+          return false;
+        }
+        if (checkpoint.stateTransitions.length > 10) {
+          console.error(`❌ FAIL: ${algorithm} checkpoint 保存了 ${checkpoint.stateTransitions.length} 筆狀態切換（上限 10）`);
+          return false;
+        }
+        if (c.spins !== TEST_SPINS && checkpoint.fsm.currentState !== 'FREE') {
+          console.error(`❌ FAIL: ${algorithm} checkpoint 應落在 FREE 狀態`);
+          return false;
+        }
+      }
+      console.log(`   ${algorithm}: ${cases.length} 個 checkpoint 位置皆一致`);
+    }
+
+    if (fs.existsSync(`${ckptPath}.tmp`)) {
+      console.error('❌ FAIL: 殘留 checkpoint 暫存檔');
+      return false;
+    }
+
+    console.log('✅ PASS: 結果、spinDetails、stateTransitions（前 10 筆 + 續跑後）、CSV 一致');
+    return true;
+  } finally {
+    cleanup([fullCsv, resumedCsv, ckptPath]);
+  }
+}
+
+/**
+ * 測試 2: gzip CSV 續跑
+ */
+function test2_GzipResume() {
+  console.log('📋 Test 2: gzip CSV 續跑（截斷殘留內容）');
+
+  const fullCsv = tmpPath('full.csv.gz');
+  const resumedCsv = tmpPath('resumed.csv.gz');
+  const ckptPath = tmpPath('gzip.ckpt');
+  try {
+    const config = loadConfig('lcg-legacy');
+    run(config, TEST_SPINS, fullCsv, {}, { gzip: true });
+    runInterruptedAndResume(config, TEST_SPINS, 500, resumedCsv, ckptPath, { gzip: true });
+
+    const expected = zlib.gunzipSync(fs.readFileSync(fullCsv));
+    const actual = zlib.gunzipSync(fs.readFileSync(resumedCsv));
+    if (!expected.equals(actual)) {
+      console.error('❌ FAIL: 解壓後 CSV 不一致');
+      return false;
+    }
+
+    console.log(`✅ PASS: 解壓後 ${actual.length} bytes 完全一致`);
+    return true;
+  } finally {
+    cleanup([fullCsv, resumedCsv, ckptPath]);
+  }
+}
+
+/**
+ * 測試 3: 不可續跑的情況立即拋錯
+ */
+function test3_RejectsInvalidResume() {
+  console.log('📋 Test 3: 參數不一致、legacy mode、spinLog 模式立即拋錯');
+
+  const csvPath = tmpPath('reject.csv');
+  const ckptPath = tmpPath('reject.ckpt');
+  try {
+    const config = loadConfig('lcg-legacy');
+    run(config, 600, csvPath, { checkpoint: { path: ckptPath, interval: 300 } });
+    const checkpoint = loadCheckpoint(ckptPath);
+
+    const modifiedConfig = loadConfig('lcg-legacy');
+    modifiedConfig.featureConfig.freeSpinCount += 1;
+
+    const cases = [
+      {
+        name: '不同 seed',
+        fn: () => simulate(CONFIG_PATH, 600, null, true, false, config, TEST_SEED + 1, { quiet: true, resume: checkpoint })
+      },
+      {
+        name: '設定檔被修改',
+        fn: () => simulate(CONFIG_PATH, 600, null, true, false, modifiedConfig, TEST_SEED, { quiet: true, resume: checkpoint })
+      },
+      {
+        name: 'CSV 設定不一致',
+        fn: () => simulate(CONFIG_PATH, 600, null, true, false, config, TEST_SEED, { quiet: true, resume: checkpoint })
+      },
+      {
+        name: 'legacy mode',
+        fn: () => simulate(CONFIG_PATH, 600, null, true, false, { ...config, seed: undefined }, null, { quiet: true, checkpoint: { path: ckptPath } })
+      },
+      {
+        name: 'spinLog 模式',
+        fn: () => simulate(CONFIG_PATH, 600, null, true, true, config, TEST_SEED, { quiet: true, checkpoint: { path: ckptPath } })
+      }
+    ];
+
+    for (const c of cases) {
+      try {
+        c.fn();
+        console.error(`❌ FAIL: ${c.name} 應拋出錯誤`);
+        return false;
+      } catch (error) {
+        console.log(`   ${c.name}: ${error.message}`);
+      }
+    }
+
+    console.log('✅ PASS: 所有不可續跑的情況皆拋錯');
+    return true;
+  } finally {
+    cleanup([csvPath, ckptPath]);
+  }
+}
+
+/**
+ * 測試 4: Gap 直方圖與逐筆重算一致
+ */
+function test4_GapHistogramMetrics() {
+  console.log('📋 Test 4: Gap 直方圖與逐筆 gap 重算一致');
+
+  const simulationData = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, null, TEST_SEED, { quiet: true });
+  const lastIndex = {};
+  const gaps = {};
+  simulationData.spinLog.filter(log => log.state === 'BASE').forEach(log => {
+    if (lastIndex[log.outcomeId] !== undefined) {
+      (gaps[log.outcomeId] = gaps[log.outcomeId] || []).push(log.baseSpinIndex - lastIndex[log.outcomeId]);
+    }
+    lastIndex[log.outcomeId] = log.baseSpinIndex;
+  });
+
+  for (const [outcomeId, dist] of Object.entries(simulationData.result.baseOutcomeDistribution)) {
+    const list = (gaps[outcomeId] || []).slice().sort((a, b) => a - b);
+    const mid = Math.floor(list.length / 2);
+    const expected = list.length === 0
+      ? { avgGap: null, medianGap: null, maxGap: null }
+      : {
+          avgGap: list.reduce((a, b) => a + b, 0) / list.length,
+          medianGap: list.length % 2 === 0 ? (list[mid - 1] + list[mid]) / 2 : list[mid],
+          maxGap: list[list.length - 1]
+        };
+    const actual = { avgGap: dist.avgGap, medianGap: dist.medianGap, maxGap: dist.maxGap };
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      console.error(`❌ FAIL: ${outcomeId} actual=${JSON.stringify(actual)}, expected=${JSON.stringify(expected)}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: avg / median / max 完全一致');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.6 Acceptance Test: Checkpoint & Resume');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Resume Matches Uninterrupted', fn: test1_ResumeMatchesUninterrupted },
+    { name: 'Test 2: Gzip Resume', fn: test2_GzipResume },
+    { name: 'Test 3: Rejects Invalid Resume', fn: test3_RejectsInvalidResume },
+    { name: 'Test 4: Gap Histogram Metrics', fn: test4_GapHistogramMetrics }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_ResumeMatchesUninterrupted,
+  test2_GzipResume,
+  test3_RejectsInvalidResume,
+  test4_GapHistogramMetrics
+};
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.7 Acceptance Test: Wild Substitution（LINE）
+ *
+ * 必驗項目：
+ * 1. 無 WILD 的 payline 判定與 v1.5.0 相同；一般符號之後的 WILD 延長連線
+ * 2. Leading wilds 取第一個非 WILD 符號；整條 WILD / 無法替代時為 wild-only line
+ * 3. substitutes 限制 WILD 可替代的符號；未設定時不替代（opt-in）；設定錯誤時拋錯
+ * 4. allowWild: true 時 anchor run 內放置 WILD，evaluator 判定仍為 winConfig 的 symbolId × matchCount，
+ *    validateStrict 全數一致，且同 seed 結果相同
+ * 5. allowWild 但沒有可替代的 WILD：validator 回報錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { buildWildRules, matchLine } = require('../../lineMatcher');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+const WILD_OUTCOME_IDS = ['MEGA_WIN', 'BIG_WIN', 'MEDIUM_WIN', 'SMALL_WIN'];
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * 啟用 Wild 替代（WILD substitutes = "ALL"，替代所有 LOW / MID / HIGH）
+ */
+function loadWildConfig() {
+  const config = loadConfig();
+  config.symbols = config.symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes: 'ALL' } : s));
+  return config;
+}
+
+/**
+ * 將 BASE 的 LINE outcomes 設為 allowWild: true
+ */
+function loadAllowWildConfig() {
+  const config = loadWildConfig();
+  config.outcomeTables.BASE.outcomes.forEach(outcome => {
+    if (WILD_OUTCOME_IDS.includes(outcome.id)) {
+      outcome.winConfig.allowWild = true;
+    }
+  });
+  return config;
+}
+
+function sameRun(actual, expected) {
+  return actual.symbolId === expected.symbolId &&
+    actual.matchCount === expected.matchCount &&
+    actual.wildCount === expected.wildCount;
+}
+
+/**
+ * 逐一比對 matchLine 結果
+ */
+function checkCases(rules, cases) {
+  for (const { line, expected } of cases) {
+    const actual = matchLine(line, rules);
+    if (!sameRun(actual, expected)) {
+      console.error(`❌ FAIL: [${line.join(' ')}] → ${JSON.stringify(actual)}，預期 ${JSON.stringify(expected)}`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 測試 1: 一般符號起點
+ */
+function test1_RegularStart() {
+  console.log('📋 Test 1: 無 WILD 的判定與 v1.5.0 相同；一般符號之後的 WILD 延長連線');
+
+  const rules = buildWildRules(loadWildConfig().symbols);
+  const passed = checkCases(rules, [
+    { line: ['H1', 'H1', 'H1', 'L1', 'L2'], expected: { symbolId: 'H1', matchCount: 3, wildCount: 0 } },
+    { line: ['L1', 'L2', 'L2', 'L2', 'L2'], expected: { symbolId: 'L1', matchCount: 1, wildCount: 0 } },
+    { line: ['S', 'S', 'S', 'L1', 'L2'], expected: { symbolId: 'S', matchCount: 3, wildCount: 0 } },
+    { line: ['H1', 'W', 'H1', 'W', 'L2'], expected: { symbolId: 'H1', matchCount: 4, wildCount: 2 } },
+    { line: ['M1', 'W', 'W', 'W', 'W'], expected: { symbolId: 'M1', matchCount: 5, wildCount: 4 } },
+    { line: ['S', 'W', 'W', 'L1', 'L2'], expected: { symbolId: 'S', matchCount: 1, wildCount: 0 } }
+  ]);
+
+  if (passed) {
+    console.log('✅ PASS: 一般符號起點判定正確');
+  }
+  return passed;
+}
+
+/**
+ * 測試 2: Leading wilds 與 wild-only line
+ */
+function test2_LeadingWildsAndWildOnly() {
+  console.log('📋 Test 2: Leading wilds 取第一個非 WILD 符號；整條 WILD / 無法替代時為 wild-only line');
+
+  const rules = buildWildRules(loadWildConfig().symbols);
+  const passed = checkCases(rules, [
+    { line: ['W', 'W', 'H1', 'H1', 'L1'], expected: { symbolId: 'H1', matchCount: 4, wildCount: 2 } },
+    { line: ['W', 'L2', 'W', 'L2', 'H1'], expected: { symbolId: 'L2', matchCount: 4, wildCount: 2 } },
+    { line: ['W', 'W', 'W', 'W', 'W'], expected: { symbolId: 'W', matchCount: 5, wildCount: 5 } },
+    { line: ['W', 'W', 'W', 'S', 'L1'], expected: { symbolId: 'W', matchCount: 3, wildCount: 3 } },
+    { line: ['W', 'A1', 'L1', 'L1', 'L1'], expected: { symbolId: 'W', matchCount: 1, wildCount: 1 } }
+  ]);
+
+  if (passed) {
+    console.log('✅ PASS: Leading wilds / wild-only line 判定正確');
+  }
+  return passed;
+}
+
+/**
+ * 測試 3: substitutes 限制
+ */
+function test3_SubstitutesList() {
+  console.log('📋 Test 3: substitutes 限制 WILD 可替代的符號；未設定時不替代；設定錯誤時拋錯');
+
+  // 未設定 substitutes：WILD 視為一般符號（v1.6.6 行為）
+  const optOutPassed = checkCases(buildWildRules(loadConfig().symbols), [
+    { line: ['H1', 'W', 'H1', 'L1', 'L1'], expected: { symbolId: 'H1', matchCount: 1, wildCount: 0 } },
+    { line: ['W', 'W', 'W', 'L1', 'L1'], expected: { symbolId: 'W', matchCount: 3, wildCount: 0 } }
+  ]);
+  if (!optOutPassed) {
+    return false;
+  }
+
+  const symbols = loadConfig().symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes: ['H1', 'H2'] } : s));
+  const rules = buildWildRules(symbols);
+  const passed = checkCases(rules, [
+    { line: ['H1', 'W', 'H1', 'L1', 'L1'], expected: { symbolId: 'H1', matchCount: 3, wildCount: 1 } },
+    { line: ['L1', 'W', 'L1', 'L1', 'L1'], expected: { symbolId: 'L1', matchCount: 1, wildCount: 0 } },
+    { line: ['W', 'W', 'L1', 'L1', 'L1'], expected: { symbolId: 'W', matchCount: 2, wildCount: 2 } }
+  ]);
+  if (!passed) {
+    return false;
+  }
+
+  const invalidSubstitutes = [['X9'], ['S'], 'H1'];
+  for (const substitutes of invalidSubstitutes) {
+    const invalidSymbols = symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes } : s));
+    try {
+      buildWildRules(invalidSymbols);
+      console.error(`❌ FAIL: substitutes=${JSON.stringify(substitutes)} 應拋出錯誤`);
+      return false;
+    } catch (error) {
+      console.log(`   拋錯: ${error.message}`);
+    }
+  }
+
+  console.log('✅ PASS: substitutes 生效，設定錯誤時拋錯');
+  return true;
+}
+
+/**
+ * 以 allowWild 設定執行模擬，回傳 LINE WIN spins 的事件
+ */
+function runAllowWild(visualEnabled) {
+  const config = loadAllowWildConfig();
+  config.visualConfig = { ...(config.visualConfig || {}), enabled: visualEnabled };
+  const simulationData = simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, { quiet: true });
+  return simulationData.spinLog;
+}
+
+/**
+ * 測試 4: allowWild 的 Pattern 生成與 evaluator / validateStrict 一致
+ */
+function test4_AllowWildPatternGeneration() {
+  console.log('📋 Test 4: allowWild 時 anchor run 內放置 WILD，evaluator 判定與 winConfig 一致');
+
+  const config = loadAllowWildConfig();
+  const winConfigs = {};
+  config.outcomeTables.BASE.outcomes.forEach(outcome => {
+    if (WILD_OUTCOME_IDS.includes(outcome.id)) {
+      winConfigs[outcome.id] = outcome.winConfig;
+    }
+  });
+
+  for (const visualEnabled of [true, false]) {
+    const spinLog = runAllowWild(visualEnabled);
+    let wildWins = 0;
+    let lineWins = 0;
+
+    for (const entry of spinLog) {
+      if (entry.evaluationMatch !== true) {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} validateStrict 不一致`);
+        return false;
+      }
+      const winConfig = entry.state === 'BASE' ? winConfigs[entry.outcomeId] : undefined;
+      if (!winConfig) {
+        continue;
+      }
+
+      const events = JSON.parse(entry.eventsJson);
+      const event = events[0];
+      if (events.length !== 1 || event.ruleType !== 'LINE' ||
+          event.paidSymbolId !== winConfig.symbolId || event.matchCount !== winConfig.matchCount) {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${entry.outcomeId}) 判定為 ${entry.eventsJson}`);
+        return false;
+      }
+      lineWins++;
+      if (event.metadata.wildCount > 0) {
+        wildWins++;
+      }
+    }
+
+    if (wildWins === 0) {
+      console.error(`❌ FAIL: visual=${visualEnabled} 沒有任何包含 WILD 的中獎線（${lineWins} 次 LINE WIN）`);
+      return false;
+    }
+    console.log(`   visual=${visualEnabled}: ${lineWins} 次 LINE WIN，其中 ${wildWins} 次包含 WILD`);
+  }
+
+  const first = runAllowWild(true).map(entry => entry.eventsJson).join('\n');
+  const second = runAllowWild(true).map(entry => entry.eventsJson).join('\n');
+  if (first !== second) {
+    console.error('❌ FAIL: 同 seed 兩次執行結果不同');
+    return false;
+  }
+
+  console.log('✅ PASS: WILD 放置於 anchor run 內，判定與 validateStrict 一致且 deterministic');
+  return true;
+}
+
+/**
+ * 測試 5: allowWild 但沒有可替代的 WILD
+ */
+function test5_ValidatorRejectsUnsubstitutableAllowWild() {
+  console.log('📋 Test 5: allowWild 但沒有可替代的 WILD：validator 回報錯誤');
+
+  const config = loadAllowWildConfig();
+  config.symbols = config.symbols.map(s => (s.type === 'WILD' ? { ...s, substitutes: ['H2'] } : s));
+  const configPath = path.join(os.tmpdir(), `v1.6.7_${process.pid}_config.json`);
+
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+    const result = validateConfig(configPath);
+    const allowWildErrors = result.errors.filter(message => message.includes('allowWild'));
+
+    if (allowWildErrors.length !== WILD_OUTCOME_IDS.length) {
+      console.error(`❌ FAIL: 預期 ${WILD_OUTCOME_IDS.length} 個 allowWild 錯誤，實際 ${allowWildErrors.length}`);
+      return false;
+    }
+
+    console.log(`✅ PASS: ${allowWildErrors[0]}`);
+    return true;
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.7 Acceptance Test: Wild Substitution');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Regular Start', fn: test1_RegularStart },
+    { name: 'Test 2: Leading Wilds And Wild Only', fn: test2_LeadingWildsAndWildOnly },
+    { name: 'Test 3: Substitutes List', fn: test3_SubstitutesList },
+    { name: 'Test 4: Allow Wild Pattern Generation', fn: test4_AllowWildPatternGeneration },
+    { name: 'Test 5: Validator Rejects Unsubstitutable Allow Wild', fn: test5_ValidatorRejectsUnsubstitutableAllowWild }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_RegularStart,
+  test2_LeadingWildsAndWildOnly,
+  test3_SubstitutesList,
+  test4_AllowWildPatternGeneration,
+  test5_ValidatorRejectsUnsubstitutableAllowWild
+};
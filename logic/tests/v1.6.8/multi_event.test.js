@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.8 Acceptance Test: Multi-Event Evaluation（MULTI 模式與複合 winConditions）
+ *
+ * 必驗項目：
+ * 1. LINE + LINE 複合 outcome：evaluator 返回兩條中獎線，各自 winAmount 對應條件的 payoutMultiplier
+ * 2. LINE + ANY_POSITION 複合 outcome：evaluator 同時返回 LINE 與 ANY_POSITION 事件
+ * 3. 整個 seeded run 的 validateStrict 全數一致（總和比對），且同 seed 結果相同
+ * 4. SINGLE 模式（預設）結果不變；單一條件的 outcome 在 MULTI 模式下派彩與 SINGLE 相同
+ * 5. Validator：payoutMultiplier 總和不符、SINGLE 模式使用多條件、不支援的 evaluationMode 回報錯誤
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * 明確啟用 resolver 的嚴格連線檢查（v1.6.7: MULTI 自動啟用，比較用的設定需相同才會產生相同盤面）
+ */
+function withStrictLineRuns(config) {
+  Object.values(config.gameRules).forEach(gameRule => { gameRule.strictLineRuns = true; });
+  return config;
+}
+
+/**
+ * MULTI 模式 + 兩個複合 outcome（LINE + LINE、LINE + ANY_POSITION）
+ */
+function loadMultiConfig() {
+  const config = loadConfig();
+  config.gameRules.BASE.evaluationMode = 'MULTI';
+  config.outcomeTables.BASE.outcomes.push(
+    {
+      id: 'DOUBLE_LINE',
+      weight: 60,
+      payoutMultiplier: 5,
+      type: 'WIN',
+      winConditions: [
+        { type: 'LINE', symbolId: 'H2', matchCount: 3, payoutMultiplier: 3 },
+        { type: 'LINE', symbolId: 'M1', matchCount: 3, payoutMultiplier: 2 }
+      ]
+    },
+    {
+      id: 'LINE_PLUS_ANY',
+      weight: 40,
+      payoutMultiplier: 11,
+      type: 'WIN',
+      winConditions: [
+        { type: 'LINE', symbolId: 'L2', matchCount: 3, payoutMultiplier: 1 },
+        { type: 'ANY_POSITION', symbolId: 'A1', targetCount: 5, payoutMultiplier: 10 }
+      ]
+    }
+  );
+  return config;
+}
+
+function runSimulation(config, visualEnabled = true) {
+  config.visualConfig = { ...(config.visualConfig || {}), enabled: visualEnabled };
+  return simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, { quiet: true });
+}
+
+/**
+ * 檢查複合 outcome 的事件（依條件順序比對 ruleType / symbol / count / winAmount）
+ */
+function checkCompositeEvents(spinLog, outcomeId, expectedEvents) {
+  const entries = spinLog.filter(entry => entry.outcomeId === outcomeId);
+  if (entries.length === 0) {
+    console.error(`❌ FAIL: 沒有 ${outcomeId} 的 spin`);
+    return false;
+  }
+
+  for (const entry of entries) {
+    const events = JSON.parse(entry.eventsJson);
+    const matched = events.length === expectedEvents.length && expectedEvents.every(expected =>
+      events.some(event =>
+        event.ruleType === expected.ruleType &&
+        event.paidSymbolId === expected.symbolId &&
+        event.matchCount === expected.matchCount &&
+        event.winAmount === expected.winAmount
+      )
+    );
+    if (!matched) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${outcomeId}) 判定為 ${entry.eventsJson}`);
+      return false;
+    }
+  }
+
+  console.log(`   ${outcomeId}: ${entries.length} 次，每次 ${expectedEvents.length} 個事件`);
+  return true;
+}
+
+/**
+ * 測試 1: LINE + LINE
+ */
+function test1_DoubleLine() {
+  console.log('📋 Test 1: LINE + LINE 複合 outcome 返回兩條中獎線');
+
+  for (const visualEnabled of [true, false]) {
+    const { spinLog } = runSimulation(loadMultiConfig(), visualEnabled);
+    const passed = checkCompositeEvents(spinLog, 'DOUBLE_LINE', [
+      { ruleType: 'LINE', symbolId: 'H2', matchCount: 3, winAmount: 3 },
+      { ruleType: 'LINE', symbolId: 'M1', matchCount: 3, winAmount: 2 }
+    ]);
+    if (!passed) {
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: 兩條中獎線皆派彩，winAmount 對應各自條件');
+  return true;
+}
+
+/**
+ * 測試 2: LINE + ANY_POSITION
+ */
+function test2_LinePlusAnyPosition() {
+  console.log('📋 Test 2: LINE + ANY_POSITION 複合 outcome 同時返回兩種事件');
+
+  for (const visualEnabled of [true, false]) {
+    const { spinLog } = runSimulation(loadMultiConfig(), visualEnabled);
+    const passed = checkCompositeEvents(spinLog, 'LINE_PLUS_ANY', [
+      { ruleType: 'LINE', symbolId: 'L2', matchCount: 3, winAmount: 1 },
+      { ruleType: 'ANY_POSITION', symbolId: 'A1', matchCount: 5, winAmount: 10 }
+    ]);
+    if (!passed) {
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: LINE 與 ANY_POSITION 事件皆派彩');
+  return true;
+}
+
+/**
+ * 測試 3: validateStrict 全數一致且 deterministic
+ */
+function test3_StrictMatchAndDeterminism() {
+  console.log('📋 Test 3: validateStrict 總和比對全數一致，且同 seed 結果相同');
+
+  const first = runSimulation(loadMultiConfig()).spinLog;
+  const mismatch = first.find(entry => entry.evaluationMatch !== true);
+  if (mismatch) {
+    console.error(
+      `❌ FAIL: spin ${mismatch.globalSpinIndex} (${mismatch.outcomeId}) 不一致: ` +
+      `expected=${mismatch.expectedWinAmount}, evaluated=${mismatch.evaluatedWinAmount}`
+    );
+    return false;
+  }
+
+  const second = runSimulation(loadMultiConfig()).spinLog;
+  const serialize = log => log.map(entry => `${entry.outcomeId}|${entry.winAmount}|${entry.eventsJson}`).join('\n');
+  if (serialize(first) !== serialize(second)) {
+    console.error('❌ FAIL: 同 seed 兩次執行結果不同');
+    return false;
+  }
+
+  console.log(`✅ PASS: ${first.length} spins 全數一致且 deterministic`);
+  return true;
+}
+
+/**
+ * 測試 4: SINGLE 模式不變
+ */
+function test4_SingleModeUnchanged() {
+  console.log('📋 Test 4: SINGLE 模式（預設）結果不變，單一條件 outcome 在 MULTI 下派彩相同');
+
+  const defaultLog = runSimulation(loadConfig()).spinLog;
+
+  const singleConfig = loadConfig();
+  singleConfig.gameRules.BASE.evaluationMode = 'SINGLE';
+  const singleLog = runSimulation(singleConfig).spinLog;
+
+  // MULTI 自動啟用嚴格連線檢查，與同樣啟用的 SINGLE 比較
+  const strictLog = runSimulation(withStrictLineRuns(loadConfig())).spinLog;
+  const multiConfig = withStrictLineRuns(loadConfig());
+  multiConfig.gameRules.BASE.evaluationMode = 'MULTI';
+  const multiLog = runSimulation(multiConfig).spinLog;
+
+  for (let i = 0; i < defaultLog.length; i++) {
+    if (defaultLog[i].eventsJson !== singleLog[i].eventsJson) {
+      console.error(`❌ FAIL: spin ${i} 明確設定 SINGLE 後結果不同`);
+      return false;
+    }
+    if (strictLog[i].winAmount !== multiLog[i].winAmount || multiLog[i].evaluationMatch !== true) {
+      console.error(`❌ FAIL: spin ${i} (${multiLog[i].outcomeId}) MULTI 模式派彩不同或不一致`);
+      return false;
+    }
+  }
+
+  console.log(`✅ PASS: ${defaultLog.length} spins 結果一致`);
+  return true;
+}
+
+/**
+ * 測試 5: Validator
+ */
+function test5_ValidatorErrors() {
+  console.log('📋 Test 5: Validator 回報 winConditions / evaluationMode 錯誤');
+
+  const cases = [
+    {
+      name: 'payoutMultiplier 總和不符',
+      mutate: config => { config.outcomeTables.BASE.outcomes.find(o => o.id === 'DOUBLE_LINE').payoutMultiplier = 6; },
+      expected: '總和'
+    },
+    {
+      name: 'SINGLE 模式使用多條件',
+      mutate: config => { delete config.gameRules.BASE.evaluationMode; },
+      expected: 'MULTI'
+    },
+    {
+      name: '不支援的 evaluationMode',
+      mutate: config => { config.gameRules.BASE.evaluationMode = 'ALL'; },
+      expected: 'evaluationMode'
+    },
+    {
+      name: 'winCondition 與 winConditions 共存',
+      mutate: config => {
+        config.outcomeTables.BASE.outcomes.find(o => o.id === 'DOUBLE_LINE').winCondition = { type: 'LINE', symbolId: 'H2', matchCount: 3 };
+      },
+      expected: '不得同時包含'
+    }
+  ];
+
+  const configPath = path.join(os.tmpdir(), `v1.6.8_${process.pid}_config.json`);
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(loadMultiConfig()), 'utf8');
+    const validResult = validateConfig(configPath);
+    if (validResult.hasErrors()) {
+      console.error(`❌ FAIL: 合法的 MULTI 設定被回報錯誤: ${validResult.errors.join('; ')}`);
+      return false;
+    }
+
+    for (const testCase of cases) {
+      const config = loadMultiConfig();
+      testCase.mutate(config);
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      const result = validateConfig(configPath);
+      const error = result.errors.find(message => message.includes(testCase.expected));
+      if (!error) {
+        console.error(`❌ FAIL: ${testCase.name} 未回報錯誤（errors: ${result.errors.join('; ')}）`);
+        return false;
+      }
+      console.log(`   ${testCase.name}: ${error}`);
+    }
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  console.log('✅ PASS: Validator 正確回報錯誤');
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.8 Acceptance Test: Multi-Event Evaluation');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Double Line', fn: test1_DoubleLine },
+    { name: 'Test 2: Line Plus Any Position', fn: test2_LinePlusAnyPosition },
+    { name: 'Test 3: Strict Match And Determinism', fn: test3_StrictMatchAndDeterminism },
+    { name: 'Test 4: Single Mode Unchanged', fn: test4_SingleModeUnchanged },
+    { name: 'Test 5: Validator Errors', fn: test5_ValidatorErrors }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_DoubleLine,
+  test2_LinePlusAnyPosition,
+  test3_StrictMatchAndDeterminism,
+  test4_SingleModeUnchanged,
+  test5_ValidatorErrors
+};
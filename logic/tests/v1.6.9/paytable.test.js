@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * v1.6.9 Acceptance Test: Paytable-Driven Evaluation
+ *
+ * 必驗項目：
+ * 1. 查表規則：LINE 精確查表、ANY_POSITION 取最高可達 tier、未定義為 0
+ * 2. 設定錯誤時 buildPaytable 拋錯（不存在的符號、符號類型不符、數量 / 倍數不合法）
+ * 3. 設定 paytable 時每個 WinEvent 的 winAmount 由盤面查表計算，validateStrict 全數一致，
+ *    且派彩總額與未設定 paytable 時相同
+ * 4. paytable 與 outcome 宣告不一致：validator 回報錯誤，simulate 在 STRICT 模式拋錯
+ * 5. MULTI 模式 + 複合 winConditions：各事件依 paytable 計算，總和與 outcome 一致
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { simulate } = require('../../simulate');
+const { buildPaytable, getPayMultiplier } = require('../../paytable');
+const { validateConfig } = require('../../validator');
+
+// 測試配置
+const TEST_SEED = 12345;
+const TEST_SPINS = 3000;
+const CONFIG_PATH = path.join(__dirname, '../../design.json');
+
+// 與 design.json 的 BASE outcomes 一致的 paytable
+const PAYTABLE = {
+  LINE: {
+    H1: { 3: 5, 4: 20, 5: 100 },
+    H2: { 3: 3 },
+    M1: { 3: 2 },
+    L1: { 3: 2 },
+    L2: { 3: 1 }
+  },
+  ANY_POSITION: {
+    A1: { 5: 10 }
+  }
+};
+
+// FREE outcomes 的賠率改為與 paytable 一致
+const FREE_PAYOUTS = {
+  FREE_MEGA_WIN: 100,
+  FREE_BIG_WIN: 20,
+  FREE_MEDIUM_WIN: 5,
+  FREE_SMALL_WIN: 2,
+  FREE_ANY_POS_A1_5: 10
+};
+
+function loadConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.outcomeTables.FREE.outcomes.forEach(outcome => {
+    if (FREE_PAYOUTS[outcome.id] !== undefined) {
+      outcome.payoutMultiplier = FREE_PAYOUTS[outcome.id];
+    }
+  });
+  return config;
+}
+
+/**
+ * 明確啟用 resolver 的嚴格連線檢查（v1.6.7: paytable 自動啟用，比較用的設定需相同才會產生相同盤面）
+ */
+function withStrictLineRuns(config) {
+  Object.values(config.gameRules).forEach(gameRule => { gameRule.strictLineRuns = true; });
+  return config;
+}
+
+function loadPaytableConfig() {
+  const config = loadConfig();
+  config.paytable = JSON.parse(JSON.stringify(PAYTABLE));
+  return config;
+}
+
+function runSimulation(config) {
+  return simulate(CONFIG_PATH, TEST_SPINS, null, true, true, config, TEST_SEED, { quiet: true });
+}
+
+/**
+ * 測試 1: 查表規則
+ */
+function test1_Lookup() {
+  console.log('📋 Test 1: LINE 精確查表、ANY_POSITION count tiers、未定義為 0');
+
+  const symbols = loadConfig().symbols;
+  const paytable = buildPaytable({ LINE: PAYTABLE.LINE, ANY_POSITION: { A1: { 3: 1, 5: 10, 7: 50 } } }, symbols);
+  const cases = [
+    { ruleType: 'LINE', symbolId: 'H1', count: 4, expected: 20 },
+    { ruleType: 'LINE', symbolId: 'H2', count: 4, expected: 0 },
+    { ruleType: 'LINE', symbolId: 'M2', count: 3, expected: 0 },
+    { ruleType: 'ANY_POSITION', symbolId: 'A1', count: 2, expected: 0 },
+    { ruleType: 'ANY_POSITION', symbolId: 'A1', count: 4, expected: 1 },
+    { ruleType: 'ANY_POSITION', symbolId: 'A1', count: 6, expected: 10 },
+    { ruleType: 'ANY_POSITION', symbolId: 'A1', count: 9, expected: 50 }
+  ];
+
+  for (const { ruleType, symbolId, count, expected } of cases) {
+    const actual = getPayMultiplier(paytable, ruleType, symbolId, count);
+    if (actual !== expected) {
+      console.error(`❌ FAIL: ${ruleType} ${symbolId} x${count} → ${actual}，預期 ${expected}`);
+      return false;
+    }
+  }
+
+  console.log('✅ PASS: 查表結果正確');
+  return true;
+}
+
+/**
+ * 測試 2: buildPaytable 設定錯誤
+ */
+function test2_InvalidPaytable() {
+  console.log('📋 Test 2: 設定錯誤時 buildPaytable 拋錯');
+
+  const symbols = loadConfig().symbols;
+  const invalidPaytables = [
+    { LINE: { X9: { 3: 1 } } },
+    { LINE: { S: { 3: 1 } } },
+    { ANY_POSITION: { H1: { 5: 1 } } },
+    { LINE: { H1: { 0: 1 } } },
+    { LINE: { H1: { 3: -1 } } },
+    { BONUS: {} },  // v1.6.23: SCATTER 已支援（Scatter 派彩），改以其他規則類型檢查
+    { SCATTER: { H1: { 3: 1 } } }
+  ];
+
+  for (const paytable of invalidPaytables) {
+    try {
+      buildPaytable(paytable, symbols);
+      console.error(`❌ FAIL: ${JSON.stringify(paytable)} 應拋出錯誤`);
+      return false;
+    } catch (error) {
+      console.log(`   拋錯: ${error.message}`);
+    }
+  }
+
+  console.log('✅ PASS: 設定錯誤時拋錯');
+  return true;
+}
+
+/**
+ * 測試 3: Evaluator 依盤面計算 winAmount
+ */
+function test3_EvaluatorComputesWinAmount() {
+  console.log('📋 Test 3: winAmount 由盤面查表計算，validateStrict 全數一致');
+
+  const config = loadPaytableConfig();
+  const paytable = buildPaytable(config.paytable, config.symbols);
+  const bet = config.betConfig.baseBet;
+  const paytableLog = runSimulation(config).spinLog;
+  const legacyLog = runSimulation(withStrictLineRuns(loadConfig())).spinLog;
+
+  let paidEvents = 0;
+  for (const entry of paytableLog) {
+    if (entry.evaluationMatch !== true) {
+      console.error(`❌ FAIL: spin ${entry.globalSpinIndex} (${entry.outcomeId}) 不一致: ${entry.eventsJson}`);
+      return false;
+    }
+    const events = entry.eventsJson ? JSON.parse(entry.eventsJson) : [];
+    for (const event of events) {
+      const expected = Math.round(getPayMultiplier(paytable, event.ruleType, event.paidSymbolId, event.matchCount) * bet);
+      if (event.winAmount !== expected) {
+        console.error(`❌ FAIL: spin ${entry.globalSpinIndex} 事件 ${event.eventId} winAmount=${event.winAmount}，預期 ${expected}`);
+        return false;
+      }
+      if (expected > 0) {
+        paidEvents++;
+      }
+    }
+  }
+
+  const totalWin = log => log.reduce((sum, entry) => sum + entry.winAmount, 0);
+  if (totalWin(paytableLog) !== totalWin(legacyLog)) {
+    console.error(`❌ FAIL: 派彩總額不同（paytable=${totalWin(paytableLog)}, legacy=${totalWin(legacyLog)}）`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ${paytableLog.length} spins 一致，${paidEvents} 個派彩事件，總額 ${totalWin(paytableLog)}`);
+  return true;
+}
+
+/**
+ * 測試 4: paytable 與 outcome 不一致
+ */
+function test4_MismatchDetected() {
+  console.log('📋 Test 4: paytable 與 outcome 不一致時 validator 回報錯誤、STRICT 拋錯');
+
+  const config = loadPaytableConfig();
+  config.paytable.LINE.H1['3'] = 6;
+  const configPath = path.join(os.tmpdir(), `v1.6.9_${process.pid}_config.json`);
+
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+    const result = validateConfig(configPath);
+    const paytableErrors = result.errors.filter(message => message.includes('paytable'));
+    // MEDIUM_WIN（BASE）與 FREE_MEDIUM_WIN（FREE）
+    if (paytableErrors.length !== 2) {
+      console.error(`❌ FAIL: 預期 2 個 paytable 錯誤，實際 ${paytableErrors.length}: ${result.errors.join('; ')}`);
+      return false;
+    }
+    console.log(`   validator: ${paytableErrors[0]}`);
+  } finally {
+    if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
+  }
+
+  try {
+    runSimulation(config);
+    console.error('❌ FAIL: simulate 應拋出 Validation mismatch');
+    return false;
+  } catch (error) {
+    if (!error.message.includes('Validation mismatch')) {
+      console.error(`❌ FAIL: 非預期的錯誤: ${error.message}`);
+      return false;
+    }
+    console.log(`   simulate: ${error.message.slice(0, 80)}...`);
+  }
+
+  console.log('✅ PASS: 不一致時回報錯誤');
+  return true;
+}
+
+/**
+ * 測試 5: MULTI 模式 + 複合 winConditions
+ */
+function test5_MultiModeComposite() {
+  console.log('📋 Test 5: MULTI 模式 + 複合 winConditions 依 paytable 計算');
+
+  const config = loadPaytableConfig();
+  config.gameRules.BASE.evaluationMode = 'MULTI';
+  config.outcomeTables.BASE.outcomes.push({
+    id: 'DOUBLE_LINE',
+    weight: 60,
+    payoutMultiplier: 5,
+    type: 'WIN',
+    winConditions: [
+      { type: 'LINE', symbolId: 'H2', matchCount: 3, payoutMultiplier: 3 },
+      { type: 'LINE', symbolId: 'M1', matchCount: 3, payoutMultiplier: 2 }
+    ]
+  });
+
+  const spinLog = runSimulation(config).spinLog;
+  const mismatch = spinLog.find(entry => entry.evaluationMatch !== true);
+  if (mismatch) {
+    console.error(`❌ FAIL: spin ${mismatch.globalSpinIndex} (${mismatch.outcomeId}) 不一致: ${mismatch.eventsJson}`);
+    return false;
+  }
+
+  const composite = spinLog.filter(entry => entry.outcomeId === 'DOUBLE_LINE');
+  const bet = config.betConfig.baseBet;
+  const wrong = composite.find(entry => {
+    const amounts = JSON.parse(entry.eventsJson).map(event => event.winAmount).sort((a, b) => a - b);
+    return amounts.join(',') !== [2 * bet, 3 * bet].join(',');
+  });
+  if (composite.length === 0 || wrong) {
+    console.error(`❌ FAIL: DOUBLE_LINE 事件金額錯誤: ${wrong ? wrong.eventsJson : '沒有 DOUBLE_LINE'}`);
+    return false;
+  }
+
+  console.log(`✅ PASS: ${composite.length} 次 DOUBLE_LINE，各事件依 paytable 計算`);
+  return true;
+}
+
+/**
+ * 主測試函式
+ */
+function main() {
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('v1.6.9 Acceptance Test: Paytable-Driven Evaluation');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log(`測試配置: ${TEST_SPINS} spins, seed=${TEST_SEED}`);
+  console.log('');
+
+  const tests = [
+    { name: 'Test 1: Lookup', fn: test1_Lookup },
+    { name: 'Test 2: Invalid Paytable', fn: test2_InvalidPaytable },
+    { name: 'Test 3: Evaluator Computes Win Amount', fn: test3_EvaluatorComputesWinAmount },
+    { name: 'Test 4: Mismatch Detected', fn: test4_MismatchDetected },
+    { name: 'Test 5: Multi Mode Composite', fn: test5_MultiModeComposite }
+  ];
+
+  const results = [];
+
+  for (const test of tests) {
+    try {
+      const passed = test.fn();
+      results.push({ name: test.name, passed });
+      console.log('');
+    } catch (error) {
+      console.error(`❌ FAIL: ${test.name} 執行時發生錯誤: ${error.message}`);
+      results.push({ name: test.name, passed: false });
+      console.log('');
+    }
+  }
+
+  // 總結
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+  console.log('測試總結');
+  console.log('═══════════════════════════════════════════════════════════════════════════════');
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    const status = result.passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status}: ${result.name}`);
+  });
+
+  console.log('');
+  console.log(`總計: ${passedCount}/${totalCount} 通過`);
+
+  if (passedCount === totalCount) {
+    console.log('');
+    console.log('✅ 所有測試通過！');
+    process.exit(0);
+  } else {
+    console.log('');
+    console.log('❌ 部分測試失敗，請檢查上述錯誤訊息');
+    process.exit(1);
+  }
+}
+
+// 執行測試
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  test1_Lookup,
+  test2_InvalidPaytable,
+  test3_EvaluatorComputesWinAmount,
+  test4_MismatchDetected,
+  test5_MultiModeComposite
+};
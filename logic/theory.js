@@ -0,0 +1,379 @@
+/**
+ * v1.6.0: Theoretical RTP Calculator（解析解，不執行模擬）
+ *
+ * 核心原則：
+ * - Outcome-based 引擎的 RTP / Hit Rate / Trigger Frequency 完全由 outcomeTables 決定
+ * - 只讀取 config，不消耗任何 RNG、不呼叫 simulate()
+ * - 金額計算與 simulate.js 一致：Math.round(payoutMultiplier * bet)（credit int）
+ *   v1.6.15: options.exact 時不取整（payoutMultiplier * bet），用於評估各下注等級的取整誤差
+ *
+ * 隨機變數定義（以一次 Base Spin 為單位，Feature Win 歸入觸發它的 Base Spin）：
+ *   X = B + I * S
+ *   B：Base Spin 的贏分
+ *   I：是否觸發 Free Game（FEATURE outcome）
+ *   S：Free Game 總贏分 = F_1 + ... + F_N（N = freeSpinCount，F_k 獨立同分布）
+ *
+ *   E[X]  = E[B] + P(I) * N * E[F]
+ *   E[X²] = E[B²] + 2 * E[B * I] * N * E[F] + P(I) * (N * Var(F) + N² * E[F]²)
+ *
+ * v1.6.12: Retrigger（featureConfig.retrigger）時 N 為隨機變數，E[S] / E[S²] 改由 _featureMoments 計算：
+ * - 無上限：每個 spin 各自以機率 p 增加 k 次（分支過程），N 個初始 spin 的結果獨立相加
+ * - 有上限（maxTotalSpins / maxRetriggers）：對 (剩餘次數, 已獲得次數, retrigger 次數) 做動態規劃
+ *
+ * v1.6.13: 觸發等級（scatterConfig.trigger.awards）時每個等級 t 的初始次數 N_t 不同：
+ *   E[X]  = E[B] + Σ P(I_t) * E[S_t]
+ *   E[X²] = E[B²] + 2 * Σ E[B * I_t] * E[S_t] + Σ P(I_t) * E[S_t²]
+ *
+ * v1.6.14: Free Game 倍數（featureConfig.multiplier）時 F_k 替換為 m_k * F_k（見 _featureMoments）
+ *
+ * v1.6.23: WIN_AND_FEATURE（Scatter 派彩 + 觸發）的 payoutMultiplier 計入 B（Base）或 F_k（retrigger），與 FEATURE 相同觸發
+ *
+ * v1.6.11: 模型只涵蓋 BASE / FREE；fsmConfig 的其他狀態（例如由 FREE 進入的 SUPER_FREE）列於 unmodeledStates，
+ * 此時理論值不含這些狀態的贏分，報表會顯示警告並略過理論值對照
+ */
+
+const { getOutcomeEvent, isFeatureOutcome, getFsmConfig, DEFAULT_FEATURE_EVENT } = require('./fsm');  // v1.6.12（v1.6.23: WIN_AND_FEATURE）
+const { findTriggerAward } = require('./triggerAwards');  // v1.6.13
+const { normalizeMultiplier, getMultiplierDistribution, progressiveValue } = require('./multiplier');  // v1.6.14
+
+// v1.6.11: 理論模型涵蓋的 FSM 狀態
+const MODELED_STATES = ['BASE', 'FREE'];
+
+/**
+ * v1.6.11: fsmConfig 中理論模型未涵蓋的狀態
+ * @param {Object} config - 設定檔物件
+ * @returns {Array<string>} BASE / FREE 以外的狀態（依 fsmConfig.states 順序）
+ */
+function getUnmodeledStates(config) {
+  return getFsmConfig(config).states.filter(state => !MODELED_STATES.includes(state));
+}
+
+/**
+ * 計算 Outcome Table 的機率與贏分
+ * @param {Object} outcomeTable - Outcome Table（包含 outcomes 陣列）
+ * @param {number} bet - 下注金額
+ * @param {boolean} exact - v1.6.15: 不取整（預設 false）
+ * @returns {Array<Object>} [{ outcome, probability, winAmount }]
+ */
+function _tableEntries(outcomeTable, bet, exact = false) {
+  const outcomes = outcomeTable.outcomes;
+  const totalWeight = outcomes.reduce((sum, outcome) => sum + outcome.weight, 0);
+  if (totalWeight <= 0) {
+    throw new Error('Total weight is zero');
+  }
+
+  return outcomes.map(outcome => ({
+    outcome: outcome,
+    probability: outcome.weight / totalWeight,
+    winAmount: exact
+      ? outcome.payoutMultiplier * bet
+      : Math.round(outcome.payoutMultiplier * bet)  // 與 simulate.js 一致（credit int）
+  }));
+}
+
+/**
+ * 判斷 BASE outcome 是否觸發 Free Game（與 simulate.js 的 transition 規則一致）
+ * v1.6.13: 返回觸發等級 { scatterCount, featureId, spins }（spins 已套用 freeSpinCount 預設值），不觸發時為 null
+ */
+function _triggerAwardFor(outcome, config) {
+  if (!isFeatureOutcome(outcome)) {
+    return null;
+  }
+  const freeSpinCount = config.featureConfig.freeSpinCount;
+  if (config.scatterConfig && config.scatterConfig.trigger) {
+    const award = findTriggerAward(config.scatterConfig.trigger, outcome.id);
+    return award !== null
+      ? Object.assign({}, award, { spins: award.spins !== null ? award.spins : freeSpinCount })
+      : null;
+  }
+  return { scatterCount: null, featureId: outcome.id, spins: freeSpinCount };
+}
+
+/**
+ * v1.6.12: FREE outcome 是否為 retrigger（與 FsmEngine.isRetrigger 一致）
+ */
+function _isRetriggerOutcome(outcome, retrigger) {
+  return retrigger !== null && isFeatureOutcome(outcome) && getOutcomeEvent(outcome) === DEFAULT_FEATURE_EVENT;
+}
+
+/**
+ * v1.6.12: 一次 Feature 的 spin 數與總贏分動差
+ * v1.6.14: 含 Free Game 倍數；另返回 multipliedSpins = E[Σ m_k]（每個 spin 的倍數總和，用於 outcome 的 RTP 貢獻）
+ * - FIXED / RANDOM：倍數與 outcome 獨立，將單轉分布展開為 (outcome, 倍數) 後沿用原本的計算
+ * - PROGRESSIVE：倍數取決於已進行的 spin / 中獎次數，以動態規劃計算（retrigger 必須有上限）
+ *
+ * @param {Array<Object>} freeEntries - _tableEntries(outcomeTables.FREE)
+ * @param {number} freeSpinCount - 初始 spin 次數
+ * @param {Object|null} retrigger - featureConfig.retrigger
+ * @param {Object|null} multiplier - v1.6.14: normalizeMultiplier(featureConfig.multiplier)
+ * @returns {Object} { expectedSpins, mean, secondMoment, multipliedSpins }
+ */
+function _featureMoments(freeEntries, freeSpinCount, retrigger, multiplier = null) {
+  const distribution = getMultiplierDistribution(multiplier);
+  if (distribution === null) {
+    return _dynamicFeatureMoments(freeEntries, freeSpinCount, retrigger, multiplier);
+  }
+
+  const multiplierMean = distribution.reduce((sum, m) => sum + m.probability * m.value, 0);
+  const entries = [];
+  freeEntries.forEach(e => {
+    distribution.forEach(m => {
+      entries.push({ outcome: e.outcome, probability: e.probability * m.probability, winAmount: e.winAmount * m.value });
+    });
+  });
+  const moments = _independentFeatureMoments(entries, freeSpinCount, retrigger);
+  moments.multipliedSpins = moments.expectedSpins * multiplierMean;
+  return moments;
+}
+
+/**
+ * v1.6.12: 各 spin 贏分獨立同分布時的 Feature 動差（無 retrigger / 無上限 retrigger 有解析解）
+ */
+function _independentFeatureMoments(freeEntries, freeSpinCount, retrigger) {
+  const freeMean = freeEntries.reduce((sum, e) => sum + e.probability * e.winAmount, 0);
+  const freeSecondMoment = freeEntries.reduce((sum, e) => sum + e.probability * e.winAmount * e.winAmount, 0);
+
+  if (retrigger === null) {
+    const mean = freeSpinCount * freeMean;
+    return {
+      expectedSpins: freeSpinCount,
+      mean: mean,
+      secondMoment: freeSpinCount * (freeSecondMoment - freeMean * freeMean) + mean * mean
+    };
+  }
+
+  const retriggerEntries = freeEntries.filter(e => _isRetriggerOutcome(e.outcome, retrigger));
+  const retriggerProbability = retriggerEntries.reduce((sum, e) => sum + e.probability, 0);
+  // v1.6.23: WIN_AND_FEATURE 的 retrigger 有派彩（E[w * K] = k * Σ P * w）
+  const retriggerWinMean = retriggerEntries.reduce((sum, e) => sum + e.probability * e.winAmount, 0);
+
+  // 無上限：單一 spin 的分支 X = w + X_1 + ... + X_K（K = 0 或 k）
+  if (_isUncappedRetrigger(retrigger)) {
+    const growth = retriggerProbability * retrigger.spins;
+    if (growth >= 1) {
+      throw new Error(`retrigger 的期望 spin 數發散（P(retrigger) × spins = ${growth.toFixed(4)} >= 1），請設定 maxTotalSpins 或 maxRetriggers`);
+    }
+    const branchMean = freeMean / (1 - growth);
+    const branchSecondMoment = (freeSecondMoment +
+      2 * retrigger.spins * retriggerWinMean * branchMean +
+      retriggerProbability * retrigger.spins * (retrigger.spins - 1) * branchMean * branchMean) / (1 - growth);
+    const mean = freeSpinCount * branchMean;
+    return {
+      expectedSpins: freeSpinCount / (1 - growth),
+      mean: mean,
+      secondMoment: freeSpinCount * (branchSecondMoment - branchMean * branchMean) + mean * mean
+    };
+  }
+
+  return _dynamicFeatureMoments(freeEntries, freeSpinCount, retrigger, null);
+}
+
+/**
+ * v1.6.12: retrigger 是否沒有任何上限
+ */
+function _isUncappedRetrigger(retrigger) {
+  return retrigger.maxTotalSpins === undefined && retrigger.maxRetriggers === undefined;
+}
+
+/**
+ * v1.6.12: 動態規劃計算 Feature 動差
+ * 狀態 (remaining, awarded, retriggers, level)，未使用的上限 / 倍數不納入狀態
+ * v1.6.14: level 為 PROGRESSIVE 倍數已增加的次數（達到 max 後不再區分）
+ *
+ * @param {Array<Object>} freeEntries - _tableEntries(outcomeTables.FREE)
+ * @param {number} freeSpinCount - 初始 spin 次數
+ * @param {Object|null} retrigger - featureConfig.retrigger（必須有上限）
+ * @param {Object|null} multiplier - PROGRESSIVE 設定（其他模式已展開在 freeEntries 中，傳入 null）
+ * @returns {Object} { expectedSpins, mean, secondMoment, multipliedSpins }
+ */
+function _dynamicFeatureMoments(freeEntries, freeSpinCount, retrigger, multiplier) {
+  if (retrigger !== null && _isUncappedRetrigger(retrigger) && multiplier !== null) {
+    throw new Error('PROGRESSIVE 倍數搭配 retrigger 時，理論值需要設定 maxTotalSpins 或 maxRetriggers');
+  }
+  const maxTotalSpins = retrigger !== null && retrigger.maxTotalSpins !== undefined ? retrigger.maxTotalSpins : null;
+  const maxRetriggers = retrigger !== null && retrigger.maxRetriggers !== undefined ? retrigger.maxRetriggers : null;
+  const maxLevel = multiplier !== null && multiplier.max !== null
+    ? Math.ceil((multiplier.max - multiplier.start) / multiplier.step)
+    : Infinity;
+
+  const memo = new Map();
+  const solve = (remaining, awarded, retriggers, level) => {
+    if (remaining === 0) {
+      return { expectedSpins: 0, mean: 0, secondMoment: 0, multipliedSpins: 0 };
+    }
+    const key = `${remaining}|${maxTotalSpins !== null ? awarded : 0}|${maxRetriggers !== null ? retriggers : 0}|${level}`;
+    if (memo.has(key)) {
+      return memo.get(key);
+    }
+
+    let award = retrigger !== null ? retrigger.spins : 0;
+    if (maxRetriggers !== null && retriggers >= maxRetriggers) {
+      award = 0;
+    }
+    if (maxTotalSpins !== null) {
+      award = Math.max(0, Math.min(award, maxTotalSpins - awarded));
+    }
+
+    const spinMultiplier = multiplier !== null ? progressiveValue(multiplier, level) : 1;
+    const moments = { expectedSpins: 1, mean: 0, secondMoment: 0, multipliedSpins: spinMultiplier };
+    freeEntries.forEach(e => {
+      const win = e.winAmount * spinMultiplier;
+      const nextLevel = multiplier !== null && (multiplier.on === 'SPIN' || e.winAmount > 0)
+        ? Math.min(level + 1, maxLevel)
+        : level;
+      const next = _isRetriggerOutcome(e.outcome, retrigger)
+        ? solve(remaining - 1 + award, awarded + award, Math.min(retriggers + 1, maxRetriggers !== null ? maxRetriggers : 0), nextLevel)
+        : solve(remaining - 1, awarded, retriggers, nextLevel);
+      moments.expectedSpins += e.probability * next.expectedSpins;
+      moments.mean += e.probability * (win + next.mean);
+      moments.secondMoment += e.probability *
+        (win * win + 2 * win * next.mean + next.secondMoment);
+      moments.multipliedSpins += e.probability * next.multipliedSpins;
+    });
+    memo.set(key, moments);
+    return moments;
+  };
+
+  return solve(freeSpinCount, freeSpinCount, 0, 0);
+}
+
+/**
+ * 計算理論值
+ *
+ * @param {Object} config - 設定檔物件
+ * @param {number|null} customBet - 自訂下注金額（可選，預設使用 betConfig.baseBet）
+ * @param {Object} options - v1.6.15: { exact: true } 時派彩不取整（與 bet 無關的「設計 RTP」）
+ * @returns {Object} 理論指標（RTP 與 Hit Rate 等為百分比，variance/stdDev 以 bet 倍數表示）
+ */
+function calculateTheory(config, customBet = null, options = {}) {
+  const bet = customBet !== null ? customBet : config.betConfig.baseBet;
+  const freeSpinCount = config.featureConfig.freeSpinCount;
+  const retrigger = config.featureConfig.retrigger || null;  // v1.6.12
+  const multiplier = normalizeMultiplier(config.featureConfig.multiplier);  // v1.6.14
+
+  const exact = options.exact === true;  // v1.6.15
+  const baseEntries = _tableEntries(config.outcomeTables.BASE, bet, exact);
+  const freeEntries = _tableEntries(config.outcomeTables.FREE, bet, exact);
+
+  // 一次 Feature 的總贏分動差（v1.6.12: 含 retrigger 時 spin 數為隨機變數）
+  // v1.6.13: 依初始次數快取（每個觸發等級各自的 N）
+  const featureBySpins = {};
+  const featureMoments = spins => {
+    if (!featureBySpins[spins]) {
+      featureBySpins[spins] = _featureMoments(freeEntries, spins, retrigger, multiplier);
+    }
+    return featureBySpins[spins];
+  };
+  const retriggerProbability = freeEntries
+    .filter(e => _isRetriggerOutcome(e.outcome, retrigger))
+    .reduce((sum, e) => sum + e.probability, 0);
+
+  // Base Spin 動差
+  let baseMean = 0;
+  let baseSecondMoment = 0;
+  let triggerProbability = 0;
+  let hitProbability = 0;
+  // v1.6.13: 各觸發等級加權後的 Feature 動差
+  let featureWinMean = 0;           // Σ P(I_t) * E[S_t]
+  let featureWinSecondMoment = 0;   // Σ P(I_t) * E[S_t²]
+  let baseTimesFeatureWin = 0;      // Σ E[B * I_t] * E[S_t]
+  let featureSpinsMean = 0;         // Σ P(I_t) * E[N_t]
+  let featureMultipliedSpinsMean = 0;  // v1.6.14: Σ P(I_t) * E[Σ m_k]
+  const triggerTiers = [];
+
+  baseEntries.forEach(e => {
+    baseMean += e.probability * e.winAmount;
+    baseSecondMoment += e.probability * e.winAmount * e.winAmount;
+    const award = _triggerAwardFor(e.outcome, config);
+    if (award !== null) {
+      const feature = featureMoments(award.spins);
+      triggerProbability += e.probability;
+      featureWinMean += e.probability * feature.mean;
+      featureWinSecondMoment += e.probability * feature.secondMoment;
+      baseTimesFeatureWin += e.probability * e.winAmount * feature.mean;
+      featureSpinsMean += e.probability * feature.expectedSpins;
+      featureMultipliedSpinsMean += e.probability * feature.multipliedSpins;
+      triggerTiers.push({
+        scatterCount: award.scatterCount,
+        featureId: award.featureId,
+        spins: award.spins,
+        triggerFrequency: e.probability * 100,
+        expectedFeatureSpins: feature.expectedSpins,
+        expectedFeatureWin: feature.mean,
+        featureRtp: bet > 0 ? (e.probability * feature.mean / bet) * 100 : 0
+      });
+    }
+    // Hit Rate 定義與 simulate.js 一致：僅 WIN 類型（v1.6.23: 含 WIN_AND_FEATURE）且 Win > 0
+    if ((e.outcome.type === 'WIN' || e.outcome.type === 'WIN_AND_FEATURE') && e.winAmount > 0) {
+      hitProbability += e.probability;
+    }
+  });
+
+  // 未觸發時以 freeSpinCount 表示單次 Feature 的期望值
+  const defaultFeature = featureMoments(freeSpinCount);
+  const expectedFeatureSpins = triggerProbability > 0 ? featureSpinsMean / triggerProbability : defaultFeature.expectedSpins;
+  const expectedFeatureWin = triggerProbability > 0 ? featureWinMean / triggerProbability : defaultFeature.mean;
+  // v1.6.14: 每個 Free Spin 的平均倍數
+  const averageMultiplier = featureSpinsMean > 0
+    ? featureMultipliedSpinsMean / featureSpinsMean
+    : defaultFeature.multipliedSpins / defaultFeature.expectedSpins;
+
+  const totalMean = baseMean + featureWinMean;
+  const totalSecondMoment = baseSecondMoment
+    + 2 * baseTimesFeatureWin
+    + featureWinSecondMoment;
+  const totalVariance = Math.max(0, totalSecondMoment - totalMean * totalMean);
+
+  // 以 bet 倍數表示（與 RTP 同一尺度）
+  const varianceInBets = bet > 0 ? totalVariance / (bet * bet) : 0;
+
+  // 每個 Outcome 的 RTP 貢獻
+  const baseContributions = baseEntries.map(e => ({
+    id: e.outcome.id,
+    type: e.outcome.type,
+    probability: e.probability,
+    winAmount: e.winAmount,
+    rtpContribution: bet > 0 ? (e.probability * e.winAmount / bet) * 100 : 0
+  }));
+  const freeContributions = freeEntries.map(e => ({
+    id: e.outcome.id,
+    type: e.outcome.type,
+    probability: e.probability,
+    winAmount: e.winAmount,
+    // 每次 Base Spin 期望出現 Σ P(I_t) * E[N_t] 次（v1.6.14: 倍數與當次 outcome 獨立 → 乘上 E[Σ m_k]）
+    rtpContribution: bet > 0 ? (featureMultipliedSpinsMean * e.probability * e.winAmount / bet) * 100 : 0
+  }));
+
+  // v1.6.23: Scatter 派彩（WIN_AND_FEATURE outcomes）的 RTP 貢獻
+  const scatterRtp = contributions => contributions
+    .filter(c => c.type === 'WIN_AND_FEATURE')
+    .reduce((sum, c) => sum + c.rtpContribution, 0);
+
+  return {
+    bet: bet,
+    freeSpinCount: freeSpinCount,
+    expectedFeatureSpins: expectedFeatureSpins,                // v1.6.12
+    retriggerFrequency: retriggerProbability * 100,            // v1.6.12: 每次 Free Spin 的 retrigger 機率
+    averageMultiplier: averageMultiplier,                      // v1.6.14: 每個 Free Spin 的平均倍數
+    rtp: bet > 0 ? (totalMean / bet) * 100 : 0,
+    baseRtp: bet > 0 ? (baseMean / bet) * 100 : 0,
+    featureRtp: bet > 0 ? (featureWinMean / bet) * 100 : 0,
+    hasScatterPays: baseContributions.concat(freeContributions).some(c => c.type === 'WIN_AND_FEATURE'),  // v1.6.23
+    baseScatterRtp: scatterRtp(baseContributions),             // v1.6.23: 已包含在 baseRtp 中
+    featureScatterRtp: scatterRtp(freeContributions),          // v1.6.23: 已包含在 featureRtp 中
+    hitRate: hitProbability * 100,
+    triggerFrequency: triggerProbability * 100,
+    expectedFeatureWin: expectedFeatureWin,
+    variance: varianceInBets,
+    stdDev: Math.sqrt(varianceInBets),
+    baseContributions: baseContributions,
+    freeContributions: freeContributions,
+    triggerTiers: triggerTiers,                                // v1.6.13: 各觸發等級的 Trigger Rate / Feature RTP
+    unmodeledStates: getUnmodeledStates(config)                // v1.6.11: 非空時理論值不含這些狀態
+  };
+}
+
+module.exports = {
+  calculateTheory,
+  getUnmodeledStates
+};
@@ -0,0 +1,112 @@
+/**
+ * v1.6.13: Scatter Trigger Awards
+ *
+ * scatterConfig.trigger.awards 以 Scatter 數量為 key，每個等級對應一個 BASE 的 FEATURE Outcome 與 Free Spin 次數：
+ *
+ *   "trigger": {
+ *     "minCount": 3,
+ *     "states": ["BASE"],
+ *     "awards": {
+ *       "3": { "featureId": "FREE_GAME_TRIGGER", "spins": 8 },
+ *       "4": { "featureId": "FREE_GAME_TRIGGER_4", "spins": 12 },
+ *       "5": { "featureId": "FREE_GAME_TRIGGER_5", "spins": 20 }
+ *     }
+ *   }
+ *
+ * - 抽中等級的 featureId 時，Scatter Layer 剛好放置該等級的 Scatter 數量，FSM 以該等級的 spins 進入 FREE
+ * - 未設定 awards 時只有一個等級：{ scatterCount: minCount, featureId: trigger.featureId, spins: null }
+ *   （spins 為 null 表示沿用 FSM 的次數，即 featureConfig.freeSpinCount）
+ *
+ * v1.6.23: getOutcomeScatterCount() 供 paytable.SCATTER（Scatter 派彩）驗證使用
+ */
+
+const { isFeatureOutcome } = require('./fsm');  // v1.6.23: WIN_AND_FEATURE
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * 取得觸發等級（依 Scatter 數量由小到大）
+ * @param {Object} trigger - scatterConfig.trigger
+ * @returns {Array<Object>} [{ scatterCount, featureId, spins }]
+ */
+function getTriggerAwards(trigger) {
+  if (trigger.awards === undefined) {
+    return [{ scatterCount: trigger.minCount, featureId: trigger.featureId, spins: null }];
+  }
+
+  const awards = trigger.awards;
+  if (typeof awards !== 'object' || awards === null || Array.isArray(awards) || Object.keys(awards).length === 0) {
+    throw new Error('scatterConfig.trigger.awards 必須為非空物件（key 為 Scatter 數量）');
+  }
+
+  const featureIds = new Set();
+  return Object.keys(awards)
+    .map(key => {
+      const scatterCount = Number(key);
+      const award = awards[key] || {};
+      if (!isPositiveInteger(scatterCount) || String(scatterCount) !== key) {
+        throw new Error(`scatterConfig.trigger.awards 的 key "${key}" 必須為正整數（Scatter 數量）`);
+      }
+      if (scatterCount < trigger.minCount) {
+        throw new Error(`scatterConfig.trigger.awards["${key}"] 的 Scatter 數量不得小於 minCount (${trigger.minCount})`);
+      }
+      if (typeof award.featureId !== 'string' || award.featureId.length === 0) {
+        throw new Error(`scatterConfig.trigger.awards["${key}"].featureId 必須為非空字串`);
+      }
+      if (featureIds.has(award.featureId)) {
+        throw new Error(`scatterConfig.trigger.awards 的 featureId "${award.featureId}" 重複`);
+      }
+      if (!isPositiveInteger(award.spins)) {
+        throw new Error(`scatterConfig.trigger.awards["${key}"].spins 必須為正整數`);
+      }
+      featureIds.add(award.featureId);
+      return { scatterCount, featureId: award.featureId, spins: award.spins };
+    })
+    .sort((a, b) => a.scatterCount - b.scatterCount);
+}
+
+/**
+ * 依 FEATURE Outcome ID 找出觸發等級
+ * @param {Object} trigger - scatterConfig.trigger
+ * @param {string} featureId - Outcome ID
+ * @returns {Object|null} { scatterCount, featureId, spins }（不是觸發 Outcome 時為 null）
+ */
+function findTriggerAward(trigger, featureId) {
+  return getTriggerAwards(trigger).find(award => award.featureId === featureId) || null;
+}
+
+/**
+ * v1.6.23: Outcome 在 Scatter Layer 放置的 Scatter 數量（與 resolver._applyScatterLayer 一致）
+ * - BASE 的觸發 Outcome：該等級的 Scatter 數量
+ * - FREE 的 retrigger Outcome（未指定 fsmEvent）：retrigger.scatterCount（未設定時為 minCount）
+ * - 其他 Outcome：0
+ * @param {Object} scatterConfig - design.json 的 scatterConfig
+ * @param {Object|null} retrigger - featureConfig.retrigger（未設定時為 null）
+ * @param {string} state - Outcome 所在狀態
+ * @param {Object} outcome - Outcome 物件
+ * @returns {number} Scatter 數量
+ */
+function getOutcomeScatterCount(scatterConfig, retrigger, state, outcome) {
+  if (!scatterConfig || !scatterConfig.trigger || !isFeatureOutcome(outcome)) {
+    return 0;
+  }
+  const triggerStates = scatterConfig.trigger.states || [];
+  if (state === 'BASE') {
+    const award = triggerStates.includes('BASE') ? findTriggerAward(scatterConfig.trigger, outcome.id) : null;
+    return award !== null ? award.scatterCount : 0;
+  }
+  if (state === 'FREE' && retrigger && !outcome.fsmEvent && triggerStates.includes('FREE')) {
+    return retrigger.scatterCount !== undefined && retrigger.scatterCount !== null
+      ? retrigger.scatterCount
+      : scatterConfig.trigger.minCount;
+  }
+  return 0;
+}
+
+module.exports = {
+  getTriggerAwards,
+  findTriggerAward,
+  getOutcomeScatterCount
+};
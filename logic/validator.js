@@ -1,4 +1,26 @@
 const fs = require('fs');
+const { RNG_ENGINES } = require('./rngEngines');  // v1.6.2: rngConfig.algorithm 驗證
+const { SUB_SEED_DERIVATIONS } = require('./rng');  // v1.6.3: rngConfig.subSeedDerivation 驗證
+const { PAY_DIRECTIONS, buildWildRules, canSubstitute, getLineDirections } = require('./lineMatcher');  // v1.6.7: WILD substitutes 驗證（v1.6.22: payDirection）
+const {
+  EVALUATION_MODES,
+  COMPOSITE_CONDITION_TYPES,
+  RULE_WIN_CONDITIONS,
+  isWaysRule,
+  isClusterRule,
+  getConditionWays,
+  getWinConditions,
+  getConditionPayout
+} = require('./winConditions');  // v1.6.8: 複合中獎條件驗證（v1.6.20: ways，v1.6.21: cluster）
+const { MIN_WAYS_REELS, WAYS_SYMBOL_TYPES, waysFactorizations } = require('./waysMatcher');  // v1.6.20: WAYS 驗證
+const { CLUSTER_SYMBOL_TYPES, getMinClusterSize } = require('./clusterMatcher');  // v1.6.21: CLUSTER 驗證
+const { buildPaytable, getPayMultiplier, getConditionPayMultiplier } = require('./paytable');  // v1.6.9: paytable 驗證
+const { FsmEngine, RETRIGGER_STATE, getFsmConfig, getOutcomeEvent, isFeatureOutcome } = require('./fsm');  // v1.6.11: fsmConfig 驗證
+const { getTriggerAwards, getOutcomeScatterCount } = require('./triggerAwards');  // v1.6.13: scatterConfig.trigger.awards 驗證
+const { normalizeMultiplier } = require('./multiplier');  // v1.6.14: featureConfig.multiplier 驗證
+const { getBetLevels } = require('./betLevels');  // v1.6.15: betConfig.betLevels 驗證
+const { isAnyPositionSymbol, getAnyPositionSymbols, getAnyPositionMinCount } = require('./anyPosition');  // v1.6.24: ANY_POSITION 符號驗證
+const { normalizeSessionConfig } = require('./session');  // v1.6.16: sessionConfig 驗證
 
 /**
  * JSON 設定檔驗證器
@@ -65,6 +87,20 @@ function validateConfig(configPath) {
     if (typeof config.betConfig.baseBet !== 'number') {
       result.addError('betConfig.baseBet 必須為數字');
     }
+    // v1.6.15: betLevels（可選，--bet-levels 使用）
+    if (config.betConfig.betLevels !== undefined || config.betConfig.betLevelWeights !== undefined) {
+      try {
+        getBetLevels(config.betConfig);
+      } catch (error) {
+        result.addError(error.message);
+      }
+    }
+    // v1.6.18: maxWinCap（可選，bet 倍數）
+    const maxWinCap = config.betConfig.maxWinCap;
+    if (maxWinCap !== undefined && maxWinCap !== null &&
+        !(typeof maxWinCap === 'number' && Number.isFinite(maxWinCap) && maxWinCap > 0)) {
+      result.addError('betConfig.maxWinCap 必須為正數');
+    }
   }
 
   if (!config.featureConfig) {
@@ -100,8 +136,10 @@ function validateConfig(configPath) {
         result.addError('gameRules.BASE.grid 必須包含 rows 和 cols（數字）');
       }
       
-      // 檢查 paylines 定義
-      if (!Array.isArray(baseGameRule.paylines) || baseGameRule.paylines.length === 0) {
+      // 檢查 paylines 定義（v1.6.20: ways 模式不需要 paylines，v1.6.21: cluster 模式相同）
+      if (validateRuleWinCondition(result, 'BASE', baseGameRule)) {
+        // ways / cluster 模式
+      } else if (!Array.isArray(baseGameRule.paylines) || baseGameRule.paylines.length === 0) {
         result.addError('gameRules.BASE.paylines 必須為非空陣列');
       } else {
         // 驗證 paylines 格式
@@ -114,6 +152,7 @@ function validateConfig(configPath) {
                 result.addError(`gameRules.BASE.paylines[${index}][${posIndex}] 必須為 [row, col] 格式`);
               }
             });
+            validatePaylineBounds(result, 'BASE', baseGameRule, payline, index);  // v1.6.10
           }
         });
       }
@@ -131,19 +170,76 @@ function validateConfig(configPath) {
           result.addError('gameRules.FREE.grid 必須包含 rows 和 cols（數字）');
         }
         
-        // 檢查 paylines 定義
-        if (!Array.isArray(freeGameRule.paylines) || freeGameRule.paylines.length === 0) {
+        // 檢查 paylines 定義（v1.6.20: ways 模式不需要 paylines，v1.6.21: cluster 模式相同）
+        if (validateRuleWinCondition(result, 'FREE', freeGameRule)) {
+          // ways / cluster 模式
+        } else if (!Array.isArray(freeGameRule.paylines) || freeGameRule.paylines.length === 0) {
           result.addError('gameRules.FREE.paylines 必須為非空陣列');
+        } else {
+          // v1.6.10: FREE 使用自己的 grid / paylines，必須同樣符合格式
+          freeGameRule.paylines.forEach((payline, index) => {
+            if (!Array.isArray(payline) || payline.some(pos => !Array.isArray(pos) || pos.length !== 2)) {
+              result.addError(`gameRules.FREE.paylines[${index}] 必須為 [row, col] 陣列`);
+            } else {
+              validatePaylineBounds(result, 'FREE', freeGameRule, payline, index);
+            }
+          });
         }
       }
     }
   }
 
+  // ========================================================================
+  // v1.6.11: [ERROR] fsmConfig 必須能建立 FSM（狀態、transitions、spin 計數器）
+  // ========================================================================
+  let fsm = null;
+  try {
+    fsm = new FsmEngine(getFsmConfig(config), config.featureConfig);
+  } catch (error) {
+    result.addError(error.message);
+  }
+  const fsmStates = fsm ? fsm.states : ['BASE', 'FREE'];
+
+  // v1.6.16: [ERROR] sessionConfig（可選，--sessions 使用）
+  if (config.sessionConfig !== undefined && config.betConfig && typeof config.betConfig.baseBet === 'number') {
+    try {
+      normalizeSessionConfig(config.sessionConfig, config.betConfig.baseBet);
+    } catch (error) {
+      result.addError(error.message);
+    }
+  }
+
+  // v1.6.14: [ERROR] featureConfig.multiplier（FIXED / PROGRESSIVE / RANDOM）
+  if (config.featureConfig) {
+    try {
+      const multiplier = normalizeMultiplier(config.featureConfig.multiplier);
+      const retrigger = config.featureConfig.retrigger;
+      if (multiplier !== null && multiplier.mode === 'PROGRESSIVE' && retrigger &&
+          retrigger.maxTotalSpins === undefined && retrigger.maxRetriggers === undefined) {
+        // 理論值需以有限狀態的動態規劃計算 PROGRESSIVE 倍數
+        result.addError('featureConfig.multiplier 為 PROGRESSIVE 時，retrigger 必須設定 maxTotalSpins 或 maxRetriggers');
+      }
+    } catch (error) {
+      result.addError(error.message);
+    }
+  }
+
+  // v1.6.13: [ERROR] scatterConfig.trigger.awards 必須能解析為觸發等級
+  let triggerAwards = null;
+  if (config.scatterConfig && config.scatterConfig.trigger) {
+    try {
+      triggerAwards = getTriggerAwards(config.scatterConfig.trigger);
+    } catch (error) {
+      result.addError(error.message);
+    }
+  }
+
   // ========================================================================
   // v1.2: [ERROR] 檢查 WIN 類型的 Outcome 是否包含 winConfig
   // v1.4: [ERROR/WARNING] 檢查 winCondition 結構
+  // v1.6.11: 檢查 fsmConfig.states 的每個狀態
   // ========================================================================
-  const states = ['BASE', 'FREE'];
+  const states = fsmStates;
   for (const state of states) {
     const outcomeTable = config.outcomeTables[state];
     if (!outcomeTable || !outcomeTable.outcomes) {
@@ -151,6 +247,9 @@ function validateConfig(configPath) {
       continue;
     }
 
+    // v1.6.10: 各狀態使用自己的 gameRules（不存在時 fallback 到 BASE）
+    const stateGameRule = config.gameRules ? (config.gameRules[state] || config.gameRules.BASE) : null;
+
     for (const outcome of outcomeTable.outcomes) {
       if (!outcome.id) {
         result.addError(`${state} 狀態中存在缺少 id 的 Outcome`);
@@ -159,8 +258,12 @@ function validateConfig(configPath) {
 
       // v1.4: 檢查 winCondition 和 legacy patterns 的共存
       const hasWinCondition = !!outcome.winCondition;
+      const hasWinConditions = outcome.winConditions !== undefined;  // v1.6.8
       const hasLegacyPattern = !!(outcome.pattern || outcome.patterns);
       
+      if (hasWinCondition && hasWinConditions) {
+        result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 不得同時包含 winCondition 和 winConditions`);
+      }
       if (hasWinCondition && hasLegacyPattern) {
         result.addWarning(`${state} 狀態中的 Outcome "${outcome.id}" 同時包含 winCondition 和 legacy patterns，將使用 winCondition`);
       }
@@ -168,27 +271,44 @@ function validateConfig(configPath) {
       // 必修補點 1：只對 WIN 類型要求 pattern 定義
       // LOSS/FEATURE 類型不需要 pattern（由 resolver 自動生成）
       if (outcome.type === 'WIN') {
-        if (!hasWinCondition && !hasLegacyPattern) {
+        if (!hasWinCondition && !hasWinConditions && !hasLegacyPattern) {
           result.addError(`${state} 狀態中的 WIN 類型 Outcome "${outcome.id}" 缺少 pattern 定義（需要 winCondition 或 legacy pattern/patterns）`);
         }
       }
       // LOSS/FEATURE 類型不需要 pattern，不檢查
 
       // v1.5.2: [ERROR] 檢查 FREE table 不得含 FEATURE（禁止 retrigger）
-      if (state === 'FREE' && outcome.type === 'FEATURE') {
-        result.addError(`v1.5.2: outcomeTables.FREE 不得包含 FEATURE 類型的 Outcome "${outcome.id}"（禁止 retrigger）`);
+      // v1.6.11: FEATURE Outcome 的事件（fsmEvent，預設 TRIGGER_FREE）必須在該狀態有對應的 transition
+      // v1.6.23: WIN_AND_FEATURE 由 Scatter 觸發（Scatter 派彩），不可指定 fsmEvent
+      if (outcome.fsmEvent !== undefined && (typeof outcome.fsmEvent !== 'string' || outcome.fsmEvent === '')) {
+        result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 fsmEvent 必須為非空字串`);
+      } else if (outcome.fsmEvent !== undefined && outcome.type !== 'FEATURE') {
+        result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 fsmEvent 僅適用於 FEATURE 類型`);
+      } else if (isFeatureOutcome(outcome) && fsm && !fsm.canFire(getOutcomeEvent(outcome), state)) {
+        result.addError(
+          `v1.5.2: outcomeTables.${state} 的 ${outcome.type} Outcome "${outcome.id}" 在狀態 ${state} ` +
+          `沒有事件 ${getOutcomeEvent(outcome)} 的 transition（禁止 retrigger）`
+        );
       }
-      
+
       // v1.5.2: [ERROR] 檢查 trigger outcome 不得是 WIN_AND_FEATURE
+      // v1.6.23: 觸發同時派彩改用 WIN_AND_FEATURE 類型（Scatter 派彩，見下方 paytable 檢查）
       if (outcome.type === 'FEATURE' && outcome.payoutMultiplier > 0) {
-        result.addError(`v1.5.2: FEATURE 類型的 Outcome "${outcome.id}" 的 payoutMultiplier 必須為 0（禁止 WIN_AND_FEATURE）`);
+        result.addError(`v1.5.2: FEATURE 類型的 Outcome "${outcome.id}" 的 payoutMultiplier 必須為 0（觸發同時派彩請使用 WIN_AND_FEATURE 類型）`);
+      }
+      if (outcome.type === 'WIN_AND_FEATURE' && !(outcome.payoutMultiplier > 0)) {
+        result.addError(`${state} 狀態中的 WIN_AND_FEATURE Outcome "${outcome.id}" 的 payoutMultiplier 必須 > 0（無派彩請使用 FEATURE 類型）`);
       }
       
       // v1.5.2: [WARNING] 檢查 trigger outcome 必須匹配 scatterConfig.trigger.featureId
-      if (outcome.type === 'FEATURE' && config.scatterConfig && config.scatterConfig.trigger) {
-        const triggerFeatureId = config.scatterConfig.trigger.featureId;
-        if (outcome.id !== triggerFeatureId) {
-          result.addWarning(`v1.5.2: FEATURE 類型的 Outcome "${outcome.id}" 不匹配 scatterConfig.trigger.featureId (${triggerFeatureId})，可能無法觸發`);
+      // v1.6.11: 指定 fsmEvent 的 FEATURE Outcome 不經由 Scatter 觸發，不檢查
+      // v1.6.12: FREE 中的 retrigger outcome 不需要匹配 featureId
+      const isRetriggerOutcome = isFeatureOutcome(outcome) && fsm !== null && fsm.isRetrigger(getOutcomeEvent(outcome), state);
+      // v1.6.13: 設定 trigger.awards 時比對每個等級的 featureId
+      if (isFeatureOutcome(outcome) && !outcome.fsmEvent && !isRetriggerOutcome && triggerAwards !== null) {
+        if (!triggerAwards.some(award => award.featureId === outcome.id)) {
+          const triggerFeatureIds = triggerAwards.map(award => award.featureId).join(', ');
+          result.addWarning(`v1.5.2: ${outcome.type} 類型的 Outcome "${outcome.id}" 不匹配 scatterConfig.trigger.featureId (${triggerFeatureIds})，可能無法觸發`);
         }
       }
 
@@ -204,16 +324,16 @@ function validateConfig(configPath) {
             if (!outcome.winCondition.symbolId) {
               result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (LINE) 缺少 symbolId`);
             }
-            // v1.5.3: [STRICT] 檢查 A1 不得出現在 LINE rules
-            if (outcome.winCondition.symbolId === 'A1') {
-              result.addError(`v1.5.3 STRICT: ${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (LINE) 不得使用 A1 符號（A1 僅用於 ANY_POSITION）`);
-            }
+            // v1.5.3: [STRICT] 檢查 ANY_POSITION 符號不得出現在 LINE rules（v1.6.24: 依符號類型判斷）
+            validateNotAnyPositionSymbol(
+              result, `v1.5.3 STRICT: ${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (LINE)`, outcome.winCondition.symbolId, config.symbols
+            );
             if (typeof outcome.winCondition.matchCount !== 'number') {
               result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (LINE) 的 matchCount 必須為數字`);
             } else {
               // 檢查 matchCount 是否超過盤面寬度
-              if (config.gameRules && config.gameRules.BASE && config.gameRules.BASE.grid) {
-                const maxCols = config.gameRules.BASE.grid.cols;
+              if (stateGameRule && stateGameRule.grid) {
+                const maxCols = stateGameRule.grid.cols;
                 if (outcome.winCondition.matchCount > maxCols) {
                   result.addError(
                     `${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition.matchCount (${outcome.winCondition.matchCount}) 超過盤面寬度 (${maxCols})`
@@ -240,8 +360,8 @@ function validateConfig(configPath) {
                   `${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition.minCount (${outcome.winCondition.minCount}) 小於 2，可能不合理`
                 );
               }
-              const gridSize = config.gameRules && config.gameRules.BASE && config.gameRules.BASE.grid
-                ? config.gameRules.BASE.grid.rows * config.gameRules.BASE.grid.cols
+              const gridSize = stateGameRule && stateGameRule.grid
+                ? stateGameRule.grid.rows * stateGameRule.grid.cols
                 : 15;  // 預設 5x3
               if (outcome.winCondition.minCount > gridSize) {
                 result.addError(
@@ -253,6 +373,11 @@ function validateConfig(configPath) {
             // v1.5.3: ANY_POSITION 類型必須包含 symbolId 和 targetCount
             if (!outcome.winCondition.symbolId) {
               result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (ANY_POSITION) 缺少 symbolId`);
+            } else {
+              // v1.6.24: symbolId 必須為 ANY_POSITION 符號，targetCount 不得低於該符號的 minCount
+              validateAnyPositionCondition(
+                result, `${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (ANY_POSITION)`, outcome.winCondition, config.symbols
+              );
             }
             if (typeof outcome.winCondition.targetCount !== 'number') {
               result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (ANY_POSITION) 的 targetCount 必須為數字`);
@@ -263,8 +388,8 @@ function validateConfig(configPath) {
                   `${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition.targetCount (${outcome.winCondition.targetCount}) 小於 2，可能不合理`
                 );
               }
-              const gridSize = config.gameRules && config.gameRules.BASE && config.gameRules.BASE.grid
-                ? config.gameRules.BASE.grid.rows * config.gameRules.BASE.grid.cols
+              const gridSize = stateGameRule && stateGameRule.grid
+                ? stateGameRule.grid.rows * stateGameRule.grid.cols
                 : 15;  // 預設 5x3
               if (outcome.winCondition.targetCount > gridSize) {
                 result.addError(
@@ -272,31 +397,80 @@ function validateConfig(configPath) {
                 );
               }
             }
+          } else if (wcType === 'WAYS') {
+            // v1.6.20: WAYS 類型必須包含 symbolId 和 matchCount（ways 可選，預設 1）
+            validateWaysCondition(
+              result, `${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (WAYS)`, outcome.winCondition, stateGameRule, config.symbols
+            );
+          } else if (wcType === 'CLUSTER') {
+            // v1.6.21: CLUSTER 類型必須包含 symbolId 和 clusterSize
+            validateClusterCondition(
+              result, `${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition (CLUSTER)`, outcome.winCondition, stateGameRule, config.symbols
+            );
           } else {
-            result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition.type 不支援: ${wcType} (僅支援 LINE, SCATTER, ANY_POSITION)`);
+            result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winCondition.type 不支援: ${wcType} (僅支援 LINE, SCATTER, ANY_POSITION, WAYS, CLUSTER)`);
           }
         }
       }
 
+      // v1.6.20: LINE（含 legacy winConfig / pattern）僅用於 payline 模式，WAYS 僅用於 ways 模式
+      // v1.6.21: CLUSTER 僅用於 cluster 模式
+      if (outcome.type === 'WIN' && stateGameRule) {
+        const ruleSet = config.gameRules[state] ? state : 'BASE';
+        const conditionTypes = getWinConditions(outcome).map(condition => condition.type);
+        const usesLegacyPattern = hasLegacyPattern && !hasWinCondition && !hasWinConditions;
+        if (isWaysRule(stateGameRule) && (conditionTypes.includes('LINE') || usesLegacyPattern)) {
+          result.addError(
+            `${state} 狀態中的 Outcome "${outcome.id}" 使用 LINE / legacy pattern，但 gameRules.${ruleSet}.winCondition 為 ways（請改用 WAYS）`
+          );
+        }
+        if (!isWaysRule(stateGameRule) && conditionTypes.includes('WAYS')) {
+          result.addError(
+            `${state} 狀態中的 Outcome "${outcome.id}" 使用 WAYS，但 gameRules.${ruleSet}.winCondition 不是 ways`
+          );
+        }
+        if (isClusterRule(stateGameRule) && (conditionTypes.includes('LINE') || usesLegacyPattern)) {
+          result.addError(
+            `${state} 狀態中的 Outcome "${outcome.id}" 使用 LINE / legacy pattern，但 gameRules.${ruleSet}.winCondition 為 cluster（請改用 CLUSTER）`
+          );
+        }
+        if (!isClusterRule(stateGameRule) && conditionTypes.includes('CLUSTER')) {
+          result.addError(
+            `${state} 狀態中的 Outcome "${outcome.id}" 使用 CLUSTER，但 gameRules.${ruleSet}.winCondition 不是 cluster`
+          );
+        }
+        // v1.6.22: LINE payDirection 必須是 gameRule 會判定的方向；legacy pattern 從 payline 起點放置
+        if (stateGameRule.payDirection === 'RTL' && usesLegacyPattern) {
+          result.addError(
+            `${state} 狀態中的 Outcome "${outcome.id}" 使用 legacy pattern，但 gameRules.${ruleSet}.payDirection 為 RTL（請改用 LINE winCondition）`
+          );
+        }
+        getWinConditions(outcome)
+          .filter(condition => condition.type === 'LINE' && condition.payDirection !== undefined)
+          .forEach(condition => {
+            validateLinePayDirection(result, `${state} 狀態中的 Outcome "${outcome.id}" 的 LINE 條件`, condition, stateGameRule, ruleSet);
+          });
+      }
+
       // 檢查 WIN 類型必須包含 winConfig（v1.2 邏輯，保留向後相容）
       if (outcome.type === 'WIN') {
-        if (!outcome.winConfig && !hasWinCondition) {
+        if (!outcome.winConfig && !hasWinCondition && !hasWinConditions) {
           result.addError(`${state} 狀態中的 WIN 類型 Outcome "${outcome.id}" 缺少 winConfig（且無 winCondition）`);
         } else if (outcome.winConfig) {
           // 檢查 winConfig 結構（僅當存在時）
           if (!outcome.winConfig.symbolId) {
             result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winConfig 缺少 symbolId`);
           }
-          // v1.5.3: [STRICT] 檢查 A1 不得出現在 LINE rules (winConfig)
-          if (outcome.winConfig.symbolId === 'A1') {
-            result.addError(`v1.5.3 STRICT: ${state} 狀態中的 Outcome "${outcome.id}" 的 winConfig 不得使用 A1 符號（A1 僅用於 ANY_POSITION）`);
-          }
+          // v1.5.3: [STRICT] 檢查 ANY_POSITION 符號不得出現在 LINE rules (winConfig)（v1.6.24: 依符號類型判斷）
+          validateNotAnyPositionSymbol(
+            result, `v1.5.3 STRICT: ${state} 狀態中的 Outcome "${outcome.id}" 的 winConfig`, outcome.winConfig.symbolId, config.symbols
+          );
           if (typeof outcome.winConfig.matchCount !== 'number') {
             result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 的 winConfig.matchCount 必須為數字`);
           } else {
             // 檢查 matchCount 是否超過盤面寬度
-            if (config.gameRules && config.gameRules.BASE && config.gameRules.BASE.grid) {
-              const maxCols = config.gameRules.BASE.grid.cols;
+            if (stateGameRule && stateGameRule.grid) {
+              const maxCols = stateGameRule.grid.cols;
               if (outcome.winConfig.matchCount > maxCols) {
                 result.addError(
                   `${state} 狀態中的 Outcome "${outcome.id}" 的 matchCount (${outcome.winConfig.matchCount}) 超過盤面寬度 (${maxCols})`
@@ -319,7 +493,7 @@ function validateConfig(configPath) {
   // ========================================================================
   for (const state of states) {
     const outcomeTable = config.outcomeTables[state];
-    if (!outcomeTable.outcomes) continue;
+    if (!outcomeTable || !outcomeTable.outcomes) continue;
 
     const totalWeight = outcomeTable.outcomes.reduce((sum, outcome) => {
       if (typeof outcome.weight !== 'number' || outcome.weight < 0) {
@@ -359,7 +533,8 @@ function validateConfig(configPath) {
       if (!Array.isArray(config.scatterConfig.trigger.states) || config.scatterConfig.trigger.states.length === 0) {
         result.addError('scatterConfig.trigger.states 必須為非空陣列');
       }
-      if (!config.scatterConfig.trigger.featureId) {
+      // v1.6.13: 設定 awards 時 featureId 由各等級指定
+      if (!config.scatterConfig.trigger.featureId && config.scatterConfig.trigger.awards === undefined) {
         result.addError('scatterConfig.trigger.featureId 必須存在');
       }
     }
@@ -374,20 +549,324 @@ function validateConfig(configPath) {
         result.addError('scatterConfig.placement.maxCount 必須為正整數');
       }
     }
+
+    // v1.6.13: [ERROR] 觸發等級：featureId 必須是 BASE 的 FEATURE Outcome，Scatter 數量不得超過 maxCount
+    if (triggerAwards !== null && config.scatterConfig.trigger.awards !== undefined) {
+      const baseOutcomes = (config.outcomeTables && config.outcomeTables.BASE && config.outcomeTables.BASE.outcomes) || [];
+      const maxCount = config.scatterConfig.placement ? config.scatterConfig.placement.maxCount : undefined;
+      triggerAwards.forEach(award => {
+        const outcome = baseOutcomes.find(o => o.id === award.featureId);
+        if (!outcome || !isFeatureOutcome(outcome)) {
+          result.addError(`scatterConfig.trigger.awards["${award.scatterCount}"].featureId ("${award.featureId}") 必須是 BASE 的 FEATURE Outcome（v1.6.23: 或 WIN_AND_FEATURE）`);
+        }
+        if (typeof maxCount === 'number' && award.scatterCount > maxCount) {
+          result.addError(
+            `scatterConfig.trigger.awards["${award.scatterCount}"] 的 Scatter 數量不得超過 scatterConfig.placement.maxCount (${maxCount})`
+          );
+        }
+        if (fsm && fsm.retriggerConfig && fsm.retriggerConfig.maxTotalSpins !== null &&
+            fsm.retriggerConfig.maxTotalSpins < award.spins) {
+          result.addError(
+            `featureConfig.retrigger.maxTotalSpins 不得小於 scatterConfig.trigger.awards["${award.scatterCount}"].spins (${award.spins})`
+          );
+        }
+      });
+      if (config.scatterConfig.trigger.featureId &&
+          !triggerAwards.some(award => award.featureId === config.scatterConfig.trigger.featureId)) {
+        result.addWarning(`scatterConfig.trigger.featureId ("${config.scatterConfig.trigger.featureId}") 不在 trigger.awards 中，設定 awards 時不使用`);
+      }
+    }
+
+    // v1.6.12: [ERROR] retrigger 的 scatter 放置（FREE 必須列在 trigger.states，數量不得超過 maxCount）
+    const retrigger = fsm ? fsm.retriggerConfig : null;
+    if (retrigger && config.scatterConfig.trigger && config.scatterConfig.placement) {
+      const triggerStates = config.scatterConfig.trigger.states || [];
+      if (!triggerStates.includes(RETRIGGER_STATE)) {
+        result.addError(`featureConfig.retrigger 需要 scatterConfig.trigger.states 包含 ${RETRIGGER_STATE}`);
+      }
+      const scatterCount = retrigger.scatterCount !== null ? retrigger.scatterCount : config.scatterConfig.trigger.minCount;
+      if (scatterCount > config.scatterConfig.placement.maxCount) {
+        result.addError(
+          `featureConfig.retrigger.scatterCount (${scatterCount}) 不得超過 scatterConfig.placement.maxCount (${config.scatterConfig.placement.maxCount})`
+        );
+      }
+    }
   }
-  
+
+  // v1.6.11: states / transitions 的內容與 spinCounters 由 FsmEngine 檢查（見上方）
   if (config.fsmConfig) {
     if (!config.fsmConfig.initialState) {
       result.addError('fsmConfig.initialState 必須存在');
     }
-    if (!Array.isArray(config.fsmConfig.states) || config.fsmConfig.states.length === 0) {
-      result.addError('fsmConfig.states 必須為非空陣列');
-    }
     if (!Array.isArray(config.fsmConfig.transitions) || config.fsmConfig.transitions.length === 0) {
       result.addError('fsmConfig.transitions 必須為非空陣列');
     }
   }
 
+  // ========================================================================
+  // v1.6.8: [ERROR] 檢查 evaluationMode 與 winConditions（複合中獎）
+  // ========================================================================
+  // v1.6.10: 各狀態的 Evaluator 由該狀態的 gameRules 建立（不存在時 fallback 到 BASE）
+  const ruleSets = {};
+  const evaluationModes = {};
+  fsmStates.forEach(state => {
+    const gameRules = config.gameRules || {};
+    ruleSets[state] = gameRules[state] ? state : 'BASE';
+    const gameRule = gameRules[ruleSets[state]] || {};
+    evaluationModes[state] = gameRule.evaluationMode !== undefined ? gameRule.evaluationMode : 'SINGLE';
+    if (gameRules[state] && !EVALUATION_MODES.includes(evaluationModes[state])) {
+      result.addError(`gameRules.${state}.evaluationMode ("${evaluationModes[state]}") 不支援，可用: ${EVALUATION_MODES.join(', ')}`);
+    }
+  });
+  Object.keys(config.outcomeTables).forEach(state => {
+    (config.outcomeTables[state].outcomes || []).forEach(outcome => {
+      if (outcome.winConditions === undefined) {
+        return;
+      }
+      const label = `${state} 狀態中的 Outcome "${outcome.id}"`;
+      if (!Array.isArray(outcome.winConditions) || outcome.winConditions.length === 0) {
+        result.addError(`${label} 的 winConditions 必須為非空陣列`);
+        return;
+      }
+      if (outcome.type !== 'WIN') {
+        result.addError(`${label} 的 winConditions 僅適用於 WIN 類型`);
+      }
+      if (outcome.winConditions.length > 1 && evaluationModes[state] !== 'MULTI') {
+        result.addError(`${label} 包含多個 winConditions，gameRules.${ruleSets[state]}.evaluationMode 必須為 MULTI`);
+      }
+
+      let payoutSum = 0;
+      outcome.winConditions.forEach((condition, index) => {
+        const conditionLabel = `${label} 的 winConditions[${index}]`;
+        if (!COMPOSITE_CONDITION_TYPES.includes(condition.type)) {
+          result.addError(`${conditionLabel}.type 不支援: ${condition.type} (僅支援 ${COMPOSITE_CONDITION_TYPES.join(', ')})`);
+          return;
+        }
+        if (!condition.symbolId) {
+          result.addError(`${conditionLabel} (${condition.type}) 缺少 symbolId`);
+        }
+        if (condition.type === 'LINE' && typeof condition.matchCount !== 'number') {
+          result.addError(`${conditionLabel} (LINE) 的 matchCount 必須為數字`);
+        }
+        // v1.6.24: LINE 條件不得使用 ANY_POSITION 符號
+        if (condition.type === 'LINE' && condition.symbolId) {
+          validateNotAnyPositionSymbol(result, `${conditionLabel} (LINE)`, condition.symbolId, config.symbols);
+        }
+        if (condition.type === 'ANY_POSITION' && typeof condition.targetCount !== 'number') {
+          result.addError(`${conditionLabel} (ANY_POSITION) 的 targetCount 必須為數字`);
+        }
+        if (condition.type === 'ANY_POSITION' && condition.symbolId) {
+          validateAnyPositionCondition(result, `${conditionLabel} (ANY_POSITION)`, condition, config.symbols);
+        }
+        if (condition.type === 'WAYS') {
+          validateWaysCondition(result, `${conditionLabel} (WAYS)`, condition, (config.gameRules || {})[ruleSets[state]], config.symbols);
+        }
+        if (condition.type === 'CLUSTER') {
+          validateClusterCondition(result, `${conditionLabel} (CLUSTER)`, condition, (config.gameRules || {})[ruleSets[state]], config.symbols);
+        }
+        if (typeof condition.payoutMultiplier !== 'number') {
+          result.addError(`${conditionLabel} 的 payoutMultiplier 必須為數字`);
+          return;
+        }
+        payoutSum += condition.payoutMultiplier;
+      });
+
+      if (Math.abs(payoutSum - outcome.payoutMultiplier) > 1e-9) {
+        result.addError(
+          `${label} 的 winConditions payoutMultiplier 總和 (${payoutSum}) 不等於 outcome.payoutMultiplier (${outcome.payoutMultiplier})`
+        );
+      }
+      // v1.6.24: 每個 ANY_POSITION 符號最多一個條件（resolver 依符號放置剛好 targetCount 個）
+      const anyPositionSymbols = outcome.winConditions.filter(c => c.type === 'ANY_POSITION').map(c => c.symbolId);
+      if (new Set(anyPositionSymbols).size !== anyPositionSymbols.length) {
+        result.addError(`${label} 的 winConditions 中同一符號最多只能有一個 ANY_POSITION 條件`);
+      }
+      // v1.6.20: 每個符號只有一個 ways 結果
+      const waysSymbols = outcome.winConditions.filter(c => c.type === 'WAYS').map(c => c.symbolId);
+      if (new Set(waysSymbols).size !== waysSymbols.length) {
+        result.addError(`${label} 的 winConditions 中同一符號最多只能有一個 WAYS 條件`);
+      }
+      // v1.6.21: 每個符號最多一個 cluster（resolver 以符號區分預期的 cluster）
+      const clusterSymbols = outcome.winConditions.filter(c => c.type === 'CLUSTER').map(c => c.symbolId);
+      if (new Set(clusterSymbols).size !== clusterSymbols.length) {
+        result.addError(`${label} 的 winConditions 中同一符號最多只能有一個 CLUSTER 條件`);
+      }
+    });
+  });
+
+  // ========================================================================
+  // v1.6.9: [ERROR] 檢查 paytable（可選）與 WIN outcomes 的 payoutMultiplier 一致
+  // v1.6.10: gameRules.<state>.paytable 優先於頂層 paytable
+  // v1.6.23: paytable.SCATTER（Scatter 派彩）與 FEATURE / WIN_AND_FEATURE outcomes 的 payoutMultiplier 一致
+  // ========================================================================
+  const paytables = new Map();  // paytable 設定 → buildPaytable() 結果（設定錯誤時為 null，只回報一次）
+  const scatterSymbolId = config.scatterConfig ? config.scatterConfig.scatterSymbolId : null;
+  const retriggerConfig = fsm ? fsm.retriggerConfig : null;
+  Object.keys(config.outcomeTables).forEach(state => {
+    const gameRule = config.gameRules && config.gameRules[ruleSets[state] || 'BASE'];
+    const paytableConfig = gameRule && gameRule.paytable !== undefined ? gameRule.paytable : config.paytable;
+    if (paytableConfig === undefined) {
+      // v1.6.23: WIN_AND_FEATURE 的派彩只能來自 paytable.SCATTER
+      (config.outcomeTables[state].outcomes || [])
+        .filter(outcome => outcome.type === 'WIN_AND_FEATURE')
+        .forEach(outcome => {
+          result.addError(`${state} 狀態中的 WIN_AND_FEATURE Outcome "${outcome.id}" 需要 paytable.SCATTER（Scatter 派彩）`);
+        });
+      return;
+    }
+
+    if (!paytables.has(paytableConfig)) {
+      try {
+        const built = buildPaytable(paytableConfig, config.symbols || []);
+        // v1.6.23: Scatter 派彩的符號必須由 Scatter Layer 控制數量
+        built.SCATTER.forEach((pays, symbolId) => {
+          if (symbolId !== scatterSymbolId) {
+            result.addError(`paytable.SCATTER 的符號 ${symbolId} 必須是 scatterConfig.scatterSymbolId（${scatterSymbolId || '未設定 scatterConfig'}）`);
+          }
+        });
+        paytables.set(paytableConfig, built);
+      } catch (error) {
+        result.addError(error.message);
+        paytables.set(paytableConfig, null);
+      }
+    }
+    const paytable = paytables.get(paytableConfig);
+    if (!paytable) {
+      return;
+    }
+
+    (config.outcomeTables[state].outcomes || []).forEach(outcome => {
+      // v1.6.23: 觸發 Outcome 放置的 Scatter 數量在 paytable.SCATTER 中的賠率
+      // （FEATURE 的 payoutMultiplier > 0 已在上方回報）
+      if (isFeatureOutcome(outcome) && !(outcome.type === 'FEATURE' && outcome.payoutMultiplier > 0)) {
+        const scatterCount = triggerAwards !== null
+          ? getOutcomeScatterCount(config.scatterConfig, retriggerConfig, state, outcome)
+          : 0;
+        const paid = scatterCount > 0 ? getPayMultiplier(paytable, 'SCATTER', scatterSymbolId, scatterCount) : 0;
+        const declared = outcome.payoutMultiplier || 0;
+        if (outcome.type === 'WIN_AND_FEATURE' && scatterCount === 0) {
+          result.addError(
+            `${state} 狀態中的 WIN_AND_FEATURE Outcome "${outcome.id}" 不會放置 Scatter` +
+            `（必須是 scatterConfig.trigger 的觸發 Outcome 或 retrigger Outcome），無法支付 Scatter 派彩`
+          );
+        } else if (Math.abs(paid - declared) > 1e-9) {
+          const hint = outcome.type === 'FEATURE' ? '（Scatter 派彩請使用 WIN_AND_FEATURE 類型）' : '';
+          result.addError(
+            `${state} 狀態中的 ${outcome.type} Outcome "${outcome.id}" 的 SCATTER ${scatterSymbolId} x${scatterCount} ` +
+            `在 paytable 中為 ${paid}，與宣告的 payoutMultiplier (${declared}) 不一致${hint}`
+          );
+        }
+        return;
+      }
+      if (outcome.type !== 'WIN') {
+        return;
+      }
+      getWinConditions(outcome)
+        .filter(condition => COMPOSITE_CONDITION_TYPES.includes(condition.type))
+        .forEach(condition => {
+          const declared = getConditionPayout(outcome, condition);
+          const paid = getConditionPayMultiplier(paytable, condition);
+          if (Math.abs(paid - declared) > 1e-9) {
+            const count = condition.type === 'ANY_POSITION' ? condition.targetCount : condition.matchCount;
+            result.addError(
+              `${state} 狀態中的 Outcome "${outcome.id}" 的 ${condition.type} ${condition.symbolId} x${count} ` +
+              `在 paytable 中為 ${paid}，與宣告的 payoutMultiplier (${declared}) 不一致`
+            );
+          }
+        });
+    });
+  });
+
+  // ========================================================================
+  // v1.6.7: [ERROR] 檢查 WILD substitutes 與 winConfig.allowWild
+  // ========================================================================
+  let wildRules = null;
+  try {
+    wildRules = buildWildRules(config.symbols || []);
+  } catch (error) {
+    result.addError(error.message);
+  }
+  if (wildRules) {
+    Object.keys(config.outcomeTables).forEach(state => {
+      (config.outcomeTables[state].outcomes || []).forEach(outcome => {
+        // v1.6.8: winConditions 的 LINE 條件可個別設定 allowWild
+        // v1.6.20: WAYS 條件（winCondition / winConditions）同樣可設定 allowWild（v1.6.21: CLUSTER 相同）
+        const allowWildSymbols = [];
+        if (outcome.winConfig && outcome.winConfig.allowWild) {
+          allowWildSymbols.push(outcome.winConfig.symbolId);
+        }
+        if (outcome.winCondition && ['WAYS', 'CLUSTER'].includes(outcome.winCondition.type) && outcome.winCondition.allowWild) {
+          allowWildSymbols.push(outcome.winCondition.symbolId);
+        }
+        if (Array.isArray(outcome.winConditions)) {
+          outcome.winConditions
+            .filter(c => ['LINE', 'WAYS', 'CLUSTER'].includes(c.type) && c.allowWild)
+            .forEach(c => allowWildSymbols.push(c.symbolId));
+        }
+        allowWildSymbols.forEach(symbolId => {
+          if (wildRules.substitutes.has(symbolId)) {
+            return;  // wild-only line
+          }
+          const hasWild = [...wildRules.substitutes.keys()].some(wildId => canSubstitute(wildRules, wildId, symbolId));
+          if (!hasWild) {
+            result.addError(`${state} 狀態中的 Outcome "${outcome.id}" 設定 allowWild，但沒有可替代 ${symbolId} 的 WILD 符號（WILD 需設定 substitutes）`);
+          }
+        });
+      });
+    });
+  }
+
+  // ========================================================================
+  // v1.6.24: [ERROR] 檢查 ANY_POSITION 符號的 minCount（最低中獎數量，預設 3）
+  // ========================================================================
+  (config.symbols || []).forEach(symbol => {
+    if (symbol.minCount === undefined) {
+      return;
+    }
+    if (!isAnyPositionSymbol(symbol)) {
+      result.addError(`symbols 中的 "${symbol.id}" 不是 ANY_POSITION 符號，不可設定 minCount`);
+    } else if (!Number.isInteger(symbol.minCount) || symbol.minCount < 1) {
+      result.addError(`symbols 中的 ANY_POSITION 符號 "${symbol.id}" 的 minCount (${symbol.minCount}) 必須為正整數`);
+    }
+  });
+  // v1.6.24: [WARNING] paytable.ANY_POSITION 中低於 minCount 的 tier 永遠不會支付
+  const anyPositionPaytables = [['paytable', config.paytable]].concat(
+    Object.keys(config.gameRules || {}).map(ruleSet => [`gameRules.${ruleSet}.paytable`, (config.gameRules[ruleSet] || {}).paytable])
+  );
+  anyPositionPaytables.forEach(([paytableLabel, paytableConfig]) => {
+    const anyPositionPays = paytableConfig && paytableConfig.ANY_POSITION;
+    if (!anyPositionPays || typeof anyPositionPays !== 'object') {
+      return;
+    }
+    getAnyPositionSymbols(config.symbols).forEach(symbol => {
+      const minCount = getAnyPositionMinCount(symbol);
+      Object.keys(anyPositionPays[symbol.id] || {})
+        .filter(tier => Number(tier) < minCount)
+        .forEach(tier => {
+          result.addWarning(`${paytableLabel}.ANY_POSITION.${symbol.id} 的 tier ${tier} 低於 minCount (${minCount})，不會支付`);
+        });
+    });
+  });
+
+  // ========================================================================
+  // v1.6.2: [ERROR] 檢查 rngConfig.algorithm（可選）
+  // v1.6.3: [ERROR] 檢查 rngConfig.subSeedDerivation（可選）
+  // ========================================================================
+  if (config.rngConfig && config.rngConfig.algorithm !== undefined) {
+    if (!RNG_ENGINES[config.rngConfig.algorithm]) {
+      result.addError(
+        `rngConfig.algorithm ("${config.rngConfig.algorithm}") 不支援，可用: ${Object.keys(RNG_ENGINES).join(', ')}`
+      );
+    }
+  }
+  if (config.rngConfig && config.rngConfig.subSeedDerivation !== undefined) {
+    if (!SUB_SEED_DERIVATIONS.includes(config.rngConfig.subSeedDerivation)) {
+      result.addError(
+        `rngConfig.subSeedDerivation ("${config.rngConfig.subSeedDerivation}") 不支援，可用: ${SUB_SEED_DERIVATIONS.join(', ')}`
+      );
+    }
+  }
+
   // ========================================================================
   // v1.3: [WARNING] 檢查 visualConfig 結構（可選）
   // ========================================================================
@@ -408,6 +887,203 @@ function validateConfig(configPath) {
   return result;
 }
 
+/**
+ * v1.6.10: 檢查 payline 座標是否在該狀態的 grid 範圍內
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} state - 'BASE' | 'FREE'
+ * @param {Object} gameRule - 該狀態的 gameRules
+ * @param {Array} payline - [row, col] 陣列
+ * @param {number} index - payline 索引
+ */
+function validatePaylineBounds(result, state, gameRule, payline, index) {
+  if (!gameRule.grid || typeof gameRule.grid.rows !== 'number' || typeof gameRule.grid.cols !== 'number') {
+    return;
+  }
+  const outOfBounds = payline.find(pos => Array.isArray(pos) &&
+    (pos[0] < 0 || pos[0] >= gameRule.grid.rows || pos[1] < 0 || pos[1] >= gameRule.grid.cols));
+  if (outOfBounds) {
+    result.addError(
+      `gameRules.${state}.paylines[${index}] 的座標 [${outOfBounds.join(', ')}] 超出 grid 範圍 (${gameRule.grid.rows}x${gameRule.grid.cols})`
+    );
+  }
+}
+
+/**
+ * v1.6.20: 檢查 gameRules.<state>.winCondition（未設定時為 payline）
+ * v1.6.21: cluster 模式同樣不需要 paylines，並檢查 minClusterSize（2 ~ 盤面格數的整數）
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} state - 'BASE' | 'FREE'
+ * @param {Object} gameRule - 該狀態的 gameRules
+ * @returns {boolean} 是否為 ways / cluster 模式（不需要 paylines）
+ */
+function validateRuleWinCondition(result, state, gameRule) {
+  if (gameRule.winCondition !== undefined && !RULE_WIN_CONDITIONS.includes(gameRule.winCondition)) {
+    result.addError(
+      `gameRules.${state}.winCondition ("${gameRule.winCondition}") 不支援，可用: ${RULE_WIN_CONDITIONS.join(', ')}`
+    );
+  }
+  if (isClusterRule(gameRule) && gameRule.grid) {
+    const minClusterSize = getMinClusterSize(gameRule);
+    const gridSize = gameRule.grid.rows * gameRule.grid.cols;
+    if (!Number.isInteger(minClusterSize) || minClusterSize < 2 || minClusterSize > gridSize) {
+      result.addError(`gameRules.${state}.minClusterSize (${minClusterSize}) 必須為 2 ~ ${gridSize} 的整數`);
+    }
+  }
+  // v1.6.22: payDirection（未設定時為 LTR）
+  if (gameRule.payDirection !== undefined && !PAY_DIRECTIONS.includes(gameRule.payDirection)) {
+    result.addError(
+      `gameRules.${state}.payDirection ("${gameRule.payDirection}") 不支援，可用: ${PAY_DIRECTIONS.join(', ')}`
+    );
+  }
+  // v1.6.7: strictLineRuns（可選，明確啟用 resolver 的嚴格連線檢查）
+  if (gameRule.strictLineRuns !== undefined && typeof gameRule.strictLineRuns !== 'boolean') {
+    result.addError(`gameRules.${state}.strictLineRuns 必須為 boolean`);
+  }
+  if (!isWaysRule(gameRule) && !isClusterRule(gameRule)) {
+    return false;
+  }
+  if (gameRule.paylines !== undefined) {
+    result.addWarning(`gameRules.${state}.winCondition 為 ${gameRule.winCondition}，paylines 將被忽略`);
+  }
+  if (gameRule.payDirection !== undefined) {
+    result.addWarning(`gameRules.${state}.winCondition 為 ${gameRule.winCondition}，payDirection 將被忽略`);
+  }
+  return true;
+}
+
+/**
+ * v1.6.22: 檢查 LINE 條件的 payDirection（必須是 gameRules.<state>.payDirection 會判定的方向）
+ * - LTR 需要 gameRule 為 LTR / BOTH，RTL 需要 RTL / BOTH，BOTH 需要 BOTH
+ * - BOTH 模式下整條線中獎只以 LTR 支付一次，RTL 的 matchCount 必須小於輪數
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} label - 錯誤訊息前綴
+ * @param {Object} condition - LINE 條件
+ * @param {Object} gameRule - 該狀態的 gameRules
+ * @param {string} ruleSet - gameRules 的 key（錯誤訊息用）
+ */
+function validateLinePayDirection(result, label, condition, gameRule, ruleSet) {
+  if (!PAY_DIRECTIONS.includes(condition.payDirection)) {
+    result.addError(`${label} 的 payDirection ("${condition.payDirection}") 不支援，可用: ${PAY_DIRECTIONS.join(', ')}`);
+    return;
+  }
+  const ruleDirection = gameRule.payDirection || 'LTR';
+  if (!PAY_DIRECTIONS.includes(ruleDirection)) {
+    return;  // 已由 validateRuleWinCondition 回報
+  }
+  const ruleDirections = getLineDirections(ruleDirection);
+  if (!getLineDirections(condition.payDirection).every(direction => ruleDirections.includes(direction))) {
+    result.addError(
+      `${label} 的 payDirection 為 ${condition.payDirection}，但 gameRules.${ruleSet}.payDirection 為 ${ruleDirection}`
+    );
+    return;
+  }
+  if (condition.payDirection === 'RTL' && ruleDirection === 'BOTH' && gameRule.grid &&
+      condition.matchCount >= gameRule.grid.cols) {
+    result.addError(
+      `${label} 的 payDirection 為 RTL，但 matchCount (${condition.matchCount}) 為整條線，BOTH 模式下以 LTR 支付（請改用 LTR）`
+    );
+  }
+}
+
+/**
+ * v1.6.24: 檢查 LINE 規則的符號不是 ANY_POSITION 符號（取代 v1.5.3 以 "A1" 判斷）
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} label - 錯誤訊息前綴
+ * @param {string} symbolId - LINE 規則的符號
+ * @param {Array|undefined} symbols - design.json 的 symbols 陣列
+ */
+function validateNotAnyPositionSymbol(result, label, symbolId, symbols) {
+  const symbol = (symbols || []).find(s => s.id === symbolId);
+  if (isAnyPositionSymbol(symbol)) {
+    result.addError(`${label} 不得使用 ANY_POSITION 符號 ${symbolId}（僅用於 ANY_POSITION 條件）`);
+  }
+}
+
+/**
+ * v1.6.24: 檢查 ANY_POSITION 條件（symbolId 為 ANY_POSITION 符號、targetCount 不低於該符號的 minCount）
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} label - 錯誤訊息前綴
+ * @param {Object} condition - ANY_POSITION 條件
+ * @param {Array|undefined} symbols - design.json 的 symbols 陣列
+ */
+function validateAnyPositionCondition(result, label, condition, symbols) {
+  const symbol = (symbols || []).find(s => s.id === condition.symbolId);
+  if (!isAnyPositionSymbol(symbol)) {
+    result.addError(`${label} 的 symbolId (${condition.symbolId}) 必須為 ANY_POSITION 符號`);
+    return;
+  }
+  const minCount = getAnyPositionMinCount(symbol);
+  if (typeof condition.targetCount === 'number' && condition.targetCount < minCount) {
+    result.addError(`${label} 的 targetCount (${condition.targetCount}) 低於 ${condition.symbolId} 的 minCount (${minCount})，Evaluator 不會產生事件`);
+  }
+}
+
+/**
+ * v1.6.20: 檢查 WAYS 條件（symbolId 為 LOW / MID / HIGH、matchCount 介於 3 ~ cols、ways 可由各輪符號數組成）
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} label - 錯誤訊息前綴
+ * @param {Object} condition - WAYS 條件
+ * @param {Object|undefined} gameRule - 該狀態的 gameRules
+ * @param {Array|undefined} symbols - design.json 的 symbols 陣列
+ */
+function validateWaysCondition(result, label, condition, gameRule, symbols) {
+  const symbol = (symbols || []).find(s => s.id === condition.symbolId);
+  if (!condition.symbolId) {
+    result.addError(`${label} 缺少 symbolId`);
+  } else if (!symbol || !WAYS_SYMBOL_TYPES.includes(symbol.type)) {
+    result.addError(`${label} 的 symbolId (${condition.symbolId}) 必須為 ${WAYS_SYMBOL_TYPES.join(' / ')} 符號`);
+  }
+  if (typeof condition.matchCount !== 'number') {
+    result.addError(`${label} 的 matchCount 必須為數字`);
+    return;
+  }
+  if (!gameRule || !gameRule.grid) {
+    return;
+  }
+
+  const { rows, cols } = gameRule.grid;
+  if (!Number.isInteger(condition.matchCount) || condition.matchCount < MIN_WAYS_REELS || condition.matchCount > cols) {
+    result.addError(`${label} 的 matchCount (${condition.matchCount}) 必須為 ${MIN_WAYS_REELS} ~ ${cols} 的整數`);
+    return;
+  }
+  const ways = getConditionWays(condition);
+  if (!Number.isInteger(ways) || ways < 1) {
+    result.addError(`${label} 的 ways (${ways}) 必須為正整數`);
+  } else if (waysFactorizations(ways, Array(condition.matchCount).fill(rows)).length === 0) {
+    result.addError(`${label} 的 ways (${ways}) 無法由前 ${condition.matchCount} 輪（每輪最多 ${rows} 個符號）組成`);
+  }
+}
+
+/**
+ * v1.6.21: 檢查 CLUSTER 條件（symbolId 為 LOW / MID / HIGH、clusterSize 介於 minClusterSize ~ 盤面格數）
+ * @param {ValidationResult} result - 驗證結果
+ * @param {string} label - 錯誤訊息前綴
+ * @param {Object} condition - CLUSTER 條件
+ * @param {Object|undefined} gameRule - 該狀態的 gameRules
+ * @param {Array|undefined} symbols - design.json 的 symbols 陣列
+ */
+function validateClusterCondition(result, label, condition, gameRule, symbols) {
+  const symbol = (symbols || []).find(s => s.id === condition.symbolId);
+  if (!condition.symbolId) {
+    result.addError(`${label} 缺少 symbolId`);
+  } else if (!symbol || !CLUSTER_SYMBOL_TYPES.includes(symbol.type)) {
+    result.addError(`${label} 的 symbolId (${condition.symbolId}) 必須為 ${CLUSTER_SYMBOL_TYPES.join(' / ')} 符號`);
+  }
+  if (typeof condition.clusterSize !== 'number') {
+    result.addError(`${label} 的 clusterSize 必須為數字`);
+    return;
+  }
+  if (!gameRule || !gameRule.grid) {
+    return;
+  }
+
+  const minClusterSize = getMinClusterSize(gameRule);
+  const gridSize = gameRule.grid.rows * gameRule.grid.cols;
+  if (!Number.isInteger(condition.clusterSize) || condition.clusterSize < minClusterSize || condition.clusterSize > gridSize) {
+    result.addError(`${label} 的 clusterSize (${condition.clusterSize}) 必須為 ${minClusterSize} ~ ${gridSize} 的整數`);
+  }
+}
+
 /**
  * 輸出驗證結果
  * @param {ValidationResult} result - 驗證結果
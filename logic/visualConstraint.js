@@ -1,4 +1,8 @@
 const { RNG } = require('./rng');
+const { buildWildRules, canSubstitute, orientLine, matchPayline } = require('./lineMatcher');  // v1.6.7: Wild 替代（v1.6.22: 支付方向）
+const { isWaysRule, isClusterRule } = require('./winConditions');  // v1.6.20: Ways（v1.6.21: Cluster）
+const { findWaysRuns } = require('./waysMatcher');  // v1.6.20: Ways
+const { getMinClusterSize, findClusters } = require('./clusterMatcher');  // v1.6.21: Cluster pays
 
 /**
  * Visual Constraint Engine - v1.4.x
@@ -9,9 +13,20 @@ const { RNG } = require('./rng');
  * - 不修改 Outcome、不影響數學結果
  * - 僅改善視覺呈現（Near Miss、Tease、消除整列重複）
  * - 絕對禁止 Accidental Win / 延長中獎
+ * - v1.6.20: ways 模式不使用 paylines（Near Miss / Tease 不套用），Accidental Win 以 ways 判定
+ * - v1.6.21: cluster 模式同上，Accidental Win 以 cluster 判定
+ * - v1.6.22: gameRule.payDirection = 'RTL' | 'BOTH' 時，Accidental Win / Anti-Extend 依每個判定方向檢查
  */
 class VisualConstraintEngine {
   constructor(gameRule, symbols, visualConfig) {
+    // v1.6.20: ways 模式以空的 paylines 取代（v1.6.21: cluster 模式相同）
+    this.waysMode = isWaysRule(gameRule);
+    this.clusterMode = isClusterRule(gameRule);
+    if ((this.waysMode || this.clusterMode) && gameRule.grid) {
+      gameRule = Object.assign({}, gameRule, { paylines: [] });
+    }
+    this.minClusterSize = getMinClusterSize(gameRule);
+    this.payDirection = gameRule && gameRule.payDirection ? gameRule.payDirection : 'LTR';  // v1.6.22
     this.gameRule = gameRule;
     this.symbols = symbols;
     
@@ -50,6 +65,9 @@ class VisualConstraintEngine {
     // Phase B: Forward-Compatibility Guard
     // 禁止在 Visual Layer 使用 WILD/SCATTER/BONUS 符號
     this.forbiddenSymbolsInVisual = ['WILD', 'SCATTER', 'BONUS'];
+
+    // v1.6.7: Wild 替代規則（中獎線上的 WILD 仍可能與交會的 payline 形成連線）
+    this.wildRules = buildWildRules(symbols);
     
     // 驗證 symbols 結構
     if (!symbols || !Array.isArray(symbols)) {
@@ -131,7 +149,7 @@ class VisualConstraintEngine {
       ? this._deriveVisualSeed(safeContext)
       : null;
     telemetry.visualSeed = visualSeed !== null ? String(visualSeed) : '';
-    const visualRng = new RNG(visualSeed);
+    const visualRng = new RNG(visualSeed, safeContext.rngOptions);  // v1.6.2: 沿用 Math RNG 演算法
 
     // 深拷貝 grid（避免修改原始 grid）
     let processedGrid = grid.map(row => [...row]);
@@ -172,7 +190,11 @@ class VisualConstraintEngine {
         ? winEvents[0].paylineIndex
         : legacyWinLine;
       
-      const teaseResult = this._applyTease(processedGrid, outcome, teaseWinLine, visualRng, telemetry, protectedCells);
+      // v1.6.22: 中獎線的判定方向（RTL 時 anti-extend 位置在中獎連線的左側）
+      const teaseDirection = winEvents && winEvents.length > 0 && winEvents[0].paylineIndex !== undefined
+        ? this._getEventDirection(winEvents[0])
+        : 'LTR';
+      const teaseResult = this._applyTease(processedGrid, outcome, teaseWinLine, visualRng, telemetry, protectedCells, teaseDirection);
       processedGrid = teaseResult.grid;
       Object.assign(telemetry, teaseResult.telemetry);
     } else if (this.isNearMiss(outcome)) {
@@ -191,7 +213,7 @@ class VisualConstraintEngine {
       const winLineForOpt = winEvents && winEvents.length > 0 && winEvents[0].paylineIndex !== undefined
         ? winEvents[0].paylineIndex
         : legacyWinLine;
-      processedGrid = this._applyWinGeneralOptimization(processedGrid, outcome, winLineForOpt, visualRng, protectedCells);
+      processedGrid = this._applyWinGeneralOptimization(processedGrid, outcome, winLineForOpt, visualRng, protectedCells, winEvents);
     } else if (outcome.type === 'LOSS' || this.isNearMiss(outcome)) {
       processedGrid = this._applyLossGeneralOptimization(processedGrid, outcome, visualRng);
     }
@@ -209,12 +231,18 @@ class VisualConstraintEngine {
     const expectedWinLine = winEvents && winEvents.length > 0 && winEvents[0].paylineIndex !== undefined
       ? winEvents[0].paylineIndex
       : legacyWinLine;
+
+    // v1.6.8: MULTI 模式的 WIN outcome 有多個預期事件（多條中獎線 / LINE + ANY_POSITION）
+    // v1.6.20: ways 模式沒有 winLine，單一事件也作為預期事件（v1.6.21: cluster 模式相同）
+    // v1.6.22: RTL / BOTH 時單一事件也作為預期事件（winLine 不含方向）
+    const minExpectedEvents = this.waysMode || this.clusterMode || this.payDirection !== 'LTR' ? 1 : 2;
+    const expectedEvents = outcome.type === 'WIN' && winEvents && winEvents.length >= minExpectedEvents ? winEvents : null;
     
     for (let retry = 0; retry < maxRetries; retry++) {
       telemetry.visualAttemptsUsed = retry + 1;
       
       // Phase B: 檢查是否包含禁止符號
-      const forbiddenSymbolResult = this._checkForbiddenSymbols(processedGrid, outcome, expectedWinLine);
+      const forbiddenSymbolResult = this._checkForbiddenSymbols(processedGrid, outcome, expectedWinLine, expectedEvents);
       if (forbiddenSymbolResult.detected) {
         // v1.4.patch_tease_diag_fix: 只記錄到 attempt history，不寫入 final-fail fields
         telemetry.visualAttemptReasons.push('FORBIDDEN_SYMBOL_DETECTED');
@@ -223,7 +251,7 @@ class VisualConstraintEngine {
         
         // 如果驗證失敗，重新應用 Phase 2（保留 Phase 1 的結果）
         if (outcome.type === 'WIN') {
-          processedGrid = this._applyWinGeneralOptimization(processedGrid, outcome, expectedWinLine, visualRng, protectedCells);
+          processedGrid = this._applyWinGeneralOptimization(processedGrid, outcome, expectedWinLine, visualRng, protectedCells, winEvents);
         } else {
           processedGrid = this._applyLossGeneralOptimization(processedGrid, outcome, visualRng);
         }
@@ -231,7 +259,7 @@ class VisualConstraintEngine {
       }
       
       // v1.5.0: 驗證安全性（使用 winEvents 推導 expectedWinLine）
-      const safetyResult = this._validateSafety(processedGrid, outcome, expectedWinLine);
+      const safetyResult = this._validateSafety(processedGrid, outcome, expectedWinLine, expectedEvents);
       if (safetyResult.isSafe) {
         // v1.4.patch_tease_diag_fix: 成功時記錄到 attempt history
         telemetry.visualAttemptReasons.push('SUCCESS');
@@ -256,7 +284,7 @@ class VisualConstraintEngine {
 
       // 如果驗證失敗，重新應用 Phase 2（保留 Phase 1 的結果）
       if (outcome.type === 'WIN') {
-        processedGrid = this._applyWinGeneralOptimization(processedGrid, outcome, expectedWinLine, visualRng, protectedCells);
+        processedGrid = this._applyWinGeneralOptimization(processedGrid, outcome, expectedWinLine, visualRng, protectedCells, winEvents);
       } else {
         processedGrid = this._applyLossGeneralOptimization(processedGrid, outcome, visualRng);
       }
@@ -339,9 +367,12 @@ class VisualConstraintEngine {
     const protectedCells = new Set();
     
     // Priority 1: use winEvents[0].positions (no guessing)
+    // v1.6.8: MULTI 模式保護所有事件的位置
     if (winEvents && winEvents.length > 0 && winEvents[0].positions && winEvents[0].positions.length > 0) {
-      winEvents[0].positions.forEach(([row, col]) => {
-        protectedCells.add(`${row},${col}`);
+      winEvents.forEach(event => {
+        (event.positions || []).forEach(([row, col]) => {
+          protectedCells.add(`${row},${col}`);
+        });
       });
       return protectedCells;
     }
@@ -384,7 +415,8 @@ class VisualConstraintEngine {
       return {
         spinIndex: context.spinIndex,
         mathSeed: context.mathSeed || 'default',
-        outcomeId: context.outcomeId || outcome.id
+        outcomeId: context.outcomeId || outcome.id,
+        rngOptions: context.rngOptions
       };
     }
 
@@ -409,7 +441,8 @@ class VisualConstraintEngine {
       mathSeed: context.mathSeed,
       spinIndex: context.spinIndex,
       outcomeId: context.outcomeId,
-      patchVersion: patchVersion
+      patchVersion: patchVersion,
+      derivation: context.rngOptions && context.rngOptions.subSeedDerivation  // v1.6.3
     });
   }
 
@@ -542,6 +575,7 @@ class VisualConstraintEngine {
    * - 選擇一個目標符號（prefer HIGH，否則任何非特殊符號）
    * - 在選定的 payline 上：放置 N-1 個相同符號（default N=3，所以前 2 個位置）
    * - 強制第 N 個位置為明顯不同的符號（prefer LOW）
+   * - v1.6.22: payDirection = 'RTL' 時由 payline 最右端開始放置
    */
   _applyNearMissLinePay(grid, outcome, visualRng, telemetry) {
     const nearMissGrid = grid.map(row => [...row]);
@@ -583,7 +617,7 @@ class VisualConstraintEngine {
 
     // 在選定的 payline 上放置 N-1 個相同符號
     selectedPaylineIndices.forEach(paylineIndex => {
-      const selectedPayline = this.gameRule.paylines[paylineIndex];
+      const selectedPayline = this._orientNearMissLine(this.gameRule.paylines[paylineIndex]);
       
       for (let i = 0; i < nearMissCount - 1 && i < selectedPayline.length; i++) {
         const [row, col] = selectedPayline[i];
@@ -628,14 +662,15 @@ class VisualConstraintEngine {
    * 1. WinLine protection: 對於 true winLine，前 matchCount 個符號 MUST NOT change
    * 2. Anti-Extend (MVP): 對於 winLine 上 matchCount 之後的位置，MUST NOT 等於 winSymbolId
    * 3. Tease placement: 優先應用 tease 到 1~2 條與 true winLine 不同的 payline
+   * v1.6.22: winDirection 為 true winLine 的判定方向；tease payline 依 payDirection（RTL 時由最右端開始）
    */
-  _applyTease(grid, outcome, winLine, visualRng, telemetry, protectedCells = null) {
+  _applyTease(grid, outcome, winLine, visualRng, telemetry, protectedCells = null, winDirection = 'LTR') {
     if (winLine === null || winLine < 0 || winLine >= this.gameRule.paylines.length) {
       return { grid, telemetry };  // 無效的 winLine，不應用 tease
     }
 
     const teaseGrid = grid.map(row => [...row]);
-    const truePayline = this.gameRule.paylines[winLine];
+    const truePayline = orientLine(this.gameRule.paylines[winLine], winDirection);
     const matchCount = outcome.winConfig ? outcome.winConfig.matchCount : 0;
     const winSymbolId = outcome.winConfig ? outcome.winConfig.symbolId : null;
 
@@ -680,7 +715,8 @@ class VisualConstraintEngine {
     const forbiddenTypes = new Set(this.forbiddenSymbolsInVisual);
     
     // 在選定的 tease payline 上應用 near-miss style
-    selectedTeasePaylines.forEach(({ payline }) => {
+    selectedTeasePaylines.forEach(({ payline: teasePayline }) => {
+      const payline = this._orientNearMissLine(teasePayline);
       const highSymbols = this.symbols.filter(s => s.type === 'HIGH' && !forbiddenTypes.has(s.type));
       const lowSymbols = this.symbols.filter(s => s.type === 'LOW' && !forbiddenTypes.has(s.type));
       
@@ -730,7 +766,7 @@ class VisualConstraintEngine {
    * v1.4.x: WIN General Optimization (Phase 2)
    * v1.5.0: 使用 protectedCells 參數（從 winEvents 推導）
    */
-  _applyWinGeneralOptimization(grid, outcome, winLine, visualRng, protectedCells = null) {
+  _applyWinGeneralOptimization(grid, outcome, winLine, visualRng, protectedCells = null, winEvents = []) {
     // v1.5.0: 使用傳入的 protectedCells（如果存在），否則從 winLine 推導
     let protectedCellsSet = protectedCells || new Set();
     
@@ -757,6 +793,13 @@ class VisualConstraintEngine {
         }
       }
     }
+    // v1.6.8: MULTI 模式的每個 LINE 事件符號（v1.6.20: WAYS 事件同樣不得在其他位置出現，避免增加 ways）
+    // v1.6.21: CLUSTER 事件同樣不得在其他位置出現（避免擴大 cluster 或形成第二個 cluster）
+    (winEvents || []).forEach(event => {
+      if (event.ruleType === 'LINE' || event.ruleType === 'WAYS' || event.ruleType === 'CLUSTER') {
+        forbiddenSymbols.add(event.paidSymbolId);
+      }
+    });
 
     // v1.5.0: 如果 winLine 有效，使用 payline 和 matchCount（用於 forbiddenSymbols 邏輯）
     let payline = null;
@@ -823,31 +866,51 @@ class VisualConstraintEngine {
    * 
    * - Loss: accidental-win scan across all paylines
    * - Win: anti-extend check (MVP) + accidental-win scan if modified non-win areas
+   * - v1.6.20: ways 模式改為 ways 判定（_validateNoAccidentalWays）
+   * - v1.6.21: cluster 模式改為 cluster 判定（_validateNoAccidentalClusters）
    */
-  _validateSafety(grid, outcome, winLine) {
+  _validateSafety(grid, outcome, winLine, expectedEvents = null) {
+    if (this.waysMode) {
+      return this._validateNoAccidentalWays(grid, outcome.type === 'WIN' ? (expectedEvents || []) : []);
+    }
+    if (this.clusterMode) {
+      return this._validateNoAccidentalClusters(grid, outcome.type === 'WIN' ? (expectedEvents || []) : []);
+    }
+
+    // v1.6.8: 多條預期中獎線（MULTI）逐條驗證 anti-extend，accidental-win scan 排除所有預期中獎線
+    if (outcome.type === 'WIN' && expectedEvents) {
+      const expectedLineEvents = expectedEvents.filter(e => e.ruleType === 'LINE');
+      for (const event of expectedLineEvents) {
+        const antiExtendResult = this._validateAntiExtend(grid, event.paylineIndex, event.matchCount, event.paidSymbolId, this._getEventDirection(event));
+        if (antiExtendResult) {
+          return antiExtendResult;
+        }
+      }
+      // v1.6.22: 預期中獎線只有事件的方向可以中獎
+      const expectedDirections = new Map();
+      expectedLineEvents.forEach(event => {
+        const directions = expectedDirections.get(event.paylineIndex) || [];
+        expectedDirections.set(event.paylineIndex, directions.concat(this._getEventDirection(event)));
+      });
+      const accidentalWinResult = this._validateNoAccidentalWin(grid, expectedLineEvents.map(e => e.paylineIndex), expectedDirections);
+      if (!accidentalWinResult.isSafe) {
+        return {
+          isSafe: false,
+          reason: accidentalWinResult.reason || 'ACCIDENTAL_WIN_CREATED',
+          detail: accidentalWinResult.detail || null
+        };
+      }
+      return { isSafe: true, reason: null, detail: null };
+    }
+
     if (outcome.type === 'WIN') {
       // WIN: 驗證 anti-extend + accidental win
       if (winLine !== null && winLine >= 0 && winLine < this.gameRule.paylines.length) {
-        const payline = this.gameRule.paylines[winLine];
         const matchCount = outcome.winConfig ? outcome.winConfig.matchCount : 0;
         const winSymbolId = outcome.winConfig ? outcome.winConfig.symbolId : null;
-
-        // Anti-Extend MVP: winLine 上 matchCount 之後的位置不得是 winSymbolId
-        for (let i = matchCount; i < payline.length; i++) {
-          const [row, col] = payline[i];
-          if (grid[row][col] === winSymbolId) {
-            return {
-              isSafe: false,
-              reason: 'ANTI_EXTEND_VIOLATION',
-              detail: {
-                type: 'ANTI_EXTEND_VIOLATION',
-                winLineIndex: winLine,
-                beforeMatchCount: matchCount,
-                afterMatchCount: i + 1,
-                positionsChanged: [[row, col]]
-              }
-            };
-          }
+        const antiExtendResult = this._validateAntiExtend(grid, winLine, matchCount, winSymbolId);
+        if (antiExtendResult) {
+          return antiExtendResult;
         }
       }
 
@@ -881,10 +944,48 @@ class VisualConstraintEngine {
    * 規則：
    * - 如果 expectedWinLine !== null：僅該條 payline 可以形成連線
    * - 如果 expectedWinLine === null：所有 paylines 都不得形成 ≥3 個連續相同符號
+   * - v1.6.7: 從起點判定的 Wild 替代連線 ≥3 也視為 Accidental Win
+   * - v1.6.8: expectedWinLine 可為陣列（MULTI 模式的多條預期中獎線）
+   * - v1.6.22: 依 payDirection 檢查每個判定方向（RTL 由最右輪開始）；
+   *   預期中獎線的另一側（不在 expectedDirections 中的方向）形成 ≥3 連線也視為 Accidental Win
+   *
+   * @param {Map<number, Array<string>>} [expectedDirections] - 預期中獎線的中獎方向（未提供時為 LTR）
    */
-  _validateNoAccidentalWin(grid, expectedWinLine) {
+  _validateNoAccidentalWin(grid, expectedWinLine, expectedDirections = null) {
+    const expectedLines = Array.isArray(expectedWinLine) ? expectedWinLine : [expectedWinLine];
     for (let paylineIndex = 0; paylineIndex < this.gameRule.paylines.length; paylineIndex++) {
       const payline = this.gameRule.paylines[paylineIndex];
+      const isExpectedLine = expectedLines.includes(paylineIndex);
+      const allowedDirections = !isExpectedLine ? []
+        : (expectedDirections && expectedDirections.get(paylineIndex)) || ['LTR'];
+
+      const runs = matchPayline(payline.map(([row, col]) => grid[row][col]), this.wildRules, this.payDirection);
+      for (const run of runs) {
+        // 非預期中獎線：相同符號的連線由下方的連續檢查處理，這裡只檢查含 WILD 的連線
+        // 預期中獎線：非預期方向的任何 ≥3 連線（下方的連續檢查不檢查預期中獎線）
+        const accidental = isExpectedLine
+          ? !allowedDirections.includes(run.direction) && run.matchCount >= 3
+          : run.matchCount >= 3 && run.wildCount > 0;
+        if (accidental) {
+          const detail = {
+            type: 'ACCIDENTAL_WIN_CREATED',
+            paylineIndex: paylineIndex,
+            rule: 'LINE',
+            symbol: run.symbolId,
+            matchCount: run.matchCount,
+            wildCount: run.wildCount,
+            positions: orientLine(payline, run.direction).slice(0, run.matchCount)
+          };
+          if (run.direction !== 'LTR') {
+            detail.payDirection = run.direction;
+          }
+          return {
+            isSafe: false,
+            reason: `ACCIDENTAL_WIN_PAYLINE_${paylineIndex}`,
+            detail: detail
+          };
+        }
+      }
       let consecutiveCount = 1;
       let lastSymbol = null;
       let consecutiveStart = 0;
@@ -903,7 +1004,7 @@ class VisualConstraintEngine {
         // 檢查是否形成 ≥3 個連續相同符號
         if (consecutiveCount >= 3) {
           // 如果是預期的中獎線，允許
-          if (expectedWinLine === paylineIndex) {
+          if (expectedLines.includes(paylineIndex)) {
             // 允許，這是預期的中獎線
           } else {
             // 非預期的中獎線，視為 Accidental Win
@@ -934,12 +1035,157 @@ class VisualConstraintEngine {
     return { isSafe: true, reason: null, detail: null };
   }
 
+  /**
+   * v1.6.20: ways 模式的 Accidental Win / Anti-Extend 檢查（返回 { isSafe, reason, detail }）
+   *
+   * 規則：
+   * - 盤面上的每個 ways 中獎都必須是預期的 WAYS 事件，否則為 Accidental Win
+   * - 預期事件的 matchCount 與 ways 不得改變（延長連續輪數或增加 ways 皆視為 Anti-Extend 違規）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @param {Array<WinEvent>} expectedEvents - 預期事件（LOSS 時為空陣列）
+   */
+  _validateNoAccidentalWays(grid, expectedEvents) {
+    const expectedWays = new Map(
+      expectedEvents.filter(e => e.ruleType === 'WAYS').map(e => [e.paidSymbolId, e])
+    );
+
+    for (const run of findWaysRuns(grid, this.symbols, this.wildRules)) {
+      const expected = expectedWays.get(run.symbolId);
+      if (!expected) {
+        return {
+          isSafe: false,
+          reason: `ACCIDENTAL_WIN_WAYS_${run.symbolId}`,
+          detail: {
+            type: 'ACCIDENTAL_WIN_CREATED',
+            rule: 'WAYS',
+            symbol: run.symbolId,
+            matchCount: run.matchCount,
+            ways: run.ways,
+            wildCount: run.wildCount,
+            positions: run.positions
+          }
+        };
+      }
+      if (run.matchCount !== expected.matchCount || run.ways !== expected.ways) {
+        return {
+          isSafe: false,
+          reason: 'ANTI_EXTEND_VIOLATION',
+          detail: {
+            type: 'ANTI_EXTEND_VIOLATION',
+            rule: 'WAYS',
+            symbol: run.symbolId,
+            beforeMatchCount: expected.matchCount,
+            afterMatchCount: run.matchCount,
+            beforeWays: expected.ways,
+            afterWays: run.ways
+          }
+        };
+      }
+    }
+
+    return { isSafe: true, reason: null, detail: null };
+  }
+
+  /**
+   * v1.6.21: cluster 模式的 Accidental Win / Anti-Extend 檢查（返回 { isSafe, reason, detail }）
+   *
+   * 規則：
+   * - 盤面上的每個 cluster 中獎都必須是預期的 CLUSTER 事件（相同符號與第一格位置），否則為 Accidental Win
+   * - 預期事件的 cluster 大小不得改變（擴大 cluster 視為 Anti-Extend 違規）
+   *
+   * @param {Array<Array<string>>} grid - 盤面
+   * @param {Array<WinEvent>} expectedEvents - 預期事件（LOSS 時為空陣列）
+   */
+  _validateNoAccidentalClusters(grid, expectedEvents) {
+    const expectedClusters = expectedEvents.filter(e => e.ruleType === 'CLUSTER');
+    const clusters = findClusters(grid, this.symbols, this.wildRules, this.minClusterSize);
+
+    for (const cluster of clusters) {
+      const expected = expectedClusters.find(e =>
+        e.paidSymbolId === cluster.symbolId &&
+        e.positions.some(([row, col]) => cluster.positions.some(([r, c]) => r === row && c === col))
+      );
+      if (!expected) {
+        return {
+          isSafe: false,
+          reason: `ACCIDENTAL_WIN_CLUSTER_${cluster.symbolId}`,
+          detail: {
+            type: 'ACCIDENTAL_WIN_CREATED',
+            rule: 'CLUSTER',
+            symbol: cluster.symbolId,
+            size: cluster.size,
+            wildCount: cluster.wildCount,
+            positions: cluster.positions
+          }
+        };
+      }
+      if (cluster.size !== expected.matchCount) {
+        return {
+          isSafe: false,
+          reason: 'ANTI_EXTEND_VIOLATION',
+          detail: {
+            type: 'ANTI_EXTEND_VIOLATION',
+            rule: 'CLUSTER',
+            symbol: cluster.symbolId,
+            beforeSize: expected.matchCount,
+            afterSize: cluster.size
+          }
+        };
+      }
+    }
+
+    return { isSafe: true, reason: null, detail: null };
+  }
+
+  /**
+   * v1.6.22: Near Miss / Tease 的 payline 方向（RTL 時由最右端開始；BOTH 維持 LTR）
+   */
+  _orientNearMissLine(payline) {
+    return orientLine(payline, this.payDirection === 'RTL' ? 'RTL' : 'LTR');
+  }
+
+  /**
+   * v1.6.22: LINE 事件的判定方向（'LTR' | 'RTL'）
+   */
+  _getEventDirection(event) {
+    return (event.metadata && event.metadata.payDirection) || 'LTR';
+  }
+
+  /**
+   * Anti-Extend MVP: winLine 上 matchCount 之後的位置不得是 winSymbolId
+   * v1.6.7: 也不得是可替代 winSymbolId 的 WILD
+   * v1.6.22: payDirection = 'RTL' 時由最右輪開始（matchCount 之後 = 更左邊的位置）
+   *
+   * @returns {Object|null} 違規時返回 { isSafe: false, reason, detail }，否則 null
+   */
+  _validateAntiExtend(grid, winLine, matchCount, winSymbolId, payDirection = 'LTR') {
+    const payline = orientLine(this.gameRule.paylines[winLine], payDirection);
+    for (let i = matchCount; i < payline.length; i++) {
+      const [row, col] = payline[i];
+      if (grid[row][col] === winSymbolId || canSubstitute(this.wildRules, grid[row][col], winSymbolId)) {
+        return {
+          isSafe: false,
+          reason: 'ANTI_EXTEND_VIOLATION',
+          detail: {
+            type: 'ANTI_EXTEND_VIOLATION',
+            winLineIndex: winLine,
+            beforeMatchCount: matchCount,
+            afterMatchCount: i + 1,
+            positionsChanged: [[row, col]]
+          }
+        };
+      }
+    }
+    return null;
+  }
+
   /**
    * v1.4.patch: 檢查是否包含禁止符號（返回詳細資訊）
    * 
    * @returns {Object} { detected: boolean, detail: Object }
    */
-  _checkForbiddenSymbols(grid, outcome, winLine) {
+  _checkForbiddenSymbols(grid, outcome, winLine, expectedEvents = null) {
     // 建立禁止符號類型集合
     const forbiddenTypes = new Set(this.forbiddenSymbolsInVisual);
     
@@ -955,7 +1201,12 @@ class VisualConstraintEngine {
     
     // 檢查 grid 中是否有禁止符號（排除 winLine 的保護區域）
     const protectedCells = new Set();
-    if (winLine !== null && winLine >= 0 && winLine < this.gameRule.paylines.length && outcome.type === 'WIN') {
+    if (expectedEvents && outcome.type === 'WIN') {
+      // v1.6.8: MULTI 模式保護所有預期事件的位置（含 ANY_POSITION）
+      expectedEvents.forEach(event => {
+        event.positions.forEach(([row, col]) => protectedCells.add(`${row},${col}`));
+      });
+    } else if (winLine !== null && winLine >= 0 && winLine < this.gameRule.paylines.length && outcome.type === 'WIN') {
       const payline = this.gameRule.paylines[winLine];
       const matchCount = outcome.winConfig ? outcome.winConfig.matchCount : 0;
       for (let i = 0; i < matchCount && i < payline.length; i++) {
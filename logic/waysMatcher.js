@@ -0,0 +1,97 @@
+const { canSubstitute } = require('./lineMatcher');
+
+/**
+ * v1.6.20: Ways Matcher（Ways-to-win 判定，支援 Wild 替代）
+ *
+ * 核心原則：
+ * - Evaluator / Resolver / Visual Layer 共用同一套 ways 判定（與 lineMatcher.js 相同原則）
+ * - 由最左輪（reel 0）開始，每一輪至少有一格為該符號（或可替代的 WILD）才繼續；第一個沒有的輪即中斷
+ * - matchCount = 連續的輪數；ways = 各輪符合格數的乘積（3x5 盤面最多 243 ways）
+ * - 至少 MIN_WAYS_REELS 輪才算中獎，且連續輪內必須有至少一格為該符號本身（只由 WILD 組成的組合不支付）
+ * - 只有 WAYS_SYMBOL_TYPES 的符號以 ways 支付（WILD 只替代、SCATTER / ANY_POSITION 不參與）
+ */
+
+const MIN_WAYS_REELS = 3;
+const WAYS_SYMBOL_TYPES = ['LOW', 'MID', 'HIGH'];
+
+/**
+ * 計算單一符號從最左輪開始的 ways
+ * @param {Array<Array<string|null>>} grid - 盤面（rows x cols，null 視為不符合）
+ * @param {string} symbolId - 支付符號
+ * @param {Object} rules - buildWildRules() 的結果
+ * @returns {Object} { symbolId, matchCount, ways, wildCount, symbolCount, positions }
+ */
+function matchWays(grid, symbolId, rules) {
+  const cols = grid.length > 0 ? grid[0].length : 0;
+  const positions = [];
+  let matchCount = 0;
+  let ways = 1;
+  let wildCount = 0;
+  let symbolCount = 0;
+
+  for (let col = 0; col < cols; col++) {
+    let reelCount = 0;
+    for (let row = 0; row < grid.length; row++) {
+      const cell = grid[row][col];
+      if (cell === symbolId) {
+        symbolCount++;
+      } else if (cell !== null && canSubstitute(rules, cell, symbolId)) {
+        wildCount++;
+      } else {
+        continue;
+      }
+      reelCount++;
+      positions.push([row, col]);
+    }
+    if (reelCount === 0) {
+      break;
+    }
+    matchCount++;
+    ways *= reelCount;
+  }
+
+  return { symbolId, matchCount, ways: matchCount > 0 ? ways : 0, wildCount, symbolCount, positions };
+}
+
+/**
+ * 找出盤面上所有中獎的 ways（依 symbols 陣列順序）
+ * @param {Array<Array<string|null>>} grid - 盤面
+ * @param {Array} symbols - design.json 的 symbols 陣列
+ * @param {Object} rules - buildWildRules() 的結果
+ * @returns {Array<Object>} matchWays() 的結果（matchCount >= MIN_WAYS_REELS 且含該符號本身）
+ */
+function findWaysRuns(grid, symbols, rules) {
+  return symbols
+    .filter(s => WAYS_SYMBOL_TYPES.includes(s.type))
+    .map(s => matchWays(grid, s.id, rules))
+    .filter(run => run.matchCount >= MIN_WAYS_REELS && run.symbolCount > 0);
+}
+
+/**
+ * 將 ways 拆成各輪的符號數（乘積 = ways，每輪 1 ~ caps[i]）
+ * @param {number} ways - 目標 ways（正整數）
+ * @param {Array<number>} caps - 各輪可放置的最大格數（長度 = matchCount）
+ * @returns {Array<Array<number>>} 所有可行的拆法（依字典序）
+ */
+function waysFactorizations(ways, caps) {
+  if (caps.length === 0) {
+    return ways === 1 ? [[]] : [];
+  }
+  const results = [];
+  for (let count = 1; count <= caps[0]; count++) {
+    if (ways % count === 0) {
+      waysFactorizations(ways / count, caps.slice(1)).forEach(rest => {
+        results.push([count].concat(rest));
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  MIN_WAYS_REELS,
+  WAYS_SYMBOL_TYPES,
+  matchWays,
+  findWaysRuns,
+  waysFactorizations
+};
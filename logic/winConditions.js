@@ -0,0 +1,130 @@
+/**
+ * v1.6.8: Win Conditions（複合中獎條件）
+ *
+ * 核心原則：
+ * - Outcome 可用 winConditions 陣列描述複合中獎（例如兩條 LINE 同時中獎），
+ *   每個條件各自定義 payoutMultiplier，總和必須等於 outcome.payoutMultiplier
+ * - 單一 winCondition / legacy winConfig 視為只有一個條件，payoutMultiplier 沿用 outcome
+ * - 只負責條件與 WinEvent 的對應，不計算 RTP、不修改 grid
+ *
+ * v1.6.20: gameRules.<state>.winCondition（payline | ways）與 WAYS 條件（ways 數須一致）
+ * v1.6.21: gameRules.<state>.winCondition = cluster 與 CLUSTER 條件（cluster 大小須一致）
+ * v1.6.22: LINE 條件的 payDirection（LTR / RTL 時事件方向須一致）
+ */
+
+// PayRuleEvaluator 支援的評估模式（gameRules.BASE.evaluationMode）
+const EVALUATION_MODES = ['SINGLE', 'MULTI'];
+
+// winConditions 支援的條件類型（v1.6.20: WAYS，v1.6.21: CLUSTER）
+const COMPOSITE_CONDITION_TYPES = ['LINE', 'ANY_POSITION', 'WAYS', 'CLUSTER'];
+
+// v1.6.20: gameRules.<state>.winCondition 支援的中獎方式（未設定時為 payline，v1.6.21: cluster）
+const RULE_WIN_CONDITIONS = ['payline', 'ways', 'cluster'];
+
+/**
+ * v1.6.20: 該 state 的 gameRule 是否為 ways 模式
+ */
+function isWaysRule(gameRule) {
+  return Boolean(gameRule) && gameRule.winCondition === 'ways';
+}
+
+/**
+ * v1.6.21: 該 state 的 gameRule 是否為 cluster 模式
+ */
+function isClusterRule(gameRule) {
+  return Boolean(gameRule) && gameRule.winCondition === 'cluster';
+}
+
+/**
+ * v1.6.20: WAYS 條件的 ways 數（未定義時為 1，即每輪一個符號）
+ */
+function getConditionWays(condition) {
+  return condition.ways !== undefined ? condition.ways : 1;
+}
+
+/**
+ * 取得 Outcome 的中獎條件列表
+ * @param {Object} outcome - Outcome 物件
+ * @returns {Array<Object>} 中獎條件（winConditions > winCondition > winConfig）
+ */
+function getWinConditions(outcome) {
+  if (Array.isArray(outcome.winConditions)) {
+    return outcome.winConditions;
+  }
+  if (outcome.winCondition) {
+    return [outcome.winCondition];
+  }
+  if (outcome.winConfig) {
+    return [{ type: 'LINE', symbolId: outcome.winConfig.symbolId, matchCount: outcome.winConfig.matchCount }];
+  }
+  return [];
+}
+
+/**
+ * 條件的賠率倍數（未定義時沿用 outcome.payoutMultiplier）
+ */
+function getConditionPayout(outcome, condition) {
+  return condition.payoutMultiplier !== undefined ? condition.payoutMultiplier : outcome.payoutMultiplier;
+}
+
+/**
+ * WinEvent 是否符合條件
+ */
+function eventMatchesCondition(event, condition) {
+  if (event.ruleType !== condition.type || event.paidSymbolId !== condition.symbolId) {
+    return false;
+  }
+  if (condition.type === 'LINE') {
+    // v1.6.22: 指定 LTR / RTL 時方向也必須相同（未設定或 BOTH 時任一方向皆可）
+    const direction = (event.metadata && event.metadata.payDirection) || 'LTR';
+    const directionMatches = !condition.payDirection || condition.payDirection === 'BOTH' ||
+      condition.payDirection === direction;
+    return event.matchCount === condition.matchCount && directionMatches;
+  }
+  if (condition.type === 'ANY_POSITION') {
+    return event.matchCount === condition.targetCount;
+  }
+  if (condition.type === 'WAYS') {
+    return event.matchCount === condition.matchCount && event.ways === getConditionWays(condition);
+  }
+  if (condition.type === 'CLUSTER') {
+    return event.matchCount === condition.clusterSize;
+  }
+  return false;
+}
+
+/**
+ * 將 WinEvent 對應到中獎條件（每個事件、每個條件最多對應一次，依序配對）
+ * @param {Array<Object>} conditions - getWinConditions() 的結果
+ * @param {Array<WinEvent>} winEvents - Evaluator 產生的事件
+ * @returns {Object} { matches: [{ event, condition }], unmatchedEvents, unmatchedConditions }
+ */
+function matchEventsToConditions(conditions, winEvents) {
+  const remaining = [...conditions];
+  const matches = [];
+  const unmatchedEvents = [];
+
+  winEvents.forEach(event => {
+    const index = remaining.findIndex(condition => eventMatchesCondition(event, condition));
+    if (index === -1) {
+      unmatchedEvents.push(event);
+      return;
+    }
+    matches.push({ event, condition: remaining[index] });
+    remaining.splice(index, 1);
+  });
+
+  return { matches, unmatchedEvents, unmatchedConditions: remaining };
+}
+
+module.exports = {
+  EVALUATION_MODES,
+  COMPOSITE_CONDITION_TYPES,
+  RULE_WIN_CONDITIONS,
+  isWaysRule,
+  isClusterRule,
+  getConditionWays,
+  getWinConditions,
+  getConditionPayout,
+  matchEventsToConditions
+};